@@ -9,6 +9,11 @@ const appState = {
   appList: [],
   selectedApp: null,
   selectedAppIndex: -1,
+  selectedAppSettings: null,
+  globalSettings: null,
+  midletChoices: [],
+  selectedMidletIndex: -1,
+  midletIconUrls: [],
   currentPath: '/sdcard/',
   isInitialized: false,
   isLoading: false,
@@ -20,17 +25,25 @@ const screens = {
   appList: document.getElementById('app-list'),
   appDetails: document.getElementById('app-details'),
   appSettings: document.getElementById('app-settings'),
+  midletChooser: document.getElementById('midlet-chooser'),
   emulatorScreen: document.getElementById('emulator-screen'),
-  fileBrowser: document.getElementById('file-browser')
+  fileBrowser: document.getElementById('file-browser'),
+  recordStores: document.getElementById('record-stores'),
+  recordEditor: document.getElementById('record-editor'),
+  messages: document.getElementById('messages'),
+  messageComposer: document.getElementById('message-composer')
 };
 
 const elements = {
   appsList: document.getElementById('apps'),
+  midletsList: document.getElementById('midlets'),
   appName: document.getElementById('app-name'),
   appInfo: document.getElementById('app-info'),
   appIcon: document.getElementById('app-icon'),
   runAppBtn: document.getElementById('run-app'),
   settingsAppBtn: document.getElementById('settings-app'),
+  dataAppBtn: document.getElementById('data-app'),
+  messagesAppBtn: document.getElementById('messages-app'),
   deleteAppBtn: document.getElementById('delete-app'),
   softkeyLeft: document.getElementById('softkey-left'),
   softkeyCenter: document.getElementById('softkey-center'),
@@ -39,6 +52,42 @@ const elements = {
   loadingIndicator: document.getElementById('loading-indicator')
 };
 
+// Keyboard keys and the handset keys they press in the emulator
+const emulatorKeyMap = {
+  'ArrowUp': 'UP',
+  'ArrowDown': 'DOWN',
+  'ArrowLeft': 'LEFT',
+  'ArrowRight': 'RIGHT',
+  'Enter': 'SELECT',
+  'Digit1': '1',
+  'Digit2': '2',
+  'Digit3': '3',
+  'Digit4': '4',
+  'Digit5': '5',
+  'Digit6': '6',
+  'Digit7': '7',
+  'Digit8': '8',
+  'Digit9': '9',
+  'Digit0': '0',
+  '1': '1',
+  '2': '2',
+  '3': '3',
+  '4': '4',
+  '5': '5',
+  '6': '6',
+  '7': '7',
+  '8': '8',
+  '9': '9',
+  '0': '0',
+  'NumpadMultiply': 'STAR',
+  '*': 'STAR',
+  '#': 'POUND'
+};
+
+// Keys that open the emulator's menu whatever the MIDlet shows: the call
+// key of handsets, which MIDlets never get, and F3 on keyboards
+const emulatorMenuKeys = ['Call', 'F3'];
+
 // Initialize the application
 function initApp() {
   console.log('Initializing J2ME Loader for CloudFone Platform');
@@ -58,6 +107,7 @@ function initApp() {
   
   // Set up event listeners
   document.addEventListener('keydown', handleKeyDown);
+  document.addEventListener('keyup', handleKeyUp);
   
   // Add CloudFone specific keyboard debugging
   if (appState.isCloudFoneDevice) {
@@ -74,8 +124,16 @@ function initApp() {
   // Button event listeners
   elements.runAppBtn.addEventListener('click', runSelectedApp);
   elements.settingsAppBtn.addEventListener('click', openAppSettings);
+  elements.dataAppBtn.addEventListener('click', openAppData);
+  elements.messagesAppBtn.addEventListener('click', () => openAppMessages(false));
   elements.deleteAppBtn.addEventListener('click', confirmDeleteApp);
   
+  // The right soft key reads Clear while a settings text field has text
+  const settingsForm = document.getElementById('settings-form');
+  ['input', 'focusin', 'focusout'].forEach(type => settingsForm.addEventListener(type, () => {
+    if (appState.currentScreen === 'app-settings') updateSoftkeys();
+  }));
+  
   // Initialize components
   Promise.all([
     Storage.init(),
@@ -171,8 +229,29 @@ function renderAppList() {
   elements.appsList.innerHTML = '';
   appState.appList.forEach((app, index) => {
     const li = document.createElement('li');
-    li.textContent = app.name;
+    li.className = 'app-list-item';
     li.dataset.appId = app.id;
+    
+    li.appendChild(createAppIcon(app, 'app-list-icon'));
+    
+    const text = document.createElement('span');
+    text.className = 'app-list-text';
+    li.appendChild(text);
+    
+    const name = document.createElement('span');
+    name.className = 'app-list-name';
+    name.textContent = app.name;
+    text.appendChild(name);
+    
+    // Show vendor and version from the manifest under the name
+    const meta = [app.vendor, app.version && `v${app.version}`].filter(Boolean).join(' · ');
+    if (meta) {
+      const details = document.createElement('span');
+      details.className = 'app-list-meta';
+      details.textContent = meta;
+      text.appendChild(details);
+    }
+    
     li.dataset.index = index;
     
     if (index === appState.selectedAppIndex) {
@@ -187,6 +266,21 @@ function renderAppList() {
   });
 }
 
+// Create an icon element showing the app's thumbnail or its initial
+function createAppIcon(app, className) {
+  const icon = document.createElement('span');
+  icon.className = className;
+  
+  if (app.icon) {
+    icon.classList.add('has-image');
+    icon.style.backgroundImage = `url("${app.icon}")`;
+  } else {
+    icon.textContent = app.name.charAt(0).toUpperCase();
+  }
+  
+  return icon;
+}
+
 // Select an application from the list
 function selectApp(index) {
   if (index < 0 || index >= appState.appList.length) return;
@@ -210,12 +304,27 @@ function selectApp(index) {
 function openAppDetails() {
   if (!appState.selectedApp) return;
   
-  elements.appName.textContent = appState.selectedApp.name;
-  elements.appInfo.textContent = `Size: ${appState.selectedApp.size} | Vendor: ${appState.selectedApp.vendor || 'Unknown'}`;
+  const app = appState.selectedApp;
+  const infoLines = [
+    `Vendor: ${app.vendor || 'Unknown'}`,
+    `Version: ${app.version || 'Unknown'} | Size: ${app.size}`
+  ];
+  
+  if (app.profiles && app.profiles.length > 0) {
+    infoLines.push([app.configuration].concat(app.profiles).filter(Boolean).join(' / '));
+  }
+  if (app.description) {
+    infoLines.push(app.description);
+  }
+  
+  elements.appName.textContent = app.name;
+  elements.appInfo.textContent = infoLines.join('\n');
   
   // Set app icon if available
   if (appState.selectedApp.icon) {
-    elements.appIcon.style.backgroundImage = `url(${appState.selectedApp.icon})`;
+    elements.appIcon.innerHTML = '';
+    elements.appIcon.style.backgroundColor = 'transparent';
+    elements.appIcon.style.backgroundImage = `url("${appState.selectedApp.icon}")`;
   } else {
     elements.appIcon.style.backgroundImage = 'none';
     elements.appIcon.style.backgroundColor = '#0061e0';
@@ -243,8 +352,8 @@ function runSelectedApp() {
   // Get the JAR file
   Storage.getFile(appState.selectedApp.path)
     .then(jarFile => {
-      // Load the JAR file into the emulator
-      return EmulatorCore.loadJar(jarFile);
+      // Load the JAR file into the emulator, with its JAD if it had one
+      return EmulatorCore.loadJar(jarFile, appState.selectedApp.descriptor || null);
     })
     .then(midletInfo => {
       console.log('JAR loaded successfully:', midletInfo);
@@ -252,16 +361,13 @@ function runSelectedApp() {
       // Load app settings
       return Storage.loadAppSettings(appState.selectedApp.id)
         .then(settings => {
-          // Navigate to the emulator screen
-          navigateToScreen('emulator-screen');
+          // Suites declaring several MIDlets let the user pick one
+          if (midletInfo.midlets.length > 1) {
+            openMidletChooser(midletInfo.midlets, settings);
+            return;
+          }
           
-          // Start the emulator with the loaded JAR and settings
-          return EmulatorCore.start({
-            screenSize: settings.screenSize,
-            orientation: settings.orientation,
-            keyMapping: settings.keyMapping,
-            soundEnabled: settings.soundEnabled
-          });
+          return startMidlet(midletInfo.midlets[0], settings);
         });
     })
     .then(() => {
@@ -274,6 +380,199 @@ function runSelectedApp() {
     });
 }
 
+// Start a MIDlet of the loaded suite
+function startMidlet(midlet, settings) {
+  console.log(`Starting MIDlet: ${midlet.name} (${midlet.className})`);
+  
+  // Navigate to the emulator screen
+  navigateToScreen('emulator-screen');
+  
+  // Start the emulator with the loaded JAR, its settings and the HTTP
+  // proxy all apps share
+  return Database.getGlobalSettings()
+    .then(globalSettings => EmulatorCore.start({
+      appId: appState.selectedApp.id,
+      midletClass: midlet.className,
+      screenSize: settings.screenSize,
+      orientation: settings.orientation,
+      keyMapping: settings.keyMapping,
+      soundEnabled: settings.soundEnabled,
+      jitEnabled: settings.jitEnabled !== false,
+      fileSandbox: settings.fileSandbox !== false,
+      httpProxy: globalSettings.httpProxy || '',
+      socketRelay: globalSettings.socketRelay || '',
+      fontSize: settings.fontSize,
+      onExit: stopEmulator,
+      onCommandsChanged: () => {
+        if (appState.currentScreen === 'emulator-screen') updateSoftkeys();
+      }
+    }));
+}
+
+// Show the MIDlet chooser for a multi-MIDlet suite
+function openMidletChooser(midlets, settings) {
+  appState.midletChoices = midlets;
+  appState.selectedAppSettings = settings;
+  
+  // Preselect the MIDlet the user started last time
+  const lastIndex = midlets.findIndex(midlet => midlet.className === settings.lastMidlet);
+  appState.selectedMidletIndex = lastIndex >= 0 ? lastIndex : 0;
+  
+  renderMidletChooser();
+  navigateToScreen('midlet-chooser');
+  
+  if (window.Navigation) {
+    Navigation.setFocus('midlet-chooser', appState.selectedMidletIndex);
+  }
+}
+
+// Render the list of MIDlets in the suite
+function renderMidletChooser() {
+  releaseMidletIcons();
+  elements.midletsList.innerHTML = '';
+  
+  appState.midletChoices.forEach((midlet, index) => {
+    const li = document.createElement('li');
+    li.className = 'midlet-item';
+    li.dataset.index = index;
+    
+    const icon = document.createElement('span');
+    icon.className = 'midlet-icon';
+    
+    const iconUrl = getMidletIconUrl(midlet);
+    if (iconUrl) {
+      icon.classList.add('has-image');
+      icon.style.backgroundImage = `url(${iconUrl})`;
+    } else {
+      icon.textContent = midlet.name.charAt(0).toUpperCase();
+    }
+    
+    const name = document.createElement('span');
+    name.textContent = midlet.name;
+    
+    li.appendChild(icon);
+    li.appendChild(name);
+    
+    if (index === appState.selectedMidletIndex) {
+      li.classList.add('focused');
+    }
+    
+    li.addEventListener('click', () => {
+      selectMidlet(index);
+      launchSelectedMidlet();
+    });
+    
+    elements.midletsList.appendChild(li);
+  });
+}
+
+// Get an object URL for a MIDlet's icon from the loaded JAR
+function getMidletIconUrl(midlet) {
+  if (!midlet.icon) return null;
+  
+  try {
+    const data = EmulatorCore.readJarResource(midlet.icon);
+    if (!data) return null;
+    
+    const url = URL.createObjectURL(new Blob([data], { type: 'image/png' }));
+    appState.midletIconUrls.push(url);
+    return url;
+  } catch (error) {
+    console.warn(`Failed to read MIDlet icon: ${midlet.icon}`, error);
+    return null;
+  }
+}
+
+// Release icon object URLs created for the chooser
+function releaseMidletIcons() {
+  appState.midletIconUrls.forEach(url => URL.revokeObjectURL(url));
+  appState.midletIconUrls = [];
+}
+
+// Select a MIDlet in the chooser
+function selectMidlet(index) {
+  if (index < 0 || index >= appState.midletChoices.length) return;
+  
+  appState.selectedMidletIndex = index;
+  
+  const items = elements.midletsList.querySelectorAll('li');
+  items.forEach(item => item.classList.remove('focused'));
+  
+  if (items[index]) {
+    items[index].classList.add('focused');
+    items[index].scrollIntoView({ block: 'nearest' });
+  }
+}
+
+// Start the MIDlet selected in the chooser and remember the choice
+function launchSelectedMidlet() {
+  const midlet = appState.midletChoices[appState.selectedMidletIndex];
+  if (!midlet || !appState.selectedApp) return;
+  
+  const settings = Object.assign({}, appState.selectedAppSettings, { lastMidlet: midlet.className });
+  appState.selectedAppSettings = settings;
+  
+  showLoading('Starting MIDlet...');
+  
+  Storage.saveAppSettings(appState.selectedApp.id, settings)
+    .catch(error => {
+      // Not being able to remember the choice shouldn't stop the launch
+      console.warn('Failed to save last MIDlet choice', error);
+    })
+    .then(() => {
+      releaseMidletIcons();
+      return startMidlet(midlet, settings);
+    })
+    .then(() => {
+      hideLoading();
+    })
+    .catch(error => {
+      console.error('Failed to start MIDlet', error);
+      alert(`Failed to start MIDlet: ${error.message}`);
+      hideLoading();
+    });
+}
+
+// Leave the chooser without starting anything
+function closeMidletChooser() {
+  releaseMidletIcons();
+  stopEmulation();
+  navigateToScreen('app-details');
+}
+
+// Open the record stores the selected app's MIDlets have saved
+function openAppData() {
+  if (!appState.selectedApp) return;
+  console.log(`Opening saved data for: ${appState.selectedApp.name}`);
+  
+  showLoading('Loading saved data...');
+  
+  RmsEditor.open(appState.selectedApp)
+    .then(() => hideLoading())
+    .catch(error => {
+      console.error('Failed to load saved data', error);
+      alert(`Failed to load saved data: ${error.message}`);
+      hideLoading();
+    });
+}
+
+// Open the Outbox of the messages the selected app has sent; while it runs,
+// messages can be written for it to receive too
+function openAppMessages(live) {
+  if (!appState.selectedApp) return;
+  console.log(`Opening messages for: ${appState.selectedApp.name}`);
+  
+  showLoading('Loading messages...');
+  
+  MessageOutbox.open(appState.selectedApp, live)
+    .then(() => hideLoading())
+    .catch(error => {
+      console.error('Failed to load messages', error);
+      alert(`Failed to load messages: ${error.message}`);
+      hideLoading();
+    });
+}
+
 // Open settings for the selected app
 function openAppSettings() {
   if (!appState.selectedApp) return;
@@ -281,9 +580,12 @@ function openAppSettings() {
   
   showLoading('Loading settings...');
   
-  // Load app-specific settings
-  Storage.loadAppSettings(appState.selectedApp.id)
-    .then(settings => {
+  // Load app-specific settings, and the global ones the form also shows
+  Promise.all([Storage.loadAppSettings(appState.selectedApp.id), Database.getGlobalSettings()])
+    .then(([settings, globalSettings]) => {
+      appState.selectedAppSettings = settings;
+      appState.globalSettings = globalSettings;
+      
       // Populate the settings form
       const form = document.getElementById('settings-form');
       
@@ -303,6 +605,22 @@ function openAppSettings() {
       const soundEnabledCheckbox = form.querySelector('#sound-enabled');
       soundEnabledCheckbox.checked = settings.soundEnabled !== false;
       
+      // Set JIT compiler; on unless the user turned it off
+      const jitEnabledCheckbox = form.querySelector('#jit-enabled');
+      jitEnabledCheckbox.checked = settings.jitEnabled !== false;
+      
+      // Set file sandbox; on unless the user turned it off
+      const fileSandboxCheckbox = form.querySelector('#file-sandbox');
+      fileSandboxCheckbox.checked = settings.fileSandbox !== false;
+      
+      // Set HTTP proxy, shared by all apps
+      const httpProxyInput = form.querySelector('#http-proxy');
+      httpProxyInput.value = globalSettings.httpProxy || '';
+      
+      // Set socket relay, shared by all apps
+      const socketRelayInput = form.querySelector('#socket-relay');
+      socketRelayInput.value = globalSettings.socketRelay || '';
+      
       navigateToScreen('app-settings');
       hideLoading();
     })
@@ -320,17 +638,26 @@ function saveAppSettings() {
   showLoading('Saving settings...');
   
   // Get values from the form
+  // Start from the stored settings so values not on the form survive
   const form = document.getElementById('settings-form');
-  const settings = {
+  const settings = Object.assign({}, appState.selectedAppSettings, {
     screenSize: form.querySelector('#screen-size').value,
     orientation: form.querySelector('#orientation').value,
     fontSize: form.querySelector('#font-size').value,
     soundEnabled: form.querySelector('#sound-enabled').checked,
+    jitEnabled: form.querySelector('#jit-enabled').checked,
+    fileSandbox: form.querySelector('#file-sandbox').checked,
     keyMapping: getDefaultKeyMapping() // We'll use default key mapping for now
-  };
+  });
+  
+  const globalSettings = Object.assign({}, appState.globalSettings, {
+    httpProxy: form.querySelector('#http-proxy').value.trim(),
+    socketRelay: form.querySelector('#socket-relay').value.trim()
+  });
   
   // Save the settings
   Storage.saveAppSettings(appState.selectedApp.id, settings)
+    .then(() => Database.saveGlobalSettings(globalSettings))
     .then(() => {
       console.log('Settings saved successfully');
       navigateToScreen('app-details');
@@ -343,6 +670,34 @@ function saveAppSettings() {
     });
 }
 
+// Get the settings text field that has the focus and text to clear
+function getClearableSettingsText() {
+  const input = document.activeElement;
+  if (!MidletScreen.isTextEntry(input) || !input.closest('#settings-form')) return null;
+  return input.value === '' ? null : input;
+}
+
+// Delete the selection, or the character before the caret, of the focused
+// settings text field, as a handset's right soft key does; returns false
+// if there was nothing to clear, so the key can go back instead
+function clearSettingsText() {
+  const input = getClearableSettingsText();
+  if (!input) return false;
+  
+  const length = input.value.length;
+  const end = input.selectionEnd === null ? length : input.selectionEnd;
+  let start = input.selectionStart === null ? length : input.selectionStart;
+  if (start === end) start = Math.max(0, end - 1);
+  if (start === end) {
+    // Nothing before the caret; take the last character
+    input.setRangeText('', length - 1, length, 'end');
+  } else {
+    input.setRangeText('', start, end, 'end');
+  }
+  updateSoftkeys();
+  return true;
+}
+
 // Get default key mapping
 function getDefaultKeyMapping() {
   return {
@@ -386,15 +741,22 @@ function deleteApp(appId) {
     .then(appData => {
       // Delete the app data from the database
       return Database.deleteAppData(appId)
-        .then(() => {
-          // Delete the JAR file if it exists
-          if (appData.path) {
-            return Storage.deleteFile(appData.path)
+        // The MIDlet's saved data goes with it
+        .then(() => Database.deleteRecordStores(appId))
+        .then(() => Database.deleteMessages(appId))
+        // So do the files its MIDlets kept in their sandbox folder
+        .then(() => Storage.listFiles(Storage.getAppFilesDirectory(appId), true).catch(() => []))
+        .then(files => {
+          // Delete the JAR file and its JAD if they exist, and the files
+          const paths = [appData.path, appData.jadPath].filter(Boolean)
+            .concat(files.map(file => file.path));
+          return Promise.all(paths.map(path => {
+            return Storage.deleteFile(path)
               .catch(error => {
-                console.warn(`Failed to delete JAR file: ${appData.path}`, error);
+                console.warn(`Failed to delete file: ${path}`, error);
                 // Continue even if file deletion fails
               });
-          }
+          }));
         });
     })
     .then(() => {
@@ -443,8 +805,8 @@ function navigateToScreen(screenId) {
     screen.classList.remove('active');
   });
   
-  // Show the requested screen
-  screens[screenId.replace('-', '')].classList.add('active');
+  // Show the requested screen ('app-list' is stored as screens.appList)
+  screens[screenId.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase())].classList.add('active');
   
   // Update app state
   appState.currentScreen = screenId;
@@ -480,21 +842,27 @@ function updateSoftkeys() {
         );
         break;
       case 'app-settings':
-        window.SoftKeys.update('', 'Save', 'Back');
+        window.SoftKeys.update('', 'Save', getClearableSettingsText() ? 'Clear' : 'Back');
         window.SoftKeys.setActions(
           null,
           () => saveAppSettings(),
-          () => navigateToScreen('app-details')
+          () => clearSettingsText() || navigateToScreen('app-details')
         );
         break;
-      case 'emulator-screen':
-        window.SoftKeys.update('Menu', 'Select', 'Back');
+      case 'midlet-chooser':
+        window.SoftKeys.update('', 'Start', 'Back');
         window.SoftKeys.setActions(
-          () => toggleEmulatorMenu(),
-          () => EmulatorCore.handleSelect(),
-          () => stopEmulator()
+          null,
+          () => launchSelectedMidlet(),
+          () => closeMidletChooser()
         );
         break;
+      case 'emulator-screen': {
+        const keys = getEmulatorSoftkeys();
+        window.SoftKeys.update(keys.left.label, keys.center.label, keys.right.label);
+        window.SoftKeys.setActions(keys.left.action, keys.center.action, keys.right.action);
+        break;
+      }
       case 'file-browser':
         window.SoftKeys.update('', 'Select', 'Back');
         window.SoftKeys.setActions(
@@ -503,6 +871,38 @@ function updateSoftkeys() {
           () => navigateToScreen('app-list')
         );
         break;
+      case 'record-stores':
+        window.SoftKeys.update(RmsEditor.isPicking() ? '' : 'Delete', 'Open', 'Back');
+        window.SoftKeys.setActions(
+          RmsEditor.isPicking() ? null : () => RmsEditor.deleteFocused(),
+          () => Navigation.activate('record-stores'),
+          () => RmsEditor.close()
+        );
+        break;
+      case 'record-editor':
+        window.SoftKeys.update('Delete', 'Save', 'Back');
+        window.SoftKeys.setActions(
+          () => RmsEditor.deleteRecord(),
+          () => RmsEditor.saveRecord(),
+          () => RmsEditor.closeRecord()
+        );
+        break;
+      case 'messages':
+        window.SoftKeys.update('Delete', 'Select', 'Back');
+        window.SoftKeys.setActions(
+          () => MessageOutbox.deleteFocused(),
+          () => Navigation.activate('messages'),
+          () => MessageOutbox.close()
+        );
+        break;
+      case 'message-composer':
+        window.SoftKeys.update('', 'Send', 'Back');
+        window.SoftKeys.setActions(
+          null,
+          () => MessageOutbox.send(),
+          () => MessageOutbox.closeComposer()
+        );
+        break;
       default:
         window.SoftKeys.update('', '', 'Back');
         window.SoftKeys.setActions(null, null, () => navigateToScreen('app-list'));
@@ -523,18 +923,45 @@ function updateSoftkeys() {
       case 'app-settings':
         elements.softkeyLeft.textContent = '';
         elements.softkeyCenter.textContent = 'Save';
-        elements.softkeyRight.textContent = 'Back';
+        elements.softkeyRight.textContent = getClearableSettingsText() ? 'Clear' : 'Back';
         break;
-      case 'emulator-screen':
-        elements.softkeyLeft.textContent = 'Menu';
-        elements.softkeyCenter.textContent = 'Select';
+      case 'midlet-chooser':
+        elements.softkeyLeft.textContent = '';
+        elements.softkeyCenter.textContent = 'Start';
         elements.softkeyRight.textContent = 'Back';
         break;
+      case 'emulator-screen': {
+        const keys = getEmulatorSoftkeys();
+        elements.softkeyLeft.textContent = keys.left.label;
+        elements.softkeyCenter.textContent = keys.center.label;
+        elements.softkeyRight.textContent = keys.right.label;
+        break;
+      }
       case 'file-browser':
         elements.softkeyLeft.textContent = '';
         elements.softkeyCenter.textContent = 'Select';
         elements.softkeyRight.textContent = 'Back';
         break;
+      case 'record-stores':
+        elements.softkeyLeft.textContent = RmsEditor.isPicking() ? '' : 'Delete';
+        elements.softkeyCenter.textContent = 'Open';
+        elements.softkeyRight.textContent = 'Back';
+        break;
+      case 'record-editor':
+        elements.softkeyLeft.textContent = 'Delete';
+        elements.softkeyCenter.textContent = 'Save';
+        elements.softkeyRight.textContent = 'Back';
+        break;
+      case 'messages':
+        elements.softkeyLeft.textContent = 'Delete';
+        elements.softkeyCenter.textContent = 'Select';
+        elements.softkeyRight.textContent = 'Back';
+        break;
+      case 'message-composer':
+        elements.softkeyLeft.textContent = '';
+        elements.softkeyCenter.textContent = 'Send';
+        elements.softkeyRight.textContent = 'Back';
+        break;
       default:
         elements.softkeyLeft.textContent = '';
         elements.softkeyCenter.textContent = '';
@@ -543,6 +970,17 @@ function updateSoftkeys() {
   }
 }
 
+// Get the emulator screen's soft keys: the MIDlet's commands where it has
+// them, the emulator's own menu, select and exit otherwise
+function getEmulatorSoftkeys() {
+  const keys = MidletCommands.getSoftKeys();
+  return {
+    left: keys.left || { label: 'Menu', action: () => toggleEmulatorMenu() },
+    center: keys.center || { label: 'Select', action: () => EmulatorCore.handleSelect() },
+    right: keys.right || { label: 'Back', action: () => stopEmulator() }
+  };
+}
+
 // Handle key presses
 function handleKeyDown(e) {
   // Skip if loading
@@ -550,18 +988,18 @@ function handleKeyDown(e) {
   
   console.log(`Key pressed: ${e.key}, keyCode: ${e.keyCode}`);
   
-  // For CloudFone devices, use the CloudFone navigation system
-  if (appState.isCloudFoneDevice && window.Navigation) {
-    // Let CloudFone navigation handle the keys
-    return;
-  }
-  
   // Handle emulator screen keys separately
   if (appState.currentScreen === 'emulator-screen') {
     handleEmulatorKeys(e);
     return;
   }
   
+  // For CloudFone devices, use the CloudFone navigation system
+  if (appState.isCloudFoneDevice && window.Navigation) {
+    // Let CloudFone navigation handle the keys
+    return;
+  }
+  
   // Handle file browser keys separately
   if (appState.currentScreen === 'file-browser') {
     FileBrowser.handleKeys(e.key);
@@ -593,6 +1031,8 @@ function handleKeyDown(e) {
       break;
     case 'Backspace':
     case 'Escape':
+      // Backspace deletes in the record editor's hex
+      if (e.key === 'Backspace' && MidletScreen.isTextEntry(e.target)) break;
       handleBackspace();
       e.preventDefault();
       break;
@@ -681,61 +1121,75 @@ function handleNumericKey(key) {
 
 // Handle emulator keys
 function handleEmulatorKeys(e) {
-  // CloudFone compatible key mapping for J2ME
-  const keyMap = {
-    'ArrowUp': 'UP',
-    'ArrowDown': 'DOWN',
-    'ArrowLeft': 'LEFT',
-    'ArrowRight': 'RIGHT',
-    'Enter': 'SELECT',
-    'Digit1': '1',
-    'Digit2': '2',
-    'Digit3': '3',
-    'Digit4': '4',
-    'Digit5': '5',
-    'Digit6': '6',
-    'Digit7': '7',
-    'Digit8': '8',
-    'Digit9': '9',
-    'Digit0': '0',
-    '1': '1',
-    '2': '2',
-    '3': '3',
-    '4': '4',
-    '5': '5',
-    '6': '6',
-    '7': '7',
-    '8': '8',
-    '9': '9',
-    '0': '0',
-    'NumpadMultiply': 'STAR',
-    '*': 'STAR',
-    '#': 'POUND'
-  };
+  // On CloudFone devices the navigation module already turns these into
+  // soft key presses
+  if (appState.isCloudFoneDevice && window.Navigation &&
+      ['Escape', 'Backspace', 'F1', 'F2', 'ContextMenu'].includes(e.key)) {
+    return;
+  }
+  
+  // The emulator's menu has a key of its own, since the MIDlet's commands
+  // or a full-screen Canvas may take the soft keys
+  if (emulatorMenuKeys.includes(e.key)) {
+    MidletCommands.closeMenu();
+    toggleEmulatorMenu();
+    e.preventDefault();
+    return;
+  }
+  
+  // Backspace deletes in a MIDlet's text fields rather than going back
+  if (e.key === 'Backspace' && MidletScreen.isTextEntry(e.target)) return;
   
   // Handle CloudFone soft keys
   if (e.key === 'SoftRight' || e.key === 'F2' || e.key === 'Escape' || e.key === 'Backspace') {
-    stopEmulation();
-    navigateToScreen('app-details');
+    getEmulatorSoftkeys().right.action();
     e.preventDefault();
     return;
   }
   
   if (e.key === 'SoftLeft' || e.key === 'F1' || e.key === 'ContextMenu') {
-    // Show emulator menu
-    toggleEmulatorMenu();
+    getEmulatorSoftkeys().left.action();
     e.preventDefault();
     return;
   }
   
+  // The options menu of the MIDlet's commands takes the D-pad while open
+  if (MidletCommands.isMenuOpen()) {
+    MidletCommands.handleKeyDown(e);
+    return;
+  }
+  
   // Map key to J2ME key and send to emulator
-  const j2meKey = keyMap[e.key];
+  const j2meKey = emulatorKeyMap[e.key];
+  
+  // Forms, lists and the like take the keys while they are shown
+  if (MidletScreen.isShown()) {
+    MidletScreen.handleKeyDown(e, j2meKey);
+    return;
+  }
+  
   if (j2meKey && EmulatorCore && EmulatorCore.handleKeyDown) {
     EmulatorCore.handleKeyDown(j2meKey);
     e.preventDefault();
   }
 }
 
+// Handle key releases; only the emulator needs them
+function handleKeyUp(e) {
+  if (appState.currentScreen !== 'emulator-screen') return;
+  
+  const j2meKey = emulatorKeyMap[e.key];
+  if (MidletScreen.isShown()) {
+    MidletScreen.handleKeyUp(e, j2meKey);
+    return;
+  }
+  
+  if (j2meKey && EmulatorCore && EmulatorCore.handleKeyUp) {
+    EmulatorCore.handleKeyUp(j2meKey);
+    e.preventDefault();
+  }
+}
+
 // Stop emulation
 function stopEmulation() {
   EmulatorCore.stop()
@@ -755,6 +1209,11 @@ function handleArrowUp() {
         selectApp(appState.selectedAppIndex - 1);
       }
       break;
+    case 'midlet-chooser':
+      if (appState.selectedMidletIndex > 0) {
+        selectMidlet(appState.selectedMidletIndex - 1);
+      }
+      break;
     case 'app-details':
       // Focus on previous button
       const buttons = document.querySelectorAll('.button-container button');
@@ -786,6 +1245,11 @@ function handleArrowDown() {
         selectApp(appState.selectedAppIndex + 1);
       }
       break;
+    case 'midlet-chooser':
+      if (appState.selectedMidletIndex < appState.midletChoices.length - 1) {
+        selectMidlet(appState.selectedMidletIndex + 1);
+      }
+      break;
     case 'app-details':
       // Focus on next button
       const buttons = document.querySelectorAll('.button-container button');
@@ -827,6 +1291,9 @@ function handleEnter() {
         openAppDetails();
       }
       break;
+    case 'midlet-chooser':
+      launchSelectedMidlet();
+      break;
     case 'app-details':
       // Check if a button is focused
       const focusedButton = document.querySelector('.button-container button:focus');
@@ -868,6 +1335,15 @@ function handleSoftLeft() {
     case 'app-list':
       openFileBrowser();
       break;
+    case 'record-stores':
+      if (!RmsEditor.isPicking()) RmsEditor.deleteFocused();
+      break;
+    case 'record-editor':
+      RmsEditor.deleteRecord();
+      break;
+    case 'messages':
+      MessageOutbox.deleteFocused();
+      break;
     // Handle other screens
   }
 }
@@ -878,13 +1354,31 @@ function handleSoftRight() {
     case 'app-list':
       // In a real app, this would close the application
       break;
-    case 'app-details':
     case 'app-settings':
+      if (clearSettingsText()) break;
+      navigateToScreen('app-list');
+      break;
+    case 'app-details':
       navigateToScreen('app-list');
       break;
     case 'file-browser':
       navigateToScreen('app-list');
       break;
+    case 'record-stores':
+      RmsEditor.close();
+      break;
+    case 'record-editor':
+      RmsEditor.closeRecord();
+      break;
+    case 'messages':
+      MessageOutbox.close();
+      break;
+    case 'message-composer':
+      MessageOutbox.closeComposer();
+      break;
+    case 'midlet-chooser':
+      closeMidletChooser();
+      break;
     case 'emulator-screen':
       // Stop emulation and return to app details
       stopEmulation();
@@ -925,12 +1419,10 @@ function stopEmulator() {
   }
 }
 
+// The emulator's menu opens the running app's messages, where messages can
+// be written for it to receive
 function toggleEmulatorMenu() {
-  // Toggle emulator menu (placeholder)
-  console.log('Emulator menu toggled');
-  if (EmulatorCore && EmulatorCore.toggleMenu) {
-    EmulatorCore.toggleMenu();
-  }
+  openAppMessages(true);
 }
 
 // Initialize the application when the DOM is ready
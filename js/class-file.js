@@ -0,0 +1,1067 @@
+/**
+ * J2ME Loader for CloudFone
+ * Java class file parser
+ *
+ * Parses class files of versions 45 through 50 (JDK 1.1 to Java 6, which
+ * covers everything CLDC toolchains produce) into class objects the VM
+ * links against. Malformed input is reported as a ClassFormatError that
+ * names the class and the byte offset of the problem.
+ */
+
+// Class file constants
+const classFileConstants = {
+  MAGIC: 0xcafebabe,
+  MIN_MAJOR_VERSION: 45,
+  MAX_MAJOR_VERSION: 50,
+
+  // Constant pool tags
+  CONSTANT_Utf8: 1,
+  CONSTANT_Integer: 3,
+  CONSTANT_Float: 4,
+  CONSTANT_Long: 5,
+  CONSTANT_Double: 6,
+  CONSTANT_Class: 7,
+  CONSTANT_String: 8,
+  CONSTANT_Fieldref: 9,
+  CONSTANT_Methodref: 10,
+  CONSTANT_InterfaceMethodref: 11,
+  CONSTANT_NameAndType: 12,
+  CONSTANT_MethodHandle: 15,
+  CONSTANT_MethodType: 16,
+  CONSTANT_InvokeDynamic: 18,
+
+  // Verification types used by StackMap and StackMapTable
+  ITEM_Top: 0,
+  ITEM_Integer: 1,
+  ITEM_Float: 2,
+  ITEM_Double: 3,
+  ITEM_Long: 4,
+  ITEM_Null: 5,
+  ITEM_UninitializedThis: 6,
+  ITEM_Object: 7,
+  ITEM_Uninitialized: 8
+};
+
+// Access flags
+const ACC = {
+  PUBLIC: 0x0001,
+  PRIVATE: 0x0002,
+  PROTECTED: 0x0004,
+  STATIC: 0x0008,
+  FINAL: 0x0010,
+  SUPER: 0x0020,
+  SYNCHRONIZED: 0x0020,
+  VOLATILE: 0x0040,
+  BRIDGE: 0x0040,
+  TRANSIENT: 0x0080,
+  VARARGS: 0x0080,
+  NATIVE: 0x0100,
+  INTERFACE: 0x0200,
+  ABSTRACT: 0x0400,
+  STRICT: 0x0800,
+  SYNTHETIC: 0x1000,
+  ANNOTATION: 0x2000,
+  ENUM: 0x4000
+};
+
+/**
+ * Create a ClassFormatError
+ * @param {string} className - Class being parsed, if known
+ * @param {string} message - What is wrong
+ * @param {number} [offset] - Byte offset of the problem
+ * @returns {Error} Error named ClassFormatError
+ */
+function createClassFormatError(className, message, offset = -1) {
+  const location = offset >= 0 ? ` (at byte ${offset})` : '';
+  const error = new Error(`${className || '<unknown class>'}: ${message}${location}`);
+  error.name = 'ClassFormatError';
+  error.className = className || null;
+  error.offset = offset;
+  return error;
+}
+
+/**
+ * Create a bounds-checked big-endian reader over class file bytes
+ * @param {Uint8Array} bytes - Class file contents
+ * @param {Object} context - Parse context used for error messages
+ * @returns {Object} Reader
+ */
+function createClassReader(bytes, context) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  return {
+    bytes: bytes,
+    view: view,
+    pos: 0,
+
+    require(count) {
+      if (this.pos + count > bytes.length) {
+        throw createClassFormatError(context.className, 'Truncated class file', this.pos);
+      }
+    },
+
+    u1() {
+      this.require(1);
+      return bytes[this.pos++];
+    },
+
+    u2() {
+      this.require(2);
+      const value = view.getUint16(this.pos);
+      this.pos += 2;
+      return value;
+    },
+
+    u4() {
+      this.require(4);
+      const value = view.getUint32(this.pos);
+      this.pos += 4;
+      return value;
+    },
+
+    s4() {
+      this.require(4);
+      const value = view.getInt32(this.pos);
+      this.pos += 4;
+      return value;
+    },
+
+    f4() {
+      this.require(4);
+      const value = view.getFloat32(this.pos);
+      this.pos += 4;
+      return value;
+    },
+
+    s8() {
+      this.require(8);
+      const value = (BigInt(view.getInt32(this.pos)) << 32n) | BigInt(view.getUint32(this.pos + 4));
+      this.pos += 8;
+      return value;
+    },
+
+    f8() {
+      this.require(8);
+      const value = view.getFloat64(this.pos);
+      this.pos += 8;
+      return value;
+    },
+
+    slice(count) {
+      this.require(count);
+      const value = bytes.subarray(this.pos, this.pos + count);
+      this.pos += count;
+      return value;
+    }
+  };
+}
+
+/**
+ * Decode a modified UTF-8 string as stored in class files
+ * @param {Uint8Array} bytes - Encoded bytes
+ * @returns {string|null} Decoded string, or null if the encoding is invalid
+ */
+function decodeModifiedUtf8(bytes) {
+  let result = '';
+  let chunk = [];
+
+  for (let i = 0; i < bytes.length; i++) {
+    const b = bytes[i];
+    let code;
+
+    if (b === 0 || b >= 0xf0) {
+      // Modified UTF-8 never contains raw NUL or 4-byte sequences
+      return null;
+    } else if (b < 0x80) {
+      code = b;
+    } else if ((b & 0xe0) === 0xc0) {
+      if (i + 1 >= bytes.length || (bytes[i + 1] & 0xc0) !== 0x80) return null;
+      code = ((b & 0x1f) << 6) | (bytes[++i] & 0x3f);
+    } else if ((b & 0xf0) === 0xe0) {
+      if (i + 2 >= bytes.length || (bytes[i + 1] & 0xc0) !== 0x80 || (bytes[i + 2] & 0xc0) !== 0x80) return null;
+      code = ((b & 0x0f) << 12) | ((bytes[++i] & 0x3f) << 6) | (bytes[++i] & 0x3f);
+    } else {
+      return null;
+    }
+
+    // Supplementary characters are stored as two encoded surrogates, which
+    // is exactly the UTF-16 representation JavaScript strings use
+    chunk.push(code);
+    if (chunk.length >= 4096) {
+      result += String.fromCharCode.apply(null, chunk);
+      chunk = [];
+    }
+  }
+
+  return result + String.fromCharCode.apply(null, chunk);
+}
+
+/**
+ * Parse a field descriptor starting at an offset
+ * @param {string} descriptor - Descriptor string
+ * @param {number} start - Offset of the type
+ * @returns {number} Offset just past the type, or -1 if invalid
+ */
+function scanFieldType(descriptor, start) {
+  let pos = start;
+  let dimensions = 0;
+
+  while (descriptor.charAt(pos) === '[') {
+    pos++;
+    dimensions++;
+  }
+  if (dimensions > 255) return -1;
+
+  switch (descriptor.charAt(pos)) {
+    case 'B': case 'C': case 'D': case 'F': case 'I': case 'J': case 'S': case 'Z':
+      return pos + 1;
+    case 'L': {
+      const end = descriptor.indexOf(';', pos);
+      // Class names can't be empty or contain '.', '[' or another 'L...;'
+      if (end <= pos + 1 || /[.\[;]/.test(descriptor.substring(pos + 1, end))) return -1;
+      return end + 1;
+    }
+    default:
+      return -1;
+  }
+}
+
+/**
+ * Check a field descriptor
+ * @param {string} descriptor - Descriptor string
+ * @returns {boolean} True if valid
+ */
+function isValidFieldDescriptor(descriptor) {
+  return scanFieldType(descriptor, 0) === descriptor.length;
+}
+
+/**
+ * Parse a method descriptor
+ * @param {string} descriptor - Descriptor such as "(IJLjava/lang/String;)V"
+ * @returns {Object|null} Argument types, return type and argument slot count, or null if invalid
+ */
+function parseMethodDescriptor(descriptor) {
+  if (descriptor.charAt(0) !== '(') return null;
+
+  const argTypes = [];
+  let argSlots = 0;
+  let pos = 1;
+
+  while (descriptor.charAt(pos) !== ')') {
+    const end = scanFieldType(descriptor, pos);
+    if (end < 0) return null;
+
+    const type = descriptor.substring(pos, end);
+    argTypes.push(type);
+    argSlots += (type === 'J' || type === 'D') ? 2 : 1;
+    pos = end;
+  }
+
+  pos++;
+  let returnType;
+  if (descriptor.charAt(pos) === 'V' && pos + 1 === descriptor.length) {
+    returnType = 'V';
+  } else {
+    if (scanFieldType(descriptor, pos) !== descriptor.length) return null;
+    returnType = descriptor.substring(pos);
+  }
+
+  return {
+    argTypes: argTypes,
+    returnType: returnType,
+    argSlots: argSlots
+  };
+}
+
+/**
+ * Parse a class file
+ * @param {Uint8Array} bytes - Class file contents
+ * @param {string} [expectedName] - Internal name the class was loaded as, e.g. "com/foo/Bar"
+ * @returns {Object} Parsed class
+ */
+function parseClassFile(bytes, expectedName = null) {
+  const context = { className: expectedName };
+  const reader = createClassReader(bytes, context);
+
+  if (reader.u4() !== classFileConstants.MAGIC) {
+    throw createClassFormatError(context.className, 'Bad magic number, not a class file', 0);
+  }
+
+  const minorVersion = reader.u2();
+  const majorVersion = reader.u2();
+  if (majorVersion < classFileConstants.MIN_MAJOR_VERSION || majorVersion > classFileConstants.MAX_MAJOR_VERSION) {
+    throw createClassFormatError(context.className,
+      `Unsupported class file version ${majorVersion}.${minorVersion} ` +
+      `(supported: ${classFileConstants.MIN_MAJOR_VERSION}.0 to ${classFileConstants.MAX_MAJOR_VERSION}.0)`, 4);
+  }
+
+  const constantPool = readConstantPool(reader, context, majorVersion);
+  const pool = createPoolAccessor(constantPool, context);
+
+  const accessFlags = reader.u2();
+  const nameOffset = reader.pos;
+  const name = pool.className(reader.u2(), nameOffset);
+  context.className = name;
+
+  if (expectedName && name !== expectedName) {
+    throw createClassFormatError(expectedName, `Class file contains wrong class: ${name}`, nameOffset);
+  }
+
+  const isInterface = (accessFlags & ACC.INTERFACE) !== 0;
+  if (isInterface && !(accessFlags & ACC.ABSTRACT) && majorVersion >= 50) {
+    throw createClassFormatError(name, 'Interface is not abstract', nameOffset - 2);
+  }
+  if ((accessFlags & ACC.FINAL) && (accessFlags & ACC.ABSTRACT)) {
+    throw createClassFormatError(name, 'Class is both final and abstract', nameOffset - 2);
+  }
+
+  const superOffset = reader.pos;
+  const superIndex = reader.u2();
+  const superName = superIndex === 0 ? null : pool.className(superIndex, superOffset);
+  if (superName === null && name !== 'java/lang/Object') {
+    throw createClassFormatError(name, 'Class has no superclass', superOffset);
+  }
+  if (isInterface && superName !== 'java/lang/Object') {
+    throw createClassFormatError(name, 'Interface superclass must be java/lang/Object', superOffset);
+  }
+
+  const interfaceCount = reader.u2();
+  const interfaceNames = [];
+  for (let i = 0; i < interfaceCount; i++) {
+    const offset = reader.pos;
+    interfaceNames.push(pool.className(reader.u2(), offset));
+  }
+
+  const fields = readFields(reader, pool, context, isInterface);
+  const methods = readMethods(reader, pool, context, isInterface, majorVersion);
+
+  const classInfo = {
+    name: name,
+    superName: superName,
+    interfaceNames: interfaceNames,
+    accessFlags: accessFlags,
+    majorVersion: majorVersion,
+    minorVersion: minorVersion,
+    constantPool: constantPool,
+    fields: fields,
+    methods: methods,
+    sourceFile: null,
+    innerClasses: [],
+    enclosingMethod: null,
+    signature: null,
+    attributes: {}
+  };
+
+  readAttributes(reader, pool, context, (attributeName, length, start) => {
+    switch (attributeName) {
+      case 'SourceFile':
+        classInfo.sourceFile = pool.utf8(reader.u2(), start);
+        return true;
+      case 'InnerClasses':
+        classInfo.innerClasses = readInnerClasses(reader, pool);
+        return true;
+      case 'EnclosingMethod': {
+        const classIndex = reader.u2();
+        const methodIndex = reader.u2();
+        classInfo.enclosingMethod = {
+          className: pool.className(classIndex, start),
+          method: methodIndex === 0 ? null : pool.nameAndType(methodIndex, start + 2)
+        };
+        return true;
+      }
+      case 'Signature':
+        classInfo.signature = pool.utf8(reader.u2(), start);
+        return true;
+      default:
+        return false;
+    }
+  }, classInfo.attributes);
+
+  if (reader.pos !== bytes.length) {
+    // Some obfuscators append junk after the class; it's harmless
+    console.warn(`${name}: ${bytes.length - reader.pos} extra bytes after class file`);
+  }
+
+  return classInfo;
+}
+
+/**
+ * Read the constant pool
+ * @param {Object} reader - Class reader
+ * @param {Object} context - Parse context
+ * @param {number} majorVersion - Class file major version
+ * @returns {Array<Object>} Constant pool entries (index 0 and long/double upper halves are null)
+ */
+function readConstantPool(reader, context, majorVersion) {
+  const count = reader.u2();
+  if (count === 0) {
+    throw createClassFormatError(context.className, 'Empty constant pool', reader.pos - 2);
+  }
+
+  const pool = new Array(count).fill(null);
+
+  // First pass: read raw entries; references are resolved afterwards
+  // because entries may point forward
+  for (let i = 1; i < count; i++) {
+    const offset = reader.pos;
+    const tag = reader.u1();
+    const entry = { tag: tag, offset: offset };
+
+    switch (tag) {
+      case classFileConstants.CONSTANT_Utf8: {
+        const length = reader.u2();
+        entry.value = decodeModifiedUtf8(reader.slice(length));
+        if (entry.value === null) {
+          throw createClassFormatError(context.className, `Invalid modified UTF-8 in constant #${i}`, offset);
+        }
+        break;
+      }
+      case classFileConstants.CONSTANT_Integer:
+        entry.value = reader.s4();
+        break;
+      case classFileConstants.CONSTANT_Float:
+        entry.value = reader.f4();
+        break;
+      case classFileConstants.CONSTANT_Long:
+        entry.value = reader.s8();
+        break;
+      case classFileConstants.CONSTANT_Double:
+        entry.value = reader.f8();
+        break;
+      case classFileConstants.CONSTANT_Class:
+      case classFileConstants.CONSTANT_String:
+        entry.index = reader.u2();
+        break;
+      case classFileConstants.CONSTANT_Fieldref:
+      case classFileConstants.CONSTANT_Methodref:
+      case classFileConstants.CONSTANT_InterfaceMethodref:
+        entry.classIndex = reader.u2();
+        entry.nameAndTypeIndex = reader.u2();
+        break;
+      case classFileConstants.CONSTANT_NameAndType:
+        entry.nameIndex = reader.u2();
+        entry.descriptorIndex = reader.u2();
+        break;
+      case classFileConstants.CONSTANT_MethodHandle:
+      case classFileConstants.CONSTANT_MethodType:
+      case classFileConstants.CONSTANT_InvokeDynamic:
+        throw createClassFormatError(context.className,
+          `Constant #${i} has tag ${tag}, which requires class version 51 but the class is version ${majorVersion}`, offset);
+      default:
+        throw createClassFormatError(context.className, `Unknown constant pool tag ${tag} at #${i}`, offset);
+    }
+
+    pool[i] = entry;
+
+    // Longs and doubles take two slots; the second one is unusable
+    if (tag === classFileConstants.CONSTANT_Long || tag === classFileConstants.CONSTANT_Double) {
+      i++;
+      if (i >= count) {
+        throw createClassFormatError(context.className, `Constant #${i - 1} overflows the constant pool`, offset);
+      }
+    }
+  }
+
+  // Second pass: check references and inline the strings they point to
+  const utf8At = (index, from, what) => {
+    const target = index > 0 && index < count ? pool[index] : null;
+    if (!target || target.tag !== classFileConstants.CONSTANT_Utf8) {
+      throw createClassFormatError(context.className, `${what} of constant #${from} is not a UTF-8 constant (#${index})`, pool[from].offset);
+    }
+    return target.value;
+  };
+
+  for (let i = 1; i < count; i++) {
+    const entry = pool[i];
+    if (!entry) continue;
+
+    switch (entry.tag) {
+      case classFileConstants.CONSTANT_Class:
+        entry.name = utf8At(entry.index, i, 'Name');
+        if (entry.name.length === 0 || (entry.name.charAt(0) === '[' && !isValidFieldDescriptor(entry.name))) {
+          throw createClassFormatError(context.className, `Invalid class name "${entry.name}" in constant #${i}`, entry.offset);
+        }
+        break;
+      case classFileConstants.CONSTANT_String:
+        entry.value = utf8At(entry.index, i, 'Value');
+        break;
+      case classFileConstants.CONSTANT_NameAndType:
+        entry.name = utf8At(entry.nameIndex, i, 'Name');
+        entry.descriptor = utf8At(entry.descriptorIndex, i, 'Descriptor');
+        break;
+    }
+  }
+
+  for (let i = 1; i < count; i++) {
+    const entry = pool[i];
+    if (!entry) continue;
+
+    if (entry.tag === classFileConstants.CONSTANT_Fieldref ||
+        entry.tag === classFileConstants.CONSTANT_Methodref ||
+        entry.tag === classFileConstants.CONSTANT_InterfaceMethodref) {
+      const classEntry = pool[entry.classIndex];
+      const nameAndType = pool[entry.nameAndTypeIndex];
+
+      if (!classEntry || classEntry.tag !== classFileConstants.CONSTANT_Class) {
+        throw createClassFormatError(context.className, `Class of member reference #${i} is not a class constant`, entry.offset);
+      }
+      if (!nameAndType || nameAndType.tag !== classFileConstants.CONSTANT_NameAndType) {
+        throw createClassFormatError(context.className, `Member reference #${i} has no NameAndType`, entry.offset);
+      }
+
+      entry.className = classEntry.name;
+      entry.name = nameAndType.name;
+      entry.descriptor = nameAndType.descriptor;
+
+      const validDescriptor = entry.tag === classFileConstants.CONSTANT_Fieldref
+        ? isValidFieldDescriptor(entry.descriptor)
+        : parseMethodDescriptor(entry.descriptor) !== null;
+      if (!validDescriptor) {
+        throw createClassFormatError(context.className, `Invalid descriptor "${entry.descriptor}" in constant #${i}`, entry.offset);
+      }
+    }
+  }
+
+  return pool;
+}
+
+/**
+ * Create typed accessors for constant pool lookups
+ * @param {Array<Object>} constantPool - Constant pool
+ * @param {Object} context - Parse context
+ * @returns {Object} Accessor functions
+ */
+function createPoolAccessor(constantPool, context) {
+  const get = (index, tag, what, offset) => {
+    const entry = index > 0 && index < constantPool.length ? constantPool[index] : null;
+    if (!entry || entry.tag !== tag) {
+      throw createClassFormatError(context.className, `Constant #${index} is not a ${what}`, offset);
+    }
+    return entry;
+  };
+
+  return {
+    utf8: (index, offset) => get(index, classFileConstants.CONSTANT_Utf8, 'UTF-8 constant', offset).value,
+    className: (index, offset) => get(index, classFileConstants.CONSTANT_Class, 'class constant', offset).name,
+    nameAndType: (index, offset) => {
+      const entry = get(index, classFileConstants.CONSTANT_NameAndType, 'NameAndType constant', offset);
+      return { name: entry.name, descriptor: entry.descriptor };
+    },
+    constantValue: (index, offset) => {
+      const entry = index > 0 && index < constantPool.length ? constantPool[index] : null;
+      if (!entry || [classFileConstants.CONSTANT_Integer, classFileConstants.CONSTANT_Float,
+                     classFileConstants.CONSTANT_Long, classFileConstants.CONSTANT_Double,
+                     classFileConstants.CONSTANT_String].indexOf(entry.tag) < 0) {
+        throw createClassFormatError(context.className, `Constant #${index} is not a constant value`, offset);
+      }
+      return entry;
+    }
+  };
+}
+
+/**
+ * Walk an attribute table
+ * @param {Object} reader - Class reader
+ * @param {Object} pool - Constant pool accessor
+ * @param {Object} context - Parse context
+ * @param {Function} handler - Called with (name, length, start); returns true if it consumed the attribute
+ * @param {Object} unknown - Receives the raw bytes of attributes the handler didn't consume
+ */
+function readAttributes(reader, pool, context, handler, unknown) {
+  const count = reader.u2();
+
+  for (let i = 0; i < count; i++) {
+    const headerOffset = reader.pos;
+    const attributeName = pool.utf8(reader.u2(), headerOffset);
+    const length = reader.u4();
+    const start = reader.pos;
+    const end = start + length;
+
+    if (end > reader.bytes.length) {
+      throw createClassFormatError(context.className, `Attribute ${attributeName} runs past the end of the class file`, headerOffset);
+    }
+
+    let handled = false;
+    try {
+      handled = handler(attributeName, length, start);
+    } catch (error) {
+      // Debug attributes are frequently mangled by obfuscators; they are
+      // never needed to run the class, so drop them instead of failing
+      if (error.name === 'ClassFormatError' && isOptionalAttribute(attributeName)) {
+        console.warn(`Ignoring malformed ${attributeName} attribute: ${error.message}`);
+        reader.pos = end;
+        continue;
+      }
+      throw error;
+    }
+
+    if (!handled) {
+      unknown[attributeName] = reader.bytes.subarray(start, end);
+      reader.pos = end;
+    } else if (reader.pos !== end) {
+      if (isOptionalAttribute(attributeName)) {
+        console.warn(`${context.className}: ${attributeName} attribute length mismatch, ignoring`);
+        reader.pos = end;
+      } else {
+        throw createClassFormatError(context.className, `${attributeName} attribute has length ${length} but contains ${reader.pos - start} bytes`, headerOffset);
+      }
+    }
+  }
+}
+
+/**
+ * Check whether an attribute only carries debugging or reflection data
+ * @param {string} name - Attribute name
+ * @returns {boolean} True if the class can run without it
+ */
+function isOptionalAttribute(name) {
+  return ['SourceFile', 'LineNumberTable', 'LocalVariableTable', 'LocalVariableTypeTable',
+          'Signature', 'Deprecated', 'Synthetic', 'SourceDebugExtension', 'EnclosingMethod',
+          'InnerClasses', 'StackMap', 'StackMapTable'].indexOf(name) >= 0;
+}
+
+/**
+ * Read the fields table
+ * @param {Object} reader - Class reader
+ * @param {Object} pool - Constant pool accessor
+ * @param {Object} context - Parse context
+ * @param {boolean} isInterface - True when parsing an interface
+ * @returns {Array<Object>} Fields
+ */
+function readFields(reader, pool, context, isInterface) {
+  const count = reader.u2();
+  const fields = [];
+  const seen = new Set();
+
+  for (let i = 0; i < count; i++) {
+    const offset = reader.pos;
+    const accessFlags = reader.u2();
+    const name = pool.utf8(reader.u2(), offset + 2);
+    const descriptor = pool.utf8(reader.u2(), offset + 4);
+
+    if (!isValidFieldDescriptor(descriptor)) {
+      throw createClassFormatError(context.className, `Field ${name} has invalid descriptor "${descriptor}"`, offset);
+    }
+
+    // Obfuscators reuse names with different types, which is legal
+    const key = `${name}:${descriptor}`;
+    if (seen.has(key)) {
+      throw createClassFormatError(context.className, `Duplicate field ${name} ${descriptor}`, offset);
+    }
+    seen.add(key);
+
+    if (isInterface && (accessFlags & (ACC.PUBLIC | ACC.STATIC | ACC.FINAL)) !== (ACC.PUBLIC | ACC.STATIC | ACC.FINAL)) {
+      throw createClassFormatError(context.className, `Interface field ${name} must be public static final`, offset);
+    }
+
+    const field = {
+      name: name,
+      descriptor: descriptor,
+      accessFlags: accessFlags,
+      isStatic: (accessFlags & ACC.STATIC) !== 0,
+      constantValue: null,
+      attributes: {}
+    };
+
+    readAttributes(reader, pool, context, (attributeName, length, start) => {
+      if (attributeName === 'ConstantValue') {
+        const entry = pool.constantValue(reader.u2(), start);
+        field.constantValue = entry.value;
+        return true;
+      }
+      return false;
+    }, field.attributes);
+
+    fields.push(field);
+  }
+
+  return fields;
+}
+
+/**
+ * Read the methods table
+ * @param {Object} reader - Class reader
+ * @param {Object} pool - Constant pool accessor
+ * @param {Object} context - Parse context
+ * @param {boolean} isInterface - True when parsing an interface
+ * @param {number} majorVersion - Class file major version
+ * @returns {Array<Object>} Methods
+ */
+function readMethods(reader, pool, context, isInterface, majorVersion) {
+  const count = reader.u2();
+  const methods = [];
+  const seen = new Set();
+
+  for (let i = 0; i < count; i++) {
+    const offset = reader.pos;
+    const accessFlags = reader.u2();
+    const name = pool.utf8(reader.u2(), offset + 2);
+    const descriptor = pool.utf8(reader.u2(), offset + 4);
+    const signature = parseMethodDescriptor(descriptor);
+
+    if (!signature) {
+      throw createClassFormatError(context.className, `Method ${name} has invalid descriptor "${descriptor}"`, offset);
+    }
+
+    const key = name + descriptor;
+    if (seen.has(key)) {
+      throw createClassFormatError(context.className, `Duplicate method ${name}${descriptor}`, offset);
+    }
+    seen.add(key);
+
+    const isStatic = (accessFlags & ACC.STATIC) !== 0;
+    if (name === '<clinit>') {
+      if (signature.returnType !== 'V' || signature.argTypes.length > 0) {
+        throw createClassFormatError(context.className, `Invalid class initializer descriptor ${descriptor}`, offset);
+      }
+    } else if (name === '<init>' && (isStatic || signature.returnType !== 'V')) {
+      throw createClassFormatError(context.className, `Invalid constructor ${descriptor}`, offset);
+    }
+
+    const method = {
+      name: name,
+      descriptor: descriptor,
+      accessFlags: accessFlags,
+      isStatic: isStatic || name === '<clinit>',
+      argTypes: signature.argTypes,
+      returnType: signature.returnType,
+      argSlots: signature.argSlots,
+      code: null,
+      exceptions: [],
+      signature: null,
+      attributes: {}
+    };
+
+    readAttributes(reader, pool, context, (attributeName, length, start) => {
+      switch (attributeName) {
+        case 'Code':
+          if (method.code) {
+            throw createClassFormatError(context.className, `Method ${name}${descriptor} has two Code attributes`, start - 6);
+          }
+          method.code = readCodeAttribute(reader, pool, context, method, start, length);
+          return true;
+        case 'Exceptions': {
+          const exceptionCount = reader.u2();
+          for (let j = 0; j < exceptionCount; j++) {
+            method.exceptions.push(pool.className(reader.u2(), reader.pos - 2));
+          }
+          return true;
+        }
+        case 'Signature':
+          method.signature = pool.utf8(reader.u2(), start);
+          return true;
+        default:
+          return false;
+      }
+    }, method.attributes);
+
+    const needsCode = !(accessFlags & (ACC.ABSTRACT | ACC.NATIVE));
+    if (needsCode && !method.code) {
+      throw createClassFormatError(context.className, `Method ${name}${descriptor} has no Code attribute`, offset);
+    }
+    if (!needsCode && method.code) {
+      throw createClassFormatError(context.className, `Abstract or native method ${name}${descriptor} has code`, offset);
+    }
+    if (isInterface && name !== '<clinit>' && !(accessFlags & ACC.ABSTRACT)) {
+      throw createClassFormatError(context.className, `Interface method ${name}${descriptor} is not abstract`, offset);
+    }
+
+    methods.push(method);
+  }
+
+  return methods;
+}
+
+/**
+ * Read a Code attribute
+ * @param {Object} reader - Class reader
+ * @param {Object} pool - Constant pool accessor
+ * @param {Object} context - Parse context
+ * @param {Object} method - Method the code belongs to
+ * @param {number} start - Offset of the attribute body
+ * @param {number} length - Attribute length
+ * @returns {Object} Code
+ */
+function readCodeAttribute(reader, pool, context, method, start, length) {
+  const where = `${method.name}${method.descriptor}`;
+  const maxStack = reader.u2();
+  const maxLocals = reader.u2();
+  const codeLength = reader.u4();
+
+  if (codeLength === 0 || codeLength >= 65536) {
+    throw createClassFormatError(context.className, `Method ${where} has invalid code length ${codeLength}`, start + 4);
+  }
+  if (start + 8 + codeLength > start + length) {
+    throw createClassFormatError(context.className, `Code of ${where} overruns its attribute`, start + 4);
+  }
+
+  const minLocals = method.argSlots + (method.isStatic ? 0 : 1);
+  if (maxLocals < minLocals) {
+    throw createClassFormatError(context.className, `Method ${where} has max_locals ${maxLocals}, less than its ${minLocals} argument slots`, start + 2);
+  }
+
+  const bytecode = reader.slice(codeLength);
+
+  const exceptionTableLength = reader.u2();
+  const exceptionTable = [];
+  for (let i = 0; i < exceptionTableLength; i++) {
+    const offset = reader.pos;
+    const startPc = reader.u2();
+    const endPc = reader.u2();
+    const handlerPc = reader.u2();
+    const catchIndex = reader.u2();
+
+    if (startPc >= endPc || endPc > codeLength || handlerPc >= codeLength) {
+      throw createClassFormatError(context.className, `Invalid exception handler range ${startPc}-${endPc} -> ${handlerPc} in ${where}`, offset);
+    }
+
+    exceptionTable.push({
+      startPc: startPc,
+      endPc: endPc,
+      handlerPc: handlerPc,
+      catchType: catchIndex === 0 ? null : pool.className(catchIndex, offset + 6)
+    });
+  }
+
+  const code = {
+    maxStack: maxStack,
+    maxLocals: maxLocals,
+    bytecode: bytecode,
+    exceptionTable: exceptionTable,
+    lineNumbers: null,
+    stackMap: null,
+    attributes: {}
+  };
+
+  readAttributes(reader, pool, context, (attributeName, attributeLength, attributeStart) => {
+    switch (attributeName) {
+      case 'LineNumberTable': {
+        const count = reader.u2();
+        code.lineNumbers = [];
+        for (let i = 0; i < count; i++) {
+          code.lineNumbers.push({ startPc: reader.u2(), line: reader.u2() });
+        }
+        return true;
+      }
+      case 'StackMap':
+        // CLDC preverifier output
+        code.stackMap = readCldcStackMap(reader, pool, context, codeLength);
+        return true;
+      case 'StackMapTable':
+        // Java 6 compressed frames
+        code.stackMap = readStackMapTable(reader, pool, context, method, maxLocals, codeLength);
+        return true;
+      default:
+        return false;
+    }
+  }, code.attributes);
+
+  return code;
+}
+
+/**
+ * Read one verification type
+ * @param {Object} reader - Class reader
+ * @param {Object} pool - Constant pool accessor
+ * @param {Object} context - Parse context
+ * @param {number} codeLength - Length of the method code
+ * @returns {Object} Verification type
+ */
+function readVerificationType(reader, pool, context, codeLength) {
+  const offset = reader.pos;
+  const tag = reader.u1();
+
+  switch (tag) {
+    case classFileConstants.ITEM_Object:
+      return { tag: tag, className: pool.className(reader.u2(), offset + 1) };
+    case classFileConstants.ITEM_Uninitialized: {
+      const newOffset = reader.u2();
+      if (newOffset >= codeLength) {
+        throw createClassFormatError(context.className, `Uninitialized type refers to offset ${newOffset} outside the code`, offset);
+      }
+      return { tag: tag, offset: newOffset };
+    }
+    default:
+      if (tag > classFileConstants.ITEM_Uninitialized) {
+        throw createClassFormatError(context.className, `Invalid verification type ${tag}`, offset);
+      }
+      return { tag: tag };
+  }
+}
+
+/**
+ * Read a list of verification types
+ * @param {Object} reader - Class reader
+ * @param {Object} pool - Constant pool accessor
+ * @param {Object} context - Parse context
+ * @param {number} count - Number of types
+ * @param {number} codeLength - Length of the method code
+ * @returns {Array<Object>} Verification types
+ */
+function readVerificationTypes(reader, pool, context, count, codeLength) {
+  const types = [];
+  for (let i = 0; i < count; i++) {
+    types.push(readVerificationType(reader, pool, context, codeLength));
+  }
+  return types;
+}
+
+/**
+ * Read a CLDC StackMap attribute
+ * @param {Object} reader - Class reader
+ * @param {Object} pool - Constant pool accessor
+ * @param {Object} context - Parse context
+ * @param {number} codeLength - Length of the method code
+ * @returns {Array<Object>} Frames with absolute offsets
+ */
+function readCldcStackMap(reader, pool, context, codeLength) {
+  const count = reader.u2();
+  const frames = [];
+
+  for (let i = 0; i < count; i++) {
+    const offset = reader.pos;
+    const pc = reader.u2();
+    if (pc >= codeLength) {
+      throw createClassFormatError(context.className, `StackMap frame at offset ${pc} is outside the code`, offset);
+    }
+
+    const locals = readVerificationTypes(reader, pool, context, reader.u2(), codeLength);
+    const stack = readVerificationTypes(reader, pool, context, reader.u2(), codeLength);
+    frames.push({ pc: pc, locals: locals, stack: stack });
+  }
+
+  return frames;
+}
+
+/**
+ * Read a StackMapTable attribute, expanding it into full frames
+ * @param {Object} reader - Class reader
+ * @param {Object} pool - Constant pool accessor
+ * @param {Object} context - Parse context
+ * @param {Object} method - Method being parsed
+ * @param {number} maxLocals - Method max_locals
+ * @param {number} codeLength - Length of the method code
+ * @returns {Array<Object>} Frames with absolute offsets
+ */
+function readStackMapTable(reader, pool, context, method, maxLocals, codeLength) {
+  const count = reader.u2();
+  const frames = [];
+
+  // Frames are deltas from the implicit frame built from the descriptor
+  let locals = [];
+  if (!method.isStatic) {
+    locals.push(method.name === '<init>'
+      ? { tag: classFileConstants.ITEM_UninitializedThis }
+      : { tag: classFileConstants.ITEM_Object, className: context.className });
+  }
+  method.argTypes.forEach(type => locals.push(verificationTypeForDescriptor(type)));
+
+  let pc = -1;
+
+  for (let i = 0; i < count; i++) {
+    const offset = reader.pos;
+    const frameType = reader.u1();
+    let stack = [];
+    let delta;
+
+    if (frameType < 64) {
+      delta = frameType;
+    } else if (frameType < 128) {
+      delta = frameType - 64;
+      stack = [readVerificationType(reader, pool, context, codeLength)];
+    } else if (frameType < 247) {
+      throw createClassFormatError(context.className, `Reserved StackMapTable frame type ${frameType}`, offset);
+    } else if (frameType === 247) {
+      delta = reader.u2();
+      stack = [readVerificationType(reader, pool, context, codeLength)];
+    } else if (frameType < 251) {
+      delta = reader.u2();
+      const chop = 251 - frameType;
+      if (chop > locals.length) {
+        throw createClassFormatError(context.className, 'StackMapTable chops more locals than exist', offset);
+      }
+      locals = locals.slice(0, locals.length - chop);
+    } else if (frameType === 251) {
+      delta = reader.u2();
+    } else if (frameType < 255) {
+      delta = reader.u2();
+      locals = locals.concat(readVerificationTypes(reader, pool, context, frameType - 251, codeLength));
+    } else {
+      delta = reader.u2();
+      locals = readVerificationTypes(reader, pool, context, reader.u2(), codeLength);
+      stack = readVerificationTypes(reader, pool, context, reader.u2(), codeLength);
+    }
+
+    pc += delta + 1;
+    if (pc >= codeLength) {
+      throw createClassFormatError(context.className, `StackMapTable frame at offset ${pc} is outside the code`, offset);
+    }
+    if (locals.length > maxLocals) {
+      throw createClassFormatError(context.className, `StackMapTable frame at offset ${pc} has more locals than max_locals`, offset);
+    }
+
+    frames.push({ pc: pc, locals: locals.slice(), stack: stack });
+  }
+
+  return frames;
+}
+
+/**
+ * Map a field descriptor to its verification type
+ * @param {string} type - Field descriptor
+ * @returns {Object} Verification type
+ */
+function verificationTypeForDescriptor(type) {
+  switch (type.charAt(0)) {
+    case 'J':
+      return { tag: classFileConstants.ITEM_Long };
+    case 'D':
+      return { tag: classFileConstants.ITEM_Double };
+    case 'F':
+      return { tag: classFileConstants.ITEM_Float };
+    case 'L':
+      return { tag: classFileConstants.ITEM_Object, className: type.substring(1, type.length - 1) };
+    case '[':
+      return { tag: classFileConstants.ITEM_Object, className: type };
+    default:
+      return { tag: classFileConstants.ITEM_Integer };
+  }
+}
+
+/**
+ * Read an InnerClasses attribute
+ * @param {Object} reader - Class reader
+ * @param {Object} pool - Constant pool accessor
+ * @returns {Array<Object>} Inner class records
+ */
+function readInnerClasses(reader, pool) {
+  const count = reader.u2();
+  const innerClasses = [];
+
+  for (let i = 0; i < count; i++) {
+    const offset = reader.pos;
+    const innerIndex = reader.u2();
+    const outerIndex = reader.u2();
+    const nameIndex = reader.u2();
+    const accessFlags = reader.u2();
+
+    innerClasses.push({
+      innerClass: pool.className(innerIndex, offset),
+      outerClass: outerIndex === 0 ? null : pool.className(outerIndex, offset + 2),
+      simpleName: nameIndex === 0 ? null : pool.utf8(nameIndex, offset + 4),
+      accessFlags: accessFlags
+    });
+  }
+
+  return innerClasses;
+}
+
+// Export functions for use in other modules
+window.ClassFile = {
+  parse: parseClassFile,
+  parseMethodDescriptor: parseMethodDescriptor,
+  isValidFieldDescriptor: isValidFieldDescriptor,
+  createError: createClassFormatError,
+  constants: classFileConstants,
+  ACC: ACC
+};
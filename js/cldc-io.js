@@ -0,0 +1,1057 @@
+/**
+ * J2ME Loader for CloudFone
+ * CLDC 1.1 java.io
+ *
+ * Byte and character streams: InputStream, OutputStream, the ByteArray and
+ * Data streams, PrintStream, Reader, Writer and the stream/charset bridges.
+ *
+ * Library streams are read directly from JavaScript; streams implemented
+ * by the MIDlet are called back through their Java methods.
+ *
+ * Those callbacks can't block, so a native stream whose bytes arrive over
+ * time, such as a socket's or an HTTP response body, carries an inputSource
+ * that DataInputStream and InputStreamReader wait on first; the read itself
+ * then never has to wait. Natives that read a whole stream wait for all of
+ * it the same way.
+ */
+
+// Field slots of library classes with protected fields MIDlets may touch
+const cldcIoSlots = {
+  BAIS_BUF: 0,
+  BAIS_POS: 1,
+  BAIS_MARK: 2,
+  BAIS_COUNT: 3,
+  BAOS_BUF: 0,
+  BAOS_COUNT: 1,
+  FILTER_STREAM: 0,
+  LOCK: 0
+};
+
+/**
+ * Read one byte from any InputStream
+ * @param {Object} thread - Current thread
+ * @param {Object} stream - java.io.InputStream
+ * @returns {number} Byte value 0-255, or -1 at end of stream
+ */
+function cldcIoReadByte(thread, stream) {
+  if (stream === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+
+  if (stream.cls.name === 'java/io/ByteArrayInputStream') {
+    const fields = stream.fields;
+    const pos = fields[cldcIoSlots.BAIS_POS];
+    if (pos >= fields[cldcIoSlots.BAIS_COUNT]) return -1;
+    fields[cldcIoSlots.BAIS_POS] = pos + 1;
+    return fields[cldcIoSlots.BAIS_BUF][pos] & 0xff;
+  }
+
+  return JVM.callVirtual(thread, stream, 'read()I');
+}
+
+/**
+ * Read bytes from any InputStream into part of an array
+ * @param {Object} thread - Current thread
+ * @param {Object} stream - java.io.InputStream
+ * @param {Int8Array} bytes - Destination
+ * @param {number} offset - First index to fill
+ * @param {number} length - Maximum number of bytes
+ * @returns {number} Bytes read, or -1 at end of stream
+ */
+function cldcIoReadBytes(thread, stream, bytes, offset, length) {
+  if (stream === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+
+  if (stream.cls.name === 'java/io/ByteArrayInputStream') {
+    return cldcIoReadArrayStream(stream, bytes, offset, length);
+  }
+  return JVM.callVirtual(thread, stream, 'read([BII)I', [bytes, offset, length]);
+}
+
+/**
+ * Copy bytes out of a ByteArrayInputStream
+ * @param {Object} stream - java.io.ByteArrayInputStream
+ * @param {Int8Array} bytes - Destination
+ * @param {number} offset - First index to fill
+ * @param {number} length - Maximum number of bytes
+ * @returns {number} Bytes read, or -1 at end of stream
+ */
+function cldcIoReadArrayStream(stream, bytes, offset, length) {
+  CldcLang.checkRange(bytes, offset, length, 'java/lang/IndexOutOfBoundsException');
+
+  const fields = stream.fields;
+  const pos = fields[cldcIoSlots.BAIS_POS];
+  const available = fields[cldcIoSlots.BAIS_COUNT] - pos;
+  if (length === 0) return 0;
+  if (available <= 0) return -1;
+
+  const count = Math.min(length, available);
+  bytes.set(fields[cldcIoSlots.BAIS_BUF].subarray(pos, pos + count), offset);
+  fields[cldcIoSlots.BAIS_POS] = pos + count;
+  return count;
+}
+
+/**
+ * Write bytes to any OutputStream
+ * @param {Object} thread - Current thread
+ * @param {Object} stream - java.io.OutputStream
+ * @param {Int8Array} bytes - Source
+ * @param {number} offset - First index to write
+ * @param {number} length - Number of bytes
+ */
+function cldcIoWriteBytes(thread, stream, bytes, offset, length) {
+  if (stream === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+
+  if (stream.cls.name === 'java/io/ByteArrayOutputStream') {
+    cldcIoAppendArrayStream(stream, bytes.subarray(offset, offset + length));
+    return;
+  }
+  JVM.callVirtual(thread, stream, 'write([BII)V', [bytes, offset, length]);
+}
+
+/**
+ * Append bytes to a ByteArrayOutputStream, growing its buffer
+ * @param {Object} stream - java.io.ByteArrayOutputStream
+ * @param {Int8Array|Array<number>} data - Bytes to append
+ */
+function cldcIoAppendArrayStream(stream, data) {
+  const fields = stream.fields;
+  const count = fields[cldcIoSlots.BAOS_COUNT];
+  let buffer = fields[cldcIoSlots.BAOS_BUF];
+
+  if (count + data.length > buffer.length) {
+    const grown = JVM.newArray('[B', Math.max(buffer.length * 2, count + data.length));
+    grown.set(buffer.subarray(0, count));
+    buffer = grown;
+    fields[cldcIoSlots.BAOS_BUF] = buffer;
+  }
+
+  buffer.set(data, count);
+  fields[cldcIoSlots.BAOS_COUNT] = count + data.length;
+}
+
+/**
+ * Wait until a stream can supply bytes without blocking
+ * @param {Object} stream - java.io.InputStream
+ * @param {number} count - Bytes wanted
+ * @returns {Promise|null} Resolves once that many bytes are buffered or the
+ *   stream has ended or been closed; null if it already has, or the stream
+ *   never waits. The read that follows reports a closed stream.
+ */
+function cldcIoAwaitInput(stream, count) {
+  const source = stream && stream.inputSource;
+  if (!source || source.ended || source.closed || source.available() >= count) return null;
+  return source.wait().then(() => cldcIoAwaitInput(stream, count));
+}
+
+/**
+ * Read from a stream once enough of its bytes have arrived
+ * @param {Object} stream - java.io.InputStream
+ * @param {number} count - Bytes the read needs
+ * @param {Function} read - Does the read
+ * @returns {*} What the read returns, or a Promise of it
+ */
+function cldcIoWhenInput(stream, count, read) {
+  const waiting = cldcIoAwaitInput(stream, count);
+  return waiting ? waiting.then(read) : read();
+}
+
+/**
+ * Read a whole stream once all of its bytes have arrived
+ * @param {Object} stream - java.io.InputStream
+ * @param {Function} read - Does the read
+ * @returns {*} What the read returns, or a Promise of it
+ */
+function cldcIoWhenEnded(stream, read) {
+  return cldcIoWhenInput(stream, Infinity, read);
+}
+
+/**
+ * Create a buffer for bytes that arrive over time, as the inputSource of
+ * the native stream reading them
+ * @returns {Object} Source with available(), wait(), wake(), push(),
+ *   take() and end(), and closed set once its stream is closed
+ */
+function cldcIoNewInputSource() {
+  const source = {
+    chunks: [],
+    length: 0,
+    ended: false,
+    closed: false,
+    error: null,
+    waiters: [],
+    available: () => source.length,
+    wait: () => new Promise(resolve => source.waiters.push(resolve)),
+
+    // Wake whatever waits on the source
+    wake: () => {
+      const waiters = source.waiters;
+      source.waiters = [];
+      waiters.forEach(resolve => resolve());
+    },
+
+    // Add an Int8Array of bytes that has arrived
+    push: chunk => {
+      source.chunks.push(chunk);
+      source.length += chunk.length;
+      source.wake();
+    },
+
+    // Take up to length buffered bytes into bytes at offset; returns the
+    // number taken
+    take: (bytes, offset, length) => {
+      let count = 0;
+      while (count < length && source.chunks.length > 0) {
+        const chunk = source.chunks[0];
+        const part = Math.min(chunk.length, length - count);
+        bytes.set(chunk.subarray(0, part), offset + count);
+        source.chunks[0] = chunk.subarray(part);
+        if (source.chunks[0].length === 0) source.chunks.shift();
+        count += part;
+      }
+      source.length -= count;
+      return count;
+    },
+
+    // No more bytes will arrive; error says why, if they were cut short
+    end: error => {
+      if (source.ended) return;
+      source.ended = true;
+      source.error = error || null;
+      source.wake();
+    }
+  };
+  return source;
+}
+
+/**
+ * Read exactly as many bytes as requested
+ * @param {Object} thread - Current thread
+ * @param {Object} stream - java.io.InputStream
+ * @param {Int8Array} bytes - Destination
+ * @param {number} offset - First index to fill
+ * @param {number} length - Number of bytes
+ */
+function cldcIoReadFully(thread, stream, bytes, offset, length) {
+  CldcLang.checkRange(bytes, offset, length, 'java/lang/IndexOutOfBoundsException');
+
+  let done = 0;
+  while (done < length) {
+    const count = cldcIoReadBytes(thread, stream, bytes, offset + done, length - done);
+    if (count < 0) throw JVM.newThrowable('java/io/EOFException', null);
+    done += count;
+  }
+}
+
+/**
+ * Read a big-endian value of a fixed size from a DataInputStream
+ * @param {Object} thread - Current thread
+ * @param {Object} self - java.io.DataInputStream
+ * @param {number} size - Number of bytes
+ * @returns {DataView} View over the bytes read
+ */
+function cldcIoReadValue(thread, self, size) {
+  const bytes = new Int8Array(size);
+  cldcIoReadFully(thread, self.fields[cldcIoSlots.FILTER_STREAM], bytes, 0, size);
+  return new DataView(bytes.buffer);
+}
+
+/**
+ * Decode modified UTF-8, as DataInput.readUTF does
+ * @param {Int8Array} bytes - Encoded bytes
+ * @returns {string} Decoded text
+ */
+function cldcIoDecodeModifiedUtf8(bytes) {
+  let result = '';
+  const malformed = () => JVM.newThrowable('java/io/UTFDataFormatException', 'Malformed input');
+
+  for (let i = 0; i < bytes.length;) {
+    const a = bytes[i++] & 0xff;
+    if (a < 0x80) {
+      result += String.fromCharCode(a);
+    } else if ((a & 0xe0) === 0xc0) {
+      if (i >= bytes.length) throw malformed();
+      const b = bytes[i++] & 0xff;
+      if ((b & 0xc0) !== 0x80) throw malformed();
+      result += String.fromCharCode(((a & 0x1f) << 6) | (b & 0x3f));
+    } else if ((a & 0xf0) === 0xe0) {
+      if (i + 1 >= bytes.length) throw malformed();
+      const b = bytes[i++] & 0xff;
+      const c = bytes[i++] & 0xff;
+      if ((b & 0xc0) !== 0x80 || (c & 0xc0) !== 0x80) throw malformed();
+      result += String.fromCharCode(((a & 0x0f) << 12) | ((b & 0x3f) << 6) | (c & 0x3f));
+    } else {
+      throw malformed();
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Encode modified UTF-8 with its two-byte length prefix, as writeUTF does
+ * @param {string} text - Text
+ * @returns {Array<number>} Encoded bytes
+ */
+function cldcIoEncodeModifiedUtf8(text) {
+  const bytes = [0, 0];
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text.charCodeAt(i);
+    if (ch >= 1 && ch < 0x80) {
+      bytes.push(ch);
+    } else if (ch < 0x800) {
+      bytes.push(0xc0 | (ch >> 6), 0x80 | (ch & 0x3f));
+    } else {
+      bytes.push(0xe0 | (ch >> 12), 0x80 | ((ch >> 6) & 0x3f), 0x80 | (ch & 0x3f));
+    }
+  }
+
+  const length = bytes.length - 2;
+  if (length > 65535) {
+    throw JVM.newThrowable('java/io/UTFDataFormatException', `Encoded string too long: ${length} bytes`);
+  }
+  bytes[0] = length >> 8;
+  bytes[1] = length & 0xff;
+  return bytes;
+}
+
+/**
+ * Wrap bytes in a new ByteArrayInputStream
+ * @param {Uint8Array|Int8Array} data - Stream contents
+ * @returns {Object} java.io.ByteArrayInputStream
+ */
+function cldcIoNewByteArrayInputStream(data) {
+  const bytes = JVM.newArray('[B', data.length);
+  bytes.set(new Int8Array(data.buffer, data.byteOffset, data.length));
+
+  const stream = JVM.newObject(JVM.loadClass('java/io/ByteArrayInputStream'));
+  stream.fields[cldcIoSlots.BAIS_BUF] = bytes;
+  stream.fields[cldcIoSlots.BAIS_COUNT] = bytes.length;
+  return stream;
+}
+
+/**
+ * Create the PrintStream behind System.out or System.err
+ * @param {boolean} isError - True for System.err
+ * @returns {Object} java.io.PrintStream writing lines to the host console
+ */
+function cldcIoNewConsoleStream(isError) {
+  const stream = JVM.newObject(JVM.loadClass('java/io/PrintStream'));
+  stream.console = { isError: isError, line: '', decoder: new TextDecoder('utf-8') };
+  return stream;
+}
+
+/**
+ * Send text to the target of a PrintStream
+ * @param {Object} thread - Current thread
+ * @param {Object} self - java.io.PrintStream
+ * @param {string} text - Text to print
+ */
+function cldcIoPrintText(thread, self, text) {
+  if (self.console) {
+    cldcIoConsoleAppend(self.console, text);
+    return;
+  }
+  if (!self.target) {
+    self.error = true;
+    return;
+  }
+
+  const bytes = CldcLang.encodeString(text, null);
+  try {
+    cldcIoWriteBytes(thread, self.target, bytes, 0, bytes.length);
+  } catch (error) {
+    if (!error.cls) throw error;
+    self.error = true;
+  }
+}
+
+/**
+ * Append console output, printing each completed line
+ * @param {Object} console - Console state of a PrintStream
+ * @param {string} text - Text to append
+ */
+function cldcIoConsoleAppend(console, text) {
+  const lines = (console.line + text).split('\n');
+  console.line = lines.pop();
+  lines.forEach(line => CldcLang.print(line.replace(/\r$/, ''), console.isError));
+}
+
+// ---------------------------------------------------------------------------
+// Byte streams
+// ---------------------------------------------------------------------------
+
+JVM.defineNativeClass({
+  name: 'java/io/InputStream',
+  accessFlags: ClassFile.ACC.PUBLIC | ClassFile.ACC.ABSTRACT,
+  methods: {
+    '<init>()V': () => {},
+    'read()I': null,
+    'read([B)I': (thread, self, bytes) => {
+      if (bytes === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      return JVM.callVirtual(thread, self, 'read([BII)I', [bytes, 0, bytes.length]);
+    },
+    'read([BII)I': (thread, self, bytes, offset, length) => {
+      CldcLang.checkRange(bytes, offset, length, 'java/lang/IndexOutOfBoundsException');
+      if (length === 0) return 0;
+
+      const first = JVM.callVirtual(thread, self, 'read()I');
+      if (first < 0) return -1;
+      bytes[offset] = first;
+
+      // Stop quietly at the first failure once something was read
+      let count = 1;
+      try {
+        for (; count < length; count++) {
+          const value = JVM.callVirtual(thread, self, 'read()I');
+          if (value < 0) break;
+          bytes[offset + count] = value;
+        }
+      } catch (error) {
+        if (!error.cls || !JVM.isInstanceOf(error, JVM.loadClass('java/io/IOException'))) throw error;
+      }
+      return count;
+    },
+    'skip(J)J': (thread, self, count) => {
+      let skipped = 0n;
+      while (skipped < count && JVM.callVirtual(thread, self, 'read()I') >= 0) skipped++;
+      return skipped;
+    },
+    'available()I': () => 0,
+    'close()V': () => {},
+    'mark(I)V': () => {},
+    'reset()V': () => {
+      throw JVM.newThrowable('java/io/IOException', 'mark/reset not supported');
+    },
+    'markSupported()Z': () => false
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'java/io/OutputStream',
+  accessFlags: ClassFile.ACC.PUBLIC | ClassFile.ACC.ABSTRACT,
+  methods: {
+    '<init>()V': () => {},
+    'write(I)V': null,
+    'write([B)V': (thread, self, bytes) => {
+      if (bytes === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      JVM.callVirtual(thread, self, 'write([BII)V', [bytes, 0, bytes.length]);
+    },
+    'write([BII)V': (thread, self, bytes, offset, length) => {
+      CldcLang.checkRange(bytes, offset, length, 'java/lang/IndexOutOfBoundsException');
+      for (let i = 0; i < length; i++) {
+        JVM.callVirtual(thread, self, 'write(I)V', [bytes[offset + i]]);
+      }
+    },
+    'flush()V': () => {},
+    'close()V': () => {}
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'java/io/ByteArrayInputStream',
+  superName: 'java/io/InputStream',
+  fields: [
+    { name: 'buf', descriptor: '[B' },
+    { name: 'pos', descriptor: 'I' },
+    { name: 'mark', descriptor: 'I' },
+    { name: 'count', descriptor: 'I' }
+  ],
+  methods: {
+    '<init>([B)V': (thread, self, bytes) => {
+      if (bytes === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      self.fields[cldcIoSlots.BAIS_BUF] = bytes;
+      self.fields[cldcIoSlots.BAIS_COUNT] = bytes.length;
+    },
+    '<init>([BII)V': (thread, self, bytes, offset, length) => {
+      if (bytes === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      self.fields[cldcIoSlots.BAIS_BUF] = bytes;
+      self.fields[cldcIoSlots.BAIS_POS] = offset;
+      self.fields[cldcIoSlots.BAIS_MARK] = offset;
+      self.fields[cldcIoSlots.BAIS_COUNT] = Math.min(offset + length, bytes.length);
+    },
+    'read()I': (thread, self) => {
+      const fields = self.fields;
+      const pos = fields[cldcIoSlots.BAIS_POS];
+      if (pos >= fields[cldcIoSlots.BAIS_COUNT]) return -1;
+      fields[cldcIoSlots.BAIS_POS] = pos + 1;
+      return fields[cldcIoSlots.BAIS_BUF][pos] & 0xff;
+    },
+    'read([BII)I': (thread, self, bytes, offset, length) => cldcIoReadArrayStream(self, bytes, offset, length),
+    'skip(J)J': (thread, self, count) => {
+      const fields = self.fields;
+      const available = BigInt(fields[cldcIoSlots.BAIS_COUNT] - fields[cldcIoSlots.BAIS_POS]);
+      const skipped = count < 0n ? 0n : (count < available ? count : available);
+      fields[cldcIoSlots.BAIS_POS] += Number(skipped);
+      return skipped;
+    },
+    'available()I': (thread, self) => self.fields[cldcIoSlots.BAIS_COUNT] - self.fields[cldcIoSlots.BAIS_POS],
+    'mark(I)V': (thread, self) => { self.fields[cldcIoSlots.BAIS_MARK] = self.fields[cldcIoSlots.BAIS_POS]; },
+    'reset()V': (thread, self) => { self.fields[cldcIoSlots.BAIS_POS] = self.fields[cldcIoSlots.BAIS_MARK]; },
+    'markSupported()Z': () => true,
+    'close()V': () => {}
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'java/io/ByteArrayOutputStream',
+  superName: 'java/io/OutputStream',
+  fields: [
+    { name: 'buf', descriptor: '[B' },
+    { name: 'count', descriptor: 'I' }
+  ],
+  methods: {
+    '<init>()V': (thread, self) => {
+      self.fields[cldcIoSlots.BAOS_BUF] = JVM.newArray('[B', 32);
+    },
+    '<init>(I)V': (thread, self, size) => {
+      if (size < 0) throw JVM.newThrowable('java/lang/IllegalArgumentException', `Negative initial size: ${size}`);
+      self.fields[cldcIoSlots.BAOS_BUF] = JVM.newArray('[B', size);
+    },
+    'write(I)V': (thread, self, value) => cldcIoAppendArrayStream(self, [value << 24 >> 24]),
+    'write([BII)V': (thread, self, bytes, offset, length) => {
+      CldcLang.checkRange(bytes, offset, length, 'java/lang/IndexOutOfBoundsException');
+      cldcIoAppendArrayStream(self, bytes.subarray(offset, offset + length));
+    },
+    'toByteArray()[B': (thread, self) => {
+      const count = self.fields[cldcIoSlots.BAOS_COUNT];
+      const bytes = JVM.newArray('[B', count);
+      bytes.set(self.fields[cldcIoSlots.BAOS_BUF].subarray(0, count));
+      return bytes;
+    },
+    'size()I': (thread, self) => self.fields[cldcIoSlots.BAOS_COUNT],
+    'reset()V': (thread, self) => { self.fields[cldcIoSlots.BAOS_COUNT] = 0; },
+    'toString()Ljava/lang/String;': (thread, self) =>
+      JVM.newString(CldcLang.decodeBytes(self.fields[cldcIoSlots.BAOS_BUF], 0, self.fields[cldcIoSlots.BAOS_COUNT], null)),
+    'close()V': () => {}
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'java/io/DataInput',
+  isInterface: true,
+  methods: {
+    'readFully([B)V': null,
+    'readFully([BII)V': null,
+    'skipBytes(I)I': null,
+    'readBoolean()Z': null,
+    'readByte()B': null,
+    'readUnsignedByte()I': null,
+    'readShort()S': null,
+    'readUnsignedShort()I': null,
+    'readChar()C': null,
+    'readInt()I': null,
+    'readLong()J': null,
+    'readFloat()F': null,
+    'readDouble()D': null,
+    'readUTF()Ljava/lang/String;': null
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'java/io/DataOutput',
+  isInterface: true,
+  methods: {
+    'write(I)V': null,
+    'write([B)V': null,
+    'write([BII)V': null,
+    'writeBoolean(Z)V': null,
+    'writeByte(I)V': null,
+    'writeShort(I)V': null,
+    'writeChar(I)V': null,
+    'writeInt(I)V': null,
+    'writeLong(J)V': null,
+    'writeFloat(F)V': null,
+    'writeDouble(D)V': null,
+    'writeChars(Ljava/lang/String;)V': null,
+    'writeUTF(Ljava/lang/String;)V': null
+  }
+});
+
+/**
+ * Read a byte for DataInputStream, throwing EOFException at the end
+ * @param {Object} thread - Current thread
+ * @param {Object} self - java.io.DataInputStream
+ * @returns {number} Byte value 0-255
+ */
+function cldcIoReadRequiredByte(thread, self) {
+  const value = cldcIoReadByte(thread, self.fields[cldcIoSlots.FILTER_STREAM]);
+  if (value < 0) throw JVM.newThrowable('java/io/EOFException', null);
+  return value;
+}
+
+/**
+ * Implement DataInput.readUTF on any stream
+ * @param {Object} thread - Current thread
+ * @param {Object} input - DataInput
+ * @returns {Object} java.lang.String
+ */
+function cldcIoReadUtf(thread, input) {
+  const length = JVM.callVirtual(thread, input, 'readUnsignedShort()I');
+  const bytes = JVM.newArray('[B', length);
+  JVM.callVirtual(thread, input, 'readFully([B)V', [bytes]);
+  return JVM.newString(cldcIoDecodeModifiedUtf8(bytes));
+}
+
+JVM.defineNativeClass({
+  name: 'java/io/DataInputStream',
+  superName: 'java/io/InputStream',
+  interfaces: ['java/io/DataInput'],
+  fields: [
+    { name: 'in', descriptor: 'Ljava/io/InputStream;' }
+  ],
+  methods: {
+    '<init>(Ljava/io/InputStream;)V': (thread, self, stream) => {
+      self.fields[cldcIoSlots.FILTER_STREAM] = stream;
+      // Readers wrapping this stream wait on the same bytes
+      if (stream && stream.inputSource) self.inputSource = stream.inputSource;
+    },
+    'read()I': (thread, self) => cldcIoWhenInput(self.fields[cldcIoSlots.FILTER_STREAM], 1,
+      () => cldcIoReadByte(thread, self.fields[cldcIoSlots.FILTER_STREAM])),
+    'read([B)I': (thread, self, bytes) => {
+      if (bytes === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      return cldcIoWhenInput(self.fields[cldcIoSlots.FILTER_STREAM], Math.min(bytes.length, 1),
+        () => cldcIoReadBytes(thread, self.fields[cldcIoSlots.FILTER_STREAM], bytes, 0, bytes.length));
+    },
+    'read([BII)I': (thread, self, bytes, offset, length) =>
+      cldcIoWhenInput(self.fields[cldcIoSlots.FILTER_STREAM], Math.min(length, 1),
+        () => cldcIoReadBytes(thread, self.fields[cldcIoSlots.FILTER_STREAM], bytes, offset, length)),
+    'readFully([B)V': (thread, self, bytes) => {
+      if (bytes === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      return cldcIoWhenInput(self.fields[cldcIoSlots.FILTER_STREAM], bytes.length,
+        () => cldcIoReadFully(thread, self.fields[cldcIoSlots.FILTER_STREAM], bytes, 0, bytes.length));
+    },
+    'readFully([BII)V': (thread, self, bytes, offset, length) =>
+      cldcIoWhenInput(self.fields[cldcIoSlots.FILTER_STREAM], length,
+        () => cldcIoReadFully(thread, self.fields[cldcIoSlots.FILTER_STREAM], bytes, offset, length)),
+    'skipBytes(I)I': (thread, self, count) => {
+      const stream = self.fields[cldcIoSlots.FILTER_STREAM];
+      return cldcIoWhenInput(stream, Math.min(count, 1), () => {
+        // Bytes still arriving are skipped only as far as they have arrived
+        const source = stream && stream.inputSource;
+        const limit = source && !source.ended && !source.closed ? Math.min(count, source.available()) : count;
+        let skipped = 0;
+        while (skipped < limit && cldcIoReadByte(thread, stream) >= 0) skipped++;
+        return skipped;
+      });
+    },
+    'skip(J)J': (thread, self, count) => JVM.callVirtual(thread, self.fields[cldcIoSlots.FILTER_STREAM], 'skip(J)J', [count]),
+    'available()I': (thread, self) => JVM.callVirtual(thread, self.fields[cldcIoSlots.FILTER_STREAM], 'available()I'),
+    'close()V': (thread, self) => JVM.callVirtual(thread, self.fields[cldcIoSlots.FILTER_STREAM], 'close()V'),
+    'mark(I)V': (thread, self, limit) => JVM.callVirtual(thread, self.fields[cldcIoSlots.FILTER_STREAM], 'mark(I)V', [limit]),
+    'reset()V': (thread, self) => JVM.callVirtual(thread, self.fields[cldcIoSlots.FILTER_STREAM], 'reset()V'),
+    'markSupported()Z': (thread, self) => JVM.callVirtual(thread, self.fields[cldcIoSlots.FILTER_STREAM], 'markSupported()Z'),
+
+    'readBoolean()Z': (thread, self) => cldcIoWhenInput(self.fields[cldcIoSlots.FILTER_STREAM], 1,
+      () => cldcIoReadRequiredByte(thread, self) !== 0),
+    'readByte()B': (thread, self) => cldcIoWhenInput(self.fields[cldcIoSlots.FILTER_STREAM], 1,
+      () => (cldcIoReadRequiredByte(thread, self) << 24) >> 24),
+    'readUnsignedByte()I': (thread, self) => cldcIoWhenInput(self.fields[cldcIoSlots.FILTER_STREAM], 1,
+      () => cldcIoReadRequiredByte(thread, self)),
+    'readShort()S': (thread, self) => cldcIoWhenInput(self.fields[cldcIoSlots.FILTER_STREAM], 2,
+      () => cldcIoReadValue(thread, self, 2).getInt16(0)),
+    'readUnsignedShort()I': (thread, self) => cldcIoWhenInput(self.fields[cldcIoSlots.FILTER_STREAM], 2,
+      () => cldcIoReadValue(thread, self, 2).getUint16(0)),
+    'readChar()C': (thread, self) => cldcIoWhenInput(self.fields[cldcIoSlots.FILTER_STREAM], 2,
+      () => cldcIoReadValue(thread, self, 2).getUint16(0)),
+    'readInt()I': (thread, self) => cldcIoWhenInput(self.fields[cldcIoSlots.FILTER_STREAM], 4,
+      () => cldcIoReadValue(thread, self, 4).getInt32(0)),
+    'readLong()J': (thread, self) => cldcIoWhenInput(self.fields[cldcIoSlots.FILTER_STREAM], 8,
+      () => cldcIoReadValue(thread, self, 8).getBigInt64(0)),
+    'readFloat()F': (thread, self) => cldcIoWhenInput(self.fields[cldcIoSlots.FILTER_STREAM], 4,
+      () => cldcIoReadValue(thread, self, 4).getFloat32(0)),
+    'readDouble()D': (thread, self) => cldcIoWhenInput(self.fields[cldcIoSlots.FILTER_STREAM], 8,
+      () => cldcIoReadValue(thread, self, 8).getFloat64(0)),
+    'readUTF()Ljava/lang/String;': (thread, self) => {
+      // Wait for the length, then for the text it announces
+      const stream = self.fields[cldcIoSlots.FILTER_STREAM];
+      if (!stream || !stream.inputSource) return cldcIoReadUtf(thread, self);
+      return cldcIoWhenInput(stream, 2, () => {
+        const length = cldcIoReadValue(thread, self, 2).getUint16(0);
+        return cldcIoWhenInput(stream, length, () => {
+          const bytes = JVM.newArray('[B', length);
+          cldcIoReadFully(thread, stream, bytes, 0, length);
+          return JVM.newString(cldcIoDecodeModifiedUtf8(bytes));
+        });
+      });
+    }
+  },
+  staticMethods: {
+    'readUTF(Ljava/io/DataInput;)Ljava/lang/String;': (thread, input) => {
+      if (input === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      return cldcIoReadUtf(thread, input);
+    }
+  }
+});
+
+/**
+ * Write bytes for DataOutputStream, counting them
+ * @param {Object} thread - Current thread
+ * @param {Object} self - java.io.DataOutputStream
+ * @param {Int8Array|Uint8Array|Array<number>} data - Bytes
+ */
+function cldcIoWriteData(thread, self, data) {
+  const bytes = data instanceof Int8Array ? data : Int8Array.from(data, value => (value << 24) >> 24);
+  cldcIoWriteBytes(thread, self.fields[cldcIoSlots.FILTER_STREAM], bytes, 0, bytes.length);
+  self.written = (self.written || 0) + bytes.length;
+}
+
+/**
+ * Encode a big-endian value for DataOutputStream
+ * @param {number} size - Number of bytes
+ * @param {function(DataView)} write - Writes the value at offset 0
+ * @returns {Int8Array} Encoded bytes
+ */
+function cldcIoEncodeValue(size, write) {
+  const bytes = new Int8Array(size);
+  write(new DataView(bytes.buffer));
+  return bytes;
+}
+
+JVM.defineNativeClass({
+  name: 'java/io/DataOutputStream',
+  superName: 'java/io/OutputStream',
+  interfaces: ['java/io/DataOutput'],
+  fields: [
+    { name: 'out', descriptor: 'Ljava/io/OutputStream;' }
+  ],
+  methods: {
+    '<init>(Ljava/io/OutputStream;)V': (thread, self, stream) => { self.fields[cldcIoSlots.FILTER_STREAM] = stream; },
+    'write(I)V': (thread, self, value) => cldcIoWriteData(thread, self, [value]),
+    'write([BII)V': (thread, self, bytes, offset, length) => {
+      CldcLang.checkRange(bytes, offset, length, 'java/lang/IndexOutOfBoundsException');
+      cldcIoWriteData(thread, self, bytes.subarray(offset, offset + length));
+    },
+    'flush()V': (thread, self) => JVM.callVirtual(thread, self.fields[cldcIoSlots.FILTER_STREAM], 'flush()V'),
+    'close()V': (thread, self) => JVM.callVirtual(thread, self.fields[cldcIoSlots.FILTER_STREAM], 'close()V'),
+    'writeBoolean(Z)V': (thread, self, value) => cldcIoWriteData(thread, self, [value ? 1 : 0]),
+    'writeByte(I)V': (thread, self, value) => cldcIoWriteData(thread, self, [value]),
+    'writeShort(I)V': (thread, self, value) => cldcIoWriteData(thread, self, [value >> 8, value]),
+    'writeChar(I)V': (thread, self, value) => cldcIoWriteData(thread, self, [value >> 8, value]),
+    'writeInt(I)V': (thread, self, value) =>
+      cldcIoWriteData(thread, self, cldcIoEncodeValue(4, view => view.setInt32(0, value))),
+    'writeLong(J)V': (thread, self, value) =>
+      cldcIoWriteData(thread, self, cldcIoEncodeValue(8, view => view.setBigInt64(0, value))),
+    'writeFloat(F)V': (thread, self, value) =>
+      cldcIoWriteData(thread, self, cldcIoEncodeValue(4, view => view.setFloat32(0, value))),
+    'writeDouble(D)V': (thread, self, value) =>
+      cldcIoWriteData(thread, self, cldcIoEncodeValue(8, view => view.setFloat64(0, value))),
+    'writeChars(Ljava/lang/String;)V': (thread, self, string) => {
+      const text = CldcLang.text(string);
+      const bytes = [];
+      for (let i = 0; i < text.length; i++) {
+        bytes.push(text.charCodeAt(i) >> 8, text.charCodeAt(i));
+      }
+      cldcIoWriteData(thread, self, bytes);
+    },
+    'writeUTF(Ljava/lang/String;)V': (thread, self, string) =>
+      cldcIoWriteData(thread, self, cldcIoEncodeModifiedUtf8(CldcLang.text(string)))
+  }
+});
+
+/**
+ * Build the print/println natives of PrintStream
+ * @returns {Object} Method table
+ */
+function cldcIoCreatePrintMethods() {
+  const methods = {};
+  const types = {
+    'Z': (thread, value) => value ? 'true' : 'false',
+    'C': (thread, value) => String.fromCharCode(value),
+    'I': (thread, value) => String(value),
+    'J': (thread, value) => value.toString(),
+    'F': (thread, value) => CldcLang.formatNumber(value, true),
+    'D': (thread, value) => CldcLang.formatNumber(value),
+    '[C': (thread, chars) => CldcLang.charsToString(chars, 0, chars === null ? 0 : chars.length),
+    'Ljava/lang/String;': (thread, string) => string === null ? 'null' : string.str,
+    'Ljava/lang/Object;': CldcLang.objectToString
+  };
+
+  Object.keys(types).forEach(type => {
+    methods[`print(${type})V`] = (thread, self, value) => cldcIoPrintText(thread, self, types[type](thread, value));
+    methods[`println(${type})V`] = (thread, self, value) => cldcIoPrintText(thread, self, types[type](thread, value) + '\n');
+  });
+  methods['println()V'] = (thread, self) => cldcIoPrintText(thread, self, '\n');
+
+  return methods;
+}
+
+JVM.defineNativeClass({
+  name: 'java/io/PrintStream',
+  superName: 'java/io/OutputStream',
+  methods: Object.assign(cldcIoCreatePrintMethods(), {
+    '<init>(Ljava/io/OutputStream;)V': (thread, self, stream) => {
+      if (stream === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      self.target = stream;
+    },
+    'write(I)V': (thread, self, value) => {
+      if (self.console) {
+        cldcIoConsoleAppend(self.console, self.console.decoder.decode(new Uint8Array([value]), { stream: true }));
+      } else if (self.target) {
+        cldcIoWriteBytes(thread, self.target, new Int8Array([value]), 0, 1);
+      }
+    },
+    'write([BII)V': (thread, self, bytes, offset, length) => {
+      CldcLang.checkRange(bytes, offset, length, 'java/lang/IndexOutOfBoundsException');
+      if (self.console) {
+        const view = new Uint8Array(bytes.buffer, bytes.byteOffset + offset, length);
+        cldcIoConsoleAppend(self.console, self.console.decoder.decode(view, { stream: true }));
+      } else if (self.target) {
+        cldcIoWriteBytes(thread, self.target, bytes, offset, length);
+      }
+    },
+    'flush()V': (thread, self) => {
+      if (self.console) {
+        if (self.console.line) {
+          CldcLang.print(self.console.line, self.console.isError);
+          self.console.line = '';
+        }
+      } else if (self.target) {
+        JVM.callVirtual(thread, self.target, 'flush()V');
+      }
+    },
+    'close()V': (thread, self) => {
+      if (self.target) JVM.callVirtual(thread, self.target, 'close()V');
+      self.target = null;
+    },
+    'checkError()Z': (thread, self) => !!self.error
+  })
+});
+
+// ---------------------------------------------------------------------------
+// Character streams
+// ---------------------------------------------------------------------------
+
+JVM.defineNativeClass({
+  name: 'java/io/Reader',
+  accessFlags: ClassFile.ACC.PUBLIC | ClassFile.ACC.ABSTRACT,
+  fields: [
+    { name: 'lock', descriptor: 'Ljava/lang/Object;' }
+  ],
+  methods: {
+    '<init>()V': (thread, self) => { self.fields[cldcIoSlots.LOCK] = self; },
+    '<init>(Ljava/lang/Object;)V': (thread, self, lock) => {
+      if (lock === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      self.fields[cldcIoSlots.LOCK] = lock;
+    },
+    'read([CII)I': null,
+    'close()V': null,
+    'read()I': (thread, self) => {
+      const chars = JVM.newArray('[C', 1);
+      return JVM.callVirtual(thread, self, 'read([CII)I', [chars, 0, 1]) < 0 ? -1 : chars[0];
+    },
+    'read([C)I': (thread, self, chars) => {
+      if (chars === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      return JVM.callVirtual(thread, self, 'read([CII)I', [chars, 0, chars.length]);
+    },
+    'skip(J)J': (thread, self, count) => {
+      if (count < 0n) throw JVM.newThrowable('java/lang/IllegalArgumentException', 'skip value is negative');
+      let skipped = 0n;
+      while (skipped < count && JVM.callVirtual(thread, self, 'read()I') >= 0) skipped++;
+      return skipped;
+    },
+    'ready()Z': () => false,
+    'markSupported()Z': () => false,
+    'mark(I)V': () => {
+      throw JVM.newThrowable('java/io/IOException', 'mark() not supported');
+    },
+    'reset()V': () => {
+      throw JVM.newThrowable('java/io/IOException', 'reset() not supported');
+    }
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'java/io/Writer',
+  accessFlags: ClassFile.ACC.PUBLIC | ClassFile.ACC.ABSTRACT,
+  fields: [
+    { name: 'lock', descriptor: 'Ljava/lang/Object;' }
+  ],
+  methods: {
+    '<init>()V': (thread, self) => { self.fields[cldcIoSlots.LOCK] = self; },
+    '<init>(Ljava/lang/Object;)V': (thread, self, lock) => {
+      if (lock === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      self.fields[cldcIoSlots.LOCK] = lock;
+    },
+    'write([CII)V': null,
+    'flush()V': null,
+    'close()V': null,
+    'write(I)V': (thread, self, ch) => {
+      const chars = JVM.newArray('[C', 1);
+      chars[0] = ch;
+      JVM.callVirtual(thread, self, 'write([CII)V', [chars, 0, 1]);
+    },
+    'write([C)V': (thread, self, chars) => {
+      if (chars === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      JVM.callVirtual(thread, self, 'write([CII)V', [chars, 0, chars.length]);
+    },
+    'write(Ljava/lang/String;)V': (thread, self, string) => {
+      const text = CldcLang.text(string);
+      JVM.callVirtual(thread, self, 'write(Ljava/lang/String;II)V', [string, 0, text.length]);
+    },
+    'write(Ljava/lang/String;II)V': (thread, self, string, offset, length) => {
+      const text = CldcLang.text(string);
+      if (offset < 0 || length < 0 || offset + length > text.length) {
+        throw JVM.newThrowable('java/lang/StringIndexOutOfBoundsException', null);
+      }
+      const chars = JVM.newArray('[C', length);
+      for (let i = 0; i < length; i++) chars[i] = text.charCodeAt(offset + i);
+      JVM.callVirtual(thread, self, 'write([CII)V', [chars, 0, length]);
+    }
+  }
+});
+
+/**
+ * Decode more input for an InputStreamReader
+ * @param {Object} thread - Current thread
+ * @param {Object} self - java.io.InputStreamReader
+ * @returns {boolean} False once the stream is exhausted and nothing is pending
+ */
+function cldcIoFillReader(thread, self) {
+  const state = self.reader;
+  if (state.pending.length > 0) return true;
+  if (state.ended) return false;
+
+  const bytes = JVM.newArray('[B', 512);
+  const count = cldcIoReadBytes(thread, state.stream, bytes, 0, bytes.length);
+
+  if (count < 0) {
+    state.ended = true;
+    state.pending = state.decoder ? state.decoder.decode() : '';
+  } else if (state.decoder) {
+    state.pending = state.decoder.decode(new Uint8Array(bytes.buffer, 0, count), { stream: true });
+  } else {
+    state.pending = CldcLang.decodeBytes(bytes, 0, count, state.encoding);
+  }
+  return state.pending.length > 0 || !state.ended;
+}
+
+/**
+ * Set up an InputStreamReader
+ * @param {Object} self - java.io.InputStreamReader
+ * @param {Object} stream - Underlying InputStream
+ * @param {string|null} encoding - Java encoding name, null for the default
+ */
+function cldcIoInitReader(self, stream, encoding) {
+  if (stream === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+  self.fields[cldcIoSlots.LOCK] = stream;
+
+  // UTF-8 needs a streaming decoder; single-byte charsets decode per chunk
+  let decoder = null;
+  const test = JVM.newArray('[B', 0);
+  CldcLang.decodeBytes(test, 0, 0, encoding);
+  if (!encoding || /^utf-?8$/i.test(encoding.trim())) {
+    decoder = new TextDecoder('utf-8');
+  }
+
+  self.reader = { stream: stream, encoding: encoding, decoder: decoder, pending: '', ended: false };
+}
+
+/**
+ * Decode input for an InputStreamReader until there are characters to take
+ * @param {Object} thread - Current thread
+ * @param {Object} self - java.io.InputStreamReader
+ * @param {function(Object): number} take - Takes characters from the state
+ * @returns {number|Promise<number>} What take returns, or -1 at the end
+ */
+function cldcIoReadDecoded(thread, self, take) {
+  const state = self.reader;
+  while (state.pending.length === 0) {
+    // Streams whose bytes arrive over time are waited on first
+    const waiting = state.ended ? null : cldcIoAwaitInput(state.stream, 1);
+    if (waiting) return waiting.then(() => cldcIoReadDecoded(thread, self, take));
+    if (!cldcIoFillReader(thread, self)) return -1;
+  }
+  return take(state);
+}
+
+JVM.defineNativeClass({
+  name: 'java/io/InputStreamReader',
+  superName: 'java/io/Reader',
+  methods: {
+    '<init>(Ljava/io/InputStream;)V': (thread, self, stream) => cldcIoInitReader(self, stream, null),
+    '<init>(Ljava/io/InputStream;Ljava/lang/String;)V': (thread, self, stream, encoding) =>
+      cldcIoInitReader(self, stream, CldcLang.text(encoding)),
+    'read()I': (thread, self) => cldcIoReadDecoded(thread, self, state => {
+      const ch = state.pending.charCodeAt(0);
+      state.pending = state.pending.substring(1);
+      return ch;
+    }),
+    'read([CII)I': (thread, self, chars, offset, length) => {
+      CldcLang.checkRange(chars, offset, length, 'java/lang/IndexOutOfBoundsException');
+      if (length === 0) return 0;
+
+      return cldcIoReadDecoded(thread, self, state => {
+        const count = Math.min(length, state.pending.length);
+        for (let i = 0; i < count; i++) chars[offset + i] = state.pending.charCodeAt(i);
+        state.pending = state.pending.substring(count);
+        return count;
+      });
+    },
+    'ready()Z': (thread, self) =>
+      self.reader.pending.length > 0 || JVM.callVirtual(thread, self.reader.stream, 'available()I') > 0,
+    'close()V': (thread, self) => JVM.callVirtual(thread, self.reader.stream, 'close()V')
+  }
+});
+
+/**
+ * Set up an OutputStreamWriter
+ * @param {Object} self - java.io.OutputStreamWriter
+ * @param {Object} stream - Underlying OutputStream
+ * @param {string|null} encoding - Java encoding name, null for the default
+ */
+function cldcIoInitWriter(self, stream, encoding) {
+  if (stream === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+  CldcLang.encodeString('', encoding);
+  self.fields[cldcIoSlots.LOCK] = stream;
+  self.writer = { stream: stream, encoding: encoding };
+}
+
+JVM.defineNativeClass({
+  name: 'java/io/OutputStreamWriter',
+  superName: 'java/io/Writer',
+  methods: {
+    '<init>(Ljava/io/OutputStream;)V': (thread, self, stream) => cldcIoInitWriter(self, stream, null),
+    '<init>(Ljava/io/OutputStream;Ljava/lang/String;)V': (thread, self, stream, encoding) =>
+      cldcIoInitWriter(self, stream, CldcLang.text(encoding)),
+    'write([CII)V': (thread, self, chars, offset, length) => {
+      const bytes = CldcLang.encodeString(CldcLang.charsToString(chars, offset, length), self.writer.encoding);
+      cldcIoWriteBytes(thread, self.writer.stream, bytes, 0, bytes.length);
+    },
+    'write(Ljava/lang/String;II)V': (thread, self, string, offset, length) => {
+      const text = CldcLang.text(string);
+      if (offset < 0 || length < 0 || offset + length > text.length) {
+        throw JVM.newThrowable('java/lang/StringIndexOutOfBoundsException', null);
+      }
+      const bytes = CldcLang.encodeString(text.substr(offset, length), self.writer.encoding);
+      cldcIoWriteBytes(thread, self.writer.stream, bytes, 0, bytes.length);
+    },
+    'flush()V': (thread, self) => JVM.callVirtual(thread, self.writer.stream, 'flush()V'),
+    'close()V': (thread, self) => JVM.callVirtual(thread, self.writer.stream, 'close()V')
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Exceptions
+// ---------------------------------------------------------------------------
+
+[
+  ['java/io/IOException', 'java/lang/Exception'],
+  ['java/io/EOFException', 'java/io/IOException'],
+  ['java/io/InterruptedIOException', 'java/io/IOException'],
+  ['java/io/UnsupportedEncodingException', 'java/io/IOException'],
+  ['java/io/UTFDataFormatException', 'java/io/IOException']
+].forEach(([name, superName]) => {
+  JVM.defineNativeClass({ name: name, superName: superName, methods: {} });
+});
+
+// Export functions for use in other modules
+window.CldcIo = {
+  readByte: cldcIoReadByte,
+  readBytes: cldcIoReadBytes,
+  writeBytes: cldcIoWriteBytes,
+  newByteArrayInputStream: cldcIoNewByteArrayInputStream,
+  newInputSource: cldcIoNewInputSource,
+  whenEnded: cldcIoWhenEnded,
+  newConsoleStream: cldcIoNewConsoleStream,
+  encodeModifiedUtf8: cldcIoEncodeModifiedUtf8,
+  decodeModifiedUtf8: cldcIoDecodeModifiedUtf8
+};
@@ -0,0 +1,1395 @@
+/**
+ * J2ME Loader for CloudFone
+ * CLDC 1.1 java.lang
+ *
+ * Object, Class, String, StringBuffer, the primitive wrappers, Math,
+ * System, Runtime, Thread and the exception hierarchy, implemented in
+ * JavaScript on top of the VM in jvm.js. Also exports the number formatting and
+ * character encoding helpers the other library files share.
+ */
+
+// java.lang constants
+const cldcLangConstants = {
+  DEFAULT_ENCODING: 'UTF-8',
+  TOTAL_MEMORY: 4 * 1024 * 1024,
+
+  // System.getProperty values; the host may override any of them
+  SYSTEM_PROPERTIES: {
+    'microedition.configuration': 'CLDC-1.1',
+    'microedition.profiles': 'MIDP-2.0',
+    'microedition.platform': 'CloudFone',
+    'microedition.encoding': 'UTF-8',
+    'microedition.locale': 'en-US',
+    'microedition.io.file.FileConnection.version': '1.0',
+    'wireless.messaging.sms.smsc': '+15550000000'
+  },
+
+  // Exceptions and errors that only carry a message, with their superclass
+  THROWABLES: [
+    ['java/lang/Exception', 'java/lang/Throwable'],
+    ['java/lang/Error', 'java/lang/Throwable'],
+    ['java/lang/RuntimeException', 'java/lang/Exception'],
+    ['java/lang/ArithmeticException', 'java/lang/RuntimeException'],
+    ['java/lang/ArrayStoreException', 'java/lang/RuntimeException'],
+    ['java/lang/ClassCastException', 'java/lang/RuntimeException'],
+    ['java/lang/IllegalArgumentException', 'java/lang/RuntimeException'],
+    ['java/lang/IllegalThreadStateException', 'java/lang/IllegalArgumentException'],
+    ['java/lang/NumberFormatException', 'java/lang/IllegalArgumentException'],
+    ['java/lang/IllegalMonitorStateException', 'java/lang/RuntimeException'],
+    ['java/lang/IndexOutOfBoundsException', 'java/lang/RuntimeException'],
+    ['java/lang/ArrayIndexOutOfBoundsException', 'java/lang/IndexOutOfBoundsException'],
+    ['java/lang/StringIndexOutOfBoundsException', 'java/lang/IndexOutOfBoundsException'],
+    ['java/lang/NegativeArraySizeException', 'java/lang/RuntimeException'],
+    ['java/lang/NullPointerException', 'java/lang/RuntimeException'],
+    ['java/lang/SecurityException', 'java/lang/RuntimeException'],
+    ['java/lang/ClassNotFoundException', 'java/lang/Exception'],
+    ['java/lang/IllegalAccessException', 'java/lang/Exception'],
+    ['java/lang/InstantiationException', 'java/lang/Exception'],
+    ['java/lang/InterruptedException', 'java/lang/Exception'],
+    ['java/lang/VirtualMachineError', 'java/lang/Error'],
+    ['java/lang/OutOfMemoryError', 'java/lang/VirtualMachineError'],
+    ['java/lang/StackOverflowError', 'java/lang/VirtualMachineError'],
+    ['java/lang/LinkageError', 'java/lang/Error'],
+    ['java/lang/NoClassDefFoundError', 'java/lang/LinkageError'],
+    ['java/lang/ClassCircularityError', 'java/lang/LinkageError'],
+    ['java/lang/ClassFormatError', 'java/lang/LinkageError'],
+    ['java/lang/VerifyError', 'java/lang/LinkageError'],
+    ['java/lang/UnsatisfiedLinkError', 'java/lang/LinkageError'],
+    ['java/lang/ExceptionInInitializerError', 'java/lang/LinkageError'],
+    ['java/lang/IncompatibleClassChangeError', 'java/lang/LinkageError'],
+    ['java/lang/AbstractMethodError', 'java/lang/IncompatibleClassChangeError'],
+    ['java/lang/InstantiationError', 'java/lang/IncompatibleClassChangeError'],
+    ['java/lang/NoSuchFieldError', 'java/lang/IncompatibleClassChangeError'],
+    ['java/lang/NoSuchMethodError', 'java/lang/IncompatibleClassChangeError']
+  ]
+};
+
+// Scratch buffer for float and double bit conversions
+const cldcLangBits = new DataView(new ArrayBuffer(8));
+
+// ---------------------------------------------------------------------------
+// Helpers shared with the other library files
+// ---------------------------------------------------------------------------
+
+/**
+ * Format a double or float the way Double.toString/Float.toString do
+ * @param {number} value - Value
+ * @param {boolean} [isFloat] - Use the shortest digits that identify a float
+ * @returns {string} Java representation
+ */
+function cldcFormatNumber(value, isFloat = false) {
+  if (value !== value) return 'NaN';
+  if (value === Infinity) return 'Infinity';
+  if (value === -Infinity) return '-Infinity';
+  if (value === 0) return 1 / value < 0 ? '-0.0' : '0.0';
+
+  const sign = value < 0 ? '-' : '';
+  const abs = Math.abs(value);
+
+  let repr = abs.toExponential();
+  if (isFloat) {
+    for (let precision = 0; precision < 9; precision++) {
+      repr = abs.toExponential(precision);
+      if (Math.fround(Number(repr)) === abs) break;
+    }
+  }
+
+  const parts = repr.split('e');
+  const digits = parts[0].replace('.', '').replace(/0+$/, '') || '0';
+  const exponent = parseInt(parts[1], 10);
+
+  // Plain notation between 10^-3 and 10^7, computerized notation otherwise
+  if (abs >= 1e-3 && abs < 1e7) {
+    if (exponent >= 0) {
+      const integer = digits.substring(0, exponent + 1).padEnd(exponent + 1, '0');
+      return `${sign}${integer}.${digits.substring(exponent + 1) || '0'}`;
+    }
+    return `${sign}0.${'0'.repeat(-exponent - 1)}${digits}`;
+  }
+
+  return `${sign}${digits.charAt(0)}.${digits.substring(1) || '0'}E${exponent}`;
+}
+
+/**
+ * Parse a floating point string the way Double.parseDouble does
+ * @param {Object|null} string - java.lang.String
+ * @returns {number} Parsed value
+ */
+function cldcParseNumber(string) {
+  if (string === null) {
+    throw JVM.newThrowable('java/lang/NullPointerException', null);
+  }
+
+  const text = string.str.trim();
+  if (!/^[+-]?(NaN|Infinity|(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?[fFdD]?)$/.test(text)) {
+    throw JVM.newThrowable('java/lang/NumberFormatException', text);
+  }
+  return Number(text.replace(/[fFdD]$/, ''));
+}
+
+/**
+ * Get the value of a digit character in a radix, like Character.digit
+ * @param {number} ch - Character code
+ * @param {number} radix - Radix
+ * @returns {number} Digit value or -1
+ */
+function cldcDigit(ch, radix) {
+  let value = -1;
+  if (ch >= 48 && ch <= 57) value = ch - 48;
+  else if (ch >= 97 && ch <= 122) value = ch - 87;
+  else if (ch >= 65 && ch <= 90) value = ch - 55;
+  return value < radix ? value : -1;
+}
+
+/**
+ * Parse an integral string, as Integer.parseInt and Long.parseLong do
+ * @param {Object|null} string - java.lang.String
+ * @param {number} radix - Radix
+ * @param {bigint} min - Smallest allowed value
+ * @param {bigint} max - Largest allowed value
+ * @returns {bigint} Parsed value
+ */
+function cldcParseIntegral(string, radix, min, max) {
+  if (string === null) {
+    throw JVM.newThrowable('java/lang/NumberFormatException', 'null');
+  }
+
+  const text = string.str;
+  const fail = () => JVM.newThrowable('java/lang/NumberFormatException', text);
+  if (radix < 2 || radix > 36) throw fail();
+
+  const negative = text.charAt(0) === '-';
+  let index = negative ? 1 : 0;
+  if (index >= text.length) throw fail();
+
+  const bigRadix = BigInt(radix);
+  let result = 0n;
+  for (; index < text.length; index++) {
+    const digit = cldcDigit(text.charCodeAt(index), radix);
+    if (digit < 0) throw fail();
+    result = result * bigRadix + BigInt(digit);
+    if (result > max + 1n) throw fail();
+  }
+
+  if (negative) result = -result;
+  if (result < min || result > max) throw fail();
+  return result;
+}
+
+/**
+ * Build a JS string from part of a char array
+ * @param {Uint16Array} chars - Java char[]
+ * @param {number} offset - First character
+ * @param {number} count - Number of characters
+ * @returns {string} String
+ */
+function cldcCharsToString(chars, offset, count) {
+  cldcCheckRange(chars, offset, count, 'java/lang/StringIndexOutOfBoundsException');
+
+  let result = '';
+  for (let i = 0; i < count; i += 8192) {
+    result += String.fromCharCode.apply(null, chars.subarray(offset + i, offset + Math.min(count, i + 8192)));
+  }
+  return result;
+}
+
+/**
+ * Check an offset/length pair against an array
+ * @param {Object|null} array - Java array
+ * @param {number} offset - Start index
+ * @param {number} length - Number of elements
+ * @param {string} [exceptionName] - Exception thrown when out of range
+ */
+function cldcCheckRange(array, offset, length, exceptionName = 'java/lang/ArrayIndexOutOfBoundsException') {
+  if (array === null) {
+    throw JVM.newThrowable('java/lang/NullPointerException', null);
+  }
+  if (offset < 0 || length < 0 || offset + length > array.length) {
+    throw JVM.newThrowable(exceptionName, `offset ${offset}, length ${length}, size ${array.length}`);
+  }
+}
+
+/**
+ * Map a Java encoding name to a TextDecoder label
+ * @param {string} name - Encoding name such as "UTF8", "ISO8859_1" or "Cp1251"
+ * @returns {string} Normalized label
+ */
+function cldcNormalizeEncoding(name) {
+  const label = name.trim().toLowerCase().replace(/_/g, '-');
+
+  if (label === 'utf8') return 'utf-8';
+  if (label === 'ascii' || label === 'us-ascii' || label === 'iso646-us') return 'us-ascii';
+  if (/^iso-?8859-?1$/.test(label) || label === 'latin1') return 'iso-8859-1';
+
+  let match = label.match(/^(?:cp|windows-?)(12\d\d)$/);
+  if (match) return `windows-${match[1]}`;
+  match = label.match(/^iso-?8859-?(\d+)$/);
+  if (match) return `iso-8859-${match[1]}`;
+  if (label === 'koi8-r' || label === 'koi8r') return 'koi8-r';
+
+  return label;
+}
+
+// Reverse lookup tables for single-byte encodings, built on first use
+const cldcEncoderTables = new Map();
+
+/**
+ * Decode bytes to a JS string
+ * @param {Int8Array} bytes - Java byte[]
+ * @param {number} offset - First byte
+ * @param {number} length - Number of bytes
+ * @param {string|null} encoding - Java encoding name, null for the default
+ * @returns {string} Decoded text
+ */
+function cldcDecodeBytes(bytes, offset, length, encoding) {
+  const label = cldcNormalizeEncoding(encoding || cldcLangConstants.DEFAULT_ENCODING);
+  const view = new Uint8Array(bytes.buffer, bytes.byteOffset + offset, length);
+
+  if (label === 'iso-8859-1' || label === 'us-ascii') {
+    let result = '';
+    for (let i = 0; i < length; i += 8192) {
+      const chunk = view.subarray(i, Math.min(length, i + 8192));
+      result += String.fromCharCode.apply(null, label === 'us-ascii' ? chunk.map(b => b & 0x7f) : chunk);
+    }
+    return result;
+  }
+
+  try {
+    return new TextDecoder(label).decode(view);
+  } catch (error) {
+    throw JVM.newThrowable('java/io/UnsupportedEncodingException', encoding);
+  }
+}
+
+/**
+ * Encode a JS string to bytes
+ * @param {string} text - Text
+ * @param {string|null} encoding - Java encoding name, null for the default
+ * @returns {Int8Array} Java byte[]
+ */
+function cldcEncodeString(text, encoding) {
+  const label = cldcNormalizeEncoding(encoding || cldcLangConstants.DEFAULT_ENCODING);
+  let encoded;
+
+  if (label === 'utf-8') {
+    encoded = new TextEncoder().encode(text);
+  } else if (label === 'utf-16be' || label === 'utf-16') {
+    encoded = new Uint8Array(text.length * 2);
+    for (let i = 0; i < text.length; i++) {
+      encoded[i * 2] = text.charCodeAt(i) >> 8;
+      encoded[i * 2 + 1] = text.charCodeAt(i);
+    }
+  } else if (label === 'utf-16le') {
+    encoded = new Uint8Array(text.length * 2);
+    for (let i = 0; i < text.length; i++) {
+      encoded[i * 2] = text.charCodeAt(i);
+      encoded[i * 2 + 1] = text.charCodeAt(i) >> 8;
+    }
+  } else {
+    const table = cldcGetEncoderTable(label, encoding);
+    encoded = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) {
+      const byte = table.get(text.charCodeAt(i));
+      encoded[i] = byte === undefined ? 0x3f : byte;
+    }
+  }
+
+  const bytes = JVM.newArray('[B', encoded.length);
+  bytes.set(new Int8Array(encoded.buffer, encoded.byteOffset, encoded.length));
+  return bytes;
+}
+
+/**
+ * Get the character to byte table of a single-byte encoding
+ * @param {string} label - Normalized encoding label
+ * @param {string} encoding - Name the MIDlet asked for, for error messages
+ * @returns {Map<number, number>} Character codes mapped to bytes
+ */
+function cldcGetEncoderTable(label, encoding) {
+  let table = cldcEncoderTables.get(label);
+  if (table) return table;
+
+  table = new Map();
+  if (label === 'iso-8859-1' || label === 'us-ascii') {
+    const limit = label === 'us-ascii' ? 128 : 256;
+    for (let i = 0; i < limit; i++) table.set(i, i);
+  } else {
+    let decoded;
+    try {
+      const all = new Uint8Array(256);
+      all.forEach((_, i) => { all[i] = i; });
+      decoded = new TextDecoder(label).decode(all);
+    } catch (error) {
+      throw JVM.newThrowable('java/io/UnsupportedEncodingException', encoding);
+    }
+    if (decoded.length !== 256) {
+      // Multi-byte encodings other than UTF are decode-only
+      throw JVM.newThrowable('java/io/UnsupportedEncodingException', encoding);
+    }
+    for (let i = 255; i >= 0; i--) table.set(decoded.charCodeAt(i), i);
+  }
+
+  cldcEncoderTables.set(label, table);
+  return table;
+}
+
+/**
+ * Convert any Java value to the string String.valueOf(Object) gives
+ * @param {Object} thread - Current thread
+ * @param {Object|null} obj - Java object
+ * @returns {string} Text
+ */
+function cldcObjectToString(thread, obj) {
+  if (obj === null) return 'null';
+  if (obj.str !== undefined) return obj.str;
+
+  const result = JVM.callVirtual(thread, obj, 'toString()Ljava/lang/String;');
+  return result === null ? 'null' : result.str;
+}
+
+/**
+ * Compute the hash code of a Java object, as Object.hashCode dispatches
+ * @param {Object} thread - Current thread
+ * @param {Object} obj - Java object
+ * @returns {number} Hash code
+ */
+function cldcHashCode(thread, obj) {
+  if (obj.str !== undefined) return cldcStringHash(obj);
+  return JVM.callVirtual(thread, obj, 'hashCode()I');
+}
+
+/**
+ * Compare two Java objects with equals()
+ * @param {Object} thread - Current thread
+ * @param {Object} a - Receiver
+ * @param {Object|null} b - Argument
+ * @returns {boolean} True if equal
+ */
+function cldcEquals(thread, a, b) {
+  if (a === b) return true;
+  if (a.str !== undefined) return b !== null && b.str === a.str;
+  return !!JVM.callVirtual(thread, a, 'equals(Ljava/lang/Object;)Z', [b]);
+}
+
+/**
+ * Compute String.hashCode
+ * @param {Object} string - java.lang.String
+ * @returns {number} Hash code
+ */
+function cldcStringHash(string) {
+  if (string.hashValue === undefined) {
+    let hash = 0;
+    const text = string.str;
+    for (let i = 0; i < text.length; i++) {
+      hash = (Math.imul(hash, 31) + text.charCodeAt(i)) | 0;
+    }
+    string.hashValue = hash;
+  }
+  return string.hashValue;
+}
+
+/**
+ * Print a line of output to the host console
+ * @param {string} text - Line without its terminating newline
+ * @param {boolean} isError - True for System.err
+ */
+function cldcPrint(text, isError) {
+  const host = JVM.state.host;
+  if (host.print) {
+    host.print(text, isError);
+  } else if (isError) {
+    console.error(text);
+  } else {
+    console.log(text);
+  }
+}
+
+/**
+ * Get the bits of a float
+ * @param {number} value - Float
+ * @returns {number} IEEE 754 single bits as int
+ */
+function cldcFloatToIntBits(value) {
+  if (value !== value) return 0x7fc00000;
+  cldcLangBits.setFloat32(0, value);
+  return cldcLangBits.getInt32(0);
+}
+
+/**
+ * Get the bits of a double
+ * @param {number} value - Double
+ * @returns {bigint} IEEE 754 double bits as long
+ */
+function cldcDoubleToLongBits(value) {
+  if (value !== value) return 0x7ff8000000000000n;
+  cldcLangBits.setFloat64(0, value);
+  return cldcLangBits.getBigInt64(0);
+}
+
+/**
+ * Create a boxed primitive
+ * @param {string} className - Wrapper class, e.g. "java/lang/Integer"
+ * @param {*} value - Primitive value
+ * @returns {Object} Wrapper instance
+ */
+function cldcBox(className, value) {
+  const obj = JVM.newObject(JVM.loadClass(className));
+  obj.value = value;
+  return obj;
+}
+
+// ---------------------------------------------------------------------------
+// Object, Class, Throwable
+// ---------------------------------------------------------------------------
+
+JVM.defineNativeClass({
+  name: 'java/lang/Object',
+  superName: null,
+  methods: {
+    '<init>()V': () => {},
+    'getClass()Ljava/lang/Class;': (thread, self) => JVM.getClassObject(self.cls),
+    'hashCode()I': (thread, self) => JVM.identityHash(self),
+    'equals(Ljava/lang/Object;)Z': (thread, self, other) => self === other,
+    'toString()Ljava/lang/String;': (thread, self) => {
+      const hash = JVM.callVirtual(thread, self, 'hashCode()I');
+      return JVM.newString(`${self.cls.name.replace(/\//g, '.')}@${(hash >>> 0).toString(16)}`);
+    },
+    'clone()Ljava/lang/Object;': (thread, self) => {
+      // Only arrays are cloneable in CLDC
+      if (!self.cls.isArray) {
+        throw JVM.newThrowable('java/lang/RuntimeException', 'clone() is not supported');
+      }
+      const copy = self.slice();
+      copy.cls = self.cls;
+      return copy;
+    },
+    'wait()V': (thread, self) => JVM.monitorWait(thread, self, 0),
+    'wait(J)V': (thread, self, timeout) => cldcWait(thread, self, timeout, 0),
+    'wait(JI)V': (thread, self, timeout, nanos) => cldcWait(thread, self, timeout, nanos),
+    'notify()V': (thread, self) => JVM.monitorNotify(thread, self, false),
+    'notifyAll()V': (thread, self) => JVM.monitorNotify(thread, self, true)
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'java/lang/Class',
+  accessFlags: ClassFile.ACC.PUBLIC | ClassFile.ACC.FINAL,
+  methods: {
+    'getName()Ljava/lang/String;': (thread, self) => JVM.newString(self.runtimeClass.name.replace(/\//g, '.')),
+    'toString()Ljava/lang/String;': (thread, self) => {
+      const cls = self.runtimeClass;
+      return JVM.newString(`${cls.isInterface ? 'interface' : 'class'} ${cls.name.replace(/\//g, '.')}`);
+    },
+    'isInstance(Ljava/lang/Object;)Z': (thread, self, obj) => JVM.isInstanceOf(obj, self.runtimeClass),
+    'isAssignableFrom(Ljava/lang/Class;)Z': (thread, self, other) => {
+      if (other === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      return JVM.isAssignable(other.runtimeClass, self.runtimeClass);
+    },
+    'isInterface()Z': (thread, self) => self.runtimeClass.isInterface,
+    'isArray()Z': (thread, self) => self.runtimeClass.isArray,
+    'newInstance()Ljava/lang/Object;': (thread, self) => {
+      const cls = self.runtimeClass;
+      if (cls.isInterface || cls.isArray || (cls.accessFlags & ClassFile.ACC.ABSTRACT)) {
+        throw JVM.newThrowable('java/lang/InstantiationException', cls.name.replace(/\//g, '.'));
+      }
+
+      const constructor = cls.methodTable.get('<init>()V');
+      if (!constructor) {
+        throw JVM.newThrowable('java/lang/InstantiationException', cls.name.replace(/\//g, '.'));
+      }
+      if (!(constructor.accessFlags & ClassFile.ACC.PUBLIC) || !(cls.accessFlags & ClassFile.ACC.PUBLIC)) {
+        throw JVM.newThrowable('java/lang/IllegalAccessException', cls.name.replace(/\//g, '.'));
+      }
+
+      JVM.initializeClass(thread, cls);
+      const obj = JVM.newObject(cls);
+      JVM.invoke(thread, constructor, [obj]);
+      return obj;
+    },
+    'getResourceAsStream(Ljava/lang/String;)Ljava/io/InputStream;': (thread, self, name) => {
+      if (name === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+
+      // Relative names resolve against the package of the class
+      let path = name.str;
+      if (path.charAt(0) === '/') {
+        path = path.substring(1);
+      } else {
+        const className = self.runtimeClass.name;
+        path = className.substring(0, className.lastIndexOf('/') + 1) + path;
+      }
+
+      const host = JVM.state.host;
+      const bytes = host.readResource ? host.readResource(path) : null;
+      return bytes ? CldcIo.newByteArrayInputStream(bytes) : null;
+    }
+  },
+  staticMethods: {
+    'forName(Ljava/lang/String;)Ljava/lang/Class;': (thread, name) => {
+      if (name === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+
+      let cls;
+      try {
+        cls = JVM.loadClass(name.str.replace(/\./g, '/'));
+      } catch (error) {
+        if (error.cls && error.cls.name === 'java/lang/NoClassDefFoundError') {
+          throw JVM.newThrowable('java/lang/ClassNotFoundException', name.str);
+        }
+        throw error;
+      }
+
+      JVM.initializeClass(thread, cls);
+      return JVM.getClassObject(cls);
+    }
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'java/lang/Throwable',
+  methods: {
+    '<init>()V': (thread, self) => {
+      self.detailMessage = null;
+      self.stackTrace = JVM.captureStackTrace(thread);
+    },
+    '<init>(Ljava/lang/String;)V': (thread, self, message) => {
+      self.detailMessage = message;
+      self.stackTrace = JVM.captureStackTrace(thread);
+    },
+    'getMessage()Ljava/lang/String;': (thread, self) => self.detailMessage || null,
+    'toString()Ljava/lang/String;': (thread, self) => {
+      const name = self.cls.name.replace(/\//g, '.');
+      const message = JVM.callVirtual(thread, self, 'getMessage()Ljava/lang/String;');
+      return JVM.newString(message === null ? name : `${name}: ${message.str}`);
+    },
+    'printStackTrace()V': (thread, self) => {
+      const lines = [cldcObjectToString(thread, self)];
+      (self.stackTrace || []).forEach(line => lines.push(`\tat ${line}`));
+      cldcPrint(lines.join('\n'), true);
+    }
+  }
+});
+
+cldcLangConstants.THROWABLES.forEach(([name, superName]) => {
+  JVM.defineNativeClass({
+    name: name,
+    superName: superName,
+    methods: {}
+  });
+});
+
+JVM.defineNativeClass({
+  name: 'java/lang/Runnable',
+  isInterface: true,
+  methods: {
+    'run()V': null
+  }
+});
+
+// ---------------------------------------------------------------------------
+// String and StringBuffer
+// ---------------------------------------------------------------------------
+
+/**
+ * Get the JS text of a String argument, throwing NullPointerException for null
+ * @param {Object|null} string - java.lang.String
+ * @returns {string} Text
+ */
+function cldcText(string) {
+  if (string === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+  return string.str;
+}
+
+/**
+ * Check a substring range
+ * @param {string} text - String
+ * @param {number} begin - Start index
+ * @param {number} end - End index
+ */
+function cldcCheckSubstring(text, begin, end) {
+  if (begin < 0 || end > text.length || begin > end) {
+    throw JVM.newThrowable('java/lang/StringIndexOutOfBoundsException', `String index out of range: ${begin < 0 ? begin : end}`);
+  }
+}
+
+/**
+ * Test String.regionMatches
+ * @param {string} text - Receiver text
+ * @param {boolean} ignoreCase - Compare case-insensitively
+ * @param {number} offset - Start in the receiver
+ * @param {string} other - Other text
+ * @param {number} otherOffset - Start in the other text
+ * @param {number} length - Number of characters
+ * @returns {boolean} True if the regions match
+ */
+function cldcRegionMatches(text, ignoreCase, offset, other, otherOffset, length) {
+  if (offset < 0 || otherOffset < 0 || offset + length > text.length || otherOffset + length > other.length) {
+    return false;
+  }
+
+  const a = text.substr(offset, Math.max(length, 0));
+  const b = other.substr(otherOffset, Math.max(length, 0));
+  return ignoreCase ? a.toUpperCase() === b.toUpperCase() || a.toLowerCase() === b.toLowerCase() : a === b;
+}
+
+JVM.defineNativeClass({
+  name: 'java/lang/String',
+  accessFlags: ClassFile.ACC.PUBLIC | ClassFile.ACC.FINAL,
+  methods: {
+    '<init>()V': (thread, self) => { self.str = ''; },
+    '<init>(Ljava/lang/String;)V': (thread, self, string) => { self.str = cldcText(string); },
+    '<init>([C)V': (thread, self, chars) => { self.str = cldcCharsToString(chars, 0, chars === null ? 0 : chars.length); },
+    '<init>([CII)V': (thread, self, chars, offset, count) => { self.str = cldcCharsToString(chars, offset, count); },
+    '<init>([B)V': (thread, self, bytes) => {
+      cldcCheckRange(bytes, 0, 0);
+      self.str = cldcDecodeBytes(bytes, 0, bytes.length, null);
+    },
+    '<init>([BII)V': (thread, self, bytes, offset, length) => {
+      cldcCheckRange(bytes, offset, length);
+      self.str = cldcDecodeBytes(bytes, offset, length, null);
+    },
+    '<init>([BLjava/lang/String;)V': (thread, self, bytes, encoding) => {
+      cldcCheckRange(bytes, 0, 0);
+      self.str = cldcDecodeBytes(bytes, 0, bytes.length, cldcText(encoding));
+    },
+    '<init>([BIILjava/lang/String;)V': (thread, self, bytes, offset, length, encoding) => {
+      cldcCheckRange(bytes, offset, length);
+      self.str = cldcDecodeBytes(bytes, offset, length, cldcText(encoding));
+    },
+    '<init>(Ljava/lang/StringBuffer;)V': (thread, self, buffer) => {
+      if (buffer === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      self.str = buffer.buffer;
+    },
+
+    'length()I': (thread, self) => self.str.length,
+    'charAt(I)C': (thread, self, index) => {
+      if (index < 0 || index >= self.str.length) {
+        throw JVM.newThrowable('java/lang/StringIndexOutOfBoundsException', `String index out of range: ${index}`);
+      }
+      return self.str.charCodeAt(index);
+    },
+    'getChars(II[CI)V': (thread, self, begin, end, chars, destination) => {
+      cldcCheckSubstring(self.str, begin, end);
+      cldcCheckRange(chars, destination, end - begin);
+      for (let i = begin; i < end; i++) {
+        chars[destination++] = self.str.charCodeAt(i);
+      }
+    },
+    'getBytes()[B': (thread, self) => cldcEncodeString(self.str, null),
+    'getBytes(Ljava/lang/String;)[B': (thread, self, encoding) => cldcEncodeString(self.str, cldcText(encoding)),
+    'toCharArray()[C': (thread, self) => {
+      const chars = JVM.newArray('[C', self.str.length);
+      for (let i = 0; i < chars.length; i++) chars[i] = self.str.charCodeAt(i);
+      return chars;
+    },
+
+    'equals(Ljava/lang/Object;)Z': (thread, self, other) => other !== null && other.str === self.str,
+    'equalsIgnoreCase(Ljava/lang/String;)Z': (thread, self, other) =>
+      other !== null && cldcRegionMatches(self.str, true, 0, other.str, 0, self.str.length) && self.str.length === other.str.length,
+    'compareTo(Ljava/lang/String;)I': (thread, self, other) => {
+      const a = self.str;
+      const b = cldcText(other);
+      const limit = Math.min(a.length, b.length);
+      for (let i = 0; i < limit; i++) {
+        const difference = a.charCodeAt(i) - b.charCodeAt(i);
+        if (difference !== 0) return difference;
+      }
+      return a.length - b.length;
+    },
+    'hashCode()I': (thread, self) => cldcStringHash(self),
+    'regionMatches(ILjava/lang/String;II)Z': (thread, self, offset, other, otherOffset, length) =>
+      cldcRegionMatches(self.str, false, offset, cldcText(other), otherOffset, length),
+    'regionMatches(ZILjava/lang/String;II)Z': (thread, self, ignoreCase, offset, other, otherOffset, length) =>
+      cldcRegionMatches(self.str, !!ignoreCase, offset, cldcText(other), otherOffset, length),
+    'startsWith(Ljava/lang/String;)Z': (thread, self, prefix) => self.str.startsWith(cldcText(prefix)),
+    'startsWith(Ljava/lang/String;I)Z': (thread, self, prefix, offset) =>
+      offset >= 0 && offset <= self.str.length && self.str.startsWith(cldcText(prefix), offset),
+    'endsWith(Ljava/lang/String;)Z': (thread, self, suffix) => self.str.endsWith(cldcText(suffix)),
+
+    'indexOf(I)I': (thread, self, ch) => self.str.indexOf(String.fromCharCode(ch)),
+    'indexOf(II)I': (thread, self, ch, from) => self.str.indexOf(String.fromCharCode(ch), Math.max(from, 0)),
+    'indexOf(Ljava/lang/String;)I': (thread, self, string) => self.str.indexOf(cldcText(string)),
+    'indexOf(Ljava/lang/String;I)I': (thread, self, string, from) => {
+      const text = cldcText(string);
+      if (from >= self.str.length) return text === '' ? self.str.length : -1;
+      return self.str.indexOf(text, Math.max(from, 0));
+    },
+    'lastIndexOf(I)I': (thread, self, ch) => self.str.lastIndexOf(String.fromCharCode(ch)),
+    'lastIndexOf(II)I': (thread, self, ch, from) => from < 0 ? -1 : self.str.lastIndexOf(String.fromCharCode(ch), from),
+    'lastIndexOf(Ljava/lang/String;)I': (thread, self, string) => self.str.lastIndexOf(cldcText(string)),
+    'lastIndexOf(Ljava/lang/String;I)I': (thread, self, string, from) =>
+      from < 0 ? -1 : self.str.lastIndexOf(cldcText(string), from),
+
+    'substring(I)Ljava/lang/String;': (thread, self, begin) => {
+      cldcCheckSubstring(self.str, begin, self.str.length);
+      return begin === 0 ? self : JVM.newString(self.str.substring(begin));
+    },
+    'substring(II)Ljava/lang/String;': (thread, self, begin, end) => {
+      cldcCheckSubstring(self.str, begin, end);
+      return begin === 0 && end === self.str.length ? self : JVM.newString(self.str.substring(begin, end));
+    },
+    'concat(Ljava/lang/String;)Ljava/lang/String;': (thread, self, other) => {
+      const text = cldcText(other);
+      return text === '' ? self : JVM.newString(self.str + text);
+    },
+    'replace(CC)Ljava/lang/String;': (thread, self, oldChar, newChar) => {
+      if (oldChar === newChar || self.str.indexOf(String.fromCharCode(oldChar)) < 0) return self;
+      return JVM.newString(self.str.split(String.fromCharCode(oldChar)).join(String.fromCharCode(newChar)));
+    },
+    'toLowerCase()Ljava/lang/String;': (thread, self) => {
+      const lower = self.str.toLowerCase();
+      return lower === self.str ? self : JVM.newString(lower);
+    },
+    'toUpperCase()Ljava/lang/String;': (thread, self) => {
+      const upper = self.str.toUpperCase();
+      return upper === self.str ? self : JVM.newString(upper);
+    },
+    'trim()Ljava/lang/String;': (thread, self) => {
+      // Java trims every control character, not just Unicode whitespace
+      const text = self.str;
+      let begin = 0;
+      let end = text.length;
+      while (begin < end && text.charCodeAt(begin) <= 32) begin++;
+      while (end > begin && text.charCodeAt(end - 1) <= 32) end--;
+      return begin === 0 && end === text.length ? self : JVM.newString(text.substring(begin, end));
+    },
+    'intern()Ljava/lang/String;': (thread, self) => JVM.internString(self.str),
+    'toString()Ljava/lang/String;': (thread, self) => self
+  },
+  staticMethods: {
+    'valueOf(Ljava/lang/Object;)Ljava/lang/String;': (thread, obj) =>
+      obj !== null && obj.str !== undefined ? obj : JVM.newString(cldcObjectToString(thread, obj)),
+    'valueOf([C)Ljava/lang/String;': (thread, chars) => JVM.newString(cldcCharsToString(chars, 0, chars === null ? 0 : chars.length)),
+    'valueOf([CII)Ljava/lang/String;': (thread, chars, offset, count) => JVM.newString(cldcCharsToString(chars, offset, count)),
+    'valueOf(Z)Ljava/lang/String;': (thread, value) => JVM.newString(value ? 'true' : 'false'),
+    'valueOf(C)Ljava/lang/String;': (thread, value) => JVM.newString(String.fromCharCode(value)),
+    'valueOf(I)Ljava/lang/String;': (thread, value) => JVM.newString(String(value)),
+    'valueOf(J)Ljava/lang/String;': (thread, value) => JVM.newString(value.toString()),
+    'valueOf(F)Ljava/lang/String;': (thread, value) => JVM.newString(cldcFormatNumber(value, true)),
+    'valueOf(D)Ljava/lang/String;': (thread, value) => JVM.newString(cldcFormatNumber(value))
+  }
+});
+
+/**
+ * Build a StringBuffer-like class definition
+ *
+ * StringBuilder is not part of CLDC, but MIDlets compiled with -target 1.5
+ * use it for string concatenation, so it shares StringBuffer's natives.
+ * @param {string} name - Class name
+ * @returns {Object} Native class definition
+ */
+function cldcCreateStringBufferDefinition(name) {
+  const type = `L${name};`;
+  const methods = {};
+
+  const append = (suffix, toText) => {
+    methods[`append(${suffix})${type}`] = (thread, self, ...args) => {
+      self.buffer += toText(thread, ...args);
+      return self;
+    };
+    methods[`insert(I${suffix})${type}`] = (thread, self, offset, ...args) => {
+      if (offset < 0 || offset > self.buffer.length) {
+        throw JVM.newThrowable('java/lang/StringIndexOutOfBoundsException', `String index out of range: ${offset}`);
+      }
+      self.buffer = self.buffer.substring(0, offset) + toText(thread, ...args) + self.buffer.substring(offset);
+      return self;
+    };
+  };
+
+  append('Ljava/lang/Object;', cldcObjectToString);
+  append('Ljava/lang/String;', (thread, string) => string === null ? 'null' : string.str);
+  append('[C', (thread, chars) => cldcCharsToString(chars, 0, chars === null ? 0 : chars.length));
+  append('Z', (thread, value) => value ? 'true' : 'false');
+  append('C', (thread, value) => String.fromCharCode(value));
+  append('I', (thread, value) => String(value));
+  append('J', (thread, value) => value.toString());
+  append('F', (thread, value) => cldcFormatNumber(value, true));
+  append('D', (thread, value) => cldcFormatNumber(value));
+
+  methods[`append([CII)${type}`] = (thread, self, chars, offset, count) => {
+    self.buffer += cldcCharsToString(chars, offset, count);
+    return self;
+  };
+  methods[`delete(II)${type}`] = (thread, self, start, end) => {
+    const length = self.buffer.length;
+    if (end > length) end = length;
+    if (start < 0 || start > end) {
+      throw JVM.newThrowable('java/lang/StringIndexOutOfBoundsException', `String index out of range: ${start}`);
+    }
+    self.buffer = self.buffer.substring(0, start) + self.buffer.substring(end);
+    return self;
+  };
+  methods[`deleteCharAt(I)${type}`] = (thread, self, index) => {
+    if (index < 0 || index >= self.buffer.length) {
+      throw JVM.newThrowable('java/lang/StringIndexOutOfBoundsException', `String index out of range: ${index}`);
+    }
+    self.buffer = self.buffer.substring(0, index) + self.buffer.substring(index + 1);
+    return self;
+  };
+  methods[`reverse()${type}`] = (thread, self) => {
+    self.buffer = self.buffer.split('').reverse().join('');
+    return self;
+  };
+
+  Object.assign(methods, {
+    '<init>()V': (thread, self) => { self.buffer = ''; },
+    '<init>(I)V': (thread, self, capacity) => {
+      if (capacity < 0) throw JVM.newThrowable('java/lang/NegativeArraySizeException', String(capacity));
+      self.buffer = '';
+    },
+    '<init>(Ljava/lang/String;)V': (thread, self, string) => { self.buffer = cldcText(string); },
+    'length()I': (thread, self) => self.buffer.length,
+    'capacity()I': (thread, self) => self.buffer.length + 16,
+    'ensureCapacity(I)V': () => {},
+    'charAt(I)C': (thread, self, index) => {
+      if (index < 0 || index >= self.buffer.length) {
+        throw JVM.newThrowable('java/lang/StringIndexOutOfBoundsException', `String index out of range: ${index}`);
+      }
+      return self.buffer.charCodeAt(index);
+    },
+    'setCharAt(IC)V': (thread, self, index, ch) => {
+      if (index < 0 || index >= self.buffer.length) {
+        throw JVM.newThrowable('java/lang/StringIndexOutOfBoundsException', `String index out of range: ${index}`);
+      }
+      self.buffer = self.buffer.substring(0, index) + String.fromCharCode(ch) + self.buffer.substring(index + 1);
+    },
+    'setLength(I)V': (thread, self, length) => {
+      if (length < 0) {
+        throw JVM.newThrowable('java/lang/StringIndexOutOfBoundsException', `String index out of range: ${length}`);
+      }
+      self.buffer = length <= self.buffer.length
+        ? self.buffer.substring(0, length)
+        : self.buffer + '\u0000'.repeat(length - self.buffer.length);
+    },
+    'getChars(II[CI)V': (thread, self, begin, end, chars, destination) => {
+      cldcCheckSubstring(self.buffer, begin, end);
+      cldcCheckRange(chars, destination, end - begin);
+      for (let i = begin; i < end; i++) {
+        chars[destination++] = self.buffer.charCodeAt(i);
+      }
+    },
+    'toString()Ljava/lang/String;': (thread, self) => JVM.newString(self.buffer)
+  });
+
+  return {
+    name: name,
+    accessFlags: ClassFile.ACC.PUBLIC | ClassFile.ACC.FINAL,
+    methods: methods
+  };
+}
+
+JVM.defineNativeClass(cldcCreateStringBufferDefinition('java/lang/StringBuffer'));
+JVM.defineNativeClass(cldcCreateStringBufferDefinition('java/lang/StringBuilder'));
+
+// ---------------------------------------------------------------------------
+// Primitive wrappers
+// ---------------------------------------------------------------------------
+
+/**
+ * Build the definition of an integral wrapper class
+ * @param {string} name - Class name
+ * @param {string} type - Primitive descriptor (B, S, I or J)
+ * @param {bigint} min - MIN_VALUE
+ * @param {bigint} max - MAX_VALUE
+ * @param {string} parseName - Name of the static parse method, e.g. "parseInt"
+ * @returns {Object} Native class definition
+ */
+function cldcCreateIntegralDefinition(name, type, min, max, parseName) {
+  const isLong = type === 'J';
+  const fromBig = value => isLong ? value : Number(value);
+  const toNumber = value => Number(value);
+
+  const methods = {
+    [`<init>(${type})V`]: (thread, self, value) => { self.value = value; },
+    'hashCode()I': (thread, self) => isLong ? Number(BigInt.asIntN(32, self.value ^ (self.value >> 32n))) : self.value,
+    'equals(Ljava/lang/Object;)Z': (thread, self, other) => other !== null && other.cls === self.cls && other.value === self.value,
+    'toString()Ljava/lang/String;': (thread, self) => JVM.newString(self.value.toString()),
+    'longValue()J': (thread, self) => BigInt(self.value),
+    'floatValue()F': (thread, self) => Math.fround(toNumber(self.value)),
+    'doubleValue()D': (thread, self) => toNumber(self.value)
+  };
+
+  if (!isLong) {
+    Object.assign(methods, {
+      'byteValue()B': (thread, self) => (self.value << 24) >> 24,
+      'shortValue()S': (thread, self) => (self.value << 16) >> 16,
+      'intValue()I': (thread, self) => self.value
+    });
+  } else {
+    methods['intValue()I'] = (thread, self) => Number(BigInt.asIntN(32, self.value));
+  }
+
+  const staticMethods = {
+    [`${parseName}(Ljava/lang/String;)${type}`]: (thread, string) => fromBig(cldcParseIntegral(string, 10, min, max)),
+    [`${parseName}(Ljava/lang/String;I)${type}`]: (thread, string, radix) => fromBig(cldcParseIntegral(string, radix, min, max)),
+    [`toString(${type})Ljava/lang/String;`]: (thread, value) => JVM.newString(value.toString())
+  };
+
+  if (type === 'I' || isLong) {
+    staticMethods[`toString(${type}I)Ljava/lang/String;`] = (thread, value, radix) =>
+      JVM.newString(value.toString(radix < 2 || radix > 36 ? 10 : radix));
+  }
+
+  return {
+    name: name,
+    accessFlags: ClassFile.ACC.PUBLIC | ClassFile.ACC.FINAL,
+    fields: [
+      { name: 'MIN_VALUE', descriptor: type, isStatic: true, value: fromBig(min) },
+      { name: 'MAX_VALUE', descriptor: type, isStatic: true, value: fromBig(max) }
+    ],
+    methods: methods,
+    staticMethods: staticMethods
+  };
+}
+
+JVM.defineNativeClass(cldcCreateIntegralDefinition('java/lang/Byte', 'B', -128n, 127n, 'parseByte'));
+JVM.defineNativeClass(cldcCreateIntegralDefinition('java/lang/Short', 'S', -32768n, 32767n, 'parseShort'));
+JVM.defineNativeClass(cldcCreateIntegralDefinition('java/lang/Long', 'J', -(2n ** 63n), 2n ** 63n - 1n, 'parseLong'));
+
+(function() {
+  const definition = cldcCreateIntegralDefinition('java/lang/Integer', 'I', -(2n ** 31n), 2n ** 31n - 1n, 'parseInt');
+  const unsigned = (value, shift) => {
+    // Print the two's complement digits, like Integer.toHexString does
+    const radix = 1 << shift;
+    return JVM.newString((value >>> 0).toString(radix));
+  };
+
+  Object.assign(definition.staticMethods, {
+    'valueOf(Ljava/lang/String;)Ljava/lang/Integer;': (thread, string) =>
+      cldcBox('java/lang/Integer', Number(cldcParseIntegral(string, 10, -(2n ** 31n), 2n ** 31n - 1n))),
+    'valueOf(Ljava/lang/String;I)Ljava/lang/Integer;': (thread, string, radix) =>
+      cldcBox('java/lang/Integer', Number(cldcParseIntegral(string, radix, -(2n ** 31n), 2n ** 31n - 1n))),
+    'valueOf(I)Ljava/lang/Integer;': (thread, value) => cldcBox('java/lang/Integer', value),
+    'toHexString(I)Ljava/lang/String;': (thread, value) => unsigned(value, 4),
+    'toOctalString(I)Ljava/lang/String;': (thread, value) => unsigned(value, 3),
+    'toBinaryString(I)Ljava/lang/String;': (thread, value) => unsigned(value, 1)
+  });
+
+  JVM.defineNativeClass(definition);
+})();
+
+JVM.defineNativeClass({
+  name: 'java/lang/Boolean',
+  accessFlags: ClassFile.ACC.PUBLIC | ClassFile.ACC.FINAL,
+  fields: [
+    { name: 'TRUE', descriptor: 'Ljava/lang/Boolean;', isStatic: true },
+    { name: 'FALSE', descriptor: 'Ljava/lang/Boolean;', isStatic: true }
+  ],
+  methods: {
+    '<init>(Z)V': (thread, self, value) => { self.value = value ? 1 : 0; },
+    'booleanValue()Z': (thread, self) => self.value,
+    'hashCode()I': (thread, self) => self.value ? 1231 : 1237,
+    'equals(Ljava/lang/Object;)Z': (thread, self, other) => other !== null && other.cls === self.cls && other.value === self.value,
+    'toString()Ljava/lang/String;': (thread, self) => JVM.newString(self.value ? 'true' : 'false')
+  },
+  initialize: cls => {
+    JVM.setStatic(cls, 'TRUE', 'Ljava/lang/Boolean;', Object.assign(JVM.newObject(cls), { value: 1 }));
+    JVM.setStatic(cls, 'FALSE', 'Ljava/lang/Boolean;', Object.assign(JVM.newObject(cls), { value: 0 }));
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'java/lang/Character',
+  accessFlags: ClassFile.ACC.PUBLIC | ClassFile.ACC.FINAL,
+  fields: [
+    { name: 'MIN_RADIX', descriptor: 'I', isStatic: true, value: 2 },
+    { name: 'MAX_RADIX', descriptor: 'I', isStatic: true, value: 36 },
+    { name: 'MIN_VALUE', descriptor: 'C', isStatic: true, value: 0 },
+    { name: 'MAX_VALUE', descriptor: 'C', isStatic: true, value: 0xffff }
+  ],
+  methods: {
+    '<init>(C)V': (thread, self, value) => { self.value = value; },
+    'charValue()C': (thread, self) => self.value,
+    'hashCode()I': (thread, self) => self.value,
+    'equals(Ljava/lang/Object;)Z': (thread, self, other) => other !== null && other.cls === self.cls && other.value === self.value,
+    'toString()Ljava/lang/String;': (thread, self) => JVM.newString(String.fromCharCode(self.value))
+  },
+  staticMethods: {
+    'isDigit(C)Z': (thread, ch) => /\p{Nd}/u.test(String.fromCharCode(ch)),
+    'isLowerCase(C)Z': (thread, ch) => /\p{Ll}/u.test(String.fromCharCode(ch)),
+    'isUpperCase(C)Z': (thread, ch) => /\p{Lu}/u.test(String.fromCharCode(ch)),
+    'isLetter(C)Z': (thread, ch) => /\p{L}/u.test(String.fromCharCode(ch)),
+    'isLetterOrDigit(C)Z': (thread, ch) => /[\p{L}\p{Nd}]/u.test(String.fromCharCode(ch)),
+    'isSpace(C)Z': (thread, ch) => ch === 9 || ch === 10 || ch === 12 || ch === 13 || ch === 32,
+    'isWhitespace(C)Z': (thread, ch) => /\s/.test(String.fromCharCode(ch)) && ch !== 0xa0 && ch !== 0x2007 && ch !== 0x202f,
+    'toLowerCase(C)C': (thread, ch) => {
+      const lower = String.fromCharCode(ch).toLowerCase();
+      return lower.length === 1 ? lower.charCodeAt(0) : ch;
+    },
+    'toUpperCase(C)C': (thread, ch) => {
+      const upper = String.fromCharCode(ch).toUpperCase();
+      return upper.length === 1 ? upper.charCodeAt(0) : ch;
+    },
+    'digit(CI)I': (thread, ch, radix) => radix < 2 || radix > 36 ? -1 : cldcDigit(ch, radix),
+    'forDigit(II)C': (thread, digit, radix) =>
+      radix < 2 || radix > 36 || digit < 0 || digit >= radix ? 0 : digit.toString(radix).charCodeAt(0)
+  }
+});
+
+/**
+ * Build the definition of Float or Double
+ * @param {string} name - Class name
+ * @param {boolean} isFloat - True for Float
+ * @returns {Object} Native class definition
+ */
+function cldcCreateFloatingDefinition(name, isFloat) {
+  const type = isFloat ? 'F' : 'D';
+  const round = isFloat ? Math.fround : value => value;
+  const bitsEqual = (a, b) => isFloat ? cldcFloatToIntBits(a) === cldcFloatToIntBits(b) : cldcDoubleToLongBits(a) === cldcDoubleToLongBits(b);
+  const box = value => cldcBox(name, round(value));
+
+  const methods = {
+    [`<init>(${type})V`]: (thread, self, value) => { self.value = value; },
+    'floatValue()F': (thread, self) => Math.fround(self.value),
+    'doubleValue()D': (thread, self) => self.value,
+    'byteValue()B': (thread, self) => (JVM.doubleToInt(self.value) << 24) >> 24,
+    'shortValue()S': (thread, self) => (JVM.doubleToInt(self.value) << 16) >> 16,
+    'intValue()I': (thread, self) => JVM.doubleToInt(self.value),
+    'longValue()J': (thread, self) => JVM.doubleToLong(self.value),
+    'isNaN()Z': (thread, self) => self.value !== self.value,
+    'isInfinite()Z': (thread, self) => self.value === Infinity || self.value === -Infinity,
+    'hashCode()I': (thread, self) => {
+      if (isFloat) return cldcFloatToIntBits(self.value);
+      const bits = cldcDoubleToLongBits(self.value);
+      return Number(BigInt.asIntN(32, bits ^ (bits >> 32n)));
+    },
+    'equals(Ljava/lang/Object;)Z': (thread, self, other) => other !== null && other.cls === self.cls && bitsEqual(self.value, other.value),
+    'toString()Ljava/lang/String;': (thread, self) => JVM.newString(cldcFormatNumber(self.value, isFloat))
+  };
+  if (isFloat) {
+    methods['<init>(D)V'] = (thread, self, value) => { self.value = Math.fround(value); };
+  }
+
+  const staticMethods = {
+    [`toString(${type})Ljava/lang/String;`]: (thread, value) => JVM.newString(cldcFormatNumber(value, isFloat)),
+    [`valueOf(Ljava/lang/String;)L${name};`]: (thread, string) => box(cldcParseNumber(string)),
+    [`isNaN(${type})Z`]: (thread, value) => value !== value,
+    [`isInfinite(${type})Z`]: (thread, value) => value === Infinity || value === -Infinity
+  };
+
+  if (isFloat) {
+    Object.assign(staticMethods, {
+      'parseFloat(Ljava/lang/String;)F': (thread, string) => Math.fround(cldcParseNumber(string)),
+      'floatToIntBits(F)I': (thread, value) => cldcFloatToIntBits(value),
+      'intBitsToFloat(I)F': (thread, bits) => {
+        cldcLangBits.setInt32(0, bits);
+        return cldcLangBits.getFloat32(0);
+      }
+    });
+  } else {
+    Object.assign(staticMethods, {
+      'parseDouble(Ljava/lang/String;)D': (thread, string) => cldcParseNumber(string),
+      'doubleToLongBits(D)J': (thread, value) => cldcDoubleToLongBits(value),
+      'longBitsToDouble(J)D': (thread, bits) => {
+        cldcLangBits.setBigInt64(0, bits);
+        return cldcLangBits.getFloat64(0);
+      }
+    });
+  }
+
+  return {
+    name: name,
+    accessFlags: ClassFile.ACC.PUBLIC | ClassFile.ACC.FINAL,
+    fields: [
+      { name: 'POSITIVE_INFINITY', descriptor: type, isStatic: true, value: Infinity },
+      { name: 'NEGATIVE_INFINITY', descriptor: type, isStatic: true, value: -Infinity },
+      { name: 'NaN', descriptor: type, isStatic: true, value: NaN },
+      { name: 'MAX_VALUE', descriptor: type, isStatic: true, value: isFloat ? 3.4028234663852886e38 : Number.MAX_VALUE },
+      { name: 'MIN_VALUE', descriptor: type, isStatic: true, value: isFloat ? 1.401298464324817e-45 : Number.MIN_VALUE }
+    ],
+    methods: methods,
+    staticMethods: staticMethods
+  };
+}
+
+JVM.defineNativeClass(cldcCreateFloatingDefinition('java/lang/Float', true));
+JVM.defineNativeClass(cldcCreateFloatingDefinition('java/lang/Double', false));
+
+// ---------------------------------------------------------------------------
+// Math, System, Runtime
+// ---------------------------------------------------------------------------
+
+JVM.defineNativeClass({
+  name: 'java/lang/Math',
+  accessFlags: ClassFile.ACC.PUBLIC | ClassFile.ACC.FINAL,
+  fields: [
+    { name: 'E', descriptor: 'D', isStatic: true, value: Math.E },
+    { name: 'PI', descriptor: 'D', isStatic: true, value: Math.PI }
+  ],
+  staticMethods: {
+    'abs(I)I': (thread, value) => value < 0 ? (-value) | 0 : value,
+    'abs(J)J': (thread, value) => value < 0n ? BigInt.asIntN(64, -value) : value,
+    'abs(F)F': (thread, value) => Math.abs(value),
+    'abs(D)D': (thread, value) => Math.abs(value),
+    'max(II)I': (thread, a, b) => a >= b ? a : b,
+    'max(JJ)J': (thread, a, b) => a >= b ? a : b,
+    'max(FF)F': (thread, a, b) => Math.max(a, b),
+    'max(DD)D': (thread, a, b) => Math.max(a, b),
+    'min(II)I': (thread, a, b) => a <= b ? a : b,
+    'min(JJ)J': (thread, a, b) => a <= b ? a : b,
+    'min(FF)F': (thread, a, b) => Math.min(a, b),
+    'min(DD)D': (thread, a, b) => Math.min(a, b),
+    'ceil(D)D': (thread, value) => Math.ceil(value),
+    'floor(D)D': (thread, value) => Math.floor(value),
+    'sqrt(D)D': (thread, value) => Math.sqrt(value),
+    'sin(D)D': (thread, value) => Math.sin(value),
+    'cos(D)D': (thread, value) => Math.cos(value),
+    'tan(D)D': (thread, value) => Math.tan(value),
+    'toRadians(D)D': (thread, value) => value / 180 * Math.PI,
+    'toDegrees(D)D': (thread, value) => value * 180 / Math.PI
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'java/lang/System',
+  accessFlags: ClassFile.ACC.PUBLIC | ClassFile.ACC.FINAL,
+  fields: [
+    { name: 'out', descriptor: 'Ljava/io/PrintStream;', isStatic: true },
+    { name: 'err', descriptor: 'Ljava/io/PrintStream;', isStatic: true }
+  ],
+  staticMethods: {
+    'currentTimeMillis()J': () => BigInt(Date.now()),
+    'arraycopy(Ljava/lang/Object;ILjava/lang/Object;II)V': (thread, src, srcPos, dst, dstPos, length) => {
+      if (src === null || dst === null) {
+        throw JVM.newThrowable('java/lang/NullPointerException', null);
+      }
+      if (!src.cls.isArray || !dst.cls.isArray) {
+        throw JVM.newThrowable('java/lang/ArrayStoreException', 'Not an array');
+      }
+
+      const isPrimitive = src.cls.componentDescriptor.length === 1;
+      if ((isPrimitive || dst.cls.componentDescriptor.length === 1) && src.cls !== dst.cls) {
+        throw JVM.newThrowable('java/lang/ArrayStoreException', `${src.cls.name} to ${dst.cls.name}`);
+      }
+      if (length < 0 || srcPos < 0 || dstPos < 0 || srcPos + length > src.length || dstPos + length > dst.length) {
+        throw JVM.newThrowable('java/lang/ArrayIndexOutOfBoundsException', null);
+      }
+
+      if (isPrimitive) {
+        dst.set(src.subarray(srcPos, srcPos + length), dstPos);
+        return;
+      }
+
+      if (src === dst) {
+        src.copyWithin(dstPos, srcPos, srcPos + length);
+        return;
+      }
+
+      // Reference arrays check each element when the types differ
+      const component = JVM.isAssignable(src.cls, dst.cls) ? null : JVM.getComponentClass(dst.cls);
+      for (let i = 0; i < length; i++) {
+        const value = src[srcPos + i];
+        if (component && value !== null && !JVM.isAssignable(value.cls, component)) {
+          throw JVM.newThrowable('java/lang/ArrayStoreException', value.cls.name.replace(/\//g, '.'));
+        }
+        dst[dstPos + i] = value;
+      }
+    },
+    'getProperty(Ljava/lang/String;)Ljava/lang/String;': (thread, key) => {
+      const name = cldcText(key);
+      const host = JVM.state.host;
+      let value = host.getSystemProperty ? host.getSystemProperty(name) : null;
+      if (value === null || value === undefined) {
+        value = Object.prototype.hasOwnProperty.call(cldcLangConstants.SYSTEM_PROPERTIES, name)
+          ? cldcLangConstants.SYSTEM_PROPERTIES[name]
+          : null;
+      }
+      return value === null ? null : JVM.newString(value);
+    },
+    'identityHashCode(Ljava/lang/Object;)I': (thread, obj) => obj === null ? 0 : JVM.identityHash(obj),
+    'gc()V': () => {},
+    'exit(I)V': () => {
+      // MIDP forbids MIDlets from exiting the VM; they call notifyDestroyed
+      throw JVM.newThrowable('java/lang/SecurityException', 'MIDlets may not call System.exit');
+    }
+  },
+  initialize: cls => {
+    JVM.setStatic(cls, 'out', 'Ljava/io/PrintStream;', CldcIo.newConsoleStream(false));
+    JVM.setStatic(cls, 'err', 'Ljava/io/PrintStream;', CldcIo.newConsoleStream(true));
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'java/lang/Runtime',
+  methods: {
+    'totalMemory()J': () => BigInt(cldcLangConstants.TOTAL_MEMORY),
+    'freeMemory()J': () => BigInt(cldcLangConstants.TOTAL_MEMORY / 2),
+    'gc()V': () => {},
+    'exit(I)V': () => {
+      throw JVM.newThrowable('java/lang/SecurityException', 'MIDlets may not call Runtime.exit');
+    }
+  },
+  staticMethods: {
+    'getRuntime()Ljava/lang/Runtime;': () => {
+      const runtimeClass = JVM.loadClass('java/lang/Runtime');
+      if (!runtimeClass.instance) runtimeClass.instance = JVM.newObject(runtimeClass);
+      return runtimeClass.instance;
+    }
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'java/lang/ref/Reference',
+  accessFlags: ClassFile.ACC.PUBLIC | ClassFile.ACC.ABSTRACT,
+  methods: {
+    'get()Ljava/lang/Object;': (thread, self) => self.referent || null,
+    'clear()V': (thread, self) => { self.referent = null; }
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'java/lang/ref/WeakReference',
+  superName: 'java/lang/ref/Reference',
+  methods: {
+    // Nothing is ever collected early, so weak references stay strong
+    '<init>(Ljava/lang/Object;)V': (thread, self, referent) => { self.referent = referent; }
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Threads
+// ---------------------------------------------------------------------------
+
+/**
+ * Object.wait with a timeout
+ * @param {Object} thread - Current thread
+ * @param {Object} obj - Object to wait on
+ * @param {bigint} timeout - Milliseconds; 0 waits forever
+ * @param {number} nanos - Extra nanoseconds, 0-999999
+ */
+function cldcWait(thread, obj, timeout, nanos) {
+  if (timeout < 0n) {
+    throw JVM.newThrowable('java/lang/IllegalArgumentException', 'timeout value is negative');
+  }
+  if (nanos < 0 || nanos > 999999) {
+    throw JVM.newThrowable('java/lang/IllegalArgumentException', 'nanosecond timeout value out of range');
+  }
+
+  // Timers only have millisecond resolution; round any nanoseconds up
+  JVM.monitorWait(thread, obj, Number(timeout) + (nanos > 0 ? 1 : 0));
+}
+
+/**
+ * Set up a new java.lang.Thread object
+ * @param {Object} thread - Thread running the constructor
+ * @param {Object} self - Thread object
+ * @param {Object|null} target - Runnable to run, or null to run self
+ * @param {string|null} name - Thread name, or null for a generated one
+ */
+function cldcInitThread(thread, self, target, name) {
+  // New threads inherit the priority of the thread that creates them
+  self.target = target;
+  self.name = name === null ? `Thread-${JVM.loadClass('java/lang/Thread').nextThreadNumber++}` : name;
+  self.priority = thread.priority;
+  self.vmThread = null;
+}
+
+/**
+ * Get the java.lang.Thread object of a VM thread, creating it for threads
+ * the emulator started itself
+ * @param {Object} thread - VM thread
+ * @returns {Object} Thread object
+ */
+function cldcCurrentThread(thread) {
+  if (!thread.javaThread) {
+    const cls = JVM.loadClass('java/lang/Thread');
+    JVM.initializeClass(thread, cls);
+
+    const obj = JVM.newObject(cls);
+    obj.target = null;
+    obj.name = thread.name;
+    obj.priority = thread.priority;
+    obj.vmThread = thread;
+    thread.javaThread = obj;
+  }
+  return thread.javaThread;
+}
+
+JVM.defineNativeClass({
+  name: 'java/lang/Thread',
+  interfaces: ['java/lang/Runnable'],
+  fields: [
+    { name: 'MIN_PRIORITY', descriptor: 'I', isStatic: true, value: JVM.constants.MIN_PRIORITY },
+    { name: 'NORM_PRIORITY', descriptor: 'I', isStatic: true, value: JVM.constants.NORM_PRIORITY },
+    { name: 'MAX_PRIORITY', descriptor: 'I', isStatic: true, value: JVM.constants.MAX_PRIORITY }
+  ],
+  methods: {
+    '<init>()V': (thread, self) => cldcInitThread(thread, self, null, null),
+    '<init>(Ljava/lang/Runnable;)V': (thread, self, target) => cldcInitThread(thread, self, target, null),
+    '<init>(Ljava/lang/Runnable;Ljava/lang/String;)V': (thread, self, target, name) => {
+      cldcInitThread(thread, self, target, cldcText(name));
+    },
+    '<init>(Ljava/lang/String;)V': (thread, self, name) => cldcInitThread(thread, self, null, cldcText(name)),
+    'run()V': (thread, self) => {
+      // Only reached through super.run(); start() calls the target directly
+      if (self.target) JVM.callVirtual(thread, self.target, 'run()V');
+    },
+    'start()V': (thread, self) => {
+      if (self.vmThread) {
+        throw JVM.newThrowable('java/lang/IllegalThreadStateException', null);
+      }
+
+      const vmThread = JVM.createThread(self.name);
+      vmThread.javaThread = self;
+      vmThread.priority = self.priority;
+      vmThread.terminateWhenIdle = true;
+      self.vmThread = vmThread;
+
+      // Run the target's run() as the thread's bottom frame so it can block
+      let receiver = self;
+      let method = JVM.findVirtualMethod(self.cls, 'run()V');
+      if (method.cls.name === 'java/lang/Thread' && self.target) {
+        receiver = self.target;
+        method = JVM.findVirtualMethod(receiver.cls, 'run()V');
+      }
+
+      // Uncaught exceptions have already been printed by the VM
+      JVM.queueCall(vmThread, method, [receiver]).catch(() => {});
+    },
+    'interrupt()V': (thread, self) => {
+      if (self.vmThread) JVM.interruptThread(self.vmThread);
+    },
+    'isAlive()Z': (thread, self) => self.vmThread !== null && self.vmThread.state !== 'terminated',
+    'join()V': (thread, self) => {
+      if (self.vmThread) JVM.joinThread(thread, self.vmThread);
+    },
+    'setPriority(I)V': (thread, self, priority) => {
+      if (priority < JVM.constants.MIN_PRIORITY || priority > JVM.constants.MAX_PRIORITY) {
+        throw JVM.newThrowable('java/lang/IllegalArgumentException', null);
+      }
+      self.priority = priority;
+      if (self.vmThread) self.vmThread.priority = priority;
+    },
+    'getPriority()I': (thread, self) => self.priority,
+    'getName()Ljava/lang/String;': (thread, self) => JVM.newString(self.name),
+    'toString()Ljava/lang/String;': (thread, self) => JVM.newString(`Thread[${self.name},${self.priority}]`)
+  },
+  staticMethods: {
+    'currentThread()Ljava/lang/Thread;': thread => cldcCurrentThread(thread),
+    'yield()V': thread => JVM.yieldThread(thread),
+    'sleep(J)V': (thread, millis) => {
+      if (millis < 0n) {
+        throw JVM.newThrowable('java/lang/IllegalArgumentException', 'timeout value is negative');
+      }
+      JVM.sleepThread(thread, Number(millis));
+    },
+    'activeCount()I': () => JVM.state.threads.filter(thread => thread.state !== 'terminated').length
+  },
+  initialize: cls => {
+    cls.nextThreadNumber = 0;
+  }
+});
+
+// Export functions for use in other modules
+window.CldcLang = {
+  formatNumber: cldcFormatNumber,
+  parseNumber: cldcParseNumber,
+  charsToString: cldcCharsToString,
+  checkRange: cldcCheckRange,
+  decodeBytes: cldcDecodeBytes,
+  encodeString: cldcEncodeString,
+  objectToString: cldcObjectToString,
+  hashCode: cldcHashCode,
+  equals: cldcEquals,
+  text: cldcText,
+  box: cldcBox,
+  print: cldcPrint
+};
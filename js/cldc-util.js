@@ -0,0 +1,1019 @@
+/**
+ * J2ME Loader for CloudFone
+ * CLDC 1.1 java.util
+ *
+ * Vector, Stack, Hashtable, Enumeration, Random, Date, Calendar,
+ * TimeZone, Timer and TimerTask. Random reproduces the JDK's 48-bit
+ * linear congruential generator exactly, since games often rely on seeded
+ * sequences. Each Timer runs its tasks on a VM thread of its own.
+ */
+
+// java.util constants
+const cldcUtilConstants = {
+  // Field slots of Vector, which exposes them to subclasses
+  VECTOR_DATA: 0,
+  VECTOR_COUNT: 1,
+  VECTOR_INCREMENT: 2,
+
+  RANDOM_MULTIPLIER: 0x5DEECE66Dn,
+  RANDOM_ADDEND: 0xBn,
+  RANDOM_MASK: (1n << 48n) - 1n,
+
+  // Calendar field numbers
+  YEAR: 1,
+  MONTH: 2,
+  DATE: 5,
+  DAY_OF_WEEK: 7,
+  AM_PM: 9,
+  HOUR: 10,
+  HOUR_OF_DAY: 11,
+  MINUTE: 12,
+  SECOND: 13,
+  MILLISECOND: 14,
+
+  DAY_NAMES: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+  MONTH_NAMES: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+};
+
+// Seeds handed out to Random instances created without one
+let cldcUtilSeedUniquifier = 8682522807148012n;
+
+// Intl formatters used to compute zone offsets, by zone ID
+const cldcUtilZoneFormatters = new Map();
+
+/**
+ * Create an Enumeration over values produced by a JS iterator function
+ * @param {string} className - Enumeration class name
+ * @param {function(): {done: boolean, value: *}} next - Returns the next element
+ * @returns {Object} java.util.Enumeration implementation
+ */
+function cldcUtilNewEnumeration(className, next) {
+  const enumeration = JVM.newObject(JVM.loadClass(className));
+  enumeration.nextItem = next();
+  enumeration.advance = next;
+  return enumeration;
+}
+
+/**
+ * Define an Enumeration implementation class
+ * @param {string} name - Class name
+ */
+function cldcUtilDefineEnumeration(name) {
+  JVM.defineNativeClass({
+    name: name,
+    interfaces: ['java/util/Enumeration'],
+    accessFlags: ClassFile.ACC.FINAL,
+    methods: {
+      'hasMoreElements()Z': (thread, self) => !self.nextItem.done,
+      'nextElement()Ljava/lang/Object;': (thread, self) => {
+        const item = self.nextItem;
+        if (item.done) {
+          throw JVM.newThrowable('java/util/NoSuchElementException', null);
+        }
+        self.nextItem = self.advance();
+        return item.value;
+      }
+    }
+  });
+}
+
+JVM.defineNativeClass({
+  name: 'java/util/Enumeration',
+  isInterface: true,
+  methods: {
+    'hasMoreElements()Z': null,
+    'nextElement()Ljava/lang/Object;': null
+  }
+});
+
+cldcUtilDefineEnumeration('java/util/Vector$Enumerator');
+cldcUtilDefineEnumeration('java/util/Hashtable$Enumerator');
+
+[
+  ['java/util/NoSuchElementException', 'java/lang/RuntimeException'],
+  ['java/util/EmptyStackException', 'java/lang/RuntimeException']
+].forEach(([name, superName]) => {
+  JVM.defineNativeClass({ name: name, superName: superName, methods: {} });
+});
+
+// ---------------------------------------------------------------------------
+// Vector and Stack
+// ---------------------------------------------------------------------------
+
+/**
+ * Make sure a Vector can hold a number of elements
+ * @param {Object} self - java.util.Vector
+ * @param {number} capacity - Required capacity
+ */
+function cldcUtilEnsureCapacity(self, capacity) {
+  const fields = self.fields;
+  const data = fields[cldcUtilConstants.VECTOR_DATA];
+  if (capacity <= data.length) return;
+
+  const increment = fields[cldcUtilConstants.VECTOR_INCREMENT];
+  const grown = JVM.newArray('[Ljava/lang/Object;',
+    Math.max(capacity, increment > 0 ? data.length + increment : data.length * 2));
+  for (let i = 0; i < fields[cldcUtilConstants.VECTOR_COUNT]; i++) grown[i] = data[i];
+  fields[cldcUtilConstants.VECTOR_DATA] = grown;
+}
+
+/**
+ * Check a Vector index
+ * @param {Object} self - java.util.Vector
+ * @param {number} index - Index
+ * @param {number} limit - Exclusive upper bound
+ */
+function cldcUtilCheckIndex(self, index, limit) {
+  if (index < 0 || index >= limit) {
+    throw JVM.newThrowable('java/lang/ArrayIndexOutOfBoundsException', `${index} >= ${self.fields[cldcUtilConstants.VECTOR_COUNT]}`);
+  }
+}
+
+/**
+ * Find an element in a Vector
+ * @param {Object} thread - Current thread
+ * @param {Object} self - java.util.Vector
+ * @param {Object|null} obj - Element to look for
+ * @param {number} from - First index to check
+ * @param {number} step - 1 to search forwards, -1 backwards
+ * @returns {number} Index or -1
+ */
+function cldcUtilVectorIndexOf(thread, self, obj, from, step) {
+  const data = self.fields[cldcUtilConstants.VECTOR_DATA];
+  const count = self.fields[cldcUtilConstants.VECTOR_COUNT];
+
+  if (from >= count) {
+    if (step > 0) return -1;
+    throw JVM.newThrowable('java/lang/ArrayIndexOutOfBoundsException', `${from} >= ${count}`);
+  }
+
+  for (let i = from; i >= 0 && i < count; i += step) {
+    if (obj === null ? data[i] === null : CldcLang.equals(thread, obj, data[i])) return i;
+  }
+  return -1;
+}
+
+/**
+ * Remove an element of a Vector by index
+ * @param {Object} self - java.util.Vector
+ * @param {number} index - Index
+ */
+function cldcUtilVectorRemoveAt(self, index) {
+  const fields = self.fields;
+  const data = fields[cldcUtilConstants.VECTOR_DATA];
+  const count = fields[cldcUtilConstants.VECTOR_COUNT];
+
+  cldcUtilCheckIndex(self, index, count);
+  data.copyWithin(index, index + 1, count);
+  data[count - 1] = null;
+  fields[cldcUtilConstants.VECTOR_COUNT] = count - 1;
+}
+
+/**
+ * Append an element to a Vector
+ * @param {Object} self - java.util.Vector
+ * @param {Object|null} obj - Element
+ */
+function cldcUtilVectorAdd(self, obj) {
+  const count = self.fields[cldcUtilConstants.VECTOR_COUNT];
+  cldcUtilEnsureCapacity(self, count + 1);
+  self.fields[cldcUtilConstants.VECTOR_DATA][count] = obj;
+  self.fields[cldcUtilConstants.VECTOR_COUNT] = count + 1;
+}
+
+/**
+ * Initialize a Vector
+ * @param {Object} self - java.util.Vector
+ * @param {number} capacity - Initial capacity
+ * @param {number} increment - Capacity increment, 0 to double
+ */
+function cldcUtilInitVector(self, capacity, increment) {
+  if (capacity < 0) {
+    throw JVM.newThrowable('java/lang/IllegalArgumentException', `Illegal Capacity: ${capacity}`);
+  }
+  self.fields[cldcUtilConstants.VECTOR_DATA] = JVM.newArray('[Ljava/lang/Object;', capacity);
+  self.fields[cldcUtilConstants.VECTOR_INCREMENT] = increment;
+}
+
+JVM.defineNativeClass({
+  name: 'java/util/Vector',
+  fields: [
+    { name: 'elementData', descriptor: '[Ljava/lang/Object;' },
+    { name: 'elementCount', descriptor: 'I' },
+    { name: 'capacityIncrement', descriptor: 'I' }
+  ],
+  methods: {
+    '<init>()V': (thread, self) => cldcUtilInitVector(self, 10, 0),
+    '<init>(I)V': (thread, self, capacity) => cldcUtilInitVector(self, capacity, 0),
+    '<init>(II)V': (thread, self, capacity, increment) => cldcUtilInitVector(self, capacity, increment),
+    'size()I': (thread, self) => self.fields[cldcUtilConstants.VECTOR_COUNT],
+    'isEmpty()Z': (thread, self) => self.fields[cldcUtilConstants.VECTOR_COUNT] === 0,
+    'capacity()I': (thread, self) => self.fields[cldcUtilConstants.VECTOR_DATA].length,
+    'ensureCapacity(I)V': (thread, self, capacity) => cldcUtilEnsureCapacity(self, capacity),
+    'trimToSize()V': (thread, self) => {
+      const count = self.fields[cldcUtilConstants.VECTOR_COUNT];
+      const trimmed = JVM.newArray('[Ljava/lang/Object;', count);
+      for (let i = 0; i < count; i++) trimmed[i] = self.fields[cldcUtilConstants.VECTOR_DATA][i];
+      self.fields[cldcUtilConstants.VECTOR_DATA] = trimmed;
+    },
+    'setSize(I)V': (thread, self, size) => {
+      if (size < 0) throw JVM.newThrowable('java/lang/ArrayIndexOutOfBoundsException', String(size));
+      cldcUtilEnsureCapacity(self, size);
+      const data = self.fields[cldcUtilConstants.VECTOR_DATA];
+      for (let i = size; i < self.fields[cldcUtilConstants.VECTOR_COUNT]; i++) data[i] = null;
+      self.fields[cldcUtilConstants.VECTOR_COUNT] = size;
+    },
+    'elementAt(I)Ljava/lang/Object;': (thread, self, index) => {
+      cldcUtilCheckIndex(self, index, self.fields[cldcUtilConstants.VECTOR_COUNT]);
+      return self.fields[cldcUtilConstants.VECTOR_DATA][index];
+    },
+    'firstElement()Ljava/lang/Object;': (thread, self) => {
+      if (self.fields[cldcUtilConstants.VECTOR_COUNT] === 0) {
+        throw JVM.newThrowable('java/util/NoSuchElementException', null);
+      }
+      return self.fields[cldcUtilConstants.VECTOR_DATA][0];
+    },
+    'lastElement()Ljava/lang/Object;': (thread, self) => {
+      const count = self.fields[cldcUtilConstants.VECTOR_COUNT];
+      if (count === 0) throw JVM.newThrowable('java/util/NoSuchElementException', null);
+      return self.fields[cldcUtilConstants.VECTOR_DATA][count - 1];
+    },
+    'setElementAt(Ljava/lang/Object;I)V': (thread, self, obj, index) => {
+      cldcUtilCheckIndex(self, index, self.fields[cldcUtilConstants.VECTOR_COUNT]);
+      self.fields[cldcUtilConstants.VECTOR_DATA][index] = obj;
+    },
+    'removeElementAt(I)V': (thread, self, index) => cldcUtilVectorRemoveAt(self, index),
+    'insertElementAt(Ljava/lang/Object;I)V': (thread, self, obj, index) => {
+      const count = self.fields[cldcUtilConstants.VECTOR_COUNT];
+      if (index < 0 || index > count) {
+        throw JVM.newThrowable('java/lang/ArrayIndexOutOfBoundsException', `${index} > ${count}`);
+      }
+      cldcUtilEnsureCapacity(self, count + 1);
+      const data = self.fields[cldcUtilConstants.VECTOR_DATA];
+      data.copyWithin(index + 1, index, count);
+      data[index] = obj;
+      self.fields[cldcUtilConstants.VECTOR_COUNT] = count + 1;
+    },
+    'addElement(Ljava/lang/Object;)V': (thread, self, obj) => cldcUtilVectorAdd(self, obj),
+    'removeElement(Ljava/lang/Object;)Z': (thread, self, obj) => {
+      const index = cldcUtilVectorIndexOf(thread, self, obj, 0, 1);
+      if (index < 0) return false;
+      cldcUtilVectorRemoveAt(self, index);
+      return true;
+    },
+    'removeAllElements()V': (thread, self) => {
+      self.fields[cldcUtilConstants.VECTOR_DATA].fill(null);
+      self.fields[cldcUtilConstants.VECTOR_COUNT] = 0;
+    },
+    'contains(Ljava/lang/Object;)Z': (thread, self, obj) => cldcUtilVectorIndexOf(thread, self, obj, 0, 1) >= 0,
+    'indexOf(Ljava/lang/Object;)I': (thread, self, obj) => cldcUtilVectorIndexOf(thread, self, obj, 0, 1),
+    'indexOf(Ljava/lang/Object;I)I': (thread, self, obj, from) => cldcUtilVectorIndexOf(thread, self, obj, Math.max(from, 0), 1),
+    'lastIndexOf(Ljava/lang/Object;)I': (thread, self, obj) =>
+      cldcUtilVectorIndexOf(thread, self, obj, self.fields[cldcUtilConstants.VECTOR_COUNT] - 1, -1),
+    'lastIndexOf(Ljava/lang/Object;I)I': (thread, self, obj, from) => cldcUtilVectorIndexOf(thread, self, obj, from, -1),
+    'copyInto([Ljava/lang/Object;)V': (thread, self, array) => {
+      const count = self.fields[cldcUtilConstants.VECTOR_COUNT];
+      CldcLang.checkRange(array, 0, count);
+      for (let i = 0; i < count; i++) array[i] = self.fields[cldcUtilConstants.VECTOR_DATA][i];
+    },
+    'elements()Ljava/util/Enumeration;': (thread, self) => {
+      // Like the JDK, the enumeration follows later changes to the vector
+      let index = 0;
+      return cldcUtilNewEnumeration('java/util/Vector$Enumerator', () =>
+        index < self.fields[cldcUtilConstants.VECTOR_COUNT]
+          ? { done: false, value: self.fields[cldcUtilConstants.VECTOR_DATA][index++] }
+          : { done: true, value: null });
+    },
+    'toString()Ljava/lang/String;': (thread, self) => {
+      const parts = [];
+      for (let i = 0; i < self.fields[cldcUtilConstants.VECTOR_COUNT]; i++) {
+        parts.push(CldcLang.objectToString(thread, self.fields[cldcUtilConstants.VECTOR_DATA][i]));
+      }
+      return JVM.newString(`[${parts.join(', ')}]`);
+    }
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'java/util/Stack',
+  superName: 'java/util/Vector',
+  methods: {
+    '<init>()V': (thread, self) => cldcUtilInitVector(self, 10, 0),
+    'push(Ljava/lang/Object;)Ljava/lang/Object;': (thread, self, obj) => {
+      cldcUtilVectorAdd(self, obj);
+      return obj;
+    },
+    'pop()Ljava/lang/Object;': (thread, self) => {
+      const count = self.fields[cldcUtilConstants.VECTOR_COUNT];
+      if (count === 0) throw JVM.newThrowable('java/util/EmptyStackException', null);
+      const obj = self.fields[cldcUtilConstants.VECTOR_DATA][count - 1];
+      cldcUtilVectorRemoveAt(self, count - 1);
+      return obj;
+    },
+    'peek()Ljava/lang/Object;': (thread, self) => {
+      const count = self.fields[cldcUtilConstants.VECTOR_COUNT];
+      if (count === 0) throw JVM.newThrowable('java/util/EmptyStackException', null);
+      return self.fields[cldcUtilConstants.VECTOR_DATA][count - 1];
+    },
+    'empty()Z': (thread, self) => self.fields[cldcUtilConstants.VECTOR_COUNT] === 0,
+    'search(Ljava/lang/Object;)I': (thread, self, obj) => {
+      const index = cldcUtilVectorIndexOf(thread, self, obj, self.fields[cldcUtilConstants.VECTOR_COUNT] - 1, -1);
+      return index >= 0 ? self.fields[cldcUtilConstants.VECTOR_COUNT] - index : -1;
+    }
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Hashtable
+// ---------------------------------------------------------------------------
+
+/**
+ * Find the entry of a key in a Hashtable
+ * @param {Object} thread - Current thread
+ * @param {Object} self - java.util.Hashtable
+ * @param {Object} key - Key, not null
+ * @returns {Object} {bucket, index, hash}; index is -1 if the key is absent
+ */
+function cldcUtilFindEntry(thread, self, key) {
+  if (key === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+
+  const hash = CldcLang.hashCode(thread, key);
+  const bucket = self.table.get(hash);
+  if (bucket) {
+    for (let i = 0; i < bucket.length; i++) {
+      if (CldcLang.equals(thread, key, bucket[i].key)) {
+        return { bucket: bucket, index: i, hash: hash };
+      }
+    }
+  }
+  return { bucket: bucket || null, index: -1, hash: hash };
+}
+
+/**
+ * Collect the entries of a Hashtable in iteration order
+ * @param {Object} self - java.util.Hashtable
+ * @returns {Array<Object>} Entries with key and value
+ */
+function cldcUtilHashtableEntries(self) {
+  const entries = [];
+  self.table.forEach(bucket => bucket.forEach(entry => entries.push(entry)));
+  return entries;
+}
+
+/**
+ * Enumerate keys or values of a snapshot of a Hashtable
+ * @param {Object} self - java.util.Hashtable
+ * @param {string} property - "key" or "value"
+ * @returns {Object} java.util.Enumeration
+ */
+function cldcUtilHashtableEnumeration(self, property) {
+  const entries = cldcUtilHashtableEntries(self);
+  let index = 0;
+  return cldcUtilNewEnumeration('java/util/Hashtable$Enumerator', () =>
+    index < entries.length ? { done: false, value: entries[index++][property] } : { done: true, value: null });
+}
+
+JVM.defineNativeClass({
+  name: 'java/util/Hashtable',
+  methods: {
+    '<init>()V': (thread, self) => {
+      self.table = new Map();
+      self.count = 0;
+    },
+    '<init>(I)V': (thread, self, capacity) => {
+      if (capacity < 0) throw JVM.newThrowable('java/lang/IllegalArgumentException', `Illegal Capacity: ${capacity}`);
+      self.table = new Map();
+      self.count = 0;
+    },
+    'size()I': (thread, self) => self.count,
+    'isEmpty()Z': (thread, self) => self.count === 0,
+    'get(Ljava/lang/Object;)Ljava/lang/Object;': (thread, self, key) => {
+      const found = cldcUtilFindEntry(thread, self, key);
+      return found.index >= 0 ? found.bucket[found.index].value : null;
+    },
+    'containsKey(Ljava/lang/Object;)Z': (thread, self, key) => cldcUtilFindEntry(thread, self, key).index >= 0,
+    'contains(Ljava/lang/Object;)Z': (thread, self, value) => {
+      if (value === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      return cldcUtilHashtableEntries(self).some(entry => CldcLang.equals(thread, value, entry.value));
+    },
+    'put(Ljava/lang/Object;Ljava/lang/Object;)Ljava/lang/Object;': (thread, self, key, value) => {
+      if (value === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+
+      const found = cldcUtilFindEntry(thread, self, key);
+      if (found.index >= 0) {
+        const previous = found.bucket[found.index].value;
+        found.bucket[found.index].value = value;
+        return previous;
+      }
+
+      if (found.bucket) {
+        found.bucket.push({ key: key, value: value });
+      } else {
+        self.table.set(found.hash, [{ key: key, value: value }]);
+      }
+      self.count++;
+      return null;
+    },
+    'remove(Ljava/lang/Object;)Ljava/lang/Object;': (thread, self, key) => {
+      const found = cldcUtilFindEntry(thread, self, key);
+      if (found.index < 0) return null;
+
+      const previous = found.bucket[found.index].value;
+      found.bucket.splice(found.index, 1);
+      if (found.bucket.length === 0) self.table.delete(found.hash);
+      self.count--;
+      return previous;
+    },
+    'clear()V': (thread, self) => {
+      self.table.clear();
+      self.count = 0;
+    },
+    'rehash()V': () => {},
+    'keys()Ljava/util/Enumeration;': (thread, self) => cldcUtilHashtableEnumeration(self, 'key'),
+    'elements()Ljava/util/Enumeration;': (thread, self) => cldcUtilHashtableEnumeration(self, 'value'),
+    'toString()Ljava/lang/String;': (thread, self) => {
+      const parts = cldcUtilHashtableEntries(self).map(entry =>
+        `${CldcLang.objectToString(thread, entry.key)}=${CldcLang.objectToString(thread, entry.value)}`);
+      return JVM.newString(`{${parts.join(', ')}}`);
+    }
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Random
+// ---------------------------------------------------------------------------
+
+/**
+ * Scramble and store a Random seed, as Random.setSeed does
+ * @param {Object} self - java.util.Random
+ * @param {bigint} seed - Seed
+ */
+function cldcUtilSetSeed(self, seed) {
+  self.seed = (seed ^ cldcUtilConstants.RANDOM_MULTIPLIER) & cldcUtilConstants.RANDOM_MASK;
+}
+
+/**
+ * Generate the next pseudorandom bits, calling an overriding next(int) if any
+ * @param {Object} thread - Current thread
+ * @param {Object} self - java.util.Random
+ * @param {number} bits - Number of bits, 1-32
+ * @returns {number} int with the low bits random
+ */
+function cldcUtilNextBits(thread, self, bits) {
+  if (self.cls.name !== 'java/util/Random') {
+    return JVM.callVirtual(thread, self, 'next(I)I', [bits]);
+  }
+
+  self.seed = (self.seed * cldcUtilConstants.RANDOM_MULTIPLIER + cldcUtilConstants.RANDOM_ADDEND) & cldcUtilConstants.RANDOM_MASK;
+  return Number(BigInt.asIntN(32, self.seed >> BigInt(48 - bits)));
+}
+
+JVM.defineNativeClass({
+  name: 'java/util/Random',
+  methods: {
+    '<init>()V': (thread, self) => {
+      cldcUtilSeedUniquifier = BigInt.asIntN(64, cldcUtilSeedUniquifier * 181783497276652981n);
+      cldcUtilSetSeed(self, BigInt.asIntN(64, cldcUtilSeedUniquifier ^ BigInt(Date.now()) * 1000000n));
+    },
+    '<init>(J)V': (thread, self, seed) => cldcUtilSetSeed(self, seed),
+    'setSeed(J)V': (thread, self, seed) => cldcUtilSetSeed(self, seed),
+    'next(I)I': (thread, self, bits) => {
+      self.seed = (self.seed * cldcUtilConstants.RANDOM_MULTIPLIER + cldcUtilConstants.RANDOM_ADDEND) & cldcUtilConstants.RANDOM_MASK;
+      return Number(BigInt.asIntN(32, self.seed >> BigInt(48 - bits)));
+    },
+    'nextInt()I': (thread, self) => cldcUtilNextBits(thread, self, 32),
+    'nextInt(I)I': (thread, self, bound) => {
+      if (bound <= 0) throw JVM.newThrowable('java/lang/IllegalArgumentException', 'n must be positive');
+
+      if ((bound & -bound) === bound) {
+        return Number((BigInt(bound) * BigInt(cldcUtilNextBits(thread, self, 31))) >> 31n);
+      }
+
+      // Reject values from the incomplete last block to avoid bias
+      let bits;
+      let value;
+      do {
+        bits = cldcUtilNextBits(thread, self, 31);
+        value = bits % bound;
+      } while (((bits - value + (bound - 1)) | 0) < 0);
+      return value;
+    },
+    'nextLong()J': (thread, self) => {
+      const high = BigInt(cldcUtilNextBits(thread, self, 32));
+      const low = BigInt(cldcUtilNextBits(thread, self, 32));
+      return BigInt.asIntN(64, (high << 32n) + low);
+    },
+    'nextFloat()F': (thread, self) => Math.fround(cldcUtilNextBits(thread, self, 24) / (1 << 24)),
+    'nextDouble()D': (thread, self) => {
+      const high = cldcUtilNextBits(thread, self, 26);
+      const low = cldcUtilNextBits(thread, self, 27);
+      return (high * 134217728 + low) / 9007199254740992;
+    }
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Date, TimeZone, Calendar
+// ---------------------------------------------------------------------------
+
+/**
+ * Get the ID of the device time zone
+ * @returns {string} Zone ID
+ */
+function cldcUtilDefaultZoneId() {
+  const host = JVM.state.host;
+  if (host.timeZone) return host.timeZone;
+
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'GMT';
+  } catch (error) {
+    return 'GMT';
+  }
+}
+
+/**
+ * Parse a custom zone ID such as "GMT+05:30"
+ * @param {string} id - Zone ID
+ * @returns {number|null} Offset in milliseconds, or null if not a custom ID
+ */
+function cldcUtilParseCustomZone(id) {
+  if (id === 'GMT' || id === 'UTC') return 0;
+
+  const match = id.match(/^GMT([+-])(\d{1,2})(?::?(\d{2}))?$/);
+  if (!match) return null;
+  const offset = (parseInt(match[2], 10) * 60 + parseInt(match[3] || '0', 10)) * 60000;
+  return match[1] === '-' ? -offset : offset;
+}
+
+/**
+ * Check whether a zone ID is known
+ * @param {string} id - Zone ID
+ * @returns {boolean} True if offsets can be computed for it
+ */
+function cldcUtilIsKnownZone(id) {
+  if (cldcUtilParseCustomZone(id) !== null) return true;
+  try {
+    cldcUtilZoneOffset(id, 0);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Compute the UTC offset of a zone at an instant
+ * @param {string} id - Zone ID
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {number} Offset in milliseconds, daylight saving included
+ */
+function cldcUtilZoneOffset(id, time) {
+  const custom = cldcUtilParseCustomZone(id);
+  if (custom !== null) return custom;
+
+  let formatter = cldcUtilZoneFormatters.get(id);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: id,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    });
+    cldcUtilZoneFormatters.set(id, formatter);
+  }
+
+  const parts = {};
+  formatter.formatToParts(new Date(time)).forEach(part => { parts[part.type] = parseInt(part.value, 10); });
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+  return local - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * Get the standard (non-daylight) offset of a zone
+ * @param {string} id - Zone ID
+ * @returns {number} Offset in milliseconds
+ */
+function cldcUtilRawOffset(id) {
+  const year = new Date().getUTCFullYear();
+  return Math.min(cldcUtilZoneOffset(id, Date.UTC(year, 0, 1)), cldcUtilZoneOffset(id, Date.UTC(year, 6, 1)));
+}
+
+/**
+ * Create a TimeZone object
+ * @param {string} id - Zone ID
+ * @returns {Object} java.util.TimeZone
+ */
+function cldcUtilNewTimeZone(id) {
+  const zone = JVM.newObject(JVM.loadClass('com/sun/cldc/util/j2me/TimeZoneImpl'));
+  zone.zoneId = id;
+  return zone;
+}
+
+/**
+ * Get the offset of any TimeZone object at an instant
+ * @param {Object} thread - Current thread
+ * @param {Object} zone - java.util.TimeZone
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {number} Offset in milliseconds
+ */
+function cldcUtilOffsetOf(thread, zone, time) {
+  if (zone.zoneId !== undefined) return cldcUtilZoneOffset(zone.zoneId, time);
+  return JVM.callVirtual(thread, zone, 'getRawOffset()I');
+}
+
+/**
+ * Format a Date the way Date.toString does
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {string} Text such as "Thu Jan 01 00:00:00 GMT 1970"
+ */
+function cldcUtilFormatDate(time) {
+  const id = cldcUtilDefaultZoneId();
+  const local = new Date(time + cldcUtilZoneOffset(id, time));
+  const pad = value => String(value).padStart(2, '0');
+
+  let zoneName = id;
+  if (cldcUtilParseCustomZone(id) === null) {
+    try {
+      const parts = new Intl.DateTimeFormat('en-US', { timeZone: id, timeZoneName: 'short' }).formatToParts(new Date(time));
+      zoneName = parts.find(part => part.type === 'timeZoneName').value;
+    } catch (error) {
+      // Keep the zone ID
+    }
+  }
+
+  return `${cldcUtilConstants.DAY_NAMES[local.getUTCDay()]} ${cldcUtilConstants.MONTH_NAMES[local.getUTCMonth()]} ` +
+    `${pad(local.getUTCDate())} ${pad(local.getUTCHours())}:${pad(local.getUTCMinutes())}:${pad(local.getUTCSeconds())} ` +
+    `${zoneName} ${local.getUTCFullYear()}`;
+}
+
+JVM.defineNativeClass({
+  name: 'java/util/Date',
+  methods: {
+    '<init>()V': (thread, self) => { self.time = BigInt(Date.now()); },
+    '<init>(J)V': (thread, self, time) => { self.time = time; },
+    'getTime()J': (thread, self) => self.time,
+    'setTime(J)V': (thread, self, time) => { self.time = time; },
+    'equals(Ljava/lang/Object;)Z': (thread, self, other) =>
+      other !== null && JVM.isInstanceOf(other, JVM.loadClass('java/util/Date')) && other.time === self.time,
+    'hashCode()I': (thread, self) => Number(BigInt.asIntN(32, self.time ^ (self.time >> 32n))),
+    'toString()Ljava/lang/String;': (thread, self) => JVM.newString(cldcUtilFormatDate(Number(self.time)))
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'java/util/TimeZone',
+  accessFlags: ClassFile.ACC.PUBLIC | ClassFile.ACC.ABSTRACT,
+  methods: {
+    '<init>()V': () => {},
+    'getOffset(IIIIII)I': null,
+    'getRawOffset()I': null,
+    'useDaylightTime()Z': null,
+    'getID()Ljava/lang/String;': (thread, self) => JVM.newString(self.zoneId || 'GMT')
+  },
+  staticMethods: {
+    'getDefault()Ljava/util/TimeZone;': () => {
+      const id = cldcUtilDefaultZoneId();
+      return cldcUtilNewTimeZone(cldcUtilIsKnownZone(id) ? id : 'GMT');
+    },
+    'getTimeZone(Ljava/lang/String;)Ljava/util/TimeZone;': (thread, id) => {
+      const text = CldcLang.text(id);
+      return cldcUtilNewTimeZone(cldcUtilIsKnownZone(text) ? text : 'GMT');
+    },
+    'getAvailableIDs()[Ljava/lang/String;': () => {
+      let ids = ['GMT', 'UTC'];
+      if (typeof Intl.supportedValuesOf === 'function') {
+        ids = ids.concat(Intl.supportedValuesOf('timeZone'));
+      }
+      const array = JVM.newArray('[Ljava/lang/String;', ids.length);
+      ids.forEach((id, i) => { array[i] = JVM.newString(id); });
+      return array;
+    }
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'com/sun/cldc/util/j2me/TimeZoneImpl',
+  superName: 'java/util/TimeZone',
+  methods: {
+    'getOffset(IIIIII)I': (thread, self, era, year, month, day, dayOfWeek, millis) => {
+      // The date is in local standard time
+      const localTime = Date.UTC(era === 0 ? 1 - year : year, month, day) + millis;
+      return cldcUtilZoneOffset(self.zoneId, localTime - cldcUtilRawOffset(self.zoneId));
+    },
+    'getRawOffset()I': (thread, self) => cldcUtilRawOffset(self.zoneId),
+    'useDaylightTime()Z': (thread, self) => {
+      const year = new Date().getUTCFullYear();
+      return cldcUtilZoneOffset(self.zoneId, Date.UTC(year, 0, 1)) !== cldcUtilZoneOffset(self.zoneId, Date.UTC(year, 6, 1));
+    }
+  }
+});
+
+/**
+ * Get the local fields of a Calendar as a UTC-based JS Date
+ * @param {Object} thread - Current thread
+ * @param {Object} self - java.util.Calendar
+ * @returns {Date} Date whose UTC fields are the calendar's local fields
+ */
+function cldcUtilCalendarLocal(thread, self) {
+  return new Date(self.time + cldcUtilOffsetOf(thread, self.zone, self.time));
+}
+
+/**
+ * Read a Calendar field
+ * @param {Object} thread - Current thread
+ * @param {Object} self - java.util.Calendar
+ * @param {number} field - Field number
+ * @returns {number} Field value
+ */
+function cldcUtilCalendarGet(thread, self, field) {
+  const local = cldcUtilCalendarLocal(thread, self);
+  const hours = local.getUTCHours();
+
+  switch (field) {
+    case cldcUtilConstants.YEAR: return local.getUTCFullYear();
+    case cldcUtilConstants.MONTH: return local.getUTCMonth();
+    case cldcUtilConstants.DATE: return local.getUTCDate();
+    case cldcUtilConstants.DAY_OF_WEEK: return local.getUTCDay() + 1;
+    case cldcUtilConstants.AM_PM: return hours < 12 ? 0 : 1;
+    case cldcUtilConstants.HOUR: return hours % 12;
+    case cldcUtilConstants.HOUR_OF_DAY: return hours;
+    case cldcUtilConstants.MINUTE: return local.getUTCMinutes();
+    case cldcUtilConstants.SECOND: return local.getUTCSeconds();
+    case cldcUtilConstants.MILLISECOND: return local.getUTCMilliseconds();
+    default:
+      throw JVM.newThrowable('java/lang/ArrayIndexOutOfBoundsException', String(field));
+  }
+}
+
+/**
+ * Write a Calendar field, rolling over out-of-range values leniently
+ * @param {Object} thread - Current thread
+ * @param {Object} self - java.util.Calendar
+ * @param {number} field - Field number
+ * @param {number} value - New value
+ */
+function cldcUtilCalendarSet(thread, self, field, value) {
+  const local = cldcUtilCalendarLocal(thread, self);
+  const hours = local.getUTCHours();
+
+  switch (field) {
+    case cldcUtilConstants.YEAR: local.setUTCFullYear(value); break;
+    case cldcUtilConstants.MONTH: local.setUTCMonth(value); break;
+    case cldcUtilConstants.DATE: local.setUTCDate(value); break;
+    case cldcUtilConstants.DAY_OF_WEEK: local.setUTCDate(local.getUTCDate() + value - 1 - local.getUTCDay()); break;
+    case cldcUtilConstants.AM_PM: local.setUTCHours(hours % 12 + (value ? 12 : 0)); break;
+    case cldcUtilConstants.HOUR: local.setUTCHours((hours < 12 ? 0 : 12) + value); break;
+    case cldcUtilConstants.HOUR_OF_DAY: local.setUTCHours(value); break;
+    case cldcUtilConstants.MINUTE: local.setUTCMinutes(value); break;
+    case cldcUtilConstants.SECOND: local.setUTCSeconds(value); break;
+    case cldcUtilConstants.MILLISECOND: local.setUTCMilliseconds(value); break;
+    default:
+      throw JVM.newThrowable('java/lang/ArrayIndexOutOfBoundsException', String(field));
+  }
+
+  // Convert back with the offset in effect at the new local time
+  const guess = local.getTime() - cldcUtilOffsetOf(thread, self.zone, local.getTime());
+  self.time = local.getTime() - cldcUtilOffsetOf(thread, self.zone, guess);
+}
+
+/**
+ * Create a Calendar set to the current time
+ * @param {Object} zone - java.util.TimeZone
+ * @returns {Object} java.util.Calendar
+ */
+function cldcUtilNewCalendar(zone) {
+  const calendar = JVM.newObject(JVM.loadClass('com/sun/cldc/util/j2me/CalendarImpl'));
+  calendar.time = Date.now();
+  calendar.zone = zone;
+  return calendar;
+}
+
+JVM.defineNativeClass({
+  name: 'java/util/Calendar',
+  accessFlags: ClassFile.ACC.PUBLIC | ClassFile.ACC.ABSTRACT,
+  fields: [
+    ['ERA', 0], ['YEAR', 1], ['MONTH', 2], ['WEEK_OF_YEAR', 3], ['WEEK_OF_MONTH', 4], ['DATE', 5],
+    ['DAY_OF_MONTH', 5], ['DAY_OF_YEAR', 6], ['DAY_OF_WEEK', 7], ['DAY_OF_WEEK_IN_MONTH', 8],
+    ['AM_PM', 9], ['HOUR', 10], ['HOUR_OF_DAY', 11], ['MINUTE', 12], ['SECOND', 13], ['MILLISECOND', 14],
+    ['SUNDAY', 1], ['MONDAY', 2], ['TUESDAY', 3], ['WEDNESDAY', 4], ['THURSDAY', 5], ['FRIDAY', 6], ['SATURDAY', 7],
+    ['JANUARY', 0], ['FEBRUARY', 1], ['MARCH', 2], ['APRIL', 3], ['MAY', 4], ['JUNE', 5], ['JULY', 6],
+    ['AUGUST', 7], ['SEPTEMBER', 8], ['OCTOBER', 9], ['NOVEMBER', 10], ['DECEMBER', 11],
+    ['AM', 0], ['PM', 1]
+  ].map(([name, value]) => ({ name: name, descriptor: 'I', isStatic: true, value: value })),
+  methods: {
+    '<init>()V': (thread, self) => {
+      self.time = Date.now();
+      self.zone = cldcUtilNewTimeZone(cldcUtilDefaultZoneId());
+    },
+    'get(I)I': (thread, self, field) => cldcUtilCalendarGet(thread, self, field),
+    'set(II)V': (thread, self, field, value) => cldcUtilCalendarSet(thread, self, field, value),
+    'getTime()Ljava/util/Date;': (thread, self) => {
+      const date = JVM.newObject(JVM.loadClass('java/util/Date'));
+      date.time = BigInt(self.time);
+      return date;
+    },
+    'setTime(Ljava/util/Date;)V': (thread, self, date) => {
+      if (date === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      self.time = Number(date.time);
+    },
+    'getTimeInMillis()J': (thread, self) => BigInt(self.time),
+    'setTimeInMillis(J)V': (thread, self, time) => { self.time = Number(time); },
+    'getTimeZone()Ljava/util/TimeZone;': (thread, self) => self.zone,
+    'setTimeZone(Ljava/util/TimeZone;)V': (thread, self, zone) => {
+      if (zone === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      self.zone = zone;
+    },
+    'equals(Ljava/lang/Object;)Z': (thread, self, other) =>
+      other !== null && JVM.isInstanceOf(other, JVM.loadClass('java/util/Calendar')) && other.time === self.time,
+    'before(Ljava/lang/Object;)Z': (thread, self, other) =>
+      other !== null && JVM.isInstanceOf(other, JVM.loadClass('java/util/Calendar')) && self.time < other.time,
+    'after(Ljava/lang/Object;)Z': (thread, self, other) =>
+      other !== null && JVM.isInstanceOf(other, JVM.loadClass('java/util/Calendar')) && self.time > other.time
+  },
+  staticMethods: {
+    'getInstance()Ljava/util/Calendar;': () => cldcUtilNewCalendar(cldcUtilNewTimeZone(cldcUtilDefaultZoneId())),
+    'getInstance(Ljava/util/TimeZone;)Ljava/util/Calendar;': (thread, zone) => {
+      if (zone === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      return cldcUtilNewCalendar(zone);
+    }
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'com/sun/cldc/util/j2me/CalendarImpl',
+  superName: 'java/util/Calendar',
+  methods: {}
+});
+
+// ---------------------------------------------------------------------------
+// Timer and TimerTask
+// ---------------------------------------------------------------------------
+
+/**
+ * Validate and schedule a TimerTask
+ * @param {Object} timer - java.util.Timer
+ * @param {Object} task - java.util.TimerTask
+ * @param {number} time - First execution time in ms since the epoch
+ * @param {number} period - Repeat period in ms, or 0 for a one-shot task
+ * @param {boolean} fixedRate - Repeat relative to the first execution rather than the previous one
+ */
+function cldcUtilScheduleTask(timer, task, time, period, fixedRate) {
+  if (task === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+  if (timer.cancelled) {
+    throw JVM.newThrowable('java/lang/IllegalStateException', 'Timer already cancelled.');
+  }
+  if (task.taskState !== 'virgin') {
+    throw JVM.newThrowable('java/lang/IllegalStateException', 'Task already scheduled or cancelled');
+  }
+
+  task.taskState = 'scheduled';
+  task.timer = timer;
+  task.nextTime = time;
+  task.period = period;
+  task.fixedRate = fixedRate;
+  timer.tasks.add(task);
+  cldcUtilArmTask(task);
+}
+
+/**
+ * Convert a schedule(..., long delay, ...) delay to an execution time
+ * @param {bigint} delay - Delay in ms
+ * @returns {number} Execution time in ms since the epoch
+ */
+function cldcUtilDelayToTime(delay) {
+  if (delay < 0n) throw JVM.newThrowable('java/lang/IllegalArgumentException', 'Negative delay.');
+  return Date.now() + Number(delay);
+}
+
+/**
+ * Convert a schedule(..., Date time, ...) argument to an execution time
+ * @param {Object} date - java.util.Date
+ * @returns {number} Execution time in ms since the epoch
+ */
+function cldcUtilDateToTime(date) {
+  if (date === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+  if (date.time < 0n) throw JVM.newThrowable('java/lang/IllegalArgumentException', 'Illegal execution time.');
+  return Number(date.time);
+}
+
+/**
+ * Check the period of a repeating task
+ * @param {bigint} period - Period in ms
+ * @returns {number} Period
+ */
+function cldcUtilCheckPeriod(period) {
+  if (period <= 0n) throw JVM.newThrowable('java/lang/IllegalArgumentException', 'Non-positive period.');
+  return Number(period);
+}
+
+/**
+ * Start the JS timer for a task's next execution
+ * @param {Object} task - java.util.TimerTask
+ */
+function cldcUtilArmTask(task) {
+  task.timeout = setTimeout(() => cldcUtilRunTask(task), Math.max(0, task.nextTime - Date.now()));
+}
+
+/**
+ * Run a due task on its timer's thread, then schedule the next execution
+ * @param {Object} task - java.util.TimerTask
+ */
+function cldcUtilRunTask(task) {
+  const timer = task.timer;
+  task.timeout = null;
+  if (task.taskState !== 'scheduled' || timer.vmThread.state === 'terminated') return;
+
+  task.scheduledTime = task.nextTime;
+  if (task.period === 0) {
+    task.taskState = 'executed';
+    timer.tasks.delete(task);
+  } else {
+    task.nextTime = task.fixedRate ? task.nextTime + task.period : Date.now() + task.period;
+  }
+
+  JVM.queueCall(timer.vmThread, JVM.findVirtualMethod(task.cls, 'run()V'), [task]).then(() => {
+    if (task.taskState === 'scheduled') cldcUtilArmTask(task);
+  }, () => {
+    // As in the JDK, an exception in a task kills the timer
+    cldcUtilCancelTimer(timer);
+  });
+}
+
+/**
+ * Cancel a timer and stop its thread once the running task returns
+ * @param {Object} timer - java.util.Timer
+ */
+function cldcUtilCancelTimer(timer) {
+  timer.cancelled = true;
+  timer.tasks.forEach(task => clearTimeout(task.timeout));
+  timer.tasks.clear();
+
+  timer.vmThread.terminateWhenIdle = true;
+  if (timer.vmThread.state === 'idle') JVM.terminateThread(timer.vmThread);
+}
+
+JVM.defineNativeClass({
+  name: 'java/util/Timer',
+  methods: {
+    '<init>()V': (thread, self) => {
+      const timerClass = JVM.loadClass('java/util/Timer');
+      self.vmThread = JVM.createThread(`Timer-${timerClass.nextTimerNumber++}`);
+      self.tasks = new Set();
+      self.cancelled = false;
+    },
+    'schedule(Ljava/util/TimerTask;J)V': (thread, self, task, delay) => {
+      cldcUtilScheduleTask(self, task, cldcUtilDelayToTime(delay), 0, false);
+    },
+    'schedule(Ljava/util/TimerTask;Ljava/util/Date;)V': (thread, self, task, date) => {
+      cldcUtilScheduleTask(self, task, cldcUtilDateToTime(date), 0, false);
+    },
+    'schedule(Ljava/util/TimerTask;JJ)V': (thread, self, task, delay, period) => {
+      cldcUtilScheduleTask(self, task, cldcUtilDelayToTime(delay), cldcUtilCheckPeriod(period), false);
+    },
+    'schedule(Ljava/util/TimerTask;Ljava/util/Date;J)V': (thread, self, task, date, period) => {
+      cldcUtilScheduleTask(self, task, cldcUtilDateToTime(date), cldcUtilCheckPeriod(period), false);
+    },
+    'scheduleAtFixedRate(Ljava/util/TimerTask;JJ)V': (thread, self, task, delay, period) => {
+      cldcUtilScheduleTask(self, task, cldcUtilDelayToTime(delay), cldcUtilCheckPeriod(period), true);
+    },
+    'scheduleAtFixedRate(Ljava/util/TimerTask;Ljava/util/Date;J)V': (thread, self, task, date, period) => {
+      cldcUtilScheduleTask(self, task, cldcUtilDateToTime(date), cldcUtilCheckPeriod(period), true);
+    },
+    'cancel()V': (thread, self) => cldcUtilCancelTimer(self)
+  },
+  initialize: cls => {
+    cls.nextTimerNumber = 0;
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'java/util/TimerTask',
+  interfaces: ['java/lang/Runnable'],
+  accessFlags: ClassFile.ACC.PUBLIC | ClassFile.ACC.ABSTRACT,
+  methods: {
+    '<init>()V': (thread, self) => {
+      self.taskState = 'virgin';
+      self.timer = null;
+      self.timeout = null;
+      self.scheduledTime = 0;
+    },
+    'run()V': null,
+    'cancel()Z': (thread, self) => {
+      const wasScheduled = self.taskState === 'scheduled';
+      self.taskState = 'cancelled';
+      if (self.timeout) clearTimeout(self.timeout);
+      if (self.timer) self.timer.tasks.delete(self);
+      return wasScheduled;
+    },
+    'scheduledExecutionTime()J': (thread, self) => BigInt(self.scheduledTime)
+  }
+});
+
+// Export functions for use in other modules
+window.CldcUtil = {
+  newEnumeration: cldcUtilNewEnumeration,
+  formatDate: cldcUtilFormatDate
+};
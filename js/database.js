@@ -7,9 +7,11 @@
 const dbState = {
   db: null,
   DB_NAME: 'j2meLoaderDB',
-  DB_VERSION: 1,
+  DB_VERSION: 3,
   APPS_STORE: 'apps',
-  SETTINGS_STORE: 'settings'
+  SETTINGS_STORE: 'settings',
+  RECORD_STORES_STORE: 'recordStores',
+  MESSAGES_STORE: 'messages'
 };
 
 /**
@@ -54,6 +56,21 @@ function initDatabase() {
         const settingsStore = db.createObjectStore(dbState.SETTINGS_STORE, { keyPath: 'id' });
         console.log('Created settings store');
       }
+      
+      // Version 2 adds the MIDlets' record stores; apps and settings carry over
+      if (event.oldVersion < 2 && !db.objectStoreNames.contains(dbState.RECORD_STORES_STORE)) {
+        const recordStoresStore = db.createObjectStore(dbState.RECORD_STORES_STORE, { keyPath: 'id' });
+        recordStoresStore.createIndex('appId', 'appId', { unique: false });
+        recordStoresStore.createIndex('owner', ['vendor', 'suite', 'name'], { unique: false });
+        console.log('Created record stores store');
+      }
+      
+      // Version 3 adds the messages MIDlets have sent
+      if (event.oldVersion < 3 && !db.objectStoreNames.contains(dbState.MESSAGES_STORE)) {
+        const messagesStore = db.createObjectStore(dbState.MESSAGES_STORE, { keyPath: 'id', autoIncrement: true });
+        messagesStore.createIndex('appId', 'appId', { unique: false });
+        console.log('Created messages store');
+      }
     };
   });
 }
@@ -184,6 +201,333 @@ function getAllApps() {
   });
 }
 
+/**
+ * Get the record stores of an application
+ * @param {string} appId - Application ID
+ * @returns {Promise<Array>} Resolves with the record stores, sorted by name
+ */
+function getRecordStores(appId) {
+  return new Promise((resolve, reject) => {
+    if (!dbState.db) {
+      reject(new Error('Database not initialized'));
+      return;
+    }
+    
+    const transaction = dbState.db.transaction([dbState.RECORD_STORES_STORE], 'readonly');
+    const store = transaction.objectStore(dbState.RECORD_STORES_STORE);
+    const request = store.index('appId').getAll(appId);
+    
+    request.onsuccess = function() {
+      resolve(request.result.sort((a, b) => a.name.localeCompare(b.name)));
+    };
+    
+    request.onerror = function(event) {
+      console.error(`Failed to get record stores for: ${appId}`, event.target.error);
+      reject(event.target.error);
+    };
+  });
+}
+
+/**
+ * Get a record store by ID
+ * @param {string} storeId - Record store ID
+ * @returns {Promise<Object|null>} Resolves with the record store, or null if there is none
+ */
+function getRecordStore(storeId) {
+  return new Promise((resolve, reject) => {
+    if (!dbState.db) {
+      reject(new Error('Database not initialized'));
+      return;
+    }
+    
+    const transaction = dbState.db.transaction([dbState.RECORD_STORES_STORE], 'readonly');
+    const store = transaction.objectStore(dbState.RECORD_STORES_STORE);
+    const request = store.get(storeId);
+    
+    request.onsuccess = function() {
+      resolve(request.result || null);
+    };
+    
+    request.onerror = function(event) {
+      console.error(`Failed to get record store: ${storeId}`, event.target.error);
+      reject(event.target.error);
+    };
+  });
+}
+
+/**
+ * Find a record store by the vendor and name of the suite that owns it
+ * @param {string} vendor - MIDlet-Vendor of the owning suite
+ * @param {string} suite - MIDlet-Name of the owning suite
+ * @param {string} name - Record store name
+ * @returns {Promise<Object|null>} Resolves with the record store, or null if there is none
+ */
+function findRecordStore(vendor, suite, name) {
+  return new Promise((resolve, reject) => {
+    if (!dbState.db) {
+      reject(new Error('Database not initialized'));
+      return;
+    }
+    
+    const transaction = dbState.db.transaction([dbState.RECORD_STORES_STORE], 'readonly');
+    const store = transaction.objectStore(dbState.RECORD_STORES_STORE);
+    const request = store.index('owner').get([vendor, suite, name]);
+    
+    request.onsuccess = function() {
+      resolve(request.result || null);
+    };
+    
+    request.onerror = function(event) {
+      console.error(`Failed to find record store: ${name}`, event.target.error);
+      reject(event.target.error);
+    };
+  });
+}
+
+/**
+ * Save a record store
+ * @param {Object} recordStore - Record store with its records
+ * @returns {Promise} Resolves when the record store is saved
+ */
+function saveRecordStore(recordStore) {
+  return new Promise((resolve, reject) => {
+    if (!dbState.db) {
+      reject(new Error('Database not initialized'));
+      return;
+    }
+    
+    const transaction = dbState.db.transaction([dbState.RECORD_STORES_STORE], 'readwrite');
+    const store = transaction.objectStore(dbState.RECORD_STORES_STORE);
+    store.put(recordStore);
+    
+    // Resolve once the write is durable, not just queued
+    transaction.oncomplete = function() {
+      resolve();
+    };
+    
+    transaction.onerror = function(event) {
+      console.error(`Failed to save record store: ${recordStore.id}`, event.target.error);
+      reject(event.target.error);
+    };
+  });
+}
+
+/**
+ * Delete a record store
+ * @param {string} storeId - Record store ID
+ * @returns {Promise} Resolves when the record store is deleted
+ */
+function deleteRecordStore(storeId) {
+  return new Promise((resolve, reject) => {
+    if (!dbState.db) {
+      reject(new Error('Database not initialized'));
+      return;
+    }
+    
+    const transaction = dbState.db.transaction([dbState.RECORD_STORES_STORE], 'readwrite');
+    const store = transaction.objectStore(dbState.RECORD_STORES_STORE);
+    const request = store.delete(storeId);
+    
+    request.onsuccess = function() {
+      console.log(`Deleted record store: ${storeId}`);
+      resolve();
+    };
+    
+    request.onerror = function(event) {
+      console.error(`Failed to delete record store: ${storeId}`, event.target.error);
+      reject(event.target.error);
+    };
+  });
+}
+
+/**
+ * Delete all record stores of an application
+ * @param {string} appId - Application ID
+ * @returns {Promise} Resolves when the record stores are deleted
+ */
+function deleteRecordStores(appId) {
+  return new Promise((resolve, reject) => {
+    if (!dbState.db) {
+      reject(new Error('Database not initialized'));
+      return;
+    }
+    
+    const transaction = dbState.db.transaction([dbState.RECORD_STORES_STORE], 'readwrite');
+    const store = transaction.objectStore(dbState.RECORD_STORES_STORE);
+    const request = store.index('appId').openKeyCursor(appId);
+    
+    request.onsuccess = function(event) {
+      const cursor = event.target.result;
+      if (cursor) {
+        store.delete(cursor.primaryKey);
+        cursor.continue();
+      }
+    };
+    
+    transaction.oncomplete = function() {
+      console.log(`Deleted record stores for app: ${appId}`);
+      resolve();
+    };
+    
+    transaction.onerror = function(event) {
+      console.error(`Failed to delete record stores for: ${appId}`, event.target.error);
+      reject(event.target.error);
+    };
+  });
+}
+
+/**
+ * Replace all record stores of an application in one go
+ * @param {string} appId - Application ID
+ * @param {Array} recordStores - Record stores, already keyed to the app
+ * @returns {Promise} Resolves when the old stores are gone and the new ones saved
+ */
+function replaceRecordStores(appId, recordStores) {
+  return new Promise((resolve, reject) => {
+    if (!dbState.db) {
+      reject(new Error('Database not initialized'));
+      return;
+    }
+    
+    const transaction = dbState.db.transaction([dbState.RECORD_STORES_STORE], 'readwrite');
+    const store = transaction.objectStore(dbState.RECORD_STORES_STORE);
+    const request = store.index('appId').getAllKeys(appId);
+    
+    // Delete first, so a store of the same name isn't deleted after it's written
+    request.onsuccess = function() {
+      request.result.forEach(key => store.delete(key));
+      recordStores.forEach(recordStore => store.put(recordStore));
+    };
+    
+    transaction.oncomplete = function() {
+      console.log(`Replaced record stores for app: ${appId}`);
+      resolve();
+    };
+    
+    transaction.onerror = function(event) {
+      console.error(`Failed to replace record stores for: ${appId}`, event.target.error);
+      reject(event.target.error);
+    };
+  });
+}
+
+/**
+ * Get the messages an application's MIDlets have sent
+ * @param {string} appId - Application ID
+ * @returns {Promise<Array>} Resolves with the messages, newest first
+ */
+function getMessages(appId) {
+  return new Promise((resolve, reject) => {
+    if (!dbState.db) {
+      reject(new Error('Database not initialized'));
+      return;
+    }
+    
+    const transaction = dbState.db.transaction([dbState.MESSAGES_STORE], 'readonly');
+    const store = transaction.objectStore(dbState.MESSAGES_STORE);
+    const request = store.index('appId').getAll(appId);
+    
+    request.onsuccess = function() {
+      resolve(request.result.sort((a, b) => b.timestamp - a.timestamp || b.id - a.id));
+    };
+    
+    request.onerror = function(event) {
+      console.error(`Failed to get messages for: ${appId}`, event.target.error);
+      reject(event.target.error);
+    };
+  });
+}
+
+/**
+ * Add a message a MIDlet has sent
+ * @param {Object} message - Message, with the appId of the app that sent it
+ * @returns {Promise<number>} Resolves with the message's new ID
+ */
+function addMessage(message) {
+  return new Promise((resolve, reject) => {
+    if (!dbState.db) {
+      reject(new Error('Database not initialized'));
+      return;
+    }
+    
+    const transaction = dbState.db.transaction([dbState.MESSAGES_STORE], 'readwrite');
+    const store = transaction.objectStore(dbState.MESSAGES_STORE);
+    const request = store.add(message);
+    
+    transaction.oncomplete = function() {
+      resolve(request.result);
+    };
+    
+    transaction.onerror = function(event) {
+      console.error(`Failed to add message for: ${message.appId}`, event.target.error);
+      reject(event.target.error);
+    };
+  });
+}
+
+/**
+ * Delete a message
+ * @param {number} messageId - Message ID
+ * @returns {Promise} Resolves when the message is deleted
+ */
+function deleteMessage(messageId) {
+  return new Promise((resolve, reject) => {
+    if (!dbState.db) {
+      reject(new Error('Database not initialized'));
+      return;
+    }
+    
+    const transaction = dbState.db.transaction([dbState.MESSAGES_STORE], 'readwrite');
+    const store = transaction.objectStore(dbState.MESSAGES_STORE);
+    const request = store.delete(messageId);
+    
+    request.onsuccess = function() {
+      resolve();
+    };
+    
+    request.onerror = function(event) {
+      console.error(`Failed to delete message: ${messageId}`, event.target.error);
+      reject(event.target.error);
+    };
+  });
+}
+
+/**
+ * Delete all messages of an application
+ * @param {string} appId - Application ID
+ * @returns {Promise} Resolves when the messages are deleted
+ */
+function deleteMessages(appId) {
+  return new Promise((resolve, reject) => {
+    if (!dbState.db) {
+      reject(new Error('Database not initialized'));
+      return;
+    }
+    
+    const transaction = dbState.db.transaction([dbState.MESSAGES_STORE], 'readwrite');
+    const store = transaction.objectStore(dbState.MESSAGES_STORE);
+    const request = store.index('appId').openKeyCursor(appId);
+    
+    request.onsuccess = function(event) {
+      const cursor = event.target.result;
+      if (cursor) {
+        store.delete(cursor.primaryKey);
+        cursor.continue();
+      }
+    };
+    
+    transaction.oncomplete = function() {
+      console.log(`Deleted messages for app: ${appId}`);
+      resolve();
+    };
+    
+    transaction.onerror = function(event) {
+      console.error(`Failed to delete messages for: ${appId}`, event.target.error);
+      reject(event.target.error);
+    };
+  });
+}
+
 /**
  * Save global settings to database
  * @param {Object} settings - Settings object
@@ -263,6 +607,8 @@ function getDefaultGlobalSettings() {
     defaultStoragePath: '/sdcard/',
     showHiddenFiles: false,
     autoStartLastApp: false,
+    httpProxy: '',
+    socketRelay: '',
     timestamp: Date.now()
   };
 }
@@ -274,6 +620,17 @@ window.Database = {
   getAppData: getAppData,
   deleteAppData: deleteAppData,
   getAllApps: getAllApps,
+  getRecordStores: getRecordStores,
+  getRecordStore: getRecordStore,
+  findRecordStore: findRecordStore,
+  saveRecordStore: saveRecordStore,
+  deleteRecordStore: deleteRecordStore,
+  deleteRecordStores: deleteRecordStores,
+  replaceRecordStores: replaceRecordStores,
+  getMessages: getMessages,
+  addMessage: addMessage,
+  deleteMessage: deleteMessage,
+  deleteMessages: deleteMessages,
   saveGlobalSettings: saveGlobalSettings,
   getGlobalSettings: getGlobalSettings
 };
@@ -0,0 +1,140 @@
+/**
+ * J2ME Loader for CloudFone
+ * Display bridge (worker side)
+ *
+ * Owns the framebuffer the MIDlet paints into and the key state posted in
+ * by the page. Finished frames are copied into a fresh buffer and
+ * transferred to the page; a new frame is only sent once the page has
+ * shown the previous one, so a fast game loop can't flood the message
+ * queue and the page always draws the latest picture.
+ *
+ * Pixels are 32-bit values in ImageData byte order (0xAABBGGRR on
+ * little-endian machines) so the page can put them on its canvas without
+ * converting them.
+ */
+
+// Display bridge state
+const displayBridgeState = {
+  width: 240,
+  height: 320,
+  pixels: null,
+  dirty: false,
+  frameInFlight: false,
+  keyState: {},
+  keyListeners: []
+};
+
+/**
+ * Allocate a framebuffer for the given screen size
+ * @param {number} width - Screen width in pixels
+ * @param {number} height - Screen height in pixels
+ */
+function configureDisplay(width, height) {
+  displayBridgeState.width = width;
+  displayBridgeState.height = height;
+  displayBridgeState.pixels = new Uint32Array(width * height).fill(0xff000000);
+  displayBridgeState.dirty = false;
+}
+
+/**
+ * Get the framebuffer to paint into
+ * @returns {Object} Surface with width, height and pixels
+ */
+function getDisplaySurface() {
+  return {
+    width: displayBridgeState.width,
+    height: displayBridgeState.height,
+    pixels: displayBridgeState.pixels
+  };
+}
+
+/**
+ * Send the framebuffer to the page, or mark it for sending once the page
+ * has caught up
+ */
+function flushDisplay() {
+  displayBridgeState.dirty = true;
+  if (!displayBridgeState.frameInFlight) postFrame();
+}
+
+/**
+ * Post a copy of the framebuffer to the page
+ */
+function postFrame() {
+  const copy = displayBridgeState.pixels.slice();
+  displayBridgeState.dirty = false;
+  displayBridgeState.frameInFlight = true;
+
+  self.postMessage({
+    type: 'frame',
+    width: displayBridgeState.width,
+    height: displayBridgeState.height,
+    pixels: copy.buffer
+  }, [copy.buffer]);
+}
+
+/**
+ * Handle the page's acknowledgement that it has drawn the last frame
+ */
+function handleFrameShown() {
+  displayBridgeState.frameInFlight = false;
+  if (displayBridgeState.dirty) postFrame();
+}
+
+/**
+ * Handle a key event posted by the page
+ * @param {string} type - 'down' or 'up'
+ * @param {string} key - Key name as used by EmulatorCore ('UP', '5', 'STAR'...)
+ */
+function handleKeyEvent(type, key) {
+  // Auto-repeat arrives as further key downs
+  const event = type === 'down' && displayBridgeState.keyState[key] ? 'repeat' : type;
+  displayBridgeState.keyState[key] = type === 'down';
+
+  displayBridgeState.keyListeners.forEach(listener => {
+    try {
+      listener(event, key);
+    } catch (error) {
+      console.error('Key listener failed', error);
+    }
+  });
+}
+
+/**
+ * Check whether a key is currently held
+ * @param {string} key - Key name
+ * @returns {boolean} True while the key is down
+ */
+function isKeyDown(key) {
+  return displayBridgeState.keyState[key] === true;
+}
+
+/**
+ * Register a function to receive key events
+ * @param {Function} listener - Called with ('down'|'repeat'|'up', key)
+ */
+function addKeyListener(listener) {
+  displayBridgeState.keyListeners.push(listener);
+}
+
+/**
+ * Forget key state and listeners between MIDlet runs
+ */
+function resetDisplayBridge() {
+  displayBridgeState.keyState = {};
+  displayBridgeState.keyListeners = [];
+  displayBridgeState.dirty = false;
+  displayBridgeState.frameInFlight = false;
+}
+
+// Export functions for use in other modules
+window.DisplayBridge = {
+  configure: configureDisplay,
+  getSurface: getDisplaySurface,
+  flush: flushDisplay,
+  frameShown: handleFrameShown,
+  handleKey: handleKeyEvent,
+  isKeyDown: isKeyDown,
+  addKeyListener: addKeyListener,
+  reset: resetDisplayBridge
+};
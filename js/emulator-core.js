@@ -7,12 +7,29 @@
  * for a full J2ME emulator on KaiOS.
  */
 
+// Emulator core constants
+const emulatorCoreConstants = {
+  WORKER_URL: 'js/vm-worker.js',
+  // How long a MIDlet's destroyApp may take before its worker is killed
+  STOP_TIMEOUT_MS: 3000
+};
+
+// Page services the VM worker can ask for, by request type
+const emulatorCoreServices = {
+  files: MidletFiles.handle,
+  messages: MidletMessages.handle
+};
+
 // Emulator core state
 const emulatorCoreState = {
   initialized: false,
   running: false,
   jarFile: null,
+  jarBuffer: null,
+  jarArchive: null,
   midletInfo: null,
+  midletClass: null,
+  appId: null,
   canvas: null,
   context: null,
   screenWidth: 240,
@@ -20,10 +37,19 @@ const emulatorCoreState = {
   keyState: {},
   frameInterval: null,
   fps: 30,
-  javaClasses: {},
-  javaHeap: {},
-  javaStack: [],
-  javaThreads: []
+  worker: null,
+  workerRequests: new Map(),
+  nextRequestId: 1,
+  pendingFrame: null,
+  hasFrame: false,
+  jitEnabled: true,
+  fontSize: 'medium',
+  soundEnabled: true,
+  fileSandbox: true,
+  httpProxy: '',
+  socketRelay: '',
+  onExit: null,
+  onCommandsChanged: null
 };
 
 /**
@@ -50,11 +76,16 @@ function initEmulatorCore(canvas) {
     // Initialize key state
     resetKeyState();
     
-    // Load emulator components
-    Promise.all([
-      loadJavaClassLibrary(),
-      initializeJavaVM()
-    ])
+    // High-level screens send the user's edits back to the MIDlet, and
+    // moving between their items can change the commands on offer
+    MidletScreen.init(event => postToWorker({ type: 'screenEvent', event: event }), MidletCommands.refresh);
+    MidletCommands.init(sendCommand, key => {
+      handleKeyDown(key);
+      handleKeyUp(key);
+    }, handleCommandsChanged);
+    
+    // Start the VM worker, which loads the class library
+    initializeJavaVM()
     .then(() => {
       emulatorCoreState.initialized = true;
       console.log('Emulator core initialized');
@@ -70,9 +101,10 @@ function initEmulatorCore(canvas) {
 /**
  * Load a JAR file into the emulator
  * @param {File} jarFile - JAR file to load
+ * @param {Object} [descriptor] - Parsed JAD attributes if the app came with a JAD
  * @returns {Promise} Resolves when JAR is loaded
  */
-function loadJarFile(jarFile) {
+function loadJarFile(jarFile, descriptor = null) {
   return new Promise((resolve, reject) => {
     console.log(`Loading JAR file: ${jarFile.name}`);
     
@@ -88,11 +120,13 @@ function loadJarFile(jarFile) {
     
     reader.onload = function() {
       try {
-        // In a real implementation, this would parse the JAR file
-        // and extract the MIDlet information, classes, resources, etc.
+        // Index the archive so classes and resources can be read by path;
+        // the VM worker gets its own copy of the bytes when the MIDlet starts
+        emulatorCoreState.jarBuffer = reader.result;
+        emulatorCoreState.jarArchive = ZipReader.open(reader.result);
+        console.log(`JAR contains ${emulatorCoreState.jarArchive.entries.size} entries`);
         
-        // For now, we'll just simulate the process
-        parseMidletInfo(jarFile.name)
+        parseMidletInfo(emulatorCoreState.jarArchive, jarFile.name, descriptor)
           .then(midletInfo => {
             emulatorCoreState.midletInfo = midletInfo;
             console.log('JAR file loaded successfully');
@@ -118,35 +152,63 @@ function loadJarFile(jarFile) {
 }
 
 /**
- * Parse MIDlet information from JAR file
- * @param {string} filename - JAR filename
+ * Look up an entry of the loaded JAR
+ * @param {string} path - Entry path, with or without a leading slash
+ * @returns {Object|null} Entry record or null if not present
+ */
+function getJarEntry(path) {
+  if (!emulatorCoreState.jarArchive) return null;
+  return emulatorCoreState.jarArchive.getEntry(path);
+}
+
+/**
+ * Read a resource from the loaded JAR
+ * @param {string} path - Entry path, with or without a leading slash
+ * @returns {Uint8Array|null} Resource contents or null if not present
+ */
+function readJarResource(path) {
+  if (!emulatorCoreState.jarArchive) return null;
+  return emulatorCoreState.jarArchive.read(path);
+}
+
+/**
+ * Parse MIDlet information from the JAR manifest
+ * @param {Object} archive - Opened JAR archive
+ * @param {string} filename - JAR filename, used when the suite has no name
+ * @param {Object|null} descriptor - JAD attributes overriding the manifest
  * @returns {Promise<Object>} Resolves with MIDlet info
  */
-function parseMidletInfo(filename) {
-  return new Promise((resolve) => {
-    // In a real implementation, this would extract the manifest
-    // and parse the MIDlet information
-    
-    // For now, we'll just use the filename to generate mock info
-    const appName = filename.replace(/\.jar$/i, '');
-    
-    const midletInfo = {
-      name: appName,
-      version: '1.0',
-      vendor: 'Unknown',
-      description: `${appName} MIDlet`,
-      icon: null,
-      mainClass: `${appName.replace(/[^a-zA-Z0-9]/g, '')}Midlet`,
-      permissions: []
-    };
+function parseMidletInfo(archive, filename, descriptor) {
+  return new Promise((resolve, reject) => {
+    const attributes = JadDescriptor.merge(Manifest.readFromJar(archive), descriptor);
+    const midletInfo = Manifest.getSuiteInfo(attributes);
+    
+    if (!midletInfo.mainClass) {
+      reject(new Error('The JAR manifest does not declare any MIDlet'));
+      return;
+    }
+    
+    if (!midletInfo.name) {
+      midletInfo.name = filename.split('/').pop().replace(/\.jar$/i, '');
+    }
     
-    // Simulate a delay
-    setTimeout(() => {
-      resolve(midletInfo);
-    }, 500);
+    resolve(midletInfo);
   });
 }
 
+/**
+ * Get an application property as MIDlet.getAppProperty sees it
+ * @param {string} name - Property name
+ * @returns {string|null} JAD value if present, else manifest value, else null
+ */
+function getAppProperty(name) {
+  if (!emulatorCoreState.midletInfo) return null;
+  
+  // Property names are case-sensitive in MIDP
+  const properties = emulatorCoreState.midletInfo.properties;
+  return Object.prototype.hasOwnProperty.call(properties, name) ? properties[name] : null;
+}
+
 /**
  * Start the emulator
  * @param {Object} options - Emulator options
@@ -166,37 +228,70 @@ function startEmulator(options = {}) {
       return;
     }
     
+    // Pick the MIDlet to run; suites with several MIDlets name it explicitly
+    const midlets = emulatorCoreState.midletInfo.midlets;
+    const midlet = options.midletClass
+      ? midlets.find(entry => entry.className === options.midletClass)
+      : midlets[0];
+    
+    if (!midlet) {
+      reject(new Error(`MIDlet not declared in this suite: ${options.midletClass}`));
+      return;
+    }
+    emulatorCoreState.midletClass = midlet.className;
+    
+    // The installed app's ID keys its record stores
+    emulatorCoreState.appId = options.appId || null;
+    
     // Apply options
     if (options.screenWidth) emulatorCoreState.screenWidth = options.screenWidth;
     if (options.screenHeight) emulatorCoreState.screenHeight = options.screenHeight;
     if (options.fps) emulatorCoreState.fps = options.fps;
+    emulatorCoreState.jitEnabled = options.jitEnabled !== false;
+    emulatorCoreState.fontSize = options.fontSize || 'medium';
+    emulatorCoreState.soundEnabled = options.soundEnabled !== false;
+    emulatorCoreState.fileSandbox = options.fileSandbox !== false;
+    emulatorCoreState.httpProxy = options.httpProxy || '';
+    emulatorCoreState.socketRelay = options.socketRelay || '';
+    emulatorCoreState.onExit = options.onExit || null;
+    emulatorCoreState.onCommandsChanged = options.onCommandsChanged || null;
     
     // Update canvas dimensions if needed
     emulatorCoreState.canvas.width = emulatorCoreState.screenWidth;
     emulatorCoreState.canvas.height = emulatorCoreState.screenHeight;
     
-    try {
-      // Initialize the Java environment
-      initializeJavaEnvironment();
-      
-      // Start the main MIDlet
-      startMainMidlet()
-        .then(() => {
-          // Start the rendering loop
-          startRenderLoop();
-          
-          emulatorCoreState.running = true;
-          console.log('Emulator started successfully');
-          resolve();
-        })
-        .catch(error => {
-          console.error('Failed to start main MIDlet', error);
-          reject(error);
-        });
-    } catch (error) {
-      console.error('Failed to start emulator', error);
-      reject(error);
-    }
+    emulatorCoreState.pendingFrame = null;
+    emulatorCoreState.hasFrame = false;
+    
+    // The MIDlet's Players are heard only if the app's sound is on
+    MidletAudio.configure(emulatorCoreState.soundEnabled);
+    
+    // Sandboxed apps only reach their own folder through FileConnection
+    MidletFiles.configure(emulatorCoreState.appId, emulatorCoreState.fileSandbox);
+    
+    // What the MIDlet sends goes to the app's Outbox
+    MidletMessages.configure(emulatorCoreState.appId);
+    
+    // Start the main MIDlet
+    startMainMidlet()
+      .then(() => {
+        // Start the rendering loop
+        startRenderLoop();
+        
+        emulatorCoreState.running = true;
+        console.log('Emulator started successfully');
+        resolve();
+      })
+      .catch(error => {
+        console.error('Failed to start main MIDlet', error);
+        
+        // Don't leave the half-started MIDlet running in the worker, or
+        // what it had begun to show and play on the page
+        MidletScreen.show(null);
+        MidletCommands.show(null);
+        MidletAudio.reset();
+        cleanupJavaEnvironment().then(() => reject(error));
+      });
   });
 }
 
@@ -219,23 +314,46 @@ function stopEmulator() {
       emulatorCoreState.frameInterval = null;
     }
     
-    // Clean up resources
-    cleanupJavaEnvironment();
-    
     // Reset state
     emulatorCoreState.running = false;
-    emulatorCoreState.jarFile = null;
-    emulatorCoreState.midletInfo = null;
+    emulatorCoreState.pendingFrame = null;
+    emulatorCoreState.hasFrame = false;
     resetKeyState();
     
-    // Clear the canvas
+    // Clear the canvas and any screen the MIDlet left up
     clearCanvas();
+    MidletScreen.show(null);
+    MidletCommands.show(null);
+    
+    // Silence the MIDlet's Players right away, not after destroyApp
+    MidletAudio.reset();
     
-    console.log('Emulator stopped');
-    resolve();
+    // Clean up resources
+    cleanupJavaEnvironment()
+      .then(() => {
+        emulatorCoreState.jarFile = null;
+        emulatorCoreState.jarBuffer = null;
+        emulatorCoreState.jarArchive = null;
+        emulatorCoreState.midletInfo = null;
+        emulatorCoreState.midletClass = null;
+        
+        console.log('Emulator stopped');
+        resolve();
+      });
   });
 }
 
+/**
+ * Hand the running MIDlet an incoming message
+ * @param {Object} message - {address, port, type, text, data}; port null
+ *   for the MIDlet's only message connection
+ * @returns {Promise<number>} Resolves with the port the message went to
+ */
+function deliverMessage(message) {
+  if (!emulatorCoreState.running) return Promise.reject(new Error('No MIDlet is running'));
+  return callWorker('message', { message: message });
+}
+
 /**
  * Handle key down event
  * @param {string} key - Key code
@@ -244,10 +362,7 @@ function handleKeyDown(key) {
   if (!emulatorCoreState.running) return;
   
   emulatorCoreState.keyState[key] = true;
-  
-  // In a real implementation, this would trigger the appropriate
-  // key event in the Java environment
-  console.log(`Key down: ${key}`);
+  postToWorker({ type: 'key', event: 'down', key: key });
 }
 
 /**
@@ -258,10 +373,45 @@ function handleKeyUp(key) {
   if (!emulatorCoreState.running) return;
   
   emulatorCoreState.keyState[key] = false;
+  postToWorker({ type: 'key', event: 'up', key: key });
+}
+
+/**
+ * Handle the center soft key: it selects the focused row of a high-level
+ * screen and is the select key to a Canvas
+ */
+function handleSelect() {
+  if (!emulatorCoreState.running) return;
   
-  // In a real implementation, this would trigger the appropriate
-  // key event in the Java environment
-  console.log(`Key up: ${key}`);
+  if (MidletScreen.isShown()) {
+    MidletScreen.activate();
+    return;
+  }
+  handleKeyDown('SELECT');
+  handleKeyUp('SELECT');
+}
+
+/**
+ * Send the command the user picked to the MIDlet
+ * @param {number} id - Command id
+ * @param {number|null} itemId - Item the command belongs to, or null for
+ *   the current displayable's own commands
+ */
+function sendCommand(id, itemId) {
+  if (!emulatorCoreState.running) return;
+  
+  if (itemId === null) {
+    postToWorker({ type: 'command', id: id });
+  } else {
+    postToWorker({ type: 'screenEvent', event: { id: itemId, action: 'command', command: id } });
+  }
+}
+
+/**
+ * Let the launcher update its soft keys
+ */
+function handleCommandsChanged() {
+  if (emulatorCoreState.onCommandsChanged) emulatorCoreState.onCommandsChanged();
 }
 
 /**
@@ -321,11 +471,23 @@ function startRenderLoop() {
 function renderFrame() {
   if (!emulatorCoreState.running || !emulatorCoreState.context) return;
   
-  // In a real implementation, this would render the current state
-  // of the Java application to the canvas
+  const frame = emulatorCoreState.pendingFrame;
+  if (frame) {
+    emulatorCoreState.pendingFrame = null;
+    emulatorCoreState.hasFrame = true;
+    
+    const image = new ImageData(new Uint8ClampedArray(frame.pixels), frame.width, frame.height);
+    emulatorCoreState.context.putImageData(image, 0, 0);
+    
+    // Let the worker send the next frame
+    postToWorker({ type: 'frameShown' });
+    return;
+  }
   
-  // For now, we'll just render a simple demo screen
-  renderDemoScreen();
+  // Until the MIDlet paints something, show the suite details
+  if (!emulatorCoreState.hasFrame) {
+    renderDemoScreen();
+  }
 }
 
 /**
@@ -359,8 +521,8 @@ function renderDemoScreen() {
   ctx.fillStyle = '#000000';
   ctx.font = '14px sans-serif';
   ctx.textAlign = 'center';
-  ctx.fillText('J2ME Emulator', width / 2, 80);
-  ctx.fillText('KaiOS Edition', width / 2, 100);
+  ctx.fillText(emulatorCoreState.midletInfo.vendor || 'Unknown vendor', width / 2, 80);
+  ctx.fillText(`Version ${emulatorCoreState.midletInfo.version || '-'}`, width / 2, 100);
   
   // Draw a simple animation
   const time = Date.now() / 1000;
@@ -404,113 +566,238 @@ function renderDemoScreen() {
 }
 
 /**
- * Load Java class library
- * @returns {Promise} Resolves when library is loaded
+ * Create the worker the Java VM runs in
  */
-function loadJavaClassLibrary() {
-  return new Promise((resolve) => {
-    console.log('Loading Java class library');
-    
-    // In a real implementation, this would load the Java ME class library
-    // For now, we'll just simulate the process
-    
-    // Simulate loading standard Java ME classes
-    emulatorCoreState.javaClasses = {
-      'java.lang.Object': {},
-      'java.lang.String': {},
-      'javax.microedition.midlet.MIDlet': {},
-      'javax.microedition.lcdui.Display': {},
-      'javax.microedition.lcdui.Canvas': {},
-      'javax.microedition.lcdui.Graphics': {},
-      'javax.microedition.lcdui.Font': {},
-      'javax.microedition.lcdui.Image': {},
-      'javax.microedition.lcdui.game.GameCanvas': {},
-      'javax.microedition.lcdui.game.Sprite': {},
-      'javax.microedition.media.Manager': {},
-      'javax.microedition.media.Player': {},
-      'javax.microedition.rms.RecordStore': {}
-    };
+function createVmWorker() {
+  const worker = new Worker(emulatorCoreConstants.WORKER_URL);
+  worker.onmessage = handleWorkerMessage;
+  worker.onerror = handleWorkerError;
+  emulatorCoreState.worker = worker;
+}
+
+/**
+ * Post a message to the VM worker that needs no answer
+ * @param {Object} message - Message
+ * @param {Array} [transfer] - Objects to transfer rather than copy
+ */
+function postToWorker(message, transfer = []) {
+  if (emulatorCoreState.worker) {
+    emulatorCoreState.worker.postMessage(message, transfer);
+  }
+}
+
+/**
+ * Send a request to the VM worker
+ * @param {string} type - Request type
+ * @param {Object} [data] - Request fields
+ * @param {Array} [transfer] - Objects to transfer rather than copy
+ * @returns {Promise} Resolves with the worker's result
+ */
+function callWorker(type, data = {}, transfer = []) {
+  return new Promise((resolve, reject) => {
+    if (!emulatorCoreState.worker) {
+      reject(new Error('Java VM is not running'));
+      return;
+    }
     
-    // Simulate a delay
-    setTimeout(() => {
-      console.log('Java class library loaded');
-      resolve();
-    }, 500);
+    const id = emulatorCoreState.nextRequestId++;
+    emulatorCoreState.workerRequests.set(id, { resolve: resolve, reject: reject });
+    postToWorker(Object.assign({ type: type, id: id }, data), transfer);
   });
 }
 
+/**
+ * Handle a message from the VM worker
+ * @param {MessageEvent} event - Message event
+ */
+function handleWorkerMessage(event) {
+  const message = event.data;
+  
+  switch (message.type) {
+    case 'reply': {
+      const request = emulatorCoreState.workerRequests.get(message.id);
+      if (!request) return;
+      emulatorCoreState.workerRequests.delete(message.id);
+      
+      if (message.error) {
+        const error = new Error(message.error.message);
+        error.name = message.error.name;
+        request.reject(error);
+      } else {
+        request.resolve(message.result);
+      }
+      break;
+    }
+    case 'frame':
+      // Drawn by the render loop; older undrawn frames are simply replaced
+      emulatorCoreState.pendingFrame = message;
+      break;
+    case 'screen':
+      MidletScreen.show(message.screen);
+      break;
+    case 'commands':
+      MidletCommands.show(message.commands);
+      break;
+    case 'audio':
+      MidletAudio.play(message.command);
+      break;
+    case 'request':
+      answerWorkerRequest(message);
+      break;
+    case 'exit':
+      handleMidletDestroyed();
+      break;
+    default:
+      console.warn(`Unknown message from VM worker: ${message.type}`);
+  }
+}
+
+/**
+ * Carry out a request from the VM worker and send back the answer
+ * @param {Object} message - {id, request, data}
+ */
+function answerWorkerRequest(message) {
+  const service = emulatorCoreServices[message.request];
+  new Promise(resolve => {
+    if (!service) throw new Error(`Unknown request from VM worker: ${message.request}`);
+    resolve(service(message.data));
+  })
+    .then(result => {
+      // File contents are handed over rather than copied
+      postToWorker({ type: 'reply', id: message.id, result: result }, result instanceof ArrayBuffer ? [result] : []);
+    })
+    .catch(error => {
+      postToWorker({
+        type: 'reply',
+        id: message.id,
+        error: { name: (error && error.name) || 'Error', message: (error && error.message) || String(error) }
+      });
+    });
+}
+
+/**
+ * Handle an error the VM worker didn't catch
+ * @param {ErrorEvent} event - Error event
+ */
+function handleWorkerError(event) {
+  console.error('VM worker error', event.message);
+  rejectWorkerRequests(new Error(event.message || 'Java VM worker failed'));
+}
+
+/**
+ * Fail all requests still waiting for the worker
+ * @param {Error} error - Error to reject them with
+ */
+function rejectWorkerRequests(error) {
+  const requests = emulatorCoreState.workerRequests;
+  emulatorCoreState.workerRequests = new Map();
+  requests.forEach(request => request.reject(error));
+}
+
+/**
+ * Kill the VM worker and start a fresh one
+ * @returns {Promise} Resolves when the new worker is ready
+ */
+function restartVmWorker() {
+  if (emulatorCoreState.worker) {
+    emulatorCoreState.worker.terminate();
+    emulatorCoreState.worker = null;
+  }
+  rejectWorkerRequests(new Error('Java VM was restarted'));
+  
+  return initializeJavaVM();
+}
+
 /**
  * Initialize Java VM
  * @returns {Promise} Resolves when VM is initialized
  */
 function initializeJavaVM() {
-  return new Promise((resolve) => {
-    console.log('Initializing Java VM');
-    
-    // In a real implementation, this would initialize the Java VM
-    // For now, we'll just simulate the process
-    
-    // Simulate a delay
-    setTimeout(() => {
-      console.log('Java VM initialized');
-      resolve();
-    }, 500);
-  });
+  console.log('Initializing Java VM');
+  
+  createVmWorker();
+  return callWorker('init')
+    .then(classCount => {
+      console.log(`Java VM initialized (${classCount} library classes)`);
+    });
 }
 
 /**
- * Initialize Java environment
+ * Start the selected MIDlet in the VM worker
+ * @returns {Promise} Resolves when the MIDlet's startApp has returned
  */
-function initializeJavaEnvironment() {
-  console.log('Initializing Java environment');
+function startMainMidlet() {
+  console.log(`Starting MIDlet: ${emulatorCoreState.midletClass}`);
   
-  // In a real implementation, this would set up the Java environment
-  // for the specific MIDlet
+  // The page keeps its copy of the JAR for icons and resources
+  const jar = emulatorCoreState.jarBuffer.slice(0);
   
-  // Reset Java heap and stack
-  emulatorCoreState.javaHeap = {};
-  emulatorCoreState.javaStack = [];
-  emulatorCoreState.javaThreads = [];
+  return callWorker('start', {
+    jar: jar,
+    midletClass: emulatorCoreState.midletClass,
+    appId: emulatorCoreState.appId,
+    properties: emulatorCoreState.midletInfo.properties,
+    screenWidth: emulatorCoreState.screenWidth,
+    screenHeight: emulatorCoreState.screenHeight,
+    jitEnabled: emulatorCoreState.jitEnabled,
+    fontSize: emulatorCoreState.fontSize,
+    httpProxy: emulatorCoreState.httpProxy,
+    socketRelay: emulatorCoreState.socketRelay
+  }, [jar])
+    .then(() => {
+      console.log('Main MIDlet started');
+    });
 }
 
 /**
- * Start the main MIDlet
- * @returns {Promise} Resolves when MIDlet is started
+ * Handle MIDlet.notifyDestroyed
  */
-function startMainMidlet() {
-  return new Promise((resolve) => {
-    console.log(`Starting main MIDlet: ${emulatorCoreState.midletInfo.mainClass}`);
-    
-    // In a real implementation, this would instantiate and start the main MIDlet
-    
-    // Simulate a delay
-    setTimeout(() => {
-      console.log('Main MIDlet started');
-      resolve();
-    }, 500);
-  });
+function handleMidletDestroyed() {
+  console.log('MIDlet destroyed itself');
+  
+  if (emulatorCoreState.onExit) {
+    emulatorCoreState.onExit();
+  } else {
+    stopEmulator();
+  }
 }
 
 /**
  * Clean up Java environment
+ * @returns {Promise} Resolves when the VM is idle again; never rejects
  */
 function cleanupJavaEnvironment() {
   console.log('Cleaning up Java environment');
   
-  // In a real implementation, this would clean up the Java environment
+  // Give the MIDlet a chance to run destroyApp, but don't let a stuck
+  // MIDlet keep the emulator from stopping
+  let timer = null;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error('MIDlet did not stop in time')), emulatorCoreConstants.STOP_TIMEOUT_MS);
+  });
   
-  // Clear Java heap and stack
-  emulatorCoreState.javaHeap = {};
-  emulatorCoreState.javaStack = [];
-  emulatorCoreState.javaThreads = [];
+  return Promise.race([callWorker('stop'), timeout])
+    .catch(error => {
+      console.warn('Restarting Java VM', error);
+      return restartVmWorker();
+    })
+    .catch(error => {
+      console.error('Failed to restart Java VM', error);
+    })
+    .then(() => clearTimeout(timer));
 }
 
 // Export functions for use in other modules
 window.EmulatorCore = {
   init: initEmulatorCore,
   loadJar: loadJarFile,
+  getJarEntry: getJarEntry,
+  readJarResource: readJarResource,
+  getAppProperty: getAppProperty,
   start: startEmulator,
   stop: stopEmulator,
   handleKeyDown: handleKeyDown,
-  handleKeyUp: handleKeyUp
+  handleKeyUp: handleKeyUp,
+  handleSelect: handleSelect,
+  deliverMessage: deliverMessage
 };
@@ -201,7 +201,7 @@ function renderFileList() {
       icon.textContent = '📂 ';
     } else if (file.isDirectory) {
       icon.textContent = '📁 ';
-    } else if (file.name.toLowerCase().endsWith('.jar')) {
+    } else if (isInstallableFile(file.name)) {
       icon.textContent = '📱 ';
     } else {
       icon.textContent = '📄 ';
@@ -268,15 +268,23 @@ function openSelected() {
     updatePathDisplay();
     loadFiles(newPath);
   } else {
-    // Check if it's a JAR file
-    if (selectedFile.name.toLowerCase().endsWith('.jar')) {
+    // Check if it's a JAR or JAD file
+    const lowerName = selectedFile.name.toLowerCase();
+    if (lowerName.endsWith('.jar')) {
       installJarFile(selectedFile);
+    } else if (lowerName.endsWith('.jad')) {
+      installJadFile(selectedFile);
     } else {
-      alert('Please select a valid JAR file.');
+      alert('Please select a valid JAR or JAD file.');
     }
   }
 }
 
+// Check if a file can be installed as a MIDlet suite
+function isInstallableFile(name) {
+  return /\.(jar|jad)$/i.test(name);
+}
+
 // Install a JAR file
 function installJarFile(fileInfo) {
   console.log(`Installing JAR file: ${fileInfo.path}`);
@@ -315,6 +323,45 @@ function installJarFile(fileInfo) {
     };
 }
 
+// Install a MIDlet suite from a JAD descriptor and its JAR
+function installJadFile(fileInfo) {
+  console.log(`Installing JAD file: ${fileInfo.path}`);
+  
+  let descriptor = null;
+  
+  Storage.getFile(fileInfo.path)
+    .then(jadFile => JadDescriptor.read(jadFile))
+    .then(attributes => {
+      descriptor = attributes;
+      return JadDescriptor.locateJar(fileInfo.path, descriptor);
+    })
+    .then(jarFile => {
+      console.log(`Found JAR for descriptor: ${jarFile.name}`);
+      
+      // Validates the JAR size and suite identity against the descriptor
+      return Storage.extractJarMetadata(jarFile, descriptor);
+    })
+    .then(metadata => {
+      metadata.jadPath = fileInfo.path;
+      
+      return Database.saveAppData(metadata)
+        .then(() => {
+          console.log(`Successfully installed: ${metadata.name}`);
+          alert(`Successfully installed: ${metadata.name}`);
+          
+          // Refresh the app list
+          loadInstalledApps();
+          
+          // Navigate back to the app list
+          navigateToScreen('app-list');
+        });
+    })
+    .catch(error => {
+      console.error('Failed to install JAD file', error);
+      alert(`Failed to install JAD file: ${error.message}`);
+    });
+}
+
 // Get storage space information
 function getStorageInfo() {
   return new Promise((resolve, reject) => {
@@ -0,0 +1,908 @@
+/**
+ * J2ME Loader for CloudFone
+ * PNG, JPEG and GIF decoder
+ *
+ * Decodes the image formats MIDlets ship in their JARs into 32-bit surfaces
+ * ({width, height, pixels}) in ImageData byte order (0xAABBGGRR). Decoding
+ * is done here rather than by the browser so that every browser produces
+ * the same pixels: no colour management, gamma correction or smoothing.
+ *
+ * PNG supports every colour type, bit depth and interlacing, with tRNS
+ * transparency. JPEG supports baseline and extended sequential files with
+ * greyscale or YCbCr colour; progressive files were never supported by
+ * handsets and are refused. GIF decodes the first frame of the file.
+ */
+
+// Decoder constants
+const imageDecoderConstants = {
+  PNG_SIGNATURE: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+  PNG_COLOR_GRAY: 0,
+  PNG_COLOR_RGB: 2,
+  PNG_COLOR_PALETTE: 3,
+  PNG_COLOR_GRAY_ALPHA: 4,
+  PNG_COLOR_RGBA: 6,
+
+  // Samples per pixel by PNG colour type
+  PNG_CHANNELS: { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 },
+
+  // Adam7 passes as [x start, y start, x step, y step]
+  ADAM7_PASSES: [
+    [0, 0, 8, 8],
+    [4, 0, 8, 8],
+    [0, 4, 4, 8],
+    [2, 0, 4, 4],
+    [0, 2, 2, 4],
+    [1, 0, 2, 2],
+    [0, 1, 1, 2]
+  ],
+
+  // Order in which JPEG stores the coefficients of a block
+  JPEG_ZIGZAG: [
+    0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+    12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+    35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+    58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63
+  ],
+
+  GIF_MAX_CODE_SIZE: 12,
+
+  // Largest surface we'll allocate, in pixels
+  MAX_PIXELS: 0x1000000
+};
+
+// Decoder state
+const imageDecoderState = {
+  jpegCosines: null
+};
+
+/**
+ * Decode an image in any supported format
+ * @param {Uint8Array} bytes - File contents
+ * @returns {Object} Surface {width, height, pixels}
+ */
+function decodeImage(bytes) {
+  if (imageDecoderConstants.PNG_SIGNATURE.every((value, i) => bytes[i] === value)) {
+    return decodePngImage(bytes);
+  }
+  if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+    return decodeJpegImage(bytes);
+  }
+  if (bytes[0] === 0x47 && bytes[1] === 0x49 && bytes[2] === 0x46) {
+    return decodeGifImage(bytes);
+  }
+  throw new Error('Unrecognised image format');
+}
+
+/**
+ * Create an empty surface
+ * @param {number} width - Width
+ * @param {number} height - Height
+ * @returns {Object} Surface with transparent pixels
+ */
+function createImageSurface(width, height) {
+  if (width <= 0 || height <= 0 || width * height > imageDecoderConstants.MAX_PIXELS) {
+    throw new Error(`Invalid image size: ${width}x${height}`);
+  }
+  return { width: width, height: height, pixels: new Uint32Array(width * height) };
+}
+
+/**
+ * Pack colour channels into a pixel
+ * @param {number} red - Red 0-255
+ * @param {number} green - Green 0-255
+ * @param {number} blue - Blue 0-255
+ * @param {number} alpha - Alpha 0-255
+ * @returns {number} Pixel in 0xAABBGGRR order
+ */
+function packImagePixel(red, green, blue, alpha) {
+  return ((alpha << 24) | (blue << 16) | (green << 8) | red) >>> 0;
+}
+
+// ---------------------------------------------------------------------------
+// PNG
+// ---------------------------------------------------------------------------
+
+/**
+ * Decode a PNG file
+ * @param {Uint8Array} bytes - File contents
+ * @returns {Object} Surface
+ */
+function decodePngImage(bytes) {
+  const c = imageDecoderConstants;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const png = { palette: null, transparency: null, data: [] };
+
+  let offset = c.PNG_SIGNATURE.length;
+  let ended = false;
+  while (!ended && offset + 8 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(bytes[offset + 4], bytes[offset + 5], bytes[offset + 6], bytes[offset + 7]);
+    const start = offset + 8;
+    if (start + length > bytes.length) throw new Error(`Truncated PNG chunk: ${type}`);
+    const chunk = bytes.subarray(start, start + length);
+
+    switch (type) {
+      case 'IHDR':
+        png.width = view.getUint32(start);
+        png.height = view.getUint32(start + 4);
+        png.bitDepth = chunk[8];
+        png.colorType = chunk[9];
+        png.interlaced = chunk[12] === 1;
+        break;
+      case 'PLTE':
+        png.palette = chunk;
+        break;
+      case 'tRNS':
+        png.transparency = chunk;
+        break;
+      case 'IDAT':
+        png.data.push(chunk);
+        break;
+      case 'IEND':
+        ended = true;
+        break;
+    }
+    // Skip the CRC; handsets don't check it either
+    offset = start + length + 4;
+  }
+
+  if (!png.width || !c.PNG_CHANNELS[png.colorType] || png.data.length === 0) {
+    throw new Error('Invalid PNG file');
+  }
+  if (png.colorType === c.PNG_COLOR_PALETTE && !png.palette) {
+    throw new Error('PNG palette missing');
+  }
+
+  // The image data is a zlib stream split across the IDAT chunks
+  const compressed = new Uint8Array(png.data.reduce((total, chunk) => total + chunk.length, 0));
+  png.data.reduce((position, chunk) => {
+    compressed.set(chunk, position);
+    return position + chunk.length;
+  }, 0);
+  if ((compressed[0] & 0x0f) !== 8) throw new Error('Unsupported PNG compression');
+  const data = ZipReader.inflate(compressed.subarray(2));
+
+  const surface = createImageSurface(png.width, png.height);
+  if (png.interlaced) {
+    let position = 0;
+    c.ADAM7_PASSES.forEach(([x0, y0, dx, dy]) => {
+      const width = Math.ceil((png.width - x0) / dx);
+      const height = Math.ceil((png.height - y0) / dy);
+      if (width > 0 && height > 0) {
+        position = decodePngPass(png, data, position, width, height, surface, x0, y0, dx, dy);
+      }
+    });
+  } else {
+    decodePngPass(png, data, 0, png.width, png.height, surface, 0, 0, 1, 1);
+  }
+  return surface;
+}
+
+/**
+ * Unfilter one pass of PNG scanlines and store its pixels
+ * @param {Object} png - Header, palette and transparency
+ * @param {Uint8Array} data - Inflated image data
+ * @param {number} position - Offset of the pass in data
+ * @param {number} width - Pass width
+ * @param {number} height - Pass height
+ * @param {Object} surface - Destination
+ * @param {number} x0 - First destination column
+ * @param {number} y0 - First destination row
+ * @param {number} dx - Destination column step
+ * @param {number} dy - Destination row step
+ * @returns {number} Offset just past the pass
+ */
+function decodePngPass(png, data, position, width, height, surface, x0, y0, dx, dy) {
+  const bitsPerPixel = imageDecoderConstants.PNG_CHANNELS[png.colorType] * png.bitDepth;
+  const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+  const stride = Math.ceil(width * bitsPerPixel / 8);
+  let previous = new Uint8Array(stride);
+  let line = new Uint8Array(stride);
+
+  for (let y = 0; y < height; y++) {
+    if (position + 1 + stride > data.length) throw new Error('Truncated PNG image data');
+    const filter = data[position];
+    line.set(data.subarray(position + 1, position + 1 + stride));
+    position += 1 + stride;
+
+    for (let i = 0; i < stride; i++) {
+      const left = i >= bytesPerPixel ? line[i - bytesPerPixel] : 0;
+      const up = previous[i];
+      const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+      switch (filter) {
+        case 0:
+          break;
+        case 1:
+          line[i] += left;
+          break;
+        case 2:
+          line[i] += up;
+          break;
+        case 3:
+          line[i] += (left + up) >> 1;
+          break;
+        case 4: {
+          const p = left + up - upLeft;
+          const pa = Math.abs(p - left);
+          const pb = Math.abs(p - up);
+          const pc = Math.abs(p - upLeft);
+          line[i] += pa <= pb && pa <= pc ? left : (pb <= pc ? up : upLeft);
+          break;
+        }
+        default:
+          throw new Error(`Invalid PNG filter: ${filter}`);
+      }
+    }
+
+    const row = (y0 + y * dy) * surface.width;
+    for (let x = 0; x < width; x++) {
+      surface.pixels[row + x0 + x * dx] = readPngPixel(png, line, x);
+    }
+    [previous, line] = [line, previous];
+  }
+  return position;
+}
+
+/**
+ * Read one pixel of an unfiltered PNG scanline
+ * @param {Object} png - Header, palette and transparency
+ * @param {Uint8Array} line - Scanline
+ * @param {number} x - Pixel index
+ * @returns {number} Pixel
+ */
+function readPngPixel(png, line, x) {
+  const c = imageDecoderConstants;
+  const depth = png.bitDepth;
+  const trns = png.transparency;
+
+  // Read channel n at full precision
+  const sample = n => {
+    const index = x * c.PNG_CHANNELS[png.colorType] + n;
+    if (depth === 16) return (line[index * 2] << 8) | line[index * 2 + 1];
+    if (depth === 8) return line[index];
+    const bit = index * depth;
+    return (line[bit >> 3] >> (8 - depth - (bit & 7))) & ((1 << depth) - 1);
+  };
+  // Scale a sample to 8 bits
+  const scale = value => depth === 16 ? value >> 8 : (depth === 8 ? value : Math.round(value * 255 / ((1 << depth) - 1)));
+
+  switch (png.colorType) {
+    case c.PNG_COLOR_GRAY: {
+      const gray = sample(0);
+      const value = scale(gray);
+      const alpha = trns && trns.length >= 2 && gray === ((trns[0] << 8) | trns[1]) ? 0 : 0xff;
+      return packImagePixel(value, value, value, alpha);
+    }
+    case c.PNG_COLOR_RGB: {
+      const red = sample(0);
+      const green = sample(1);
+      const blue = sample(2);
+      const transparent = trns && trns.length >= 6 &&
+        red === ((trns[0] << 8) | trns[1]) && green === ((trns[2] << 8) | trns[3]) && blue === ((trns[4] << 8) | trns[5]);
+      return packImagePixel(scale(red), scale(green), scale(blue), transparent ? 0 : 0xff);
+    }
+    case c.PNG_COLOR_PALETTE: {
+      const index = sample(0);
+      const palette = png.palette;
+      if (index * 3 + 2 >= palette.length) return 0;
+      const alpha = trns && index < trns.length ? trns[index] : 0xff;
+      return packImagePixel(palette[index * 3], palette[index * 3 + 1], palette[index * 3 + 2], alpha);
+    }
+    case c.PNG_COLOR_GRAY_ALPHA: {
+      const value = scale(sample(0));
+      return packImagePixel(value, value, value, scale(sample(1)));
+    }
+    default:
+      return packImagePixel(scale(sample(0)), scale(sample(1)), scale(sample(2)), scale(sample(3)));
+  }
+}
+
+// ---------------------------------------------------------------------------
+// JPEG
+// ---------------------------------------------------------------------------
+
+/**
+ * Decode a baseline or extended sequential JPEG file
+ * @param {Uint8Array} bytes - File contents
+ * @returns {Object} Surface
+ */
+function decodeJpegImage(bytes) {
+  const jpeg = {
+    bytes: bytes,
+    quantTables: [],
+    dcTables: [],
+    acTables: [],
+    frame: null,
+    restartInterval: 0,
+    adobeTransform: -1
+  };
+
+  let offset = 2;
+  while (offset < bytes.length) {
+    if (bytes[offset] !== 0xff) {
+      offset++;
+      continue;
+    }
+    const marker = bytes[offset + 1];
+    offset += 2;
+    if (marker === 0xff || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) {
+      if (marker === 0xff) offset--;
+      continue;
+    }
+    if (marker === 0xd9) break;
+
+    const length = (bytes[offset] << 8) | bytes[offset + 1];
+    const segment = bytes.subarray(offset + 2, offset + length);
+
+    switch (marker) {
+      case 0xdb:
+        readJpegQuantTables(jpeg, segment);
+        break;
+      case 0xc4:
+        readJpegHuffmanTables(jpeg, segment);
+        break;
+      case 0xc0:
+      case 0xc1:
+        jpeg.frame = readJpegFrame(segment);
+        break;
+      case 0xc2:
+      case 0xc3:
+      case 0xc5:
+      case 0xc6:
+      case 0xc7:
+      case 0xc9:
+      case 0xca:
+      case 0xcb:
+      case 0xcd:
+      case 0xce:
+      case 0xcf:
+        throw new Error('Unsupported JPEG: only sequential Huffman files can be decoded');
+      case 0xdd:
+        jpeg.restartInterval = (segment[0] << 8) | segment[1];
+        break;
+      case 0xee:
+        // Adobe APP14 says whether three components are YCbCr or RGB
+        if (segment.length >= 12 && String.fromCharCode(...segment.subarray(0, 5)) === 'Adobe') {
+          jpeg.adobeTransform = segment[11];
+        }
+        break;
+      case 0xda:
+        if (!jpeg.frame) throw new Error('JPEG scan before frame header');
+        offset = decodeJpegScan(jpeg, segment, offset + length);
+        continue;
+    }
+    offset += length;
+  }
+
+  if (!jpeg.frame) throw new Error('Invalid JPEG file');
+  return convertJpegFrame(jpeg);
+}
+
+/**
+ * Read a DQT segment
+ * @param {Object} jpeg - Decoder state
+ * @param {Uint8Array} segment - Segment data
+ */
+function readJpegQuantTables(jpeg, segment) {
+  for (let i = 0; i < segment.length;) {
+    const wide = segment[i] >> 4;
+    const table = new Int32Array(64);
+    jpeg.quantTables[segment[i] & 0x0f] = table;
+    i++;
+    for (let k = 0; k < 64; k++) {
+      table[imageDecoderConstants.JPEG_ZIGZAG[k]] = wide ? (segment[i] << 8) | segment[i + 1] : segment[i];
+      i += wide ? 2 : 1;
+    }
+  }
+}
+
+/**
+ * Read a DHT segment into lookup tables keyed by code length and code
+ * @param {Object} jpeg - Decoder state
+ * @param {Uint8Array} segment - Segment data
+ */
+function readJpegHuffmanTables(jpeg, segment) {
+  for (let i = 0; i < segment.length;) {
+    const tableClass = segment[i] >> 4;
+    const id = segment[i] & 0x0f;
+    const counts = segment.subarray(i + 1, i + 17);
+    let symbolOffset = i + 17;
+
+    // Canonical codes: maxCode[length] is the last code of that length
+    const table = { maxCode: new Int32Array(18).fill(-1), valueOffset: new Int32Array(18), symbols: [] };
+    let code = 0;
+    for (let length = 1; length <= 16; length++) {
+      const count = counts[length - 1];
+      table.valueOffset[length] = table.symbols.length - code;
+      for (let k = 0; k < count; k++) {
+        table.symbols.push(segment[symbolOffset++]);
+        code++;
+      }
+      table.maxCode[length] = count > 0 ? code - 1 : -1;
+      code <<= 1;
+    }
+
+    (tableClass === 0 ? jpeg.dcTables : jpeg.acTables)[id] = table;
+    i = symbolOffset;
+  }
+}
+
+/**
+ * Read an SOF segment
+ * @param {Uint8Array} segment - Segment data
+ * @returns {Object} Frame with its components and their coefficient storage
+ */
+function readJpegFrame(segment) {
+  if (segment[0] !== 8) throw new Error(`Unsupported JPEG precision: ${segment[0]}`);
+
+  const frame = {
+    height: (segment[1] << 8) | segment[2],
+    width: (segment[3] << 8) | segment[4],
+    components: [],
+    maxH: 1,
+    maxV: 1
+  };
+  for (let i = 0; i < segment[5]; i++) {
+    const base = 6 + i * 3;
+    const component = {
+      id: segment[base],
+      h: segment[base + 1] >> 4,
+      v: segment[base + 1] & 0x0f,
+      quantTable: segment[base + 2]
+    };
+    frame.maxH = Math.max(frame.maxH, component.h);
+    frame.maxV = Math.max(frame.maxV, component.v);
+    frame.components.push(component);
+  }
+  if (!frame.width || !frame.height) throw new Error('Invalid JPEG size');
+  if (frame.components.length !== 1 && frame.components.length !== 3) {
+    throw new Error(`Unsupported JPEG component count: ${frame.components.length}`);
+  }
+
+  frame.mcusX = Math.ceil(frame.width / (8 * frame.maxH));
+  frame.mcusY = Math.ceil(frame.height / (8 * frame.maxV));
+  frame.components.forEach(component => {
+    component.blocksX = frame.mcusX * component.h;
+    component.blocksY = frame.mcusY * component.v;
+    component.samples = new Uint8Array(component.blocksX * 8 * component.blocksY * 8);
+  });
+  return frame;
+}
+
+/**
+ * Decode the entropy-coded data of a scan
+ * @param {Object} jpeg - Decoder state
+ * @param {Uint8Array} header - SOS segment data
+ * @param {number} offset - Offset of the entropy-coded data
+ * @returns {number} Offset of the marker that ends the scan
+ */
+function decodeJpegScan(jpeg, header, offset) {
+  const frame = jpeg.frame;
+  const components = [];
+  for (let i = 0; i < header[0]; i++) {
+    const component = frame.components.find(entry => entry.id === header[1 + i * 2]);
+    if (!component) throw new Error('JPEG scan names an unknown component');
+    component.dcTable = jpeg.dcTables[header[2 + i * 2] >> 4];
+    component.acTable = jpeg.acTables[header[2 + i * 2] & 0x0f];
+    component.quant = jpeg.quantTables[component.quantTable];
+    if (!component.dcTable || !component.acTable || !component.quant) throw new Error('JPEG table missing');
+    component.predictor = 0;
+    components.push(component);
+  }
+
+  const reader = { bytes: jpeg.bytes, pos: offset, bitBuffer: 0, bitCount: 0 };
+  const block = new Int32Array(64);
+  const single = components.length === 1;
+  const mcuCount = single
+    ? Math.ceil(Math.ceil(frame.width * components[0].h / frame.maxH) / 8) *
+      Math.ceil(Math.ceil(frame.height * components[0].v / frame.maxV) / 8)
+    : frame.mcusX * frame.mcusY;
+  const singleColumns = single ? Math.ceil(Math.ceil(frame.width * components[0].h / frame.maxH) / 8) : 0;
+
+  for (let mcu = 0; mcu < mcuCount; mcu++) {
+    if (jpeg.restartInterval && mcu > 0 && mcu % jpeg.restartInterval === 0) {
+      readJpegRestart(reader);
+      components.forEach(component => {
+        component.predictor = 0;
+      });
+    }
+
+    if (single) {
+      // A scan of one component goes block by block, not by MCU
+      const component = components[0];
+      decodeJpegBlock(reader, component, block);
+      storeJpegBlock(component, block, mcu % singleColumns, Math.floor(mcu / singleColumns));
+      continue;
+    }
+    const mcuX = mcu % frame.mcusX;
+    const mcuY = Math.floor(mcu / frame.mcusX);
+    components.forEach(component => {
+      for (let v = 0; v < component.v; v++) {
+        for (let h = 0; h < component.h; h++) {
+          decodeJpegBlock(reader, component, block);
+          storeJpegBlock(component, block, mcuX * component.h + h, mcuY * component.v + v);
+        }
+      }
+    });
+  }
+
+  // Find the marker after the scan, skipping stuffed bytes
+  let pos = reader.pos;
+  while (pos < jpeg.bytes.length && !(jpeg.bytes[pos] === 0xff && jpeg.bytes[pos + 1] !== 0 &&
+    !(jpeg.bytes[pos + 1] >= 0xd0 && jpeg.bytes[pos + 1] <= 0xd7))) {
+    pos++;
+  }
+  return pos;
+}
+
+/**
+ * Skip to the data after a restart marker
+ * @param {Object} reader - Bit reader
+ */
+function readJpegRestart(reader) {
+  reader.bitBuffer = 0;
+  reader.bitCount = 0;
+  const bytes = reader.bytes;
+  while (reader.pos < bytes.length && !(bytes[reader.pos] === 0xff && bytes[reader.pos + 1] >= 0xd0 && bytes[reader.pos + 1] <= 0xd7)) {
+    reader.pos++;
+  }
+  reader.pos += 2;
+}
+
+/**
+ * Read one bit of entropy-coded data
+ * @param {Object} reader - Bit reader
+ * @returns {number} Bit
+ */
+function readJpegBit(reader) {
+  if (reader.bitCount === 0) {
+    const bytes = reader.bytes;
+    let value = 0;
+    // Past a marker the data reads as zeros
+    if (reader.pos < bytes.length && !(bytes[reader.pos] === 0xff && bytes[reader.pos + 1] !== 0)) {
+      value = bytes[reader.pos++];
+      if (value === 0xff) reader.pos++;
+    }
+    reader.bitBuffer = value;
+    reader.bitCount = 8;
+  }
+  reader.bitCount--;
+  return (reader.bitBuffer >> reader.bitCount) & 1;
+}
+
+/**
+ * Read a signed value of the given size
+ * @param {Object} reader - Bit reader
+ * @param {number} size - Number of bits
+ * @returns {number} Value
+ */
+function readJpegValue(reader, size) {
+  if (size === 0) return 0;
+  let value = 0;
+  for (let i = 0; i < size; i++) value = (value << 1) | readJpegBit(reader);
+  return value < (1 << (size - 1)) ? value - (1 << size) + 1 : value;
+}
+
+/**
+ * Decode one Huffman symbol
+ * @param {Object} reader - Bit reader
+ * @param {Object} table - Huffman table
+ * @returns {number} Symbol
+ */
+function readJpegSymbol(reader, table) {
+  let code = 0;
+  for (let length = 1; length <= 16; length++) {
+    code = (code << 1) | readJpegBit(reader);
+    if (code <= table.maxCode[length]) return table.symbols[code + table.valueOffset[length]];
+  }
+  throw new Error('Invalid JPEG Huffman code');
+}
+
+/**
+ * Decode and dequantize the coefficients of one block
+ * @param {Object} reader - Bit reader
+ * @param {Object} component - Component
+ * @param {Int32Array} block - Coefficients in natural order
+ */
+function decodeJpegBlock(reader, component, block) {
+  const zigzag = imageDecoderConstants.JPEG_ZIGZAG;
+  block.fill(0);
+
+  component.predictor += readJpegValue(reader, readJpegSymbol(reader, component.dcTable));
+  block[0] = component.predictor * component.quant[0];
+
+  for (let k = 1; k < 64;) {
+    const symbol = readJpegSymbol(reader, component.acTable);
+    const run = symbol >> 4;
+    const size = symbol & 0x0f;
+    if (size === 0) {
+      if (run !== 15) break;
+      k += 16;
+      continue;
+    }
+    k += run;
+    if (k > 63) break;
+    const index = zigzag[k];
+    block[index] = readJpegValue(reader, size) * component.quant[index];
+    k++;
+  }
+}
+
+/**
+ * Inverse-transform a block into a component's samples
+ * @param {Object} component - Component
+ * @param {Int32Array} block - Dequantized coefficients
+ * @param {number} blockX - Block column
+ * @param {number} blockY - Block row
+ */
+function storeJpegBlock(component, block, blockX, blockY) {
+  if (blockX >= component.blocksX || blockY >= component.blocksY) return;
+
+  const cosines = getJpegCosines();
+  const temp = new Float64Array(64);
+  for (let y = 0; y < 8; y++) {
+    for (let u = 0; u < 8; u++) {
+      let sum = 0;
+      for (let v = 0; v < 8; v++) sum += cosines[y * 8 + v] * block[v * 8 + u];
+      temp[y * 8 + u] = sum;
+    }
+  }
+
+  const stride = component.blocksX * 8;
+  for (let y = 0; y < 8; y++) {
+    const row = (blockY * 8 + y) * stride + blockX * 8;
+    for (let x = 0; x < 8; x++) {
+      let sum = 0;
+      for (let u = 0; u < 8; u++) sum += cosines[x * 8 + u] * temp[y * 8 + u];
+      const value = Math.round(sum / 4 + 128);
+      component.samples[row + x] = value < 0 ? 0 : (value > 255 ? 255 : value);
+    }
+  }
+}
+
+/**
+ * Get the IDCT basis, cos((2x + 1)uπ / 16) scaled by C(u), computed once
+ * @returns {Float64Array} Basis indexed by x * 8 + u
+ */
+function getJpegCosines() {
+  if (!imageDecoderState.jpegCosines) {
+    const cosines = new Float64Array(64);
+    for (let x = 0; x < 8; x++) {
+      for (let u = 0; u < 8; u++) {
+        cosines[x * 8 + u] = (u === 0 ? Math.SQRT1_2 : 1) * Math.cos((2 * x + 1) * u * Math.PI / 16);
+      }
+    }
+    imageDecoderState.jpegCosines = cosines;
+  }
+  return imageDecoderState.jpegCosines;
+}
+
+/**
+ * Upsample and colour-convert the decoded components
+ * @param {Object} jpeg - Decoder state
+ * @returns {Object} Surface
+ */
+function convertJpegFrame(jpeg) {
+  const frame = jpeg.frame;
+  const surface = createImageSurface(frame.width, frame.height);
+  const components = frame.components;
+
+  // Subsampled components are stretched by repeating samples
+  const sampleAt = (component, x, y) => {
+    const sx = Math.floor(x * component.h / frame.maxH);
+    const sy = Math.floor(y * component.v / frame.maxV);
+    return component.samples[sy * component.blocksX * 8 + sx];
+  };
+
+  for (let y = 0; y < frame.height; y++) {
+    for (let x = 0; x < frame.width; x++) {
+      let pixel;
+      if (components.length === 1) {
+        const gray = sampleAt(components[0], x, y);
+        pixel = packImagePixel(gray, gray, gray, 0xff);
+      } else if (jpeg.adobeTransform === 0) {
+        pixel = packImagePixel(sampleAt(components[0], x, y), sampleAt(components[1], x, y), sampleAt(components[2], x, y), 0xff);
+      } else {
+        const luma = sampleAt(components[0], x, y);
+        const cb = sampleAt(components[1], x, y) - 128;
+        const cr = sampleAt(components[2], x, y) - 128;
+        const clamp = value => Math.max(0, Math.min(255, Math.round(value)));
+        pixel = packImagePixel(
+          clamp(luma + 1.402 * cr),
+          clamp(luma - 0.344136 * cb - 0.714136 * cr),
+          clamp(luma + 1.772 * cb),
+          0xff);
+      }
+      surface.pixels[y * frame.width + x] = pixel;
+    }
+  }
+  return surface;
+}
+
+// ---------------------------------------------------------------------------
+// GIF
+// ---------------------------------------------------------------------------
+
+/**
+ * Decode the first frame of a GIF file onto its logical screen; pixels the
+ * frame doesn't cover are transparent
+ * @param {Uint8Array} bytes - File contents
+ * @returns {Object} Surface
+ */
+function decodeGifImage(bytes) {
+  const readWord = offset => bytes[offset] | (bytes[offset + 1] << 8);
+  const surface = createImageSurface(readWord(6), readWord(8));
+
+  let offset = 13;
+  let globalTable = null;
+  if (bytes[10] & 0x80) {
+    globalTable = bytes.subarray(offset, offset + 3 * (2 << (bytes[10] & 7)));
+    offset += globalTable.length;
+  }
+
+  let transparentIndex = -1;
+  while (offset < bytes.length) {
+    const block = bytes[offset++];
+    if (block === 0x3b) break;
+
+    if (block === 0x21) {
+      // Only the graphic control extension matters: it sets transparency
+      const label = bytes[offset++];
+      if (label === 0xf9 && bytes[offset] >= 4) {
+        transparentIndex = bytes[offset + 1] & 1 ? bytes[offset + 4] : -1;
+      }
+      offset = skipGifSubBlocks(bytes, offset);
+      continue;
+    }
+    if (block !== 0x2c) throw new Error('Invalid GIF block');
+
+    const frame = {
+      left: readWord(offset),
+      top: readWord(offset + 2),
+      width: readWord(offset + 4),
+      height: readWord(offset + 6),
+      interlaced: (bytes[offset + 8] & 0x40) !== 0
+    };
+    let table = globalTable;
+    offset += 9;
+    if (bytes[offset - 1] & 0x80) {
+      table = bytes.subarray(offset, offset + 3 * (2 << (bytes[offset - 1] & 7)));
+      offset += table.length;
+    }
+    if (!table) throw new Error('GIF colour table missing');
+
+    const minCodeSize = bytes[offset++];
+    const indices = decodeGifLzw(bytes, offset, minCodeSize, frame.width * frame.height);
+
+    const rows = getGifRowOrder(frame.height, frame.interlaced);
+    for (let i = 0; i < frame.height; i++) {
+      const y = frame.top + rows[i];
+      if (y >= surface.height) continue;
+      for (let x = 0; x < frame.width && frame.left + x < surface.width; x++) {
+        const index = indices[i * frame.width + x];
+        if (index === transparentIndex || index * 3 + 2 >= table.length) continue;
+        surface.pixels[y * surface.width + frame.left + x] =
+          packImagePixel(table[index * 3], table[index * 3 + 1], table[index * 3 + 2], 0xff);
+      }
+    }
+    break;
+  }
+  return surface;
+}
+
+/**
+ * Skip a sequence of GIF data sub-blocks
+ * @param {Uint8Array} bytes - File contents
+ * @param {number} offset - Offset of the first sub-block
+ * @returns {number} Offset after the terminating empty sub-block
+ */
+function skipGifSubBlocks(bytes, offset) {
+  while (offset < bytes.length && bytes[offset] !== 0) offset += bytes[offset] + 1;
+  return offset + 1;
+}
+
+/**
+ * Get which image row each stored row of a frame is
+ * @param {number} height - Frame height
+ * @param {boolean} interlaced - Whether rows are stored in four passes
+ * @returns {Array} Image row by stored row
+ */
+function getGifRowOrder(height, interlaced) {
+  const rows = [];
+  if (!interlaced) {
+    for (let y = 0; y < height; y++) rows.push(y);
+    return rows;
+  }
+  [[0, 8], [4, 8], [2, 4], [1, 2]].forEach(([start, step]) => {
+    for (let y = start; y < height; y += step) rows.push(y);
+  });
+  return rows;
+}
+
+/**
+ * Decompress GIF image data
+ * @param {Uint8Array} bytes - File contents
+ * @param {number} offset - Offset of the first data sub-block
+ * @param {number} minCodeSize - LZW minimum code size
+ * @param {number} count - Number of pixels expected
+ * @returns {Uint8Array} Colour indices
+ */
+function decodeGifLzw(bytes, offset, minCodeSize, count) {
+  const maxCodeSize = imageDecoderConstants.GIF_MAX_CODE_SIZE;
+  const output = new Uint8Array(count);
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+
+  // Each code is stored as its prefix code plus its last index
+  const prefixes = new Int16Array(1 << maxCodeSize);
+  const suffixes = new Uint8Array(1 << maxCodeSize);
+  const firsts = new Uint8Array(1 << maxCodeSize);
+  const lengths = new Uint16Array(1 << maxCodeSize);
+  for (let i = 0; i < clearCode; i++) {
+    suffixes[i] = i;
+    firsts[i] = i;
+    lengths[i] = 1;
+  }
+
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let previous = -1;
+  let bitBuffer = 0;
+  let bitCount = 0;
+  let blockLeft = 0;
+  let outPos = 0;
+
+  while (outPos < count) {
+    while (bitCount < codeSize) {
+      if (blockLeft === 0) {
+        blockLeft = bytes[offset++];
+        if (!blockLeft) return output;
+      }
+      bitBuffer |= bytes[offset++] << bitCount;
+      bitCount += 8;
+      blockLeft--;
+    }
+    const code = bitBuffer & ((1 << codeSize) - 1);
+    bitBuffer >>>= codeSize;
+    bitCount -= codeSize;
+
+    if (code === clearCode) {
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+      previous = -1;
+      continue;
+    }
+    if (code === endCode) break;
+
+    if (previous !== -1 && nextCode < (1 << maxCodeSize)) {
+      // The new code is the previous string plus the first index of this one
+      const known = code < nextCode;
+      prefixes[nextCode] = previous;
+      firsts[nextCode] = firsts[previous];
+      suffixes[nextCode] = known ? firsts[code] : firsts[previous];
+      lengths[nextCode] = lengths[previous] + 1;
+      nextCode++;
+      if (nextCode === (1 << codeSize) && codeSize < maxCodeSize) codeSize++;
+    } else if (code >= nextCode) {
+      throw new Error('Invalid GIF data');
+    }
+
+    // Write the string backwards from its last index
+    const length = lengths[code];
+    let entry = code;
+    for (let i = length - 1; i >= 0; i--) {
+      if (outPos + i < count) output[outPos + i] = suffixes[entry];
+      entry = prefixes[entry];
+    }
+    outPos += length;
+    previous = code;
+  }
+  return output;
+}
+
+// Export functions for use in other modules
+window.ImageDecoder = {
+  constants: imageDecoderConstants,
+  decode: decodeImage,
+  createSurface: createImageSurface
+};
@@ -0,0 +1,196 @@
+/**
+ * J2ME Loader for CloudFone
+ * JAD (Java Application Descriptor) support
+ *
+ * Parses .jad descriptors, locates the JAR they describe and merges the
+ * descriptor attributes over the manifest the way MIDP specifies.
+ */
+
+// Attributes that must be present in every JAD and must match the manifest
+const jadConstants = {
+  REQUIRED_ATTRIBUTES: ['MIDlet-Name', 'MIDlet-Version', 'MIDlet-Vendor', 'MIDlet-Jar-URL', 'MIDlet-Jar-Size'],
+  IDENTITY_ATTRIBUTES: ['MIDlet-Name', 'MIDlet-Version', 'MIDlet-Vendor']
+};
+
+/**
+ * Parse descriptor text
+ * @param {string} text - JAD contents
+ * @returns {Object} Attribute names mapped to values, in file order
+ */
+function parseJad(text) {
+  const attributes = {};
+  const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+
+  lines.forEach(line => {
+    // Unlike manifests, descriptors have no sections or continuation
+    // lines, so blank and malformed lines are simply skipped
+    const separator = line.indexOf(':');
+    if (separator <= 0) {
+      if (line.trim() !== '') {
+        console.warn(`Ignoring malformed JAD line: ${line}`);
+      }
+      return;
+    }
+
+    const name = line.substring(0, separator).trim();
+    attributes[name] = line.substring(separator + 1).trim();
+  });
+
+  return attributes;
+}
+
+/**
+ * Read and parse a JAD file
+ * @param {File} jadFile - Descriptor file
+ * @returns {Promise<Object>} Resolves with the parsed attributes
+ */
+function readJadFile(jadFile) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+
+    reader.onload = function() {
+      const attributes = parseJad(reader.result);
+
+      const missing = jadConstants.REQUIRED_ATTRIBUTES.filter(name =>
+        Manifest.getAttribute(attributes, name) === null);
+
+      if (missing.length > 0) {
+        reject(new Error(`JAD is missing required attributes: ${missing.join(', ')}`));
+        return;
+      }
+
+      resolve(attributes);
+    };
+
+    reader.onerror = function() {
+      console.error(`Failed to read JAD file: ${jadFile.name}`, reader.error);
+      reject(reader.error);
+    };
+
+    reader.readAsText(jadFile, 'UTF-8');
+  });
+}
+
+/**
+ * Get candidate JAR paths for a descriptor, most likely first
+ * @param {string} jadPath - Path of the JAD file
+ * @param {Object} attributes - Parsed JAD attributes
+ * @returns {Array<string>} Candidate storage paths
+ */
+function getJarCandidates(jadPath, attributes) {
+  const directory = jadPath.substring(0, jadPath.lastIndexOf('/') + 1);
+  const jarUrl = (Manifest.getAttribute(attributes, 'MIDlet-Jar-URL') || '').split(/[?#]/)[0];
+  const candidates = [];
+
+  if (/^[a-z][a-z0-9+.-]*:/i.test(jarUrl)) {
+    // Absolute URL from an OTA server; the JAR was downloaded next to the JAD
+    const filename = decodeJarUrlComponent(jarUrl.substring(jarUrl.lastIndexOf('/') + 1));
+    if (filename) {
+      candidates.push(directory + filename);
+    }
+  } else if (jarUrl) {
+    candidates.push(resolveJadRelativePath(directory, decodeJarUrlComponent(jarUrl)));
+  }
+
+  // Many archives ship game.jad next to game.jar regardless of the URL
+  candidates.push(jadPath.replace(/\.jad$/i, '.jar'));
+
+  return candidates.filter((path, index) => candidates.indexOf(path) === index);
+}
+
+/**
+ * Resolve a relative path against a directory
+ * @param {string} directory - Base directory ending with '/'
+ * @param {string} relativePath - Relative path using '/' separators
+ * @returns {string} Resolved path
+ */
+function resolveJadRelativePath(directory, relativePath) {
+  const parts = directory.split('/').slice(0, -1);
+
+  relativePath.split('/').forEach(part => {
+    if (part === '..') {
+      if (parts.length > 1) parts.pop();
+    } else if (part !== '.' && part !== '') {
+      parts.push(part);
+    }
+  });
+
+  return parts.join('/');
+}
+
+/**
+ * Decode percent-escapes in a JAR URL, keeping malformed input as is
+ * @param {string} value - URL component
+ * @returns {string} Decoded component
+ */
+function decodeJarUrlComponent(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Find the JAR a descriptor refers to
+ * @param {string} jadPath - Path of the JAD file
+ * @param {Object} attributes - Parsed JAD attributes
+ * @returns {Promise<File>} Resolves with the JAR file
+ */
+function locateJarForJad(jadPath, attributes) {
+  const candidates = getJarCandidates(jadPath, attributes);
+
+  // Try each candidate in turn until one exists
+  return candidates.reduce((promise, path) => {
+    return promise.catch(() => Storage.getFile(path));
+  }, Promise.reject(new Error('No candidates')))
+    .catch(() => {
+      throw new Error(`JAR not found for ${jadPath.split('/').pop()} (looked for ${candidates.join(', ')})`);
+    });
+}
+
+/**
+ * Check a JAR against its descriptor
+ * @param {Object} attributes - Parsed JAD attributes
+ * @param {File} jarFile - JAR file
+ * @param {Object} manifestAttributes - Parsed manifest attributes
+ */
+function validateJadForJar(attributes, jarFile, manifestAttributes) {
+  const declaredSize = parseInt(Manifest.getAttribute(attributes, 'MIDlet-Jar-Size'), 10);
+
+  if (isNaN(declaredSize)) {
+    throw new Error('JAD has an invalid MIDlet-Jar-Size');
+  }
+  if (declaredSize !== jarFile.size) {
+    throw new Error(`JAR size mismatch: JAD declares ${declaredSize} bytes but the JAR is ${jarFile.size} bytes`);
+  }
+
+  // MIDP requires the suite identity to agree between JAD and manifest
+  jadConstants.IDENTITY_ATTRIBUTES.forEach(name => {
+    const jadValue = Manifest.getAttribute(attributes, name);
+    const manifestValue = Manifest.getAttribute(manifestAttributes, name);
+
+    if (manifestValue !== null && jadValue !== manifestValue) {
+      throw new Error(`${name} differs between JAD (${jadValue}) and manifest (${manifestValue})`);
+    }
+  });
+}
+
+/**
+ * Merge descriptor attributes over manifest attributes
+ * @param {Object} manifestAttributes - Parsed manifest attributes
+ * @param {Object|null} jadAttributes - Parsed JAD attributes, if any
+ * @returns {Object} Merged attributes, JAD values taking precedence
+ */
+function mergeJadAttributes(manifestAttributes, jadAttributes) {
+  return Object.assign({}, manifestAttributes, jadAttributes || {});
+}
+
+// Export functions for use in other modules
+window.JadDescriptor = {
+  parse: parseJad,
+  read: readJadFile,
+  locateJar: locateJarForJad,
+  validate: validateJadForJar,
+  merge: mergeJadAttributes
+};
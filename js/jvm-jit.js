@@ -0,0 +1,857 @@
+/**
+ * J2ME Loader for CloudFone
+ * Bytecode to JavaScript compiler
+ *
+ * Translates the bytecode of hot methods into JavaScript functions that the
+ * interpreter calls in place of its own loop. Locals and operand stack
+ * slots become JS variables, so V8 can keep a game's inner loops in
+ * registers; the values themselves are represented exactly as in the
+ * interpreter.
+ *
+ * A compiled method only ever works on its own frame. Invocations,
+ * returns, monitors and anything that needs a class initialized are handed
+ * back to the interpreter for a single step, after which it re-enters the
+ * compiled code at the following instruction. Compiled code can therefore
+ * be entered at any branch target, handler or instruction following such a
+ * step, which is also how a running loop switches over to compiled code
+ * (on-stack replacement comes for free).
+ *
+ * Compiled functions take (frame, budget) and return the remaining budget
+ * when the interpreter should execute the instruction at frame.pc, or -1
+ * when the budget ran out on a backward branch and the thread should yield.
+ * Exceptions propagate to the interpreter with frame.pc pointing at the
+ * instruction that threw, so handlers and stack traces behave as if the
+ * method had been interpreted.
+ */
+
+// Compiler constants
+const jvmJitConstants = {
+  // Larger methods take long to translate and V8 won't optimize them anyway
+  MAX_CODE_LENGTH: 8000,
+
+  // Instruction lengths by opcode; 0 for variable-length and unsupported ones
+  LENGTHS: ('1'.repeat(16) + '2323322222' + '1'.repeat(28) + '22222' + '1'.repeat(73) + '3' +
+    '1'.repeat(20) + '3'.repeat(16) + '2' + '00' + '111111' + '3333333' + '50' +
+    '323113311043355').split('').map(Number)
+};
+
+// ---------------------------------------------------------------------------
+// Runtime helpers used by generated code
+// ---------------------------------------------------------------------------
+
+/**
+ * Load an array element
+ * @param {Object|null} array - Array
+ * @param {number} index - Index
+ * @returns {*} Element
+ */
+function jvmJitArrayLoad(array, index) {
+  if (array === null) JVM.throwNull();
+  if ((index >>> 0) >= array.length) JVM.throwArrayIndex(index);
+  return array[index];
+}
+
+/**
+ * Store a primitive array element
+ * @param {Object|null} array - Array
+ * @param {number} index - Index
+ * @param {*} value - Value
+ */
+function jvmJitArrayStore(array, index, value) {
+  if (array === null) JVM.throwNull();
+  if ((index >>> 0) >= array.length) JVM.throwArrayIndex(index);
+  array[index] = value;
+}
+
+/**
+ * Store a reference array element (aastore)
+ * @param {Object|null} array - Array
+ * @param {number} index - Index
+ * @param {Object|null} value - Reference
+ */
+function jvmJitReferenceStore(array, index, value) {
+  if (array === null) JVM.throwNull();
+  if ((index >>> 0) >= array.length) JVM.throwArrayIndex(index);
+  if (value !== null && !JVM.isAssignable(value.cls, JVM.getComponentClass(array.cls))) {
+    throw JVM.newThrowable('java/lang/ArrayStoreException', value.cls.name.replace(/\//g, '.'));
+  }
+  array[index] = value;
+}
+
+/**
+ * Get an array's length (arraylength)
+ * @param {Object|null} array - Array
+ * @returns {number} Length
+ */
+function jvmJitArrayLength(array) {
+  if (array === null) JVM.throwNull();
+  return array.length;
+}
+
+/**
+ * Check a reference for null (athrow)
+ * @param {Object|null} obj - Reference
+ * @returns {Object} The reference
+ */
+function jvmJitNonNull(obj) {
+  if (obj === null) JVM.throwNull();
+  return obj;
+}
+
+/**
+ * Read an instance field (getfield)
+ * @param {Object|null} obj - Object
+ * @param {Array<Object>} cp - Constant pool
+ * @param {number} index - Field reference index
+ * @returns {*} Field value
+ */
+function jvmJitGetField(obj, cp, index) {
+  const field = cp[index].resolved || JVM.resolveFieldRef(cp, index, false);
+  if (obj === null) JVM.throwNull();
+  return obj.fields[field.slot];
+}
+
+/**
+ * Write an instance field (putfield)
+ * @param {Object|null} obj - Object
+ * @param {Array<Object>} cp - Constant pool
+ * @param {number} index - Field reference index
+ * @param {*} value - New value
+ */
+function jvmJitPutField(obj, cp, index, value) {
+  const field = cp[index].resolved || JVM.resolveFieldRef(cp, index, false);
+  if (obj === null) JVM.throwNull();
+  obj.fields[field.slot] = value;
+}
+
+/**
+ * Allocate an object of an initialized class (new)
+ * @param {Object} cls - Runtime class
+ * @returns {Object} New object
+ */
+function jvmJitNewObject(cls) {
+  if (cls.isInterface || (cls.accessFlags & ClassFile.ACC.ABSTRACT)) {
+    throw JVM.newThrowable('java/lang/InstantiationError', cls.name.replace(/\//g, '.'));
+  }
+  return JVM.newObject(cls);
+}
+
+/**
+ * Check a cast (checkcast)
+ * @param {Object|null} obj - Reference
+ * @param {Array<Object>} cp - Constant pool
+ * @param {number} index - Class reference index
+ */
+function jvmJitCheckCast(obj, cp, index) {
+  if (obj === null) return;
+
+  const cls = JVM.resolveClassRef(cp, index);
+  if (!JVM.isAssignable(obj.cls, cls)) {
+    throw JVM.newThrowable('java/lang/ClassCastException',
+      `${obj.cls.name.replace(/\//g, '.')} cannot be cast to ${cls.name.replace(/\//g, '.')}`);
+  }
+}
+
+/**
+ * Test a reference's type (instanceof)
+ * @param {Object|null} obj - Reference
+ * @param {Array<Object>} cp - Constant pool
+ * @param {number} index - Class reference index
+ * @returns {number} 1 or 0
+ */
+function jvmJitInstanceOf(obj, cp, index) {
+  if (obj === null) return 0;
+  return JVM.isAssignable(obj.cls, JVM.resolveClassRef(cp, index)) ? 1 : 0;
+}
+
+/**
+ * Throw the ArithmeticException of an integer division by zero
+ */
+function jvmJitDivideByZero() {
+  throw JVM.newThrowable('java/lang/ArithmeticException', '/ by zero');
+}
+
+// Helpers handed to generated code
+const jvmJitRuntime = {
+  arrayLoad: jvmJitArrayLoad,
+  arrayStore: jvmJitArrayStore,
+  referenceStore: jvmJitReferenceStore,
+  arrayLength: jvmJitArrayLength,
+  nonNull: jvmJitNonNull,
+  getField: jvmJitGetField,
+  putField: jvmJitPutField,
+  newObject: jvmJitNewObject,
+  checkCast: jvmJitCheckCast,
+  instanceOf: jvmJitInstanceOf,
+  divideByZero: jvmJitDivideByZero
+};
+
+// ---------------------------------------------------------------------------
+// Decoding and analysis
+// ---------------------------------------------------------------------------
+
+/**
+ * Read a signed 32-bit big-endian value from bytecode
+ * @param {Uint8Array} code - Bytecode
+ * @param {number} pos - Offset
+ * @returns {number} Value
+ */
+function jvmJitReadInt(code, pos) {
+  return (code[pos] << 24) | (code[pos + 1] << 16) | (code[pos + 2] << 8) | code[pos + 3];
+}
+
+/**
+ * Split bytecode into instructions
+ * @param {Uint8Array} code - Bytecode
+ * @returns {Array<Object>|null} Instructions {pc, op, length, targets}, or null if the code can't be decoded
+ */
+function jvmJitDecode(code) {
+  const instructions = [];
+  let pc = 0;
+
+  while (pc < code.length) {
+    const op = code[pc];
+    const insn = { pc: pc, op: op, length: jvmJitConstants.LENGTHS[op] || 0, targets: null };
+
+    if ((op >= 0x99 && op <= 0xa7) || op === 0xc6 || op === 0xc7) {
+      insn.targets = [pc + ((((code[pc + 1] << 8) | code[pc + 2]) << 16) >> 16)];
+    } else if (op === 0xc8) {
+      insn.targets = [pc + jvmJitReadInt(code, pc + 1)];
+    } else if (op === 0xaa) {
+      // tableswitch: keys low..high, default target first
+      const base = (pc + 4) & ~3;
+      const low = jvmJitReadInt(code, base + 4);
+      const high = jvmJitReadInt(code, base + 8);
+      if (high < low) return null;
+      insn.keys = [];
+      insn.targets = [pc + jvmJitReadInt(code, base)];
+      for (let i = 0; i <= high - low; i++) {
+        insn.keys.push(low + i);
+        insn.targets.push(pc + jvmJitReadInt(code, base + 12 + i * 4));
+      }
+      insn.length = base + 12 + (high - low + 1) * 4 - pc;
+    } else if (op === 0xab) {
+      // lookupswitch
+      const base = (pc + 4) & ~3;
+      const pairs = jvmJitReadInt(code, base + 4);
+      if (pairs < 0) return null;
+      insn.keys = [];
+      insn.targets = [pc + jvmJitReadInt(code, base)];
+      for (let i = 0; i < pairs; i++) {
+        insn.keys.push(jvmJitReadInt(code, base + 8 + i * 8));
+        insn.targets.push(pc + jvmJitReadInt(code, base + 12 + i * 8));
+      }
+      insn.length = base + 8 + pairs * 8 - pc;
+    } else if (op === 0xc4) {
+      insn.length = code[pc + 1] === 0x84 ? 6 : 4;
+    }
+
+    if (insn.length === 0 || pc + insn.length > code.length) return null;
+    instructions.push(insn);
+    pc += insn.length;
+  }
+
+  return instructions;
+}
+
+/**
+ * Get the operand stack slots an instruction pops and pushes
+ * @param {Object} insn - Instruction
+ * @param {Uint8Array} code - Bytecode
+ * @param {Array<Object>} cp - Constant pool
+ * @returns {Array<number>|null} [pops, pushes], or null if the compiler doesn't support the instruction
+ */
+function jvmJitStackEffect(insn, code, cp) {
+  const op = insn.op;
+  const pc = insn.pc;
+  const wideType = descriptor => (descriptor === 'J' || descriptor === 'D') ? 2 : 1;
+
+  if (op <= 0x08 || (op >= 0x0b && op <= 0x0d) || op === 0x10 || op === 0x11) {
+    return op === 0x00 ? [0, 0] : [0, 1];
+  }
+  if (op >= 0x15 && op <= 0x2d) {
+    // Loads; lload/dload and their short forms push two slots
+    const wide = op === 0x16 || op === 0x18 || (op >= 0x1e && op <= 0x21) || (op >= 0x26 && op <= 0x29);
+    return [0, wide ? 2 : 1];
+  }
+  if (op >= 0x36 && op <= 0x4e) {
+    const wide = op === 0x37 || op === 0x39 || (op >= 0x3f && op <= 0x42) || (op >= 0x47 && op <= 0x4a);
+    return [wide ? 2 : 1, 0];
+  }
+  if (op >= 0x60 && op <= 0x77) {
+    // Arithmetic, in groups of i, l, f, d
+    const wide = (op & 1) === 1;
+    if (op >= 0x74) return wide ? [2, 2] : [1, 1];
+    return wide ? [4, 2] : [2, 1];
+  }
+  if (op >= 0x78 && op <= 0x7d) return (op & 1) ? [3, 2] : [2, 1];
+  if (op >= 0x7e && op <= 0x83) return (op & 1) ? [4, 2] : [2, 1];
+  if (op >= 0x99 && op <= 0x9e) return [1, 0];
+  if (op >= 0x9f && op <= 0xa6) return [2, 0];
+
+  switch (op) {
+    case 0x09: case 0x0a: case 0x0e: case 0x0f: return [0, 2];
+    case 0x12: case 0x13: {
+      const entry = cp[op === 0x12 ? code[pc + 1] : (code[pc + 1] << 8) | code[pc + 2]];
+      const tags = ClassFile.constants;
+      if (!entry || (entry.tag !== tags.CONSTANT_Integer && entry.tag !== tags.CONSTANT_Float &&
+          entry.tag !== tags.CONSTANT_String && entry.tag !== tags.CONSTANT_Class)) {
+        return null;
+      }
+      return [0, 1];
+    }
+    case 0x14: return [0, 2];
+    case 0x2e: case 0x30: case 0x32: case 0x33: case 0x34: case 0x35: return [2, 1];
+    case 0x2f: case 0x31: return [2, 2];
+    case 0x4f: case 0x51: case 0x53: case 0x54: case 0x55: case 0x56: return [3, 0];
+    case 0x50: case 0x52: return [4, 0];
+    case 0x57: return [1, 0];
+    case 0x58: return [2, 0];
+    case 0x59: return [1, 2];
+    case 0x5a: return [2, 3];
+    case 0x5b: return [3, 4];
+    case 0x5c: return [2, 4];
+    case 0x5d: return [3, 5];
+    case 0x5e: return [4, 6];
+    case 0x5f: return [2, 2];
+    case 0x84: return [0, 0];
+    case 0x85: case 0x8c: return [1, 2];
+    case 0x86: case 0x8b: case 0x91: case 0x92: case 0x93: return [1, 1];
+    case 0x87: case 0x8d: return [1, 2];
+    case 0x88: case 0x89: case 0x8e: case 0x90: return [2, 1];
+    case 0x8a: case 0x8f: return [2, 2];
+    case 0x94: return [4, 1];
+    case 0x95: case 0x96: return [2, 1];
+    case 0x97: case 0x98: return [4, 1];
+    case 0xa7: case 0xc8: return [0, 0];
+    case 0xaa: case 0xab: return [1, 0];
+    case 0xac: case 0xae: case 0xb0: return [1, 0];
+    case 0xad: case 0xaf: return [2, 0];
+    case 0xb1: return [0, 0];
+    case 0xb2: case 0xb3: case 0xb4: case 0xb5: {
+      const size = wideType(cp[(code[pc + 1] << 8) | code[pc + 2]].descriptor);
+      if (op === 0xb2) return [0, size];
+      if (op === 0xb3) return [size, 0];
+      if (op === 0xb4) return [1, size];
+      return [1 + size, 0];
+    }
+    case 0xb6: case 0xb7: case 0xb8: case 0xb9: {
+      const parsed = ClassFile.parseMethodDescriptor(cp[(code[pc + 1] << 8) | code[pc + 2]].descriptor);
+      if (!parsed) return null;
+      const pushes = parsed.returnType === 'V' ? 0 : wideType(parsed.returnType);
+      return [parsed.argSlots + (op === 0xb8 ? 0 : 1), pushes];
+    }
+    case 0xbb: return [0, 1];
+    case 0xbc:
+      return jvmConstants.PRIMITIVE_ARRAYS[code[pc + 1]] ? [1, 1] : null;
+    case 0xbd: case 0xbe: case 0xc0: case 0xc1: return [1, 1];
+    case 0xbf: case 0xc2: case 0xc3: return [1, 0];
+    case 0xc4: {
+      const wideOp = code[pc + 1];
+      if (wideOp === 0x84) return [0, 0];
+      if (wideOp === 0x15 || wideOp === 0x17 || wideOp === 0x19) return [0, 1];
+      if (wideOp === 0x16 || wideOp === 0x18) return [0, 2];
+      if (wideOp === 0x36 || wideOp === 0x38 || wideOp === 0x3a) return [1, 0];
+      if (wideOp === 0x37 || wideOp === 0x39) return [2, 0];
+      return null;
+    }
+    case 0xc5: return code[pc + 3] > 0 ? [code[pc + 3], 1] : null;
+    case 0xc6: case 0xc7: return [1, 0];
+    default:
+      // jsr, ret and anything unknown stay with the interpreter
+      return null;
+  }
+}
+
+/**
+ * Check whether control can continue to the next instruction
+ * @param {number} op - Opcode
+ * @returns {boolean} False for gotos, switches, returns and athrow
+ */
+function jvmJitFallsThrough(op) {
+  return op !== 0xa7 && op !== 0xc8 && op !== 0xaa && op !== 0xab && op !== 0xbf &&
+    !(op >= 0xac && op <= 0xb1);
+}
+
+/**
+ * Check whether the interpreter executes an instruction on compiled code's behalf
+ * @param {number} op - Opcode
+ * @returns {boolean} True for returns, invocations and monitors
+ */
+function jvmJitIsStep(op) {
+  return (op >= 0xac && op <= 0xb1) || (op >= 0xb6 && op <= 0xb9) || op === 0xc2 || op === 0xc3;
+}
+
+/**
+ * Compute the operand stack depth at every reachable instruction
+ * @param {Object} method - Method
+ * @param {Array<Object>} instructions - Decoded instructions
+ * @param {Map<number, Object>} byPc - Instructions by offset
+ * @returns {Map<number, number>|null} Depth by offset, or null if the code is unsuitable
+ */
+function jvmJitComputeDepths(method, instructions, byPc) {
+  const code = method.code.bytecode;
+  const cp = method.cls.constantPool;
+  const maxStack = method.code.maxStack;
+  const depths = new Map();
+  const work = [];
+
+  const reach = (pc, depth) => {
+    if (!byPc.has(pc)) return false;
+    const known = depths.get(pc);
+    if (known === undefined) {
+      depths.set(pc, depth);
+      work.push(pc);
+      return true;
+    }
+    return known === depth;
+  };
+
+  if (!reach(0, 0)) return null;
+  for (const handler of method.code.exceptionTable) {
+    if (!reach(handler.handlerPc, 1)) return null;
+  }
+
+  while (work.length > 0) {
+    const insn = byPc.get(work.pop());
+    const effect = jvmJitStackEffect(insn, code, cp);
+    if (!effect) return null;
+
+    const depth = depths.get(insn.pc);
+    if (effect[0] > depth) return null;
+    const after = depth - effect[0] + effect[1];
+    if (after > maxStack) return null;
+
+    if (jvmJitFallsThrough(insn.op) && !reach(insn.pc + insn.length, after)) return null;
+    if (insn.targets) {
+      for (const target of insn.targets) {
+        if (!reach(target, after)) return null;
+      }
+    }
+  }
+
+  return depths;
+}
+
+/**
+ * Find the locals a method assigns, which compiled code has to write back
+ * @param {Array<Object>} instructions - Decoded instructions
+ * @param {Uint8Array} code - Bytecode
+ * @returns {Array<number>} Local indexes in ascending order
+ */
+function jvmJitWrittenLocals(instructions, code) {
+  const written = new Set();
+
+  instructions.forEach(insn => {
+    const op = insn.op;
+    if ((op >= 0x36 && op <= 0x3a) || op === 0x84) {
+      written.add(code[insn.pc + 1]);
+    } else if (op >= 0x3b && op <= 0x4e) {
+      written.add((op - 0x3b) & 3);
+    } else if (op === 0xc4 && code[insn.pc + 1] !== 0x15 && code[insn.pc + 1] !== 0x16 &&
+        code[insn.pc + 1] !== 0x17 && code[insn.pc + 1] !== 0x18 && code[insn.pc + 1] !== 0x19) {
+      written.add((code[insn.pc + 2] << 8) | code[insn.pc + 3]);
+    }
+  });
+
+  return Array.from(written).sort((a, b) => a - b);
+}
+
+// ---------------------------------------------------------------------------
+// Code generation
+// ---------------------------------------------------------------------------
+
+/**
+ * Format a constant as a JS literal
+ * @param {number|bigint} value - Java int, float, long or double
+ * @returns {string} Source text
+ */
+function jvmJitLiteral(value) {
+  if (typeof value === 'bigint') return value < 0n ? `(${value}n)` : `${value}n`;
+  if (Object.is(value, -0)) return '(-0)';
+  return value < 0 ? `(${value})` : String(value);
+}
+
+/**
+ * Generate code that writes the JS variables back into the frame
+ * @param {Object} context - Compilation context
+ * @param {number} depth - Operand stack depth
+ * @returns {string} Source text
+ */
+function jvmJitSpill(context, depth) {
+  let source = context.spillLocals;
+  for (let i = 0; i < depth; i++) {
+    source += `stack[${i}] = s${i}; `;
+  }
+  return source;
+}
+
+/**
+ * Generate code that hands an instruction to the interpreter
+ * @param {Object} context - Compilation context
+ * @param {number} pc - Instruction offset
+ * @param {number} depth - Operand stack depth before the instruction
+ * @returns {string} Source text
+ */
+function jvmJitStepExit(context, pc, depth) {
+  return `{ ${jvmJitSpill(context, depth)}frame.pc = ${pc}; frame.sp = ${depth}; return budget; }`;
+}
+
+/**
+ * Generate a jump; backward jumps charge the loop to the budget and yield when it runs out
+ * @param {Object} context - Compilation context
+ * @param {number|string} target - Target offset, or 'pc' when a switch has already set it
+ * @param {number} depth - Operand stack depth at the target
+ * @param {number} cost - Instructions to charge, 0 for forward jumps
+ * @returns {string} Source text
+ */
+function jvmJitJump(context, target, depth, cost) {
+  const jump = target === 'pc' ? 'continue;' : `pc = ${target}; continue;`;
+  if (cost === 0) return jump;
+  return `if ((budget -= ${cost}) < 0) { ${jvmJitSpill(context, depth)}frame.pc = ${target}; frame.sp = ${depth}; return -1; } ${jump}`;
+}
+
+/**
+ * Count the instructions a backward branch repeats
+ * @param {Object} context - Compilation context
+ * @param {Object} insn - Branch instruction
+ * @param {Array<number>} targets - Branch targets
+ * @returns {number} Instruction count, 0 if every target is forward
+ */
+function jvmJitLoopCost(context, insn, targets) {
+  let first = insn.pc + 1;
+  targets.forEach(target => {
+    if (target <= insn.pc && target < first) first = target;
+  });
+  if (first > insn.pc) return 0;
+  return context.indexOf.get(insn.pc) - context.indexOf.get(first) + 1;
+}
+
+/**
+ * Translate one instruction
+ * @param {Object} context - Compilation context
+ * @param {Object} insn - Instruction
+ * @param {number} d - Operand stack depth before the instruction
+ * @returns {string} Source text
+ */
+function jvmJitTranslate(context, insn, d) {
+  const code = context.code;
+  const cp = context.cp;
+  const op = insn.op;
+  const pc = insn.pc;
+  const u2 = (code[pc + 1] << 8) | code[pc + 2];
+  const at = `at = ${pc}; `;
+  const branch = condition => {
+    const after = d - jvmJitStackEffect(insn, code, cp)[0];
+    const cost = jvmJitLoopCost(context, insn, insn.targets);
+    return `if (${condition}) { ${jvmJitJump(context, insn.targets[0], after, cost)} }`;
+  };
+
+  switch (op) {
+    case 0x00: return '';
+    case 0x01: return `s${d} = null;`;
+    case 0x02: case 0x03: case 0x04: case 0x05: case 0x06: case 0x07: case 0x08:
+      return `s${d} = ${jvmJitLiteral(op - 0x03)};`;
+    case 0x09: case 0x0a: return `s${d} = ${op - 0x09}n; s${d + 1} = null;`;
+    case 0x0b: case 0x0c: case 0x0d: return `s${d} = ${op - 0x0b};`;
+    case 0x0e: case 0x0f: return `s${d} = ${op - 0x0e}; s${d + 1} = null;`;
+    case 0x10: return `s${d} = ${jvmJitLiteral((code[pc + 1] << 24) >> 24)};`;
+    case 0x11: return `s${d} = ${jvmJitLiteral((u2 << 16) >> 16)};`;
+    case 0x12: case 0x13: {
+      const index = op === 0x12 ? code[pc + 1] : u2;
+      const entry = cp[index];
+      if (entry.tag === ClassFile.constants.CONSTANT_Integer) return `s${d} = ${jvmJitLiteral(entry.value)};`;
+      if (entry.tag === ClassFile.constants.CONSTANT_Float) return `s${d} = ${jvmJitLiteral(Math.fround(entry.value))};`;
+      return `${at}s${d} = resolveConstant(cp, ${index});`;
+    }
+    case 0x14: return `s${d} = ${jvmJitLiteral(cp[u2].value)}; s${d + 1} = null;`;
+
+    case 0x15: case 0x17: case 0x19: return `s${d} = l${code[pc + 1]};`;
+    case 0x16: case 0x18: return `s${d} = l${code[pc + 1]}; s${d + 1} = null;`;
+    case 0x1a: case 0x1b: case 0x1c: case 0x1d: return `s${d} = l${op - 0x1a};`;
+    case 0x1e: case 0x1f: case 0x20: case 0x21: return `s${d} = l${op - 0x1e}; s${d + 1} = null;`;
+    case 0x22: case 0x23: case 0x24: case 0x25: return `s${d} = l${op - 0x22};`;
+    case 0x26: case 0x27: case 0x28: case 0x29: return `s${d} = l${op - 0x26}; s${d + 1} = null;`;
+    case 0x2a: case 0x2b: case 0x2c: case 0x2d: return `s${d} = l${op - 0x2a};`;
+
+    case 0x2e: case 0x30: case 0x32: case 0x33: case 0x34: case 0x35:
+      return `${at}s${d - 2} = arrayLoad(s${d - 2}, s${d - 1});`;
+    case 0x2f: case 0x31:
+      return `${at}s${d - 2} = arrayLoad(s${d - 2}, s${d - 1}); s${d - 1} = null;`;
+
+    case 0x36: case 0x38: case 0x3a: return `l${code[pc + 1]} = s${d - 1};`;
+    case 0x37: case 0x39: return `l${code[pc + 1]} = s${d - 2};`;
+    case 0x3b: case 0x3c: case 0x3d: case 0x3e: return `l${op - 0x3b} = s${d - 1};`;
+    case 0x3f: case 0x40: case 0x41: case 0x42: return `l${op - 0x3f} = s${d - 2};`;
+    case 0x43: case 0x44: case 0x45: case 0x46: return `l${op - 0x43} = s${d - 1};`;
+    case 0x47: case 0x48: case 0x49: case 0x4a: return `l${op - 0x47} = s${d - 2};`;
+    case 0x4b: case 0x4c: case 0x4d: case 0x4e: return `l${op - 0x4b} = s${d - 1};`;
+
+    case 0x4f: case 0x51: case 0x54: case 0x55: case 0x56:
+      return `${at}arrayStore(s${d - 3}, s${d - 2}, s${d - 1});`;
+    case 0x50: case 0x52:
+      return `${at}arrayStore(s${d - 4}, s${d - 3}, s${d - 2});`;
+    case 0x53:
+      return `${at}referenceStore(s${d - 3}, s${d - 2}, s${d - 1});`;
+
+    case 0x57: case 0x58: return '';
+    case 0x59: return `s${d} = s${d - 1};`;
+    case 0x5a: return `s${d} = s${d - 1}; s${d - 1} = s${d - 2}; s${d - 2} = s${d};`;
+    case 0x5b: return `s${d} = s${d - 1}; s${d - 1} = s${d - 2}; s${d - 2} = s${d - 3}; s${d - 3} = s${d};`;
+    case 0x5c: return `s${d} = s${d - 2}; s${d + 1} = s${d - 1};`;
+    case 0x5d:
+      return `s${d + 1} = s${d - 1}; s${d} = s${d - 2}; s${d - 1} = s${d - 3}; s${d - 2} = s${d + 1}; s${d - 3} = s${d};`;
+    case 0x5e:
+      return `s${d + 1} = s${d - 1}; s${d} = s${d - 2}; s${d - 1} = s${d - 3}; s${d - 2} = s${d - 4}; ` +
+        `s${d - 3} = s${d + 1}; s${d - 4} = s${d};`;
+    case 0x5f: return `t = s${d - 1}; s${d - 1} = s${d - 2}; s${d - 2} = t;`;
+
+    // int arithmetic
+    case 0x60: return `s${d - 2} = (s${d - 2} + s${d - 1}) | 0;`;
+    case 0x64: return `s${d - 2} = (s${d - 2} - s${d - 1}) | 0;`;
+    case 0x68: return `s${d - 2} = Math.imul(s${d - 2}, s${d - 1});`;
+    case 0x6c: return `${at}if (s${d - 1} === 0) divideByZero(); s${d - 2} = (s${d - 2} / s${d - 1}) | 0;`;
+    case 0x70: return `${at}if (s${d - 1} === 0) divideByZero(); s${d - 2} = (s${d - 2} % s${d - 1}) | 0;`;
+    case 0x74: return `s${d - 1} = (-s${d - 1}) | 0;`;
+    case 0x78: return `s${d - 2} = s${d - 2} << s${d - 1};`;
+    case 0x7a: return `s${d - 2} = s${d - 2} >> s${d - 1};`;
+    case 0x7c: return `s${d - 2} = (s${d - 2} >>> s${d - 1}) | 0;`;
+    case 0x7e: return `s${d - 2} = s${d - 2} & s${d - 1};`;
+    case 0x80: return `s${d - 2} = s${d - 2} | s${d - 1};`;
+    case 0x82: return `s${d - 2} = s${d - 2} ^ s${d - 1};`;
+
+    // long arithmetic
+    case 0x61: return `s${d - 4} = BigInt.asIntN(64, s${d - 4} + s${d - 2});`;
+    case 0x65: return `s${d - 4} = BigInt.asIntN(64, s${d - 4} - s${d - 2});`;
+    case 0x69: return `s${d - 4} = BigInt.asIntN(64, s${d - 4} * s${d - 2});`;
+    case 0x6d: return `${at}if (s${d - 2} === 0n) divideByZero(); s${d - 4} = BigInt.asIntN(64, s${d - 4} / s${d - 2});`;
+    case 0x71: return `${at}if (s${d - 2} === 0n) divideByZero(); s${d - 4} = s${d - 4} % s${d - 2};`;
+    case 0x75: return `s${d - 2} = BigInt.asIntN(64, -s${d - 2});`;
+    case 0x79: return `s${d - 3} = BigInt.asIntN(64, s${d - 3} << BigInt(s${d - 1} & 63));`;
+    case 0x7b: return `s${d - 3} = s${d - 3} >> BigInt(s${d - 1} & 63);`;
+    case 0x7d: return `s${d - 3} = BigInt.asIntN(64, BigInt.asUintN(64, s${d - 3}) >> BigInt(s${d - 1} & 63));`;
+    case 0x7f: return `s${d - 4} = s${d - 4} & s${d - 2};`;
+    case 0x81: return `s${d - 4} = s${d - 4} | s${d - 2};`;
+    case 0x83: return `s${d - 4} = s${d - 4} ^ s${d - 2};`;
+
+    // float arithmetic
+    case 0x62: return `s${d - 2} = Math.fround(s${d - 2} + s${d - 1});`;
+    case 0x66: return `s${d - 2} = Math.fround(s${d - 2} - s${d - 1});`;
+    case 0x6a: return `s${d - 2} = Math.fround(s${d - 2} * s${d - 1});`;
+    case 0x6e: return `s${d - 2} = Math.fround(s${d - 2} / s${d - 1});`;
+    case 0x72: return `s${d - 2} = Math.fround(s${d - 2} % s${d - 1});`;
+    case 0x76: return `s${d - 1} = -s${d - 1};`;
+
+    // double arithmetic
+    case 0x63: return `s${d - 4} = s${d - 4} + s${d - 2};`;
+    case 0x67: return `s${d - 4} = s${d - 4} - s${d - 2};`;
+    case 0x6b: return `s${d - 4} = s${d - 4} * s${d - 2};`;
+    case 0x6f: return `s${d - 4} = s${d - 4} / s${d - 2};`;
+    case 0x73: return `s${d - 4} = s${d - 4} % s${d - 2};`;
+    case 0x77: return `s${d - 2} = -s${d - 2};`;
+
+    case 0x84: {
+      const local = `l${code[pc + 1]}`;
+      return `${local} = (${local} + ${jvmJitLiteral((code[pc + 2] << 24) >> 24)}) | 0;`;
+    }
+
+    // conversions
+    case 0x85: return `s${d - 1} = BigInt(s${d - 1}); s${d} = null;`;
+    case 0x86: return `s${d - 1} = Math.fround(s${d - 1});`;
+    case 0x87: case 0x8d: return `s${d} = null;`;
+    case 0x88: return `s${d - 2} = Number(BigInt.asIntN(32, s${d - 2}));`;
+    case 0x89: return `s${d - 2} = Math.fround(Number(s${d - 2}));`;
+    case 0x8a: return `s${d - 2} = Number(s${d - 2});`;
+    case 0x8b: return `s${d - 1} = doubleToInt(s${d - 1});`;
+    case 0x8c: return `s${d - 1} = doubleToLong(s${d - 1}); s${d} = null;`;
+    case 0x8e: return `s${d - 2} = doubleToInt(s${d - 2});`;
+    case 0x8f: return `s${d - 2} = doubleToLong(s${d - 2});`;
+    case 0x90: return `s${d - 2} = Math.fround(s${d - 2});`;
+    case 0x91: return `s${d - 1} = (s${d - 1} << 24) >> 24;`;
+    case 0x92: return `s${d - 1} = s${d - 1} & 0xffff;`;
+    case 0x93: return `s${d - 1} = (s${d - 1} << 16) >> 16;`;
+
+    // comparisons
+    case 0x94: return `s${d - 4} = s${d - 4} > s${d - 2} ? 1 : (s${d - 4} < s${d - 2} ? -1 : 0);`;
+    case 0x95: return `s${d - 2} = compareFloating(s${d - 2}, s${d - 1}, -1);`;
+    case 0x96: return `s${d - 2} = compareFloating(s${d - 2}, s${d - 1}, 1);`;
+    case 0x97: return `s${d - 4} = compareFloating(s${d - 4}, s${d - 2}, -1);`;
+    case 0x98: return `s${d - 4} = compareFloating(s${d - 4}, s${d - 2}, 1);`;
+
+    // branches
+    case 0x99: return branch(`s${d - 1} === 0`);
+    case 0x9a: return branch(`s${d - 1} !== 0`);
+    case 0x9b: return branch(`s${d - 1} < 0`);
+    case 0x9c: return branch(`s${d - 1} >= 0`);
+    case 0x9d: return branch(`s${d - 1} > 0`);
+    case 0x9e: return branch(`s${d - 1} <= 0`);
+    case 0x9f: case 0xa5: return branch(`s${d - 2} === s${d - 1}`);
+    case 0xa0: case 0xa6: return branch(`s${d - 2} !== s${d - 1}`);
+    case 0xa1: return branch(`s${d - 2} < s${d - 1}`);
+    case 0xa2: return branch(`s${d - 2} >= s${d - 1}`);
+    case 0xa3: return branch(`s${d - 2} > s${d - 1}`);
+    case 0xa4: return branch(`s${d - 2} <= s${d - 1}`);
+    case 0xc6: return branch(`s${d - 1} === null`);
+    case 0xc7: return branch(`s${d - 1} !== null`);
+    case 0xa7: case 0xc8:
+      return jvmJitJump(context, insn.targets[0], d, jvmJitLoopCost(context, insn, insn.targets));
+    case 0xaa: case 0xab: {
+      let cases = '';
+      insn.keys.forEach((key, i) => {
+        cases += `case ${jvmJitLiteral(key)}: pc = ${insn.targets[i + 1]}; break; `;
+      });
+      const cost = jvmJitLoopCost(context, insn, insn.targets);
+      return `switch (s${d - 1}) { ${cases}default: pc = ${insn.targets[0]}; } ` +
+        jvmJitJump(context, 'pc', d - 1, cost);
+    }
+
+    // fields; statics of classes that aren't initialized yet go through the interpreter
+    case 0xb2: {
+      const wide = jvmJitStackEffect(insn, code, cp)[1] === 2;
+      return `${at}t = cp[${u2}].resolved || resolveFieldRef(cp, ${u2}, true); ` +
+        `if (t.cls.state !== ${jvmConstants.INITIALIZED}) ${jvmJitStepExit(context, pc, d)} ` +
+        `s${d} = t.cls.staticValues[t.slot];${wide ? ` s${d + 1} = null;` : ''}`;
+    }
+    case 0xb3: {
+      const size = jvmJitStackEffect(insn, code, cp)[0];
+      return `${at}t = cp[${u2}].resolved || resolveFieldRef(cp, ${u2}, true); ` +
+        `if (t.cls.state !== ${jvmConstants.INITIALIZED}) ${jvmJitStepExit(context, pc, d)} ` +
+        `t.cls.staticValues[t.slot] = s${d - size};`;
+    }
+    case 0xb4: {
+      const wide = jvmJitStackEffect(insn, code, cp)[1] === 2;
+      return `${at}s${d - 1} = getField(s${d - 1}, cp, ${u2});${wide ? ` s${d} = null;` : ''}`;
+    }
+    case 0xb5: {
+      const size = jvmJitStackEffect(insn, code, cp)[0] - 1;
+      return `${at}putField(s${d - size - 1}, cp, ${u2}, s${d - size});`;
+    }
+
+    // objects
+    case 0xbb:
+      return `${at}t = resolveClassRef(cp, ${u2}); ` +
+        `if (t.state !== ${jvmConstants.INITIALIZED}) ${jvmJitStepExit(context, pc, d)} ` +
+        `s${d} = newObject(t);`;
+    case 0xbc:
+      return `${at}s${d - 1} = newArray(${JSON.stringify(jvmConstants.PRIMITIVE_ARRAYS[code[pc + 1]])}, s${d - 1});`;
+    case 0xbd: {
+      const name = cp[u2].name;
+      const descriptor = name.charAt(0) === '[' ? '[' + name : `[L${name};`;
+      return `${at}s${d - 1} = newArray(${JSON.stringify(descriptor)}, s${d - 1});`;
+    }
+    case 0xbe: return `${at}s${d - 1} = arrayLength(s${d - 1});`;
+    case 0xbf: return `${at}throw nonNull(s${d - 1});`;
+    case 0xc0: return `${at}checkCast(s${d - 1}, cp, ${u2});`;
+    case 0xc1: return `${at}s${d - 1} = instanceOf(s${d - 1}, cp, ${u2});`;
+
+    case 0xc4: {
+      const wideOp = code[pc + 1];
+      const index = (code[pc + 2] << 8) | code[pc + 3];
+      switch (wideOp) {
+        case 0x15: case 0x17: case 0x19: return `s${d} = l${index};`;
+        case 0x16: case 0x18: return `s${d} = l${index}; s${d + 1} = null;`;
+        case 0x36: case 0x38: case 0x3a: return `l${index} = s${d - 1};`;
+        case 0x37: case 0x39: return `l${index} = s${d - 2};`;
+        default: {
+          const local = `l${index}`;
+          return `${local} = (${local} + ${jvmJitLiteral((((code[pc + 4] << 8) | code[pc + 5]) << 16) >> 16)}) | 0;`;
+        }
+      }
+    }
+    case 0xc5: {
+      const dimensions = code[pc + 3];
+      const lengths = [];
+      for (let i = d - dimensions; i < d; i++) lengths.push(`s${i}`);
+      return `${at}s${d - dimensions} = newMultiArray(${JSON.stringify(cp[u2].name)}, [${lengths.join(', ')}]);`;
+    }
+
+    default:
+      // Returns, invocations and monitors
+      return jvmJitStepExit(context, pc, d);
+  }
+}
+
+/**
+ * Compile a method to a JavaScript function
+ * @param {Object} method - Linked method with code
+ * @returns {Function|null} Compiled function (frame, budget), or null if the method can't be compiled
+ */
+function jvmJitCompileMethod(method) {
+  const code = method.code;
+  if (!code || code.bytecode.length > jvmJitConstants.MAX_CODE_LENGTH) return null;
+
+  const instructions = jvmJitDecode(code.bytecode);
+  if (!instructions) return null;
+
+  const byPc = new Map();
+  const indexOf = new Map();
+  instructions.forEach((insn, i) => {
+    byPc.set(insn.pc, insn);
+    indexOf.set(insn.pc, i);
+  });
+
+  const depths = jvmJitComputeDepths(method, instructions, byPc);
+  if (!depths) return null;
+
+  // Places compiled code can be entered at
+  const leaders = new Set([0]);
+  code.exceptionTable.forEach(handler => leaders.add(handler.handlerPc));
+  instructions.forEach(insn => {
+    if (insn.targets) insn.targets.forEach(target => leaders.add(target));
+    if (jvmJitIsStep(insn.op) || insn.op === 0xb2 || insn.op === 0xb3 || insn.op === 0xbb) {
+      leaders.add(insn.pc + insn.length);
+    }
+  });
+
+  const context = {
+    code: code.bytecode,
+    cp: method.cls.constantPool,
+    indexOf: indexOf,
+    spillLocals: jvmJitWrittenLocals(instructions, code.bytecode)
+      .map(index => `locals[${index}] = l${index}; `).join('')
+  };
+
+  let body = '';
+  instructions.forEach(insn => {
+    if (!depths.has(insn.pc)) return;
+    if (leaders.has(insn.pc)) body += `        case ${insn.pc}:\n`;
+    body += `          ${jvmJitTranslate(context, insn, depths.get(insn.pc))}\n`;
+  });
+
+  const declare = (prefix, array, count) => {
+    const names = [];
+    for (let i = 0; i < count; i++) names.push(`${prefix}${i} = ${array}[${i}]`);
+    return names.length > 0 ? `  let ${names.join(', ')};\n` : '';
+  };
+
+  const source = `'use strict';
+const { arrayLoad, arrayStore, referenceStore, arrayLength, nonNull, getField, putField,
+  newObject, checkCast, instanceOf, divideByZero } = jit;
+const { resolveConstant, resolveFieldRef, resolveClassRef, newArray, newMultiArray,
+  compareFloating, doubleToInt, doubleToLong } = JVM;
+return function compiled(frame, budget) {
+  const locals = frame.locals;
+  const stack = frame.stack;
+${declare('l', 'locals', code.maxLocals)}${declare('s', 'stack', code.maxStack)}  let pc = frame.pc;
+  let at = pc;
+  let t;
+  try {
+    for (;;) {
+      switch (pc) {
+${body}        default:
+          return budget;
+      }
+    }
+  } catch (error) {
+    ${context.spillLocals}frame.pc = at;
+    throw error;
+  }
+};`;
+
+  return new Function('JVM', 'jit', 'cp', source)(JVM, jvmJitRuntime, method.cls.constantPool);
+}
+
+// Export functions for use in other modules
+window.JvmJit = {
+  compile: jvmJitCompileMethod
+};
@@ -0,0 +1,2908 @@
+/**
+ * J2ME Loader for CloudFone
+ * Java virtual machine
+ *
+ * Links classes parsed by ClassFile, models the Java heap (objects, arrays,
+ * strings, monitors) and interprets CLDC 1.1 bytecode. Library classes are
+ * written in JavaScript and registered with defineNativeClass; everything
+ * else is loaded from the MIDlet JAR. Hot methods are handed to the compiler
+ * passed to reset (JvmJit), if any, and run as JavaScript from then on.
+ *
+ * Values are represented as follows: int, short, byte, char and boolean are
+ * JS numbers holding int32 values, float is a number rounded with
+ * Math.fround, long is a BigInt wrapped to 64 bits, double is a number and
+ * references are objects or null. Longs and doubles take two slots in
+ * locals and on the operand stack, like in the class file model, so that
+ * dup2/pop2 and argument passing need no type information.
+ *
+ * This file must not touch the DOM; the VM is meant to run in a Worker.
+ */
+
+// VM constants
+const jvmConstants = {
+  MAX_FRAMES: 1024,
+  INSTRUCTION_BUDGET: 20000,
+  SLICE_MS: 12,
+
+  // Methods are compiled once invoked this often, or once they have used up
+  // this many turns without returning (a game's main loop)
+  JIT_INVOCATIONS: 100,
+  JIT_TURNS: 2,
+
+  // java.lang.Thread priorities; the budget of a turn scales with priority
+  MIN_PRIORITY: 1,
+  NORM_PRIORITY: 5,
+  MAX_PRIORITY: 10,
+
+  // Longer setTimeout delays overflow and fire at once
+  MAX_TIMER_MS: 0x7fffffff,
+
+  // Results of jvmExecute
+  DONE: 0,
+  YIELD: 1,
+  BLOCKED: 2,
+
+  // Class states
+  LINKED: 1,
+  INITIALIZING: 2,
+  INITIALIZED: 3,
+  FAILED: 4
+};
+
+// VM state
+const jvmState = {
+  classes: {},
+  nativeDefinitions: {},
+  classSource: null,
+  host: {},
+  heap: {
+    internedStrings: new Map(),
+    nextHashCode: 0x2a6f4e1
+  },
+  threads: [],
+  nextThreadId: 1,
+  currentThread: null,
+  runScheduled: false,
+  runIndex: 0,
+  objectClass: null,
+  stringClass: null,
+  classClass: null,
+  compiler: null
+};
+
+/**
+ * Register a class implemented in JavaScript
+ *
+ * Definitions look like:
+ *   {
+ *     name: 'java/lang/StringBuffer',
+ *     superName: 'java/lang/Object',      // default; null only for Object
+ *     interfaces: [],
+ *     accessFlags: ACC.PUBLIC | ACC.FINAL,
+ *     fields: [{ name: 'out', descriptor: 'Ljava/io/PrintStream;', isStatic: true }],
+ *     methods: { 'append(I)Ljava/lang/StringBuffer;': (thread, self, i) => ... },
+ *     staticMethods: { 'valueOf(I)Ljava/lang/String;': (thread, i) => ... },
+ *     initialize: (cls, thread) => ...    // static initializer
+ *   }
+ *
+ * A method mapped to null is abstract. Natives receive the current thread
+ * followed by the Java arguments (receiver first for instance methods), and
+ * return the Java result or a Promise of it to block the calling thread.
+ * @param {Object} definition - Class definition
+ */
+function jvmDefineNativeClass(definition) {
+  jvmState.nativeDefinitions[definition.name] = definition;
+}
+
+/**
+ * Reset the VM for a new MIDlet
+ * @param {Object} options - classSource(name) returning class bytes or null, host services and
+ *   optionally a compiler(method) returning a compiled function or null
+ */
+function jvmReset(options = {}) {
+  jvmState.threads.forEach(thread => {
+    if (thread.timer) clearTimeout(thread.timer);
+    thread.state = 'terminated';
+    thread.frames = [];
+    thread.callQueue = [];
+  });
+
+  jvmState.classes = {};
+  jvmState.classSource = options.classSource || null;
+  jvmState.host = options.host || {};
+  jvmState.compiler = options.compiler || null;
+  jvmState.heap = {
+    internedStrings: new Map(),
+    nextHashCode: 0x2a6f4e1
+  };
+  jvmState.threads = [];
+  jvmState.nextThreadId = 1;
+  jvmState.currentThread = null;
+  jvmState.runIndex = 0;
+  jvmState.objectClass = null;
+  jvmState.stringClass = null;
+  jvmState.classClass = null;
+}
+
+// ---------------------------------------------------------------------------
+// Class loading and linking
+// ---------------------------------------------------------------------------
+
+/**
+ * Load and link a class
+ * @param {string} name - Internal class name ("java/lang/String") or array descriptor ("[I")
+ * @returns {Object} Runtime class
+ */
+function jvmLoadClass(name) {
+  const loaded = jvmState.classes[name];
+  if (loaded) {
+    if (loaded.state === 0) {
+      throw jvmNewThrowable('java/lang/ClassCircularityError', name.replace(/\//g, '.'));
+    }
+    return loaded;
+  }
+
+  if (name.charAt(0) === '[') {
+    return jvmCreateArrayClass(name);
+  }
+
+  let cls;
+  const definition = jvmState.nativeDefinitions[name];
+  if (definition) {
+    cls = jvmCreateNativeClass(definition);
+  } else {
+    const bytes = jvmState.classSource ? jvmState.classSource(name) : null;
+    if (!bytes) {
+      throw jvmNewThrowable('java/lang/NoClassDefFoundError', name.replace(/\//g, '.'));
+    }
+
+    try {
+      cls = ClassFile.parse(bytes, name);
+    } catch (error) {
+      if (error.name === 'ClassFormatError') {
+        console.error(error.message);
+        throw jvmNewThrowable('java/lang/ClassFormatError', error.message);
+      }
+      throw error;
+    }
+  }
+
+  // State 0 marks a class whose superclasses are still being loaded
+  cls.state = 0;
+  jvmState.classes[name] = cls;
+
+  try {
+    jvmLinkClass(cls);
+  } catch (error) {
+    delete jvmState.classes[name];
+    throw error;
+  }
+
+  return cls;
+}
+
+/**
+ * Build an unlinked class from a native definition
+ * @param {Object} definition - Native class definition
+ * @returns {Object} Class in the same shape ClassFile.parse produces
+ */
+function jvmCreateNativeClass(definition) {
+  const isInterface = !!definition.isInterface;
+  const methods = [];
+
+  const addMethods = (table, isStatic) => {
+    Object.keys(table || {}).forEach(key => {
+      const paren = key.indexOf('(');
+      const name = key.substring(0, paren);
+      const descriptor = key.substring(paren);
+      const signature = ClassFile.parseMethodDescriptor(descriptor);
+      const impl = table[key];
+
+      if (!signature) {
+        throw new Error(`Bad native method descriptor ${definition.name}.${key}`);
+      }
+
+      methods.push({
+        name: name,
+        descriptor: descriptor,
+        accessFlags: ClassFile.ACC.PUBLIC | (isStatic ? ClassFile.ACC.STATIC : 0) |
+          (impl === null ? ClassFile.ACC.ABSTRACT : ClassFile.ACC.NATIVE),
+        isStatic: isStatic,
+        argTypes: signature.argTypes,
+        returnType: signature.returnType,
+        argSlots: signature.argSlots,
+        code: null,
+        nativeImpl: impl
+      });
+    });
+  };
+
+  addMethods(definition.methods, false);
+  addMethods(definition.staticMethods, true);
+
+  return {
+    name: definition.name,
+    superName: definition.superName !== undefined ? definition.superName
+      : (definition.name === 'java/lang/Object' ? null : 'java/lang/Object'),
+    interfaceNames: definition.interfaces || [],
+    accessFlags: definition.accessFlags !== undefined ? definition.accessFlags
+      : ClassFile.ACC.PUBLIC | (isInterface ? ClassFile.ACC.INTERFACE | ClassFile.ACC.ABSTRACT : 0),
+    constantPool: [],
+    fields: (definition.fields || []).map(field => ({
+      name: field.name,
+      descriptor: field.descriptor,
+      accessFlags: ClassFile.ACC.PUBLIC | (field.isStatic ? ClassFile.ACC.STATIC : 0),
+      isStatic: !!field.isStatic,
+      constantValue: field.value !== undefined ? field.value : null
+    })),
+    methods: methods,
+    sourceFile: null,
+    definition: definition
+  };
+}
+
+/**
+ * Create the class of an array type
+ * @param {string} descriptor - Array descriptor such as "[I" or "[[Ljava/lang/String;"
+ * @returns {Object} Runtime class
+ */
+function jvmCreateArrayClass(descriptor) {
+  if (!ClassFile.isValidFieldDescriptor(descriptor)) {
+    throw jvmNewThrowable('java/lang/NoClassDefFoundError', descriptor);
+  }
+
+  const objectClass = jvmGetObjectClass();
+  const cls = {
+    name: descriptor,
+    superName: 'java/lang/Object',
+    superClass: objectClass,
+    interfaces: [],
+    accessFlags: ClassFile.ACC.PUBLIC | ClassFile.ACC.FINAL | ClassFile.ACC.ABSTRACT,
+    isArray: true,
+    isInterface: false,
+    componentDescriptor: descriptor.substring(1),
+    componentClass: null,
+    constantPool: [],
+    methodTable: new Map(),
+    fieldMap: new Map(),
+    vtable: new Map(),
+    assignableCache: new Map(),
+    fieldDefaults: [],
+    instanceSlotCount: 0,
+    staticValues: [],
+    state: jvmConstants.INITIALIZED
+  };
+
+  jvmState.classes[descriptor] = cls;
+  return cls;
+}
+
+/**
+ * Link a class: resolve its supertypes and lay out fields and methods
+ * @param {Object} cls - Loaded class
+ */
+function jvmLinkClass(cls) {
+  const ACC = ClassFile.ACC;
+
+  cls.superClass = cls.superName ? jvmLoadClass(cls.superName) : null;
+  cls.interfaces = cls.interfaceNames.map(jvmLoadClass);
+  cls.isInterface = (cls.accessFlags & ACC.INTERFACE) !== 0;
+  cls.isArray = false;
+
+  if (cls.superClass && cls.superClass.isInterface) {
+    throw jvmNewThrowable('java/lang/IncompatibleClassChangeError', `${cls.name}: superclass ${cls.superName} is an interface`);
+  }
+  if (cls.superClass && (cls.superClass.accessFlags & ACC.FINAL)) {
+    throw jvmNewThrowable('java/lang/VerifyError', `${cls.name}: cannot inherit from final class ${cls.superName}`);
+  }
+  cls.interfaces.forEach(iface => {
+    if (!iface.isInterface) {
+      throw jvmNewThrowable('java/lang/IncompatibleClassChangeError', `${cls.name}: ${iface.name} is not an interface`);
+    }
+  });
+
+  // Instance fields extend the superclass layout; statics live on the class
+  let slot = cls.superClass ? cls.superClass.instanceSlotCount : 0;
+  cls.fieldDefaults = cls.superClass ? cls.superClass.fieldDefaults.slice() : [];
+  cls.fieldMap = new Map();
+  cls.staticValues = [];
+
+  cls.fields.forEach(field => {
+    const record = {
+      cls: cls,
+      name: field.name,
+      descriptor: field.descriptor,
+      isStatic: field.isStatic,
+      wide: field.descriptor === 'J' || field.descriptor === 'D',
+      constantValue: field.constantValue,
+      slot: 0
+    };
+
+    if (field.isStatic) {
+      record.slot = cls.staticValues.length;
+      cls.staticValues.push(jvmDefaultValue(field.descriptor));
+    } else {
+      record.slot = slot++;
+      cls.fieldDefaults.push(jvmDefaultValue(field.descriptor));
+    }
+
+    cls.fieldMap.set(`${field.name}:${field.descriptor}`, record);
+  });
+  cls.instanceSlotCount = slot;
+
+  cls.methodTable = new Map();
+  cls.methods.forEach(method => {
+    method.cls = cls;
+    method.key = method.name + method.descriptor;
+    method.isAbstract = (method.accessFlags & ACC.ABSTRACT) !== 0;
+    method.isSynchronized = (method.accessFlags & ACC.SYNCHRONIZED) !== 0 && !method.nativeImpl;
+    method.invocationCount = 0;
+    method.turnCount = 0;
+    method.compiled = null;
+    method.argOffsets = jvmComputeArgOffsets(method);
+
+    if (!method.code && !method.isAbstract && !method.nativeImpl) {
+      // A native method in MIDlet code; nothing can implement it
+      method.nativeImpl = () => {
+        throw jvmNewThrowable('java/lang/UnsatisfiedLinkError', `${cls.name.replace(/\//g, '.')}.${method.name}${method.descriptor}`);
+      };
+    }
+
+    cls.methodTable.set(method.key, method);
+  });
+
+  cls.vtable = new Map();
+  cls.assignableCache = new Map();
+  cls.classObject = null;
+  cls.initThread = null;
+  cls.state = jvmConstants.LINKED;
+}
+
+/**
+ * Compute where each argument of a method sits in its argument slots
+ * @param {Object} method - Method
+ * @returns {Array<number>} Slot offsets, receiver included
+ */
+function jvmComputeArgOffsets(method) {
+  const offsets = [];
+  let slot = 0;
+
+  if (!method.isStatic) {
+    offsets.push(slot++);
+  }
+  method.argTypes.forEach(type => {
+    offsets.push(slot);
+    slot += (type === 'J' || type === 'D') ? 2 : 1;
+  });
+
+  return offsets;
+}
+
+/**
+ * Get the default value of a field type
+ * @param {string} descriptor - Field descriptor
+ * @returns {*} Zero value
+ */
+function jvmDefaultValue(descriptor) {
+  switch (descriptor.charAt(0)) {
+    case 'J':
+      return 0n;
+    case 'L':
+    case '[':
+      return null;
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Get java/lang/Object
+ * @returns {Object} Runtime class
+ */
+function jvmGetObjectClass() {
+  return jvmState.objectClass || (jvmState.objectClass = jvmLoadClass('java/lang/Object'));
+}
+
+/**
+ * Run static initialization of a class if needed
+ *
+ * Class initializers are pushed as frames onto the thread; when this
+ * returns true the caller must stop and re-execute the instruction that
+ * triggered initialization once those frames have completed.
+ * @param {Object} thread - Current thread
+ * @param {Object} cls - Class to initialize
+ * @returns {boolean} True if frames were pushed (or the thread must wait)
+ */
+function jvmInitializeClass(thread, cls) {
+  if (cls.state === jvmConstants.INITIALIZED) return false;
+
+  if (cls.state === jvmConstants.INITIALIZING) {
+    if (cls.initThread === thread) return false;
+
+    // Another thread is running <clinit>; try again later
+    thread.yieldRequested = true;
+    return true;
+  }
+
+  if (cls.state === jvmConstants.FAILED) {
+    throw jvmNewThrowable('java/lang/NoClassDefFoundError', `Initialization of ${cls.name.replace(/\//g, '.')} failed earlier`);
+  }
+
+  // Superclasses are initialized first; come back once they are done
+  if (cls.superClass && cls.superClass.state !== jvmConstants.INITIALIZED) {
+    if (jvmInitializeClass(thread, cls.superClass)) return true;
+  }
+
+  cls.state = jvmConstants.INITIALIZING;
+  cls.initThread = thread;
+
+  try {
+    // static final constants come from ConstantValue attributes
+    cls.fieldMap.forEach(field => {
+      if (field.isStatic && field.constantValue !== null) {
+        cls.staticValues[field.slot] = typeof field.constantValue === 'string'
+          ? jvmInternString(field.constantValue)
+          : field.constantValue;
+      }
+    });
+
+    if (cls.definition && cls.definition.initialize) {
+      cls.definition.initialize(cls, thread);
+    }
+  } catch (error) {
+    cls.state = jvmConstants.FAILED;
+    throw error;
+  }
+
+  const clinit = cls.methodTable.get('<clinit>()V');
+  if (!clinit || !clinit.code) {
+    cls.state = jvmConstants.INITIALIZED;
+    cls.initThread = null;
+    return false;
+  }
+
+  const frame = jvmCreateFrame(clinit);
+  frame.onReturn = () => {
+    cls.state = jvmConstants.INITIALIZED;
+    cls.initThread = null;
+  };
+  frame.onThrow = throwable => {
+    cls.state = jvmConstants.FAILED;
+    cls.initThread = null;
+    if (jvmIsInstanceOf(throwable, jvmLoadClass('java/lang/Error'))) {
+      return throwable;
+    }
+    const error = jvmNewThrowable('java/lang/ExceptionInInitializerError', jvmDescribeThrowable(throwable));
+    error.cause = throwable;
+    return error;
+  };
+
+  jvmPushFrame(thread, frame);
+  return true;
+}
+
+// ---------------------------------------------------------------------------
+// Member resolution
+// ---------------------------------------------------------------------------
+
+/**
+ * Find a field by name and descriptor in a class and its supertypes
+ * @param {Object} cls - Class to search
+ * @param {string} name - Field name
+ * @param {string} descriptor - Field descriptor
+ * @returns {Object|null} Field record
+ */
+function jvmFindField(cls, name, descriptor) {
+  for (let current = cls; current; current = current.superClass) {
+    const field = current.fieldMap.get(`${name}:${descriptor}`);
+    if (field) return field;
+
+    for (let i = 0; i < current.interfaces.length; i++) {
+      const inherited = jvmFindField(current.interfaces[i], name, descriptor);
+      if (inherited) return inherited;
+    }
+  }
+  return null;
+}
+
+/**
+ * Find a method declared in a class, its superclasses or superinterfaces
+ * @param {Object} cls - Class to search
+ * @param {string} key - Name plus descriptor, e.g. "toString()Ljava/lang/String;"
+ * @returns {Object|null} Method
+ */
+function jvmFindMethod(cls, key) {
+  for (let current = cls; current; current = current.superClass) {
+    const method = current.methodTable.get(key);
+    if (method) return method;
+  }
+  return jvmFindInterfaceMethod(cls, key);
+}
+
+/**
+ * Find a method declared in the interfaces of a class
+ * @param {Object} cls - Class to search
+ * @param {string} key - Name plus descriptor
+ * @returns {Object|null} Method
+ */
+function jvmFindInterfaceMethod(cls, key) {
+  for (let current = cls; current; current = current.superClass) {
+    for (let i = 0; i < current.interfaces.length; i++) {
+      const iface = current.interfaces[i];
+      const method = iface.methodTable.get(key) || jvmFindInterfaceMethod(iface, key);
+      if (method) return method;
+    }
+  }
+  return null;
+}
+
+/**
+ * Select the implementation a virtual or interface call dispatches to
+ * @param {Object} cls - Runtime class of the receiver
+ * @param {string} key - Name plus descriptor
+ * @returns {Object} Method
+ */
+function jvmFindVirtualMethod(cls, key) {
+  let method = cls.vtable.get(key);
+  if (method) return method;
+
+  for (let current = cls; current && !method; current = current.superClass) {
+    const candidate = current.methodTable.get(key);
+    if (candidate && !candidate.isStatic) method = candidate;
+  }
+
+  if (!method || method.isAbstract) {
+    const declared = method || jvmFindInterfaceMethod(cls, key);
+    throw jvmNewThrowable(declared ? 'java/lang/AbstractMethodError' : 'java/lang/NoSuchMethodError',
+      `${cls.name.replace(/\//g, '.')}.${key}`);
+  }
+
+  cls.vtable.set(key, method);
+  return method;
+}
+
+/**
+ * Resolve a class constant
+ * @param {Array<Object>} cp - Constant pool
+ * @param {number} index - Constant index
+ * @returns {Object} Runtime class
+ */
+function jvmResolveClassRef(cp, index) {
+  const entry = cp[index];
+  return entry.resolved || (entry.resolved = jvmLoadClass(entry.name));
+}
+
+/**
+ * Resolve a field reference
+ * @param {Array<Object>} cp - Constant pool
+ * @param {number} index - Constant index
+ * @param {boolean} isStatic - True for getstatic/putstatic
+ * @returns {Object} Field record
+ */
+function jvmResolveFieldRef(cp, index, isStatic) {
+  const entry = cp[index];
+  if (entry.resolved) return entry.resolved;
+
+  const cls = jvmLoadClass(entry.className);
+  const field = jvmFindField(cls, entry.name, entry.descriptor);
+  if (!field) {
+    throw jvmNewThrowable('java/lang/NoSuchFieldError', `${entry.className.replace(/\//g, '.')}.${entry.name}`);
+  }
+  if (field.isStatic !== isStatic) {
+    throw jvmNewThrowable('java/lang/IncompatibleClassChangeError',
+      `Expected ${isStatic ? 'static' : 'instance'} field ${entry.className.replace(/\//g, '.')}.${entry.name}`);
+  }
+
+  entry.resolved = field;
+  return field;
+}
+
+/**
+ * Resolve a method reference for invokestatic or invokespecial
+ * @param {Array<Object>} cp - Constant pool
+ * @param {number} index - Constant index
+ * @returns {Object} Method
+ */
+function jvmResolveMethodRef(cp, index) {
+  const entry = cp[index];
+  if (entry.resolved) return entry.resolved;
+
+  const cls = jvmLoadClass(entry.className);
+  const method = jvmFindMethod(cls, entry.name + entry.descriptor);
+  if (!method) {
+    throw jvmNewThrowable('java/lang/NoSuchMethodError',
+      `${entry.className.replace(/\//g, '.')}.${entry.name}${entry.descriptor}`);
+  }
+
+  entry.resolved = method;
+  return method;
+}
+
+/**
+ * Prepare a method reference for virtual dispatch
+ * @param {Array<Object>} cp - Constant pool
+ * @param {number} index - Constant index
+ * @returns {Object} The constant with key and argSlots filled in
+ */
+function jvmResolveVirtualRef(cp, index) {
+  const entry = cp[index];
+  if (entry.key === undefined) {
+    entry.key = entry.name + entry.descriptor;
+    entry.argSlots = ClassFile.parseMethodDescriptor(entry.descriptor).argSlots;
+  }
+  return entry;
+}
+
+/**
+ * Resolve a constant for ldc/ldc_w/ldc2_w
+ * @param {Array<Object>} cp - Constant pool
+ * @param {number} index - Constant index
+ * @returns {*} Java value
+ */
+function jvmResolveConstant(cp, index) {
+  const entry = cp[index];
+
+  switch (entry.tag) {
+    case ClassFile.constants.CONSTANT_String:
+      return entry.resolved || (entry.resolved = jvmInternString(entry.value));
+    case ClassFile.constants.CONSTANT_Class:
+      return jvmGetClassObject(jvmResolveClassRef(cp, index));
+    case ClassFile.constants.CONSTANT_Float:
+      return Math.fround(entry.value);
+    default:
+      return entry.value;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Heap
+// ---------------------------------------------------------------------------
+
+/**
+ * Allocate an object
+ * @param {Object} cls - Runtime class (must be initialized by the caller)
+ * @returns {Object} New object
+ */
+function jvmNewObject(cls) {
+  return { cls: cls, fields: cls.fieldDefaults.slice(), monitor: null, hash: 0 };
+}
+
+/**
+ * Create a Java string
+ * @param {string} value - JS string
+ * @returns {Object} java.lang.String instance
+ */
+function jvmNewString(value) {
+  const cls = jvmState.stringClass || (jvmState.stringClass = jvmLoadClass('java/lang/String'));
+  return { cls: cls, fields: [], monitor: null, hash: 0, str: value };
+}
+
+/**
+ * Get the canonical Java string for a value, as String.intern does
+ * @param {string} value - JS string
+ * @returns {Object} java.lang.String instance
+ */
+function jvmInternString(value) {
+  const interned = jvmState.heap.internedStrings;
+  let string = interned.get(value);
+  if (!string) {
+    string = jvmNewString(value);
+    interned.set(value, string);
+  }
+  return string;
+}
+
+/**
+ * Convert a Java string to a JS string
+ * @param {Object|null} string - java.lang.String instance
+ * @returns {string|null} JS string or null
+ */
+function jvmToJsString(string) {
+  return string === null || string === undefined ? null : string.str;
+}
+
+/**
+ * Allocate an array
+ * @param {string} descriptor - Array descriptor such as "[I"
+ * @param {number} length - Number of elements
+ * @returns {Object} Typed array (primitives) or Array (references) tagged with its class
+ */
+function jvmNewArray(descriptor, length) {
+  if (length < 0) {
+    throw jvmNewThrowable('java/lang/NegativeArraySizeException', String(length));
+  }
+
+  const cls = jvmState.classes[descriptor] || jvmLoadClass(descriptor);
+  let array;
+
+  try {
+    switch (descriptor.charCodeAt(1)) {
+      case 90: // Z
+      case 66: // B
+        array = new Int8Array(length);
+        break;
+      case 67: // C
+        array = new Uint16Array(length);
+        break;
+      case 83: // S
+        array = new Int16Array(length);
+        break;
+      case 73: // I
+        array = new Int32Array(length);
+        break;
+      case 74: // J
+        array = new BigInt64Array(length);
+        break;
+      case 70: // F
+        array = new Float32Array(length);
+        break;
+      case 68: // D
+        array = new Float64Array(length);
+        break;
+      default:
+        array = new Array(length).fill(null);
+    }
+  } catch (error) {
+    throw jvmNewThrowable('java/lang/OutOfMemoryError', `Cannot allocate ${descriptor} of length ${length}`);
+  }
+
+  array.cls = cls;
+  return array;
+}
+
+/**
+ * Allocate a multi-dimensional array
+ * @param {string} descriptor - Array descriptor
+ * @param {Array<number>} lengths - Lengths of the leading dimensions
+ * @returns {Object} Array
+ */
+function jvmNewMultiArray(descriptor, lengths) {
+  lengths.forEach(length => {
+    if (length < 0) throw jvmNewThrowable('java/lang/NegativeArraySizeException', String(length));
+  });
+
+  const build = (desc, depth) => {
+    const array = jvmNewArray(desc, lengths[depth]);
+    if (depth + 1 < lengths.length) {
+      for (let i = 0; i < array.length; i++) {
+        array[i] = build(desc.substring(1), depth + 1);
+      }
+    }
+    return array;
+  };
+
+  return build(descriptor, 0);
+}
+
+/**
+ * Get the component class of a reference array class
+ * @param {Object} cls - Array class
+ * @returns {Object|null} Component class, null for primitive components
+ */
+function jvmGetComponentClass(cls) {
+  if (cls.componentClass) return cls.componentClass;
+
+  const component = cls.componentDescriptor;
+  if (component.charAt(0) === 'L') {
+    cls.componentClass = jvmLoadClass(component.substring(1, component.length - 1));
+  } else if (component.charAt(0) === '[') {
+    cls.componentClass = jvmLoadClass(component);
+  }
+  return cls.componentClass;
+}
+
+/**
+ * Get the identity hash code of an object
+ * @param {Object} obj - Java object
+ * @returns {number} Hash code
+ */
+function jvmIdentityHash(obj) {
+  if (!obj.hash) {
+    // xorshift keeps hashes well spread but deterministic across runs
+    let x = jvmState.heap.nextHashCode;
+    x ^= x << 13;
+    x ^= x >>> 17;
+    x ^= x << 5;
+    jvmState.heap.nextHashCode = x;
+    obj.hash = (x & 0x7fffffff) || 1;
+  }
+  return obj.hash;
+}
+
+/**
+ * Get the java.lang.Class object of a class
+ * @param {Object} cls - Runtime class
+ * @returns {Object} java.lang.Class instance
+ */
+function jvmGetClassObject(cls) {
+  if (!cls.classObject) {
+    const classClass = jvmState.classClass || (jvmState.classClass = jvmLoadClass('java/lang/Class'));
+    cls.classObject = jvmNewObject(classClass);
+    cls.classObject.runtimeClass = cls;
+  }
+  return cls.classObject;
+}
+
+/**
+ * Check whether values of one class can be assigned to another
+ * @param {Object} from - Source class
+ * @param {Object} to - Target class
+ * @returns {boolean} True if assignable
+ */
+function jvmIsAssignable(from, to) {
+  if (from === to || to === jvmState.objectClass) return true;
+
+  const cached = from.assignableCache.get(to.name);
+  if (cached !== undefined) return cached;
+
+  let result = false;
+  if (from.isArray) {
+    if (to.isArray) {
+      const fromComponent = from.componentDescriptor;
+      const toComponent = to.componentDescriptor;
+      if (fromComponent.length === 1 || toComponent.length === 1) {
+        result = fromComponent === toComponent;
+      } else {
+        result = jvmIsAssignable(jvmGetComponentClass(from), jvmGetComponentClass(to));
+      }
+    }
+  } else if (to.isInterface) {
+    result = jvmImplementsInterface(from, to);
+  } else {
+    for (let current = from.superClass; current; current = current.superClass) {
+      if (current === to) {
+        result = true;
+        break;
+      }
+    }
+  }
+
+  from.assignableCache.set(to.name, result);
+  return result;
+}
+
+/**
+ * Check whether a class implements an interface
+ * @param {Object} cls - Class
+ * @param {Object} iface - Interface
+ * @returns {boolean} True if implemented
+ */
+function jvmImplementsInterface(cls, iface) {
+  for (let current = cls; current; current = current.superClass) {
+    for (let i = 0; i < current.interfaces.length; i++) {
+      const candidate = current.interfaces[i];
+      if (candidate === iface || jvmImplementsInterface(candidate, iface)) return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * instanceof check
+ * @param {Object|null} obj - Java object
+ * @param {Object} cls - Class to test against
+ * @returns {boolean} True if obj is a non-null instance of cls
+ */
+function jvmIsInstanceOf(obj, cls) {
+  return obj !== null && obj !== undefined && jvmIsAssignable(obj.cls, cls);
+}
+
+/**
+ * Read a field of an object by name
+ * @param {Object} obj - Java object
+ * @param {string} name - Field name
+ * @param {string} descriptor - Field descriptor
+ * @returns {*} Field value
+ */
+function jvmGetField(obj, name, descriptor) {
+  return obj.fields[jvmFindField(obj.cls, name, descriptor).slot];
+}
+
+/**
+ * Write a field of an object by name
+ * @param {Object} obj - Java object
+ * @param {string} name - Field name
+ * @param {string} descriptor - Field descriptor
+ * @param {*} value - New value
+ */
+function jvmSetField(obj, name, descriptor, value) {
+  obj.fields[jvmFindField(obj.cls, name, descriptor).slot] = value;
+}
+
+/**
+ * Read a static field by name
+ * @param {Object} cls - Class declaring or inheriting the field
+ * @param {string} name - Field name
+ * @param {string} descriptor - Field descriptor
+ * @returns {*} Field value
+ */
+function jvmGetStatic(cls, name, descriptor) {
+  const field = jvmFindField(cls, name, descriptor);
+  return field.cls.staticValues[field.slot];
+}
+
+/**
+ * Write a static field by name
+ * @param {Object} cls - Class declaring or inheriting the field
+ * @param {string} name - Field name
+ * @param {string} descriptor - Field descriptor
+ * @param {*} value - New value
+ */
+function jvmSetStatic(cls, name, descriptor, value) {
+  const field = jvmFindField(cls, name, descriptor);
+  field.cls.staticValues[field.slot] = value;
+}
+
+// ---------------------------------------------------------------------------
+// Monitors
+// ---------------------------------------------------------------------------
+
+/**
+ * Try to acquire the monitor of an object
+ * @param {Object} thread - Current thread
+ * @param {Object} obj - Java object
+ * @returns {boolean} True if acquired; false if another thread owns it
+ */
+function jvmMonitorEnter(thread, obj) {
+  const monitor = obj.monitor;
+
+  if (!monitor) {
+    obj.monitor = { owner: thread, count: 1, entrants: [], waiters: [] };
+    return true;
+  }
+  if (monitor.owner === null) {
+    monitor.owner = thread;
+    monitor.count = 1;
+    return true;
+  }
+  if (monitor.owner === thread) {
+    monitor.count++;
+    return true;
+  }
+
+  monitor.entrants.push(thread);
+  jvmBlockThread(thread, 'monitor');
+  return false;
+}
+
+/**
+ * Release the monitor of an object
+ * @param {Object} thread - Current thread
+ * @param {Object} obj - Java object
+ */
+function jvmMonitorExit(thread, obj) {
+  const monitor = obj.monitor;
+  if (!monitor || monitor.owner !== thread) {
+    throw jvmNewThrowable('java/lang/IllegalMonitorStateException', null);
+  }
+
+  if (--monitor.count === 0) {
+    monitor.owner = null;
+
+    // Let blocked threads race for the monitor again
+    const entrants = monitor.entrants;
+    monitor.entrants = [];
+    entrants.forEach(jvmWakeThread);
+  }
+}
+
+/**
+ * Object.wait: release the monitor and park until notified
+ *
+ * The monitor is taken back by jvmRunThread before the thread continues,
+ * so the waiter may block again as an ordinary entrant.
+ * @param {Object} thread - Current thread
+ * @param {Object} obj - Java object
+ * @param {number} timeout - Milliseconds to wait; 0 waits forever
+ */
+function jvmMonitorWait(thread, obj, timeout) {
+  const monitor = obj.monitor;
+  if (!monitor || monitor.owner !== thread) {
+    throw jvmNewThrowable('java/lang/IllegalMonitorStateException', null);
+  }
+  if (thread.interrupted) {
+    thread.interrupted = false;
+    throw jvmNewThrowable('java/lang/InterruptedException', null);
+  }
+
+  thread.pendingMonitor = { obj: obj, count: monitor.count };
+  thread.waitingOn = monitor;
+  monitor.waiters.push(thread);
+
+  monitor.count = 1;
+  jvmMonitorExit(thread, obj);
+  jvmBlockThread(thread, 'wait');
+
+  if (timeout > 0) {
+    thread.timer = setTimeout(() => jvmResumeWaiter(thread), Math.min(timeout, jvmConstants.MAX_TIMER_MS));
+  }
+}
+
+/**
+ * Object.notify and Object.notifyAll
+ * @param {Object} thread - Current thread
+ * @param {Object} obj - Java object
+ * @param {boolean} all - Wake every waiter rather than the longest waiting one
+ */
+function jvmMonitorNotify(thread, obj, all) {
+  const monitor = obj.monitor;
+  if (!monitor || monitor.owner !== thread) {
+    throw jvmNewThrowable('java/lang/IllegalMonitorStateException', null);
+  }
+
+  const waiters = all ? monitor.waiters.slice() : monitor.waiters.slice(0, 1);
+  waiters.forEach(waiter => jvmResumeWaiter(waiter));
+}
+
+/**
+ * Take a thread out of a monitor's wait set and let it run again
+ * @param {Object} thread - Waiting thread
+ * @param {Object} [throwable] - Exception to raise once the monitor is reacquired
+ */
+function jvmResumeWaiter(thread, throwable) {
+  const monitor = thread.waitingOn;
+  if (!monitor) return;
+
+  monitor.waiters.splice(monitor.waiters.indexOf(thread), 1);
+  thread.waitingOn = null;
+  if (thread.timer) {
+    clearTimeout(thread.timer);
+    thread.timer = null;
+  }
+  if (throwable) thread.pendingException = throwable;
+  jvmWakeThread(thread);
+}
+
+// ---------------------------------------------------------------------------
+// Exceptions
+// ---------------------------------------------------------------------------
+
+/**
+ * Create a throwable from JavaScript
+ * @param {string} className - Throwable class name
+ * @param {string|null} message - Detail message
+ * @returns {Object} Java throwable, ready to be thrown
+ */
+function jvmNewThrowable(className, message) {
+  const cls = jvmLoadClass(className);
+  if (cls.state !== jvmConstants.INITIALIZED && cls.definition) {
+    // Library throwables have no <clinit> frames to run
+    jvmInitializeClass(jvmState.currentThread, cls);
+  }
+
+  const throwable = jvmNewObject(cls);
+  throwable.detailMessage = message === null || message === undefined ? null : jvmNewString(String(message));
+  throwable.stackTrace = jvmCaptureStackTrace(jvmState.currentThread);
+  return throwable;
+}
+
+/**
+ * Convert anything thrown inside the VM into a Java throwable
+ * @param {*} error - Java throwable or JS error
+ * @returns {Object} Java throwable
+ */
+function jvmToThrowable(error) {
+  if (error && error.cls) return error;
+
+  if (error instanceof RangeError && /call stack/i.test(error.message)) {
+    return jvmNewThrowable('java/lang/StackOverflowError', null);
+  }
+  if (error instanceof RangeError && /allocation|array length|buffer/i.test(error.message)) {
+    return jvmNewThrowable('java/lang/OutOfMemoryError', error.message);
+  }
+
+  console.error('Internal VM error', error);
+  return jvmNewThrowable('java/lang/Error', `Internal error: ${error && error.message ? error.message : error}`);
+}
+
+/**
+ * Capture the Java stack of a thread
+ * @param {Object|null} thread - Thread
+ * @returns {Array<string>} Stack trace lines, innermost first
+ */
+function jvmCaptureStackTrace(thread) {
+  if (!thread) return [];
+
+  const lines = [];
+  for (let i = thread.frames.length - 1; i >= 0; i--) {
+    const frame = thread.frames[i];
+    if (!frame.method) continue;
+
+    const method = frame.method;
+    const location = method.nativeImpl ? 'Native Method'
+      : `${method.cls.sourceFile || 'Unknown Source'}${jvmGetLineNumber(method, frame.pc)}`;
+    lines.push(`${method.cls.name.replace(/\//g, '.')}.${method.name}(${location})`);
+  }
+  return lines;
+}
+
+/**
+ * Find the source line of a bytecode offset
+ * @param {Object} method - Method
+ * @param {number} pc - Bytecode offset
+ * @returns {string} ":line" or an empty string
+ */
+function jvmGetLineNumber(method, pc) {
+  const lineNumbers = method.code && method.code.lineNumbers;
+  if (!lineNumbers) return '';
+
+  let line = -1;
+  lineNumbers.forEach(entry => {
+    if (entry.startPc <= pc) line = entry.line;
+  });
+  return line >= 0 ? `:${line}` : '';
+}
+
+/**
+ * Describe a throwable as Throwable.toString would
+ * @param {Object} throwable - Java throwable
+ * @returns {string} Class name and message
+ */
+function jvmDescribeThrowable(throwable) {
+  const name = throwable.cls.name.replace(/\//g, '.');
+  const message = jvmToJsString(throwable.detailMessage || null);
+  return message === null ? name : `${name}: ${message}`;
+}
+
+/**
+ * Print a throwable and its stack trace to the console
+ * @param {Object} throwable - Java throwable
+ * @param {string} [prefix] - Text printed before the description
+ */
+function jvmPrintStackTrace(throwable, prefix = '') {
+  const lines = [prefix + jvmDescribeThrowable(throwable)];
+  (throwable.stackTrace || []).forEach(line => lines.push(`\tat ${line}`));
+  if (throwable.cause) {
+    lines.push('Caused by: ' + jvmDescribeThrowable(throwable.cause));
+  }
+  console.error(lines.join('\n'));
+}
+
+/**
+ * Find an exception handler in a frame
+ * @param {Object} frame - Frame
+ * @param {Object} throwable - Java throwable
+ * @returns {number} Handler offset or -1
+ */
+function jvmFindHandler(frame, throwable) {
+  const table = frame.method.code.exceptionTable;
+  const pc = frame.pc;
+
+  for (let i = 0; i < table.length; i++) {
+    const handler = table[i];
+    if (pc < handler.startPc || pc >= handler.endPc) continue;
+    if (handler.catchType === null) return handler.handlerPc;
+
+    if (!handler.catchClass) {
+      try {
+        handler.catchClass = jvmLoadClass(handler.catchType);
+      } catch (error) {
+        console.warn(`Cannot load catch type ${handler.catchType}`);
+        continue;
+      }
+    }
+    if (jvmIsAssignable(throwable.cls, handler.catchClass)) return handler.handlerPc;
+  }
+
+  return -1;
+}
+
+/**
+ * Unwind a thread's frames until a handler catches the throwable
+ * @param {Object} thread - Thread
+ * @param {Object} throwable - Java throwable
+ * @param {number} stopDepth - Frames at or below this depth are left alone
+ * @returns {boolean} True if a handler was found and the thread can continue
+ */
+function jvmDispatchException(thread, throwable, stopDepth) {
+  const frames = thread.frames;
+
+  while (frames.length > stopDepth) {
+    const frame = frames[frames.length - 1];
+
+    if (frame.method.code) {
+      const handlerPc = jvmFindHandler(frame, throwable);
+      if (handlerPc >= 0) {
+        frame.stack[0] = throwable;
+        frame.sp = 1;
+        frame.pc = handlerPc;
+        frame.resumeAdvance = 0;
+        return true;
+      }
+    }
+
+    frames.pop();
+    if (frame.monitor) {
+      try {
+        jvmMonitorExit(thread, frame.monitor);
+      } catch (error) {
+        // The monitor was already released by monitorexit
+      }
+    }
+
+    if (frame.onThrow) {
+      throwable = frame.onThrow(throwable);
+      if (!throwable) return frames.length > stopDepth;
+    }
+  }
+
+  if (stopDepth === 0 && throwable) {
+    jvmPrintStackTrace(throwable, `Uncaught exception in thread "${thread.name}": `);
+  }
+  return false;
+}
+
+// ---------------------------------------------------------------------------
+// Frames and invocation
+// ---------------------------------------------------------------------------
+
+/**
+ * Create an interpreter frame for a bytecode method
+ * @param {Object} method - Method with code
+ * @returns {Object} Frame
+ */
+function jvmCreateFrame(method) {
+  const code = method.code;
+  if (++method.invocationCount === jvmConstants.JIT_INVOCATIONS) jvmCompileMethod(method);
+
+  return {
+    method: method,
+    cls: method.cls,
+    code: code.bytecode,
+    cp: method.cls.constantPool,
+    pc: 0,
+    locals: new Array(code.maxLocals),
+    stack: new Array(code.maxStack),
+    sp: 0,
+    resumeAdvance: 0,
+    monitor: null,
+    onReturn: null,
+    onThrow: null
+  };
+}
+
+/**
+ * Push a frame, guarding against runaway recursion
+ * @param {Object} thread - Thread
+ * @param {Object} frame - Frame
+ */
+function jvmPushFrame(thread, frame) {
+  if (thread.frames.length >= jvmConstants.MAX_FRAMES) {
+    throw jvmNewThrowable('java/lang/StackOverflowError', null);
+  }
+  thread.frames.push(frame);
+}
+
+/**
+ * Collect the arguments of a native call from an operand stack
+ * @param {Object} thread - Current thread
+ * @param {Object} method - Native method
+ * @param {Array} stack - Operand stack
+ * @param {number} base - Index of the first argument slot
+ * @returns {Array} Thread followed by the Java arguments
+ */
+function jvmCollectNativeArgs(thread, method, stack, base) {
+  const offsets = method.argOffsets;
+  const args = new Array(offsets.length + 1);
+  args[0] = thread;
+  for (let i = 0; i < offsets.length; i++) {
+    args[i + 1] = stack[base + offsets[i]];
+  }
+  return args;
+}
+
+/**
+ * Push a return value onto an operand stack
+ * @param {Object} frame - Frame receiving the value
+ * @param {string} returnType - Return type descriptor
+ * @param {*} value - Value
+ */
+function jvmPushReturnValue(frame, returnType, value) {
+  switch (returnType) {
+    case 'V':
+      return;
+    case 'Z':
+      frame.stack[frame.sp++] = value ? 1 : 0;
+      return;
+    case 'J':
+    case 'D':
+      frame.stack[frame.sp++] = value;
+      frame.stack[frame.sp++] = null;
+      return;
+    default:
+      frame.stack[frame.sp++] = value === undefined ? null : value;
+  }
+}
+
+/**
+ * Suspend a thread until a native's promise settles
+ * @param {Object} thread - Thread
+ * @param {Object} frame - Frame that made the call, with pc/resumeAdvance saved
+ * @param {Object} method - Native method
+ * @param {Promise} promise - Pending result
+ */
+function jvmAwaitNative(thread, frame, method, promise) {
+  jvmBlockThread(thread, 'native');
+
+  promise.then(value => {
+    if (thread.state === 'terminated') return;
+    jvmPushReturnValue(frame, method.returnType, value);
+    frame.pc += frame.resumeAdvance;
+    frame.resumeAdvance = 0;
+    jvmWakeThread(thread);
+  }, error => {
+    if (thread.state === 'terminated') return;
+    thread.pendingException = jvmToThrowable(error);
+    jvmWakeThread(thread);
+  });
+}
+
+/**
+ * Invoke a method synchronously from native code and return its result
+ *
+ * Runs a nested interpreter loop on the current thread. The callee must not
+ * block; library code only uses this for short callbacks such as
+ * toString, equals and hashCode.
+ * @param {Object} thread - Current thread
+ * @param {Object} method - Method to invoke
+ * @param {Array} args - Java arguments, receiver first for instance methods
+ * @returns {*} Return value
+ */
+function jvmInvokeNested(thread, method, args) {
+  if (method.nativeImpl) {
+    const result = method.nativeImpl.apply(null, [thread].concat(args));
+    if (result instanceof Promise) {
+      throw jvmNewThrowable('java/lang/Error', `Blocking call to ${method.name} from a callback`);
+    }
+    return result;
+  }
+
+  if (method.isStatic && method.cls.state !== jvmConstants.INITIALIZED) {
+    jvmInitializeNested(thread, method.cls);
+  }
+
+  const stopDepth = thread.frames.length;
+  const frame = jvmCreateFrame(method);
+  jvmStoreArgs(frame, method, args);
+
+  let result;
+  let thrown = null;
+  frame.onReturn = value => {
+    result = value;
+  };
+  frame.onThrow = throwable => {
+    thrown = throwable;
+    return null;
+  };
+
+  if (method.isSynchronized && !jvmMonitorEnter(thread, jvmGetSyncTarget(method, args[0]))) {
+    throw jvmNewThrowable('java/lang/Error', `Monitor contention in callback ${method.name}`);
+  }
+  if (method.isSynchronized) {
+    frame.monitor = jvmGetSyncTarget(method, args[0]);
+  }
+
+  jvmPushFrame(thread, frame);
+  const status = jvmExecute(thread, Infinity, stopDepth);
+
+  if (status !== jvmConstants.DONE) {
+    thread.frames.length = stopDepth;
+    thread.state = 'runnable';
+    throw jvmNewThrowable('java/lang/Error', `Callback ${method.name} tried to block`);
+  }
+  if (thrown) throw thrown;
+  return result;
+}
+
+/**
+ * Initialize a class from native code, running <clinit> to completion
+ * @param {Object} thread - Current thread
+ * @param {Object} cls - Class to initialize
+ */
+function jvmInitializeNested(thread, cls) {
+  const stopDepth = thread.frames.length;
+
+  while (cls.state !== jvmConstants.INITIALIZED) {
+    if (!jvmInitializeClass(thread, cls)) break;
+    if (thread.frames.length === stopDepth) {
+      // Another thread owns the initialization
+      thread.yieldRequested = false;
+      throw jvmNewThrowable('java/lang/Error', `Class ${cls.name} is being initialized by another thread`);
+    }
+
+    const status = jvmExecute(thread, Infinity, stopDepth);
+    if (status !== jvmConstants.DONE) {
+      thread.frames.length = stopDepth;
+      throw jvmNewThrowable('java/lang/Error', `Initializer of ${cls.name} tried to block`);
+    }
+    if (cls.state === jvmConstants.FAILED) {
+      throw jvmNewThrowable('java/lang/NoClassDefFoundError', cls.name.replace(/\//g, '.'));
+    }
+  }
+}
+
+/**
+ * Call a virtual method synchronously from native code
+ * @param {Object} thread - Current thread
+ * @param {Object} obj - Receiver
+ * @param {string} key - Name plus descriptor
+ * @param {Array} [args] - Further arguments
+ * @returns {*} Return value
+ */
+function jvmCallVirtual(thread, obj, key, args = []) {
+  if (obj === null || obj === undefined) {
+    throw jvmNewThrowable('java/lang/NullPointerException', null);
+  }
+  return jvmInvokeNested(thread, jvmFindVirtualMethod(obj.cls, key), [obj].concat(args));
+}
+
+/**
+ * Copy Java arguments into the locals of a new frame
+ * @param {Object} frame - Frame
+ * @param {Object} method - Method
+ * @param {Array} args - Java arguments, receiver first for instance methods
+ */
+function jvmStoreArgs(frame, method, args) {
+  const offsets = method.argOffsets;
+  for (let i = 0; i < offsets.length; i++) {
+    frame.locals[offsets[i]] = args[i];
+  }
+}
+
+/**
+ * Get the object a synchronized method locks
+ * @param {Object} method - Method
+ * @param {Object} receiver - Receiver for instance methods
+ * @returns {Object} Object owning the monitor
+ */
+function jvmGetSyncTarget(method, receiver) {
+  return method.isStatic ? jvmGetClassObject(method.cls) : receiver;
+}
+
+// ---------------------------------------------------------------------------
+// Threads
+// ---------------------------------------------------------------------------
+
+/**
+ * Create a VM thread
+ * @param {string} name - Thread name for diagnostics
+ * @returns {Object} Thread
+ */
+function jvmCreateThread(name) {
+  const thread = {
+    id: jvmState.nextThreadId++,
+    name: name,
+    frames: [],
+    callQueue: [],
+    state: 'idle',
+    blockReason: null,
+    pendingException: null,
+    yieldRequested: false,
+    priority: jvmConstants.NORM_PRIORITY,
+    interrupted: false,
+    timer: null,
+    waitingOn: null,
+    pendingMonitor: null,
+    joiners: [],
+    terminateWhenIdle: false,
+    javaThread: null
+  };
+
+  jvmState.threads.push(thread);
+  return thread;
+}
+
+/**
+ * End a thread and release the threads joining it
+ * @param {Object} thread - Thread
+ */
+function jvmTerminateThread(thread) {
+  if (thread.timer) {
+    clearTimeout(thread.timer);
+    thread.timer = null;
+  }
+  thread.state = 'terminated';
+  thread.frames = [];
+  thread.callQueue = [];
+
+  const joiners = thread.joiners;
+  thread.joiners = [];
+  joiners.forEach(jvmWakeThread);
+}
+
+/**
+ * Thread.sleep: park the current thread for a while
+ * @param {Object} thread - Current thread
+ * @param {number} millis - Milliseconds to sleep
+ */
+function jvmSleepThread(thread, millis) {
+  if (thread.interrupted) {
+    thread.interrupted = false;
+    throw jvmNewThrowable('java/lang/InterruptedException', null);
+  }
+  if (millis <= 0) {
+    jvmYieldThread(thread);
+    return;
+  }
+
+  jvmBlockThread(thread, 'sleep');
+  thread.timer = setTimeout(() => {
+    thread.timer = null;
+    jvmWakeThread(thread);
+  }, Math.min(millis, jvmConstants.MAX_TIMER_MS));
+}
+
+/**
+ * Thread.yield: end the current thread's turn early
+ * @param {Object} thread - Current thread
+ */
+function jvmYieldThread(thread) {
+  thread.yieldRequested = true;
+}
+
+/**
+ * Thread.join: park the current thread until another one terminates
+ * @param {Object} thread - Current thread
+ * @param {Object} target - Thread to wait for
+ */
+function jvmJoinThread(thread, target) {
+  if (target === thread || target.state === 'terminated') return;
+
+  target.joiners.push(thread);
+  jvmBlockThread(thread, 'join');
+}
+
+/**
+ * Thread.interrupt: break a thread out of sleep or wait, or flag it
+ * @param {Object} thread - Thread to interrupt
+ */
+function jvmInterruptThread(thread) {
+  if (thread.state === 'terminated') return;
+  if (!thread.waitingOn && thread.blockReason !== 'sleep') {
+    thread.interrupted = true;
+    return;
+  }
+
+  // The exception belongs to the interrupted thread, not the caller
+  const throwable = jvmNewThrowable('java/lang/InterruptedException', null);
+  throwable.stackTrace = jvmCaptureStackTrace(thread);
+
+  if (thread.waitingOn) {
+    jvmResumeWaiter(thread, throwable);
+  } else {
+    clearTimeout(thread.timer);
+    thread.timer = null;
+    thread.pendingException = throwable;
+    jvmWakeThread(thread);
+  }
+}
+
+/**
+ * Mark a thread as blocked
+ * @param {Object} thread - Thread
+ * @param {string} reason - What it waits for
+ */
+function jvmBlockThread(thread, reason) {
+  thread.state = 'blocked';
+  thread.blockReason = reason;
+}
+
+/**
+ * Make a thread runnable and make sure the scheduler runs
+ * @param {Object} thread - Thread
+ */
+function jvmWakeThread(thread) {
+  if (thread.state === 'terminated') return;
+  thread.state = 'runnable';
+  thread.blockReason = null;
+  jvmScheduleRun();
+}
+
+/**
+ * Queue a method call on a thread
+ * @param {Object} thread - Thread to run the call on
+ * @param {Object} method - Method to invoke
+ * @param {Array} args - Java arguments, receiver first for instance methods
+ * @returns {Promise} Resolves with the return value, rejects with the Java throwable
+ */
+function jvmQueueCall(thread, method, args) {
+  return new Promise((resolve, reject) => {
+    thread.callQueue.push({ method: method, args: args, construct: null, resolve: resolve, reject: reject });
+    if (thread.state === 'idle') jvmWakeThread(thread);
+  });
+}
+
+/**
+ * Queue construction of an object on a thread
+ * @param {Object} thread - Thread to run the constructor on
+ * @param {Object} cls - Class to instantiate
+ * @param {string} descriptor - Constructor descriptor, e.g. "()V"
+ * @param {Array} args - Constructor arguments
+ * @returns {Promise<Object>} Resolves with the new object
+ */
+function jvmQueueConstruct(thread, cls, descriptor, args) {
+  return new Promise((resolve, reject) => {
+    thread.callQueue.push({ method: null, args: args, construct: { cls: cls, descriptor: descriptor }, resolve: resolve, reject: reject });
+    if (thread.state === 'idle') jvmWakeThread(thread);
+  });
+}
+
+/**
+ * Start the next queued call of an idle thread
+ * @param {Object} thread - Thread
+ * @param {Object} call - Queued call
+ */
+function jvmStartQueuedCall(thread, call) {
+  let method = call.method;
+  let args = call.args;
+  let resolveValue = call.resolve;
+
+  try {
+    const cls = call.construct ? call.construct.cls : (method.isStatic ? method.cls : null);
+    if (cls && cls.state !== jvmConstants.INITIALIZED && jvmInitializeClass(thread, cls)) {
+      // Run <clinit> first, then come back to this call
+      thread.callQueue.unshift(call);
+      return;
+    }
+
+    if (call.construct) {
+      if (cls.isInterface || (cls.accessFlags & ClassFile.ACC.ABSTRACT)) {
+        throw jvmNewThrowable('java/lang/InstantiationException', cls.name.replace(/\//g, '.'));
+      }
+      const obj = jvmNewObject(cls);
+      method = cls.methodTable.get('<init>' + call.construct.descriptor);
+      if (!method) {
+        throw jvmNewThrowable('java/lang/NoSuchMethodError', `${cls.name.replace(/\//g, '.')}.<init>${call.construct.descriptor}`);
+      }
+      args = [obj].concat(args);
+      resolveValue = () => call.resolve(obj);
+    }
+
+    if (method.nativeImpl || method.isAbstract) {
+      if (method.isAbstract) {
+        throw jvmNewThrowable('java/lang/AbstractMethodError', method.name);
+      }
+      const result = method.nativeImpl.apply(null, [thread].concat(args));
+      Promise.resolve(result).then(resolveValue, call.reject);
+      return;
+    }
+
+    const frame = jvmCreateFrame(method);
+    jvmStoreArgs(frame, method, args);
+    frame.onReturn = resolveValue;
+    frame.onThrow = throwable => {
+      jvmPrintStackTrace(throwable, `Uncaught exception in thread "${thread.name}": `);
+      call.reject(throwable);
+      return null;
+    };
+
+    if (method.isSynchronized) {
+      const target = jvmGetSyncTarget(method, args[0]);
+      if (!jvmMonitorEnter(thread, target)) {
+        thread.callQueue.unshift(call);
+        return;
+      }
+      frame.monitor = target;
+    }
+
+    jvmPushFrame(thread, frame);
+  } catch (error) {
+    const throwable = jvmToThrowable(error);
+    jvmPrintStackTrace(throwable, `Uncaught exception in thread "${thread.name}": `);
+    call.reject(throwable);
+  }
+}
+
+/**
+ * Ask the scheduler to run soon
+ */
+function jvmScheduleRun() {
+  if (jvmState.runScheduled) return;
+  jvmState.runScheduled = true;
+  setTimeout(jvmRunThreads, 0);
+}
+
+/**
+ * Run runnable threads for one time slice
+ *
+ * Threads take turns round-robin until the slice is used up; each turn is
+ * an instruction budget scaled by the thread's priority. The starting
+ * thread rotates so a busy loop early in the list can't starve the rest.
+ */
+function jvmRunThreads() {
+  jvmState.runScheduled = false;
+  const deadline = Date.now() + jvmConstants.SLICE_MS;
+
+  let ran = true;
+  while (ran && Date.now() < deadline) {
+    ran = false;
+    const threads = jvmState.threads.slice();
+    const start = jvmState.runIndex++ % threads.length;
+
+    for (let i = 0; i < threads.length && Date.now() < deadline; i++) {
+      const thread = threads[(start + i) % threads.length];
+      if (thread.state === 'runnable') {
+        jvmRunThread(thread);
+        ran = true;
+      }
+    }
+  }
+
+  // Filter in place; the emulator keeps a reference to this array
+  const threads = jvmState.threads;
+  for (let i = threads.length - 1; i >= 0; i--) {
+    if (threads[i].state === 'terminated') threads.splice(i, 1);
+  }
+  if (threads.some(thread => thread.state === 'runnable')) {
+    jvmScheduleRun();
+  }
+}
+
+/**
+ * Give a thread one turn: run it until its budget is spent, it blocks or
+ * it runs out of work
+ * @param {Object} thread - Thread
+ */
+function jvmRunThread(thread) {
+  jvmState.currentThread = thread;
+  const budget = Math.ceil(jvmConstants.INSTRUCTION_BUDGET * thread.priority / jvmConstants.NORM_PRIORITY);
+
+  while (thread.state === 'runnable') {
+    if (thread.pendingMonitor) {
+      // Back from Object.wait; take the monitor again before continuing
+      const pending = thread.pendingMonitor;
+      if (!jvmMonitorEnter(thread, pending.obj)) break;
+      pending.obj.monitor.count = pending.count;
+      thread.pendingMonitor = null;
+      continue;
+    }
+
+    if (thread.pendingException) {
+      const throwable = thread.pendingException;
+      thread.pendingException = null;
+      jvmDispatchException(thread, throwable, 0);
+      continue;
+    }
+
+    if (thread.frames.length === 0) {
+      if (thread.callQueue.length === 0) {
+        if (thread.terminateWhenIdle) {
+          jvmTerminateThread(thread);
+        } else {
+          thread.state = 'idle';
+        }
+        break;
+      }
+      jvmStartQueuedCall(thread, thread.callQueue.shift());
+      if (thread.yieldRequested) {
+        // The call waits for a class another thread is initializing
+        thread.yieldRequested = false;
+        break;
+      }
+      continue;
+    }
+
+    if (jvmExecute(thread, budget, 0) === jvmConstants.YIELD) break;
+  }
+
+  jvmState.currentThread = null;
+}
+
+// ---------------------------------------------------------------------------
+// Interpreter
+// ---------------------------------------------------------------------------
+
+/**
+ * Convert a double to int with Java semantics
+ * @param {number} value - Double
+ * @returns {number} int
+ */
+function jvmDoubleToInt(value) {
+  if (value !== value) return 0;
+  if (value >= 2147483647) return 2147483647;
+  if (value <= -2147483648) return -2147483648;
+  return value | 0;
+}
+
+/**
+ * Convert a double to long with Java semantics
+ * @param {number} value - Double
+ * @returns {bigint} long
+ */
+function jvmDoubleToLong(value) {
+  if (value !== value) return 0n;
+  if (value >= 9223372036854775807) return 9223372036854775807n;
+  if (value <= -9223372036854775808) return -9223372036854775808n;
+  return BigInt(Math.trunc(value));
+}
+
+/**
+ * Compare two floating point values as fcmpl/fcmpg/dcmpl/dcmpg do
+ * @param {number} a - First value
+ * @param {number} b - Second value
+ * @param {number} nanResult - Result when either value is NaN
+ * @returns {number} -1, 0 or 1
+ */
+function jvmCompareFloating(a, b, nanResult) {
+  if (a > b) return 1;
+  if (a < b) return -1;
+  if (a === b) return 0;
+  return nanResult;
+}
+
+/**
+ * Throw ArrayIndexOutOfBoundsException
+ * @param {number} index - Offending index
+ */
+function jvmThrowArrayIndex(index) {
+  throw jvmNewThrowable('java/lang/ArrayIndexOutOfBoundsException', String(index));
+}
+
+/**
+ * Throw NullPointerException
+ */
+function jvmThrowNull() {
+  throw jvmNewThrowable('java/lang/NullPointerException', null);
+}
+
+/**
+ * Compile a hot method if a compiler is configured
+ *
+ * Methods the compiler can't handle are remembered and stay interpreted.
+ * @param {Object} method - Method with code
+ */
+function jvmCompileMethod(method) {
+  if (!jvmState.compiler || method.compiled !== null) return;
+
+  try {
+    method.compiled = jvmState.compiler(method) || false;
+  } catch (error) {
+    console.warn(`Cannot compile ${method.cls.name}.${method.key}`, error);
+    method.compiled = false;
+  }
+}
+
+/**
+ * Execute bytecode on a thread
+ * @param {Object} thread - Thread
+ * @param {number} budget - Maximum number of instructions before yielding
+ * @param {number} stopDepth - Return once the frame count drops to this depth
+ * @returns {number} jvmConstants.DONE, YIELD or BLOCKED
+ */
+function jvmExecute(thread, budget, stopDepth) {
+  const frames = thread.frames;
+  const previousThread = jvmState.currentThread;
+  jvmState.currentThread = thread;
+
+  try {
+    return jvmInterpret(thread, frames, budget, stopDepth);
+  } finally {
+    jvmState.currentThread = previousThread || thread;
+  }
+}
+
+/**
+ * The interpreter loop
+ * @param {Object} thread - Thread
+ * @param {Array<Object>} frames - Frames of the thread
+ * @param {number} budget - Instruction budget
+ * @param {number} stopDepth - Depth at which to return
+ * @returns {number} Execution status
+ */
+function jvmInterpret(thread, frames, budget, stopDepth) {
+  let frame, code, cp, locals, stack, sp, pc, opPc;
+
+  // Budget of compiled code while the interpreter steps an instruction for it
+  let compiledBudget = -1;
+
+  outer:
+  for (;;) {
+    if (frames.length <= stopDepth) return jvmConstants.DONE;
+
+    if (compiledBudget >= 0) {
+      budget = compiledBudget;
+      compiledBudget = -1;
+    }
+
+    frame = frames[frames.length - 1];
+
+    const compiled = frame.method.compiled;
+    if (compiled) {
+      let result;
+      try {
+        result = compiled(frame, budget);
+      } catch (error) {
+        if (!jvmDispatchException(thread, jvmToThrowable(error), stopDepth)) {
+          return jvmConstants.DONE;
+        }
+        continue;
+      }
+      if (result < 0) return jvmConstants.YIELD;
+
+      // Run the instruction the compiled code left at frame.pc, then go back to it
+      compiledBudget = result - 1;
+      budget = 1;
+    }
+
+    code = frame.code;
+    cp = frame.cp;
+    locals = frame.locals;
+    stack = frame.stack;
+    sp = frame.sp;
+    pc = frame.pc;
+    opPc = pc;
+
+    try {
+      for (;;) {
+        if (--budget < 0) {
+          frame.pc = pc;
+          frame.sp = sp;
+          if (compiledBudget >= 0) continue outer;
+          if (++frame.method.turnCount === jvmConstants.JIT_TURNS) jvmCompileMethod(frame.method);
+          return jvmConstants.YIELD;
+        }
+
+        opPc = pc;
+        const op = code[pc++];
+
+        switch (op) {
+          case 0x00: // nop
+            break;
+          case 0x01: // aconst_null
+            stack[sp++] = null;
+            break;
+          case 0x02: case 0x03: case 0x04: case 0x05: case 0x06: case 0x07: case 0x08: // iconst_m1..iconst_5
+            stack[sp++] = op - 0x03;
+            break;
+          case 0x09: case 0x0a: // lconst_0, lconst_1
+            stack[sp++] = BigInt(op - 0x09);
+            stack[sp++] = null;
+            break;
+          case 0x0b: case 0x0c: case 0x0d: // fconst_0..2
+            stack[sp++] = op - 0x0b;
+            break;
+          case 0x0e: case 0x0f: // dconst_0, dconst_1
+            stack[sp++] = op - 0x0e;
+            stack[sp++] = null;
+            break;
+          case 0x10: // bipush
+            stack[sp++] = (code[pc++] << 24) >> 24;
+            break;
+          case 0x11: // sipush
+            stack[sp++] = (((code[pc] << 8) | code[pc + 1]) << 16) >> 16;
+            pc += 2;
+            break;
+          case 0x12: // ldc
+            stack[sp++] = jvmResolveConstant(cp, code[pc++]);
+            break;
+          case 0x13: // ldc_w
+            stack[sp++] = jvmResolveConstant(cp, (code[pc] << 8) | code[pc + 1]);
+            pc += 2;
+            break;
+          case 0x14: // ldc2_w
+            stack[sp++] = cp[(code[pc] << 8) | code[pc + 1]].value;
+            stack[sp++] = null;
+            pc += 2;
+            break;
+
+          case 0x15: case 0x17: case 0x19: // iload, fload, aload
+            stack[sp++] = locals[code[pc++]];
+            break;
+          case 0x16: case 0x18: // lload, dload
+            stack[sp++] = locals[code[pc++]];
+            stack[sp++] = null;
+            break;
+          case 0x1a: case 0x1b: case 0x1c: case 0x1d: // iload_0..3
+            stack[sp++] = locals[op - 0x1a];
+            break;
+          case 0x1e: case 0x1f: case 0x20: case 0x21: // lload_0..3
+            stack[sp++] = locals[op - 0x1e];
+            stack[sp++] = null;
+            break;
+          case 0x22: case 0x23: case 0x24: case 0x25: // fload_0..3
+            stack[sp++] = locals[op - 0x22];
+            break;
+          case 0x26: case 0x27: case 0x28: case 0x29: // dload_0..3
+            stack[sp++] = locals[op - 0x26];
+            stack[sp++] = null;
+            break;
+          case 0x2a: case 0x2b: case 0x2c: case 0x2d: // aload_0..3
+            stack[sp++] = locals[op - 0x2a];
+            break;
+
+          case 0x2e: case 0x30: case 0x32: case 0x33: case 0x34: case 0x35: { // iaload, faload, aaload, baload, caload, saload
+            const index = stack[--sp];
+            const array = stack[--sp];
+            if (array === null) jvmThrowNull();
+            if ((index >>> 0) >= array.length) jvmThrowArrayIndex(index);
+            stack[sp++] = array[index];
+            break;
+          }
+          case 0x2f: case 0x31: { // laload, daload
+            const index = stack[--sp];
+            const array = stack[--sp];
+            if (array === null) jvmThrowNull();
+            if ((index >>> 0) >= array.length) jvmThrowArrayIndex(index);
+            stack[sp++] = array[index];
+            stack[sp++] = null;
+            break;
+          }
+
+          case 0x36: case 0x38: case 0x3a: // istore, fstore, astore
+            locals[code[pc++]] = stack[--sp];
+            break;
+          case 0x37: case 0x39: // lstore, dstore
+            sp -= 2;
+            locals[code[pc++]] = stack[sp];
+            break;
+          case 0x3b: case 0x3c: case 0x3d: case 0x3e: // istore_0..3
+            locals[op - 0x3b] = stack[--sp];
+            break;
+          case 0x3f: case 0x40: case 0x41: case 0x42: // lstore_0..3
+            sp -= 2;
+            locals[op - 0x3f] = stack[sp];
+            break;
+          case 0x43: case 0x44: case 0x45: case 0x46: // fstore_0..3
+            locals[op - 0x43] = stack[--sp];
+            break;
+          case 0x47: case 0x48: case 0x49: case 0x4a: // dstore_0..3
+            sp -= 2;
+            locals[op - 0x47] = stack[sp];
+            break;
+          case 0x4b: case 0x4c: case 0x4d: case 0x4e: // astore_0..3
+            locals[op - 0x4b] = stack[--sp];
+            break;
+
+          case 0x4f: case 0x51: case 0x54: case 0x55: case 0x56: { // iastore, fastore, bastore, castore, sastore
+            const value = stack[--sp];
+            const index = stack[--sp];
+            const array = stack[--sp];
+            if (array === null) jvmThrowNull();
+            if ((index >>> 0) >= array.length) jvmThrowArrayIndex(index);
+            array[index] = value;
+            break;
+          }
+          case 0x50: case 0x52: { // lastore, dastore
+            sp -= 2;
+            const value = stack[sp];
+            const index = stack[--sp];
+            const array = stack[--sp];
+            if (array === null) jvmThrowNull();
+            if ((index >>> 0) >= array.length) jvmThrowArrayIndex(index);
+            array[index] = value;
+            break;
+          }
+          case 0x53: { // aastore
+            const value = stack[--sp];
+            const index = stack[--sp];
+            const array = stack[--sp];
+            if (array === null) jvmThrowNull();
+            if ((index >>> 0) >= array.length) jvmThrowArrayIndex(index);
+            if (value !== null && !jvmIsAssignable(value.cls, jvmGetComponentClass(array.cls))) {
+              throw jvmNewThrowable('java/lang/ArrayStoreException', value.cls.name.replace(/\//g, '.'));
+            }
+            array[index] = value;
+            break;
+          }
+
+          case 0x57: // pop
+            sp--;
+            break;
+          case 0x58: // pop2
+            sp -= 2;
+            break;
+          case 0x59: // dup
+            stack[sp] = stack[sp - 1];
+            sp++;
+            break;
+          case 0x5a: { // dup_x1
+            const v1 = stack[sp - 1];
+            stack[sp - 1] = stack[sp - 2];
+            stack[sp - 2] = v1;
+            stack[sp++] = v1;
+            break;
+          }
+          case 0x5b: { // dup_x2
+            const v1 = stack[sp - 1];
+            stack[sp - 1] = stack[sp - 2];
+            stack[sp - 2] = stack[sp - 3];
+            stack[sp - 3] = v1;
+            stack[sp++] = v1;
+            break;
+          }
+          case 0x5c: // dup2
+            stack[sp] = stack[sp - 2];
+            stack[sp + 1] = stack[sp - 1];
+            sp += 2;
+            break;
+          case 0x5d: { // dup2_x1
+            const v1 = stack[sp - 1];
+            const v2 = stack[sp - 2];
+            const v3 = stack[sp - 3];
+            stack[sp - 3] = v2;
+            stack[sp - 2] = v1;
+            stack[sp - 1] = v3;
+            stack[sp] = v2;
+            stack[sp + 1] = v1;
+            sp += 2;
+            break;
+          }
+          case 0x5e: { // dup2_x2
+            const v1 = stack[sp - 1];
+            const v2 = stack[sp - 2];
+            const v3 = stack[sp - 3];
+            const v4 = stack[sp - 4];
+            stack[sp - 4] = v2;
+            stack[sp - 3] = v1;
+            stack[sp - 2] = v4;
+            stack[sp - 1] = v3;
+            stack[sp] = v2;
+            stack[sp + 1] = v1;
+            sp += 2;
+            break;
+          }
+          case 0x5f: { // swap
+            const v1 = stack[sp - 1];
+            stack[sp - 1] = stack[sp - 2];
+            stack[sp - 2] = v1;
+            break;
+          }
+
+          // int arithmetic
+          case 0x60: // iadd
+            sp--;
+            stack[sp - 1] = (stack[sp - 1] + stack[sp]) | 0;
+            break;
+          case 0x64: // isub
+            sp--;
+            stack[sp - 1] = (stack[sp - 1] - stack[sp]) | 0;
+            break;
+          case 0x68: // imul
+            sp--;
+            stack[sp - 1] = Math.imul(stack[sp - 1], stack[sp]);
+            break;
+          case 0x6c: { // idiv
+            const divisor = stack[--sp];
+            if (divisor === 0) throw jvmNewThrowable('java/lang/ArithmeticException', '/ by zero');
+            stack[sp - 1] = (stack[sp - 1] / divisor) | 0;
+            break;
+          }
+          case 0x70: { // irem
+            const divisor = stack[--sp];
+            if (divisor === 0) throw jvmNewThrowable('java/lang/ArithmeticException', '/ by zero');
+            stack[sp - 1] = (stack[sp - 1] % divisor) | 0;
+            break;
+          }
+          case 0x74: // ineg
+            stack[sp - 1] = (-stack[sp - 1]) | 0;
+            break;
+          case 0x78: // ishl
+            sp--;
+            stack[sp - 1] = stack[sp - 1] << stack[sp];
+            break;
+          case 0x7a: // ishr
+            sp--;
+            stack[sp - 1] = stack[sp - 1] >> stack[sp];
+            break;
+          case 0x7c: // iushr
+            sp--;
+            stack[sp - 1] = (stack[sp - 1] >>> stack[sp]) | 0;
+            break;
+          case 0x7e: // iand
+            sp--;
+            stack[sp - 1] = stack[sp - 1] & stack[sp];
+            break;
+          case 0x80: // ior
+            sp--;
+            stack[sp - 1] = stack[sp - 1] | stack[sp];
+            break;
+          case 0x82: // ixor
+            sp--;
+            stack[sp - 1] = stack[sp - 1] ^ stack[sp];
+            break;
+
+          // long arithmetic; the value sits below its padding slot
+          case 0x61: // ladd
+            sp -= 2;
+            stack[sp - 2] = BigInt.asIntN(64, stack[sp - 2] + stack[sp]);
+            break;
+          case 0x65: // lsub
+            sp -= 2;
+            stack[sp - 2] = BigInt.asIntN(64, stack[sp - 2] - stack[sp]);
+            break;
+          case 0x69: // lmul
+            sp -= 2;
+            stack[sp - 2] = BigInt.asIntN(64, stack[sp - 2] * stack[sp]);
+            break;
+          case 0x6d: { // ldiv
+            sp -= 2;
+            const divisor = stack[sp];
+            if (divisor === 0n) throw jvmNewThrowable('java/lang/ArithmeticException', '/ by zero');
+            stack[sp - 2] = BigInt.asIntN(64, stack[sp - 2] / divisor);
+            break;
+          }
+          case 0x71: { // lrem
+            sp -= 2;
+            const divisor = stack[sp];
+            if (divisor === 0n) throw jvmNewThrowable('java/lang/ArithmeticException', '/ by zero');
+            stack[sp - 2] = stack[sp - 2] % divisor;
+            break;
+          }
+          case 0x75: // lneg
+            stack[sp - 2] = BigInt.asIntN(64, -stack[sp - 2]);
+            break;
+          case 0x79: { // lshl
+            const shift = stack[--sp] & 63;
+            stack[sp - 2] = BigInt.asIntN(64, stack[sp - 2] << BigInt(shift));
+            break;
+          }
+          case 0x7b: { // lshr
+            const shift = stack[--sp] & 63;
+            stack[sp - 2] = stack[sp - 2] >> BigInt(shift);
+            break;
+          }
+          case 0x7d: { // lushr
+            const shift = stack[--sp] & 63;
+            stack[sp - 2] = BigInt.asIntN(64, BigInt.asUintN(64, stack[sp - 2]) >> BigInt(shift));
+            break;
+          }
+          case 0x7f: // land
+            sp -= 2;
+            stack[sp - 2] = stack[sp - 2] & stack[sp];
+            break;
+          case 0x81: // lor
+            sp -= 2;
+            stack[sp - 2] = stack[sp - 2] | stack[sp];
+            break;
+          case 0x83: // lxor
+            sp -= 2;
+            stack[sp - 2] = stack[sp - 2] ^ stack[sp];
+            break;
+
+          // float arithmetic
+          case 0x62: // fadd
+            sp--;
+            stack[sp - 1] = Math.fround(stack[sp - 1] + stack[sp]);
+            break;
+          case 0x66: // fsub
+            sp--;
+            stack[sp - 1] = Math.fround(stack[sp - 1] - stack[sp]);
+            break;
+          case 0x6a: // fmul
+            sp--;
+            stack[sp - 1] = Math.fround(stack[sp - 1] * stack[sp]);
+            break;
+          case 0x6e: // fdiv
+            sp--;
+            stack[sp - 1] = Math.fround(stack[sp - 1] / stack[sp]);
+            break;
+          case 0x72: // frem
+            sp--;
+            stack[sp - 1] = Math.fround(stack[sp - 1] % stack[sp]);
+            break;
+          case 0x76: // fneg
+            stack[sp - 1] = -stack[sp - 1];
+            break;
+
+          // double arithmetic
+          case 0x63: // dadd
+            sp -= 2;
+            stack[sp - 2] = stack[sp - 2] + stack[sp];
+            break;
+          case 0x67: // dsub
+            sp -= 2;
+            stack[sp - 2] = stack[sp - 2] - stack[sp];
+            break;
+          case 0x6b: // dmul
+            sp -= 2;
+            stack[sp - 2] = stack[sp - 2] * stack[sp];
+            break;
+          case 0x6f: // ddiv
+            sp -= 2;
+            stack[sp - 2] = stack[sp - 2] / stack[sp];
+            break;
+          case 0x73: // drem
+            sp -= 2;
+            stack[sp - 2] = stack[sp - 2] % stack[sp];
+            break;
+          case 0x77: // dneg
+            stack[sp - 2] = -stack[sp - 2];
+            break;
+
+          case 0x84: { // iinc
+            const index = code[pc];
+            locals[index] = (locals[index] + ((code[pc + 1] << 24) >> 24)) | 0;
+            pc += 2;
+            break;
+          }
+
+          // conversions
+          case 0x85: // i2l
+            stack[sp - 1] = BigInt(stack[sp - 1]);
+            stack[sp++] = null;
+            break;
+          case 0x86: // i2f
+            stack[sp - 1] = Math.fround(stack[sp - 1]);
+            break;
+          case 0x87: // i2d
+            stack[sp++] = null;
+            break;
+          case 0x88: // l2i
+            sp--;
+            stack[sp - 1] = Number(BigInt.asIntN(32, stack[sp - 1]));
+            break;
+          case 0x89: // l2f
+            sp--;
+            stack[sp - 1] = Math.fround(Number(stack[sp - 1]));
+            break;
+          case 0x8a: // l2d
+            stack[sp - 2] = Number(stack[sp - 2]);
+            break;
+          case 0x8b: // f2i
+            stack[sp - 1] = jvmDoubleToInt(stack[sp - 1]);
+            break;
+          case 0x8c: // f2l
+            stack[sp - 1] = jvmDoubleToLong(stack[sp - 1]);
+            stack[sp++] = null;
+            break;
+          case 0x8d: // f2d
+            stack[sp++] = null;
+            break;
+          case 0x8e: // d2i
+            sp--;
+            stack[sp - 1] = jvmDoubleToInt(stack[sp - 1]);
+            break;
+          case 0x8f: // d2l
+            stack[sp - 2] = jvmDoubleToLong(stack[sp - 2]);
+            break;
+          case 0x90: // d2f
+            sp--;
+            stack[sp - 1] = Math.fround(stack[sp - 1]);
+            break;
+          case 0x91: // i2b
+            stack[sp - 1] = (stack[sp - 1] << 24) >> 24;
+            break;
+          case 0x92: // i2c
+            stack[sp - 1] = stack[sp - 1] & 0xffff;
+            break;
+          case 0x93: // i2s
+            stack[sp - 1] = (stack[sp - 1] << 16) >> 16;
+            break;
+
+          // comparisons
+          case 0x94: { // lcmp
+            sp -= 2;
+            const b = stack[sp];
+            const a = stack[sp - 2];
+            sp--;
+            stack[sp - 1] = a > b ? 1 : (a < b ? -1 : 0);
+            break;
+          }
+          case 0x95: // fcmpl
+            sp--;
+            stack[sp - 1] = jvmCompareFloating(stack[sp - 1], stack[sp], -1);
+            break;
+          case 0x96: // fcmpg
+            sp--;
+            stack[sp - 1] = jvmCompareFloating(stack[sp - 1], stack[sp], 1);
+            break;
+          case 0x97: // dcmpl
+            sp -= 3;
+            stack[sp - 1] = jvmCompareFloating(stack[sp - 1], stack[sp + 1], -1);
+            break;
+          case 0x98: // dcmpg
+            sp -= 3;
+            stack[sp - 1] = jvmCompareFloating(stack[sp - 1], stack[sp + 1], 1);
+            break;
+
+          // branches
+          case 0x99: case 0x9a: case 0x9b: case 0x9c: case 0x9d: case 0x9e: { // ifeq..ifle
+            const value = stack[--sp];
+            let taken;
+            switch (op) {
+              case 0x99: taken = value === 0; break;
+              case 0x9a: taken = value !== 0; break;
+              case 0x9b: taken = value < 0; break;
+              case 0x9c: taken = value >= 0; break;
+              case 0x9d: taken = value > 0; break;
+              default: taken = value <= 0;
+            }
+            pc = taken ? opPc + ((((code[pc] << 8) | code[pc + 1]) << 16) >> 16) : pc + 2;
+            break;
+          }
+          case 0x9f: case 0xa0: case 0xa1: case 0xa2: case 0xa3: case 0xa4: { // if_icmpeq..if_icmple
+            const b = stack[--sp];
+            const a = stack[--sp];
+            let taken;
+            switch (op) {
+              case 0x9f: taken = a === b; break;
+              case 0xa0: taken = a !== b; break;
+              case 0xa1: taken = a < b; break;
+              case 0xa2: taken = a >= b; break;
+              case 0xa3: taken = a > b; break;
+              default: taken = a <= b;
+            }
+            pc = taken ? opPc + ((((code[pc] << 8) | code[pc + 1]) << 16) >> 16) : pc + 2;
+            break;
+          }
+          case 0xa5: case 0xa6: { // if_acmpeq, if_acmpne
+            const b = stack[--sp];
+            const a = stack[--sp];
+            const taken = (a === b) === (op === 0xa5);
+            pc = taken ? opPc + ((((code[pc] << 8) | code[pc + 1]) << 16) >> 16) : pc + 2;
+            break;
+          }
+          case 0xa7: // goto
+            pc = opPc + ((((code[pc] << 8) | code[pc + 1]) << 16) >> 16);
+            break;
+          case 0xa8: // jsr
+            stack[sp++] = pc + 2;
+            pc = opPc + ((((code[pc] << 8) | code[pc + 1]) << 16) >> 16);
+            break;
+          case 0xa9: // ret
+            pc = locals[code[pc]];
+            break;
+          case 0xaa: { // tableswitch
+            pc = (opPc + 4) & ~3;
+            const index = stack[--sp];
+            const low = (code[pc + 4] << 24) | (code[pc + 5] << 16) | (code[pc + 6] << 8) | code[pc + 7];
+            const high = (code[pc + 8] << 24) | (code[pc + 9] << 16) | (code[pc + 10] << 8) | code[pc + 11];
+            let offsetPos = pc;
+            if (index >= low && index <= high) {
+              offsetPos = pc + 12 + (index - low) * 4;
+            }
+            pc = opPc + ((code[offsetPos] << 24) | (code[offsetPos + 1] << 16) | (code[offsetPos + 2] << 8) | code[offsetPos + 3]);
+            break;
+          }
+          case 0xab: { // lookupswitch
+            pc = (opPc + 4) & ~3;
+            const key = stack[--sp];
+            const pairs = (code[pc + 4] << 24) | (code[pc + 5] << 16) | (code[pc + 6] << 8) | code[pc + 7];
+            let offsetPos = pc;
+
+            // Keys are sorted, so binary search
+            let lo = 0;
+            let hi = pairs - 1;
+            while (lo <= hi) {
+              const mid = (lo + hi) >> 1;
+              const pos = pc + 8 + mid * 8;
+              const match = (code[pos] << 24) | (code[pos + 1] << 16) | (code[pos + 2] << 8) | code[pos + 3];
+              if (match === key) {
+                offsetPos = pos + 4;
+                break;
+              }
+              if (match < key) lo = mid + 1;
+              else hi = mid - 1;
+            }
+            pc = opPc + ((code[offsetPos] << 24) | (code[offsetPos + 1] << 16) | (code[offsetPos + 2] << 8) | code[offsetPos + 3]);
+            break;
+          }
+
+          // returns
+          case 0xac: case 0xad: case 0xae: case 0xaf: case 0xb0: case 0xb1: { // ireturn..return
+            let value;
+            let wide = false;
+            if (op === 0xad || op === 0xaf) {
+              value = stack[sp - 2];
+              wide = true;
+            } else if (op !== 0xb1) {
+              value = stack[sp - 1];
+            }
+
+            frames.pop();
+            if (frame.monitor) jvmMonitorExit(thread, frame.monitor);
+
+            if (frame.onReturn) {
+              frame.onReturn(value);
+            } else if (frames.length > 0) {
+              const caller = frames[frames.length - 1];
+              if (op !== 0xb1) {
+                caller.stack[caller.sp++] = value;
+                if (wide) caller.stack[caller.sp++] = null;
+              }
+            }
+
+            if (frames.length > stopDepth) {
+              const caller = frames[frames.length - 1];
+              caller.pc += caller.resumeAdvance;
+              caller.resumeAdvance = 0;
+            }
+            continue outer;
+          }
+
+          // fields
+          case 0xb2: { // getstatic
+            const field = jvmResolveFieldRef(cp, (code[pc] << 8) | code[pc + 1], true);
+            if (field.cls.state !== jvmConstants.INITIALIZED && jvmInitializeClass(thread, field.cls)) {
+              frame.pc = opPc;
+              frame.sp = sp;
+              if (thread.yieldRequested) {
+                thread.yieldRequested = false;
+                return jvmConstants.YIELD;
+              }
+              continue outer;
+            }
+            stack[sp++] = field.cls.staticValues[field.slot];
+            if (field.wide) stack[sp++] = null;
+            pc += 2;
+            break;
+          }
+          case 0xb3: { // putstatic
+            const field = jvmResolveFieldRef(cp, (code[pc] << 8) | code[pc + 1], true);
+            if (field.cls.state !== jvmConstants.INITIALIZED && jvmInitializeClass(thread, field.cls)) {
+              frame.pc = opPc;
+              frame.sp = sp;
+              if (thread.yieldRequested) {
+                thread.yieldRequested = false;
+                return jvmConstants.YIELD;
+              }
+              continue outer;
+            }
+            if (field.wide) sp--;
+            field.cls.staticValues[field.slot] = stack[--sp];
+            pc += 2;
+            break;
+          }
+          case 0xb4: { // getfield
+            const field = cp[(code[pc] << 8) | code[pc + 1]].resolved || jvmResolveFieldRef(cp, (code[pc] << 8) | code[pc + 1], false);
+            const obj = stack[sp - 1];
+            if (obj === null) jvmThrowNull();
+            stack[sp - 1] = obj.fields[field.slot];
+            if (field.wide) stack[sp++] = null;
+            pc += 2;
+            break;
+          }
+          case 0xb5: { // putfield
+            const field = cp[(code[pc] << 8) | code[pc + 1]].resolved || jvmResolveFieldRef(cp, (code[pc] << 8) | code[pc + 1], false);
+            if (field.wide) sp--;
+            const value = stack[--sp];
+            const obj = stack[--sp];
+            if (obj === null) jvmThrowNull();
+            obj.fields[field.slot] = value;
+            pc += 2;
+            break;
+          }
+
+          // invocation
+          case 0xb6: case 0xb7: case 0xb8: case 0xb9: { // invokevirtual, invokespecial, invokestatic, invokeinterface
+            const index = (code[pc] << 8) | code[pc + 1];
+            const length = op === 0xb9 ? 5 : 3;
+            let method;
+            let argSlots;
+
+            if (op === 0xb8) {
+              method = jvmResolveMethodRef(cp, index);
+              if (!method.isStatic) {
+                throw jvmNewThrowable('java/lang/IncompatibleClassChangeError', `Expected static method ${method.name}`);
+              }
+              if (method.cls.state !== jvmConstants.INITIALIZED && jvmInitializeClass(thread, method.cls)) {
+                frame.pc = opPc;
+                frame.sp = sp;
+                if (thread.yieldRequested) {
+                  thread.yieldRequested = false;
+                  return jvmConstants.YIELD;
+                }
+                continue outer;
+              }
+              argSlots = method.argSlots;
+            } else if (op === 0xb7) {
+              const entry = cp[index];
+              method = entry.special;
+              if (!method) {
+                method = jvmResolveMethodRef(cp, index);
+                // ACC_SUPER: super.foo() calls dispatch from the direct superclass
+                if (method.name !== '<init>' && (frame.cls.accessFlags & ClassFile.ACC.SUPER) &&
+                    method.cls !== frame.cls && !method.cls.isInterface &&
+                    frame.cls.superClass && jvmIsAssignable(frame.cls, method.cls)) {
+                  method = jvmFindVirtualMethod(frame.cls.superClass, method.key);
+                }
+                entry.special = method;
+              }
+              argSlots = method.argSlots + 1;
+              if (stack[sp - argSlots] === null) jvmThrowNull();
+            } else {
+              const entry = cp[index].key !== undefined ? cp[index] : jvmResolveVirtualRef(cp, index);
+              argSlots = entry.argSlots + 1;
+              const receiver = stack[sp - argSlots];
+              if (receiver === null) jvmThrowNull();
+              method = receiver.cls.vtable.get(entry.key) || jvmFindVirtualMethod(receiver.cls, entry.key);
+            }
+
+            const base = sp - argSlots;
+
+            if (method.nativeImpl) {
+              frame.pc = opPc;
+              frame.sp = sp;
+              const result = method.nativeImpl.apply(null, jvmCollectNativeArgs(thread, method, stack, base));
+              sp = base;
+
+              if (result instanceof Promise) {
+                frame.sp = sp;
+                frame.resumeAdvance = length;
+                jvmAwaitNative(thread, frame, method, result);
+                return jvmConstants.BLOCKED;
+              }
+
+              switch (method.returnType) {
+                case 'V':
+                  break;
+                case 'J':
+                case 'D':
+                  stack[sp++] = result;
+                  stack[sp++] = null;
+                  break;
+                case 'Z':
+                  stack[sp++] = result ? 1 : 0;
+                  break;
+                default:
+                  stack[sp++] = result === undefined ? null : result;
+              }
+              pc = opPc + length;
+
+              if ((thread.state !== 'runnable' || thread.yieldRequested) && stopDepth === 0) {
+                // The native parked the thread (sleep, wait, join) or gave up its turn
+                frame.pc = pc;
+                frame.sp = sp;
+                if (thread.yieldRequested) {
+                  thread.yieldRequested = false;
+                  return jvmConstants.YIELD;
+                }
+                return jvmConstants.BLOCKED;
+              }
+              break;
+            }
+
+            if (method.isAbstract) {
+              throw jvmNewThrowable('java/lang/AbstractMethodError', `${method.cls.name.replace(/\//g, '.')}.${method.key}`);
+            }
+
+            const callee = jvmCreateFrame(method);
+            const calleeLocals = callee.locals;
+            for (let i = 0; i < argSlots; i++) {
+              calleeLocals[i] = stack[base + i];
+            }
+
+            if (method.isSynchronized) {
+              const target = method.isStatic ? jvmGetClassObject(method.cls) : calleeLocals[0];
+              if (!jvmMonitorEnter(thread, target)) {
+                frame.pc = opPc;
+                frame.sp = sp;
+                return jvmConstants.BLOCKED;
+              }
+              callee.monitor = target;
+            }
+
+            frame.pc = opPc;
+            frame.sp = base;
+            frame.resumeAdvance = length;
+            try {
+              jvmPushFrame(thread, callee);
+            } catch (error) {
+              if (callee.monitor) jvmMonitorExit(thread, callee.monitor);
+              frame.sp = sp;
+              throw error;
+            }
+            continue outer;
+          }
+
+          // objects
+          case 0xbb: { // new
+            const cls = jvmResolveClassRef(cp, (code[pc] << 8) | code[pc + 1]);
+            if (cls.state !== jvmConstants.INITIALIZED && jvmInitializeClass(thread, cls)) {
+              frame.pc = opPc;
+              frame.sp = sp;
+              if (thread.yieldRequested) {
+                thread.yieldRequested = false;
+                return jvmConstants.YIELD;
+              }
+              continue outer;
+            }
+            if (cls.isInterface || (cls.accessFlags & ClassFile.ACC.ABSTRACT)) {
+              throw jvmNewThrowable('java/lang/InstantiationError', cls.name.replace(/\//g, '.'));
+            }
+            stack[sp++] = jvmNewObject(cls);
+            pc += 2;
+            break;
+          }
+          case 0xbc: { // newarray
+            const descriptor = jvmConstants.PRIMITIVE_ARRAYS[code[pc++]];
+            if (!descriptor) {
+              throw jvmNewThrowable('java/lang/VerifyError', `Bad newarray type ${code[pc - 1]}`);
+            }
+            stack[sp - 1] = jvmNewArray(descriptor, stack[sp - 1]);
+            break;
+          }
+          case 0xbd: { // anewarray
+            const entry = cp[(code[pc] << 8) | code[pc + 1]];
+            const name = entry.name;
+            const descriptor = entry.arrayDescriptor ||
+              (entry.arrayDescriptor = name.charAt(0) === '[' ? '[' + name : `[L${name};`);
+            stack[sp - 1] = jvmNewArray(descriptor, stack[sp - 1]);
+            pc += 2;
+            break;
+          }
+          case 0xbe: { // arraylength
+            const array = stack[sp - 1];
+            if (array === null) jvmThrowNull();
+            stack[sp - 1] = array.length;
+            break;
+          }
+          case 0xbf: { // athrow
+            const throwable = stack[sp - 1];
+            if (throwable === null) jvmThrowNull();
+            throw throwable;
+          }
+          case 0xc0: { // checkcast
+            const obj = stack[sp - 1];
+            if (obj !== null) {
+              const cls = jvmResolveClassRef(cp, (code[pc] << 8) | code[pc + 1]);
+              if (!jvmIsAssignable(obj.cls, cls)) {
+                throw jvmNewThrowable('java/lang/ClassCastException',
+                  `${obj.cls.name.replace(/\//g, '.')} cannot be cast to ${cls.name.replace(/\//g, '.')}`);
+              }
+            }
+            pc += 2;
+            break;
+          }
+          case 0xc1: { // instanceof
+            const obj = stack[sp - 1];
+            if (obj !== null) {
+              const cls = jvmResolveClassRef(cp, (code[pc] << 8) | code[pc + 1]);
+              stack[sp - 1] = jvmIsAssignable(obj.cls, cls) ? 1 : 0;
+            } else {
+              stack[sp - 1] = 0;
+            }
+            pc += 2;
+            break;
+          }
+          case 0xc2: { // monitorenter
+            const obj = stack[sp - 1];
+            if (obj === null) jvmThrowNull();
+            if (!jvmMonitorEnter(thread, obj)) {
+              frame.pc = opPc;
+              frame.sp = sp;
+              return jvmConstants.BLOCKED;
+            }
+            sp--;
+            break;
+          }
+          case 0xc3: { // monitorexit
+            const obj = stack[sp - 1];
+            if (obj === null) jvmThrowNull();
+            jvmMonitorExit(thread, obj);
+            sp--;
+            break;
+          }
+
+          case 0xc4: { // wide
+            const wideOp = code[pc];
+            const index = (code[pc + 1] << 8) | code[pc + 2];
+            switch (wideOp) {
+              case 0x15: case 0x17: case 0x19: // iload, fload, aload
+                stack[sp++] = locals[index];
+                break;
+              case 0x16: case 0x18: // lload, dload
+                stack[sp++] = locals[index];
+                stack[sp++] = null;
+                break;
+              case 0x36: case 0x38: case 0x3a: // istore, fstore, astore
+                locals[index] = stack[--sp];
+                break;
+              case 0x37: case 0x39: // lstore, dstore
+                sp -= 2;
+                locals[index] = stack[sp];
+                break;
+              case 0xa9: // ret
+                pc = locals[index];
+                continue;
+              case 0x84: // iinc
+                locals[index] = (locals[index] + ((((code[pc + 3] << 8) | code[pc + 4]) << 16) >> 16)) | 0;
+                pc += 2;
+                break;
+              default:
+                throw jvmNewThrowable('java/lang/VerifyError', `Bad wide opcode ${wideOp}`);
+            }
+            pc += 3;
+            break;
+          }
+          case 0xc5: { // multianewarray
+            const entry = cp[(code[pc] << 8) | code[pc + 1]];
+            const dimensions = code[pc + 2];
+            const lengths = stack.slice(sp - dimensions, sp);
+            sp -= dimensions;
+            stack[sp++] = jvmNewMultiArray(entry.name, lengths);
+            pc += 3;
+            break;
+          }
+          case 0xc6: case 0xc7: { // ifnull, ifnonnull
+            const value = stack[--sp];
+            const taken = (value === null) === (op === 0xc6);
+            pc = taken ? opPc + ((((code[pc] << 8) | code[pc + 1]) << 16) >> 16) : pc + 2;
+            break;
+          }
+          case 0xc8: // goto_w
+            pc = opPc + ((code[pc] << 24) | (code[pc + 1] << 16) | (code[pc + 2] << 8) | code[pc + 3]);
+            break;
+          case 0xc9: // jsr_w
+            stack[sp++] = pc + 4;
+            pc = opPc + ((code[pc] << 24) | (code[pc + 1] << 16) | (code[pc + 2] << 8) | code[pc + 3]);
+            break;
+
+          default:
+            throw jvmNewThrowable('java/lang/VerifyError',
+              `Illegal opcode 0x${op.toString(16)} at ${frame.method.cls.name}.${frame.method.name}:${opPc}`);
+        }
+      }
+    } catch (error) {
+      if (frames[frames.length - 1] === frame) {
+        frame.pc = opPc;
+        frame.sp = sp;
+      }
+
+      const throwable = jvmToThrowable(error);
+      if (!jvmDispatchException(thread, throwable, stopDepth)) {
+        return jvmConstants.DONE;
+      }
+    }
+  }
+}
+
+// newarray type codes to array descriptors
+jvmConstants.PRIMITIVE_ARRAYS = { 4: '[Z', 5: '[C', 6: '[F', 7: '[D', 8: '[B', 9: '[S', 10: '[I', 11: '[J' };
+
+// Export functions for use in other modules
+window.JVM = {
+  constants: jvmConstants,
+  state: jvmState,
+  reset: jvmReset,
+  defineNativeClass: jvmDefineNativeClass,
+  loadClass: jvmLoadClass,
+  initializeClass: jvmInitializeNested,
+  findMethod: jvmFindMethod,
+  findVirtualMethod: jvmFindVirtualMethod,
+  findField: jvmFindField,
+  resolveClassRef: jvmResolveClassRef,
+  resolveFieldRef: jvmResolveFieldRef,
+  resolveConstant: jvmResolveConstant,
+  getField: jvmGetField,
+  setField: jvmSetField,
+  getStatic: jvmGetStatic,
+  setStatic: jvmSetStatic,
+  newObject: jvmNewObject,
+  newString: jvmNewString,
+  internString: jvmInternString,
+  toJsString: jvmToJsString,
+  newArray: jvmNewArray,
+  newMultiArray: jvmNewMultiArray,
+  getComponentClass: jvmGetComponentClass,
+  getClassObject: jvmGetClassObject,
+  identityHash: jvmIdentityHash,
+  doubleToInt: jvmDoubleToInt,
+  doubleToLong: jvmDoubleToLong,
+  compareFloating: jvmCompareFloating,
+  throwNull: jvmThrowNull,
+  throwArrayIndex: jvmThrowArrayIndex,
+  isAssignable: jvmIsAssignable,
+  isInstanceOf: jvmIsInstanceOf,
+  newThrowable: jvmNewThrowable,
+  toThrowable: jvmToThrowable,
+  describeThrowable: jvmDescribeThrowable,
+  printStackTrace: jvmPrintStackTrace,
+  captureStackTrace: jvmCaptureStackTrace,
+  monitorEnter: jvmMonitorEnter,
+  monitorExit: jvmMonitorExit,
+  monitorWait: jvmMonitorWait,
+  monitorNotify: jvmMonitorNotify,
+  invoke: jvmInvokeNested,
+  callVirtual: jvmCallVirtual,
+  createThread: jvmCreateThread,
+  queueCall: jvmQueueCall,
+  queueConstruct: jvmQueueConstruct,
+  blockThread: jvmBlockThread,
+  wakeThread: jvmWakeThread,
+  terminateThread: jvmTerminateThread,
+  sleepThread: jvmSleepThread,
+  yieldThread: jvmYieldThread,
+  joinThread: jvmJoinThread,
+  interruptThread: jvmInterruptThread
+};
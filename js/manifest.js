@@ -0,0 +1,173 @@
+/**
+ * J2ME Loader for CloudFone
+ * JAR manifest parsing
+ *
+ * Reads META-INF/MANIFEST.MF and turns its attributes into MIDlet suite
+ * metadata (name, vendor, MIDlet-n entries, profiles, permissions).
+ */
+
+// Manifest constants
+const manifestConstants = {
+  MANIFEST_PATH: 'META-INF/MANIFEST.MF',
+  MIDLET_ENTRY_PATTERN: /^MIDlet-(\d+)$/
+};
+
+/**
+ * Parse manifest text into its main section attributes
+ * @param {string} text - Manifest contents
+ * @returns {Object} Attribute names mapped to values, in file order
+ */
+function parseManifest(text) {
+  const attributes = {};
+  const lines = String(text || '').split(/\r\n|\r|\n/);
+
+  let currentName = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    // A blank line ends the main section; per-entry sections that follow
+    // only carry signing digests, which we don't need
+    if (line.trim() === '') {
+      if (currentName !== null) break;
+      continue;
+    }
+
+    // Lines longer than 72 bytes continue on the next line after one space
+    if (line.charAt(0) === ' ' && currentName !== null) {
+      attributes[currentName] += line.substring(1);
+      continue;
+    }
+
+    const separator = line.indexOf(':');
+    if (separator <= 0) {
+      console.warn(`Ignoring malformed manifest line: ${line}`);
+      continue;
+    }
+
+    currentName = line.substring(0, separator).trim();
+    attributes[currentName] = line.substring(separator + 1).trim();
+  }
+
+  return attributes;
+}
+
+/**
+ * Look up an attribute, tolerating tools that changed the name's case
+ * @param {Object} attributes - Parsed attributes
+ * @param {string} name - Attribute name
+ * @returns {string|null} Attribute value or null if absent
+ */
+function getManifestAttribute(attributes, name) {
+  if (Object.prototype.hasOwnProperty.call(attributes, name)) {
+    return attributes[name];
+  }
+
+  const lowerName = name.toLowerCase();
+  for (const key in attributes) {
+    if (key.toLowerCase() === lowerName) {
+      return attributes[key];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse a MIDlet-n attribute value ("name, icon, class")
+ * @param {string} value - Attribute value
+ * @param {number} index - The n in MIDlet-n
+ * @returns {Object|null} MIDlet entry or null if no class is given
+ */
+function parseMidletEntry(value, index) {
+  const parts = value.split(',').map(part => part.trim());
+
+  // The class and icon are the last two fields; a name may contain commas
+  const className = parts.length > 1 ? parts.pop() : '';
+  const icon = parts.length > 1 ? parts.pop() : '';
+  const name = parts.join(', ');
+
+  if (!className) {
+    return null;
+  }
+
+  return {
+    index: index,
+    name: name || className,
+    icon: icon || null,
+    className: className
+  };
+}
+
+/**
+ * Split a list-valued attribute into its items
+ * @param {string|null} value - Attribute value
+ * @param {RegExp} [separator] - Item separator, commas by default
+ * @returns {Array<string>} Non-empty items
+ */
+function splitAttributeList(value, separator = ',') {
+  if (!value) return [];
+  return value.split(separator).map(item => item.trim()).filter(item => item.length > 0);
+}
+
+/**
+ * Build MIDlet suite metadata from manifest attributes
+ * @param {Object} attributes - Parsed attributes
+ * @returns {Object} Suite metadata
+ */
+function getMidletSuiteInfo(attributes) {
+  const midlets = [];
+
+  Object.keys(attributes).forEach(key => {
+    const match = key.match(manifestConstants.MIDLET_ENTRY_PATTERN);
+    if (!match) return;
+
+    const midlet = parseMidletEntry(attributes[key], parseInt(match[1], 10));
+    if (midlet) {
+      midlets.push(midlet);
+    } else {
+      console.warn(`Ignoring ${key} without a class name`);
+    }
+  });
+
+  midlets.sort((a, b) => a.index - b.index);
+
+  return {
+    name: getManifestAttribute(attributes, 'MIDlet-Name'),
+    version: getManifestAttribute(attributes, 'MIDlet-Version'),
+    vendor: getManifestAttribute(attributes, 'MIDlet-Vendor'),
+    description: getManifestAttribute(attributes, 'MIDlet-Description'),
+    icon: getManifestAttribute(attributes, 'MIDlet-Icon'),
+    infoUrl: getManifestAttribute(attributes, 'MIDlet-Info-URL'),
+    dataSize: parseInt(getManifestAttribute(attributes, 'MIDlet-Data-Size'), 10) || 0,
+    profiles: splitAttributeList(getManifestAttribute(attributes, 'MicroEdition-Profile'), /[\s,]+/),
+    configuration: getManifestAttribute(attributes, 'MicroEdition-Configuration'),
+    permissions: splitAttributeList(getManifestAttribute(attributes, 'MIDlet-Permissions')),
+    optionalPermissions: splitAttributeList(getManifestAttribute(attributes, 'MIDlet-Permissions-Opt')),
+    midlets: midlets,
+    mainClass: midlets.length > 0 ? midlets[0].className : null,
+    properties: Object.assign({}, attributes)
+  };
+}
+
+/**
+ * Read and parse the manifest of an opened JAR archive
+ * @param {Object} archive - Archive returned by ZipReader.open
+ * @returns {Object} Parsed attributes (empty if the JAR has no manifest)
+ */
+function readJarManifest(archive) {
+  const text = archive.readText(manifestConstants.MANIFEST_PATH, true);
+  if (text === null) {
+    console.warn('JAR has no META-INF/MANIFEST.MF');
+    return {};
+  }
+  return parseManifest(text);
+}
+
+// Export functions for use in other modules
+window.Manifest = {
+  parse: parseManifest,
+  readFromJar: readJarManifest,
+  getAttribute: getManifestAttribute,
+  getSuiteInfo: getMidletSuiteInfo
+};
@@ -0,0 +1,304 @@
+/**
+ * J2ME Loader for CloudFone
+ * Messages screen
+ *
+ * Shows the Outbox of the messages an app's MIDlets have sent, newest
+ * first, and lets the user delete them. While the app runs, the screen
+ * also writes incoming messages: one sent from any number to the port a
+ * MIDlet listens on reaches its MessageConnection, so SMS flows can be
+ * tested without a phone network.
+ */
+
+// Messages screen constants
+const messageOutboxConstants = {
+  LIST_ID: 'messages',
+  COMPOSER_ID: 'message-composer',
+
+  TEXT: 'text',
+  BINARY: 'binary'
+};
+
+// Messages screen state
+const messageOutboxState = {
+  app: null,
+  live: false,
+  messages: [],
+  rows: []
+};
+
+// DOM Elements
+const messageOutboxElements = {
+  title: document.getElementById('messages-title'),
+  list: document.getElementById('message-list'),
+  sender: document.getElementById('message-sender'),
+  port: document.getElementById('message-port'),
+  type: document.getElementById('message-type'),
+  body: document.getElementById('message-body')
+};
+
+/**
+ * Show the Outbox of an app
+ * @param {Object} app - Installed app
+ * @param {boolean} live - Whether the app is running and can be sent
+ *   messages
+ * @returns {Promise} Resolves when the list is shown
+ */
+function openMessageOutbox(app, live) {
+  messageOutboxState.app = app;
+  messageOutboxState.live = live;
+
+  return loadOutboxMessages().then(() => navigateToScreen(messageOutboxConstants.LIST_ID));
+}
+
+/**
+ * Read the app's sent messages and list them
+ * @returns {Promise} Resolves when the list is up to date
+ */
+function loadOutboxMessages() {
+  return Database.getMessages(messageOutboxState.app.id)
+    .then(messages => {
+      messageOutboxState.messages = messages;
+      renderOutboxList();
+    });
+}
+
+/**
+ * Show a message the MIDlet has just sent if its Outbox is open
+ * @param {Object} message - Message, with its appId
+ */
+function handleOutboxMessageSent(message) {
+  const app = messageOutboxState.app;
+  if (!app || app.id !== message.appId) return;
+
+  messageOutboxState.messages.unshift(message);
+  renderOutboxList();
+}
+
+// ---------------------------------------------------------------------------
+// Outbox
+// ---------------------------------------------------------------------------
+
+/**
+ * Build the rows of the list: writing a message while the app runs,
+ * clearing the Outbox, then each message
+ * @returns {Array} Rows of {label, detail, body, action, message}
+ */
+function getOutboxRows() {
+  const rows = [];
+  if (messageOutboxState.live) {
+    rows.push({ label: 'Write incoming message', action: openMessageComposer });
+  }
+  if (messageOutboxState.messages.length > 0) {
+    rows.push({ label: 'Clear Outbox', action: clearOutboxMessages });
+  }
+
+  messageOutboxState.messages.forEach(message => {
+    rows.push({
+      label: `To ${message.address.replace(/^sms:\/\//i, '')}`,
+      detail: `${new Date(message.timestamp).toLocaleString()} · ${message.segments} SMS`,
+      body: formatOutboxBody(message),
+      className: 'message-row',
+      message: message
+    });
+  });
+
+  return rows;
+}
+
+/**
+ * Render the list
+ */
+function renderOutboxList() {
+  const app = messageOutboxState.app;
+  messageOutboxElements.title.textContent = `${app.name}: ${messageOutboxState.messages.length} sent messages`;
+
+  messageOutboxState.rows = getOutboxRows();
+  messageOutboxElements.list.innerHTML = '';
+
+  if (messageOutboxState.rows.length === 0) {
+    const li = document.createElement('li');
+    li.className = 'no-files';
+    li.textContent = 'No messages sent';
+    messageOutboxElements.list.appendChild(li);
+    return;
+  }
+
+  messageOutboxState.rows.forEach(row => {
+    const li = document.createElement('li');
+    li.className = `focusable ${row.className || ''}`.trim();
+    li.tabIndex = 0;
+
+    const label = document.createElement('span');
+    label.className = 'record-label';
+    label.textContent = row.label;
+    li.appendChild(label);
+
+    if (row.detail) {
+      const detail = document.createElement('span');
+      detail.className = 'record-detail';
+      detail.textContent = row.detail;
+      li.appendChild(detail);
+    }
+
+    if (row.body !== undefined) {
+      const body = document.createElement('div');
+      body.className = 'message-body';
+      body.textContent = row.body;
+      li.appendChild(body);
+    }
+
+    li.addEventListener('click', () => {
+      if (row.action) row.action();
+    });
+    messageOutboxElements.list.appendChild(li);
+  });
+
+  if (window.Navigation && appState.currentScreen === messageOutboxConstants.LIST_ID) {
+    Navigation.init(messageOutboxConstants.LIST_ID);
+  }
+}
+
+/**
+ * Show a message's text, or its bytes in hex
+ * @param {Object} message - Message
+ * @returns {string} Body
+ */
+function formatOutboxBody(message) {
+  if (message.type !== messageOutboxConstants.BINARY) return message.text;
+
+  const hex = Array.from(message.data, byte => byte.toString(16).padStart(2, '0')).join(' ');
+  return `${formatFileSize(message.data.length)}: ${hex}`;
+}
+
+/**
+ * Delete the focused message
+ */
+function deleteFocusedOutboxMessage() {
+  const items = Array.from(messageOutboxElements.list.children);
+  const index = items.findIndex(item => item.classList.contains('focused'));
+  const row = index >= 0 ? messageOutboxState.rows[index] : null;
+  if (!row || !row.message) return;
+
+  if (!confirm(`Delete the message ${row.label.toLowerCase()}?`)) return;
+  Database.deleteMessage(row.message.id)
+    .then(loadOutboxMessages)
+    .catch(error => {
+      console.error('Failed to delete message', error);
+      alert(`Failed to delete message: ${error.message}`);
+    });
+}
+
+/**
+ * Delete all of the app's sent messages after asking the user
+ */
+function clearOutboxMessages() {
+  if (!confirm(`Delete all ${messageOutboxState.messages.length} sent messages?`)) return;
+
+  Database.deleteMessages(messageOutboxState.app.id)
+    .then(loadOutboxMessages)
+    .catch(error => {
+      console.error('Failed to clear Outbox', error);
+      alert(`Failed to clear Outbox: ${error.message}`);
+    });
+}
+
+/**
+ * Leave the Outbox, back to the running app or to the app's details
+ */
+function closeMessageOutbox() {
+  const live = messageOutboxState.live;
+  messageOutboxState.app = null;
+  messageOutboxState.messages = [];
+  navigateToScreen(live ? 'emulator-screen' : 'app-details');
+}
+
+// ---------------------------------------------------------------------------
+// Incoming messages
+// ---------------------------------------------------------------------------
+
+/**
+ * Open the form for an incoming message
+ */
+function openMessageComposer() {
+  navigateToScreen(messageOutboxConstants.COMPOSER_ID);
+}
+
+/**
+ * Read the form into an incoming message
+ * @returns {Object} {address, port, type, text, data}
+ */
+function readMessageComposer() {
+  const sender = messageOutboxElements.sender.value.trim().replace(/^sms:\/\//i, '');
+  if (!/^\+?\d+$/.test(sender)) throw new Error('Enter the sender as a phone number, e.g. +15550100');
+
+  const portText = messageOutboxElements.port.value.trim();
+  const port = portText === '' ? null : Number(portText);
+  if (port !== null && !(Number.isInteger(port) && port >= 0 && port <= 65535)) {
+    throw new Error('Enter a port from 0 to 65535, or leave it empty');
+  }
+
+  const message = {
+    address: `sms://${sender}`,
+    port: port,
+    type: messageOutboxElements.type.value,
+    text: null,
+    data: null
+  };
+
+  if (message.type === messageOutboxConstants.BINARY) {
+    const hex = messageOutboxElements.body.value.replace(/\s+/g, '');
+    if (!/^([0-9a-fA-F]{2})*$/.test(hex)) throw new Error('Enter binary messages as pairs of hex digits');
+    message.data = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < message.data.length; i++) {
+      message.data[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+  } else {
+    message.text = messageOutboxElements.body.value;
+  }
+  return message;
+}
+
+/**
+ * Send the written message to the running MIDlet and return to it
+ */
+function sendComposedMessage() {
+  let message;
+  try {
+    message = readMessageComposer();
+  } catch (error) {
+    alert(error.message);
+    return;
+  }
+
+  EmulatorCore.deliverMessage(message)
+    .then(port => {
+      console.log(`Delivered a message from ${message.address} to port ${port}`);
+      messageOutboxElements.body.value = '';
+      messageOutboxState.app = null;
+      messageOutboxState.messages = [];
+      navigateToScreen('emulator-screen');
+    })
+    .catch(error => {
+      console.error('Failed to deliver message', error);
+      alert(`Failed to deliver message: ${error.message}`);
+    });
+}
+
+/**
+ * Go back from the form to the Outbox
+ */
+function closeMessageComposer() {
+  navigateToScreen(messageOutboxConstants.LIST_ID);
+}
+
+MidletMessages.setListener(handleOutboxMessageSent);
+
+// Export functions for use in other modules
+window.MessageOutbox = {
+  open: openMessageOutbox,
+  close: closeMessageOutbox,
+  deleteFocused: deleteFocusedOutboxMessage,
+  openComposer: openMessageComposer,
+  send: sendComposedMessage,
+  closeComposer: closeMessageComposer
+};
@@ -0,0 +1,468 @@
+/**
+ * J2ME Loader for CloudFone
+ * MIDI file and tone sequence reader
+ *
+ * Reads Standard MIDI Files (types 0, 1 and 2) and MMAPI tone sequences
+ * (the audio/x-tone-seq format of ToneControl) into a list of notes with
+ * their start times and lengths in seconds, ready for MidiSynth to play.
+ * The VM worker uses the same lists to find how long a sequence is.
+ *
+ * Program changes, channel volume and expression are applied to the notes
+ * as they start; pitch bend, pan and the other controllers are ignored.
+ * Tone sequences play as square-wave notes on channel 0.
+ */
+
+// Sequence reader constants
+const midiSequenceConstants = {
+  // Channel the General MIDI percussion is on
+  DRUM_CHANNEL: 9,
+
+  // General MIDI program tone sequences play with: Lead 1 (square)
+  TONE_PROGRAM: 80,
+
+  // Tempo until a MIDI file sets one, in microseconds per quarter note
+  DEFAULT_TEMPO: 500000,
+
+  // ToneControl reserved values
+  TONE_VERSION: -2,
+  TONE_TEMPO: -3,
+  TONE_RESOLUTION: -4,
+  TONE_BLOCK_START: -5,
+  TONE_BLOCK_END: -6,
+  TONE_PLAY_BLOCK: -7,
+  TONE_SET_VOLUME: -8,
+  TONE_REPEAT: -9,
+  TONE_SILENCE: -1,
+
+  // Tone sequence defaults: tempo modifier 30 is 120 beats per minute, and
+  // a resolution of 64 makes a duration of 16 a quarter note
+  TONE_DEFAULT_TEMPO: 30,
+  TONE_DEFAULT_RESOLUTION: 64,
+
+  // How deeply tone sequence blocks may play one another
+  TONE_MAX_NESTING: 16
+};
+
+// ---------------------------------------------------------------------------
+// Standard MIDI Files
+// ---------------------------------------------------------------------------
+
+/**
+ * Read a Standard MIDI File
+ * @param {Uint8Array} bytes - File contents
+ * @returns {Object} {duration, notes} with times in seconds; each note is
+ *   {time, duration, channel, note, velocity 0-1, program}
+ */
+function parseMidiFile(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+  if (bytes.length < 14 || readMidiChunkId(bytes, 0) !== 'MThd') {
+    throw new Error('Not a MIDI file');
+  }
+
+  const division = view.getUint16(12);
+  if (division === 0) throw new Error('Invalid MIDI time division');
+  const trackCount = view.getUint16(10);
+  const events = [];
+  let lastTick = 0;
+  let offset = 8 + view.getUint32(4);
+  let track = 0;
+
+  while (track < trackCount && offset + 8 <= bytes.length) {
+    const length = view.getUint32(offset + 4);
+    const end = offset + 8 + length;
+    if (end > bytes.length) throw new Error('Truncated MIDI track');
+
+    if (readMidiChunkId(bytes, offset) === 'MTrk') {
+      lastTick = Math.max(lastTick, readMidiTrack(bytes, offset + 8, end, events));
+      track++;
+    }
+    offset = end;
+  }
+
+  // Tracks play together; events at the same tick keep their file order
+  events.sort((a, b) => a.tick - b.tick || a.order - b.order);
+
+  return playMidiEvents(events, lastTick, division);
+}
+
+/**
+ * Read the four-letter id of a chunk
+ * @param {Uint8Array} bytes - File contents
+ * @param {number} offset - Start of the chunk
+ * @returns {string} Chunk id
+ */
+function readMidiChunkId(bytes, offset) {
+  return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+}
+
+/**
+ * Read the events of one track
+ * @param {Uint8Array} bytes - File contents
+ * @param {number} position - First byte of the track's events
+ * @param {number} end - End of the track
+ * @param {Array} events - Receives {tick, order, status, data1, data2} and
+ *   {tick, order, tempo} events
+ * @returns {number} Tick the track ends at
+ */
+function readMidiTrack(bytes, position, end, events) {
+  const reader = { bytes: bytes, position: position, end: end };
+  let tick = 0;
+  let running = 0;
+
+  while (reader.position < end) {
+    tick += readMidiVariable(reader);
+
+    let status = readMidiByte(reader);
+    if (status < 0x80) {
+      // Running status: the byte read was the first data byte
+      if (running === 0) throw new Error('MIDI data without a status');
+      status = running;
+      reader.position--;
+    } else if (status < 0xf0) {
+      running = status;
+    }
+
+    if (status === 0xff) {
+      const type = readMidiByte(reader);
+      const length = readMidiVariable(reader);
+      if (reader.position + length > end) throw new Error('Truncated MIDI meta event');
+
+      if (type === 0x51 && length >= 3) {
+        const tempo = bytes[reader.position] << 16 | bytes[reader.position + 1] << 8 | bytes[reader.position + 2];
+        events.push({ tick: tick, order: events.length, tempo: tempo });
+      }
+      reader.position += length;
+      if (type === 0x2f) break;
+    } else if (status === 0xf0 || status === 0xf7) {
+      reader.position += readMidiVariable(reader);
+    } else {
+      const kind = status & 0xf0;
+      const data1 = readMidiByte(reader);
+      const data2 = kind === 0xc0 || kind === 0xd0 ? 0 : readMidiByte(reader);
+      events.push({ tick: tick, order: events.length, status: status, data1: data1, data2: data2 });
+    }
+  }
+  return tick;
+}
+
+/**
+ * Read a byte of a track
+ * @param {Object} reader - {bytes, position, end}
+ * @returns {number} Byte
+ */
+function readMidiByte(reader) {
+  if (reader.position >= reader.end) throw new Error('Truncated MIDI event');
+  return reader.bytes[reader.position++];
+}
+
+/**
+ * Read a variable-length quantity of up to four bytes
+ * @param {Object} reader - {bytes, position, end}
+ * @returns {number} Value
+ */
+function readMidiVariable(reader) {
+  let value = 0;
+  for (let i = 0; i < 4; i++) {
+    const byte = readMidiByte(reader);
+    value = value * 128 + (byte & 0x7f);
+    if (byte < 0x80) return value;
+  }
+  throw new Error('Invalid MIDI variable-length value');
+}
+
+/**
+ * Turn the merged events of a MIDI file into timed notes
+ * @param {Array} events - Events in playing order
+ * @param {number} lastTick - Tick the longest track ends at
+ * @param {number} division - Ticks per quarter note, or SMPTE timing when
+ *   the top bit is set
+ * @returns {Object} {duration, notes}
+ */
+function playMidiEvents(events, lastTick, division) {
+  // SMPTE timing counts ticks per frame at a fixed frame rate
+  const smpte = (division & 0x8000) !== 0;
+  const ticksPerSecond = smpte ? (256 - (division >> 8)) * (division & 0xff) : 0;
+  let secondsPerTick = smpte ? 1 / ticksPerSecond : midiSequenceConstants.DEFAULT_TEMPO / 1000000 / division;
+
+  const channels = [];
+  for (let i = 0; i < 16; i++) {
+    channels.push({ program: 0, volume: 100 / 127, expression: 1, sounding: new Map() });
+  }
+
+  const notes = [];
+  let time = 0;
+  let tick = 0;
+
+  events.forEach(event => {
+    time += (event.tick - tick) * secondsPerTick;
+    tick = event.tick;
+
+    if (event.tempo !== undefined) {
+      if (!smpte && event.tempo > 0) secondsPerTick = event.tempo / 1000000 / division;
+      return;
+    }
+
+    const channel = channels[event.status & 0x0f];
+    switch (event.status & 0xf0) {
+      case 0x90:
+        if (event.data2 > 0) {
+          startMidiNote(channel, event.status & 0x0f, event.data1, event.data2, time);
+          break;
+        }
+        // A note-on with no velocity is a note-off
+        endMidiNote(channel, event.data1, time, notes);
+        break;
+      case 0x80:
+        endMidiNote(channel, event.data1, time, notes);
+        break;
+      case 0xb0:
+        applyMidiController(channel, event.data1, event.data2, time, notes);
+        break;
+      case 0xc0:
+        channel.program = event.data1;
+        break;
+    }
+  });
+
+  const duration = time + (lastTick - tick) * secondsPerTick;
+  channels.forEach(channel => endAllMidiNotes(channel, duration, notes));
+
+  notes.sort((a, b) => a.time - b.time);
+  return { duration: duration, notes: notes };
+}
+
+/**
+ * Start a note on a channel
+ * @param {Object} channel - Channel state
+ * @param {number} number - Channel number
+ * @param {number} note - Note number
+ * @param {number} velocity - Velocity 1-127
+ * @param {number} time - Start time in seconds
+ */
+function startMidiNote(channel, number, note, velocity, time) {
+  const started = {
+    time: time,
+    duration: 0,
+    channel: number,
+    note: note,
+    velocity: velocity / 127 * channel.volume * channel.expression,
+    program: channel.program
+  };
+
+  // The same note can be struck again before it is released
+  if (!channel.sounding.has(note)) channel.sounding.set(note, []);
+  channel.sounding.get(note).push(started);
+}
+
+/**
+ * Release the earliest sounding instance of a note
+ * @param {Object} channel - Channel state
+ * @param {number} note - Note number
+ * @param {number} time - Release time in seconds
+ * @param {Array} notes - Receives the finished note
+ */
+function endMidiNote(channel, note, time, notes) {
+  const sounding = channel.sounding.get(note);
+  if (!sounding || sounding.length === 0) return;
+
+  const started = sounding.shift();
+  started.duration = time - started.time;
+  notes.push(started);
+}
+
+/**
+ * Release every note sounding on a channel
+ * @param {Object} channel - Channel state
+ * @param {number} time - Release time in seconds
+ * @param {Array} notes - Receives the finished notes
+ */
+function endAllMidiNotes(channel, time, notes) {
+  channel.sounding.forEach((sounding, note) => {
+    while (sounding.length > 0) endMidiNote(channel, note, time, notes);
+  });
+}
+
+/**
+ * Apply a control change
+ * @param {Object} channel - Channel state
+ * @param {number} controller - Controller number
+ * @param {number} value - Value 0-127
+ * @param {number} time - Time in seconds
+ * @param {Array} notes - Receives notes the change ends
+ */
+function applyMidiController(channel, controller, value, time, notes) {
+  switch (controller) {
+    case 7:
+      channel.volume = value / 127;
+      break;
+    case 11:
+      channel.expression = value / 127;
+      break;
+    case 121:
+      channel.volume = 100 / 127;
+      channel.expression = 1;
+      break;
+    case 120:
+    case 123:
+      endAllMidiNotes(channel, time, notes);
+      break;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Tone sequences
+// ---------------------------------------------------------------------------
+
+/**
+ * Read an MMAPI tone sequence
+ * @param {Uint8Array|Int8Array} bytes - Sequence
+ * @returns {Object} {duration, notes} with times in seconds, as for MIDI
+ *   files
+ */
+function parseToneSequence(bytes) {
+  const constants = midiSequenceConstants;
+  const sequence = {
+    bytes: Int8Array.from(bytes, value => (value << 24) >> 24),
+    blocks: new Map(),
+    secondsPerUnit: 0,
+    volume: 1,
+    time: 0,
+    notes: []
+  };
+  const values = sequence.bytes;
+
+  if (values[0] !== constants.TONE_VERSION || values[1] !== 1) {
+    throw new Error('Tone sequence must start with version 1');
+  }
+  let position = 2;
+
+  let tempo = constants.TONE_DEFAULT_TEMPO;
+  if (values[position] === constants.TONE_TEMPO) {
+    tempo = readToneValue(values, position + 1, 5, 127, 'tempo');
+    position += 2;
+  }
+  let resolution = constants.TONE_DEFAULT_RESOLUTION;
+  if (values[position] === constants.TONE_RESOLUTION) {
+    resolution = readToneValue(values, position + 1, 1, 127, 'resolution');
+    position += 2;
+  }
+
+  // A duration unit is 1/resolution of a whole note of four beats at
+  // tempo * 4 beats per minute
+  sequence.secondsPerUnit = 60 / (tempo * resolution);
+
+  while (values[position] === constants.TONE_BLOCK_START) {
+    const number = readToneValue(values, position + 1, 0, 127, 'block number');
+    const start = position + 2;
+    const end = skipToneEvents(values, start, number);
+    sequence.blocks.set(number, { start: start, end: end });
+    position = end + 2;
+  }
+
+  if (position >= values.length) throw new Error('Tone sequence has no events');
+  playToneEvents(sequence, position, values.length, 0);
+
+  return { duration: sequence.time, notes: sequence.notes };
+}
+
+/**
+ * Read a value of a tone sequence and check its range
+ * @param {Int8Array} values - Sequence
+ * @param {number} position - Index of the value
+ * @param {number} min - Smallest valid value
+ * @param {number} max - Largest valid value
+ * @param {string} name - What the value is, for the error
+ * @returns {number} Value
+ */
+function readToneValue(values, position, min, max, name) {
+  if (position >= values.length) throw new Error('Truncated tone sequence');
+  const value = values[position];
+  if (value < min || value > max) throw new Error(`Invalid tone sequence ${name}: ${value}`);
+  return value;
+}
+
+/**
+ * Find the end of a block definition
+ * @param {Int8Array} values - Sequence
+ * @param {number} position - First event of the block
+ * @param {number} number - Block number
+ * @returns {number} Index of the block's BLOCK_END
+ */
+function skipToneEvents(values, position, number) {
+  const constants = midiSequenceConstants;
+  while (position < values.length) {
+    const value = values[position];
+    if (value === constants.TONE_BLOCK_END) {
+      if (values[position + 1] !== number) throw new Error(`Tone sequence block ${number} ends as another`);
+      return position;
+    }
+    position += value === constants.TONE_REPEAT ? 4 : 2;
+  }
+  throw new Error(`Tone sequence block ${number} has no end`);
+}
+
+/**
+ * Play the events between two positions into the sequence's notes
+ * @param {Object} sequence - Sequence being read
+ * @param {number} position - First event
+ * @param {number} end - End of the events
+ * @param {number} depth - How many blocks are playing this one
+ */
+function playToneEvents(sequence, position, end, depth) {
+  const constants = midiSequenceConstants;
+  const values = sequence.bytes;
+  if (depth > constants.TONE_MAX_NESTING) throw new Error('Tone sequence blocks nest too deeply');
+
+  while (position < end) {
+    const value = values[position];
+    if (value >= constants.TONE_SILENCE) {
+      playToneNote(sequence, value, readToneValue(values, position + 1, 1, 127, 'duration'));
+      position += 2;
+    } else if (value === constants.TONE_PLAY_BLOCK) {
+      const number = readToneValue(values, position + 1, 0, 127, 'block number');
+      const block = sequence.blocks.get(number);
+      if (!block) throw new Error(`Tone sequence block ${number} is not defined`);
+      playToneEvents(sequence, block.start, block.end, depth + 1);
+      position += 2;
+    } else if (value === constants.TONE_SET_VOLUME) {
+      sequence.volume = readToneValue(values, position + 1, 0, 100, 'volume') / 100;
+      position += 2;
+    } else if (value === constants.TONE_REPEAT) {
+      const count = readToneValue(values, position + 1, 2, 127, 'repeat count');
+      const note = readToneValue(values, position + 2, constants.TONE_SILENCE, 127, 'note');
+      const duration = readToneValue(values, position + 3, 1, 127, 'duration');
+      for (let i = 0; i < count; i++) playToneNote(sequence, note, duration);
+      position += 4;
+    } else {
+      throw new Error(`Invalid tone sequence event: ${value}`);
+    }
+  }
+}
+
+/**
+ * Add a note, or a rest, to a tone sequence
+ * @param {Object} sequence - Sequence being read
+ * @param {number} note - Note number, or SILENCE
+ * @param {number} duration - Length in resolution units
+ */
+function playToneNote(sequence, note, duration) {
+  const seconds = duration * sequence.secondsPerUnit;
+  if (note !== midiSequenceConstants.TONE_SILENCE && sequence.volume > 0) {
+    sequence.notes.push({
+      time: sequence.time,
+      duration: seconds,
+      channel: 0,
+      note: note,
+      velocity: sequence.volume,
+      program: midiSequenceConstants.TONE_PROGRAM
+    });
+  }
+  sequence.time += seconds;
+}
+
+// Export functions for use in other modules
+window.MidiSequence = {
+  constants: midiSequenceConstants,
+  parseMidi: parseMidiFile,
+  parseToneSequence: parseToneSequence
+};
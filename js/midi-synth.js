@@ -0,0 +1,210 @@
+/**
+ * J2ME Loader for CloudFone
+ * General MIDI software synthesizer
+ *
+ * Plays the notes MidiSequence reads from MIDI files and tone sequences
+ * with Web Audio oscillators and noise, so music plays the same in every
+ * browser whether or not it has a MIDI synthesizer of its own. The built-in
+ * soundfont is a table of oscillator patches, one per General MIDI family
+ * of eight programs, and a small percussion kit for channel 10.
+ *
+ * Whole sequences are rendered ahead into an AudioBuffer so that the
+ * MIDlet's Players can start, stop, seek and loop them like any other
+ * sound; single notes from Manager.playTone play live.
+ */
+
+// Synthesizer constants
+const midiSynthConstants = {
+  // Rate sequences are rendered at; enough for phone music
+  SAMPLE_RATE: 22050,
+
+  // Gain of a note at full velocity, leaving room for chords
+  VOICE_GAIN: 0.2,
+
+  // Length of the noise drums are made of, in seconds
+  NOISE_LENGTH: 1,
+
+  // Patches by General MIDI family (program >> 3): oscillator wave, attack
+  // time, decay time constant, sustain level, release time constant, all
+  // in seconds, and the low-pass cutoff as a multiple of the note's pitch
+  PATCHES: [
+    { wave: 'triangle', attack: 0.005, decay: 0.6, sustain: 0.2, release: 0.2, cutoff: 8 },  // Piano
+    { wave: 'sine', attack: 0.002, decay: 0.3, sustain: 0, release: 0.3, cutoff: 16 },       // Chromatic percussion
+    { wave: 'square', attack: 0.01, decay: 0.1, sustain: 0.8, release: 0.05, cutoff: 6 },    // Organ
+    { wave: 'sawtooth', attack: 0.003, decay: 0.4, sustain: 0.15, release: 0.1, cutoff: 5 }, // Guitar
+    { wave: 'triangle', attack: 0.005, decay: 0.3, sustain: 0.5, release: 0.05, cutoff: 4 }, // Bass
+    { wave: 'sawtooth', attack: 0.08, decay: 0.3, sustain: 0.8, release: 0.2, cutoff: 4 },   // Strings
+    { wave: 'sawtooth', attack: 0.1, decay: 0.4, sustain: 0.7, release: 0.3, cutoff: 3 },    // Ensemble
+    { wave: 'sawtooth', attack: 0.03, decay: 0.2, sustain: 0.7, release: 0.1, cutoff: 6 },   // Brass
+    { wave: 'square', attack: 0.03, decay: 0.2, sustain: 0.7, release: 0.08, cutoff: 4 },    // Reed
+    { wave: 'sine', attack: 0.04, decay: 0.2, sustain: 0.8, release: 0.1, cutoff: 8 },       // Pipe
+    { wave: 'square', attack: 0.002, decay: 0.1, sustain: 0.9, release: 0.02, cutoff: 16 },  // Synth lead
+    { wave: 'sawtooth', attack: 0.2, decay: 0.5, sustain: 0.7, release: 0.4, cutoff: 2 },    // Synth pad
+    { wave: 'sawtooth', attack: 0.05, decay: 0.5, sustain: 0.5, release: 0.3, cutoff: 3 },   // Synth effects
+    { wave: 'triangle', attack: 0.003, decay: 0.4, sustain: 0.2, release: 0.15, cutoff: 8 }, // Ethnic
+    { wave: 'sine', attack: 0.002, decay: 0.15, sustain: 0, release: 0.1, cutoff: 8 },       // Percussive
+    { wave: 'sawtooth', attack: 0.01, decay: 0.3, sustain: 0.3, release: 0.2, cutoff: 2 }    // Sound effects
+  ],
+
+  // Percussion by General MIDI note: a pitch sweep in Hz, filtered noise,
+  // and how long the hit lasts in seconds. Notes not listed play DRUM
+  DRUM_KIT: {
+    35: 'kick', 36: 'kick',
+    37: 'snare', 38: 'snare', 39: 'snare', 40: 'snare',
+    41: 'lowTom', 43: 'lowTom', 45: 'midTom', 47: 'midTom', 48: 'highTom', 50: 'highTom',
+    42: 'closedHat', 44: 'closedHat', 46: 'openHat',
+    49: 'cymbal', 51: 'cymbal', 52: 'cymbal', 53: 'cymbal', 55: 'cymbal', 57: 'cymbal', 59: 'cymbal'
+  },
+  DRUMS: {
+    kick: { sweep: [150, 45], noise: null, length: 0.25 },
+    snare: { sweep: [190, 160], noise: { type: 'highpass', frequency: 1500 }, length: 0.2 },
+    lowTom: { sweep: [110, 70], noise: null, length: 0.3 },
+    midTom: { sweep: [150, 95], noise: null, length: 0.3 },
+    highTom: { sweep: [200, 130], noise: null, length: 0.25 },
+    closedHat: { sweep: null, noise: { type: 'highpass', frequency: 8000 }, length: 0.05 },
+    openHat: { sweep: null, noise: { type: 'highpass', frequency: 8000 }, length: 0.3 },
+    cymbal: { sweep: null, noise: { type: 'highpass', frequency: 5000 }, length: 1 }
+  },
+  DRUM: { sweep: null, noise: { type: 'bandpass', frequency: 2000 }, length: 0.1 }
+};
+
+// Noise buffers by audio context
+const midiSynthNoise = new WeakMap();
+
+/**
+ * Render a sequence into a sound
+ * @param {Object} sequence - {duration, notes} from MidiSequence
+ * @returns {Promise<AudioBuffer>} The rendered sound, exactly as long as
+ *   the sequence
+ */
+function renderMidiSynth(sequence) {
+  const OfflineAudioContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  const rate = midiSynthConstants.SAMPLE_RATE;
+  const context = new OfflineAudioContext(1, Math.max(1, Math.ceil(sequence.duration * rate)), rate);
+
+  // Channels mix into a compressor so that busy passages don't clip
+  const mixer = context.createDynamicsCompressor();
+  mixer.connect(context.destination);
+  const channels = [];
+  for (let i = 0; i < 16; i++) {
+    channels.push(context.createGain());
+    channels[i].connect(mixer);
+  }
+
+  sequence.notes.forEach(note => playMidiSynthNote(context, channels[note.channel], note, note.time));
+
+  return new Promise((resolve, reject) => {
+    context.oncomplete = event => resolve(event.renderedBuffer);
+
+    // Older browsers only report through oncomplete
+    const rendering = context.startRendering();
+    if (rendering) rendering.catch(reject);
+  });
+}
+
+/**
+ * Schedule a note
+ * @param {BaseAudioContext} context - Audio context
+ * @param {AudioNode} destination - Where the note plays to
+ * @param {Object} note - {duration, channel, note, velocity, program}
+ * @param {number} [when] - Context time to start at; now if omitted
+ */
+function playMidiSynthNote(context, destination, note, when = context.currentTime) {
+  if (note.channel === MidiSequence.constants.DRUM_CHANNEL) {
+    playMidiSynthDrum(context, destination, note, when);
+    return;
+  }
+
+  const patch = midiSynthConstants.PATCHES[note.program >> 3];
+  const frequency = 440 * Math.pow(2, (note.note - 69) / 12);
+  const peak = note.velocity * midiSynthConstants.VOICE_GAIN;
+  const end = when + note.duration;
+
+  const oscillator = context.createOscillator();
+  oscillator.type = patch.wave;
+  oscillator.frequency.value = frequency;
+
+  const filter = context.createBiquadFilter();
+  filter.type = 'lowpass';
+  filter.frequency.value = Math.min(frequency * patch.cutoff, context.sampleRate / 2);
+
+  // Attack, then decay towards the sustain level until the note is released
+  const gain = context.createGain();
+  const decayStart = when + Math.min(patch.attack, note.duration);
+  gain.gain.setValueAtTime(0, when);
+  gain.gain.linearRampToValueAtTime(peak, decayStart);
+  gain.gain.setTargetAtTime(peak * patch.sustain, decayStart, patch.decay);
+  gain.gain.setTargetAtTime(0, end, patch.release);
+
+  oscillator.connect(filter);
+  filter.connect(gain);
+  gain.connect(destination);
+  oscillator.start(when);
+  oscillator.stop(end + patch.release * 5);
+}
+
+/**
+ * Schedule a percussion hit
+ * @param {BaseAudioContext} context - Audio context
+ * @param {AudioNode} destination - Where the hit plays to
+ * @param {Object} note - {note, velocity}
+ * @param {number} when - Context time to start at
+ */
+function playMidiSynthDrum(context, destination, note, when) {
+  const constants = midiSynthConstants;
+  const drum = constants.DRUMS[constants.DRUM_KIT[note.note]] || constants.DRUM;
+  const end = when + drum.length;
+
+  // Drums ring for their own length whatever the note's length
+  const gain = context.createGain();
+  gain.gain.setValueAtTime(note.velocity * constants.VOICE_GAIN * 2, when);
+  gain.gain.exponentialRampToValueAtTime(0.001, end);
+  gain.connect(destination);
+
+  if (drum.sweep) {
+    const oscillator = context.createOscillator();
+    oscillator.frequency.setValueAtTime(drum.sweep[0], when);
+    oscillator.frequency.exponentialRampToValueAtTime(drum.sweep[1], end);
+    oscillator.connect(gain);
+    oscillator.start(when);
+    oscillator.stop(end);
+  }
+
+  if (drum.noise) {
+    const source = context.createBufferSource();
+    source.buffer = getMidiSynthNoise(context);
+    source.loop = true;
+
+    const filter = context.createBiquadFilter();
+    filter.type = drum.noise.type;
+    filter.frequency.value = Math.min(drum.noise.frequency, context.sampleRate / 2);
+
+    source.connect(filter);
+    filter.connect(gain);
+    source.start(when);
+    source.stop(end);
+  }
+}
+
+/**
+ * Get the white noise drums are made of, creating it once per context
+ * @param {BaseAudioContext} context - Audio context
+ * @returns {AudioBuffer} Noise
+ */
+function getMidiSynthNoise(context) {
+  let noise = midiSynthNoise.get(context);
+  if (!noise) {
+    noise = context.createBuffer(1, Math.ceil(context.sampleRate * midiSynthConstants.NOISE_LENGTH), context.sampleRate);
+    const samples = noise.getChannelData(0);
+    for (let i = 0; i < samples.length; i++) samples[i] = Math.random() * 2 - 1;
+    midiSynthNoise.set(context, noise);
+  }
+  return noise;
+}
+
+// Export functions for use in other modules
+window.MidiSynth = {
+  constants: midiSynthConstants,
+  render: renderMidiSynth,
+  playNote: playMidiSynthNote
+};
@@ -0,0 +1,216 @@
+/**
+ * J2ME Loader for CloudFone
+ * Sound of the MIDlet's Players
+ *
+ * Plays what the MIDlet's javax.microedition.media Players are playing
+ * through Web Audio. The VM worker keeps each Player's state and clock and
+ * posts {action, id, ...} commands: load decodes a sound, start plays it
+ * from an offset for a number of loops, stop, volume and release do what
+ * they say, and tone plays a Manager.playTone note. MIDI files and tone
+ * sequences are rendered by MidiSynth, everything else is decoded by the
+ * browser. Sounds that can't be decoded are skipped; the Player still runs
+ * in silence.
+ *
+ * Nothing is played when the app's sound setting is off, and everything
+ * stops, with the audio context suspended, when the emulator stops.
+ */
+
+// MIDlet audio state
+const midletAudioState = {
+  context: null,
+  enabled: false,
+  sounds: new Map()
+};
+
+/**
+ * Turn sound on or off for the MIDlet about to run
+ * @param {boolean} enabled - The app's sound setting
+ */
+function configureMidletAudio(enabled) {
+  midletAudioState.enabled = enabled;
+  if (!enabled) return;
+
+  const AudioContext = window.AudioContext || window.webkitAudioContext;
+  if (!midletAudioState.context && AudioContext) {
+    midletAudioState.context = new AudioContext();
+  }
+  if (midletAudioState.context && midletAudioState.context.state === 'suspended') {
+    midletAudioState.context.resume();
+  }
+}
+
+/**
+ * Carry out a command from the VM worker
+ * @param {Object} command - {action, id, ...} from MidpMedia
+ */
+function playMidletAudio(command) {
+  if (!midletAudioState.enabled || !midletAudioState.context) return;
+
+  const sound = midletAudioState.sounds.get(command.id);
+  switch (command.action) {
+    case 'load':
+      loadMidletSound(command);
+      break;
+    case 'start':
+      if (sound) startMidletSound(sound, command.offset, command.loops);
+      break;
+    case 'stop':
+      if (sound) stopMidletSound(sound);
+      break;
+    case 'volume':
+      if (sound) sound.gain.gain.value = command.muted ? 0 : command.level / 100;
+      break;
+    case 'release':
+      if (sound) releaseMidletSound(command.id);
+      break;
+    case 'tone':
+      playMidletTone(command);
+      break;
+    default:
+      console.warn(`Unknown audio command: ${command.action}`);
+  }
+}
+
+/**
+ * Start decoding a Player's sound
+ * @param {Object} command - {id, contentType, data}
+ */
+function loadMidletSound(command) {
+  releaseMidletSound(command.id);
+
+  const context = midletAudioState.context;
+  const sound = {
+    buffer: null,
+    ready: null,
+    source: null,
+    playing: null,
+    gain: context.createGain()
+  };
+  sound.gain.connect(context.destination);
+
+  sound.ready = decodeMidletSound(command)
+    .then(buffer => {
+      sound.buffer = buffer;
+    })
+    .catch(error => {
+      console.warn(`Can't play ${command.contentType} sound`, error);
+    });
+  midletAudioState.sounds.set(command.id, sound);
+}
+
+/**
+ * Turn a Player's sound into samples
+ * @param {Object} command - {contentType, data}
+ * @returns {Promise<AudioBuffer>} Decoded sound
+ */
+function decodeMidletSound(command) {
+  const context = midletAudioState.context;
+  return new Promise((resolve, reject) => {
+    switch (command.contentType) {
+      case 'audio/midi':
+        resolve(MidiSynth.render(MidiSequence.parseMidi(new Uint8Array(command.data))));
+        break;
+      case 'audio/x-tone-seq':
+        resolve(MidiSynth.render(MidiSequence.parseToneSequence(new Uint8Array(command.data))));
+        break;
+      default:
+        context.decodeAudioData(command.data, resolve, reject);
+    }
+  });
+}
+
+/**
+ * Play a single note for Manager.playTone
+ * @param {Object} command - {note, duration in seconds, volume 0-100}
+ */
+function playMidletTone(command) {
+  MidiSynth.playNote(midletAudioState.context, midletAudioState.context.destination, {
+    duration: command.duration,
+    channel: 0,
+    note: command.note,
+    velocity: command.volume / 100,
+    program: MidiSequence.constants.TONE_PROGRAM
+  });
+}
+
+/**
+ * Play a sound once it is decoded
+ * @param {Object} sound - Sound
+ * @param {number} offset - Where to start, in seconds
+ * @param {number} loops - Plays left counting the current one, or -1 to
+ *   loop until stopped
+ */
+function startMidletSound(sound, offset, loops) {
+  stopMidletSound(sound);
+
+  const context = midletAudioState.context;
+  const playing = { requestedAt: context.currentTime };
+  sound.playing = playing;
+
+  sound.ready.then(() => {
+    const buffer = sound.buffer;
+    if (sound.playing !== playing || !buffer || buffer.duration === 0) return;
+
+    // Catch up with the time spent decoding, as the Player's clock did
+    const position = offset + (context.currentTime - playing.requestedAt);
+    const remaining = loops * buffer.duration - position;
+    if (loops !== -1 && remaining <= 0) return;
+
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    source.loop = loops !== 1;
+    source.connect(sound.gain);
+    source.start(0, position % buffer.duration);
+    if (loops !== -1) source.stop(context.currentTime + remaining);
+    sound.source = source;
+  });
+}
+
+/**
+ * Stop a sound where it is
+ * @param {Object} sound - Sound
+ */
+function stopMidletSound(sound) {
+  sound.playing = null;
+  if (!sound.source) return;
+
+  try {
+    sound.source.stop();
+  } catch (error) {
+    // It had already finished
+  }
+  sound.source.disconnect();
+  sound.source = null;
+}
+
+/**
+ * Stop a sound and forget it
+ * @param {number} id - Player id
+ */
+function releaseMidletSound(id) {
+  const sound = midletAudioState.sounds.get(id);
+  if (!sound) return;
+
+  stopMidletSound(sound);
+  sound.gain.disconnect();
+  midletAudioState.sounds.delete(id);
+}
+
+/**
+ * Stop every sound and pause audio until the next MIDlet runs
+ */
+function resetMidletAudio() {
+  Array.from(midletAudioState.sounds.keys()).forEach(releaseMidletSound);
+  midletAudioState.enabled = false;
+
+  if (midletAudioState.context && midletAudioState.context.state === 'running') {
+    midletAudioState.context.suspend();
+  }
+}
+
+// Export functions for use in other modules
+window.MidletAudio = {
+  configure: configureMidletAudio,
+  play: playMidletAudio,
+  reset: resetMidletAudio
+};
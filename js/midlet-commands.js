@@ -0,0 +1,236 @@
+/**
+ * J2ME Loader for CloudFone
+ * MIDlet commands on the soft keys
+ *
+ * Places the commands of the MIDlet's current displayable, and those of the
+ * focused form item, on the left and right soft keys the way handsets do:
+ * the most important BACK, CANCEL, STOP or EXIT command goes on the right,
+ * and the left key carries the only other command or opens an options
+ * menu listing all of them. A soft key the MIDlet has no command for keeps
+ * the emulator's own action, except on a full-screen Canvas, which gets the
+ * key itself.
+ */
+
+// MIDlet commands constants
+const midletCommandsConstants = {
+  MENU_ID: 'midlet-menu',
+
+  // Command types that belong on the right soft key
+  NEGATIVE_TYPES: [2, 3, 6, 7],
+
+  OPTIONS_LABEL: 'Options',
+  SELECT_LABEL: 'Select',
+  CANCEL_LABEL: 'Cancel'
+};
+
+// MIDlet commands state
+const midletCommandsState = {
+  menu: null,
+  commands: [],
+  fullScreen: false,
+  menuEntries: null,
+  onCommand: null,
+  onSoftKey: null,
+  onChange: null
+};
+
+/**
+ * Set up the command soft keys
+ * @param {Function} onCommand - Called with the command id, and the item id
+ *   for an item's command, when the user picks one
+ * @param {Function} onSoftKey - Called with 'SOFT_LEFT' or 'SOFT_RIGHT' when a
+ *   full-screen Canvas should get the key itself
+ * @param {Function} onChange - Called whenever the soft keys may have changed
+ */
+function initMidletCommands(onCommand, onSoftKey, onChange) {
+  midletCommandsState.menu = document.getElementById('midlet-menu');
+  midletCommandsState.onCommand = onCommand;
+  midletCommandsState.onSoftKey = onSoftKey;
+  midletCommandsState.onChange = onChange;
+}
+
+/**
+ * Take the commands of a new displayable, or clear them when given null
+ * @param {Object|null} description - {commands, fullScreen} from the worker
+ */
+function showMidletCommands(description) {
+  midletCommandsState.commands = description ? description.commands : [];
+  midletCommandsState.fullScreen = description ? description.fullScreen : false;
+  closeMidletMenu();
+  notifyMidletCommandsChanged();
+}
+
+/**
+ * Tell the launcher to update its soft keys
+ */
+function notifyMidletCommandsChanged() {
+  if (midletCommandsState.onChange) midletCommandsState.onChange();
+}
+
+/**
+ * Get every command on offer, most important first
+ * @returns {Array} Entries of {command, itemId}; itemId is null for the
+ *   displayable's own commands
+ */
+function getMidletCommandEntries() {
+  const entries = midletCommandsState.commands.map(command => ({ command: command, itemId: null }));
+
+  const item = MidletScreen.getFocusedItem();
+  if (item && item.commands) {
+    item.commands.forEach(command => entries.push({ command: command, itemId: item.id }));
+  }
+
+  // Array.prototype.sort is stable, so equal priorities keep their order
+  return entries.sort((a, b) => a.command.priority - b.command.priority);
+}
+
+/**
+ * Get the MIDlet's use of the soft keys
+ * @returns {Object} {left, center, right}, each {label, action} or null
+ *   where the emulator keeps the key
+ */
+function getMidletSoftKeys() {
+  const constants = midletCommandsConstants;
+
+  // The open menu takes all three keys
+  if (midletCommandsState.menuEntries) {
+    const select = { label: constants.SELECT_LABEL, action: () => Navigation.activate(constants.MENU_ID) };
+    return {
+      left: select,
+      center: select,
+      right: { label: constants.CANCEL_LABEL, action: closeMidletMenu }
+    };
+  }
+
+  const entries = getMidletCommandEntries();
+  const right = entries.find(entry => entry.itemId === null &&
+    constants.NEGATIVE_TYPES.includes(entry.command.type));
+  const others = entries.filter(entry => entry !== right);
+
+  let left = null;
+  if (others.length === 1) {
+    left = getMidletCommandKey(others[0]);
+  } else if (others.length > 1) {
+    left = { label: constants.OPTIONS_LABEL, action: () => openMidletMenu(others) };
+  }
+
+  return {
+    left: left || getMidletRawSoftKey('SOFT_LEFT'),
+    center: null,
+    right: right ? getMidletCommandKey(right) : getMidletRawSoftKey('SOFT_RIGHT')
+  };
+}
+
+/**
+ * Make the soft key for a single command
+ * @param {Object} entry - {command, itemId}
+ * @returns {Object} {label, action}
+ */
+function getMidletCommandKey(entry) {
+  return { label: entry.command.label, action: () => pickMidletCommand(entry) };
+}
+
+/**
+ * Make a soft key that goes to a full-screen Canvas as a key press
+ * @param {string} key - 'SOFT_LEFT' or 'SOFT_RIGHT'
+ * @returns {Object|null} {label, action}, or null unless a full-screen Canvas is shown
+ */
+function getMidletRawSoftKey(key) {
+  if (!midletCommandsState.fullScreen) return null;
+  return { label: '', action: () => midletCommandsState.onSoftKey(key) };
+}
+
+/**
+ * Send a command to the MIDlet
+ * @param {Object} entry - {command, itemId}
+ */
+function pickMidletCommand(entry) {
+  closeMidletMenu();
+  if (midletCommandsState.onCommand) midletCommandsState.onCommand(entry.command.id, entry.itemId);
+}
+
+// ---------------------------------------------------------------------------
+// Options menu
+// ---------------------------------------------------------------------------
+
+/**
+ * Open the options menu
+ * @param {Array} entries - {command, itemId} entries to list
+ */
+function openMidletMenu(entries) {
+  const menu = midletCommandsState.menu;
+  if (!menu) return;
+
+  menu.textContent = '';
+  const list = document.createElement('ul');
+  list.className = 'nav-list';
+  entries.forEach(entry => {
+    const row = document.createElement('li');
+    row.className = 'midlet-menu-item focusable';
+    row.tabIndex = 0;
+    row.textContent = entry.command.longLabel || entry.command.label;
+    row.addEventListener('click', () => pickMidletCommand(entry));
+    list.appendChild(row);
+  });
+  menu.appendChild(list);
+  menu.classList.add('active');
+
+  midletCommandsState.menuEntries = entries;
+  Navigation.setFocus(midletCommandsConstants.MENU_ID, 0);
+  notifyMidletCommandsChanged();
+}
+
+/**
+ * Close the options menu if it is open
+ */
+function closeMidletMenu() {
+  if (!midletCommandsState.menuEntries) return;
+
+  midletCommandsState.menuEntries = null;
+  if (midletCommandsState.menu) {
+    midletCommandsState.menu.classList.remove('active');
+    midletCommandsState.menu.textContent = '';
+  }
+  notifyMidletCommandsChanged();
+}
+
+/**
+ * Check whether the options menu is open
+ * @returns {boolean} True while the menu takes the keys
+ */
+function isMidletMenuOpen() {
+  return midletCommandsState.menuEntries !== null;
+}
+
+/**
+ * Handle a key press while the options menu is open
+ * @param {KeyboardEvent} e - Key event
+ */
+function handleMidletMenuKeyDown(e) {
+  const menuId = midletCommandsConstants.MENU_ID;
+  switch (e.key) {
+    case 'ArrowUp':
+      Navigation.prev(menuId);
+      break;
+    case 'ArrowDown':
+      Navigation.next(menuId);
+      break;
+    case 'Enter':
+      Navigation.activate(menuId);
+      break;
+    default:
+      return;
+  }
+  e.preventDefault();
+}
+
+// Export functions for use in other modules
+window.MidletCommands = {
+  init: initMidletCommands,
+  show: showMidletCommands,
+  refresh: notifyMidletCommandsChanged,
+  getSoftKeys: getMidletSoftKeys,
+  isMenuOpen: isMidletMenuOpen,
+  closeMenu: closeMidletMenu,
+  handleKeyDown: handleMidletMenuKeyDown
+};
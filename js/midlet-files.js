@@ -0,0 +1,272 @@
+/**
+ * J2ME Loader for CloudFone
+ * Files of the MIDlet's FileConnections
+ *
+ * Carries out the VM worker's JSR-75 file requests on device storage,
+ * which only the page can reach. MIDlets name files by paths such as
+ * "sdcard/Books/book.txt" whose first segment is a root, one per storage
+ * volume. A sandboxed app has a single root that is really its own folder
+ * under j2me-loader/files/, so it can't see or change anything else.
+ *
+ * Device storage has no directories of its own: a directory exists while
+ * there are files under it, and an empty one is kept by a placeholder file,
+ * as the launcher does for its own folders.
+ */
+
+// MIDlet files constants
+const midletFilesConstants = {
+  PLACEHOLDER: '.placeholder'
+};
+
+// MIDlet files state
+const midletFilesState = {
+  appId: null,
+  sandboxed: true
+};
+
+/**
+ * Set up file access for the MIDlet about to run
+ * @param {string|null} appId - Installed app's ID
+ * @param {boolean} sandboxed - The app's file sandbox setting
+ */
+function configureMidletFiles(appId, sandboxed) {
+  midletFilesState.appId = appId;
+  midletFilesState.sandboxed = sandboxed;
+}
+
+/**
+ * Carry out a file request from the VM worker
+ * @param {Object} request - {action, path, ...} from MidpFile
+ * @returns {Promise} Resolves with the action's result
+ */
+function handleMidletFileRequest(request) {
+  return new Promise(resolve => {
+    const action = midletFilesActions[request.action];
+    if (!action) throw new Error(`Unknown file request: ${request.action}`);
+    resolve(action(request));
+  });
+}
+
+/**
+ * Create an error the VM worker turns into the Java exception of that name
+ * @param {string} name - IOException or SecurityException
+ * @param {string} message - Message
+ * @returns {Error} Error
+ */
+function createMidletFileError(name, message) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+/**
+ * Get the roots the MIDlet can see
+ * @returns {Array<string>} Roots such as "sdcard/"
+ */
+function getMidletFileRoots() {
+  const names = Storage.listStorageNames();
+  return (midletFilesState.sandboxed ? names.slice(0, 1) : names).map(name => `${name}/`);
+}
+
+/**
+ * Find where a MIDlet's path is on device storage
+ * @param {string} path - "root/dir/name", directories ending with a slash
+ * @returns {string} Absolute storage path, starting with the volume name
+ */
+function resolveMidletFile(path) {
+  const segments = path.split('/');
+  const root = `${segments[0]}/`;
+  const rest = segments.slice(1);
+
+  if (rest.some(segment => segment === '.' || segment === '..')) {
+    throw createMidletFileError('SecurityException', `Path leaves its root: ${path}`);
+  }
+  if (!getMidletFileRoots().includes(root)) {
+    throw createMidletFileError('IOException', `No such root: ${root}`);
+  }
+
+  if (!midletFilesState.sandboxed) return `/${root}${rest.join('/')}`;
+  if (!midletFilesState.appId) {
+    throw createMidletFileError('SecurityException', 'Sandboxed files need an installed app');
+  }
+  return `/${root}${Storage.getAppFilesDirectory(midletFilesState.appId)}${rest.join('/')}`;
+}
+
+/**
+ * Check a new name for a file or directory, which must stay in its parent
+ * @param {string} name - Name, without any trailing slash
+ * @returns {string} The name
+ */
+function checkMidletFileName(name) {
+  if (typeof name !== 'string' || name === '' || name === '.' || name === '..' || /[/\\]/.test(name)) {
+    throw createMidletFileError('SecurityException', `Invalid file name: ${name}`);
+  }
+  return name;
+}
+
+/**
+ * Check whether a path is one of the roots
+ * @param {string} path - MIDlet path
+ * @returns {boolean} Whether it names a root
+ */
+function isMidletFileRoot(path) {
+  return path.split('/').filter(segment => segment !== '').length === 1;
+}
+
+/**
+ * List everything under a directory, however deep, placeholders included
+ * @param {string} directory - Absolute storage path ending with a slash
+ * @returns {Promise<Array>} Resolves with file objects, each with its path
+ *   relative to the directory
+ */
+function listMidletDirectory(directory) {
+  const volume = directory.split('/')[1];
+
+  return Storage.listFiles(directory, true)
+    .then(files => files
+      .map(file => {
+        const path = file.path.charAt(0) === '/' ? file.path : `/${volume}/${file.path}`;
+        return Object.assign({}, file, { path: path, relative: path.substring(directory.length) });
+      })
+      .filter(file => file.path.startsWith(directory) && file.relative !== ''));
+}
+
+/**
+ * Read a file the MIDlet asked for
+ * @param {string} path - Absolute storage path
+ * @param {string} [name] - Path to name in errors, so that they don't give
+ *   away where a sandbox is
+ * @returns {Promise<File>} Resolves with the file
+ */
+function getMidletFile(path, name = path) {
+  return Storage.findFile(path).then(file => {
+    if (!file) throw createMidletFileError('IOException', `No such file: ${name}`);
+    return file;
+  });
+}
+
+/**
+ * Copy a file to a new path and delete the original
+ * @param {string} from - Absolute storage path
+ * @param {string} to - Absolute storage path
+ * @returns {Promise} Resolves when the file has moved
+ */
+function moveMidletFile(from, to) {
+  return getMidletFile(from)
+    .then(file => Storage.writeFile(file, to))
+    .then(() => Storage.deleteFile(from));
+}
+
+// File requests by action; each takes the request and returns a promise
+const midletFilesActions = {
+  roots: () => Promise.resolve(getMidletFileRoots()),
+
+  // {exists, directory, size, lastModified} of a path
+  info: request => {
+    const path = resolveMidletFile(request.path);
+    const found = path.endsWith('/') ? Promise.resolve(null) : Storage.findFile(path);
+
+    return found.then(file => {
+      if (file) {
+        return { exists: true, directory: false, size: file.size, lastModified: file.lastModified || 0 };
+      }
+      const directory = path.endsWith('/') ? path : `${path}/`;
+      return listMidletDirectory(directory).then(files => ({
+        exists: files.length > 0 || isMidletFileRoot(request.path),
+        directory: files.length > 0 || path.endsWith('/') || isMidletFileRoot(request.path),
+        size: 0,
+        lastModified: 0
+      }));
+    });
+  },
+
+  // Names in a directory, subdirectories ending with a slash
+  list: request => {
+    return listMidletDirectory(resolveMidletFile(request.path)).then(files => {
+      const names = new Set();
+      files.forEach(file => {
+        const slash = file.relative.indexOf('/');
+        if (slash >= 0) {
+          names.add(file.relative.substring(0, slash + 1));
+        } else if (file.relative !== midletFilesConstants.PLACEHOLDER) {
+          names.add(file.relative);
+        }
+      });
+      return Array.from(names).sort();
+    });
+  },
+
+  read: request => getMidletFile(resolveMidletFile(request.path), request.path).then(Storage.readFile),
+
+  write: request => Storage.writeFile(new Blob([request.data]), resolveMidletFile(request.path)),
+
+  mkdir: request => {
+    const path = resolveMidletFile(request.path);
+    return Storage.writeFile(new Blob(['']), `${path}${midletFilesConstants.PLACEHOLDER}`);
+  },
+
+  delete: request => {
+    const path = resolveMidletFile(request.path);
+    if (isMidletFileRoot(request.path)) {
+      return Promise.reject(createMidletFileError('IOException', 'A root can\'t be deleted'));
+    }
+    if (!path.endsWith('/')) return getMidletFile(path, request.path).then(() => Storage.deleteFile(path));
+
+    // Only an empty directory can go; that leaves its placeholder
+    return listMidletDirectory(path).then(files => {
+      if (files.some(file => file.relative !== midletFilesConstants.PLACEHOLDER)) {
+        throw createMidletFileError('IOException', `Directory is not empty: ${request.path}`);
+      }
+      if (files.length === 0) throw createMidletFileError('IOException', `No such directory: ${request.path}`);
+      return Storage.deleteFile(files[0].path);
+    });
+  },
+
+  // Rename a file or directory within its parent directory
+  rename: request => {
+    const path = resolveMidletFile(request.path);
+    if (isMidletFileRoot(request.path)) {
+      return Promise.reject(createMidletFileError('IOException', 'A root can\'t be renamed'));
+    }
+    const name = checkMidletFileName(request.name);
+    const isDirectory = path.endsWith('/');
+    const parent = path.substring(0, path.lastIndexOf('/', path.length - 2) + 1);
+    const suffix = isDirectory ? '/' : '';
+    const target = `${parent}${name}${suffix}`;
+
+    // Nothing may land outside the root, which for a sandboxed app is its folder
+    const root = resolveMidletFile(`${request.path.split('/')[0]}/`);
+    if (!target.startsWith(root) || target.length <= root.length) {
+      return Promise.reject(createMidletFileError('SecurityException', `Path leaves its root: ${request.path}`));
+    }
+
+    const existing = isDirectory ? listMidletDirectory(target).then(files => files.length > 0) : Storage.findFile(target);
+    return existing.then(found => {
+      if (found) throw createMidletFileError('IOException', `Already exists: ${name}${suffix}`);
+      if (!isDirectory) return moveMidletFile(path, target);
+
+      // Move the directory's files one at a time
+      return listMidletDirectory(path).then(files => files.reduce(
+        (moved, file) => moved.then(() => moveMidletFile(file.path, `${target}${file.relative}`)),
+        Promise.resolve()));
+    });
+  },
+
+  // Bytes used by the files in a directory, and its subdirectories if asked
+  size: request => {
+    return listMidletDirectory(resolveMidletFile(request.path)).then(files => files
+      .filter(file => request.recursive || file.relative.indexOf('/') < 0)
+      .reduce((total, file) => total + file.size, 0));
+  },
+
+  space: request => {
+    resolveMidletFile(request.path);
+    return Storage.getStorageSpace();
+  }
+};
+
+// Export functions for use in other modules
+window.MidletFiles = {
+  configure: configureMidletFiles,
+  handle: handleMidletFileRequest
+};
@@ -0,0 +1,67 @@
+/**
+ * J2ME Loader for CloudFone
+ * Messages of the MIDlet's MessageConnections
+ *
+ * Carries out the VM worker's messaging requests. Nothing a MIDlet sends
+ * leaves the device: each message goes into the app's Outbox, where the
+ * Messages screen shows it for review, so premium SMS and invitations can
+ * be tested safely.
+ */
+
+// MIDlet messages state
+const midletMessagesState = {
+  appId: null,
+  onSent: null
+};
+
+/**
+ * Set up messaging for the MIDlet about to run
+ * @param {string|null} appId - Installed app's ID
+ */
+function configureMidletMessages(appId) {
+  midletMessagesState.appId = appId;
+}
+
+/**
+ * Be told whenever the MIDlet sends a message
+ * @param {Function|null} onSent - Called with the message once it is in
+ *   the Outbox
+ */
+function setMidletMessagesListener(onSent) {
+  midletMessagesState.onSent = onSent;
+}
+
+/**
+ * Carry out a messaging request from the VM worker
+ * @param {Object} request - {action, ...} from MidpWma
+ * @returns {Promise} Resolves with the action's result
+ */
+function handleMidletMessageRequest(request) {
+  return new Promise(resolve => {
+    const action = midletMessagesActions[request.action];
+    if (!action) throw new Error(`Unknown messaging request: ${request.action}`);
+    resolve(action(request));
+  });
+}
+
+// Messaging request handlers by action
+const midletMessagesActions = {
+  // Keep an outgoing {address, type, text, data, segments, timestamp}
+  send: request => {
+    if (!midletMessagesState.appId) throw new Error('Messages can only be sent by installed apps');
+
+    const message = Object.assign({ appId: midletMessagesState.appId }, request.message);
+    return Database.addMessage(message).then(id => {
+      message.id = id;
+      console.log(`MIDlet sent a message to ${message.address}; it is in the Outbox`);
+      if (midletMessagesState.onSent) midletMessagesState.onSent(message);
+    });
+  }
+};
+
+// Export functions for use in other modules
+window.MidletMessages = {
+  configure: configureMidletMessages,
+  setListener: setMidletMessagesListener,
+  handle: handleMidletMessageRequest
+};
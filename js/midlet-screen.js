@@ -0,0 +1,571 @@
+/**
+ * J2ME Loader for CloudFone
+ * High-level MIDlet screens
+ *
+ * Shows the running MIDlet's Form, List, TextBox and Alert screens over
+ * the emulator canvas, built from the descriptions the VM worker posts,
+ * in the launcher's own look. The D-pad moves between the screen's
+ * focusable rows through the 'midlet-screen' entry of the navigation
+ * focus map; the user's edits go back to the worker as screen events.
+ * Moving the focus is reported so that the focused item's commands can be
+ * offered on the soft keys (see MidletCommands).
+ */
+
+// MIDlet screen constants
+const midletScreenConstants = {
+  SCREEN_ID: 'midlet-screen',
+
+  // Choice types
+  EXCLUSIVE: 1,
+  MULTIPLE: 2,
+  IMPLICIT: 3,
+  POPUP: 4,
+
+  // TextField constraints
+  CONSTRAINT_MASK: 0xffff,
+  PASSWORD: 0x10000,
+  UNEDITABLE: 0x20000,
+
+  // On-screen keyboards for the constraints that have one
+  INPUT_MODES: {
+    1: 'email',
+    2: 'numeric',
+    3: 'tel',
+    4: 'url',
+    5: 'decimal'
+  },
+
+  // DateField modes and the inputs that edit them
+  DATE_INPUTS: {
+    1: 'date',
+    2: 'time',
+    3: 'datetime-local'
+  },
+
+  // Item layout: horizontal alignment bits and their CSS
+  LAYOUT_ALIGN_MASK: 3,
+  LAYOUT_ALIGNS: ['', 'left', 'right', 'center'],
+
+  // Appearance modes
+  HYPERLINK: 1,
+  BUTTON: 2,
+
+  INDEFINITE: -1
+};
+
+// MIDlet screen state
+const midletScreenState = {
+  container: null,
+  onEvent: null,
+  onFocusChange: null,
+  screen: null
+};
+
+/**
+ * Set up the screen view
+ * @param {Function} onEvent - Called with each screen event for the worker
+ * @param {Function} onFocusChange - Called when another item may have the focus
+ */
+function initMidletScreen(onEvent, onFocusChange) {
+  midletScreenState.container = document.getElementById('midlet-screen');
+  midletScreenState.onEvent = onEvent;
+  midletScreenState.onFocusChange = onFocusChange;
+}
+
+/**
+ * Check whether a high-level screen is showing
+ * @returns {boolean} True while the MIDlet shows a Form, List, TextBox or Alert
+ */
+function isMidletScreenShown() {
+  return midletScreenState.screen !== null;
+}
+
+/**
+ * Send an event for an item to the worker
+ * @param {number} id - Item or screen id from the description
+ * @param {string} action - What the user did
+ * @param {Object} [data] - Further fields
+ */
+function sendScreenEvent(id, action, data = {}) {
+  if (midletScreenState.onEvent) {
+    midletScreenState.onEvent(Object.assign({ id: id, action: action }, data));
+  }
+}
+
+/**
+ * Show a screen description, or hide the view when given null
+ * @param {Object|null} screen - {id, kind, title, items} from the worker
+ */
+function showMidletScreen(screen) {
+  const container = midletScreenState.container;
+  if (!container) return;
+
+  const previous = midletScreenState.screen;
+  midletScreenState.screen = screen;
+  container.textContent = '';
+  container.className = '';
+
+  if (!screen) {
+    notifyFocusChange();
+    return;
+  }
+
+  container.className = `active midlet-${screen.kind}`;
+  if (screen.alertType) container.classList.add(`midlet-alert-${screen.alertType.toLowerCase()}`);
+
+  if (screen.title) {
+    const title = document.createElement('div');
+    title.className = 'midlet-screen-title';
+    title.textContent = screen.title;
+    container.appendChild(title);
+  }
+
+  const body = document.createElement('div');
+  body.className = 'midlet-screen-body';
+  screen.items.forEach(item => body.appendChild(createItemElement(item)));
+  container.appendChild(body);
+
+  // An alert is taken down by selecting it
+  if (screen.kind === 'alert') {
+    body.querySelectorAll('.focusable').forEach(element => element.classList.remove('focusable'));
+    body.classList.add('focusable');
+    body.tabIndex = 0;
+    body.addEventListener('click', () => sendScreenEvent(screen.id, 'dismiss'));
+  }
+
+  // A different screen starts with its first row focused
+  if (previous && previous.id === screen.id) {
+    Navigation.init(midletScreenConstants.SCREEN_ID);
+  } else {
+    Navigation.setFocus(midletScreenConstants.SCREEN_ID, 0);
+  }
+  scrollToFocused();
+  notifyFocusChange();
+}
+
+// ---------------------------------------------------------------------------
+// Items
+// ---------------------------------------------------------------------------
+
+/**
+ * Build the element for an item
+ * @param {Object} item - Item description
+ * @returns {HTMLElement} Element
+ */
+function createItemElement(item) {
+  const element = document.createElement('div');
+  element.className = `midlet-screen-item midlet-screen-item-${item.type}`;
+  element.dataset.itemId = String(item.id);
+  element.style.textAlign = midletScreenConstants.LAYOUT_ALIGNS[item.layout & midletScreenConstants.LAYOUT_ALIGN_MASK];
+
+  // Selecting a string or image item runs its default command
+  if ((item.type === 'string' || item.type === 'image') && item.defaultCommand) {
+    element.addEventListener('click', () => sendScreenEvent(item.id, 'command', { command: item.defaultCommand }));
+  }
+
+  if (item.label) {
+    const label = document.createElement('label');
+    label.className = 'midlet-screen-item-label';
+    label.textContent = item.label;
+    element.appendChild(label);
+  }
+
+  switch (item.type) {
+    case 'string':
+      appendStringItem(element, item);
+      break;
+    case 'image':
+      appendImageItem(element, item);
+      break;
+    case 'text':
+      element.appendChild(createTextInput(item));
+      break;
+    case 'choice':
+      element.appendChild(item.choiceType === midletScreenConstants.POPUP ? createPopup(item) : createChoiceList(item));
+      break;
+    case 'gauge':
+      element.appendChild(createGauge(item));
+      break;
+    case 'date':
+      element.appendChild(createDateInput(item));
+      break;
+    case 'spacer':
+      element.style.width = `${item.width}px`;
+      element.style.height = `${item.height}px`;
+      break;
+    case 'custom':
+      appendCustomItem(element, item);
+      break;
+  }
+  return element;
+}
+
+/**
+ * Make an element a stop for the D-pad
+ * @param {HTMLElement} element - Element
+ */
+function makeFocusable(element) {
+  element.classList.add('focusable');
+  element.tabIndex = 0;
+}
+
+/**
+ * Draw a worker surface into a new canvas
+ * @param {Object} image - {width, height, pixels}
+ * @returns {HTMLCanvasElement} Canvas
+ */
+function createImageCanvas(image) {
+  const canvas = document.createElement('canvas');
+  canvas.width = image.width;
+  canvas.height = image.height;
+  canvas.className = 'midlet-image';
+  const pixels = new Uint8ClampedArray(image.pixels.buffer, image.pixels.byteOffset, image.pixels.byteLength);
+  canvas.getContext('2d').putImageData(new ImageData(pixels, image.width, image.height), 0, 0);
+  return canvas;
+}
+
+/**
+ * Fill in a StringItem; buttons and links can be focused, as can plain text
+ * so that a long form scrolls
+ * @param {HTMLElement} element - Item element
+ * @param {Object} item - Item description
+ */
+function appendStringItem(element, item) {
+  const text = document.createElement('div');
+  text.className = 'midlet-screen-item-text';
+  text.textContent = item.text;
+  if (item.appearance === midletScreenConstants.BUTTON) text.classList.add('midlet-button');
+  if (item.appearance === midletScreenConstants.HYPERLINK) text.classList.add('midlet-hyperlink');
+  element.appendChild(text);
+
+  if (item.text || item.label) makeFocusable(item.appearance ? text : element);
+}
+
+/**
+ * Fill in an ImageItem
+ * @param {HTMLElement} element - Item element
+ * @param {Object} item - Item description
+ */
+function appendImageItem(element, item) {
+  if (item.image) {
+    const canvas = createImageCanvas(item.image);
+    if (item.altText) canvas.title = item.altText;
+    element.appendChild(canvas);
+  } else if (item.altText) {
+    const text = document.createElement('div');
+    text.className = 'midlet-screen-item-text';
+    text.textContent = item.altText;
+    element.appendChild(text);
+  }
+  makeFocusable(element);
+}
+
+/**
+ * Build the input of a TextField or TextBox
+ * @param {Object} item - Item description
+ * @returns {HTMLElement} Input or textarea
+ */
+function createTextInput(item) {
+  const constants = midletScreenConstants;
+  const input = document.createElement(item.multiline ? 'textarea' : 'input');
+  if (!item.multiline) input.type = item.constraints & constants.PASSWORD ? 'password' : 'text';
+  input.className = 'midlet-text';
+  input.value = item.text;
+  input.maxLength = item.maxSize;
+  input.readOnly = (item.constraints & constants.UNEDITABLE) !== 0;
+
+  const inputMode = constants.INPUT_MODES[item.constraints & constants.CONSTRAINT_MASK];
+  if (inputMode) input.inputMode = inputMode;
+
+  input.addEventListener('input', () => sendScreenEvent(item.id, 'text', { value: input.value }));
+  makeFocusable(input);
+  return input;
+}
+
+/**
+ * Build the rows of an EXCLUSIVE, MULTIPLE or IMPLICIT choice
+ * @param {Object} item - Item description
+ * @returns {HTMLElement} List
+ */
+function createChoiceList(item) {
+  const list = document.createElement('ul');
+  list.className = 'nav-list midlet-choice';
+
+  const rows = item.elements.map((element, index) => {
+    const row = document.createElement('li');
+    row.className = 'midlet-choice-row';
+    if (item.choiceType !== midletScreenConstants.IMPLICIT) {
+      const mark = document.createElement('span');
+      mark.className = item.choiceType === midletScreenConstants.MULTIPLE ? 'midlet-check' : 'midlet-radio';
+      row.appendChild(mark);
+    }
+    if (element.image) row.appendChild(createImageCanvas(element.image));
+
+    const text = document.createElement('span');
+    text.textContent = element.text;
+    row.appendChild(text);
+
+    row.classList.toggle('selected', element.selected);
+    row.addEventListener('click', () => {
+      const selected = item.choiceType === midletScreenConstants.MULTIPLE ? !element.selected : true;
+      if (item.choiceType !== midletScreenConstants.MULTIPLE) {
+        item.elements.forEach((other, i) => {
+          other.selected = false;
+          rows[i].classList.remove('selected');
+        });
+      }
+      element.selected = selected;
+      row.classList.toggle('selected', selected);
+      sendScreenEvent(item.id, 'select', { index: index, selected: selected });
+    });
+    makeFocusable(row);
+    list.appendChild(row);
+    return row;
+  });
+  return list;
+}
+
+/**
+ * Build the drop-down of a POPUP choice
+ * @param {Object} item - Item description
+ * @returns {HTMLSelectElement} Select
+ */
+function createPopup(item) {
+  const select = document.createElement('select');
+  item.elements.forEach((element, index) => {
+    const option = document.createElement('option');
+    option.value = String(index);
+    option.textContent = element.text;
+    option.selected = element.selected;
+    select.appendChild(option);
+  });
+  select.addEventListener('change', () => {
+    sendScreenEvent(item.id, 'select', { index: select.selectedIndex, selected: true });
+  });
+  makeFocusable(select);
+  return select;
+}
+
+/**
+ * Build a Gauge: a slider when interactive, a bar otherwise
+ * @param {Object} item - Item description
+ * @returns {HTMLElement} Element
+ */
+function createGauge(item) {
+  if (item.interactive) {
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.className = 'midlet-slider';
+    slider.min = '0';
+    slider.max = String(item.maxValue);
+    slider.value = String(item.value);
+    slider.addEventListener('input', () => sendScreenEvent(item.id, 'value', { value: Number(slider.value) }));
+    makeFocusable(slider);
+    return slider;
+  }
+
+  const bar = document.createElement('div');
+  bar.className = 'midlet-gauge';
+  const fill = document.createElement('div');
+  fill.className = 'midlet-gauge-fill';
+  if (item.maxValue === midletScreenConstants.INDEFINITE) {
+    bar.classList.add('indefinite');
+  } else {
+    fill.style.width = `${Math.round(100 * item.value / item.maxValue)}%`;
+  }
+  bar.appendChild(fill);
+  return bar;
+}
+
+/**
+ * Format a time for a date or time input, in local time
+ * @param {number} time - Milliseconds since the epoch
+ * @param {number} mode - DateField mode
+ * @returns {string} Input value
+ */
+function formatDateInput(time, mode) {
+  const date = new Date(time);
+  const pad = value => String(value).padStart(2, '0');
+  const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  const clock = `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  switch (mode) {
+    case 1: return day;
+    case 2: return clock;
+    default: return `${day}T${clock}`;
+  }
+}
+
+/**
+ * Read a date or time input back as a time, in local time
+ * @param {string} value - Input value
+ * @param {number} mode - DateField mode
+ * @returns {number|null} Milliseconds since the epoch, or null when empty
+ */
+function parseDateInput(value, mode) {
+  if (!value) return null;
+  // Times alone are on the first day of the epoch, as MIDP has them
+  const text = mode === 1 ? `${value}T00:00` : mode === 2 ? `1970-01-01T${value}` : value;
+  const time = new Date(text).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Build the input of a DateField
+ * @param {Object} item - Item description
+ * @returns {HTMLInputElement} Input
+ */
+function createDateInput(item) {
+  const input = document.createElement('input');
+  input.type = midletScreenConstants.DATE_INPUTS[item.mode];
+  input.className = 'midlet-date';
+  if (item.time !== null) input.value = formatDateInput(item.time, item.mode);
+  input.addEventListener('change', () => {
+    sendScreenEvent(item.id, 'date', { time: parseDateInput(input.value, item.mode) });
+  });
+  makeFocusable(input);
+  return input;
+}
+
+/**
+ * Fill in a CustomItem with what it painted; while focused it gets the keys
+ * @param {HTMLElement} element - Item element
+ * @param {Object} item - Item description
+ */
+function appendCustomItem(element, item) {
+  if (item.image) element.appendChild(createImageCanvas(item.image));
+  makeFocusable(element);
+}
+
+// ---------------------------------------------------------------------------
+// Keys
+// ---------------------------------------------------------------------------
+
+/**
+ * Get the element that has the D-pad focus
+ * @returns {HTMLElement|null} Focused row
+ */
+function getFocusedElement() {
+  return midletScreenState.container ? midletScreenState.container.querySelector('.focusable.focused') : null;
+}
+
+/**
+ * Get the description of the item that has the D-pad focus
+ * @returns {Object|null} Item description, or null if no item is focused
+ */
+function getFocusedItem() {
+  const focused = getFocusedElement();
+  const element = focused ? focused.closest('.midlet-screen-item') : null;
+  if (!element || !midletScreenState.screen) return null;
+  return midletScreenState.screen.items.find(item => String(item.id) === element.dataset.itemId) || null;
+}
+
+/**
+ * Report that the focus may have moved to another item
+ */
+function notifyFocusChange() {
+  if (midletScreenState.onFocusChange) midletScreenState.onFocusChange();
+}
+
+/**
+ * Check whether the focused row is a CustomItem, which takes the keypad
+ * @param {HTMLElement|null} element - Focused row
+ * @returns {boolean} True for a CustomItem
+ */
+function isCustomItem(element) {
+  return !!element && element.classList.contains('midlet-screen-item-custom');
+}
+
+/**
+ * Keep the focused row in view
+ */
+function scrollToFocused() {
+  const element = getFocusedElement();
+  if (element && element.scrollIntoView) element.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Check whether an element takes typed text
+ * @param {HTMLElement|null} element - Element
+ * @returns {boolean} True for text inputs and textareas
+ */
+function isTextEntry(element) {
+  if (!element) return false;
+  return element.tagName === 'TEXTAREA' ||
+    (element.tagName === 'INPUT' && ['text', 'password'].includes(element.type) && !element.readOnly);
+}
+
+/**
+ * Handle a key press while a screen is shown
+ * @param {KeyboardEvent} e - Key event
+ * @param {string|undefined} key - Handset key it maps to
+ * @returns {boolean} True if the screen used the key
+ */
+function handleMidletScreenKeyDown(e, key) {
+  const screenId = midletScreenConstants.SCREEN_ID;
+  const focused = getFocusedElement();
+
+  switch (e.key) {
+    case 'ArrowUp':
+    case 'ArrowDown':
+      if (e.key === 'ArrowUp') Navigation.prev(screenId); else Navigation.next(screenId);
+      scrollToFocused();
+      notifyFocusChange();
+      e.preventDefault();
+      return true;
+    case 'ArrowLeft':
+    case 'ArrowRight':
+      if (focused && focused.tagName === 'SELECT' && focused.options.length > 0) {
+        const step = e.key === 'ArrowLeft' ? -1 : 1;
+        const count = focused.options.length;
+        focused.selectedIndex = (focused.selectedIndex + step + count) % count;
+        focused.dispatchEvent(new Event('change'));
+        e.preventDefault();
+        return true;
+      }
+      break;
+    case 'Enter':
+      activateMidletScreen();
+      e.preventDefault();
+      return true;
+  }
+
+  // Text fields and sliders take the rest of the keypad themselves
+  if (focused && focused.tagName !== 'DIV' && focused.tagName !== 'LI') return !!key;
+
+  if (key && isCustomItem(focused)) {
+    sendScreenEvent(Number(focused.dataset.itemId), 'key', { event: e.repeat ? 'repeat' : 'down', key: key });
+    e.preventDefault();
+  }
+  return !!key;
+}
+
+/**
+ * Handle a key release while a screen is shown
+ * @param {KeyboardEvent} e - Key event
+ * @param {string|undefined} key - Handset key it maps to
+ */
+function handleMidletScreenKeyUp(e, key) {
+  const focused = getFocusedElement();
+  if (key && isCustomItem(focused)) {
+    sendScreenEvent(Number(focused.dataset.itemId), 'key', { event: 'up', key: key });
+  }
+}
+
+/**
+ * Select the focused row, as the Enter key and the center soft key do
+ */
+function activateMidletScreen() {
+  if (!isTextEntry(getFocusedElement())) Navigation.activate(midletScreenConstants.SCREEN_ID);
+}
+
+// Export functions for use in other modules
+window.MidletScreen = {
+  init: initMidletScreen,
+  show: showMidletScreen,
+  isShown: isMidletScreenShown,
+  isTextEntry: isTextEntry,
+  getFocusedItem: getFocusedItem,
+  activate: activateMidletScreen,
+  handleKeyDown: handleMidletScreenKeyDown,
+  handleKeyUp: handleMidletScreenKeyUp
+};
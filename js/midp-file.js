@@ -0,0 +1,688 @@
+/**
+ * J2ME Loader for CloudFone
+ * JSR-75 javax.microedition.io.file
+ *
+ * FileConnection and FileSystemRegistry for file:/// URLs. Only the page
+ * can reach device storage, so every file operation is a request to the
+ * page's MidletFiles, which also keeps sandboxed apps in their own folder;
+ * the calling thread blocks until it answers. Requests go out one at a
+ * time, in order.
+ *
+ * An input stream holds the whole file, read when it is opened. An output
+ * stream edits a copy of the file that flush and close write back in the
+ * background, like record stores, and MidpFile.flush waits for those
+ * writes before the MIDlet's VM goes away.
+ */
+
+// File connection constants
+const midpFileConstants = {
+  // FileSystemListener events
+  ROOT_ADDED: 0,
+  ROOT_REMOVED: 1,
+
+  // Room an output stream starts with beyond the file's contents
+  OUTPUT_CHUNK: 4096
+};
+
+// File connection state
+const midpFileState = {
+  requests: Promise.resolve(),
+  listeners: []
+};
+
+// ---------------------------------------------------------------------------
+// Requests
+// ---------------------------------------------------------------------------
+
+/**
+ * Ask the page for a file operation behind any earlier ones
+ * @param {Object} request - {action, path, ...} for MidletFiles
+ * @param {Array} [transfer] - Buffers to hand over rather than copy
+ * @returns {Promise} Resolves with the page's answer; failures become
+ *   IOException or SecurityException
+ */
+function midpFileRequest(request, transfer = []) {
+  const host = JVM.state.host;
+  const result = midpFileState.requests.then(() => {
+    if (!host.callPage) throw new Error('File storage is not available');
+    return host.callPage('files', request, transfer);
+  });
+  midpFileState.requests = result.catch(() => {});
+
+  return result.catch(error => {
+    const className = error && error.name === 'SecurityException' ? 'java/lang/SecurityException' : 'java/io/IOException';
+    throw JVM.newThrowable(className, error ? error.message : null);
+  });
+}
+
+/**
+ * Write a file's new contents in the background
+ * @param {string} path - File path
+ * @param {Uint8Array} data - Contents
+ */
+function midpFileWriteBack(path, data) {
+  const buffer = data.slice().buffer;
+  midpFileRequest({ action: 'write', path: path, data: buffer }, [buffer]).catch(error => {
+    console.error(`Failed to write file: ${path}`, JVM.describeThrowable(error));
+  });
+}
+
+/**
+ * Wait for all pending writes
+ * @returns {Promise} Resolves when the page has every change
+ */
+function midpFileFlush() {
+  return midpFileState.requests;
+}
+
+/**
+ * Forget the previous MIDlet's file system listeners
+ */
+function midpFileReset() {
+  midpFileState.listeners = [];
+}
+
+// ---------------------------------------------------------------------------
+// Paths
+// ---------------------------------------------------------------------------
+
+/**
+ * Get the path a file URL names
+ * @param {string} url - URL such as "file:///sdcard/My%20Books/"
+ * @returns {string} Path such as "sdcard/My Books/", starting with the root
+ */
+function midpFileParseUrl(url) {
+  const match = /^file:\/\/[^/]*\/(.*)$/i.exec(url);
+  if (!match) throw JVM.newThrowable('java/lang/IllegalArgumentException', `Invalid file URL: ${url}`);
+
+  let path;
+  try {
+    path = decodeURIComponent(match[1]);
+  } catch (error) {
+    throw JVM.newThrowable('java/lang/IllegalArgumentException', `Invalid file URL: ${url}`);
+  }
+
+  // A root and then names, with no way back up
+  const segments = path.split('/');
+  const last = segments.length - 1;
+  const invalid = segments.some((segment, index) => {
+    if (segment === '.' || segment === '..') return true;
+    return segment === '' && index !== last;
+  });
+  if (invalid || last === 0) throw JVM.newThrowable('java/lang/IllegalArgumentException', `Invalid file URL: ${url}`);
+  return path;
+}
+
+/**
+ * Get the URL of a path
+ * @param {string} path - Path starting with the root
+ * @returns {string} Escaped file URL
+ */
+function midpFileToUrl(path) {
+  return `file:///${encodeURI(path)}`;
+}
+
+/**
+ * Get the name of what a path names
+ * @param {string} path - Path starting with the root
+ * @returns {string} File name, or directory name with a trailing slash;
+ *   empty for a root
+ */
+function midpFileGetName(path) {
+  const isDirectory = path.endsWith('/');
+  const segments = path.split('/').filter(segment => segment !== '');
+  if (segments.length === 1) return '';
+  return segments[segments.length - 1] + (isDirectory ? '/' : '');
+}
+
+/**
+ * Get the directory part of a path
+ * @param {string} path - Path starting with the root
+ * @returns {string} Path such as "/sdcard/dir/", without the name
+ */
+function midpFileGetParent(path) {
+  const segments = path.split('/').filter(segment => segment !== '');
+  if (segments.length === 1) return `/${segments[0]}/`;
+  return `/${segments.slice(0, -1).join('/')}/`;
+}
+
+/**
+ * Check a file name for rename and setFileConnection; "." and ".." would
+ * name another directory, and separators another path
+ * @param {Object|null} name - Java string
+ * @returns {string} Name without any trailing slash
+ */
+function midpFileCheckName(name) {
+  if (name === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+
+  const text = CldcLang.text(name).replace(/\/$/, '');
+  if (text === '' || text === '.' || text === '..' || /[/\\]/.test(text)) {
+    throw JVM.newThrowable('java/lang/IllegalArgumentException', `Invalid file name: ${text}`);
+  }
+  return text;
+}
+
+/**
+ * Check a name against a list() filter, where "*" stands for any text
+ * @param {string} name - Name without its trailing slash
+ * @param {string} filter - Filter
+ * @returns {boolean} Whether the name matches
+ */
+function midpFileMatches(name, filter) {
+  const pattern = filter.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${pattern}$`, 'i').test(name);
+}
+
+// ---------------------------------------------------------------------------
+// Connections
+// ---------------------------------------------------------------------------
+
+/**
+ * Connector.open for file URLs
+ * @param {Object} thread - Current thread
+ * @param {string} url - File URL
+ * @param {number} mode - Connector mode
+ * @returns {Promise} Resolves with the FileConnection
+ */
+function midpFileOpen(thread, url, mode) {
+  const path = midpFileParseUrl(url);
+
+  return midpFileRequest({ action: 'roots' }).then(roots => {
+    const root = `${path.split('/')[0]}/`;
+    if (!roots.includes(root)) {
+      throw JVM.newThrowable('javax/microedition/io/ConnectionNotFoundException', `No such root: ${root}`);
+    }
+
+    const connection = JVM.newObject(JVM.loadClass('javax/microedition/io/Connector$FileConnection'));
+    connection.path = path;
+    connection.mode = mode;
+    connection.isOpen = true;
+    return connection;
+  });
+}
+
+/**
+ * Check that a connection is open and allows an operation
+ * @param {Object} connection - FileConnection
+ * @param {number} mode - READ or WRITE, the access the operation needs
+ */
+function midpFileCheck(connection, mode) {
+  if (!connection.isOpen) {
+    throw JVM.newThrowable('javax/microedition/io/file/ConnectionClosedException', 'Connection is closed');
+  }
+  if ((connection.mode & mode) === 0) {
+    const needed = mode === MidpIo.constants.READ ? 'reading' : 'writing';
+    throw JVM.newThrowable('javax/microedition/io/file/IllegalModeException', `Connection is not open for ${needed}`);
+  }
+}
+
+/**
+ * Find out about what a connection names
+ * @param {Object} connection - FileConnection
+ * @returns {Promise<Object>} Resolves with {exists, directory, size,
+ *   lastModified}
+ */
+function midpFileInfo(connection) {
+  return midpFileRequest({ action: 'info', path: connection.path });
+}
+
+/**
+ * Get the path to send for what a connection names, with the trailing
+ * slash a directory needs
+ * @param {Object} connection - FileConnection
+ * @param {Object} info - Result of midpFileInfo
+ * @returns {string} Path
+ */
+function midpFileTargetPath(connection, info) {
+  return info.directory && !connection.path.endsWith('/') ? `${connection.path}/` : connection.path;
+}
+
+/**
+ * Find out about what a connection names, failing unless it exists
+ * @param {Object} connection - FileConnection
+ * @returns {Promise<Object>} Resolves with the info
+ */
+function midpFileExisting(connection) {
+  return midpFileInfo(connection).then(info => {
+    if (!info.exists) throw JVM.newThrowable('java/io/IOException', `No such file or directory: ${connection.path}`);
+    return info;
+  });
+}
+
+/**
+ * Find out about a file, failing for a directory or a missing file
+ * @param {Object} connection - FileConnection
+ * @returns {Promise<Object>} Resolves with the info
+ */
+function midpFileExistingFile(connection) {
+  return midpFileExisting(connection).then(info => {
+    if (info.directory) throw JVM.newThrowable('java/io/IOException', `Is a directory: ${connection.path}`);
+    return info;
+  });
+}
+
+/**
+ * Read a whole file
+ * @param {string} path - File path
+ * @returns {Promise<Uint8Array>} Resolves with the contents
+ */
+function midpFileRead(path) {
+  return midpFileRequest({ action: 'read', path: path }).then(buffer => new Uint8Array(buffer));
+}
+
+/**
+ * Read the file a URL names, for Players of file locators
+ * @param {string} url - File URL
+ * @returns {Promise<Uint8Array>} Resolves with the contents
+ */
+function midpFileReadUrl(url) {
+  return midpFileRead(midpFileParseUrl(url));
+}
+
+/**
+ * FileConnection.openInputStream
+ * @param {Object} connection - FileConnection
+ * @returns {Promise} Resolves with a java.io.InputStream over the file
+ */
+function midpFileOpenInput(connection) {
+  midpFileCheck(connection, MidpIo.constants.READ);
+
+  return midpFileExistingFile(connection)
+    .then(() => midpFileRead(connection.path))
+    .then(data => CldcIo.newByteArrayInputStream(new Int8Array(data.buffer, data.byteOffset, data.length)));
+}
+
+/**
+ * FileConnection.openOutputStream
+ * @param {Object} connection - FileConnection
+ * @param {number} offset - Where writing starts; past the end means at
+ *   the end
+ * @returns {Promise} Resolves with a java.io.OutputStream into the file
+ */
+function midpFileOpenOutput(connection, offset) {
+  midpFileCheck(connection, MidpIo.constants.WRITE);
+  if (offset < 0) throw JVM.newThrowable('java/lang/IllegalArgumentException', `Negative offset: ${offset}`);
+
+  return midpFileExistingFile(connection)
+    .then(() => midpFileRead(connection.path))
+    .then(data => {
+      const output = JVM.newObject(JVM.loadClass('javax/microedition/io/Connector$FileOutput'));
+      output.path = connection.path;
+      output.data = new Uint8Array(data.length + midpFileConstants.OUTPUT_CHUNK);
+      output.data.set(data);
+      output.length = data.length;
+      output.position = Math.min(offset, data.length);
+      output.dirty = false;
+      output.closed = false;
+      return output;
+    });
+}
+
+/**
+ * Write bytes to a file output stream's copy of the file
+ * @param {Object} output - Output stream
+ * @param {Int8Array|Array<number>} bytes - Bytes
+ */
+function midpFileWriteOutput(output, bytes) {
+  if (output.closed) throw JVM.newThrowable('java/io/IOException', 'Stream is closed');
+
+  const end = output.position + bytes.length;
+  if (end > output.data.length) {
+    const grown = new Uint8Array(Math.max(output.data.length * 2, end));
+    grown.set(output.data.subarray(0, output.length));
+    output.data = grown;
+  }
+  output.data.set(bytes, output.position);
+  output.position = end;
+  output.length = Math.max(output.length, end);
+  output.dirty = true;
+}
+
+/**
+ * Write a file output stream's changes back
+ * @param {Object} output - Output stream
+ */
+function midpFileFlushOutput(output) {
+  if (!output.dirty) return;
+  output.dirty = false;
+  midpFileWriteBack(output.path, output.data.subarray(0, output.length));
+}
+
+/**
+ * FileConnection.list
+ * @param {Object} connection - FileConnection
+ * @param {string} filter - Names to list, "*" standing for any text
+ * @param {boolean} includeHidden - Whether to list names starting with a dot
+ * @returns {Promise} Resolves with a java.util.Enumeration of names
+ */
+function midpFileList(connection, filter, includeHidden) {
+  midpFileCheck(connection, MidpIo.constants.READ);
+
+  return midpFileExisting(connection)
+    .then(info => {
+      if (!info.directory) throw JVM.newThrowable('java/io/IOException', `Not a directory: ${connection.path}`);
+      return midpFileRequest({ action: 'list', path: midpFileTargetPath(connection, info) });
+    })
+    .then(names => {
+      const listed = names.filter(name => {
+        const bare = name.replace(/\/$/, '');
+        return (includeHidden || bare.charAt(0) !== '.') && midpFileMatches(bare, filter);
+      });
+      return midpFileEnumerate(listed);
+    });
+}
+
+/**
+ * Create an Enumeration of strings
+ * @param {Array<string>} values - Strings
+ * @returns {Object} java.util.Enumeration
+ */
+function midpFileEnumerate(values) {
+  const iterator = values[Symbol.iterator]();
+  return CldcUtil.newEnumeration('java/util/Vector$Enumerator', () => {
+    const item = iterator.next();
+    return item.done ? item : { done: false, value: JVM.newString(item.value) };
+  });
+}
+
+/**
+ * FileConnection.rename
+ * @param {Object} connection - FileConnection
+ * @param {Object|null} newName - Java string
+ * @returns {Promise} Resolves once renamed
+ */
+function midpFileRename(connection, newName) {
+  midpFileCheck(connection, MidpIo.constants.WRITE);
+  const name = midpFileCheckName(newName);
+
+  return midpFileExisting(connection).then(info => {
+    const path = midpFileTargetPath(connection, info);
+    return midpFileRequest({ action: 'rename', path: path, name: name }).then(() => {
+      connection.path = `${midpFileGetParent(path).substring(1)}${name}${info.directory ? '/' : ''}`;
+    });
+  });
+}
+
+/**
+ * FileConnection.setFileConnection: move to a file or directory in the
+ * current directory, or with "..", to its parent
+ * @param {Object} connection - FileConnection
+ * @param {Object|null} fileName - Java string
+ * @returns {Promise} Resolves once moved
+ */
+function midpFileSetConnection(connection, fileName) {
+  if (!connection.isOpen) {
+    throw JVM.newThrowable('javax/microedition/io/file/ConnectionClosedException', 'Connection is closed');
+  }
+  if (fileName === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+  const text = CldcLang.text(fileName);
+
+  return midpFileExisting(connection).then(info => {
+    if (!info.directory) throw JVM.newThrowable('java/io/IOException', `Not a directory: ${connection.path}`);
+    const directory = midpFileTargetPath(connection, info);
+
+    let path;
+    if (text === '..') {
+      if (midpFileGetName(directory) === '') throw JVM.newThrowable('java/io/IOException', 'A root has no parent');
+      path = midpFileGetParent(directory).substring(1);
+    } else {
+      path = `${directory}${midpFileCheckName(fileName)}`;
+    }
+
+    const target = JVM.newObject(connection.cls);
+    target.path = path;
+    return midpFileInfo(target).then(targetInfo => {
+      if (!targetInfo.exists) throw JVM.newThrowable('java/lang/IllegalArgumentException', `No such file: ${path}`);
+      connection.path = targetInfo.directory && !path.endsWith('/') ? `${path}/` : path;
+    });
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Classes
+// ---------------------------------------------------------------------------
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/io/file/FileConnection',
+  isInterface: true,
+  interfaces: ['javax/microedition/io/StreamConnection'],
+  methods: {
+    'isOpen()Z': null,
+    'openOutputStream(J)Ljava/io/OutputStream;': null,
+    'totalSize()J': null,
+    'availableSize()J': null,
+    'usedSize()J': null,
+    'directorySize(Z)J': null,
+    'fileSize()J': null,
+    'canRead()Z': null,
+    'canWrite()Z': null,
+    'isHidden()Z': null,
+    'setReadable(Z)V': null,
+    'setWritable(Z)V': null,
+    'setHidden(Z)V': null,
+    'list()Ljava/util/Enumeration;': null,
+    'list(Ljava/lang/String;Z)Ljava/util/Enumeration;': null,
+    'create()V': null,
+    'exists()Z': null,
+    'isDirectory()Z': null,
+    'delete()V': null,
+    'rename(Ljava/lang/String;)V': null,
+    'truncate(J)V': null,
+    'setFileConnection(Ljava/lang/String;)V': null,
+    'getName()Ljava/lang/String;': null,
+    'getPath()Ljava/lang/String;': null,
+    'getURL()Ljava/lang/String;': null,
+    'lastModified()J': null,
+    'mkdir()V': null
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/io/file/FileSystemListener',
+  isInterface: true,
+  fields: [
+    { name: 'ROOT_ADDED', descriptor: 'I', isStatic: true, value: midpFileConstants.ROOT_ADDED },
+    { name: 'ROOT_REMOVED', descriptor: 'I', isStatic: true, value: midpFileConstants.ROOT_REMOVED }
+  ],
+  methods: {
+    'rootChanged(ILjava/lang/String;)V': null
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/io/file/FileSystemRegistry',
+  staticMethods: {
+    'listRoots()Ljava/util/Enumeration;': () => {
+      return midpFileRequest({ action: 'roots' }).then(midpFileEnumerate);
+    },
+    // Roots never come or go while a MIDlet runs, so listeners are only kept
+    'addFileSystemListener(Ljavax/microedition/io/file/FileSystemListener;)Z': (thread, listener) => {
+      if (listener === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      if (!midpFileState.listeners.includes(listener)) midpFileState.listeners.push(listener);
+      return true;
+    },
+    'removeFileSystemListener(Ljavax/microedition/io/file/FileSystemListener;)Z': (thread, listener) => {
+      if (listener === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      const index = midpFileState.listeners.indexOf(listener);
+      if (index < 0) return false;
+      midpFileState.listeners.splice(index, 1);
+      return true;
+    }
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/io/Connector$FileConnection',
+  interfaces: ['javax/microedition/io/file/FileConnection'],
+  accessFlags: ClassFile.ACC.FINAL,
+  methods: {
+    'isOpen()Z': (thread, self) => self.isOpen,
+    'close()V': (thread, self) => { self.isOpen = false; },
+
+    'openInputStream()Ljava/io/InputStream;': (thread, self) => midpFileOpenInput(self),
+    'openDataInputStream()Ljava/io/DataInputStream;': (thread, self) => {
+      return midpFileOpenInput(self).then(stream => MidpIo.dataInput(thread, stream));
+    },
+    'openOutputStream()Ljava/io/OutputStream;': (thread, self) => midpFileOpenOutput(self, 0),
+    'openOutputStream(J)Ljava/io/OutputStream;': (thread, self, offset) => midpFileOpenOutput(self, Number(offset)),
+    'openDataOutputStream()Ljava/io/DataOutputStream;': (thread, self) => {
+      return midpFileOpenOutput(self, 0).then(stream => MidpIo.dataOutput(thread, stream));
+    },
+
+    'totalSize()J': (thread, self) => {
+      midpFileCheck(self, MidpIo.constants.READ);
+      return midpFileRequest({ action: 'space', path: self.path }).then(space => BigInt(space.total));
+    },
+    'availableSize()J': (thread, self) => {
+      midpFileCheck(self, MidpIo.constants.READ);
+      return midpFileRequest({ action: 'space', path: self.path }).then(space => BigInt(space.free));
+    },
+    'usedSize()J': (thread, self) => {
+      midpFileCheck(self, MidpIo.constants.READ);
+      return midpFileRequest({ action: 'space', path: self.path }).then(space => BigInt(space.used));
+    },
+    'directorySize(Z)J': (thread, self, includeSubDirs) => {
+      midpFileCheck(self, MidpIo.constants.READ);
+      return midpFileExisting(self)
+        .then(info => {
+          if (!info.directory) throw JVM.newThrowable('java/io/IOException', `Not a directory: ${self.path}`);
+          return midpFileRequest({ action: 'size', path: midpFileTargetPath(self, info), recursive: includeSubDirs !== 0 });
+        })
+        .then(size => BigInt(size));
+    },
+    'fileSize()J': (thread, self) => {
+      midpFileCheck(self, MidpIo.constants.READ);
+      return midpFileInfo(self).then(info => {
+        if (info.directory) throw JVM.newThrowable('java/io/IOException', `Is a directory: ${self.path}`);
+        return BigInt(info.exists ? info.size : -1);
+      });
+    },
+
+    'canRead()Z': (thread, self) => {
+      midpFileCheck(self, MidpIo.constants.READ);
+      return midpFileInfo(self).then(info => info.exists);
+    },
+    'canWrite()Z': (thread, self) => {
+      midpFileCheck(self, MidpIo.constants.READ);
+      return midpFileInfo(self).then(info => info.exists);
+    },
+    'isHidden()Z': (thread, self) => {
+      midpFileCheck(self, MidpIo.constants.READ);
+      return midpFileGetName(self.path).charAt(0) === '.';
+    },
+
+    // Device storage keeps no attributes; files are always readable and
+    // writable, and hidden when their names start with a dot
+    'setReadable(Z)V': (thread, self) => {
+      midpFileCheck(self, MidpIo.constants.WRITE);
+      return midpFileExisting(self).then(() => {});
+    },
+    'setWritable(Z)V': (thread, self) => {
+      midpFileCheck(self, MidpIo.constants.WRITE);
+      return midpFileExisting(self).then(() => {});
+    },
+    'setHidden(Z)V': (thread, self) => {
+      midpFileCheck(self, MidpIo.constants.WRITE);
+      return midpFileExisting(self).then(() => {});
+    },
+
+    'list()Ljava/util/Enumeration;': (thread, self) => midpFileList(self, '*', false),
+    'list(Ljava/lang/String;Z)Ljava/util/Enumeration;': (thread, self, filter, includeHidden) => {
+      if (filter === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      return midpFileList(self, CldcLang.text(filter), includeHidden !== 0);
+    },
+
+    'create()V': (thread, self) => {
+      midpFileCheck(self, MidpIo.constants.WRITE);
+      if (self.path.endsWith('/')) throw JVM.newThrowable('java/io/IOException', 'Directories are made with mkdir');
+      return midpFileInfo(self).then(info => {
+        if (info.exists) throw JVM.newThrowable('java/io/IOException', `Already exists: ${self.path}`);
+        return midpFileRequest({ action: 'write', path: self.path, data: new ArrayBuffer(0) });
+      });
+    },
+    'mkdir()V': (thread, self) => {
+      midpFileCheck(self, MidpIo.constants.WRITE);
+      return midpFileInfo(self).then(info => {
+        if (info.exists) throw JVM.newThrowable('java/io/IOException', `Already exists: ${self.path}`);
+        const path = self.path.endsWith('/') ? self.path : `${self.path}/`;
+        return midpFileRequest({ action: 'mkdir', path: path });
+      });
+    },
+    'exists()Z': (thread, self) => {
+      midpFileCheck(self, MidpIo.constants.READ);
+      return midpFileInfo(self).then(info => info.exists);
+    },
+    'isDirectory()Z': (thread, self) => {
+      midpFileCheck(self, MidpIo.constants.READ);
+      return midpFileInfo(self).then(info => info.exists && info.directory);
+    },
+    'delete()V': (thread, self) => {
+      midpFileCheck(self, MidpIo.constants.WRITE);
+      return midpFileExisting(self)
+        .then(info => midpFileRequest({ action: 'delete', path: midpFileTargetPath(self, info) }))
+        .then(() => {});
+    },
+    'rename(Ljava/lang/String;)V': (thread, self, newName) => midpFileRename(self, newName),
+    'truncate(J)V': (thread, self, byteOffset) => {
+      midpFileCheck(self, MidpIo.constants.WRITE);
+      if (byteOffset < 0n) throw JVM.newThrowable('java/lang/IllegalArgumentException', `Negative length: ${byteOffset}`);
+      return midpFileExistingFile(self)
+        .then(info => {
+          if (BigInt(info.size) <= byteOffset) return null;
+          return midpFileRead(self.path).then(data => {
+            const buffer = data.slice(0, Number(byteOffset)).buffer;
+            return midpFileRequest({ action: 'write', path: self.path, data: buffer }, [buffer]);
+          });
+        })
+        .then(() => {});
+    },
+    'setFileConnection(Ljava/lang/String;)V': (thread, self, fileName) => midpFileSetConnection(self, fileName),
+
+    'getName()Ljava/lang/String;': (thread, self) => JVM.newString(midpFileGetName(self.path)),
+    'getPath()Ljava/lang/String;': (thread, self) => JVM.newString(midpFileGetParent(self.path)),
+    'getURL()Ljava/lang/String;': (thread, self) => JVM.newString(midpFileToUrl(self.path)),
+    'lastModified()J': (thread, self) => {
+      midpFileCheck(self, MidpIo.constants.READ);
+      return midpFileInfo(self).then(info => BigInt(info.lastModified));
+    }
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/io/Connector$FileOutput',
+  superName: 'java/io/OutputStream',
+  accessFlags: ClassFile.ACC.FINAL,
+  methods: {
+    'write(I)V': (thread, self, value) => midpFileWriteOutput(self, [value & 0xff]),
+    'write([BII)V': (thread, self, bytes, offset, length) => {
+      CldcLang.checkRange(bytes, offset, length, 'java/lang/IndexOutOfBoundsException');
+      midpFileWriteOutput(self, bytes.subarray(offset, offset + length));
+    },
+    'flush()V': (thread, self) => {
+      if (self.closed) throw JVM.newThrowable('java/io/IOException', 'Stream is closed');
+      midpFileFlushOutput(self);
+    },
+    'close()V': (thread, self) => {
+      if (self.closed) return;
+      midpFileFlushOutput(self);
+      self.closed = true;
+    }
+  }
+});
+
+[
+  ['javax/microedition/io/file/ConnectionClosedException', 'java/lang/RuntimeException'],
+  ['javax/microedition/io/file/IllegalModeException', 'java/lang/RuntimeException']
+].forEach(([name, superName]) => {
+  JVM.defineNativeClass({ name: name, superName: superName, methods: {} });
+});
+
+MidpIo.registerProtocol('file', midpFileOpen);
+
+// Export functions for use in other modules
+window.MidpFile = {
+  constants: midpFileConstants,
+  read: midpFileReadUrl,
+  flush: midpFileFlush,
+  reset: midpFileReset
+};
@@ -0,0 +1,648 @@
+/**
+ * J2ME Loader for CloudFone
+ * MIDP javax.microedition.lcdui.Font
+ *
+ * Fonts are bitmaps bundled with the emulator rather than browser fonts, so
+ * text metrics and rendering are the same in every browser. There are two
+ * hand-drawn strikes, a 12px and a 15px one, and the two larger sizes are
+ * Scale2x enlargements of them. The app's fontSize setting picks which
+ * strike each of Font's SMALL, MEDIUM and LARGE sizes uses.
+ *
+ * The strikes cover ASCII, Cyrillic and the Latin-1 symbols. Accented
+ * Latin letters (Latin-1, Latin Extended-A, Vietnamese) are built on demand
+ * by decomposing the character and drawing its combining marks over the
+ * base letter; bold and italic are derived from the plain glyphs.
+ */
+
+// Font constants
+const midpFontConstants = {
+  FACE_SYSTEM: 0,
+  FACE_MONOSPACE: 32,
+  FACE_PROPORTIONAL: 64,
+  STYLE_PLAIN: 0,
+  STYLE_BOLD: 1,
+  STYLE_ITALIC: 2,
+  STYLE_UNDERLINED: 4,
+  SIZE_SMALL: 8,
+  SIZE_MEDIUM: 0,
+  SIZE_LARGE: 16,
+  FONT_STATIC_TEXT: 0,
+  FONT_INPUT_TEXT: 1,
+
+  // Metrics of the drawn strikes. Rows above capTop leave room for accents
+  STRIKES: {
+    small: { height: 12, baseline: 10, capTop: 3, spaceWidth: 3, monoWidth: 6 },
+    medium: { height: 15, baseline: 12, capTop: 3, spaceWidth: 4, monoWidth: 8 }
+  },
+
+  // [strike, scale] for each Font size, by the app's fontSize setting
+  SIZE_TABLES: {
+    small: { 8: ['small', 1], 0: ['small', 1], 16: ['medium', 1] },
+    medium: { 8: ['small', 1], 0: ['medium', 1], 16: ['small', 2] },
+    large: { 8: ['medium', 1], 0: ['small', 2], 16: ['medium', 2] }
+  },
+
+  // Italic glyphs lean one pixel for this many rows
+  ITALIC_SLOPE: 4,
+
+  // Glyphs as runs of consecutive characters. Each glyph is a hex digit
+  // giving its number of columns followed by 3 hex digits per column, bit 0
+  // being the row at capTop; '-' marks a character the strike lacks
+  GLYPHS: {
+    small: [
+      [0x0020,
+        '0105f3007000007501407f01407f014502402a07f02a012502301300806406250360490550220502005003301c0220413041' +
+        '02201c501400803e008014500800803e0080082050030500800800800800820600605020010008004002503e05104904503e' +
+        '304207f0405042061051049046502104104504b031501801401207f0105027045045045039503c04a0490490305001071009' +
+        '0050035036049049049036500604904902901e20360362056036400801402204150140140140140144041022014008500200' +
+        '1051009006503204907904103e507e01101101107e507f049049049036503e041041041022507f04104102201c507f049049' +
+        '049041507f009009009001503e04104904907a507f00800800807f304107f041502004004103f001507f008014022041507f' +
+        '040040040040507f00200c00207f507f00400801007f503e04104104103e507f009009009006503e04105102105e507f0090' +
+        '190290465046049049049031500100107f001001503f04004004003f501f02004002001f503f04003804003f506301400801' +
+        '406350070080700080075061051049045043307f0410415002004008010020304104107f5004002001002004504004004004' +
+        '004030010020045020054054054078507f0480440440385038044044044020503804404404807f5038054054054018500807' +
+        'e00900100250381441441440fc507f008004004078304407d04040801001040fd407f010028044304107f040507c00401800' +
+        '4078507c008004004078503804404404403851fc04404404403850380440440441fc507c0080040040085048054054054020' +
+        '500403f044040020503c04004002007c501c02004002001c503c04003004003c5044028010028044503c1401401400fc5044' +
+        '06405404c0443008036041107f30410360085008004008010008'],
+      [0x00a1, '11f4501802407e024024504807e049041062-501501607c016015-404e055055039'],
+      [0x00ab, '5010028054028044'],
+      [0x00b0, '3002005002504404405f044044'],
+      [0x00b5, '41fc04004007c-1008'],
+      [0x00bb, '5044028054028010'],
+      [0x00bf, '50c0120114100080'],
+      [0x00c6, '507e00907f049049'],
+      [0x00d7, '3014008014507e06105d04303f'],
+      [0x00df, '407e00104503a'],
+      [0x00e6, '5024054038054058'],
+      [0x00f0, '503804504504603d'],
+      [0x00f7, '500800802a008008507806405404c03c'],
+      [0x0110, '600807f04904902201c603804404404a07f002'],
+      [0x0131, '304407c040'],
+      [0x0141, '500807f044040040304907f044'],
+      [0x0152, '503e04107f0490495038044038054058'],
+      [0x0404, '503e049049041022'],
+      [0x0411,
+        '507f049049049031-507f001001001001506003f02103f060-507700807f0080775022041049049036507f01000800407f--' +
+        '504003e00100107f'],
+      [0x041f, '507f00100100107f'],
+      [0x0423,
+        '502704804804803f501c02207f02201c-507f04004007f0c0500700800800807f507f04007f04007f607f04007f04007f0c0' +
+        '500107f048048030507f04807800007f507f048048048030502204104904903e507f00803e04103e504602901900907f-503' +
+        'c04a04a049031407c054054028407c004004004506003c02403c060-506c01007c01006c4044054054028507c02001000807' +
+        'c-407c010028044504003800400407c507c00801000807c507c01001001007c-507c00400400407c--500400407c004004-5' +
+        '0180240fe024018-507c04004007c0c0400c01001007c507c04007c04007c607c04007c04007c0c0500407c050050020507c' +
+        '05002000007c407c0500500204044054054038507c010038044038404803401407c'],
+      [0x0454, '4038054054044'],
+      [0x0490, '507e002002002003407c004004006'],
+      [0x2013, '50080080080080088008008008008008008008008'],
+      [0x2018, '20060012004003--400600100600140040030040034080060080060'],
+      [0x2022, '301c01c01c'],
+      [0x2026, '5040000040000040'],
+      [0x20ac, '501403e055055041']
+    ],
+    medium: [
+      [0x0020,
+        '0117f300700000760280fe0280280fe028508c0921ff092062618404a02409014808660e61191190a60401b01007307c0821' +
+        '01310108207c501400803e008014501001007c010010220018040200200200201100518006001000c00350fe1211111090fe' +
+        '51041021ff100100518214112111110e50821011111110ee50380240221ff020508f1091091090f150fc10a1091090f05001' +
+        '18106101900750ee1111111110ee501e1211210a107e12082400388402005008810450500500500500504104088050020500' +
+        '2001171009006707c08213914517d14203c51fc0220210221fc51ff1111111110ee50fe10110110108251ff10110108207c5' +
+        '1ff11111111110151ff01101101100150fe1011111111f251ff0100100101ff31011ff10150c01001011010ff51ff0100280' +
+        '4418351ff10010010010071ff0020040080040021ff51ff0060180601ff50fe1011011010fe51ff01101101100e50fe10114' +
+        '108117e51ff01103105118e508e1111111110e250010011ff00100150ff1001001000ff500f07018007000f71ff080040030' +
+        '0400801ff518306c01006c183500300c1f000c003518116111110d10331ff101101500300c01006018031011011ff5004002' +
+        '0010020045200200200200200200100250c01281281281f051ff1081081080f050f010810810809050f01081081081ff50f0' +
+        '1281281280b040081fe00900954f09089089087f851ff0080080081f011fa38008007fa41ff02005018811ff71f80080081f' +
+        '00080081f051f80080080081f050f01081081080f05ff81081081080f050f0108108108ff841f80100080085110128128128' +
+        '0c840080fe10810850f81001001001f8501806018006001870f81000800400801000f8510809006009010854f89009009007' +
+        'f8518814812811810840100ee10110113ff41011010ee0106020010010020020010'],
+      [0x00a1, '1fe850700881fc08808851101fe111111182-50530541f8054053-411a1251250d9'],
+      [0x00ab, '50200500a8050088'],
+      [0x00b0, '400600900900650880880be088088'],
+      [0x00b5, '57f80001001001f8-1020'],
+      [0x00bb, '50880500a8050020'],
+      [0x00bf, '5300480468400200'],
+      [0x00c6, '71fc0220211ff111111111'],
+      [0x00d7, '508805002005008851fe16111110d0ff'],
+      [0x00df, '51fe0011091160e0'],
+      [0x00e6, '70c01281280f01281280b0'],
+      [0x00f0, '50f010910d10a0fd'],
+      [0x00f7, '501001005401001051f01881681180f8'],
+      [0x0110, '60101ff11111108207c60f010810a10a1ff002'],
+      [0x0131, '11f8'],
+      [0x0141, '60201ff11010010010030201ff010'],
+      [0x0152, '70fe1011011ff11111111170f01081080f01281280b0'],
+      [0x0404, '50fe111111111082'],
+      [0x0411,
+        '51ff1111111110e1-51ff001001001001638017f1011011ff300-718306c0101ff01006c18350821011111110ee51ff0c003' +
+        '000c1ff--518007e0010011ff'],
+      [0x041f, '51ff0010010011ff'],
+      [0x0423,
+        '508f1101101100ff703c0420421ff04204203c-61ff1001001001ff300500f0100100101ff71ff1001001ff1001001ff81ff' +
+        '1001001ff1001001ff30060011ff1101101100e071ff1101101100e00001ff51ff1101101100e050821011111110fe71ff01' +
+        '00fe1011011010fe518e0510310111ff-50fc10a10a1090f151f81281281280d041f800800800863801781081081f8300-71' +
+        '080900601f806009010850901081281280d051f80800600101f8-41f802005018851000f00080081f851f80100200101f851' +
+        'f80200200201f8-51f80080080081f8--50080081f8008008-70700880887ff088088070-61f81001001001f830050380400' +
+        '400401f871f81001001f81001001f881f81001001f81001001f830060081f81201201200c071f81201201200c00001f851f8' +
+        '1201201200c050901081281280f071f80200f01081081080f051300c80480481f8'],
+      [0x0454, '50f0128128128090'],
+      [0x0490, '51fe00200200200341f800800800c'],
+      [0x2013, '50200200200200209020020020020020020020020020'],
+      [0x2018, '20060012004003--400600100600140040030040034200180200180'],
+      [0x2022, '3070070070'],
+      [0x2026, '5100000100000100'],
+      [0x20ac, '607c0aa129129129082']
+    ]
+  },
+
+  // Characters drawn with another character's glyph, as pairs
+  ALIASES: '\u00a0 АAВBЕEКKМMНHОOРPСCТTХXЅSІIЈJаaеeоoрpсcуyхxѕsіiјjÐĐ',
+
+  // Combining marks: where they go and their bitmap, rows separated by '/'.
+  // Tone marks sit beside a circumflex rather than stacking on it
+  MARKS: {
+    0x0300: { place: 'above', art: '#./.#', tone: true },
+    0x0301: { place: 'above', art: '.#/#.', tone: true },
+    0x0302: { place: 'above', art: '.#./#.#' },
+    0x0303: { place: 'above', art: '.#.#/#.#.' },
+    0x0304: { place: 'above', art: '####' },
+    0x0306: { place: 'above', art: '#..#/.##.' },
+    0x0307: { place: 'above', art: '#' },
+    0x0308: { place: 'above', art: '#.#' },
+    0x0309: { place: 'above', art: '##/.#/#.', tone: true },
+    0x030a: { place: 'above', art: '.#./#.#/.#.' },
+    0x030b: { place: 'above', art: '.#.#/#.#.' },
+    0x030c: { place: 'above', art: '#.#/.#.' },
+    0x031b: { place: 'horn', art: '#/#' },
+    0x0323: { place: 'below', art: '#', gap: 1 },
+    0x0326: { place: 'below', art: '.#/#.', gap: 0 },
+    0x0327: { place: 'below', art: '.#/##', gap: 0 },
+    0x0328: { place: 'ogonek', art: '#./.#' }
+  }
+};
+
+// Font state
+const midpFontState = {
+  sizeTable: 'medium',
+  strikes: {},
+  aliases: null,
+  markBitmaps: {}
+};
+
+// ---------------------------------------------------------------------------
+// Glyph construction
+// ---------------------------------------------------------------------------
+
+/**
+ * Choose the size table for the next MIDlet
+ * @param {string} fontSize - 'small', 'medium' or 'large'
+ */
+function midpFontConfigure(fontSize) {
+  midpFontState.sizeTable = midpFontConstants.SIZE_TABLES[fontSize] ? fontSize : 'medium';
+}
+
+/**
+ * Get the decoded glyph columns of a drawn strike
+ * @param {string} name - Strike name
+ * @returns {Map} Column bitmasks by character code
+ */
+function midpFontGetStrike(name) {
+  let strike = midpFontState.strikes[name];
+  if (strike) return strike;
+
+  strike = new Map();
+  midpFontConstants.GLYPHS[name].forEach(([first, data]) => {
+    let code = first;
+    for (let i = 0; i < data.length; code++) {
+      if (data[i] === '-') {
+        i++;
+        continue;
+      }
+      const count = parseInt(data[i], 16);
+      const columns = [];
+      for (let j = 0; j < count; j++) {
+        columns.push(parseInt(data.substr(i + 1 + j * 3, 3), 16));
+      }
+      strike.set(code, columns);
+      i += 1 + count * 3;
+    }
+  });
+
+  midpFontState.strikes[name] = strike;
+  return strike;
+}
+
+/**
+ * Look up the character whose glyph another character borrows
+ * @param {number} code - Character code
+ * @returns {number} Character code to draw
+ */
+function midpFontResolveAlias(code) {
+  if (!midpFontState.aliases) {
+    const pairs = midpFontConstants.ALIASES;
+    midpFontState.aliases = new Map();
+    for (let i = 0; i < pairs.length; i += 2) {
+      midpFontState.aliases.set(pairs.charCodeAt(i), pairs.charCodeAt(i + 1));
+    }
+  }
+  return midpFontState.aliases.get(code) || code;
+}
+
+/**
+ * Get the pixels of a combining mark
+ * @param {number} code - Combining character
+ * @returns {Array} [x, y] pixels with the mark's top-left at 0, 0
+ */
+function midpFontMarkPixels(code) {
+  let pixels = midpFontState.markBitmaps[code];
+  if (!pixels) {
+    pixels = [];
+    midpFontConstants.MARKS[code].art.split('/').forEach((row, y) => {
+      for (let x = 0; x < row.length; x++) {
+        if (row[x] === '#') pixels.push([x, y]);
+      }
+    });
+    midpFontState.markBitmaps[code] = pixels;
+  }
+  return pixels;
+}
+
+/**
+ * Measure the ink of a set of pixels
+ * @param {Array} pixels - [x, y] pixels
+ * @returns {Object} {left, top, right, bottom}, all inclusive
+ */
+function midpFontBounds(pixels) {
+  const bounds = { left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity };
+  pixels.forEach(([x, y]) => {
+    bounds.left = Math.min(bounds.left, x);
+    bounds.top = Math.min(bounds.top, y);
+    bounds.right = Math.max(bounds.right, x);
+    bounds.bottom = Math.max(bounds.bottom, y);
+  });
+  return bounds;
+}
+
+/**
+ * Build the plain glyph of a character in a drawn strike
+ * @param {string} name - Strike name
+ * @param {number} code - Character code
+ * @returns {Object|null} {advance, pixels} with pixels relative to the top
+ *   of the line, or null if the strike can't draw the character
+ */
+function midpFontComposeGlyph(name, code) {
+  const metrics = midpFontConstants.STRIKES[name];
+  const strike = midpFontGetStrike(name);
+  const columns = strike.get(code) || strike.get(midpFontResolveAlias(code));
+
+  if (columns) {
+    if (columns.length === 0) return { advance: metrics.spaceWidth, pixels: [] };
+
+    const pixels = [];
+    columns.forEach((bits, x) => {
+      for (let y = metrics.capTop; bits !== 0; bits >>= 1, y++) {
+        if (bits & 1) pixels.push([x, y]);
+      }
+    });
+    return { advance: columns.length + 1, pixels: pixels };
+  }
+
+  // Accented letters: a base letter followed by marks we know how to draw
+  const parts = String.fromCharCode(code).normalize('NFD');
+  const marks = [];
+  for (let i = 1; i < parts.length; i++) marks.push(parts.charCodeAt(i));
+  if (marks.length === 0 || !marks.every(mark => midpFontConstants.MARKS[mark])) return null;
+
+  // Marks above i replace its dot
+  let base = parts.charCodeAt(0);
+  if (midpFontResolveAlias(base) === 0x69 && midpFontConstants.MARKS[marks[0]].place === 'above') base = 0x131;
+
+  const glyph = midpFontComposeGlyph(name, base);
+  if (!glyph) return null;
+
+  const pixels = glyph.pixels.slice();
+  const letter = midpFontBounds(glyph.pixels);
+  let top = letter.top;
+  let previous = null;
+
+  marks.forEach(mark => {
+    const definition = midpFontConstants.MARKS[mark];
+    const markPixels = midpFontMarkPixels(mark);
+    const size = midpFontBounds(markPixels);
+    const width = size.right + 1;
+    const height = size.bottom + 1;
+    let x = letter.left + Math.ceil((letter.right - letter.left + 1 - width) / 2);
+    let y;
+
+    switch (definition.place) {
+      case 'above':
+        if (definition.tone && previous && previous.mark === 0x302) {
+          // Vietnamese puts a tone mark beside a circumflex, not over it
+          x = previous.x + previous.width;
+          y = previous.y + previous.height - height;
+        } else {
+          // One blank row between the letter and the first mark
+          y = top - height - (previous ? 0 : 1);
+        }
+        top = Math.min(top, y);
+        previous = { mark: mark, x: x, y: y, width: width, height: height };
+        break;
+      case 'below':
+        y = metrics.baseline + definition.gap;
+        break;
+      case 'horn':
+        x = letter.right + 1;
+        y = letter.top - 1;
+        break;
+      case 'ogonek':
+        x = letter.right - width + 1;
+        y = metrics.baseline;
+        break;
+    }
+    markPixels.forEach(([mx, my]) => pixels.push([x + mx, y + my]));
+  });
+
+  const bounds = midpFontBounds(pixels);
+  return { advance: Math.max(glyph.advance, bounds.right + 2), pixels: pixels };
+}
+
+/**
+ * Double the size of a glyph with Scale2x, which keeps diagonals smooth
+ * instead of turning them into staircases
+ * @param {Object} glyph - {advance, pixels}
+ * @returns {Object} Enlarged glyph
+ */
+function midpFontScale2x(glyph) {
+  if (glyph.pixels.length === 0) return { advance: glyph.advance * 2, pixels: [] };
+
+  const bounds = midpFontBounds(glyph.pixels);
+  const set = new Set(glyph.pixels.map(([x, y]) => `${x},${y}`));
+  const has = (x, y) => set.has(`${x},${y}`);
+  const pixels = [];
+
+  for (let y = bounds.top; y <= bounds.bottom; y++) {
+    for (let x = bounds.left; x <= bounds.right; x++) {
+      if (!has(x, y)) {
+        // A blank pixel may still get a corner filled in by its neighbours
+        const up = has(x, y - 1);
+        const down = has(x, y + 1);
+        const left = has(x - 1, y);
+        const right = has(x + 1, y);
+        if (left && up && !down && !right) pixels.push([2 * x, 2 * y]);
+        if (up && right && !left && !down) pixels.push([2 * x + 1, 2 * y]);
+        if (down && left && !right && !up) pixels.push([2 * x, 2 * y + 1]);
+        if (right && down && !up && !left) pixels.push([2 * x + 1, 2 * y + 1]);
+        continue;
+      }
+      pixels.push([2 * x, 2 * y], [2 * x + 1, 2 * y], [2 * x, 2 * y + 1], [2 * x + 1, 2 * y + 1]);
+    }
+  }
+  return { advance: glyph.advance * 2, pixels: pixels };
+}
+
+/**
+ * Pack a glyph's pixels into the bitmap Graphics draws
+ * @param {number} advance - Advance width
+ * @param {Array} pixels - [x, y] pixels relative to the pen and the top of the line
+ * @returns {Object} {advance, left, top, width, height, bits}
+ */
+function midpFontPackGlyph(advance, pixels) {
+  if (pixels.length === 0) {
+    return { advance: advance, left: 0, top: 0, width: 0, height: 0, bits: new Uint8Array(0) };
+  }
+
+  const bounds = midpFontBounds(pixels);
+  const width = bounds.right - bounds.left + 1;
+  const height = bounds.bottom - bounds.top + 1;
+  const bits = new Uint8Array(width * height);
+  pixels.forEach(([x, y]) => {
+    bits[(y - bounds.top) * width + x - bounds.left] = 1;
+  });
+  return { advance: advance, left: bounds.left, top: bounds.top, width: width, height: height, bits: bits };
+}
+
+/**
+ * Build the glyph of a character in a font's strike, size, style and face
+ * @param {Object} font - javax.microedition.lcdui.Font
+ * @param {number} code - Character code
+ * @returns {Object} Packed glyph
+ */
+function midpFontBuildGlyph(font, code) {
+  const c = midpFontConstants;
+  const metrics = c.STRIKES[font.strike];
+
+  // Combining marks on their own and control characters take no space
+  if (code < 0x20 || (code >= 0x300 && code < 0x370)) return midpFontPackGlyph(0, []);
+
+  let glyph = midpFontComposeGlyph(font.strike, code) || midpFontComposeGlyph(font.strike, 0x3f);
+  if (font.scale === 2) glyph = midpFontScale2x(glyph);
+
+  let advance = glyph.advance;
+  let pixels = glyph.pixels;
+  const baseline = metrics.baseline * font.scale;
+
+  if (font.style & c.STYLE_BOLD) {
+    pixels = pixels.concat(pixels.map(([x, y]) => [x + font.scale, y]));
+    advance += font.scale;
+  }
+  if (font.style & c.STYLE_ITALIC) {
+    const slope = c.ITALIC_SLOPE * font.scale;
+    pixels = pixels.map(([x, y]) => [x + Math.floor((baseline - 1 - y) / slope), y]);
+  }
+  if (font.face === c.FACE_MONOSPACE) {
+    // Every character takes the same space, narrow ones centred in it
+    const cell = metrics.monoWidth * font.scale + (font.style & c.STYLE_BOLD ? font.scale : 0);
+    const shift = Math.max(0, Math.floor((cell - advance) / 2));
+    pixels = pixels.map(([x, y]) => [x + shift, y]);
+    advance = cell;
+  }
+  return midpFontPackGlyph(advance, pixels);
+}
+
+// ---------------------------------------------------------------------------
+// Metrics
+// ---------------------------------------------------------------------------
+
+/**
+ * Get the glyph for a character
+ * @param {Object} font - javax.microedition.lcdui.Font
+ * @param {number} code - UTF-16 code unit
+ * @returns {Object} Glyph with advance, bitmap offset (left, top relative
+ *   to the pen and the top of the line), size and bits
+ */
+function midpFontGetGlyph(font, code) {
+  let glyph = font.glyphs.get(code);
+  if (!glyph) {
+    glyph = midpFontBuildGlyph(font, code);
+    font.glyphs.set(code, glyph);
+  }
+  return glyph;
+}
+
+/**
+ * Get the glyphs to draw a string with; decomposed accents are joined to
+ * their letters first
+ * @param {Object} font - Font
+ * @param {string} text - Text
+ * @returns {Array} Glyphs
+ */
+function midpFontLayout(font, text) {
+  const normalized = text.normalize('NFC');
+  const glyphs = new Array(normalized.length);
+  for (let i = 0; i < normalized.length; i++) {
+    glyphs[i] = midpFontGetGlyph(font, normalized.charCodeAt(i));
+  }
+  return glyphs;
+}
+
+/**
+ * Measure a string
+ * @param {Object} font - Font
+ * @param {string} text - Text
+ * @returns {number} Advance width in pixels
+ */
+function midpFontStringWidth(font, text) {
+  return midpFontLayout(font, text).reduce((width, glyph) => width + glyph.advance, 0);
+}
+
+/**
+ * Get the line height of a font
+ * @param {Object} font - Font
+ * @returns {number} Height in pixels
+ */
+function midpFontGetHeight(font) {
+  return midpFontConstants.STRIKES[font.strike].height * font.scale;
+}
+
+/**
+ * Get the distance from the top of a line to the baseline
+ * @param {Object} font - Font
+ * @returns {number} Baseline position in pixels
+ */
+function midpFontGetBaseline(font) {
+  return midpFontConstants.STRIKES[font.strike].baseline * font.scale;
+}
+
+/**
+ * Get where the underline of an underlined font goes
+ * @param {Object} font - Font
+ * @returns {Array} [offset from the top of the line, thickness]
+ */
+function midpFontGetUnderline(font) {
+  return [midpFontGetBaseline(font), font.scale];
+}
+
+/**
+ * Get the shared Font instance for a face, style and size
+ * @param {number} face - FACE_* constant
+ * @param {number} style - STYLE_* flags
+ * @param {number} size - SIZE_* constant
+ * @returns {Object} javax.microedition.lcdui.Font
+ */
+function midpFontGetFont(face, style, size) {
+  const c = midpFontConstants;
+  if (face !== c.FACE_SYSTEM && face !== c.FACE_MONOSPACE && face !== c.FACE_PROPORTIONAL) {
+    throw JVM.newThrowable('java/lang/IllegalArgumentException', `Unsupported face: ${face}`);
+  }
+  if ((style & ~(c.STYLE_BOLD | c.STYLE_ITALIC | c.STYLE_UNDERLINED)) !== 0) {
+    throw JVM.newThrowable('java/lang/IllegalArgumentException', `Illegal style: ${style}`);
+  }
+  if (size !== c.SIZE_SMALL && size !== c.SIZE_MEDIUM && size !== c.SIZE_LARGE) {
+    throw JVM.newThrowable('java/lang/IllegalArgumentException', `Unsupported size: ${size}`);
+  }
+
+  // Fonts are immutable, so each combination has a single instance
+  const fontClass = JVM.loadClass('javax/microedition/lcdui/Font');
+  if (!fontClass.fonts) fontClass.fonts = new Map();
+  const key = `${face}/${style}/${size}`;
+  let font = fontClass.fonts.get(key);
+  if (!font) {
+    const [strike, scale] = c.SIZE_TABLES[midpFontState.sizeTable][size];
+    font = Object.assign(JVM.newObject(fontClass), {
+      face: face,
+      style: style,
+      size: size,
+      strike: strike,
+      scale: scale,
+      glyphs: new Map()
+    });
+    fontClass.fonts.set(key, font);
+  }
+  return font;
+}
+
+/**
+ * Get the font used when a MIDlet hasn't chosen one
+ * @returns {Object} javax.microedition.lcdui.Font
+ */
+function midpFontGetDefault() {
+  const c = midpFontConstants;
+  return midpFontGetFont(c.FACE_SYSTEM, c.STYLE_PLAIN, c.SIZE_MEDIUM);
+}
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/lcdui/Font',
+  accessFlags: ClassFile.ACC.PUBLIC | ClassFile.ACC.FINAL,
+  fields: [
+    { name: 'FACE_SYSTEM', descriptor: 'I', isStatic: true, value: midpFontConstants.FACE_SYSTEM },
+    { name: 'FACE_MONOSPACE', descriptor: 'I', isStatic: true, value: midpFontConstants.FACE_MONOSPACE },
+    { name: 'FACE_PROPORTIONAL', descriptor: 'I', isStatic: true, value: midpFontConstants.FACE_PROPORTIONAL },
+    { name: 'STYLE_PLAIN', descriptor: 'I', isStatic: true, value: midpFontConstants.STYLE_PLAIN },
+    { name: 'STYLE_BOLD', descriptor: 'I', isStatic: true, value: midpFontConstants.STYLE_BOLD },
+    { name: 'STYLE_ITALIC', descriptor: 'I', isStatic: true, value: midpFontConstants.STYLE_ITALIC },
+    { name: 'STYLE_UNDERLINED', descriptor: 'I', isStatic: true, value: midpFontConstants.STYLE_UNDERLINED },
+    { name: 'SIZE_SMALL', descriptor: 'I', isStatic: true, value: midpFontConstants.SIZE_SMALL },
+    { name: 'SIZE_MEDIUM', descriptor: 'I', isStatic: true, value: midpFontConstants.SIZE_MEDIUM },
+    { name: 'SIZE_LARGE', descriptor: 'I', isStatic: true, value: midpFontConstants.SIZE_LARGE },
+    { name: 'FONT_STATIC_TEXT', descriptor: 'I', isStatic: true, value: midpFontConstants.FONT_STATIC_TEXT },
+    { name: 'FONT_INPUT_TEXT', descriptor: 'I', isStatic: true, value: midpFontConstants.FONT_INPUT_TEXT }
+  ],
+  methods: {
+    'getStyle()I': (thread, self) => self.style,
+    'getSize()I': (thread, self) => self.size,
+    'getFace()I': (thread, self) => self.face,
+    'isPlain()Z': (thread, self) => self.style === midpFontConstants.STYLE_PLAIN,
+    'isBold()Z': (thread, self) => (self.style & midpFontConstants.STYLE_BOLD) !== 0,
+    'isItalic()Z': (thread, self) => (self.style & midpFontConstants.STYLE_ITALIC) !== 0,
+    'isUnderlined()Z': (thread, self) => (self.style & midpFontConstants.STYLE_UNDERLINED) !== 0,
+    'getHeight()I': (thread, self) => midpFontGetHeight(self),
+    'getBaselinePosition()I': (thread, self) => midpFontGetBaseline(self),
+    'charWidth(C)I': (thread, self, ch) => midpFontGetGlyph(self, ch).advance,
+    'charsWidth([CII)I': (thread, self, chars, offset, length) => {
+      CldcLang.checkRange(chars, offset, length);
+      return midpFontStringWidth(self, CldcLang.charsToString(chars, offset, length));
+    },
+    'stringWidth(Ljava/lang/String;)I': (thread, self, string) => midpFontStringWidth(self, CldcLang.text(string)),
+    'substringWidth(Ljava/lang/String;II)I': (thread, self, string, offset, length) => {
+      const text = CldcLang.text(string);
+      if (offset < 0 || length < 0 || offset + length > text.length) {
+        throw JVM.newThrowable('java/lang/StringIndexOutOfBoundsException', `offset ${offset}, length ${length}`);
+      }
+      return midpFontStringWidth(self, text.substr(offset, length));
+    }
+  },
+  staticMethods: {
+    'getDefaultFont()Ljavax/microedition/lcdui/Font;': () => midpFontGetDefault(),
+    'getFont(III)Ljavax/microedition/lcdui/Font;': (thread, face, style, size) => midpFontGetFont(face, style, size),
+    'getFont(I)Ljavax/microedition/lcdui/Font;': (thread, specifier) => {
+      if (specifier !== midpFontConstants.FONT_STATIC_TEXT && specifier !== midpFontConstants.FONT_INPUT_TEXT) {
+        throw JVM.newThrowable('java/lang/IllegalArgumentException', `Illegal font specifier: ${specifier}`);
+      }
+      return midpFontGetDefault();
+    }
+  }
+});
+
+// Export functions for use in other modules
+window.MidpFont = {
+  constants: midpFontConstants,
+  configure: midpFontConfigure,
+  getDefault: midpFontGetDefault,
+  getGlyph: midpFontGetGlyph,
+  layout: midpFontLayout,
+  stringWidth: midpFontStringWidth,
+  getHeight: midpFontGetHeight,
+  getBaseline: midpFontGetBaseline,
+  getUnderline: midpFontGetUnderline
+};
@@ -0,0 +1,902 @@
+/**
+ * J2ME Loader for CloudFone
+ * MIDP javax.microedition.lcdui.game
+ *
+ * GameCanvas gives a game loop its own off-screen buffer and a way to poll
+ * the keys. The loop draws into the buffer from its own thread and
+ * flushGraphics copies it to the display straight away, without going
+ * through the event thread the way Canvas.repaint does.
+ *
+ * Sprites and TiledLayers keep their state as JS values and paint through
+ * MidpGraphics. A Sprite's frame, transform and collision rectangle are
+ * worked out from the same transform steps Graphics.drawRegion uses, and
+ * opaque tiles are copied a row at a time rather than pixel by pixel.
+ */
+
+// Game constants
+const midpGameConstants = {
+  // Off-screen buffers start out white
+  BUFFER_FILL: 0xffffffff,
+
+  // LayerManager's view window until the MIDlet sets one
+  MAX_VIEW: 0x7fffffff
+};
+
+// ---------------------------------------------------------------------------
+// GameCanvas
+// ---------------------------------------------------------------------------
+
+/**
+ * Copy part of a GameCanvas buffer to the display and show it
+ * @param {Object} canvas - GameCanvas
+ * @param {number} x - Left
+ * @param {number} y - Top
+ * @param {number} width - Width
+ * @param {number} height - Height
+ */
+function midpGameFlush(canvas, x, y, width, height) {
+  if (MidpLcdui.getState().current !== canvas) return;
+
+  const display = MidpLcdui.getSurface();
+  const buffer = canvas.buffer;
+  const x1 = Math.max(0, x);
+  const y1 = Math.max(0, y);
+  const x2 = Math.min(x + width, buffer.width, display.width);
+  const y2 = Math.min(y + height, buffer.height, display.height);
+  if (x1 >= x2 || y1 >= y2) return;
+
+  for (let row = y1; row < y2; row++) {
+    const start = row * buffer.width;
+    display.pixels.set(buffer.pixels.subarray(start + x1, start + x2), row * display.width + x1);
+  }
+  JVM.state.host.flushDisplay();
+}
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/lcdui/game/GameCanvas',
+  superName: 'javax/microedition/lcdui/Canvas',
+  accessFlags: ClassFile.ACC.PUBLIC | ClassFile.ACC.ABSTRACT,
+  fields: [
+    { name: 'UP_PRESSED', descriptor: 'I', isStatic: true, value: 1 << MidpLcdui.constants.UP },
+    { name: 'DOWN_PRESSED', descriptor: 'I', isStatic: true, value: 1 << MidpLcdui.constants.DOWN },
+    { name: 'LEFT_PRESSED', descriptor: 'I', isStatic: true, value: 1 << MidpLcdui.constants.LEFT },
+    { name: 'RIGHT_PRESSED', descriptor: 'I', isStatic: true, value: 1 << MidpLcdui.constants.RIGHT },
+    { name: 'FIRE_PRESSED', descriptor: 'I', isStatic: true, value: 1 << MidpLcdui.constants.FIRE },
+    { name: 'GAME_A_PRESSED', descriptor: 'I', isStatic: true, value: 1 << MidpLcdui.constants.GAME_A },
+    { name: 'GAME_B_PRESSED', descriptor: 'I', isStatic: true, value: 1 << MidpLcdui.constants.GAME_B },
+    { name: 'GAME_C_PRESSED', descriptor: 'I', isStatic: true, value: 1 << MidpLcdui.constants.GAME_C },
+    { name: 'GAME_D_PRESSED', descriptor: 'I', isStatic: true, value: 1 << MidpLcdui.constants.GAME_D }
+  ],
+  methods: {
+    '<init>(Z)V': (thread, self, suppressKeyEvents) => {
+      self.title = null;
+      self.fullScreen = false;
+      self.suppressKeyEvents = suppressKeyEvents !== 0;
+
+      const display = MidpLcdui.getSurface();
+      self.buffer = ImageDecoder.createSurface(display.width, display.height);
+      self.buffer.pixels.fill(midpGameConstants.BUFFER_FILL);
+    },
+    'getGraphics()Ljavax/microedition/lcdui/Graphics;': (thread, self) => MidpGraphics.create(self.buffer, self),
+    'getKeyStates()I': (thread, self) => {
+      // Keys only count while the canvas is on screen
+      return MidpLcdui.getState().current === self ? MidpLcdui.takeKeyStates() : 0;
+    },
+    'paint(Ljavax/microedition/lcdui/Graphics;)V': (thread, self, g) => {
+      if (g === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      const buffer = self.buffer;
+      MidpGraphics.blit(g, buffer, 0, 0, buffer.width, buffer.height, MidpGraphics.constants.TRANS_NONE, g.tx, g.ty);
+    },
+    'flushGraphics()V': (thread, self) => {
+      midpGameFlush(self, 0, 0, self.buffer.width, self.buffer.height);
+    },
+    'flushGraphics(IIII)V': (thread, self, x, y, width, height) => {
+      if (width > 0 && height > 0) midpGameFlush(self, x, y, width, height);
+    }
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Layers
+// ---------------------------------------------------------------------------
+
+/**
+ * Set up the state every layer has
+ * @param {Object} layer - Layer
+ * @param {number} width - Width
+ * @param {number} height - Height
+ */
+function midpGameInitLayer(layer, width, height) {
+  layer.x = 0;
+  layer.y = 0;
+  layer.width = width;
+  layer.height = height;
+  layer.visible = true;
+}
+
+/**
+ * Intersect two rectangles given as [x1, y1, x2, y2]
+ * @param {Array} a - First rectangle
+ * @param {Array} b - Second rectangle
+ * @returns {Array|null} Intersection, or null if they don't overlap
+ */
+function midpGameIntersect(a, b) {
+  const x1 = Math.max(a[0], b[0]);
+  const y1 = Math.max(a[1], b[1]);
+  const x2 = Math.min(a[2], b[2]);
+  const y2 = Math.min(a[3], b[3]);
+  return x1 < x2 && y1 < y2 ? [x1, y1, x2, y2] : null;
+}
+
+/**
+ * Check that an image can be cut into frames or tiles of a size
+ * @param {Object|null} image - Image
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ */
+function midpGameCheckFrames(image, width, height) {
+  if (image === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+  const surface = image.surface;
+  if (width < 1 || height < 1 || surface.width % width !== 0 || surface.height % height !== 0) {
+    throw JVM.newThrowable('java/lang/IllegalArgumentException',
+      `Image of ${surface.width}x${surface.height} cannot be cut into ${width}x${height} frames`);
+  }
+}
+
+/**
+ * Check whether a pixel of an image is opaque
+ * @param {Object} surface - Image surface
+ * @param {number} x - Column
+ * @param {number} y - Row
+ * @returns {boolean} True unless the pixel is fully transparent
+ */
+function midpGameIsOpaque(surface, x, y) {
+  return (surface.pixels[y * surface.width + x] >>> 24) !== 0;
+}
+
+// ---------------------------------------------------------------------------
+// Sprites
+// ---------------------------------------------------------------------------
+
+/**
+ * Point a sprite at a new frame set, keeping the reference pixel in place
+ * if the frame size changes
+ * @param {Object} sprite - Sprite
+ * @param {Object|null} image - Image
+ * @param {number} frameWidth - Frame width
+ * @param {number} frameHeight - Frame height
+ */
+function midpGameSetSpriteImage(sprite, image, frameWidth, frameHeight) {
+  midpGameCheckFrames(image, frameWidth, frameHeight);
+  const surface = image.surface;
+  const frameCount = (surface.width / frameWidth) * (surface.height / frameHeight);
+
+  const replacing = sprite.image !== null;
+
+  // A smaller frame set starts the default sequence over
+  if (!replacing || frameCount < sprite.frameCount) {
+    sprite.sequence = null;
+    sprite.sequenceIndex = 0;
+  }
+
+  sprite.frameCount = frameCount;
+  if (replacing && frameWidth === sprite.frameWidth && frameHeight === sprite.frameHeight) {
+    sprite.image = image;
+    return;
+  }
+
+  const refX = replacing ? midpGameGetRefPixelX(sprite) : 0;
+  const refY = replacing ? midpGameGetRefPixelY(sprite) : 0;
+  sprite.image = image;
+  sprite.frameWidth = frameWidth;
+  sprite.frameHeight = frameHeight;
+  sprite.collisionRect = [0, 0, frameWidth, frameHeight];
+  midpGameUpdateSpriteSize(sprite);
+  if (replacing) midpGameSetRefPixelPosition(sprite, refX, refY);
+}
+
+/**
+ * Set the layer size of a sprite from its frame size and transform
+ * @param {Object} sprite - Sprite
+ */
+function midpGameUpdateSpriteSize(sprite) {
+  const swapped = sprite.transform >= MidpGraphics.constants.TRANS_MIRROR_ROT270;
+  sprite.width = swapped ? sprite.frameHeight : sprite.frameWidth;
+  sprite.height = swapped ? sprite.frameWidth : sprite.frameHeight;
+}
+
+/**
+ * Map a pixel of the untransformed frame to the transformed frame
+ * @param {Object} sprite - Sprite
+ * @param {number} x - Column in the untransformed frame
+ * @param {number} y - Row in the untransformed frame
+ * @returns {Array} [column, row] in the transformed frame
+ */
+function midpGameTransformPixel(sprite, x, y) {
+  const steps = MidpGraphics.constants.TRANSFORM_STEPS[sprite.transform];
+  const u = x - steps[0] * (sprite.frameWidth - 1);
+  const v = y - steps[1] * (sprite.frameHeight - 1);
+
+  // The steps form a signed permutation matrix, so its inverse is its transpose
+  return [steps[2] * u + steps[3] * v, steps[4] * u + steps[5] * v];
+}
+
+/**
+ * Map a rectangle of the untransformed frame to the transformed frame
+ * @param {Object} sprite - Sprite
+ * @param {Array} rect - [x, y, width, height] in the untransformed frame
+ * @returns {Array} [x1, y1, x2, y2] in the transformed frame
+ */
+function midpGameTransformRect(sprite, rect) {
+  const steps = MidpGraphics.constants.TRANSFORM_STEPS[sprite.transform];
+  const corner = (x, y) => {
+    const u = x - steps[0] * sprite.frameWidth;
+    const v = y - steps[1] * sprite.frameHeight;
+    return [steps[2] * u + steps[3] * v, steps[4] * u + steps[5] * v];
+  };
+  const [ax, ay] = corner(rect[0], rect[1]);
+  const [bx, by] = corner(rect[0] + rect[2], rect[1] + rect[3]);
+  return [Math.min(ax, bx), Math.min(ay, by), Math.max(ax, bx), Math.max(ay, by)];
+}
+
+/**
+ * Get the x of a sprite's reference pixel in its painter's coordinates
+ * @param {Object} sprite - Sprite
+ * @returns {number} X
+ */
+function midpGameGetRefPixelX(sprite) {
+  return sprite.x + midpGameTransformPixel(sprite, sprite.refX, sprite.refY)[0];
+}
+
+/**
+ * Get the y of a sprite's reference pixel in its painter's coordinates
+ * @param {Object} sprite - Sprite
+ * @returns {number} Y
+ */
+function midpGameGetRefPixelY(sprite) {
+  return sprite.y + midpGameTransformPixel(sprite, sprite.refX, sprite.refY)[1];
+}
+
+/**
+ * Move a sprite so that its reference pixel is at a point
+ * @param {Object} sprite - Sprite
+ * @param {number} x - X in the painter's coordinates
+ * @param {number} y - Y in the painter's coordinates
+ */
+function midpGameSetRefPixelPosition(sprite, x, y) {
+  const [refX, refY] = midpGameTransformPixel(sprite, sprite.refX, sprite.refY);
+  sprite.x = x - refX;
+  sprite.y = y - refY;
+}
+
+/**
+ * Get the raw frame a sprite shows
+ * @param {Object} sprite - Sprite
+ * @returns {number} Index into the frame set
+ */
+function midpGameGetRawFrame(sprite) {
+  return sprite.sequence ? sprite.sequence[sprite.sequenceIndex] : sprite.sequenceIndex;
+}
+
+/**
+ * Get the number of entries in a sprite's frame sequence
+ * @param {Object} sprite - Sprite
+ * @returns {number} Sequence length
+ */
+function midpGameGetSequenceLength(sprite) {
+  return sprite.sequence ? sprite.sequence.length : sprite.frameCount;
+}
+
+/**
+ * Get the rectangle a sprite collides with, in its painter's coordinates
+ * @param {Object} sprite - Sprite
+ * @returns {Array} [x1, y1, x2, y2]
+ */
+function midpGameGetCollisionBounds(sprite) {
+  const rect = midpGameTransformRect(sprite, sprite.collisionRect);
+  return [sprite.x + rect[0], sprite.y + rect[1], sprite.x + rect[2], sprite.y + rect[3]];
+}
+
+/**
+ * Check whether a sprite's current frame is opaque at a point
+ * @param {Object} sprite - Sprite
+ * @param {number} x - X in the painter's coordinates
+ * @param {number} y - Y in the painter's coordinates
+ * @returns {boolean} True if the frame has an opaque pixel there
+ */
+function midpGameSpriteOpaqueAt(sprite, x, y) {
+  const column = x - sprite.x;
+  const row = y - sprite.y;
+  if (column < 0 || row < 0 || column >= sprite.width || row >= sprite.height) return false;
+
+  const steps = MidpGraphics.constants.TRANSFORM_STEPS[sprite.transform];
+  const frameX = steps[0] * (sprite.frameWidth - 1) + column * steps[2] + row * steps[4];
+  const frameY = steps[1] * (sprite.frameHeight - 1) + column * steps[3] + row * steps[5];
+
+  const surface = sprite.image.surface;
+  const frame = midpGameGetRawFrame(sprite);
+  const columns = surface.width / sprite.frameWidth;
+  return midpGameIsOpaque(surface,
+    (frame % columns) * sprite.frameWidth + frameX,
+    Math.floor(frame / columns) * sprite.frameHeight + frameY);
+}
+
+/**
+ * Check whether any point of an area passes a test
+ * @param {Array} area - [x1, y1, x2, y2]
+ * @param {Function} test - Called with x and y
+ * @returns {boolean} True if the test passed somewhere
+ */
+function midpGameAnyPixel(area, test) {
+  for (let y = area[1]; y < area[3]; y++) {
+    for (let x = area[0]; x < area[2]; x++) {
+      if (test(x, y)) return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Sprite.collidesWith(Sprite, boolean)
+ * @param {Object} sprite - Sprite
+ * @param {Object} other - Other sprite
+ * @param {boolean} pixelLevel - Whether opaque pixels have to overlap
+ * @returns {boolean} True on a collision
+ */
+function midpGameSpritesCollide(sprite, other, pixelLevel) {
+  if (!sprite.visible || !other.visible) return false;
+  const area = midpGameIntersect(midpGameGetCollisionBounds(sprite), midpGameGetCollisionBounds(other));
+  if (!area) return false;
+  if (!pixelLevel) return true;
+  return midpGameAnyPixel(area, (x, y) => midpGameSpriteOpaqueAt(sprite, x, y) && midpGameSpriteOpaqueAt(other, x, y));
+}
+
+/**
+ * Sprite.collidesWith(TiledLayer, boolean)
+ * @param {Object} sprite - Sprite
+ * @param {Object} layer - TiledLayer
+ * @param {boolean} pixelLevel - Whether opaque pixels have to overlap
+ * @returns {boolean} True on a collision
+ */
+function midpGameSpriteHitsTiles(sprite, layer, pixelLevel) {
+  if (!sprite.visible || !layer.visible) return false;
+  const bounds = [layer.x, layer.y, layer.x + layer.width, layer.y + layer.height];
+  const area = midpGameIntersect(midpGameGetCollisionBounds(sprite), bounds);
+  if (!area) return false;
+
+  if (pixelLevel) {
+    return midpGameAnyPixel(area, (x, y) => midpGameSpriteOpaqueAt(sprite, x, y) && midpGameTilesOpaqueAt(layer, x, y));
+  }
+
+  // Without pixel-level detection any non-empty cell counts
+  const firstColumn = Math.floor((area[0] - layer.x) / layer.tileWidth);
+  const lastColumn = Math.floor((area[2] - 1 - layer.x) / layer.tileWidth);
+  const firstRow = Math.floor((area[1] - layer.y) / layer.tileHeight);
+  const lastRow = Math.floor((area[3] - 1 - layer.y) / layer.tileHeight);
+  for (let row = firstRow; row <= lastRow; row++) {
+    for (let column = firstColumn; column <= lastColumn; column++) {
+      if (layer.cells[row * layer.columns + column] !== 0) return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Sprite.collidesWith(Image, int, int, boolean)
+ * @param {Object} sprite - Sprite
+ * @param {Object} image - Image
+ * @param {number} x - Image left in the painter's coordinates
+ * @param {number} y - Image top in the painter's coordinates
+ * @param {boolean} pixelLevel - Whether opaque pixels have to overlap
+ * @returns {boolean} True on a collision
+ */
+function midpGameSpriteHitsImage(sprite, image, x, y, pixelLevel) {
+  if (!sprite.visible) return false;
+  const surface = image.surface;
+  const area = midpGameIntersect(midpGameGetCollisionBounds(sprite), [x, y, x + surface.width, y + surface.height]);
+  if (!area) return false;
+  if (!pixelLevel) return true;
+  return midpGameAnyPixel(area, (px, py) => {
+    return midpGameSpriteOpaqueAt(sprite, px, py) && midpGameIsOpaque(surface, px - x, py - y);
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Tiled layers
+// ---------------------------------------------------------------------------
+
+/**
+ * Give a tiled layer a new tile set
+ * @param {Object} layer - TiledLayer
+ * @param {Object|null} image - Image
+ * @param {number} tileWidth - Tile width
+ * @param {number} tileHeight - Tile height
+ */
+function midpGameSetTileSet(layer, image, tileWidth, tileHeight) {
+  midpGameCheckFrames(image, tileWidth, tileHeight);
+  const surface = image.surface;
+  const tileCount = (surface.width / tileWidth) * (surface.height / tileHeight);
+
+  // A smaller tile set empties the cells and drops the animated tiles
+  if (layer.image && tileCount < layer.tileCount) {
+    layer.cells.fill(0);
+    layer.animatedTiles = [];
+  }
+
+  layer.image = image;
+  layer.tileCount = tileCount;
+  layer.tileWidth = tileWidth;
+  layer.tileHeight = tileHeight;
+  layer.width = layer.columns * tileWidth;
+  layer.height = layer.rows * tileHeight;
+  layer.opaqueTiles = midpGameFindOpaqueTiles(image, tileWidth, tileHeight, tileCount);
+}
+
+/**
+ * Find the tiles that have no transparent pixels, which can be copied
+ * without blending
+ * @param {Object} image - Tile set image
+ * @param {number} tileWidth - Tile width
+ * @param {number} tileHeight - Tile height
+ * @param {number} tileCount - Number of tiles
+ * @returns {Uint8Array} 1 for each opaque tile, by tile index
+ */
+function midpGameFindOpaqueTiles(image, tileWidth, tileHeight, tileCount) {
+  const opaque = new Uint8Array(tileCount + 1);
+
+  // Mutable images are always opaque; their contents may change later
+  if (image.mutable) return opaque.fill(1);
+
+  const surface = image.surface;
+  const columns = surface.width / tileWidth;
+  for (let tile = 1; tile <= tileCount; tile++) {
+    const left = ((tile - 1) % columns) * tileWidth;
+    const top = Math.floor((tile - 1) / columns) * tileHeight;
+    opaque[tile] = 1;
+    for (let y = top; y < top + tileHeight && opaque[tile]; y++) {
+      for (let x = left; x < left + tileWidth; x++) {
+        if ((surface.pixels[y * surface.width + x] >>> 24) !== 0xff) {
+          opaque[tile] = 0;
+          break;
+        }
+      }
+    }
+  }
+  return opaque;
+}
+
+/**
+ * Check a tile index for a cell: 0 for empty, a static tile, or an
+ * animated tile
+ * @param {Object} layer - TiledLayer
+ * @param {number} index - Tile index
+ */
+function midpGameCheckTileIndex(layer, index) {
+  if (index > layer.tileCount || -index > layer.animatedTiles.length) {
+    throw JVM.newThrowable('java/lang/IndexOutOfBoundsException', `Invalid tile index: ${index}`);
+  }
+}
+
+/**
+ * Check a static tile index, which may be 0 only where an animated tile is
+ * being pointed at nothing
+ * @param {Object} layer - TiledLayer
+ * @param {number} index - Tile index
+ */
+function midpGameCheckStaticTile(layer, index) {
+  if (index < 0 || index > layer.tileCount) {
+    throw JVM.newThrowable('java/lang/IndexOutOfBoundsException', `Invalid static tile index: ${index}`);
+  }
+}
+
+/**
+ * Check an animated tile index
+ * @param {Object} layer - TiledLayer
+ * @param {number} index - Animated tile index, -1 for the first
+ */
+function midpGameCheckAnimatedTile(layer, index) {
+  if (index >= 0 || -index > layer.animatedTiles.length) {
+    throw JVM.newThrowable('java/lang/IndexOutOfBoundsException', `Invalid animated tile index: ${index}`);
+  }
+}
+
+/**
+ * Check a cell position
+ * @param {Object} layer - TiledLayer
+ * @param {number} column - Column
+ * @param {number} row - Row
+ */
+function midpGameCheckCell(layer, column, row) {
+  if (column < 0 || row < 0 || column >= layer.columns || row >= layer.rows) {
+    throw JVM.newThrowable('java/lang/IndexOutOfBoundsException', `Invalid cell: ${column}, ${row}`);
+  }
+}
+
+/**
+ * Get the static tile a cell shows
+ * @param {Object} layer - TiledLayer
+ * @param {number} index - Cell contents
+ * @returns {number} Static tile index, 0 for none
+ */
+function midpGameResolveTile(layer, index) {
+  return index < 0 ? layer.animatedTiles[-index - 1] : index;
+}
+
+/**
+ * Check whether a tiled layer is opaque at a point
+ * @param {Object} layer - TiledLayer
+ * @param {number} x - X in the painter's coordinates
+ * @param {number} y - Y in the painter's coordinates
+ * @returns {boolean} True if a tile has an opaque pixel there
+ */
+function midpGameTilesOpaqueAt(layer, x, y) {
+  const left = x - layer.x;
+  const top = y - layer.y;
+  if (left < 0 || top < 0 || left >= layer.width || top >= layer.height) return false;
+
+  const column = Math.floor(left / layer.tileWidth);
+  const row = Math.floor(top / layer.tileHeight);
+  const tile = midpGameResolveTile(layer, layer.cells[row * layer.columns + column]);
+  if (tile === 0) return false;
+
+  const surface = layer.image.surface;
+  const tileColumns = surface.width / layer.tileWidth;
+  return midpGameIsOpaque(surface,
+    ((tile - 1) % tileColumns) * layer.tileWidth + left % layer.tileWidth,
+    Math.floor((tile - 1) / tileColumns) * layer.tileHeight + top % layer.tileHeight);
+}
+
+/**
+ * Paint the cells of a tiled layer that fall inside the clip
+ * @param {Object} layer - TiledLayer
+ * @param {Object} g - Graphics
+ */
+function midpGamePaintTiles(layer, g) {
+  const left = layer.x + g.tx;
+  const top = layer.y + g.ty;
+  const tileWidth = layer.tileWidth;
+  const tileHeight = layer.tileHeight;
+
+  const firstColumn = Math.max(0, Math.floor((g.clipX1 - left) / tileWidth));
+  const lastColumn = Math.min(layer.columns, Math.ceil((g.clipX2 - left) / tileWidth));
+  const firstRow = Math.max(0, Math.floor((g.clipY1 - top) / tileHeight));
+  const lastRow = Math.min(layer.rows, Math.ceil((g.clipY2 - top) / tileHeight));
+
+  const surface = layer.image.surface;
+  const tileColumns = surface.width / tileWidth;
+  for (let row = firstRow; row < lastRow; row++) {
+    for (let column = firstColumn; column < lastColumn; column++) {
+      const tile = midpGameResolveTile(layer, layer.cells[row * layer.columns + column]);
+      if (tile === 0) continue;
+
+      const sx = ((tile - 1) % tileColumns) * tileWidth;
+      const sy = Math.floor((tile - 1) / tileColumns) * tileHeight;
+      const dx = left + column * tileWidth;
+      const dy = top + row * tileHeight;
+      if (layer.opaqueTiles[tile]) {
+        MidpGraphics.copy(g, surface, sx, sy, tileWidth, tileHeight, dx, dy);
+      } else {
+        MidpGraphics.blit(g, surface, sx, sy, tileWidth, tileHeight, MidpGraphics.constants.TRANS_NONE, dx, dy);
+      }
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Layer manager
+// ---------------------------------------------------------------------------
+
+/**
+ * Check a layer passed to LayerManager
+ * @param {Object|null} layer - Layer
+ */
+function midpGameCheckLayer(layer) {
+  if (layer === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+}
+
+/**
+ * Take a layer out of a manager if it is there
+ * @param {Object} manager - LayerManager
+ * @param {Object} layer - Layer
+ */
+function midpGameRemoveLayer(manager, layer) {
+  const index = manager.layers.indexOf(layer);
+  if (index >= 0) manager.layers.splice(index, 1);
+}
+
+/**
+ * LayerManager.paint: draw the view window at a point, back to front
+ * @param {Object} thread - Current thread
+ * @param {Object} manager - LayerManager
+ * @param {Object} g - Graphics
+ * @param {number} x - Left of the view on the Graphics
+ * @param {number} y - Top of the view on the Graphics
+ */
+function midpGamePaintLayers(thread, manager, g, x, y) {
+  const view = manager.view;
+  const left = x + g.tx;
+  const top = y + g.ty;
+
+  MidpGraphics.save(g);
+  try {
+    MidpGraphics.setClip(g, Math.max(left, g.clipX1), Math.max(top, g.clipY1),
+      Math.min(left + view.width, g.clipX2), Math.min(top + view.height, g.clipY2));
+    g.tx = left - view.x;
+    g.ty = top - view.y;
+
+    // Layer 0 is nearest the user, so it is painted last
+    for (let i = manager.layers.length - 1; i >= 0; i--) {
+      const layer = manager.layers[i];
+      if (layer.visible) JVM.callVirtual(thread, layer, 'paint(Ljavax/microedition/lcdui/Graphics;)V', [g]);
+    }
+  } finally {
+    MidpGraphics.restore(g);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Classes
+// ---------------------------------------------------------------------------
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/lcdui/game/Layer',
+  accessFlags: ClassFile.ACC.PUBLIC | ClassFile.ACC.ABSTRACT,
+  methods: {
+    'setPosition(II)V': (thread, self, x, y) => {
+      self.x = x;
+      self.y = y;
+    },
+    'move(II)V': (thread, self, dx, dy) => {
+      self.x += dx;
+      self.y += dy;
+    },
+    'getX()I': (thread, self) => self.x,
+    'getY()I': (thread, self) => self.y,
+    'getWidth()I': (thread, self) => self.width,
+    'getHeight()I': (thread, self) => self.height,
+    'setVisible(Z)V': (thread, self, visible) => {
+      self.visible = visible !== 0;
+    },
+    'isVisible()Z': (thread, self) => self.visible,
+    'paint(Ljavax/microedition/lcdui/Graphics;)V': null
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/lcdui/game/Sprite',
+  superName: 'javax/microedition/lcdui/game/Layer',
+  fields: [
+    { name: 'TRANS_NONE', descriptor: 'I', isStatic: true, value: MidpGraphics.constants.TRANS_NONE },
+    { name: 'TRANS_MIRROR_ROT180', descriptor: 'I', isStatic: true, value: MidpGraphics.constants.TRANS_MIRROR_ROT180 },
+    { name: 'TRANS_MIRROR', descriptor: 'I', isStatic: true, value: MidpGraphics.constants.TRANS_MIRROR },
+    { name: 'TRANS_ROT180', descriptor: 'I', isStatic: true, value: MidpGraphics.constants.TRANS_ROT180 },
+    { name: 'TRANS_MIRROR_ROT270', descriptor: 'I', isStatic: true, value: MidpGraphics.constants.TRANS_MIRROR_ROT270 },
+    { name: 'TRANS_ROT90', descriptor: 'I', isStatic: true, value: MidpGraphics.constants.TRANS_ROT90 },
+    { name: 'TRANS_ROT270', descriptor: 'I', isStatic: true, value: MidpGraphics.constants.TRANS_ROT270 },
+    { name: 'TRANS_MIRROR_ROT90', descriptor: 'I', isStatic: true, value: MidpGraphics.constants.TRANS_MIRROR_ROT90 }
+  ],
+  methods: {
+    '<init>(Ljavax/microedition/lcdui/Image;)V': (thread, self, image) => {
+      if (image === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      midpGameInitLayer(self, 0, 0);
+      self.image = null;
+      self.refX = 0;
+      self.refY = 0;
+      self.transform = MidpGraphics.constants.TRANS_NONE;
+      midpGameSetSpriteImage(self, image, image.surface.width, image.surface.height);
+    },
+    '<init>(Ljavax/microedition/lcdui/Image;II)V': (thread, self, image, frameWidth, frameHeight) => {
+      midpGameInitLayer(self, 0, 0);
+      self.image = null;
+      self.refX = 0;
+      self.refY = 0;
+      self.transform = MidpGraphics.constants.TRANS_NONE;
+      midpGameSetSpriteImage(self, image, frameWidth, frameHeight);
+    },
+    '<init>(Ljavax/microedition/lcdui/game/Sprite;)V': (thread, self, other) => {
+      if (other === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      Object.assign(self, {
+        x: other.x,
+        y: other.y,
+        width: other.width,
+        height: other.height,
+        visible: other.visible,
+        image: other.image,
+        frameCount: other.frameCount,
+        frameWidth: other.frameWidth,
+        frameHeight: other.frameHeight,
+        sequence: other.sequence ? other.sequence.slice() : null,
+        sequenceIndex: other.sequenceIndex,
+        refX: other.refX,
+        refY: other.refY,
+        transform: other.transform,
+        collisionRect: other.collisionRect.slice()
+      });
+    },
+    'setImage(Ljavax/microedition/lcdui/Image;II)V': (thread, self, image, frameWidth, frameHeight) => {
+      midpGameSetSpriteImage(self, image, frameWidth, frameHeight);
+    },
+    'defineReferencePixel(II)V': (thread, self, x, y) => {
+      self.refX = x;
+      self.refY = y;
+    },
+    'setRefPixelPosition(II)V': (thread, self, x, y) => midpGameSetRefPixelPosition(self, x, y),
+    'getRefPixelX()I': (thread, self) => midpGameGetRefPixelX(self),
+    'getRefPixelY()I': (thread, self) => midpGameGetRefPixelY(self),
+    'setFrame(I)V': (thread, self, index) => {
+      if (index < 0 || index >= midpGameGetSequenceLength(self)) {
+        throw JVM.newThrowable('java/lang/IndexOutOfBoundsException', `Invalid sequence index: ${index}`);
+      }
+      self.sequenceIndex = index;
+    },
+    'getFrame()I': (thread, self) => self.sequenceIndex,
+    'getRawFrameCount()I': (thread, self) => self.frameCount,
+    'getFrameLength()I': (thread, self) => midpGameGetSequenceLength(self),
+    'nextFrame()V': (thread, self) => {
+      self.sequenceIndex = (self.sequenceIndex + 1) % midpGameGetSequenceLength(self);
+    },
+    'prevFrame()V': (thread, self) => {
+      const length = midpGameGetSequenceLength(self);
+      self.sequenceIndex = (self.sequenceIndex + length - 1) % length;
+    },
+    'setFrameSequence([I)V': (thread, self, sequence) => {
+      if (sequence !== null) {
+        if (sequence.length === 0) throw JVM.newThrowable('java/lang/IllegalArgumentException', 'Empty frame sequence');
+        if (sequence.some(frame => frame < 0 || frame >= self.frameCount)) {
+          throw JVM.newThrowable('java/lang/ArrayIndexOutOfBoundsException', 'Frame sequence refers to a missing frame');
+        }
+      }
+      self.sequence = sequence === null ? null : Array.from(sequence);
+      self.sequenceIndex = 0;
+    },
+    'setTransform(I)V': (thread, self, transform) => {
+      MidpGraphics.checkTransform(transform);
+
+      // The reference pixel stays where it is on screen
+      const x = midpGameGetRefPixelX(self);
+      const y = midpGameGetRefPixelY(self);
+      self.transform = transform;
+      midpGameUpdateSpriteSize(self);
+      midpGameSetRefPixelPosition(self, x, y);
+    },
+    'defineCollisionRectangle(IIII)V': (thread, self, x, y, width, height) => {
+      if (width < 0 || height < 0) {
+        throw JVM.newThrowable('java/lang/IllegalArgumentException', `Invalid size: ${width}x${height}`);
+      }
+      self.collisionRect = [x, y, width, height];
+    },
+    'collidesWith(Ljavax/microedition/lcdui/game/Sprite;Z)Z': (thread, self, other, pixelLevel) => {
+      if (other === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      return midpGameSpritesCollide(self, other, pixelLevel !== 0);
+    },
+    'collidesWith(Ljavax/microedition/lcdui/game/TiledLayer;Z)Z': (thread, self, layer, pixelLevel) => {
+      if (layer === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      return midpGameSpriteHitsTiles(self, layer, pixelLevel !== 0);
+    },
+    'collidesWith(Ljavax/microedition/lcdui/Image;IIZ)Z': (thread, self, image, x, y, pixelLevel) => {
+      if (image === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      return midpGameSpriteHitsImage(self, image, x, y, pixelLevel !== 0);
+    },
+    'paint(Ljavax/microedition/lcdui/Graphics;)V': (thread, self, g) => {
+      if (g === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      if (!self.visible) return;
+
+      const surface = self.image.surface;
+      const frame = midpGameGetRawFrame(self);
+      const columns = surface.width / self.frameWidth;
+      MidpGraphics.blit(g, surface,
+        (frame % columns) * self.frameWidth, Math.floor(frame / columns) * self.frameHeight,
+        self.frameWidth, self.frameHeight, self.transform, self.x + g.tx, self.y + g.ty);
+    }
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/lcdui/game/TiledLayer',
+  superName: 'javax/microedition/lcdui/game/Layer',
+  methods: {
+    '<init>(IILjavax/microedition/lcdui/Image;II)V': (thread, self, columns, rows, image, tileWidth, tileHeight) => {
+      if (columns < 1 || rows < 1) {
+        throw JVM.newThrowable('java/lang/IllegalArgumentException', `Invalid size: ${columns}x${rows} cells`);
+      }
+      midpGameInitLayer(self, 0, 0);
+      self.columns = columns;
+      self.rows = rows;
+      self.cells = new Int32Array(columns * rows);
+      self.animatedTiles = [];
+      self.image = null;
+      midpGameSetTileSet(self, image, tileWidth, tileHeight);
+    },
+    'createAnimatedTile(I)I': (thread, self, staticIndex) => {
+      midpGameCheckStaticTile(self, staticIndex);
+      self.animatedTiles.push(staticIndex);
+      return -self.animatedTiles.length;
+    },
+    'setAnimatedTile(II)V': (thread, self, animatedIndex, staticIndex) => {
+      midpGameCheckAnimatedTile(self, animatedIndex);
+      midpGameCheckStaticTile(self, staticIndex);
+      self.animatedTiles[-animatedIndex - 1] = staticIndex;
+    },
+    'getAnimatedTile(I)I': (thread, self, animatedIndex) => {
+      midpGameCheckAnimatedTile(self, animatedIndex);
+      return self.animatedTiles[-animatedIndex - 1];
+    },
+    'setCell(III)V': (thread, self, column, row, index) => {
+      midpGameCheckCell(self, column, row);
+      midpGameCheckTileIndex(self, index);
+      self.cells[row * self.columns + column] = index;
+    },
+    'getCell(II)I': (thread, self, column, row) => {
+      midpGameCheckCell(self, column, row);
+      return self.cells[row * self.columns + column];
+    },
+    'fillCells(IIIII)V': (thread, self, column, row, numColumns, numRows, index) => {
+      if (numColumns < 0 || numRows < 0) {
+        throw JVM.newThrowable('java/lang/IllegalArgumentException', `Invalid size: ${numColumns}x${numRows} cells`);
+      }
+      if (column < 0 || row < 0 || column + numColumns > self.columns || row + numRows > self.rows) {
+        throw JVM.newThrowable('java/lang/IndexOutOfBoundsException', 'Region exceeds the bounds of the layer');
+      }
+      midpGameCheckTileIndex(self, index);
+      for (let y = row; y < row + numRows; y++) {
+        self.cells.fill(index, y * self.columns + column, y * self.columns + column + numColumns);
+      }
+    },
+    'getCellWidth()I': (thread, self) => self.tileWidth,
+    'getCellHeight()I': (thread, self) => self.tileHeight,
+    'getColumns()I': (thread, self) => self.columns,
+    'getRows()I': (thread, self) => self.rows,
+    'setStaticTileSet(Ljavax/microedition/lcdui/Image;II)V': (thread, self, image, tileWidth, tileHeight) => {
+      midpGameSetTileSet(self, image, tileWidth, tileHeight);
+    },
+    'paint(Ljavax/microedition/lcdui/Graphics;)V': (thread, self, g) => {
+      if (g === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      if (self.visible) midpGamePaintTiles(self, g);
+    }
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/lcdui/game/LayerManager',
+  methods: {
+    '<init>()V': (thread, self) => {
+      self.layers = [];
+      self.view = { x: 0, y: 0, width: midpGameConstants.MAX_VIEW, height: midpGameConstants.MAX_VIEW };
+    },
+    'append(Ljavax/microedition/lcdui/game/Layer;)V': (thread, self, layer) => {
+      midpGameCheckLayer(layer);
+      midpGameRemoveLayer(self, layer);
+      self.layers.push(layer);
+    },
+    'insert(Ljavax/microedition/lcdui/game/Layer;I)V': (thread, self, layer, index) => {
+      midpGameCheckLayer(layer);
+      const size = self.layers.length - (self.layers.includes(layer) ? 1 : 0);
+      if (index < 0 || index > size) {
+        throw JVM.newThrowable('java/lang/IndexOutOfBoundsException', `Index ${index} out of range 0..${size}`);
+      }
+      midpGameRemoveLayer(self, layer);
+      self.layers.splice(index, 0, layer);
+    },
+    'remove(Ljavax/microedition/lcdui/game/Layer;)V': (thread, self, layer) => {
+      midpGameCheckLayer(layer);
+      midpGameRemoveLayer(self, layer);
+    },
+    'getLayerAt(I)Ljavax/microedition/lcdui/game/Layer;': (thread, self, index) => {
+      if (index < 0 || index >= self.layers.length) {
+        throw JVM.newThrowable('java/lang/IndexOutOfBoundsException', `Index ${index} out of range 0..${self.layers.length - 1}`);
+      }
+      return self.layers[index];
+    },
+    'getSize()I': (thread, self) => self.layers.length,
+    'setViewWindow(IIII)V': (thread, self, x, y, width, height) => {
+      if (width < 0 || height < 0) {
+        throw JVM.newThrowable('java/lang/IllegalArgumentException', `Invalid size: ${width}x${height}`);
+      }
+      self.view = { x: x, y: y, width: width, height: height };
+    },
+    'paint(Ljavax/microedition/lcdui/Graphics;II)V': (thread, self, g, x, y) => {
+      if (g === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      midpGamePaintLayers(thread, self, g, x, y);
+    }
+  }
+});
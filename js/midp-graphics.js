@@ -0,0 +1,856 @@
+/**
+ * J2ME Loader for CloudFone
+ * MIDP javax.microedition.lcdui.Graphics
+ *
+ * Graphics rasterizes straight into a 32-bit surface ({width, height,
+ * pixels}) - the display framebuffer owned by DisplayBridge or a mutable
+ * image - instead of going through a canvas 2D context. Everything is drawn
+ * without antialiasing using the pixel rules handsets follow: outlines
+ * cover one more pixel than fills, line endpoints are inclusive and curves
+ * keep the pixels whose centres fall inside the shape.
+ *
+ * Pixels are in ImageData byte order (0xAABBGGRR). Coordinates are
+ * translated and clipped in JS before touching the surface; the clip is
+ * kept in device coordinates as the half-open box [clipX1, clipX2) x
+ * [clipY1, clipY2).
+ */
+
+// Graphics constants
+const midpGraphicsConstants = {
+  HCENTER: 1,
+  VCENTER: 2,
+  LEFT: 4,
+  RIGHT: 8,
+  TOP: 16,
+  BOTTOM: 32,
+  BASELINE: 64,
+  SOLID: 0,
+  DOTTED: 1,
+
+  // Sprite transforms, shared with Image and the game API
+  TRANS_NONE: 0,
+  TRANS_MIRROR_ROT180: 1,
+  TRANS_MIRROR: 2,
+  TRANS_ROT180: 3,
+  TRANS_MIRROR_ROT270: 4,
+  TRANS_ROT90: 5,
+  TRANS_ROT270: 6,
+  TRANS_MIRROR_ROT90: 7,
+
+  // Where each destination pixel of a transformed region comes from, as
+  // [x0, y0, x per column, y per column, x per row, y per row] with x0/y0
+  // in units of the region's last column/row
+  TRANSFORM_STEPS: [
+    [0, 0, 1, 0, 0, 1],
+    [0, 1, 1, 0, 0, -1],
+    [1, 0, -1, 0, 0, 1],
+    [1, 1, -1, 0, 0, -1],
+    [0, 0, 0, 1, 1, 0],
+    [0, 1, 0, -1, 1, 0],
+    [1, 0, 0, 1, -1, 0],
+    [1, 1, 0, -1, -1, 0]
+  ]
+};
+
+// ---------------------------------------------------------------------------
+// State
+// ---------------------------------------------------------------------------
+
+/**
+ * Create a Graphics drawing into a surface
+ * @param {Object} surface - {width, height, pixels}
+ * @param {Object|null} image - Mutable image or GameCanvas owning the surface, null for the display
+ * @returns {Object} javax.microedition.lcdui.Graphics
+ */
+function midpGraphicsCreate(surface, image) {
+  const g = JVM.newObject(JVM.loadClass('javax/microedition/lcdui/Graphics'));
+  g.surface = surface;
+  g.image = image || null;
+  g.savedStates = [];
+  midpGraphicsReset(g);
+  return g;
+}
+
+/**
+ * Put a Graphics back into its initial state: no translation, clip covering
+ * the whole surface, black, solid strokes and the default font
+ * @param {Object} g - Graphics
+ */
+function midpGraphicsReset(g) {
+  g.tx = 0;
+  g.ty = 0;
+  g.clipX1 = 0;
+  g.clipY1 = 0;
+  g.clipX2 = g.surface.width;
+  g.clipY2 = g.surface.height;
+  g.strokeStyle = midpGraphicsConstants.SOLID;
+  g.font = MidpFont.getDefault();
+  g.savedStates.length = 0;
+  midpGraphicsSetColor(g, 0);
+}
+
+/**
+ * Push the translation, clip, color, stroke and font, so library code
+ * painting items can restrict the clip and put it back afterwards
+ * @param {Object} g - Graphics
+ */
+function midpGraphicsSave(g) {
+  g.savedStates.push({
+    tx: g.tx,
+    ty: g.ty,
+    clipX1: g.clipX1,
+    clipY1: g.clipY1,
+    clipX2: g.clipX2,
+    clipY2: g.clipY2,
+    color: g.color,
+    grayScale: g.grayScale,
+    strokeStyle: g.strokeStyle,
+    font: g.font
+  });
+}
+
+/**
+ * Pop the state pushed by the matching midpGraphicsSave
+ * @param {Object} g - Graphics
+ */
+function midpGraphicsRestore(g) {
+  const state = g.savedStates.pop();
+  if (!state) return;
+
+  midpGraphicsSetColor(g, state.color);
+  Object.assign(g, state);
+}
+
+/**
+ * Set the drawing color
+ * @param {Object} g - Graphics
+ * @param {number} color - 0xRRGGBB
+ */
+function midpGraphicsSetColor(g, color) {
+  color &= 0xffffff;
+  const red = color >> 16;
+  const green = (color >> 8) & 0xff;
+  const blue = color & 0xff;
+
+  g.color = color;
+  g.grayScale = Math.round((red * 299 + green * 587 + blue * 114) / 1000);
+  g.pixel = (0xff000000 | (blue << 16) | (green << 8) | red) >>> 0;
+}
+
+/**
+ * Set the clip, intersected with the surface
+ * @param {Object} g - Graphics
+ * @param {number} x1 - Left edge in device coordinates
+ * @param {number} y1 - Top edge in device coordinates
+ * @param {number} x2 - Right edge (exclusive)
+ * @param {number} y2 - Bottom edge (exclusive)
+ */
+function midpGraphicsSetDeviceClip(g, x1, y1, x2, y2) {
+  g.clipX1 = Math.max(0, x1);
+  g.clipY1 = Math.max(0, y1);
+  g.clipX2 = Math.max(g.clipX1, Math.min(g.surface.width, x2));
+  g.clipY2 = Math.max(g.clipY1, Math.min(g.surface.height, y2));
+}
+
+/**
+ * Work out the top-left corner of a box placed by an anchor point
+ * @param {number} anchor - Anchor flags
+ * @param {number} x - Anchor x in device coordinates
+ * @param {number} y - Anchor y in device coordinates
+ * @param {number} width - Box width
+ * @param {number} height - Box height
+ * @param {number} baseline - Baseline position for text, -1 for images
+ * @returns {Array} [left, top]
+ */
+function midpGraphicsAnchor(anchor, x, y, width, height, baseline) {
+  const c = midpGraphicsConstants;
+  if (anchor === 0) anchor = c.TOP | c.LEFT;
+
+  // Text has no vertical centre and images have no baseline
+  const horizontal = anchor & (c.LEFT | c.HCENTER | c.RIGHT);
+  const vertical = anchor & (c.TOP | c.BOTTOM | (baseline < 0 ? c.VCENTER : c.BASELINE));
+  if (horizontal + vertical !== anchor || (horizontal & (horizontal - 1)) !== 0 || (vertical & (vertical - 1)) !== 0 ||
+      horizontal === 0 || vertical === 0) {
+    throw JVM.newThrowable('java/lang/IllegalArgumentException', `Illegal anchor: ${anchor}`);
+  }
+
+  if (horizontal === c.HCENTER) x -= width >> 1;
+  else if (horizontal === c.RIGHT) x -= width;
+
+  if (vertical === c.VCENTER) y -= height >> 1;
+  else if (vertical === c.BOTTOM) y -= height;
+  else if (vertical === c.BASELINE) y -= baseline;
+
+  return [x, y];
+}
+
+// ---------------------------------------------------------------------------
+// Rasterization
+// ---------------------------------------------------------------------------
+
+/**
+ * Set one pixel if it is inside the clip
+ * @param {Object} g - Graphics
+ * @param {number} x - Device x
+ * @param {number} y - Device y
+ * @param {number} pixel - Pixel value
+ */
+function midpGraphicsPlot(g, x, y, pixel) {
+  if (x >= g.clipX1 && x < g.clipX2 && y >= g.clipY1 && y < g.clipY2) {
+    g.surface.pixels[y * g.surface.width + x] = pixel;
+  }
+}
+
+/**
+ * Fill a horizontal run of pixels, clipped
+ * @param {Object} g - Graphics
+ * @param {number} x1 - First device x
+ * @param {number} x2 - Last device x (inclusive)
+ * @param {number} y - Device y
+ * @param {number} pixel - Pixel value
+ */
+function midpGraphicsSpan(g, x1, x2, y, pixel) {
+  if (y < g.clipY1 || y >= g.clipY2) return;
+  if (x1 < g.clipX1) x1 = g.clipX1;
+  if (x2 >= g.clipX2) x2 = g.clipX2 - 1;
+  if (x1 > x2) return;
+
+  const row = y * g.surface.width;
+  g.surface.pixels.fill(pixel, row + x1, row + x2 + 1);
+}
+
+/**
+ * Fill a rectangle in device coordinates, clipped
+ * @param {Object} g - Graphics
+ * @param {number} x - Left
+ * @param {number} y - Top
+ * @param {number} width - Width
+ * @param {number} height - Height
+ */
+function midpGraphicsFill(g, x, y, width, height) {
+  const y1 = Math.max(y, g.clipY1);
+  const y2 = Math.min(y + height, g.clipY2);
+  for (let row = y1; row < y2; row++) {
+    midpGraphicsSpan(g, x, x + width - 1, row, g.pixel);
+  }
+}
+
+/**
+ * Find the steps k for which start + step * k lies in [low, high]
+ * @param {number} start - Coordinate at step 0
+ * @param {number} step - 1 or -1
+ * @param {number} low - Lowest coordinate
+ * @param {number} high - Highest coordinate
+ * @returns {Array<number>} [first, last]; empty when first > last
+ */
+function midpGraphicsStepRange(start, step, low, high) {
+  return step > 0 ? [low - start, high - start] : [start - high, start - low];
+}
+
+/**
+ * Draw a line with inclusive endpoints using Bresenham's algorithm
+ *
+ * Only the steps inside the clip are walked, so lines reaching far off the
+ * surface cost no more than the pixels they set. At step k along the longer
+ * axis the other coordinate moves round(k * minor / major), halves rounding
+ * up, which is where the stepping form of the algorithm puts it.
+ * @param {Object} g - Graphics
+ * @param {number} x1 - Start device x
+ * @param {number} y1 - Start device y
+ * @param {number} x2 - End device x
+ * @param {number} y2 - End device y
+ * @param {boolean} dotted - Leave every other pixel unset
+ */
+function midpGraphicsLine(g, x1, y1, x2, y2, dotted) {
+  const pixel = g.pixel;
+  if (!dotted && y1 === y2) {
+    midpGraphicsSpan(g, Math.min(x1, x2), Math.max(x1, x2), y1, pixel);
+    return;
+  }
+
+  const dx = Math.abs(x2 - x1);
+  const dy = Math.abs(y2 - y1);
+  if (dx === 0 && dy === 0) {
+    midpGraphicsPlot(g, x1, y1, pixel);
+    return;
+  }
+
+  const stepX = x1 < x2 ? 1 : -1;
+  const stepY = y1 < y2 ? 1 : -1;
+  const xMajor = dx >= dy;
+  const major = xMajor ? dx : dy;
+  const minor = xMajor ? dy : dx;
+
+  // Steps whose major coordinate is inside the clip
+  const along = xMajor
+    ? midpGraphicsStepRange(x1, stepX, g.clipX1, g.clipX2 - 1)
+    : midpGraphicsStepRange(y1, stepY, g.clipY1, g.clipY2 - 1);
+  let first = Math.max(0, along[0]);
+  let last = Math.min(major, along[1]);
+
+  // Narrowed to those whose minor coordinate is inside too
+  const across = xMajor
+    ? midpGraphicsStepRange(y1, stepY, g.clipY1, g.clipY2 - 1)
+    : midpGraphicsStepRange(x1, stepX, g.clipX1, g.clipX2 - 1);
+  const low = Math.max(0, across[0]);
+  const high = Math.min(minor, across[1]);
+  if (low > high) return;
+  if (minor > 0) {
+    first = Math.max(first, Math.ceil((2 * major * low - major) / (2 * minor)));
+    last = Math.min(last, Math.ceil((2 * major * (high + 1) - major) / (2 * minor)) - 1);
+  }
+
+  const pixels = g.surface.pixels;
+  const width = g.surface.width;
+  for (let k = first; k <= last; k++) {
+    if (dotted && (k & 1) !== 0) continue;
+
+    const offset = Math.floor((2 * minor * k + major) / (2 * major));
+    const x = xMajor ? x1 + stepX * k : x1 + stepX * offset;
+    const y = xMajor ? y1 + stepY * offset : y1 + stepY * k;
+    pixels[y * width + x] = pixel;
+  }
+}
+
+/**
+ * Build the row spans of an ellipse filling a box
+ * @param {number} width - Box width
+ * @param {number} height - Box height
+ * @returns {Function} Maps a row to [left, right] relative to the box, or null
+ */
+function midpGraphicsEllipseSpans(width, height) {
+  const rx = width / 2;
+  const ry = height / 2;
+  return row => {
+    const v = (row + 0.5 - ry) / ry;
+    const half = rx * Math.sqrt(Math.max(0, 1 - v * v));
+    const left = Math.ceil(rx - half - 0.5);
+    return left <= width - 1 - left ? [left, width - 1 - left] : null;
+  };
+}
+
+/**
+ * Build the row spans of a rectangle with elliptical corners
+ * @param {number} width - Box width
+ * @param {number} height - Box height
+ * @param {number} arcWidth - Horizontal diameter of the corner arcs
+ * @param {number} arcHeight - Vertical diameter of the corner arcs
+ * @returns {Function} Maps a row to [left, right] relative to the box
+ */
+function midpGraphicsRoundRectSpans(width, height, arcWidth, arcHeight) {
+  const rx = Math.max(0, Math.min(arcWidth, width)) / 2;
+  const ry = Math.max(0, Math.min(arcHeight, height)) / 2;
+  return row => {
+    const centre = row + 0.5;
+    let dy = 0;
+    if (centre < ry) dy = ry - centre;
+    else if (centre > height - ry) dy = centre - (height - ry);
+    if (dy === 0 || rx === 0) return [0, width - 1];
+
+    const half = rx * Math.sqrt(Math.max(0, 1 - (dy / ry) * (dy / ry)));
+    const left = Math.ceil(rx - half - 0.5);
+    return left <= width - 1 - left ? [left, width - 1 - left] : null;
+  };
+}
+
+/**
+ * Build the test for pixels inside an arc's angle range
+ * @param {number} width - Box width
+ * @param {number} height - Box height
+ * @param {number} startAngle - Start angle in degrees, 0 at three o'clock
+ * @param {number} arcAngle - Extent in degrees, counter-clockwise if positive
+ * @returns {Function|null} Tests a box-relative pixel, or null for a full ellipse
+ */
+function midpGraphicsArcTest(width, height, startAngle, arcAngle) {
+  if (arcAngle >= 360 || arcAngle <= -360) return null;
+  if (arcAngle < 0) {
+    startAngle += arcAngle;
+    arcAngle = -arcAngle;
+  }
+  const start = ((startAngle % 360) + 360) % 360;
+  const rx = width / 2;
+  const ry = height / 2;
+
+  // Angles are measured on the ellipse squashed back into a circle, so
+  // 45 degrees always hits the corner of the bounding box
+  return (col, row) => {
+    const dx = (col + 0.5 - rx) / rx;
+    const dy = (row + 0.5 - ry) / ry;
+    if (dx === 0 && dy === 0) return true;
+
+    let angle = Math.atan2(-dy, dx) * 180 / Math.PI;
+    if (angle < 0) angle += 360;
+    let offset = angle - start;
+    if (offset < 0) offset += 360;
+    return offset <= arcAngle;
+  };
+}
+
+/**
+ * Fill or outline a convex shape given by its row spans
+ * @param {Object} g - Graphics
+ * @param {number} x - Box left in device coordinates
+ * @param {number} y - Box top in device coordinates
+ * @param {number} height - Box height
+ * @param {Function} spanOf - Row spans of the shape
+ * @param {boolean} outline - Only draw pixels with a 4-neighbour outside the shape
+ * @param {Function|null} inArc - Restricts drawing to an angle range
+ */
+function midpGraphicsShape(g, x, y, height, spanOf, outline, inArc) {
+  const pixel = g.pixel;
+  const dotted = outline && g.strokeStyle === midpGraphicsConstants.DOTTED;
+
+  // Skip rows outside the clip, but keep their neighbours for the outline
+  const first = Math.max(0, g.clipY1 - y - 1);
+  const last = Math.min(height - 1, g.clipY2 - y);
+  const spans = [];
+  for (let row = first; row <= last; row++) spans[row] = spanOf(row);
+
+  const drawRun = (row, left, right) => {
+    if (!inArc && !dotted) {
+      midpGraphicsSpan(g, x + left, x + right, y + row, pixel);
+      return;
+    }
+    for (let col = left; col <= right; col++) {
+      if (dotted && ((col + row) & 1) !== 0) continue;
+      if (!inArc || inArc(col, row)) midpGraphicsPlot(g, x + col, y + row, pixel);
+    }
+  };
+
+  for (let row = first; row <= last; row++) {
+    const span = spans[row];
+    if (!span) continue;
+    if (!outline) {
+      drawRun(row, span[0], span[1]);
+      continue;
+    }
+
+    // Pixels covered by the rows above and below as well are interior
+    const above = row > 0 ? spans[row - 1] || spanOf(row - 1) : null;
+    const below = row < height - 1 ? spans[row + 1] || spanOf(row + 1) : null;
+    let innerLeft = span[0] + 1;
+    let innerRight = span[1] - 1;
+    if (above && below) {
+      innerLeft = Math.max(innerLeft, above[0], below[0]);
+      innerRight = Math.min(innerRight, above[1], below[1]);
+    } else {
+      innerRight = innerLeft - 1;
+    }
+
+    if (innerLeft > innerRight) {
+      drawRun(row, span[0], span[1]);
+    } else {
+      drawRun(row, span[0], innerLeft - 1);
+      drawRun(row, innerRight + 1, span[1]);
+    }
+  }
+}
+
+/**
+ * Fill a triangle: pixels whose centres are inside, plus the edges
+ * @param {Object} g - Graphics
+ * @param {Array} points - Three [x, y] device points
+ */
+function midpGraphicsTriangle(g, points) {
+  const top = Math.max(Math.min(points[0][1], points[1][1], points[2][1]), g.clipY1);
+  const bottom = Math.min(Math.max(points[0][1], points[1][1], points[2][1]), g.clipY2 - 1);
+
+  for (let y = top; y <= bottom; y++) {
+    const centre = y + 0.5;
+    let left = Infinity;
+    let right = -Infinity;
+    for (let i = 0; i < 3; i++) {
+      const [ax, ay] = points[i];
+      const [bx, by] = points[(i + 1) % 3];
+      if ((ay <= centre && by > centre) || (by <= centre && ay > centre)) {
+        const crossing = ax + (centre - ay) * (bx - ax) / (by - ay);
+        left = Math.min(left, crossing);
+        right = Math.max(right, crossing);
+      }
+    }
+    if (left <= right) {
+      midpGraphicsSpan(g, Math.ceil(left - 0.5), Math.floor(right - 0.5), y, g.pixel);
+    }
+  }
+
+  for (let i = 0; i < 3; i++) {
+    const [ax, ay] = points[i];
+    const [bx, by] = points[(i + 1) % 3];
+    midpGraphicsLine(g, ax, ay, bx, by, false);
+  }
+}
+
+/**
+ * Blend a translucent pixel over an opaque one
+ * @param {number} dst - Destination pixel
+ * @param {number} src - Source pixel
+ * @param {number} alpha - Source alpha, 1-254
+ * @returns {number} Opaque result
+ */
+function midpGraphicsBlend(dst, src, alpha) {
+  const inverse = 255 - alpha;
+  const red = Math.round(((src & 0xff) * alpha + (dst & 0xff) * inverse) / 255);
+  const green = Math.round((((src >> 8) & 0xff) * alpha + ((dst >> 8) & 0xff) * inverse) / 255);
+  const blue = Math.round((((src >> 16) & 0xff) * alpha + ((dst >> 16) & 0xff) * inverse) / 255);
+  return (0xff000000 | (blue << 16) | (green << 8) | red) >>> 0;
+}
+
+/**
+ * Copy a region of a surface with a transform, blending by source alpha
+ * @param {Object} g - Graphics
+ * @param {Object} source - Source surface
+ * @param {number} sx - Region left in the source
+ * @param {number} sy - Region top in the source
+ * @param {number} width - Region width
+ * @param {number} height - Region height
+ * @param {number} transform - TRANS_* constant
+ * @param {number} dx - Destination left in device coordinates
+ * @param {number} dy - Destination top in device coordinates
+ */
+function midpGraphicsBlit(g, source, sx, sy, width, height, transform, dx, dy) {
+  // Transforms 4-7 turn the region on its side
+  const swapped = transform >= midpGraphicsConstants.TRANS_MIRROR_ROT270;
+  const destWidth = swapped ? height : width;
+  const destHeight = swapped ? width : height;
+
+  const x1 = Math.max(dx, g.clipX1);
+  const y1 = Math.max(dy, g.clipY1);
+  const x2 = Math.min(dx + destWidth, g.clipX2);
+  const y2 = Math.min(dy + destHeight, g.clipY2);
+  if (x1 >= x2 || y1 >= y2) return;
+
+  const steps = midpGraphicsConstants.TRANSFORM_STEPS[transform];
+  const stride = source.width;
+  const origin = (sy + steps[1] * (height - 1)) * stride + sx + steps[0] * (width - 1);
+  const perColumn = steps[2] + steps[3] * stride;
+  const perRow = steps[4] + steps[5] * stride;
+
+  const src = source.pixels;
+  const dst = g.surface.pixels;
+  for (let y = y1; y < y2; y++) {
+    let s = origin + (x1 - dx) * perColumn + (y - dy) * perRow;
+    let d = y * g.surface.width + x1;
+    for (let x = x1; x < x2; x++, s += perColumn, d++) {
+      const pixel = src[s];
+      const alpha = pixel >>> 24;
+      if (alpha === 0xff) dst[d] = pixel;
+      else if (alpha !== 0) dst[d] = midpGraphicsBlend(dst[d], pixel, alpha);
+    }
+  }
+}
+
+/**
+ * Copy an opaque region of a surface untransformed, a row at a time; the
+ * fast path for tiles, which needs no per-pixel blending
+ * @param {Object} g - Graphics
+ * @param {Object} source - Source surface
+ * @param {number} sx - Region left in the source
+ * @param {number} sy - Region top in the source
+ * @param {number} width - Region width
+ * @param {number} height - Region height
+ * @param {number} dx - Destination left in device coordinates
+ * @param {number} dy - Destination top in device coordinates
+ */
+function midpGraphicsCopy(g, source, sx, sy, width, height, dx, dy) {
+  const x1 = Math.max(dx, g.clipX1);
+  const y1 = Math.max(dy, g.clipY1);
+  const x2 = Math.min(dx + width, g.clipX2);
+  const y2 = Math.min(dy + height, g.clipY2);
+  if (x1 >= x2 || y1 >= y2) return;
+
+  const src = source.pixels;
+  const dst = g.surface.pixels;
+  for (let y = y1; y < y2; y++) {
+    const start = (sy + y - dy) * source.width + sx + x1 - dx;
+    dst.set(src.subarray(start, start + x2 - x1), y * g.surface.width + x1);
+  }
+}
+
+/**
+ * Draw a string in the current font, underlined if the font is
+ * @param {Object} g - Graphics
+ * @param {string} text - Text
+ * @param {number} x - Anchor x
+ * @param {number} y - Anchor y
+ * @param {number} anchor - Anchor flags
+ */
+function midpGraphicsText(g, text, x, y, anchor) {
+  const font = g.font;
+  const glyphs = MidpFont.layout(font, text);
+  const width = glyphs.reduce((sum, glyph) => sum + glyph.advance, 0);
+  const [left, top] = midpGraphicsAnchor(anchor, x + g.tx, y + g.ty,
+    width, MidpFont.getHeight(font), MidpFont.getBaseline(font));
+
+  const pixel = g.pixel;
+  let penX = left;
+  glyphs.forEach(glyph => {
+    const originX = penX + glyph.left;
+    const originY = top + glyph.top;
+    for (let row = 0; row < glyph.height; row++) {
+      for (let col = 0; col < glyph.width; col++) {
+        if (glyph.bits[row * glyph.width + col]) midpGraphicsPlot(g, originX + col, originY + row, pixel);
+      }
+    }
+    penX += glyph.advance;
+  });
+
+  if (font.style & MidpFont.constants.STYLE_UNDERLINED) {
+    const [offset, thickness] = MidpFont.getUnderline(font);
+    midpGraphicsFill(g, left, top + offset, width, thickness);
+  }
+}
+
+/**
+ * Check that a transform constant is valid
+ * @param {number} transform - Transform
+ */
+function midpGraphicsCheckTransform(transform) {
+  if (transform < 0 || transform > 7) {
+    throw JVM.newThrowable('java/lang/IllegalArgumentException', `Illegal transform: ${transform}`);
+  }
+}
+
+/**
+ * Get the surface of an image passed to a draw call
+ * @param {Object|null} image - javax.microedition.lcdui.Image
+ * @returns {Object} Surface
+ */
+function midpGraphicsImageSurface(image) {
+  if (image === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+  return image.surface;
+}
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/lcdui/Graphics',
+  fields: [
+    { name: 'HCENTER', descriptor: 'I', isStatic: true, value: midpGraphicsConstants.HCENTER },
+    { name: 'VCENTER', descriptor: 'I', isStatic: true, value: midpGraphicsConstants.VCENTER },
+    { name: 'LEFT', descriptor: 'I', isStatic: true, value: midpGraphicsConstants.LEFT },
+    { name: 'RIGHT', descriptor: 'I', isStatic: true, value: midpGraphicsConstants.RIGHT },
+    { name: 'TOP', descriptor: 'I', isStatic: true, value: midpGraphicsConstants.TOP },
+    { name: 'BOTTOM', descriptor: 'I', isStatic: true, value: midpGraphicsConstants.BOTTOM },
+    { name: 'BASELINE', descriptor: 'I', isStatic: true, value: midpGraphicsConstants.BASELINE },
+    { name: 'SOLID', descriptor: 'I', isStatic: true, value: midpGraphicsConstants.SOLID },
+    { name: 'DOTTED', descriptor: 'I', isStatic: true, value: midpGraphicsConstants.DOTTED }
+  ],
+  methods: {
+    'translate(II)V': (thread, self, x, y) => {
+      self.tx += x;
+      self.ty += y;
+    },
+    'getTranslateX()I': (thread, self) => self.tx,
+    'getTranslateY()I': (thread, self) => self.ty,
+
+    'getColor()I': (thread, self) => self.color,
+    'getRedComponent()I': (thread, self) => self.color >> 16,
+    'getGreenComponent()I': (thread, self) => (self.color >> 8) & 0xff,
+    'getBlueComponent()I': (thread, self) => self.color & 0xff,
+    'getGrayScale()I': (thread, self) => self.grayScale,
+    'setColor(III)V': (thread, self, red, green, blue) => {
+      if (red < 0 || red > 255 || green < 0 || green > 255 || blue < 0 || blue > 255) {
+        throw JVM.newThrowable('java/lang/IllegalArgumentException', 'Value out of range');
+      }
+      midpGraphicsSetColor(self, (red << 16) | (green << 8) | blue);
+    },
+    'setColor(I)V': (thread, self, rgb) => midpGraphicsSetColor(self, rgb),
+    'setGrayScale(I)V': (thread, self, value) => {
+      if (value < 0 || value > 255) {
+        throw JVM.newThrowable('java/lang/IllegalArgumentException', 'Gray value out of range');
+      }
+      midpGraphicsSetColor(self, (value << 16) | (value << 8) | value);
+      self.grayScale = value;
+    },
+    'getDisplayColor(I)I': (thread, self, color) => color & 0xffffff,
+
+    'getFont()Ljavax/microedition/lcdui/Font;': (thread, self) => self.font,
+    'setFont(Ljavax/microedition/lcdui/Font;)V': (thread, self, font) => {
+      self.font = font === null ? MidpFont.getDefault() : font;
+    },
+    'getStrokeStyle()I': (thread, self) => self.strokeStyle,
+    'setStrokeStyle(I)V': (thread, self, style) => {
+      if (style !== midpGraphicsConstants.SOLID && style !== midpGraphicsConstants.DOTTED) {
+        throw JVM.newThrowable('java/lang/IllegalArgumentException', `Illegal stroke style: ${style}`);
+      }
+      self.strokeStyle = style;
+    },
+
+    'getClipX()I': (thread, self) => self.clipX1 - self.tx,
+    'getClipY()I': (thread, self) => self.clipY1 - self.ty,
+    'getClipWidth()I': (thread, self) => self.clipX2 - self.clipX1,
+    'getClipHeight()I': (thread, self) => self.clipY2 - self.clipY1,
+    'setClip(IIII)V': (thread, self, x, y, width, height) => {
+      x += self.tx;
+      y += self.ty;
+      midpGraphicsSetDeviceClip(self, x, y, x + Math.max(0, width), y + Math.max(0, height));
+    },
+    'clipRect(IIII)V': (thread, self, x, y, width, height) => {
+      x += self.tx;
+      y += self.ty;
+      midpGraphicsSetDeviceClip(self, Math.max(x, self.clipX1), Math.max(y, self.clipY1),
+        Math.min(x + Math.max(0, width), self.clipX2), Math.min(y + Math.max(0, height), self.clipY2));
+    },
+
+    'drawLine(IIII)V': (thread, self, x1, y1, x2, y2) => {
+      midpGraphicsLine(self, x1 + self.tx, y1 + self.ty, x2 + self.tx, y2 + self.ty,
+        self.strokeStyle === midpGraphicsConstants.DOTTED);
+    },
+    'fillRect(IIII)V': (thread, self, x, y, width, height) => {
+      if (width <= 0 || height <= 0) return;
+      midpGraphicsFill(self, x + self.tx, y + self.ty, width, height);
+    },
+    'drawRect(IIII)V': (thread, self, x, y, width, height) => {
+      if (width < 0 || height < 0) return;
+      x += self.tx;
+      y += self.ty;
+
+      if (self.strokeStyle === midpGraphicsConstants.SOLID) {
+        if (width < 2 || height < 2) {
+          midpGraphicsFill(self, x, y, width + 1, height + 1);
+          return;
+        }
+        midpGraphicsFill(self, x, y, width + 1, 1);
+        midpGraphicsFill(self, x, y + height, width + 1, 1);
+        midpGraphicsFill(self, x, y + 1, 1, height - 1);
+        midpGraphicsFill(self, x + width, y + 1, 1, height - 1);
+        return;
+      }
+      midpGraphicsLine(self, x, y, x + width, y, true);
+      midpGraphicsLine(self, x + width, y, x + width, y + height, true);
+      midpGraphicsLine(self, x + width, y + height, x, y + height, true);
+      midpGraphicsLine(self, x, y + height, x, y, true);
+    },
+    'drawRoundRect(IIIIII)V': (thread, self, x, y, width, height, arcWidth, arcHeight) => {
+      if (width < 0 || height < 0) return;
+      midpGraphicsShape(self, x + self.tx, y + self.ty, height + 1,
+        midpGraphicsRoundRectSpans(width + 1, height + 1, arcWidth, arcHeight), true, null);
+    },
+    'fillRoundRect(IIIIII)V': (thread, self, x, y, width, height, arcWidth, arcHeight) => {
+      if (width <= 0 || height <= 0) return;
+      midpGraphicsShape(self, x + self.tx, y + self.ty, height,
+        midpGraphicsRoundRectSpans(width, height, arcWidth, arcHeight), false, null);
+    },
+    'drawArc(IIIIII)V': (thread, self, x, y, width, height, startAngle, arcAngle) => {
+      if (width < 0 || height < 0 || arcAngle === 0) return;
+      midpGraphicsShape(self, x + self.tx, y + self.ty, height + 1, midpGraphicsEllipseSpans(width + 1, height + 1), true,
+        midpGraphicsArcTest(width + 1, height + 1, startAngle, arcAngle));
+    },
+    'fillArc(IIIIII)V': (thread, self, x, y, width, height, startAngle, arcAngle) => {
+      if (width <= 0 || height <= 0 || arcAngle === 0) return;
+      midpGraphicsShape(self, x + self.tx, y + self.ty, height, midpGraphicsEllipseSpans(width, height), false,
+        midpGraphicsArcTest(width, height, startAngle, arcAngle));
+    },
+    'fillTriangle(IIIIII)V': (thread, self, x1, y1, x2, y2, x3, y3) => {
+      midpGraphicsTriangle(self, [
+        [x1 + self.tx, y1 + self.ty],
+        [x2 + self.tx, y2 + self.ty],
+        [x3 + self.tx, y3 + self.ty]
+      ]);
+    },
+
+    'drawString(Ljava/lang/String;III)V': (thread, self, string, x, y, anchor) => {
+      midpGraphicsText(self, CldcLang.text(string), x, y, anchor);
+    },
+    'drawSubstring(Ljava/lang/String;IIIII)V': (thread, self, string, offset, length, x, y, anchor) => {
+      const text = CldcLang.text(string);
+      if (offset < 0 || length < 0 || offset + length > text.length) {
+        throw JVM.newThrowable('java/lang/StringIndexOutOfBoundsException', `offset ${offset}, length ${length}`);
+      }
+      midpGraphicsText(self, text.substr(offset, length), x, y, anchor);
+    },
+    'drawChar(CIII)V': (thread, self, ch, x, y, anchor) => {
+      midpGraphicsText(self, String.fromCharCode(ch), x, y, anchor);
+    },
+    'drawChars([CIIIII)V': (thread, self, chars, offset, length, x, y, anchor) => {
+      CldcLang.checkRange(chars, offset, length);
+      midpGraphicsText(self, CldcLang.charsToString(chars, offset, length), x, y, anchor);
+    },
+
+    'drawImage(Ljavax/microedition/lcdui/Image;III)V': (thread, self, image, x, y, anchor) => {
+      const source = midpGraphicsImageSurface(image);
+      const [left, top] = midpGraphicsAnchor(anchor, x + self.tx, y + self.ty, source.width, source.height, -1);
+      midpGraphicsBlit(self, source, 0, 0, source.width, source.height, midpGraphicsConstants.TRANS_NONE, left, top);
+    },
+    'drawRegion(Ljavax/microedition/lcdui/Image;IIIIIIII)V': (thread, self, image, xSrc, ySrc, width, height, transform, xDest, yDest, anchor) => {
+      const source = midpGraphicsImageSurface(image);
+      if (image === self.image) {
+        throw JVM.newThrowable('java/lang/IllegalArgumentException', 'Source and destination are the same image');
+      }
+      if (xSrc < 0 || ySrc < 0 || width < 0 || height < 0 || xSrc + width > source.width || ySrc + height > source.height) {
+        throw JVM.newThrowable('java/lang/IllegalArgumentException', 'Region exceeds the bounds of the source image');
+      }
+      midpGraphicsCheckTransform(transform);
+
+      const swapped = transform >= midpGraphicsConstants.TRANS_MIRROR_ROT270;
+      const [left, top] = midpGraphicsAnchor(anchor, xDest + self.tx, yDest + self.ty,
+        swapped ? height : width, swapped ? width : height, -1);
+      if (width === 0 || height === 0) return;
+      midpGraphicsBlit(self, source, xSrc, ySrc, width, height, transform, left, top);
+    },
+    'drawRGB([IIIIIIIZ)V': (thread, self, rgbData, offset, scanlength, x, y, width, height, processAlpha) => {
+      if (rgbData === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      if (width <= 0 || height <= 0) return;
+
+      // Every element the call would read must be inside the array
+      const lastRow = offset + (height - 1) * scanlength;
+      if (Math.min(offset, lastRow) < 0 || Math.max(offset, lastRow) + width > rgbData.length) {
+        throw JVM.newThrowable('java/lang/ArrayIndexOutOfBoundsException', null);
+      }
+
+      x += self.tx;
+      y += self.ty;
+      const x1 = Math.max(x, self.clipX1);
+      const x2 = Math.min(x + width, self.clipX2);
+      const y1 = Math.max(y, self.clipY1);
+      const y2 = Math.min(y + height, self.clipY2);
+      const dst = self.surface.pixels;
+
+      for (let row = y1; row < y2; row++) {
+        let s = offset + (row - y) * scanlength + (x1 - x);
+        let d = row * self.surface.width + x1;
+        for (let col = x1; col < x2; col++, s++, d++) {
+          const argb = rgbData[s];
+          const alpha = processAlpha ? argb >>> 24 : 0xff;
+          if (alpha === 0) continue;
+
+          const pixel = (0xff000000 | ((argb & 0xff) << 16) | (argb & 0xff00) | ((argb >> 16) & 0xff)) >>> 0;
+          dst[d] = alpha === 0xff ? pixel : midpGraphicsBlend(dst[d], pixel, alpha);
+        }
+      }
+    },
+    'copyArea(IIIIIII)V': (thread, self, xSrc, ySrc, width, height, xDest, yDest, anchor) => {
+      if (!self.image) {
+        throw JVM.newThrowable('java/lang/IllegalStateException', 'copyArea on the display');
+      }
+      const surface = self.surface;
+      xSrc += self.tx;
+      ySrc += self.ty;
+      if (xSrc < 0 || ySrc < 0 || width < 0 || height < 0 || xSrc + width > surface.width || ySrc + height > surface.height) {
+        throw JVM.newThrowable('java/lang/IllegalArgumentException', 'Region exceeds the bounds of the image');
+      }
+      const [left, top] = midpGraphicsAnchor(anchor, xDest + self.tx, yDest + self.ty, width, height, -1);
+      if (width === 0 || height === 0) return;
+
+      // Copy through a scratch surface so overlapping areas come out right
+      const area = { width: width, height: height, pixels: new Uint32Array(width * height) };
+      for (let row = 0; row < height; row++) {
+        const start = (ySrc + row) * surface.width + xSrc;
+        area.pixels.set(surface.pixels.subarray(start, start + width), row * width);
+      }
+      midpGraphicsBlit(self, area, 0, 0, width, height, midpGraphicsConstants.TRANS_NONE, left, top);
+    }
+  }
+});
+
+// Export functions for use in other modules
+window.MidpGraphics = {
+  constants: midpGraphicsConstants,
+  create: midpGraphicsCreate,
+  reset: midpGraphicsReset,
+  save: midpGraphicsSave,
+  restore: midpGraphicsRestore,
+  setClip: midpGraphicsSetDeviceClip,
+  anchor: midpGraphicsAnchor,
+  blit: midpGraphicsBlit,
+  copy: midpGraphicsCopy,
+  checkTransform: midpGraphicsCheckTransform
+};
@@ -0,0 +1,748 @@
+/**
+ * J2ME Loader for CloudFone
+ * MIDP javax.microedition.io HTTP
+ *
+ * HttpConnection and HttpsConnection over fetch. A connection collects its
+ * request method, headers and body until the MIDlet first asks about the
+ * response; the request goes out then, and the calling thread blocks until
+ * the status and headers have arrived. The body streams in after them into
+ * the input stream's inputSource, so reads block only until the next bytes
+ * are there, and DataInputStream and InputStreamReader wait the same way.
+ *
+ * Redirects are not followed, so the MIDlet sees them as a handset does.
+ * Browsers keep a redirect's status and headers from scripts, though, so
+ * each one reads as 302 Found without a Location.
+ *
+ * Browsers only reach servers that allow cross-origin requests. For the
+ * rest, a proxy base URL can be set in the global settings: each request
+ * then goes to the proxy with the MIDlet's URL appended, as in
+ * "http://localhost:8090/http://example.com/scores". The stand-in server
+ * in test-apps works this way.
+ */
+
+// HTTP connection constants
+const midpHttpConstants = {
+  METHODS: ['GET', 'POST', 'HEAD'],
+
+  // Response codes HttpConnection names
+  RESPONSE_CODES: {
+    HTTP_OK: 200,
+    HTTP_CREATED: 201,
+    HTTP_ACCEPTED: 202,
+    HTTP_NOT_AUTHORITATIVE: 203,
+    HTTP_NO_CONTENT: 204,
+    HTTP_RESET: 205,
+    HTTP_PARTIAL: 206,
+    HTTP_MULT_CHOICE: 300,
+    HTTP_MOVED_PERM: 301,
+    HTTP_MOVED_TEMP: 302,
+    HTTP_SEE_OTHER: 303,
+    HTTP_NOT_MODIFIED: 304,
+    HTTP_USE_PROXY: 305,
+    HTTP_TEMP_REDIRECT: 307,
+    HTTP_BAD_REQUEST: 400,
+    HTTP_UNAUTHORIZED: 401,
+    HTTP_PAYMENT_REQUIRED: 402,
+    HTTP_FORBIDDEN: 403,
+    HTTP_NOT_FOUND: 404,
+    HTTP_BAD_METHOD: 405,
+    HTTP_NOT_ACCEPTABLE: 406,
+    HTTP_PROXY_AUTH: 407,
+    HTTP_CLIENT_TIMEOUT: 408,
+    HTTP_CONFLICT: 409,
+    HTTP_GONE: 410,
+    HTTP_LENGTH_REQUIRED: 411,
+    HTTP_PRECON_FAILED: 412,
+    HTTP_ENTITY_TOO_LARGE: 413,
+    HTTP_REQ_TOO_LONG: 414,
+    HTTP_UNSUPPORTED_TYPE: 415,
+    HTTP_UNSUPPORTED_RANGE: 416,
+    HTTP_EXPECT_FAILED: 417,
+    HTTP_INTERNAL_ERROR: 500,
+    HTTP_NOT_IMPLEMENTED: 501,
+    HTTP_BAD_GATEWAY: 502,
+    HTTP_UNAVAILABLE: 503,
+    HTTP_GATEWAY_TIMEOUT: 504,
+    HTTP_VERSION: 505
+  },
+
+  DEFAULT_PORTS: { http: 80, https: 443 },
+
+  // How long a request may take when the MIDlet opened its connection
+  // asking for timeout exceptions
+  TIMEOUT_MS: 30000,
+
+  // Room a request body starts with
+  OUTPUT_CHUNK: 1024,
+
+  // What a redirect reads as
+  REDIRECT_STATUS: 302,
+  REDIRECT_MESSAGE: 'Found',
+
+  // What HttpsConnection reports of the secure connection; fetch doesn't
+  // tell, so these are what browsers most often negotiate
+  SECURITY: {
+    PROTOCOL_NAME: 'TLS',
+    PROTOCOL_VERSION: '3.3',
+    CIPHER_SUITE: 'TLS_ECDHE_RSA_WITH_AES_128_GCM_SHA256'
+  }
+};
+
+// HTTP connection state
+const midpHttpState = {
+  proxy: ''
+};
+
+/**
+ * Set the proxy requests go through
+ * @param {string} proxy - Proxy base URL, or empty to fetch directly; URLs
+ *   are appended to it after a slash, or encoded as a query value when it
+ *   ends with "=" or "?"
+ */
+function midpHttpConfigure(proxy) {
+  const base = proxy || '';
+  midpHttpState.proxy = base === '' || /[/=?]$/.test(base) ? base : `${base}/`;
+}
+
+// ---------------------------------------------------------------------------
+// Requests
+// ---------------------------------------------------------------------------
+
+/**
+ * Connector.open for http and https URLs
+ * @param {Object} thread - Current thread
+ * @param {string} name - URL
+ * @param {number} mode - Connector mode
+ * @param {boolean} timeouts - Whether the request may time out
+ * @returns {Object} HttpConnection, or HttpsConnection for https URLs
+ */
+function midpHttpOpen(thread, name, mode, timeouts) {
+  let url;
+  try {
+    url = new URL(name);
+  } catch (error) {
+    throw JVM.newThrowable('java/lang/IllegalArgumentException', `Invalid URL: ${name}`);
+  }
+  if (!url.hostname) throw JVM.newThrowable('java/lang/IllegalArgumentException', `No host in URL: ${name}`);
+
+  const secure = url.protocol === 'https:';
+  const className = secure ? 'javax/microedition/io/Connector$HttpsConnection' : 'javax/microedition/io/Connector$HttpConnection';
+  const connection = JVM.newObject(JVM.loadClass(className));
+  connection.name = name;
+  connection.url = url;
+  connection.mode = mode;
+  connection.timeouts = timeouts;
+  connection.method = 'GET';
+  connection.requestHeaders = [];
+  connection.output = null;
+  connection.inputOpened = false;
+  connection.input = null;
+  connection.exchange = null;
+  connection.response = null;
+  connection.failure = null;
+  connection.isOpen = true;
+  return connection;
+}
+
+/**
+ * Send a connection's request, once
+ * @param {Object} connection - HttpConnection
+ * @returns {Promise<Object>} Resolves with the response
+ */
+function midpHttpConnect(connection) {
+  if (!connection.exchange) {
+    connection.exchange = midpHttpSend(connection).then(response => {
+      connection.response = response;
+      midpHttpRelease(connection);
+      return response;
+    }, error => {
+      connection.failure = error;
+      throw error;
+    });
+  }
+  return connection.exchange;
+}
+
+/**
+ * Find where to fetch a URL: itself, or the proxy with it appended
+ * @param {URL} url - The MIDlet's URL
+ * @returns {string} URL to fetch
+ */
+function midpHttpGetFetchUrl(url) {
+  const proxy = midpHttpState.proxy;
+  if (proxy === '') return url.href;
+
+  // A query value would end at the URL's own "&" and "#"
+  return /[=?]$/.test(proxy) ? proxy + encodeURIComponent(url.href) : proxy + url.href;
+}
+
+/**
+ * Fetch a connection's request
+ * @param {Object} connection - HttpConnection
+ * @returns {Promise<Object>} Resolves with {status, message, headers,
+ *   source, reader, received} once the headers are in; the body arrives
+ *   in source after that
+ */
+function midpHttpSend(connection) {
+  const url = connection.url;
+  const output = connection.output;
+  const hasBody = output && connection.method === 'POST';
+
+  const controller = new AbortController();
+  let timer = null;
+  if (connection.timeouts) timer = setTimeout(() => controller.abort(), midpHttpConstants.TIMEOUT_MS);
+
+  return fetch(midpHttpGetFetchUrl(url), {
+    method: connection.method,
+    headers: connection.requestHeaders,
+    body: hasBody ? output.data.slice(0, output.length) : undefined,
+    signal: controller.signal,
+    credentials: 'omit',
+    cache: 'no-store',
+    redirect: 'manual'
+  })
+    .then(fetched => {
+      const redirect = fetched.type === 'opaqueredirect';
+      const response = {
+        status: redirect ? midpHttpConstants.REDIRECT_STATUS : fetched.status,
+        message: redirect ? midpHttpConstants.REDIRECT_MESSAGE : fetched.statusText || null,
+        headers: Array.from(fetched.headers.entries()),
+        source: CldcIo.newInputSource(),
+        reader: !redirect && fetched.body ? fetched.body.getReader() : null,
+        received: 0
+      };
+
+      // The timeout covers the body too
+      midpHttpReceive(response, () => clearTimeout(timer));
+      return response;
+    }, error => {
+      clearTimeout(timer);
+      if (error && error.name === 'AbortError') {
+        throw JVM.newThrowable('java/io/InterruptedIOException', `Timed out: ${url.href}`);
+      }
+      // Failed lookups, refused connections and blocked cross-origin
+      // requests all look the same from here
+      const hint = midpHttpState.proxy ? '' : '; the server may need a proxy';
+      throw JVM.newThrowable('java/io/IOException', `Failed to connect to ${url.host}${hint}`);
+    });
+}
+
+/**
+ * Pass a response's body into its source as it arrives
+ * @param {Object} response - Response
+ * @param {Function} finish - Called once the body has ended
+ */
+function midpHttpReceive(response, finish) {
+  if (!response.reader) {
+    response.source.end();
+    finish();
+    return;
+  }
+
+  response.reader.read().then(({ done, value }) => {
+    if (done) {
+      response.source.end();
+      finish();
+      return;
+    }
+    response.received += value.length;
+    response.source.push(new Int8Array(value.buffer, value.byteOffset, value.length));
+    midpHttpReceive(response, finish);
+  }, error => {
+    response.source.end(error && error.name === 'AbortError' ? 'Timed out' : 'Connection lost');
+    finish();
+  });
+}
+
+/**
+ * Stop downloading a body once neither the connection nor its input
+ * stream can read it
+ * @param {Object} connection - HttpConnection
+ */
+function midpHttpRelease(connection) {
+  const response = connection.response;
+  if (connection.isOpen || (connection.input && !connection.input.closed)) return;
+  if (response && response.reader && !response.source.ended) response.reader.cancel().catch(() => {});
+}
+
+/**
+ * Use a connection's response, sending the request if it hasn't gone yet
+ * @param {Object} connection - HttpConnection
+ * @param {Function} use - Takes the response and returns the answer
+ * @returns {*} The answer, or a Promise of it while the response is on its
+ *   way
+ */
+function midpHttpWithResponse(connection, use) {
+  midpHttpCheckOpen(connection);
+  if (connection.response) return use(connection.response);
+  if (connection.failure) throw connection.failure;
+  return midpHttpConnect(connection).then(use);
+}
+
+/**
+ * Check that a connection hasn't been closed
+ * @param {Object} connection - HttpConnection
+ */
+function midpHttpCheckOpen(connection) {
+  if (!connection.isOpen) throw JVM.newThrowable('java/io/IOException', 'Connection is closed');
+}
+
+/**
+ * Check that a connection's request can still be changed
+ * @param {Object} connection - HttpConnection
+ */
+function midpHttpCheckSetup(connection) {
+  midpHttpCheckOpen(connection);
+  if (connection.exchange) throw JVM.newThrowable('java/io/IOException', 'Request has already been sent');
+}
+
+/**
+ * Find a header, ignoring case
+ * @param {Array} headers - [name, value] pairs
+ * @param {string} name - Header name
+ * @returns {number} Index of the header, or -1
+ */
+function midpHttpFindHeader(headers, name) {
+  const lower = name.toLowerCase();
+  return headers.findIndex(header => header[0].toLowerCase() === lower);
+}
+
+/**
+ * Get a response header
+ * @param {Object} response - Response
+ * @param {string} name - Header name
+ * @returns {string|null} Its value, or null if the response has none
+ */
+function midpHttpGetHeader(response, name) {
+  const index = midpHttpFindHeader(response.headers, name);
+  return index < 0 ? null : response.headers[index][1];
+}
+
+/**
+ * Get a response header holding a date
+ * @param {Object} response - Response
+ * @param {string} name - Header name
+ * @param {bigint} fallback - Value if the header is missing or not a date
+ * @returns {bigint} Milliseconds since the epoch
+ */
+function midpHttpGetDateHeader(response, name, fallback) {
+  const time = Date.parse(midpHttpGetHeader(response, name));
+  return Number.isNaN(time) ? fallback : BigInt(time);
+}
+
+/**
+ * Make a Java string of a value that may be missing
+ * @param {string|null} value - Value
+ * @returns {Object|null} Java string, or null
+ */
+function midpHttpString(value) {
+  return value === null ? null : JVM.newString(value);
+}
+
+// ---------------------------------------------------------------------------
+// Streams
+// ---------------------------------------------------------------------------
+
+/**
+ * HttpConnection.openInputStream
+ * @param {Object} connection - HttpConnection
+ * @returns {Object|Promise} java.io.InputStream over the response body
+ */
+function midpHttpOpenInput(connection) {
+  midpHttpCheckOpen(connection);
+  if ((connection.mode & MidpIo.constants.READ) === 0) {
+    throw JVM.newThrowable('java/io/IOException', 'Connection is not open for reading');
+  }
+  if (connection.inputOpened) throw JVM.newThrowable('java/io/IOException', 'Input stream is already open');
+  connection.inputOpened = true;
+
+  return midpHttpWithResponse(connection, response => {
+    const input = JVM.newObject(JVM.loadClass('javax/microedition/io/Connector$HttpInput'));
+    input.connection = connection;
+    input.inputSource = response.source;
+    input.closed = false;
+    connection.input = input;
+    return input;
+  });
+}
+
+/**
+ * Read from a response body, blocking until bytes arrive
+ * @param {Object} input - Input stream
+ * @param {Function} read - Takes the source once it has bytes or has ended
+ * @returns {*} What read returns, or a Promise of it
+ */
+function midpHttpRead(input, read) {
+  if (input.closed) throw JVM.newThrowable('java/io/IOException', 'Stream is closed');
+
+  const source = input.inputSource;
+  if (source.length === 0 && !source.ended) return source.wait().then(() => midpHttpRead(input, read));
+  if (source.length === 0 && source.error) throw JVM.newThrowable('java/io/IOException', source.error);
+  return read(source);
+}
+
+/**
+ * Get the length of a response body
+ * @param {Object} connection - HttpConnection
+ * @param {Object} response - Response
+ * @returns {number} Length in bytes, or -1 if it isn't known
+ */
+function midpHttpGetLength(connection, response) {
+  // A body that has all arrived has been counted
+  if (connection.method !== 'HEAD' && response.source.ended && !response.source.error) return response.received;
+
+  // Content-Length counts the bytes as sent, before the browser undid any
+  // content encoding
+  const encoding = midpHttpGetHeader(response, 'Content-Encoding');
+  if (encoding && encoding.toLowerCase() !== 'identity') return -1;
+
+  const length = parseInt(midpHttpGetHeader(response, 'Content-Length'), 10);
+  return Number.isNaN(length) ? -1 : length;
+}
+
+/**
+ * HttpConnection.openOutputStream
+ * @param {Object} connection - HttpConnection
+ * @returns {Object} java.io.OutputStream into the request body
+ */
+function midpHttpOpenOutput(connection) {
+  midpHttpCheckSetup(connection);
+  if ((connection.mode & MidpIo.constants.WRITE) === 0) {
+    throw JVM.newThrowable('java/io/IOException', 'Connection is not open for writing');
+  }
+  if (connection.output) throw JVM.newThrowable('java/io/IOException', 'Output stream is already open');
+
+  const output = JVM.newObject(JVM.loadClass('javax/microedition/io/Connector$HttpOutput'));
+  output.connection = connection;
+  output.data = new Uint8Array(midpHttpConstants.OUTPUT_CHUNK);
+  output.length = 0;
+  output.closed = false;
+  connection.output = output;
+
+  // Requests with a body are posted unless the MIDlet says otherwise
+  if (connection.method === 'GET') connection.method = 'POST';
+  return output;
+}
+
+/**
+ * Add bytes to a request body
+ * @param {Object} output - Output stream
+ * @param {Int8Array|Array<number>} bytes - Bytes
+ */
+function midpHttpWriteOutput(output, bytes) {
+  if (output.closed) throw JVM.newThrowable('java/io/IOException', 'Stream is closed');
+  if (output.connection.exchange) throw JVM.newThrowable('java/io/IOException', 'Request has already been sent');
+
+  const end = output.length + bytes.length;
+  if (end > output.data.length) {
+    const grown = new Uint8Array(Math.max(output.data.length * 2, end));
+    grown.set(output.data.subarray(0, output.length));
+    output.data = grown;
+  }
+  output.data.set(bytes, output.length);
+  output.length = end;
+}
+
+// ---------------------------------------------------------------------------
+// Classes
+// ---------------------------------------------------------------------------
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/io/ContentConnection',
+  isInterface: true,
+  interfaces: ['javax/microedition/io/StreamConnection'],
+  methods: {
+    'getType()Ljava/lang/String;': null,
+    'getEncoding()Ljava/lang/String;': null,
+    'getLength()J': null
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/io/HttpConnection',
+  isInterface: true,
+  interfaces: ['javax/microedition/io/ContentConnection'],
+  fields: midpHttpConstants.METHODS.map(method => ({
+    name: method,
+    descriptor: 'Ljava/lang/String;',
+    isStatic: true,
+    value: method
+  })).concat(Object.keys(midpHttpConstants.RESPONSE_CODES).map(name => ({
+    name: name,
+    descriptor: 'I',
+    isStatic: true,
+    value: midpHttpConstants.RESPONSE_CODES[name]
+  }))),
+  methods: {
+    'getURL()Ljava/lang/String;': null,
+    'getProtocol()Ljava/lang/String;': null,
+    'getHost()Ljava/lang/String;': null,
+    'getFile()Ljava/lang/String;': null,
+    'getRef()Ljava/lang/String;': null,
+    'getQuery()Ljava/lang/String;': null,
+    'getPort()I': null,
+    'getRequestMethod()Ljava/lang/String;': null,
+    'setRequestMethod(Ljava/lang/String;)V': null,
+    'getRequestProperty(Ljava/lang/String;)Ljava/lang/String;': null,
+    'setRequestProperty(Ljava/lang/String;Ljava/lang/String;)V': null,
+    'getResponseCode()I': null,
+    'getResponseMessage()Ljava/lang/String;': null,
+    'getExpiration()J': null,
+    'getDate()J': null,
+    'getLastModified()J': null,
+    'getHeaderField(Ljava/lang/String;)Ljava/lang/String;': null,
+    'getHeaderFieldInt(Ljava/lang/String;I)I': null,
+    'getHeaderFieldDate(Ljava/lang/String;J)J': null,
+    'getHeaderField(I)Ljava/lang/String;': null,
+    'getHeaderFieldKey(I)Ljava/lang/String;': null
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/io/HttpsConnection',
+  isInterface: true,
+  interfaces: ['javax/microedition/io/HttpConnection'],
+  methods: {
+    'getSecurityInfo()Ljavax/microedition/io/SecurityInfo;': null
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/io/SecurityInfo',
+  isInterface: true,
+  methods: {
+    'getServerCertificate()Ljavax/microedition/pki/Certificate;': null,
+    'getProtocolVersion()Ljava/lang/String;': null,
+    'getProtocolName()Ljava/lang/String;': null,
+    'getCipherSuite()Ljava/lang/String;': null
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/pki/Certificate',
+  isInterface: true,
+  methods: {
+    'getSubject()Ljava/lang/String;': null,
+    'getIssuer()Ljava/lang/String;': null,
+    'getType()Ljava/lang/String;': null,
+    'getVersion()Ljava/lang/String;': null,
+    'getSigAlgName()Ljava/lang/String;': null,
+    'getNotBefore()J': null,
+    'getNotAfter()J': null,
+    'getSerialNumber()Ljava/lang/String;': null
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/io/Connector$HttpConnection',
+  interfaces: ['javax/microedition/io/HttpConnection'],
+  methods: {
+    'close()V': (thread, self) => {
+      self.isOpen = false;
+      midpHttpRelease(self);
+    },
+
+    'openInputStream()Ljava/io/InputStream;': (thread, self) => midpHttpOpenInput(self),
+    'openDataInputStream()Ljava/io/DataInputStream;': (thread, self) => {
+      return Promise.resolve(midpHttpOpenInput(self)).then(stream => MidpIo.dataInput(thread, stream));
+    },
+    'openOutputStream()Ljava/io/OutputStream;': (thread, self) => midpHttpOpenOutput(self),
+    'openDataOutputStream()Ljava/io/DataOutputStream;': (thread, self) => {
+      return MidpIo.dataOutput(thread, midpHttpOpenOutput(self));
+    },
+
+    'getURL()Ljava/lang/String;': (thread, self) => JVM.newString(self.name),
+    'getProtocol()Ljava/lang/String;': (thread, self) => JVM.newString(self.url.protocol.slice(0, -1)),
+    'getHost()Ljava/lang/String;': (thread, self) => JVM.newString(self.url.hostname),
+    'getFile()Ljava/lang/String;': (thread, self) => midpHttpString(self.url.pathname || null),
+    'getRef()Ljava/lang/String;': (thread, self) => midpHttpString(self.url.hash ? self.url.hash.substring(1) : null),
+    'getQuery()Ljava/lang/String;': (thread, self) => midpHttpString(self.url.search ? self.url.search.substring(1) : null),
+    'getPort()I': (thread, self) => {
+      return self.url.port ? Number(self.url.port) : midpHttpConstants.DEFAULT_PORTS[self.url.protocol.slice(0, -1)];
+    },
+
+    'getRequestMethod()Ljava/lang/String;': (thread, self) => JVM.newString(self.method),
+    'setRequestMethod(Ljava/lang/String;)V': (thread, self, method) => {
+      midpHttpCheckSetup(self);
+      const text = method === null ? null : CldcLang.text(method);
+      if (!midpHttpConstants.METHODS.includes(text)) {
+        throw JVM.newThrowable('java/io/IOException', `Unsupported request method: ${text}`);
+      }
+      self.method = text;
+    },
+    'getRequestProperty(Ljava/lang/String;)Ljava/lang/String;': (thread, self, key) => {
+      if (key === null) return null;
+      const index = midpHttpFindHeader(self.requestHeaders, CldcLang.text(key));
+      return index < 0 ? null : JVM.newString(self.requestHeaders[index][1]);
+    },
+    'setRequestProperty(Ljava/lang/String;Ljava/lang/String;)V': (thread, self, key, value) => {
+      midpHttpCheckSetup(self);
+      if (key === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      const name = CldcLang.text(key);
+      const text = value === null ? '' : CldcLang.text(value);
+      const index = midpHttpFindHeader(self.requestHeaders, name);
+      if (index < 0) {
+        self.requestHeaders.push([name, text]);
+      } else {
+        self.requestHeaders[index][1] = text;
+      }
+    },
+
+    'getResponseCode()I': (thread, self) => midpHttpWithResponse(self, response => response.status),
+    'getResponseMessage()Ljava/lang/String;': (thread, self) => {
+      return midpHttpWithResponse(self, response => midpHttpString(response.message));
+    },
+    'getType()Ljava/lang/String;': (thread, self) => {
+      return midpHttpWithResponse(self, response => midpHttpString(midpHttpGetHeader(response, 'Content-Type')));
+    },
+    // The browser has already undone any content encoding
+    'getEncoding()Ljava/lang/String;': (thread, self) => midpHttpWithResponse(self, () => null),
+    'getLength()J': (thread, self) => {
+      return midpHttpWithResponse(self, response => BigInt(midpHttpGetLength(self, response)));
+    },
+    'getExpiration()J': (thread, self) => {
+      return midpHttpWithResponse(self, response => midpHttpGetDateHeader(response, 'Expires', 0n));
+    },
+    'getDate()J': (thread, self) => {
+      return midpHttpWithResponse(self, response => midpHttpGetDateHeader(response, 'Date', 0n));
+    },
+    'getLastModified()J': (thread, self) => {
+      return midpHttpWithResponse(self, response => midpHttpGetDateHeader(response, 'Last-Modified', 0n));
+    },
+    'getHeaderField(Ljava/lang/String;)Ljava/lang/String;': (thread, self, name) => {
+      return midpHttpWithResponse(self, response => {
+        return name === null ? null : midpHttpString(midpHttpGetHeader(response, CldcLang.text(name)));
+      });
+    },
+    'getHeaderFieldInt(Ljava/lang/String;I)I': (thread, self, name, fallback) => {
+      return midpHttpWithResponse(self, response => {
+        const value = name === null ? NaN : parseInt(midpHttpGetHeader(response, CldcLang.text(name)), 10);
+        return Number.isNaN(value) ? fallback : value | 0;
+      });
+    },
+    'getHeaderFieldDate(Ljava/lang/String;J)J': (thread, self, name, fallback) => {
+      return midpHttpWithResponse(self, response => {
+        return name === null ? fallback : midpHttpGetDateHeader(response, CldcLang.text(name), fallback);
+      });
+    },
+    'getHeaderField(I)Ljava/lang/String;': (thread, self, index) => {
+      return midpHttpWithResponse(self, response => {
+        const header = response.headers[index];
+        return header ? JVM.newString(header[1]) : null;
+      });
+    },
+    'getHeaderFieldKey(I)Ljava/lang/String;': (thread, self, index) => {
+      return midpHttpWithResponse(self, response => {
+        const header = response.headers[index];
+        return header ? JVM.newString(header[0]) : null;
+      });
+    }
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/io/Connector$HttpsConnection',
+  superName: 'javax/microedition/io/Connector$HttpConnection',
+  interfaces: ['javax/microedition/io/HttpsConnection'],
+  methods: {
+    'getSecurityInfo()Ljavax/microedition/io/SecurityInfo;': (thread, self) => {
+      return midpHttpWithResponse(self, () => {
+        const info = JVM.newObject(JVM.loadClass('javax/microedition/io/Connector$HttpSecurityInfo'));
+        info.host = self.url.hostname;
+        return info;
+      });
+    }
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/io/Connector$HttpSecurityInfo',
+  interfaces: ['javax/microedition/io/SecurityInfo'],
+  methods: {
+    'getServerCertificate()Ljavax/microedition/pki/Certificate;': (thread, self) => {
+      const certificate = JVM.newObject(JVM.loadClass('javax/microedition/io/Connector$HttpCertificate'));
+      certificate.host = self.host;
+      return certificate;
+    },
+    'getProtocolVersion()Ljava/lang/String;': () => JVM.newString(midpHttpConstants.SECURITY.PROTOCOL_VERSION),
+    'getProtocolName()Ljava/lang/String;': () => JVM.newString(midpHttpConstants.SECURITY.PROTOCOL_NAME),
+    'getCipherSuite()Ljava/lang/String;': () => JVM.newString(midpHttpConstants.SECURITY.CIPHER_SUITE)
+  }
+});
+
+// The browser checked the server's certificate but doesn't show it; only
+// the subject is known
+JVM.defineNativeClass({
+  name: 'javax/microedition/io/Connector$HttpCertificate',
+  interfaces: ['javax/microedition/pki/Certificate'],
+  methods: {
+    'getSubject()Ljava/lang/String;': (thread, self) => JVM.newString(`CN=${self.host}`),
+    'getIssuer()Ljava/lang/String;': () => JVM.newString(''),
+    'getType()Ljava/lang/String;': () => JVM.newString('X.509'),
+    'getVersion()Ljava/lang/String;': () => JVM.newString('3'),
+    'getSigAlgName()Ljava/lang/String;': () => null,
+    'getNotBefore()J': () => 0n,
+    'getNotAfter()J': () => 0n,
+    'getSerialNumber()Ljava/lang/String;': () => null
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/io/Connector$HttpInput',
+  superName: 'java/io/InputStream',
+  accessFlags: ClassFile.ACC.FINAL,
+  methods: {
+    'read()I': (thread, self) => midpHttpRead(self, source => {
+      if (source.length === 0) return -1;
+      const bytes = new Int8Array(1);
+      source.take(bytes, 0, 1);
+      return bytes[0] & 0xff;
+    }),
+    'read([BII)I': (thread, self, bytes, offset, length) => {
+      CldcLang.checkRange(bytes, offset, length, 'java/lang/IndexOutOfBoundsException');
+      if (length === 0) return 0;
+      return midpHttpRead(self, source => {
+        return source.length === 0 ? -1 : source.take(bytes, offset, length);
+      });
+    },
+    'available()I': (thread, self) => {
+      if (self.closed) throw JVM.newThrowable('java/io/IOException', 'Stream is closed');
+      return self.inputSource.length;
+    },
+    'close()V': (thread, self) => {
+      self.closed = true;
+      self.inputSource.closed = true;
+      self.inputSource.wake();
+      midpHttpRelease(self.connection);
+    }
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/io/Connector$HttpOutput',
+  superName: 'java/io/OutputStream',
+  accessFlags: ClassFile.ACC.FINAL,
+  methods: {
+    'write(I)V': (thread, self, value) => midpHttpWriteOutput(self, [value & 0xff]),
+    'write([BII)V': (thread, self, bytes, offset, length) => {
+      CldcLang.checkRange(bytes, offset, length, 'java/lang/IndexOutOfBoundsException');
+      midpHttpWriteOutput(self, bytes.subarray(offset, offset + length));
+    },
+    // Flushing sends the request; the response is waited for by whatever
+    // asks about it next
+    'flush()V': (thread, self) => {
+      if (self.closed) throw JVM.newThrowable('java/io/IOException', 'Stream is closed');
+      if (self.connection.isOpen) midpHttpConnect(self.connection).catch(() => {});
+    },
+    'close()V': (thread, self) => { self.closed = true; }
+  }
+});
+
+MidpIo.registerProtocol('http', midpHttpOpen);
+MidpIo.registerProtocol('https', midpHttpOpen);
+
+// Export functions for use in other modules
+window.MidpHttp = {
+  constants: midpHttpConstants,
+  configure: midpHttpConfigure
+};
@@ -0,0 +1,225 @@
+/**
+ * J2ME Loader for CloudFone
+ * MIDP javax.microedition.lcdui.Image
+ *
+ * An Image owns a surface ({width, height, pixels}) in the same format as
+ * the display, so Graphics draws images and into mutable images without
+ * any conversion. Image files are decoded by ImageDecoder. Immutable images
+ * keep the alpha of their source; mutable ones start opaque white and stay
+ * opaque, as everything Graphics draws is.
+ */
+
+// Image constants
+const midpImageConstants = {
+  MUTABLE_FILL: 0xffffffff
+};
+
+/**
+ * Wrap a surface in an Image object
+ * @param {Object} surface - {width, height, pixels}
+ * @param {boolean} mutable - Whether getGraphics may draw into it
+ * @returns {Object} javax.microedition.lcdui.Image
+ */
+function midpImageCreate(surface, mutable) {
+  const image = JVM.newObject(JVM.loadClass('javax/microedition/lcdui/Image'));
+  image.surface = surface;
+  image.mutable = mutable;
+  return image;
+}
+
+/**
+ * Decode image file data into an immutable image
+ * @param {Uint8Array} bytes - PNG, JPEG or GIF data
+ * @param {string} exceptionClass - Java exception to throw for bad data
+ * @returns {Object} Image
+ */
+function midpImageDecode(bytes, exceptionClass) {
+  try {
+    return midpImageCreate(ImageDecoder.decode(bytes), false);
+  } catch (error) {
+    if (error && error.cls) throw error;
+    throw JVM.newThrowable(exceptionClass, `Cannot decode image: ${error.message}`);
+  }
+}
+
+/**
+ * Copy a region of a surface into a new surface, applying a transform
+ * without blending, so transparent pixels stay transparent
+ * @param {Object} source - Source surface
+ * @param {number} x - Region left
+ * @param {number} y - Region top
+ * @param {number} width - Region width
+ * @param {number} height - Region height
+ * @param {number} transform - TRANS_* constant
+ * @returns {Object} New surface
+ */
+function midpImageCopyRegion(source, x, y, width, height, transform) {
+  const swapped = transform >= MidpGraphics.constants.TRANS_MIRROR_ROT270;
+  const surface = ImageDecoder.createSurface(swapped ? height : width, swapped ? width : height);
+
+  const steps = MidpGraphics.constants.TRANSFORM_STEPS[transform];
+  const stride = source.width;
+  const origin = (y + steps[1] * (height - 1)) * stride + x + steps[0] * (width - 1);
+  const perColumn = steps[2] + steps[3] * stride;
+  const perRow = steps[4] + steps[5] * stride;
+
+  let d = 0;
+  for (let row = 0; row < surface.height; row++) {
+    let s = origin + row * perRow;
+    for (let col = 0; col < surface.width; col++, s += perColumn) {
+      surface.pixels[d++] = source.pixels[s];
+    }
+  }
+  return surface;
+}
+
+/**
+ * Read a whole InputStream
+ * @param {Object} thread - Current thread
+ * @param {Object} stream - java.io.InputStream
+ * @returns {Uint8Array} Contents
+ */
+function midpImageReadStream(thread, stream) {
+  const chunks = [];
+  const buffer = JVM.newArray('[B', 4096);
+  let total = 0;
+  for (;;) {
+    const count = CldcIo.readBytes(thread, stream, buffer, 0, buffer.length);
+    if (count < 0) break;
+    chunks.push(new Uint8Array(buffer.buffer.slice(0, count)));
+    total += count;
+  }
+
+  const bytes = new Uint8Array(total);
+  chunks.reduce((position, chunk) => {
+    bytes.set(chunk, position);
+    return position + chunk.length;
+  }, 0);
+  return bytes;
+}
+
+/**
+ * Check that a region lies inside a surface
+ * @param {Object} surface - Surface
+ * @param {number} x - Region left
+ * @param {number} y - Region top
+ * @param {number} width - Region width
+ * @param {number} height - Region height
+ */
+function midpImageCheckRegion(surface, x, y, width, height) {
+  if (x < 0 || y < 0 || width <= 0 || height <= 0 || x + width > surface.width || y + height > surface.height) {
+    throw JVM.newThrowable('java/lang/IllegalArgumentException', 'Region exceeds the bounds of the image');
+  }
+}
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/lcdui/Image',
+  accessFlags: ClassFile.ACC.PUBLIC,
+  methods: {
+    'getGraphics()Ljavax/microedition/lcdui/Graphics;': (thread, self) => {
+      if (!self.mutable) throw JVM.newThrowable('java/lang/IllegalStateException', 'Image is immutable');
+      return MidpGraphics.create(self.surface, self);
+    },
+    'getWidth()I': (thread, self) => self.surface.width,
+    'getHeight()I': (thread, self) => self.surface.height,
+    'isMutable()Z': (thread, self) => self.mutable,
+    'getRGB([IIIIIII)V': (thread, self, rgbData, offset, scanlength, x, y, width, height) => {
+      if (rgbData === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      const surface = self.surface;
+      if (x < 0 || y < 0 || x + width > surface.width || y + height > surface.height) {
+        throw JVM.newThrowable('java/lang/IllegalArgumentException', 'Region exceeds the bounds of the image');
+      }
+      if (width <= 0 || height <= 0) return;
+      if (Math.abs(scanlength) < width) {
+        throw JVM.newThrowable('java/lang/IllegalArgumentException', `Scan length ${scanlength} is less than width ${width}`);
+      }
+
+      // Every element the call would write must be inside the array
+      const lastRow = offset + (height - 1) * scanlength;
+      if (Math.min(offset, lastRow) < 0 || Math.max(offset, lastRow) + width > rgbData.length) {
+        throw JVM.newThrowable('java/lang/ArrayIndexOutOfBoundsException', null);
+      }
+
+      for (let row = 0; row < height; row++) {
+        let s = (y + row) * surface.width + x;
+        let d = offset + row * scanlength;
+        for (let col = 0; col < width; col++, s++, d++) {
+          const pixel = surface.pixels[s];
+          rgbData[d] = (pixel & 0xff00ff00) | ((pixel & 0xff) << 16) | ((pixel >> 16) & 0xff);
+        }
+      }
+    }
+  },
+  staticMethods: {
+    'createImage(II)Ljavax/microedition/lcdui/Image;': (thread, width, height) => {
+      if (width <= 0 || height <= 0) {
+        throw JVM.newThrowable('java/lang/IllegalArgumentException', `Invalid image size: ${width}x${height}`);
+      }
+      if (width * height > ImageDecoder.constants.MAX_PIXELS) {
+        throw JVM.newThrowable('java/lang/OutOfMemoryError', `Image too large: ${width}x${height}`);
+      }
+      const surface = ImageDecoder.createSurface(width, height);
+      surface.pixels.fill(midpImageConstants.MUTABLE_FILL);
+      return midpImageCreate(surface, true);
+    },
+    'createImage(Ljava/lang/String;)Ljavax/microedition/lcdui/Image;': (thread, name) => {
+      // Names are absolute within the JAR, with or without the leading slash
+      const path = CldcLang.text(name).replace(/^\//, '');
+      const host = JVM.state.host;
+      const bytes = host.readResource ? host.readResource(path) : null;
+      if (!bytes) throw JVM.newThrowable('java/io/IOException', `Resource not found: ${path}`);
+      return midpImageDecode(bytes, 'java/io/IOException');
+    },
+    'createImage([BII)Ljavax/microedition/lcdui/Image;': (thread, imageData, offset, length) => {
+      CldcLang.checkRange(imageData, offset, length);
+      const bytes = new Uint8Array(imageData.buffer, imageData.byteOffset + offset, length);
+      return midpImageDecode(bytes, 'java/lang/IllegalArgumentException');
+    },
+    'createImage(Ljava/io/InputStream;)Ljavax/microedition/lcdui/Image;': (thread, stream) => {
+      // Streams still arriving, such as a download's, are read once complete
+      return CldcIo.whenEnded(stream, () => midpImageDecode(midpImageReadStream(thread, stream), 'java/io/IOException'));
+    },
+    'createImage(Ljavax/microedition/lcdui/Image;)Ljavax/microedition/lcdui/Image;': (thread, source) => {
+      if (source === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      if (!source.mutable) return source;
+
+      const surface = source.surface;
+      return midpImageCreate(midpImageCopyRegion(surface, 0, 0, surface.width, surface.height, 0), false);
+    },
+    'createImage(Ljavax/microedition/lcdui/Image;IIIII)Ljavax/microedition/lcdui/Image;': (thread, source, x, y, width, height, transform) => {
+      if (source === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      const surface = source.surface;
+      midpImageCheckRegion(surface, x, y, width, height);
+      MidpGraphics.checkTransform(transform);
+
+      // An immutable image can stand in for an untransformed copy of itself
+      if (!source.mutable && transform === 0 && x === 0 && y === 0 &&
+        width === surface.width && height === surface.height) {
+        return source;
+      }
+      return midpImageCreate(midpImageCopyRegion(surface, x, y, width, height, transform), false);
+    },
+    'createRGBImage([IIIZ)Ljavax/microedition/lcdui/Image;': (thread, rgb, width, height, processAlpha) => {
+      if (rgb === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      if (width <= 0 || height <= 0) {
+        throw JVM.newThrowable('java/lang/IllegalArgumentException', `Invalid image size: ${width}x${height}`);
+      }
+      if (width * height > rgb.length) throw JVM.newThrowable('java/lang/ArrayIndexOutOfBoundsException', null);
+
+      const surface = ImageDecoder.createSurface(width, height);
+      for (let i = 0; i < width * height; i++) {
+        const argb = rgb[i];
+        const alpha = processAlpha ? argb & 0xff000000 : 0xff000000;
+        surface.pixels[i] = (alpha | ((argb & 0xff) << 16) | (argb & 0xff00) | ((argb >> 16) & 0xff)) >>> 0;
+      }
+      return midpImageCreate(surface, false);
+    }
+  }
+});
+
+// Export functions for use in other modules
+window.MidpImage = {
+  create: midpImageCreate,
+  decode: midpImageDecode,
+  copyRegion: midpImageCopyRegion
+};
@@ -0,0 +1,198 @@
+/**
+ * J2ME Loader for CloudFone
+ * CLDC javax.microedition.io
+ *
+ * The Generic Connection Framework: Connector and the Connection
+ * interfaces. Each protocol registers a function that opens its
+ * connections; names whose protocol nobody registered fail with
+ * ConnectionNotFoundException.
+ *
+ * Connections are native objects, so Connector's stream shortcuts call
+ * their openInputStream and openOutputStream directly and may block the
+ * calling thread while the connection opens.
+ */
+
+// Connector constants
+const midpIoConstants = {
+  READ: 1,
+  WRITE: 2,
+  READ_WRITE: 3
+};
+
+// Connection openers by protocol; each takes the thread, the whole name,
+// the mode and whether the caller wants timeouts, and returns the
+// Connection or a Promise of it
+const midpIoProtocols = {};
+
+/**
+ * Make a protocol available to Connector.open
+ * @param {string} protocol - Scheme in lower case, e.g. "file"
+ * @param {Function} open - Opens a connection
+ */
+function midpIoRegisterProtocol(protocol, open) {
+  midpIoProtocols[protocol] = open;
+}
+
+/**
+ * Connector.open
+ * @param {Object} thread - Current thread
+ * @param {Object|null} name - Java string such as "file:///sdcard/a.txt"
+ * @param {number} mode - READ, WRITE or READ_WRITE
+ * @param {boolean} timeouts - Whether the caller wants timeout exceptions
+ * @returns {Object|Promise} The Connection, or a promise of it
+ */
+function midpIoOpen(thread, name, mode, timeouts) {
+  if (name === null) throw JVM.newThrowable('java/lang/IllegalArgumentException', 'Connection name is null');
+  if (mode < midpIoConstants.READ || mode > midpIoConstants.READ_WRITE) {
+    throw JVM.newThrowable('java/lang/IllegalArgumentException', `Invalid mode: ${mode}`);
+  }
+
+  const text = CldcLang.text(name);
+  const match = /^([a-zA-Z][a-zA-Z0-9+.-]*):/.exec(text);
+  if (!match) throw JVM.newThrowable('java/lang/IllegalArgumentException', `Malformed connection name: ${text}`);
+
+  const protocol = match[1].toLowerCase();
+  if (!Object.prototype.hasOwnProperty.call(midpIoProtocols, protocol)) {
+    throw JVM.newThrowable('javax/microedition/io/ConnectionNotFoundException', `Unsupported protocol: ${protocol}`);
+  }
+  return midpIoProtocols[protocol](thread, text, mode, timeouts);
+}
+
+/**
+ * Open a connection and one of its streams, for Connector's shortcuts
+ * @param {Object} thread - Current thread
+ * @param {Object|null} name - Java string
+ * @param {number} mode - READ or WRITE
+ * @param {string} key - Stream method of the connection
+ * @returns {Promise} Resolves with the stream
+ */
+function midpIoOpenStream(thread, name, mode, key) {
+  return Promise.resolve(midpIoOpen(thread, name, mode, false)).then(connection => {
+    const method = JVM.findVirtualMethod(connection.cls, key);
+    if (!method || !method.nativeImpl) {
+      throw JVM.newThrowable('java/lang/IllegalArgumentException', 'Connection has no such stream');
+    }
+    return method.nativeImpl(thread, connection);
+  });
+}
+
+/**
+ * Wrap a stream in a DataInputStream or DataOutputStream
+ * @param {Object} thread - Current thread
+ * @param {string} className - Data stream class
+ * @param {string} constructor - Its constructor, name plus descriptor
+ * @param {Object} stream - Stream to wrap
+ * @returns {Object} The data stream
+ */
+function midpIoWrapStream(thread, className, constructor, stream) {
+  const wrapper = JVM.newObject(JVM.loadClass(className));
+  JVM.invoke(thread, JVM.findMethod(wrapper.cls, constructor), [wrapper, stream]);
+  return wrapper;
+}
+
+/**
+ * Wrap an InputStream for openDataInputStream
+ * @param {Object} thread - Current thread
+ * @param {Object} stream - java.io.InputStream
+ * @returns {Object} java.io.DataInputStream
+ */
+function midpIoDataInput(thread, stream) {
+  return midpIoWrapStream(thread, 'java/io/DataInputStream', '<init>(Ljava/io/InputStream;)V', stream);
+}
+
+/**
+ * Wrap an OutputStream for openDataOutputStream
+ * @param {Object} thread - Current thread
+ * @param {Object} stream - java.io.OutputStream
+ * @returns {Object} java.io.DataOutputStream
+ */
+function midpIoDataOutput(thread, stream) {
+  return midpIoWrapStream(thread, 'java/io/DataOutputStream', '<init>(Ljava/io/OutputStream;)V', stream);
+}
+
+// ---------------------------------------------------------------------------
+// Classes
+// ---------------------------------------------------------------------------
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/io/Connection',
+  isInterface: true,
+  methods: {
+    'close()V': null
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/io/InputConnection',
+  isInterface: true,
+  interfaces: ['javax/microedition/io/Connection'],
+  methods: {
+    'openInputStream()Ljava/io/InputStream;': null,
+    'openDataInputStream()Ljava/io/DataInputStream;': null
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/io/OutputConnection',
+  isInterface: true,
+  interfaces: ['javax/microedition/io/Connection'],
+  methods: {
+    'openOutputStream()Ljava/io/OutputStream;': null,
+    'openDataOutputStream()Ljava/io/DataOutputStream;': null
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/io/StreamConnection',
+  isInterface: true,
+  interfaces: ['javax/microedition/io/InputConnection', 'javax/microedition/io/OutputConnection'],
+  methods: {}
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/io/Connector',
+  fields: [
+    { name: 'READ', descriptor: 'I', isStatic: true, value: midpIoConstants.READ },
+    { name: 'WRITE', descriptor: 'I', isStatic: true, value: midpIoConstants.WRITE },
+    { name: 'READ_WRITE', descriptor: 'I', isStatic: true, value: midpIoConstants.READ_WRITE }
+  ],
+  staticMethods: {
+    'open(Ljava/lang/String;)Ljavax/microedition/io/Connection;': (thread, name) => {
+      return midpIoOpen(thread, name, midpIoConstants.READ_WRITE, false);
+    },
+    'open(Ljava/lang/String;I)Ljavax/microedition/io/Connection;': (thread, name, mode) => {
+      return midpIoOpen(thread, name, mode, false);
+    },
+    'open(Ljava/lang/String;IZ)Ljavax/microedition/io/Connection;': (thread, name, mode, timeouts) => {
+      return midpIoOpen(thread, name, mode, timeouts !== 0);
+    },
+    'openInputStream(Ljava/lang/String;)Ljava/io/InputStream;': (thread, name) => {
+      return midpIoOpenStream(thread, name, midpIoConstants.READ, 'openInputStream()Ljava/io/InputStream;');
+    },
+    'openDataInputStream(Ljava/lang/String;)Ljava/io/DataInputStream;': (thread, name) => {
+      return midpIoOpenStream(thread, name, midpIoConstants.READ, 'openInputStream()Ljava/io/InputStream;')
+        .then(stream => midpIoDataInput(thread, stream));
+    },
+    'openOutputStream(Ljava/lang/String;)Ljava/io/OutputStream;': (thread, name) => {
+      return midpIoOpenStream(thread, name, midpIoConstants.WRITE, 'openOutputStream()Ljava/io/OutputStream;');
+    },
+    'openDataOutputStream(Ljava/lang/String;)Ljava/io/DataOutputStream;': (thread, name) => {
+      return midpIoOpenStream(thread, name, midpIoConstants.WRITE, 'openOutputStream()Ljava/io/OutputStream;')
+        .then(stream => midpIoDataOutput(thread, stream));
+    }
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/io/ConnectionNotFoundException',
+  superName: 'java/io/IOException',
+  methods: {}
+});
+
+// Export functions for use in other modules
+window.MidpIo = {
+  constants: midpIoConstants,
+  registerProtocol: midpIoRegisterProtocol,
+  dataInput: midpIoDataInput,
+  dataOutput: midpIoDataOutput
+};
@@ -0,0 +1,1183 @@
+/**
+ * J2ME Loader for CloudFone
+ * MIDP javax.microedition.lcdui form items
+ *
+ * Items keep their contents as JS values on the Java object. The page draws
+ * them from the plain description midpItemDescribe makes each time the
+ * screen holding them is shown, and sends the user's edits back as screen
+ * events (see midpItemHandleEvent). A change made by the MIDlet asks the
+ * owning screen to be shown again.
+ *
+ * List and TextBox behave like ChoiceGroup and TextField, so they take
+ * their element and text methods from the tables built here.
+ *
+ * An item's own commands travel in its description; the page offers them
+ * while the item has the focus and activates the default command when the
+ * item is selected.
+ */
+
+// Item constants
+const midpItemConstants = {
+  // Every LAYOUT_* bit
+  LAYOUT_MASK: 0x7f33,
+
+  // Appearance modes
+  PLAIN: 0,
+  HYPERLINK: 1,
+  BUTTON: 2,
+
+  // Choice types and fit policies
+  EXCLUSIVE: 1,
+  MULTIPLE: 2,
+  IMPLICIT: 3,
+  POPUP: 4,
+  TEXT_WRAP_DEFAULT: 0,
+  TEXT_WRAP_OFF: 2,
+
+  // TextField constraints
+  ANY: 0,
+  EMAILADDR: 1,
+  NUMERIC: 2,
+  PHONENUMBER: 3,
+  URL: 4,
+  DECIMAL: 5,
+  PASSWORD: 0x10000,
+  UNEDITABLE: 0x20000,
+  SENSITIVE: 0x40000,
+  NON_PREDICTIVE: 0x80000,
+  INITIAL_CAPS_WORD: 0x100000,
+  INITIAL_CAPS_SENTENCE: 0x200000,
+  CONSTRAINT_MASK: 0xffff,
+
+  // Text the restrictive constraints accept
+  CONSTRAINT_PATTERNS: {
+    2: /^-?[0-9]*$/,
+    3: /^[0-9+*#()\- ]*$/,
+    5: /^-?[0-9]*\.?[0-9]*$/
+  },
+
+  // Gauge values
+  INDEFINITE: -1,
+  CONTINUOUS_IDLE: 0,
+  INCREMENTAL_IDLE: 1,
+  CONTINUOUS_RUNNING: 2,
+  INCREMENTAL_UPDATING: 3,
+
+  // DateField modes
+  DATE: 1,
+  TIME: 2,
+  DATE_TIME: 3,
+
+  // CustomItem interaction modes: the page forwards key presses only
+  KEY_PRESS: 4,
+  KEY_RELEASE: 8,
+  KEY_REPEAT: 0x10,
+
+  // Spacing the size estimates allow around a text field's text
+  FIELD_PADDING: 6,
+
+  // CustomItems paint over the form's white
+  CUSTOM_FILL: 0xffffffff
+};
+
+// ---------------------------------------------------------------------------
+// Common item state
+// ---------------------------------------------------------------------------
+
+/**
+ * Set up the state every item has
+ * @param {Object} item - Item
+ * @param {Object|null} label - Label string
+ */
+function midpItemInit(item, label) {
+  item.label = label;
+  item.layout = 0;
+  item.owner = null;
+  item.lockedWidth = -1;
+  item.lockedHeight = -1;
+  item.itemCommands = [];
+  item.defaultCommand = null;
+  item.itemCommandListener = null;
+}
+
+/**
+ * Add a command to an item
+ * @param {Object} item - Item
+ * @param {Object|null} command - Command
+ */
+function midpItemAddCommand(item, command) {
+  if (command === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+  if (item.owner && MidpScreen.isAlert(item.owner)) {
+    throw JVM.newThrowable('java/lang/IllegalStateException', 'Item is an alert indicator');
+  }
+  if (item.itemCommands.includes(command)) return;
+
+  item.itemCommands.push(command);
+  midpItemChanged(item);
+}
+
+/**
+ * Show the screen holding an item or choice again after the MIDlet has
+ * changed it
+ * @param {Object} target - Item, List or TextBox
+ */
+function midpItemChanged(target) {
+  const screen = MidpScreen.isScreen(target) ? target : target.owner;
+  if (screen) MidpScreen.refresh(screen);
+}
+
+/**
+ * Check an element index
+ * @param {number} index - Index
+ * @param {number} size - Number of elements
+ */
+function midpItemCheckIndex(index, size) {
+  if (index < 0 || index >= size) {
+    throw JVM.newThrowable('java/lang/IndexOutOfBoundsException', `Index ${index} out of range 0..${size - 1}`);
+  }
+}
+
+/**
+ * Describe an image for the page
+ * @param {Object|null} image - Image
+ * @returns {Object|null} {width, height, pixels} copy
+ */
+function midpItemDescribeImage(image) {
+  if (!image) return null;
+  const surface = image.surface;
+  return { width: surface.width, height: surface.height, pixels: surface.pixels.slice() };
+}
+
+/**
+ * Estimate the size an item takes on a form
+ * @param {Object} thread - Current thread
+ * @param {Object} item - Item
+ * @returns {Object} {width, height}
+ */
+function midpItemNaturalSize(thread, item) {
+  const screen = MidpLcdui.getSurface();
+  const font = MidpFont.getDefault();
+  const lineHeight = MidpFont.getHeight(font);
+  const labelHeight = item.label && item.label.str ? lineHeight : 0;
+  const labelWidth = labelHeight ? MidpFont.stringWidth(font, item.label.str) : 0;
+
+  let width = screen.width;
+  let height = lineHeight + midpItemConstants.FIELD_PADDING;
+  switch (item.kind) {
+    case 'string': {
+      const lines = item.text ? item.text.split('\n') : [];
+      width = lines.reduce((widest, line) => Math.max(widest, MidpFont.stringWidth(font, line)), 0);
+      height = lines.length * lineHeight;
+      break;
+    }
+    case 'image':
+      width = item.image ? item.image.surface.width : 0;
+      height = item.image ? item.image.surface.height : 0;
+      break;
+    case 'choice':
+      height = (item.choiceType === midpItemConstants.POPUP ? 1 : item.elements.length) * lineHeight;
+      break;
+    case 'gauge':
+      height = lineHeight;
+      break;
+    case 'spacer':
+      return { width: item.minWidth, height: item.minHeight };
+    case 'custom':
+      width = JVM.callVirtual(thread, item, 'getPrefContentWidth(I)I', [-1]);
+      height = JVM.callVirtual(thread, item, 'getPrefContentHeight(I)I', [width]);
+      break;
+  }
+  return {
+    width: Math.min(screen.width, Math.max(width, labelWidth)),
+    height: labelHeight + height
+  };
+}
+
+/**
+ * Describe an item for the page
+ * @param {Object} item - Item, or a List or TextBox shown as one
+ * @param {number} id - Id the page sends events for it under
+ * @returns {Object} Plain description
+ */
+function midpItemDescribe(item, id) {
+  const description = {
+    id: id,
+    type: item.kind,
+    label: item.label ? item.label.str : null,
+    layout: item.layout || 0
+  };
+
+  // A List or TextBox has its commands as a screen
+  if (item.itemCommands) {
+    description.commands = item.itemCommands.map(MidpLcdui.describeCommand);
+    description.defaultCommand = item.defaultCommand ? item.defaultCommand.commandId : null;
+  }
+
+  switch (item.kind) {
+    case 'string':
+      description.text = item.text;
+      description.appearance = item.appearance;
+      break;
+    case 'image':
+      description.image = midpItemDescribeImage(item.image);
+      description.altText = item.altText;
+      description.appearance = item.appearance;
+      break;
+    case 'text':
+      description.text = item.text;
+      description.maxSize = item.maxSize;
+      description.constraints = item.constraints;
+      description.multiline = MidpScreen.isScreen(item);
+      break;
+    case 'choice':
+      description.choiceType = item.choiceType;
+      description.elements = item.elements.map(element => ({
+        text: element.text,
+        image: midpItemDescribeImage(element.image),
+        selected: element.selected
+      }));
+      break;
+    case 'gauge':
+      description.interactive = item.interactive;
+      description.maxValue = item.maxValue;
+      description.value = item.value;
+      break;
+    case 'date':
+      description.mode = item.mode;
+      description.time = item.time === null ? null : Number(item.time);
+      break;
+    case 'spacer':
+      description.width = item.minWidth;
+      description.height = item.minHeight;
+      break;
+    case 'custom':
+      description.image = item.content ? {
+        width: item.content.width,
+        height: item.content.height,
+        pixels: item.content.pixels.slice()
+      } : null;
+      break;
+  }
+  return description;
+}
+
+/**
+ * Apply a change the user made on the page
+ * @param {Object} target - Item, List or TextBox the event is for
+ * @param {Object} event - {action, ...} from the page
+ * @returns {boolean} True if the item's state changed
+ */
+function midpItemHandleEvent(target, event) {
+  switch (event.action) {
+    case 'text': {
+      const text = String(event.value).substring(0, target.maxSize);
+      if (target.text === text || !midpItemIsValidText(text, target.constraints)) return false;
+      target.text = text;
+      return true;
+    }
+    case 'select':
+      if (event.index < 0 || event.index >= target.elements.length) return false;
+      midpItemSelect(target, event.index, !!event.selected);
+      return true;
+    case 'value':
+      if (!target.interactive) return false;
+      target.value = Math.max(0, Math.min(target.maxValue, event.value | 0));
+      return true;
+    case 'date':
+      target.time = event.time === null ? null : BigInt(Math.floor(event.time));
+      return true;
+    case 'key': {
+      const keyCode = MidpLcdui.constants.KEY_CODES[event.key];
+      const method = { down: 'keyPressed(I)V', repeat: 'keyRepeated(I)V', up: 'keyReleased(I)V' }[event.event];
+      if (keyCode !== undefined && method) {
+        MidpLcdui.postEvent(() => MidpLcdui.call(target, method, [keyCode]));
+      }
+      return false;
+    }
+    case 'command': {
+      const command = (target.itemCommands || []).find(entry => entry.commandId === event.command);
+      const listener = target.itemCommandListener;
+      if (command && listener) {
+        MidpLcdui.postEvent(() => MidpLcdui.call(listener,
+          'commandAction(Ljavax/microedition/lcdui/Command;Ljavax/microedition/lcdui/Item;)V', [command, target]));
+      }
+      return false;
+    }
+  }
+  return false;
+}
+
+// ---------------------------------------------------------------------------
+// Choice elements, shared by ChoiceGroup and List
+// ---------------------------------------------------------------------------
+
+/**
+ * Set up the elements of a ChoiceGroup or List
+ * @param {Object} self - ChoiceGroup or List
+ * @param {number} type - Choice type
+ * @param {Array|null} strings - Java String[]
+ * @param {Array|null} images - Java Image[] or null
+ */
+function midpItemChoiceInit(self, type, strings, images) {
+  if (strings === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+  if (images !== null && images.length !== strings.length) {
+    throw JVM.newThrowable('java/lang/IllegalArgumentException', 'Image and string arrays differ in length');
+  }
+
+  self.kind = 'choice';
+  self.choiceType = type;
+  self.fitPolicy = midpItemConstants.TEXT_WRAP_DEFAULT;
+  self.elements = [];
+  for (let i = 0; i < strings.length; i++) {
+    self.elements.push(midpItemNewElement(strings[i], images ? images[i] : null));
+  }
+  midpItemKeepSelection(self);
+}
+
+/**
+ * Make a choice element
+ * @param {Object|null} string - Element text
+ * @param {Object|null} image - Element image
+ * @returns {Object} {text, image, selected, font}
+ */
+function midpItemNewElement(string, image) {
+  return { text: CldcLang.text(string), image: image, selected: false, font: null };
+}
+
+/**
+ * Check whether a choice has at most one selected element
+ * @param {Object} self - ChoiceGroup or List
+ * @returns {boolean} True unless it is MULTIPLE
+ */
+function midpItemIsExclusive(self) {
+  return self.choiceType !== midpItemConstants.MULTIPLE;
+}
+
+/**
+ * Keep one element selected in an exclusive choice that has any
+ * @param {Object} self - ChoiceGroup or List
+ * @param {number} [preferred] - Index to select if none is
+ */
+function midpItemKeepSelection(self, preferred = 0) {
+  const elements = self.elements;
+  if (!midpItemIsExclusive(self) || elements.length === 0) return;
+  if (elements.some(element => element.selected)) return;
+  elements[Math.min(preferred, elements.length - 1)].selected = true;
+}
+
+/**
+ * Select or deselect an element
+ * @param {Object} self - ChoiceGroup or List
+ * @param {number} index - Element index
+ * @param {boolean} selected - New state
+ */
+function midpItemSelect(self, index, selected) {
+  if (midpItemIsExclusive(self)) {
+    // Exclusive choices can only move their selection
+    if (!selected) return;
+    self.elements.forEach((element, i) => {
+      element.selected = i === index;
+    });
+  } else {
+    self.elements[index].selected = selected;
+  }
+}
+
+/**
+ * Build the Choice methods for a class
+ * @returns {Object} Natives by name plus descriptor
+ */
+function midpItemChoiceMethods() {
+  return {
+    'size()I': (thread, self) => self.elements.length,
+    'getString(I)Ljava/lang/String;': (thread, self, index) => {
+      midpItemCheckIndex(index, self.elements.length);
+      return JVM.newString(self.elements[index].text);
+    },
+    'getImage(I)Ljavax/microedition/lcdui/Image;': (thread, self, index) => {
+      midpItemCheckIndex(index, self.elements.length);
+      return self.elements[index].image;
+    },
+    'append(Ljava/lang/String;Ljavax/microedition/lcdui/Image;)I': (thread, self, string, image) => {
+      self.elements.push(midpItemNewElement(string, image));
+      midpItemKeepSelection(self);
+      midpItemChanged(self);
+      return self.elements.length - 1;
+    },
+    'insert(ILjava/lang/String;Ljavax/microedition/lcdui/Image;)V': (thread, self, index, string, image) => {
+      midpItemCheckIndex(index, self.elements.length + 1);
+      self.elements.splice(index, 0, midpItemNewElement(string, image));
+      midpItemKeepSelection(self);
+      midpItemChanged(self);
+    },
+    'set(ILjava/lang/String;Ljavax/microedition/lcdui/Image;)V': (thread, self, index, string, image) => {
+      midpItemCheckIndex(index, self.elements.length);
+      const element = midpItemNewElement(string, image);
+      element.selected = self.elements[index].selected;
+      self.elements[index] = element;
+      midpItemChanged(self);
+    },
+    'delete(I)V': (thread, self, index) => {
+      midpItemCheckIndex(index, self.elements.length);
+      self.elements.splice(index, 1);
+      midpItemKeepSelection(self, index);
+      midpItemChanged(self);
+    },
+    'deleteAll()V': (thread, self) => {
+      self.elements = [];
+      midpItemChanged(self);
+    },
+    'isSelected(I)Z': (thread, self, index) => {
+      midpItemCheckIndex(index, self.elements.length);
+      return self.elements[index].selected;
+    },
+    'getSelectedIndex()I': (thread, self) => {
+      return midpItemIsExclusive(self) ? self.elements.findIndex(element => element.selected) : -1;
+    },
+    'getSelectedFlags([Z)I': (thread, self, flags) => {
+      if (flags === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      if (flags.length < self.elements.length) {
+        throw JVM.newThrowable('java/lang/IllegalArgumentException', 'Array is shorter than the choice');
+      }
+      flags.fill(0);
+      return self.elements.reduce((count, element, i) => {
+        flags[i] = element.selected ? 1 : 0;
+        return count + flags[i];
+      }, 0);
+    },
+    'setSelectedIndex(IZ)V': (thread, self, index, selected) => {
+      midpItemCheckIndex(index, self.elements.length);
+      midpItemSelect(self, index, selected !== 0);
+      midpItemChanged(self);
+    },
+    'setSelectedFlags([Z)V': (thread, self, flags) => {
+      if (flags === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      if (flags.length < self.elements.length) {
+        throw JVM.newThrowable('java/lang/IllegalArgumentException', 'Array is shorter than the choice');
+      }
+      if (midpItemIsExclusive(self)) {
+        const first = self.elements.findIndex((element, i) => flags[i] !== 0);
+        midpItemSelect(self, Math.max(first, 0), true);
+      } else {
+        self.elements.forEach((element, i) => {
+          element.selected = flags[i] !== 0;
+        });
+      }
+      midpItemChanged(self);
+    },
+    'getFitPolicy()I': (thread, self) => self.fitPolicy,
+    'setFitPolicy(I)V': (thread, self, policy) => {
+      if (policy < midpItemConstants.TEXT_WRAP_DEFAULT || policy > midpItemConstants.TEXT_WRAP_OFF) {
+        throw JVM.newThrowable('java/lang/IllegalArgumentException', `Invalid fit policy: ${policy}`);
+      }
+      self.fitPolicy = policy;
+    },
+    'getFont(I)Ljavax/microedition/lcdui/Font;': (thread, self, index) => {
+      midpItemCheckIndex(index, self.elements.length);
+      return self.elements[index].font || MidpFont.getDefault();
+    },
+    'setFont(ILjavax/microedition/lcdui/Font;)V': (thread, self, index, font) => {
+      midpItemCheckIndex(index, self.elements.length);
+      self.elements[index].font = font;
+    }
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Text, shared by TextField and TextBox
+// ---------------------------------------------------------------------------
+
+/**
+ * Check text against the constraint a field accepts
+ * @param {string} text - Text
+ * @param {number} constraints - Constraints with modifier flags
+ * @returns {boolean} True if the field may hold the text
+ */
+function midpItemIsValidText(text, constraints) {
+  const pattern = midpItemConstants.CONSTRAINT_PATTERNS[constraints & midpItemConstants.CONSTRAINT_MASK];
+  return !pattern || pattern.test(text);
+}
+
+/**
+ * Check that a field may hold some text
+ * @param {string} text - Text
+ * @param {number} maxSize - Capacity
+ * @param {number} constraints - Constraints
+ */
+function midpItemCheckText(text, maxSize, constraints) {
+  if (text.length > maxSize) {
+    throw JVM.newThrowable('java/lang/IllegalArgumentException', `Text is longer than ${maxSize} characters`);
+  }
+  if (!midpItemIsValidText(text, constraints)) {
+    throw JVM.newThrowable('java/lang/IllegalArgumentException', 'Text does not match the constraints');
+  }
+}
+
+/**
+ * Check a constraints value
+ * @param {number} constraints - Constraints with modifier flags
+ */
+function midpItemCheckConstraints(constraints) {
+  if ((constraints & midpItemConstants.CONSTRAINT_MASK) > midpItemConstants.DECIMAL) {
+    throw JVM.newThrowable('java/lang/IllegalArgumentException', `Invalid constraints: ${constraints}`);
+  }
+}
+
+/**
+ * Set up the text of a TextField or TextBox
+ * @param {Object} self - TextField or TextBox
+ * @param {Object|null} text - Initial text
+ * @param {number} maxSize - Capacity
+ * @param {number} constraints - Constraints
+ */
+function midpItemTextInit(self, text, maxSize, constraints) {
+  if (maxSize <= 0) throw JVM.newThrowable('java/lang/IllegalArgumentException', `Invalid maximum size: ${maxSize}`);
+  midpItemCheckConstraints(constraints);
+
+  const value = text === null ? '' : text.str;
+  midpItemCheckText(value, maxSize, constraints);
+  self.kind = 'text';
+  self.text = value;
+  self.maxSize = maxSize;
+  self.constraints = constraints;
+}
+
+/**
+ * Replace the text of a field after checking it
+ * @param {Object} self - TextField or TextBox
+ * @param {string} text - New text
+ */
+function midpItemSetText(self, text) {
+  midpItemCheckText(text, self.maxSize, self.constraints);
+  self.text = text;
+  midpItemChanged(self);
+}
+
+/**
+ * Insert text into a field at a position clamped to its contents
+ * @param {Object} self - TextField or TextBox
+ * @param {string} text - Text to insert
+ * @param {number} position - Index
+ */
+function midpItemInsertText(self, text, position) {
+  const at = Math.max(0, Math.min(position, self.text.length));
+  midpItemSetText(self, self.text.substring(0, at) + text + self.text.substring(at));
+}
+
+/**
+ * Build the text methods for a class
+ * @returns {Object} Natives by name plus descriptor
+ */
+function midpItemTextMethods() {
+  return {
+    'getString()Ljava/lang/String;': (thread, self) => JVM.newString(self.text),
+    'setString(Ljava/lang/String;)V': (thread, self, text) => {
+      midpItemSetText(self, text === null ? '' : text.str);
+    },
+    'getChars([C)I': (thread, self, data) => {
+      if (data === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      if (data.length < self.text.length) throw JVM.newThrowable('java/lang/ArrayIndexOutOfBoundsException', null);
+      for (let i = 0; i < self.text.length; i++) data[i] = self.text.charCodeAt(i);
+      return self.text.length;
+    },
+    'setChars([CII)V': (thread, self, data, offset, length) => {
+      if (data === null) {
+        midpItemSetText(self, '');
+        return;
+      }
+      CldcLang.checkRange(data, offset, length);
+      midpItemSetText(self, CldcLang.charsToString(data, offset, length));
+    },
+    'insert(Ljava/lang/String;I)V': (thread, self, text, position) => {
+      midpItemInsertText(self, CldcLang.text(text), position);
+    },
+    'insert([CIII)V': (thread, self, data, offset, length, position) => {
+      if (data === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      CldcLang.checkRange(data, offset, length);
+      midpItemInsertText(self, CldcLang.charsToString(data, offset, length), position);
+    },
+    'delete(II)V': (thread, self, offset, length) => {
+      if (offset < 0 || length < 0 || offset + length > self.text.length) {
+        throw JVM.newThrowable('java/lang/StringIndexOutOfBoundsException', null);
+      }
+      midpItemSetText(self, self.text.substring(0, offset) + self.text.substring(offset + length));
+    },
+    'getMaxSize()I': (thread, self) => self.maxSize,
+    'setMaxSize(I)I': (thread, self, maxSize) => {
+      if (maxSize <= 0) throw JVM.newThrowable('java/lang/IllegalArgumentException', `Invalid maximum size: ${maxSize}`);
+      const text = self.text.substring(0, maxSize);
+      if (!midpItemIsValidText(text, self.constraints)) {
+        throw JVM.newThrowable('java/lang/IllegalArgumentException', 'Truncated text does not match the constraints');
+      }
+      self.maxSize = maxSize;
+      self.text = text;
+      midpItemChanged(self);
+      return maxSize;
+    },
+    'size()I': (thread, self) => self.text.length,
+    'getCaretPosition()I': (thread, self) => self.text.length,
+    'getConstraints()I': (thread, self) => self.constraints,
+    'setConstraints(I)V': (thread, self, constraints) => {
+      midpItemCheckConstraints(constraints);
+      self.constraints = constraints;
+      // Contents the new constraints don't allow are cleared
+      if (!midpItemIsValidText(self.text, constraints)) self.text = '';
+      midpItemChanged(self);
+    },
+    'setInitialInputMode(Ljava/lang/String;)V': () => {}
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Item kinds
+// ---------------------------------------------------------------------------
+
+/**
+ * Check an appearance mode
+ * @param {number} appearance - PLAIN, HYPERLINK or BUTTON
+ */
+function midpItemCheckAppearance(appearance) {
+  if (appearance < midpItemConstants.PLAIN || appearance > midpItemConstants.BUTTON) {
+    throw JVM.newThrowable('java/lang/IllegalArgumentException', `Invalid appearance mode: ${appearance}`);
+  }
+}
+
+/**
+ * Set up a StringItem
+ * @param {Object} self - StringItem
+ * @param {Object|null} label - Label
+ * @param {Object|null} text - Text
+ * @param {number} appearance - Appearance mode
+ */
+function midpItemStringInit(self, label, text, appearance) {
+  midpItemCheckAppearance(appearance);
+  midpItemInit(self, label);
+  self.kind = 'string';
+  self.text = text === null ? '' : text.str;
+  self.appearance = appearance;
+  self.font = null;
+}
+
+/**
+ * Set up an ImageItem
+ * @param {Object} self - ImageItem
+ * @param {Object|null} label - Label
+ * @param {Object|null} image - Image
+ * @param {number} layout - Layout directives
+ * @param {Object|null} altText - Text shown when the image can't be
+ * @param {number} appearance - Appearance mode
+ */
+function midpItemImageInit(self, label, image, layout, altText, appearance) {
+  if ((layout & ~midpItemConstants.LAYOUT_MASK) !== 0) {
+    throw JVM.newThrowable('java/lang/IllegalArgumentException', `Invalid layout: ${layout}`);
+  }
+  midpItemCheckAppearance(appearance);
+  midpItemInit(self, label);
+  self.kind = 'image';
+  self.layout = layout;
+  self.image = image;
+  self.altText = altText === null ? null : altText.str;
+  self.appearance = appearance;
+}
+
+/**
+ * Set up a ChoiceGroup
+ * @param {Object} self - ChoiceGroup
+ * @param {Object|null} label - Label
+ * @param {number} type - EXCLUSIVE, MULTIPLE or POPUP
+ * @param {Array} strings - Element texts
+ * @param {Array|null} images - Element images
+ */
+function midpItemChoiceGroupInit(self, label, type, strings, images) {
+  // Only a List can be IMPLICIT
+  if (type !== midpItemConstants.EXCLUSIVE && type !== midpItemConstants.MULTIPLE && type !== midpItemConstants.POPUP) {
+    throw JVM.newThrowable('java/lang/IllegalArgumentException', `Invalid choice type: ${type}`);
+  }
+  midpItemInit(self, label);
+  midpItemChoiceInit(self, type, strings, images);
+}
+
+/**
+ * Set the range of a Gauge, keeping its value inside it
+ * @param {Object} self - Gauge
+ * @param {number} maxValue - Maximum, or INDEFINITE for a non-interactive gauge
+ */
+function midpItemSetGaugeMax(self, maxValue) {
+  const indefinite = maxValue === midpItemConstants.INDEFINITE && !self.interactive;
+  if (maxValue <= 0 && !indefinite) {
+    throw JVM.newThrowable('java/lang/IllegalArgumentException', `Invalid maximum value: ${maxValue}`);
+  }
+
+  const wasIndefinite = self.maxValue === midpItemConstants.INDEFINITE;
+  self.maxValue = maxValue;
+  if (indefinite) {
+    if (!wasIndefinite) self.value = midpItemConstants.CONTINUOUS_IDLE;
+  } else {
+    self.value = wasIndefinite ? 0 : Math.min(self.value, maxValue);
+  }
+}
+
+/**
+ * Set the value of a Gauge
+ * @param {Object} self - Gauge
+ * @param {number} value - Value, clamped to the range, or the state of an
+ *   indefinite gauge
+ */
+function midpItemSetGaugeValue(self, value) {
+  if (self.maxValue !== midpItemConstants.INDEFINITE) {
+    self.value = Math.max(0, Math.min(self.maxValue, value));
+    return;
+  }
+  if (value < midpItemConstants.CONTINUOUS_IDLE || value > midpItemConstants.INCREMENTAL_UPDATING) {
+    throw JVM.newThrowable('java/lang/IllegalArgumentException', `Invalid indefinite gauge state: ${value}`);
+  }
+  self.value = value;
+}
+
+/**
+ * Check a DateField input mode
+ * @param {number} mode - DATE, TIME or DATE_TIME
+ */
+function midpItemCheckDateMode(mode) {
+  if (mode < midpItemConstants.DATE || mode > midpItemConstants.DATE_TIME) {
+    throw JVM.newThrowable('java/lang/IllegalArgumentException', `Invalid input mode: ${mode}`);
+  }
+}
+
+/**
+ * Set up a DateField with no date
+ * @param {Object} self - DateField
+ * @param {Object|null} label - Label
+ * @param {number} mode - Input mode
+ */
+function midpItemDateInit(self, label, mode) {
+  midpItemCheckDateMode(mode);
+  midpItemInit(self, label);
+  self.kind = 'date';
+  self.mode = mode;
+  self.time = null;
+}
+
+/**
+ * Check a Spacer size
+ * @param {number} minWidth - Width
+ * @param {number} minHeight - Height
+ */
+function midpItemCheckSpacerSize(minWidth, minHeight) {
+  if (minWidth < 0 || minHeight < 0) {
+    throw JVM.newThrowable('java/lang/IllegalArgumentException', `Invalid size: ${minWidth}x${minHeight}`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Classes
+// ---------------------------------------------------------------------------
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/lcdui/Choice',
+  isInterface: true,
+  fields: [
+    { name: 'EXCLUSIVE', descriptor: 'I', isStatic: true, value: midpItemConstants.EXCLUSIVE },
+    { name: 'MULTIPLE', descriptor: 'I', isStatic: true, value: midpItemConstants.MULTIPLE },
+    { name: 'IMPLICIT', descriptor: 'I', isStatic: true, value: midpItemConstants.IMPLICIT },
+    { name: 'POPUP', descriptor: 'I', isStatic: true, value: midpItemConstants.POPUP },
+    { name: 'TEXT_WRAP_DEFAULT', descriptor: 'I', isStatic: true, value: 0 },
+    { name: 'TEXT_WRAP_ON', descriptor: 'I', isStatic: true, value: 1 },
+    { name: 'TEXT_WRAP_OFF', descriptor: 'I', isStatic: true, value: 2 }
+  ],
+  methods: Object.fromEntries(Object.keys(midpItemChoiceMethods()).map(key => [key, null]))
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/lcdui/ItemStateListener',
+  isInterface: true,
+  methods: {
+    'itemStateChanged(Ljavax/microedition/lcdui/Item;)V': null
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/lcdui/ItemCommandListener',
+  isInterface: true,
+  methods: {
+    'commandAction(Ljavax/microedition/lcdui/Command;Ljavax/microedition/lcdui/Item;)V': null
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/lcdui/Item',
+  accessFlags: ClassFile.ACC.PUBLIC | ClassFile.ACC.ABSTRACT,
+  fields: [
+    { name: 'LAYOUT_DEFAULT', descriptor: 'I', isStatic: true, value: 0 },
+    { name: 'LAYOUT_LEFT', descriptor: 'I', isStatic: true, value: 1 },
+    { name: 'LAYOUT_RIGHT', descriptor: 'I', isStatic: true, value: 2 },
+    { name: 'LAYOUT_CENTER', descriptor: 'I', isStatic: true, value: 3 },
+    { name: 'LAYOUT_TOP', descriptor: 'I', isStatic: true, value: 0x10 },
+    { name: 'LAYOUT_BOTTOM', descriptor: 'I', isStatic: true, value: 0x20 },
+    { name: 'LAYOUT_VCENTER', descriptor: 'I', isStatic: true, value: 0x30 },
+    { name: 'LAYOUT_NEWLINE_BEFORE', descriptor: 'I', isStatic: true, value: 0x100 },
+    { name: 'LAYOUT_NEWLINE_AFTER', descriptor: 'I', isStatic: true, value: 0x200 },
+    { name: 'LAYOUT_SHRINK', descriptor: 'I', isStatic: true, value: 0x400 },
+    { name: 'LAYOUT_EXPAND', descriptor: 'I', isStatic: true, value: 0x800 },
+    { name: 'LAYOUT_VSHRINK', descriptor: 'I', isStatic: true, value: 0x1000 },
+    { name: 'LAYOUT_VEXPAND', descriptor: 'I', isStatic: true, value: 0x2000 },
+    { name: 'LAYOUT_2', descriptor: 'I', isStatic: true, value: 0x4000 },
+    { name: 'PLAIN', descriptor: 'I', isStatic: true, value: midpItemConstants.PLAIN },
+    { name: 'HYPERLINK', descriptor: 'I', isStatic: true, value: midpItemConstants.HYPERLINK },
+    { name: 'BUTTON', descriptor: 'I', isStatic: true, value: midpItemConstants.BUTTON }
+  ],
+  methods: {
+    'getLabel()Ljava/lang/String;': (thread, self) => self.label,
+    'setLabel(Ljava/lang/String;)V': (thread, self, label) => {
+      self.label = label;
+      midpItemChanged(self);
+    },
+    'getLayout()I': (thread, self) => self.layout,
+    'setLayout(I)V': (thread, self, layout) => {
+      if ((layout & ~midpItemConstants.LAYOUT_MASK) !== 0) {
+        throw JVM.newThrowable('java/lang/IllegalArgumentException', `Invalid layout: ${layout}`);
+      }
+      self.layout = layout;
+      midpItemChanged(self);
+    },
+    'getMinimumWidth()I': (thread, self) => midpItemNaturalSize(thread, self).width,
+    'getMinimumHeight()I': (thread, self) => midpItemNaturalSize(thread, self).height,
+    'getPreferredWidth()I': (thread, self) => {
+      return self.lockedWidth >= 0 ? self.lockedWidth : midpItemNaturalSize(thread, self).width;
+    },
+    'getPreferredHeight()I': (thread, self) => {
+      return self.lockedHeight >= 0 ? self.lockedHeight : midpItemNaturalSize(thread, self).height;
+    },
+    'setPreferredSize(II)V': (thread, self, width, height) => {
+      if (width < -1 || height < -1) {
+        throw JVM.newThrowable('java/lang/IllegalArgumentException', `Invalid size: ${width}x${height}`);
+      }
+      self.lockedWidth = width;
+      self.lockedHeight = height;
+    },
+    'notifyStateChanged()V': (thread, self) => {
+      if (!self.owner || !MidpScreen.isForm(self.owner)) {
+        throw JVM.newThrowable('java/lang/IllegalStateException', 'Item is not in a Form');
+      }
+      MidpScreen.notifyItemState(self);
+    },
+    'addCommand(Ljavax/microedition/lcdui/Command;)V': (thread, self, command) => {
+      midpItemAddCommand(self, command);
+    },
+    'removeCommand(Ljavax/microedition/lcdui/Command;)V': (thread, self, command) => {
+      const index = self.itemCommands.indexOf(command);
+      if (index < 0) return;
+      self.itemCommands.splice(index, 1);
+      if (self.defaultCommand === command) self.defaultCommand = null;
+      midpItemChanged(self);
+    },
+    'setDefaultCommand(Ljavax/microedition/lcdui/Command;)V': (thread, self, command) => {
+      if (command !== null) midpItemAddCommand(self, command);
+      self.defaultCommand = command;
+      midpItemChanged(self);
+    },
+    'setItemCommandListener(Ljavax/microedition/lcdui/ItemCommandListener;)V': (thread, self, listener) => {
+      self.itemCommandListener = listener;
+    }
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/lcdui/StringItem',
+  superName: 'javax/microedition/lcdui/Item',
+  methods: {
+    '<init>(Ljava/lang/String;Ljava/lang/String;)V': (thread, self, label, text) => {
+      midpItemStringInit(self, label, text, midpItemConstants.PLAIN);
+    },
+    '<init>(Ljava/lang/String;Ljava/lang/String;I)V': (thread, self, label, text, appearance) => {
+      midpItemStringInit(self, label, text, appearance);
+    },
+    'getText()Ljava/lang/String;': (thread, self) => JVM.newString(self.text),
+    'setText(Ljava/lang/String;)V': (thread, self, text) => {
+      self.text = text === null ? '' : text.str;
+      midpItemChanged(self);
+    },
+    'getAppearanceMode()I': (thread, self) => self.appearance,
+    'getFont()Ljavax/microedition/lcdui/Font;': (thread, self) => self.font || MidpFont.getDefault(),
+    'setFont(Ljavax/microedition/lcdui/Font;)V': (thread, self, font) => {
+      self.font = font;
+    }
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/lcdui/ImageItem',
+  superName: 'javax/microedition/lcdui/Item',
+  methods: {
+    '<init>(Ljava/lang/String;Ljavax/microedition/lcdui/Image;ILjava/lang/String;)V': (thread, self, label, image, layout, altText) => {
+      midpItemImageInit(self, label, image, layout, altText, midpItemConstants.PLAIN);
+    },
+    '<init>(Ljava/lang/String;Ljavax/microedition/lcdui/Image;ILjava/lang/String;I)V': (thread, self, label, image, layout, altText, appearance) => {
+      midpItemImageInit(self, label, image, layout, altText, appearance);
+    },
+    'getImage()Ljavax/microedition/lcdui/Image;': (thread, self) => self.image,
+    'setImage(Ljavax/microedition/lcdui/Image;)V': (thread, self, image) => {
+      self.image = image;
+      midpItemChanged(self);
+    },
+    'getAltText()Ljava/lang/String;': (thread, self) => self.altText === null ? null : JVM.newString(self.altText),
+    'setAltText(Ljava/lang/String;)V': (thread, self, altText) => {
+      self.altText = altText === null ? null : altText.str;
+      midpItemChanged(self);
+    },
+    'getAppearanceMode()I': (thread, self) => self.appearance
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/lcdui/TextField',
+  superName: 'javax/microedition/lcdui/Item',
+  fields: [
+    { name: 'ANY', descriptor: 'I', isStatic: true, value: midpItemConstants.ANY },
+    { name: 'EMAILADDR', descriptor: 'I', isStatic: true, value: midpItemConstants.EMAILADDR },
+    { name: 'NUMERIC', descriptor: 'I', isStatic: true, value: midpItemConstants.NUMERIC },
+    { name: 'PHONENUMBER', descriptor: 'I', isStatic: true, value: midpItemConstants.PHONENUMBER },
+    { name: 'URL', descriptor: 'I', isStatic: true, value: midpItemConstants.URL },
+    { name: 'DECIMAL', descriptor: 'I', isStatic: true, value: midpItemConstants.DECIMAL },
+    { name: 'PASSWORD', descriptor: 'I', isStatic: true, value: midpItemConstants.PASSWORD },
+    { name: 'UNEDITABLE', descriptor: 'I', isStatic: true, value: midpItemConstants.UNEDITABLE },
+    { name: 'SENSITIVE', descriptor: 'I', isStatic: true, value: midpItemConstants.SENSITIVE },
+    { name: 'NON_PREDICTIVE', descriptor: 'I', isStatic: true, value: midpItemConstants.NON_PREDICTIVE },
+    { name: 'INITIAL_CAPS_WORD', descriptor: 'I', isStatic: true, value: midpItemConstants.INITIAL_CAPS_WORD },
+    { name: 'INITIAL_CAPS_SENTENCE', descriptor: 'I', isStatic: true, value: midpItemConstants.INITIAL_CAPS_SENTENCE },
+    { name: 'CONSTRAINT_MASK', descriptor: 'I', isStatic: true, value: midpItemConstants.CONSTRAINT_MASK }
+  ],
+  methods: Object.assign({
+    '<init>(Ljava/lang/String;Ljava/lang/String;II)V': (thread, self, label, text, maxSize, constraints) => {
+      midpItemInit(self, label);
+      midpItemTextInit(self, text, maxSize, constraints);
+    }
+  }, midpItemTextMethods())
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/lcdui/ChoiceGroup',
+  superName: 'javax/microedition/lcdui/Item',
+  interfaces: ['javax/microedition/lcdui/Choice'],
+  methods: Object.assign({
+    '<init>(Ljava/lang/String;I)V': (thread, self, label, type) => {
+      midpItemChoiceGroupInit(self, label, type, [], null);
+    },
+    '<init>(Ljava/lang/String;I[Ljava/lang/String;[Ljavax/microedition/lcdui/Image;)V': (thread, self, label, type, strings, images) => {
+      midpItemChoiceGroupInit(self, label, type, strings, images);
+    }
+  }, midpItemChoiceMethods())
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/lcdui/Gauge',
+  superName: 'javax/microedition/lcdui/Item',
+  fields: [
+    { name: 'INDEFINITE', descriptor: 'I', isStatic: true, value: midpItemConstants.INDEFINITE },
+    { name: 'CONTINUOUS_IDLE', descriptor: 'I', isStatic: true, value: midpItemConstants.CONTINUOUS_IDLE },
+    { name: 'INCREMENTAL_IDLE', descriptor: 'I', isStatic: true, value: midpItemConstants.INCREMENTAL_IDLE },
+    { name: 'CONTINUOUS_RUNNING', descriptor: 'I', isStatic: true, value: midpItemConstants.CONTINUOUS_RUNNING },
+    { name: 'INCREMENTAL_UPDATING', descriptor: 'I', isStatic: true, value: midpItemConstants.INCREMENTAL_UPDATING }
+  ],
+  methods: {
+    '<init>(Ljava/lang/String;ZII)V': (thread, self, label, interactive, maxValue, initialValue) => {
+      midpItemInit(self, label);
+      self.kind = 'gauge';
+      self.interactive = interactive !== 0;
+      self.maxValue = 0;
+      self.value = 0;
+      midpItemSetGaugeMax(self, maxValue);
+      midpItemSetGaugeValue(self, initialValue);
+    },
+    'getValue()I': (thread, self) => self.value,
+    'setValue(I)V': (thread, self, value) => {
+      midpItemSetGaugeValue(self, value);
+      midpItemChanged(self);
+    },
+    'getMaxValue()I': (thread, self) => self.maxValue,
+    'setMaxValue(I)V': (thread, self, maxValue) => {
+      midpItemSetGaugeMax(self, maxValue);
+      midpItemChanged(self);
+    },
+    'isInteractive()Z': (thread, self) => self.interactive
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/lcdui/DateField',
+  superName: 'javax/microedition/lcdui/Item',
+  fields: [
+    { name: 'DATE', descriptor: 'I', isStatic: true, value: midpItemConstants.DATE },
+    { name: 'TIME', descriptor: 'I', isStatic: true, value: midpItemConstants.TIME },
+    { name: 'DATE_TIME', descriptor: 'I', isStatic: true, value: midpItemConstants.DATE_TIME }
+  ],
+  methods: {
+    '<init>(Ljava/lang/String;I)V': (thread, self, label, mode) => {
+      midpItemDateInit(self, label, mode);
+    },
+    '<init>(Ljava/lang/String;ILjava/util/TimeZone;)V': (thread, self, label, mode) => {
+      // Dates are edited in the page's own time zone
+      midpItemDateInit(self, label, mode);
+    },
+    'getDate()Ljava/util/Date;': (thread, self) => {
+      if (self.time === null) return null;
+      const date = JVM.newObject(JVM.loadClass('java/util/Date'));
+      date.time = self.time;
+      return date;
+    },
+    'setDate(Ljava/util/Date;)V': (thread, self, date) => {
+      self.time = date === null ? null : date.time;
+      midpItemChanged(self);
+    },
+    'getInputMode()I': (thread, self) => self.mode,
+    'setInputMode(I)V': (thread, self, mode) => {
+      midpItemCheckDateMode(mode);
+      self.mode = mode;
+      midpItemChanged(self);
+    }
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/lcdui/Spacer',
+  superName: 'javax/microedition/lcdui/Item',
+  methods: {
+    '<init>(II)V': (thread, self, minWidth, minHeight) => {
+      midpItemCheckSpacerSize(minWidth, minHeight);
+      midpItemInit(self, null);
+      self.kind = 'spacer';
+      self.minWidth = minWidth;
+      self.minHeight = minHeight;
+    },
+    'setMinimumSize(II)V': (thread, self, minWidth, minHeight) => {
+      midpItemCheckSpacerSize(minWidth, minHeight);
+      self.minWidth = minWidth;
+      self.minHeight = minHeight;
+      midpItemChanged(self);
+    },
+    'setLabel(Ljava/lang/String;)V': () => {
+      throw JVM.newThrowable('java/lang/IllegalStateException', 'Spacers have no label');
+    },
+    'addCommand(Ljavax/microedition/lcdui/Command;)V': () => {
+      throw JVM.newThrowable('java/lang/IllegalStateException', 'Spacers have no commands');
+    },
+    'setDefaultCommand(Ljavax/microedition/lcdui/Command;)V': () => {
+      throw JVM.newThrowable('java/lang/IllegalStateException', 'Spacers have no commands');
+    }
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/lcdui/CustomItem',
+  superName: 'javax/microedition/lcdui/Item',
+  accessFlags: ClassFile.ACC.PUBLIC | ClassFile.ACC.ABSTRACT,
+  fields: [
+    { name: 'NONE', descriptor: 'I', isStatic: true, value: 0 },
+    { name: 'TRAVERSE_HORIZONTAL', descriptor: 'I', isStatic: true, value: 1 },
+    { name: 'TRAVERSE_VERTICAL', descriptor: 'I', isStatic: true, value: 2 },
+    { name: 'KEY_PRESS', descriptor: 'I', isStatic: true, value: midpItemConstants.KEY_PRESS },
+    { name: 'KEY_RELEASE', descriptor: 'I', isStatic: true, value: midpItemConstants.KEY_RELEASE },
+    { name: 'KEY_REPEAT', descriptor: 'I', isStatic: true, value: midpItemConstants.KEY_REPEAT },
+    { name: 'POINTER_PRESS', descriptor: 'I', isStatic: true, value: 0x20 },
+    { name: 'POINTER_RELEASE', descriptor: 'I', isStatic: true, value: 0x40 },
+    { name: 'POINTER_DRAG', descriptor: 'I', isStatic: true, value: 0x80 }
+  ],
+  methods: {
+    '<init>(Ljava/lang/String;)V': (thread, self, label) => {
+      midpItemInit(self, label);
+      self.kind = 'custom';
+      self.content = null;
+    },
+    'getMinContentWidth()I': null,
+    'getMinContentHeight()I': null,
+    'getPrefContentWidth(I)I': null,
+    'getPrefContentHeight(I)I': null,
+    'paint(Ljavax/microedition/lcdui/Graphics;II)V': null,
+    'repaint()V': (thread, self) => midpItemChanged(self),
+    'repaint(IIII)V': (thread, self, x, y, width, height) => {
+      if (width > 0 && height > 0) midpItemChanged(self);
+    },
+    'invalidate()V': (thread, self) => midpItemChanged(self),
+    'getGameAction(I)I': (thread, self, keyCode) => {
+      MidpLcdui.checkKeyCode(keyCode);
+      return MidpLcdui.getGameAction(keyCode);
+    },
+    'getInteractionModes()I': () => {
+      return midpItemConstants.KEY_PRESS | midpItemConstants.KEY_RELEASE | midpItemConstants.KEY_REPEAT;
+    },
+    'keyPressed(I)V': () => {},
+    'keyReleased(I)V': () => {},
+    'keyRepeated(I)V': () => {},
+    'pointerPressed(II)V': () => {},
+    'pointerReleased(II)V': () => {},
+    'pointerDragged(II)V': () => {},
+    'showNotify()V': () => {},
+    'hideNotify()V': () => {},
+    'sizeChanged(II)V': () => {},
+    'traverse(III[I)Z': () => false,
+    'traverseOut()V': () => {}
+  }
+});
+
+/**
+ * Have a CustomItem paint its content at its preferred size, on the event
+ * thread
+ * @param {Object} item - CustomItem
+ * @returns {Promise} Resolves once paint has returned
+ */
+function midpItemPaintCustom(item) {
+  const screen = MidpLcdui.getSurface();
+  let width = 0;
+  return MidpLcdui.call(item, 'getPrefContentWidth(I)I', [item.lockedHeight])
+    .then(preferred => {
+      width = Math.max(1, Math.min(screen.width, item.lockedWidth >= 0 ? item.lockedWidth : preferred));
+      return MidpLcdui.call(item, 'getPrefContentHeight(I)I', [width]);
+    })
+    .then(preferred => {
+      const height = Math.max(1, Math.min(screen.height, item.lockedHeight >= 0 ? item.lockedHeight : preferred));
+      const content = ImageDecoder.createSurface(width, height);
+      content.pixels.fill(midpItemConstants.CUSTOM_FILL);
+      item.content = content;
+      return MidpLcdui.call(item, 'paint(Ljavax/microedition/lcdui/Graphics;II)V',
+        [MidpGraphics.create(content, null), width, height]);
+    });
+}
+
+/**
+ * Make a StringItem for Form.append(String)
+ * @param {Object} text - Text
+ * @returns {Object} StringItem without a label
+ */
+function midpItemNewStringItem(text) {
+  if (text === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+  const item = JVM.newObject(JVM.loadClass('javax/microedition/lcdui/StringItem'));
+  midpItemStringInit(item, null, text, midpItemConstants.PLAIN);
+  return item;
+}
+
+/**
+ * Make an ImageItem for Form.append(Image)
+ * @param {Object} image - Image
+ * @returns {Object} ImageItem without a label
+ */
+function midpItemNewImageItem(image) {
+  if (image === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+  const item = JVM.newObject(JVM.loadClass('javax/microedition/lcdui/ImageItem'));
+  midpItemImageInit(item, null, image, 0, null, midpItemConstants.PLAIN);
+  return item;
+}
+
+// Export functions for use in other modules
+window.MidpItem = {
+  constants: midpItemConstants,
+  describe: midpItemDescribe,
+  describeImage: midpItemDescribeImage,
+  handleEvent: midpItemHandleEvent,
+  paintCustom: midpItemPaintCustom,
+  choiceInit: midpItemChoiceInit,
+  choiceMethods: midpItemChoiceMethods,
+  textInit: midpItemTextInit,
+  textMethods: midpItemTextMethods,
+  newStringItem: midpItemNewStringItem,
+  newImageItem: midpItemNewImageItem
+};
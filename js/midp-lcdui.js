@@ -0,0 +1,730 @@
+/**
+ * J2ME Loader for CloudFone
+ * MIDP javax.microedition.lcdui
+ *
+ * Display, Displayable and Canvas; the high-level screens are in
+ * midp-screen.js. As on a handset, every callback into
+ * the MIDlet's UI code (showNotify, paint, callSerially runnables) runs one
+ * at a time on a dedicated "event" VM thread. Repaint requests are merged
+ * into a single pending paint of the union of the requested areas; once
+ * paint returns the framebuffer is handed to the host's display.
+ *
+ * Keys arrive from DisplayBridge by name and are delivered to the current
+ * Canvas as MIDP key codes: the character code for the keypad and negative
+ * codes, as on Nokia and Sony Ericsson handsets, for the rest.
+ *
+ * The commands of the current displayable are posted to the host whenever
+ * they may have changed; the page puts them on its soft keys and sends
+ * back the id of the one the user picks.
+ */
+
+// lcdui constants
+const midpLcduiConstants = {
+  // Game actions
+  UP: 1,
+  DOWN: 6,
+  LEFT: 2,
+  RIGHT: 5,
+  FIRE: 8,
+  GAME_A: 9,
+  GAME_B: 10,
+  GAME_C: 11,
+  GAME_D: 12,
+
+  // Command types
+  SCREEN: 1,
+  BACK: 2,
+  CANCEL: 3,
+  OK: 4,
+  HELP: 5,
+  STOP: 6,
+  EXIT: 7,
+  ITEM: 8,
+
+  KEY_NUM0: 48,
+  KEY_STAR: 42,
+  KEY_POUND: 35,
+
+  // Key codes by DisplayBridge key name
+  KEY_CODES: {
+    '0': 48, '1': 49, '2': 50, '3': 51, '4': 52,
+    '5': 53, '6': 54, '7': 55, '8': 56, '9': 57,
+    STAR: 42,
+    POUND: 35,
+    UP: -1,
+    DOWN: -2,
+    LEFT: -3,
+    RIGHT: -4,
+    SELECT: -5,
+    SOFT_LEFT: -6,
+    SOFT_RIGHT: -7,
+    CLEAR: -8
+  },
+
+  // Names getKeyName reports for the keys that aren't characters
+  KEY_NAMES: {
+    '-1': 'Up',
+    '-2': 'Down',
+    '-3': 'Left',
+    '-4': 'Right',
+    '-5': 'Select',
+    '-6': 'Soft1',
+    '-7': 'Soft2',
+    '-8': 'Clear'
+  },
+
+  // Game action of each key code that has one; the first key listed for
+  // an action is the one getKeyCode returns
+  GAME_ACTIONS: [
+    [-1, 1], [-2, 6], [-3, 2], [-4, 5], [-5, 8],
+    [50, 1], [56, 6], [52, 2], [54, 5], [53, 8],
+    [49, 9], [51, 10], [55, 11], [57, 12]
+  ]
+};
+
+// ---------------------------------------------------------------------------
+// Event thread
+// ---------------------------------------------------------------------------
+
+/**
+ * Get the UI state of the running VM, kept on the Display class so that
+ * JVM.reset starts from a clean slate
+ * @returns {Object} UI state
+ */
+function midpLcduiGetState() {
+  const displayClass = JVM.loadClass('javax/microedition/lcdui/Display');
+  if (!displayClass.lcdui) {
+    displayClass.lcdui = {
+      display: null,
+      current: null,
+      eventThread: null,
+      events: [],
+      eventRunning: false,
+      paintQueued: false,
+      repaintArea: null,
+      repaintWaiters: [],
+      heldKeys: 0,
+      latchedKeys: 0,
+      nextCommandId: 1
+    };
+    DisplayBridge.addKeyListener(midpLcduiHandleKey);
+  }
+  return displayClass.lcdui;
+}
+
+/**
+ * Queue work for the event thread
+ * @param {Function} run - Called when the previous event has finished; may return a Promise
+ */
+function midpLcduiPostEvent(run) {
+  const state = midpLcduiGetState();
+  state.events.push(run);
+  midpLcduiRunEvents(state);
+}
+
+/**
+ * Start the next queued event unless one is still running
+ * @param {Object} state - UI state
+ */
+function midpLcduiRunEvents(state) {
+  if (state.eventRunning || state.events.length === 0) return;
+  if (!state.eventThread) state.eventThread = JVM.createThread('event');
+
+  const run = state.events.shift();
+  state.eventRunning = true;
+  new Promise(resolve => resolve(run()))
+    .catch(error => {
+      // Java exceptions have already been reported by the event thread
+      if (!error || !error.cls) console.error('lcdui event failed', error);
+    })
+    .then(() => {
+      state.eventRunning = false;
+      midpLcduiRunEvents(state);
+    });
+}
+
+/**
+ * Call a method of a MIDlet object on the event thread
+ * @param {Object} obj - Receiver
+ * @param {string} key - Name plus descriptor
+ * @param {Array} [args] - Further arguments
+ * @returns {Promise} Resolves with the return value
+ */
+function midpLcduiCall(obj, key, args = []) {
+  const state = midpLcduiGetState();
+  return JVM.queueCall(state.eventThread, JVM.findVirtualMethod(obj.cls, key), [obj].concat(args));
+}
+
+// ---------------------------------------------------------------------------
+// Display
+// ---------------------------------------------------------------------------
+
+/**
+ * Get the screen surface from the host
+ * @returns {Object} Surface with width, height and pixels
+ */
+function midpLcduiGetSurface() {
+  return JVM.state.host.getDisplaySurface();
+}
+
+/**
+ * Check whether a displayable is a Canvas
+ * @param {Object|null} displayable - Displayable
+ * @returns {boolean} True for Canvas and its subclasses
+ */
+function midpLcduiIsCanvas(displayable) {
+  return displayable !== null && JVM.isInstanceOf(displayable, JVM.loadClass('javax/microedition/lcdui/Canvas'));
+}
+
+/**
+ * Make a displayable current, notifying the old and new canvases. A Canvas
+ * takes the screen back from the page's high-level screen view.
+ * @param {Object|null} next - Displayable to show
+ */
+function midpLcduiSetCurrent(next) {
+  const state = midpLcduiGetState();
+  const previous = state.current;
+  if (next === null || next === previous) return;
+
+  state.current = next;
+  midpLcduiShowCommands();
+  midpLcduiPostEvent(() => {
+    const hidden = midpLcduiIsCanvas(previous) ? midpLcduiCall(previous, 'hideNotify()V') : Promise.resolve();
+    return hidden.then(() => {
+      if (midpLcduiIsCanvas(next)) return midpLcduiCall(next, 'showNotify()V');
+    });
+  });
+
+  if (midpLcduiIsCanvas(next)) {
+    JVM.state.host.showScreen(null);
+    const surface = midpLcduiGetSurface();
+    midpLcduiRequestRepaint(next, 0, 0, surface.width, surface.height);
+  } else {
+    MidpScreen.refresh(next);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Painting
+// ---------------------------------------------------------------------------
+
+/**
+ * Ask for part of a canvas to be painted
+ * @param {Object} canvas - Canvas
+ * @param {number} x - Left
+ * @param {number} y - Top
+ * @param {number} width - Width
+ * @param {number} height - Height
+ */
+function midpLcduiRequestRepaint(canvas, x, y, width, height) {
+  const state = midpLcduiGetState();
+  if (state.current !== canvas || width <= 0 || height <= 0) return;
+
+  const area = state.repaintArea;
+  if (area) {
+    const right = Math.max(area.x + area.width, x + width);
+    const bottom = Math.max(area.y + area.height, y + height);
+    area.x = Math.min(area.x, x);
+    area.y = Math.min(area.y, y);
+    area.width = right - area.x;
+    area.height = bottom - area.y;
+  } else {
+    state.repaintArea = { x: x, y: y, width: width, height: height };
+  }
+
+  if (!state.paintQueued) {
+    state.paintQueued = true;
+    midpLcduiPostEvent(() => {
+      state.paintQueued = false;
+      return midpLcduiPaint(state, null);
+    });
+  }
+}
+
+/**
+ * Paint the current canvas if a repaint is pending
+ * @param {Object} state - UI state
+ * @param {Object|null} thread - Thread to paint on synchronously, or null to
+ *   queue the call on the event thread
+ * @returns {Promise|undefined} Resolves once the frame has been flushed
+ */
+function midpLcduiPaint(state, thread) {
+  const area = state.repaintArea;
+  const waiters = state.repaintWaiters;
+  state.repaintArea = null;
+  state.repaintWaiters = [];
+
+  const canvas = state.current;
+  const finish = () => {
+    JVM.state.host.flushDisplay();
+    waiters.forEach(resolve => resolve());
+  };
+  if (!area || !midpLcduiIsCanvas(canvas)) {
+    waiters.forEach(resolve => resolve());
+    return undefined;
+  }
+
+  const g = MidpGraphics.create(midpLcduiGetSurface(), null);
+  MidpGraphics.setClip(g, area.x, area.y, area.x + area.width, area.y + area.height);
+
+  const key = 'paint(Ljavax/microedition/lcdui/Graphics;)V';
+  if (thread) {
+    try {
+      JVM.callVirtual(thread, canvas, key, [g]);
+    } finally {
+      finish();
+    }
+    return undefined;
+  }
+  return midpLcduiCall(canvas, key, [g]).then(finish, error => {
+    finish();
+    throw error;
+  });
+}
+
+/**
+ * Canvas.serviceRepaints: wait until any pending paint has been done
+ * @param {Object} thread - Calling thread
+ * @param {Object} canvas - Canvas
+ * @returns {Promise|undefined} Blocks the caller until the paint has returned
+ */
+function midpLcduiServiceRepaints(thread, canvas) {
+  const state = midpLcduiGetState();
+  if (!state.repaintArea || state.current !== canvas) return undefined;
+
+  // The event thread can't wait for itself, so it paints right away
+  if (thread === state.eventThread) {
+    midpLcduiPaint(state, thread);
+    return undefined;
+  }
+  return new Promise(resolve => state.repaintWaiters.push(resolve));
+}
+
+// ---------------------------------------------------------------------------
+// Keys
+// ---------------------------------------------------------------------------
+
+/**
+ * Get the game action of a key code
+ * @param {number} keyCode - Key code
+ * @returns {number} Game action, or 0 for keys without one
+ */
+function midpLcduiGetGameAction(keyCode) {
+  const entry = midpLcduiConstants.GAME_ACTIONS.find(([code]) => code === keyCode);
+  return entry ? entry[1] : 0;
+}
+
+/**
+ * Check that a key code belongs to a key this device has
+ * @param {number} keyCode - Key code
+ */
+function midpLcduiCheckKeyCode(keyCode) {
+  if (!Object.values(midpLcduiConstants.KEY_CODES).includes(keyCode)) {
+    throw JVM.newThrowable('java/lang/IllegalArgumentException', `Invalid key code: ${keyCode}`);
+  }
+}
+
+/**
+ * Deliver a key event from DisplayBridge to the current Canvas
+ * @param {string} event - 'down', 'repeat' or 'up'
+ * @param {string} key - Key name
+ */
+function midpLcduiHandleKey(event, key) {
+  const keyCode = midpLcduiConstants.KEY_CODES[key];
+  if (keyCode === undefined) return;
+
+  // Game keys are also tracked as bits for GameCanvas.getKeyStates, which
+  // must see a press even if the key is released before the next poll
+  const state = midpLcduiGetState();
+  const action = midpLcduiGetGameAction(keyCode);
+  const bit = action ? 1 << action : 0;
+  if (event === 'down') {
+    state.heldKeys |= bit;
+    state.latchedKeys |= bit;
+  } else if (event === 'up') {
+    state.heldKeys &= ~bit;
+  }
+
+  const canvas = state.current;
+  if (!midpLcduiIsCanvas(canvas)) return;
+  if (action && canvas.suppressKeyEvents) return;
+
+  const method = { down: 'keyPressed(I)V', repeat: 'keyRepeated(I)V', up: 'keyReleased(I)V' }[event];
+  midpLcduiPostEvent(() => midpLcduiCall(canvas, method, [keyCode]));
+}
+
+/**
+ * Read and clear the game keys pressed since the last call
+ * @returns {number} Bits of the game actions held or pressed, by 1 << action
+ */
+function midpLcduiTakeKeyStates() {
+  const state = midpLcduiGetState();
+  const keys = state.heldKeys | state.latchedKeys;
+  state.latchedKeys = 0;
+  return keys;
+}
+
+// ---------------------------------------------------------------------------
+// Commands
+// ---------------------------------------------------------------------------
+
+/**
+ * Set up a Command
+ * @param {Object} command - Command
+ * @param {Object|null} label - Short label
+ * @param {Object|null} longLabel - Long label
+ * @param {number} type - Command type
+ * @param {number} priority - Priority; lower values come first
+ */
+function midpLcduiInitCommand(command, label, longLabel, type, priority) {
+  const constants = midpLcduiConstants;
+  if (label === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+  if (type < constants.SCREEN || type > constants.ITEM) {
+    throw JVM.newThrowable('java/lang/IllegalArgumentException', `Invalid command type: ${type}`);
+  }
+  command.label = label;
+  command.longLabel = longLabel;
+  command.commandType = type;
+  command.priority = priority;
+  command.commandId = 0;
+}
+
+/**
+ * Make a Command for the library's own constants
+ * @param {string} label - Label
+ * @param {number} type - Command type
+ * @param {number} priority - Priority
+ * @returns {Object} javax.microedition.lcdui.Command
+ */
+function midpLcduiNewCommand(label, type, priority) {
+  const command = JVM.newObject(JVM.loadClass('javax/microedition/lcdui/Command'));
+  midpLcduiInitCommand(command, JVM.newString(label), null, type, priority);
+  return command;
+}
+
+/**
+ * Get the commands added to a displayable; subclass constructors don't
+ * always run Displayable's, so they are set up on first use
+ * @param {Object} displayable - Displayable
+ * @returns {Array} Commands in the order they were added
+ */
+function midpLcduiGetCommands(displayable) {
+  if (!displayable.commands) {
+    displayable.commands = [];
+    displayable.commandListener = null;
+  }
+  return displayable.commands;
+}
+
+/**
+ * Add a command to a displayable
+ * @param {Object} displayable - Displayable
+ * @param {Object|null} command - Command
+ */
+function midpLcduiAddCommand(displayable, command) {
+  if (command === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+  const commands = midpLcduiGetCommands(displayable);
+  if (commands.includes(command)) return;
+
+  commands.push(command);
+  if (midpLcduiGetState().current === displayable) midpLcduiShowCommands();
+}
+
+/**
+ * Remove a command from a displayable
+ * @param {Object} displayable - Displayable
+ * @param {Object|null} command - Command; ignored if not added
+ */
+function midpLcduiRemoveCommand(displayable, command) {
+  const commands = midpLcduiGetCommands(displayable);
+  const index = commands.indexOf(command);
+  if (index < 0) return;
+
+  commands.splice(index, 1);
+  if (midpLcduiGetState().current === displayable) midpLcduiShowCommands();
+}
+
+/**
+ * Get the commands a displayable offers the user
+ * @param {Object} displayable - Displayable
+ * @returns {Array} Commands
+ */
+function midpLcduiGetVisibleCommands(displayable) {
+  const commands = midpLcduiGetCommands(displayable);
+
+  // An alert without commands of its own can still be dismissed
+  if (commands.length === 0 && MidpScreen.isAlert(displayable)) return [MidpScreen.getDismissCommand()];
+  return commands;
+}
+
+/**
+ * Describe a command for the page, giving it an id on first use
+ * @param {Object} command - Command
+ * @returns {Object} {id, label, longLabel, type, priority}
+ */
+function midpLcduiDescribeCommand(command) {
+  if (!command.commandId) command.commandId = midpLcduiGetState().nextCommandId++;
+  return {
+    id: command.commandId,
+    label: command.label.str,
+    longLabel: command.longLabel ? command.longLabel.str : null,
+    type: command.commandType,
+    priority: command.priority
+  };
+}
+
+/**
+ * Post the commands of the current displayable to the host
+ */
+function midpLcduiShowCommands() {
+  const current = midpLcduiGetState().current;
+  if (!current) return;
+
+  JVM.state.host.showCommands({
+    commands: midpLcduiGetVisibleCommands(current).map(midpLcduiDescribeCommand),
+    fullScreen: midpLcduiIsCanvas(current) && current.fullScreen
+  });
+}
+
+/**
+ * Deliver a command to a displayable's CommandListener. Without one, an
+ * alert is dismissed by any of its commands; other displayables ignore it.
+ * @param {Object} displayable - Displayable
+ * @param {Object} command - Command
+ */
+function midpLcduiFireCommand(displayable, command) {
+  midpLcduiGetCommands(displayable);
+  const listener = displayable.commandListener;
+  if (listener) {
+    midpLcduiPostEvent(() => midpLcduiCall(listener,
+      'commandAction(Ljavax/microedition/lcdui/Command;Ljavax/microedition/lcdui/Displayable;)V',
+      [command, displayable]));
+  } else if (MidpScreen.isAlert(displayable)) {
+    MidpScreen.dismissAlert(displayable);
+  }
+}
+
+/**
+ * Apply a command the user picked on the page
+ * @param {number} id - Command id from the description
+ */
+function midpLcduiHandleCommand(id) {
+  const current = midpLcduiGetState().current;
+  if (!current) return;
+
+  // The page may have picked it just before the displayable changed
+  const command = midpLcduiGetVisibleCommands(current).find(entry => entry.commandId === id);
+  if (command) midpLcduiFireCommand(current, command);
+}
+
+// ---------------------------------------------------------------------------
+// Classes
+// ---------------------------------------------------------------------------
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/lcdui/Command',
+  fields: [
+    { name: 'SCREEN', descriptor: 'I', isStatic: true, value: midpLcduiConstants.SCREEN },
+    { name: 'BACK', descriptor: 'I', isStatic: true, value: midpLcduiConstants.BACK },
+    { name: 'CANCEL', descriptor: 'I', isStatic: true, value: midpLcduiConstants.CANCEL },
+    { name: 'OK', descriptor: 'I', isStatic: true, value: midpLcduiConstants.OK },
+    { name: 'HELP', descriptor: 'I', isStatic: true, value: midpLcduiConstants.HELP },
+    { name: 'STOP', descriptor: 'I', isStatic: true, value: midpLcduiConstants.STOP },
+    { name: 'EXIT', descriptor: 'I', isStatic: true, value: midpLcduiConstants.EXIT },
+    { name: 'ITEM', descriptor: 'I', isStatic: true, value: midpLcduiConstants.ITEM }
+  ],
+  methods: {
+    '<init>(Ljava/lang/String;II)V': (thread, self, label, type, priority) => {
+      midpLcduiInitCommand(self, label, null, type, priority);
+    },
+    '<init>(Ljava/lang/String;Ljava/lang/String;II)V': (thread, self, label, longLabel, type, priority) => {
+      midpLcduiInitCommand(self, label, longLabel, type, priority);
+    },
+    'getLabel()Ljava/lang/String;': (thread, self) => self.label,
+    'getLongLabel()Ljava/lang/String;': (thread, self) => self.longLabel,
+    'getCommandType()I': (thread, self) => self.commandType,
+    'getPriority()I': (thread, self) => self.priority
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/lcdui/CommandListener',
+  isInterface: true,
+  methods: {
+    'commandAction(Ljavax/microedition/lcdui/Command;Ljavax/microedition/lcdui/Displayable;)V': null
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/lcdui/Display',
+  methods: {
+    'getCurrent()Ljavax/microedition/lcdui/Displayable;': () => midpLcduiGetState().current,
+    'setCurrent(Ljavax/microedition/lcdui/Displayable;)V': (thread, self, next) => {
+      // An alert goes back to whatever it was shown over
+      if (MidpScreen.isAlert(next) && next !== midpLcduiGetState().current) {
+        MidpScreen.setAlertNext(next, midpLcduiGetState().current);
+      }
+      midpLcduiSetCurrent(next);
+    },
+    'setCurrent(Ljavax/microedition/lcdui/Alert;Ljavax/microedition/lcdui/Displayable;)V': (thread, self, alert, next) => {
+      if (alert === null || next === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      if (MidpScreen.isAlert(next)) throw JVM.newThrowable('java/lang/IllegalArgumentException', 'An alert cannot follow an alert');
+      MidpScreen.setAlertNext(alert, next);
+      midpLcduiSetCurrent(alert);
+    },
+    'setCurrentItem(Ljavax/microedition/lcdui/Item;)V': (thread, self, item) => {
+      if (item === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      if (!item.owner || MidpScreen.isAlert(item.owner)) {
+        throw JVM.newThrowable('java/lang/IllegalStateException', 'Item is not in a Form');
+      }
+      midpLcduiSetCurrent(item.owner);
+    },
+    'isColor()Z': () => true,
+    'numColors()I': () => 1 << 24,
+    'numAlphaLevels()I': () => 256,
+    'vibrate(I)Z': (thread, self, duration) => {
+      if (duration < 0) throw JVM.newThrowable('java/lang/IllegalArgumentException', 'Negative duration');
+      return false;
+    },
+    'flashBacklight(I)Z': (thread, self, duration) => {
+      if (duration < 0) throw JVM.newThrowable('java/lang/IllegalArgumentException', 'Negative duration');
+      return false;
+    },
+    'callSerially(Ljava/lang/Runnable;)V': (thread, self, runnable) => {
+      if (runnable === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      midpLcduiPostEvent(() => midpLcduiCall(runnable, 'run()V'));
+    }
+  },
+  staticMethods: {
+    'getDisplay(Ljavax/microedition/midlet/MIDlet;)Ljavax/microedition/lcdui/Display;': (thread, midlet) => {
+      if (midlet === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+
+      // A suite runs a single MIDlet, so there is one Display
+      const state = midpLcduiGetState();
+      if (!state.display) state.display = JVM.newObject(JVM.loadClass('javax/microedition/lcdui/Display'));
+      return state.display;
+    }
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/lcdui/Displayable',
+  accessFlags: ClassFile.ACC.PUBLIC | ClassFile.ACC.ABSTRACT,
+  methods: {
+    '<init>()V': (thread, self) => {
+      self.title = null;
+    },
+    'getTitle()Ljava/lang/String;': (thread, self) => self.title,
+    'setTitle(Ljava/lang/String;)V': (thread, self, title) => {
+      self.title = title;
+      if (!midpLcduiIsCanvas(self)) MidpScreen.refresh(self);
+    },
+    'isShown()Z': (thread, self) => midpLcduiGetState().current === self,
+    'addCommand(Ljavax/microedition/lcdui/Command;)V': (thread, self, command) => {
+      midpLcduiAddCommand(self, command);
+    },
+    'removeCommand(Ljavax/microedition/lcdui/Command;)V': (thread, self, command) => {
+      midpLcduiRemoveCommand(self, command);
+    },
+    'setCommandListener(Ljavax/microedition/lcdui/CommandListener;)V': (thread, self, listener) => {
+      midpLcduiGetCommands(self);
+      self.commandListener = listener;
+    },
+    'getWidth()I': () => midpLcduiGetSurface().width,
+    'getHeight()I': () => midpLcduiGetSurface().height,
+    'sizeChanged(II)V': () => {}
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/lcdui/Canvas',
+  superName: 'javax/microedition/lcdui/Displayable',
+  accessFlags: ClassFile.ACC.PUBLIC | ClassFile.ACC.ABSTRACT,
+  fields: [
+    { name: 'UP', descriptor: 'I', isStatic: true, value: midpLcduiConstants.UP },
+    { name: 'DOWN', descriptor: 'I', isStatic: true, value: midpLcduiConstants.DOWN },
+    { name: 'LEFT', descriptor: 'I', isStatic: true, value: midpLcduiConstants.LEFT },
+    { name: 'RIGHT', descriptor: 'I', isStatic: true, value: midpLcduiConstants.RIGHT },
+    { name: 'FIRE', descriptor: 'I', isStatic: true, value: midpLcduiConstants.FIRE },
+    { name: 'GAME_A', descriptor: 'I', isStatic: true, value: midpLcduiConstants.GAME_A },
+    { name: 'GAME_B', descriptor: 'I', isStatic: true, value: midpLcduiConstants.GAME_B },
+    { name: 'GAME_C', descriptor: 'I', isStatic: true, value: midpLcduiConstants.GAME_C },
+    { name: 'GAME_D', descriptor: 'I', isStatic: true, value: midpLcduiConstants.GAME_D },
+    { name: 'KEY_NUM0', descriptor: 'I', isStatic: true, value: midpLcduiConstants.KEY_NUM0 },
+    { name: 'KEY_NUM1', descriptor: 'I', isStatic: true, value: midpLcduiConstants.KEY_NUM0 + 1 },
+    { name: 'KEY_NUM2', descriptor: 'I', isStatic: true, value: midpLcduiConstants.KEY_NUM0 + 2 },
+    { name: 'KEY_NUM3', descriptor: 'I', isStatic: true, value: midpLcduiConstants.KEY_NUM0 + 3 },
+    { name: 'KEY_NUM4', descriptor: 'I', isStatic: true, value: midpLcduiConstants.KEY_NUM0 + 4 },
+    { name: 'KEY_NUM5', descriptor: 'I', isStatic: true, value: midpLcduiConstants.KEY_NUM0 + 5 },
+    { name: 'KEY_NUM6', descriptor: 'I', isStatic: true, value: midpLcduiConstants.KEY_NUM0 + 6 },
+    { name: 'KEY_NUM7', descriptor: 'I', isStatic: true, value: midpLcduiConstants.KEY_NUM0 + 7 },
+    { name: 'KEY_NUM8', descriptor: 'I', isStatic: true, value: midpLcduiConstants.KEY_NUM0 + 8 },
+    { name: 'KEY_NUM9', descriptor: 'I', isStatic: true, value: midpLcduiConstants.KEY_NUM0 + 9 },
+    { name: 'KEY_STAR', descriptor: 'I', isStatic: true, value: midpLcduiConstants.KEY_STAR },
+    { name: 'KEY_POUND', descriptor: 'I', isStatic: true, value: midpLcduiConstants.KEY_POUND }
+  ],
+  methods: {
+    '<init>()V': (thread, self) => {
+      self.title = null;
+      self.fullScreen = false;
+    },
+    'paint(Ljavax/microedition/lcdui/Graphics;)V': null,
+    'repaint()V': (thread, self) => {
+      const surface = midpLcduiGetSurface();
+      midpLcduiRequestRepaint(self, 0, 0, surface.width, surface.height);
+    },
+    'repaint(IIII)V': (thread, self, x, y, width, height) => midpLcduiRequestRepaint(self, x, y, width, height),
+    'serviceRepaints()V': (thread, self) => midpLcduiServiceRepaints(thread, self),
+    'isDoubleBuffered()Z': () => true,
+    'hasPointerEvents()Z': () => false,
+    'hasPointerMotionEvents()Z': () => false,
+    'hasRepeatEvents()Z': () => true,
+    'setFullScreenMode(Z)V': (thread, self, mode) => {
+      self.fullScreen = mode !== 0;
+      if (midpLcduiGetState().current === self) midpLcduiShowCommands();
+    },
+    'getGameAction(I)I': (thread, self, keyCode) => {
+      midpLcduiCheckKeyCode(keyCode);
+      return midpLcduiGetGameAction(keyCode);
+    },
+    'getKeyCode(I)I': (thread, self, gameAction) => {
+      const entry = midpLcduiConstants.GAME_ACTIONS.find(([, action]) => action === gameAction);
+      if (!entry) throw JVM.newThrowable('java/lang/IllegalArgumentException', `Invalid game action: ${gameAction}`);
+      return entry[0];
+    },
+    'getKeyName(I)Ljava/lang/String;': (thread, self, keyCode) => {
+      midpLcduiCheckKeyCode(keyCode);
+      return JVM.newString(keyCode > 0 ? String.fromCharCode(keyCode) : midpLcduiConstants.KEY_NAMES[keyCode]);
+    },
+    'showNotify()V': () => {},
+    'hideNotify()V': () => {},
+    'keyPressed(I)V': () => {},
+    'keyReleased(I)V': () => {},
+    'keyRepeated(I)V': () => {},
+    'pointerPressed(II)V': () => {},
+    'pointerReleased(II)V': () => {},
+    'pointerDragged(II)V': () => {}
+  }
+});
+
+// Export functions for use in other modules
+window.MidpLcdui = {
+  constants: midpLcduiConstants,
+  getState: midpLcduiGetState,
+  postEvent: midpLcduiPostEvent,
+  call: midpLcduiCall,
+  setCurrent: midpLcduiSetCurrent,
+  isCanvas: midpLcduiIsCanvas,
+  requestRepaint: midpLcduiRequestRepaint,
+  getSurface: midpLcduiGetSurface,
+  getGameAction: midpLcduiGetGameAction,
+  checkKeyCode: midpLcduiCheckKeyCode,
+  takeKeyStates: midpLcduiTakeKeyStates,
+  newCommand: midpLcduiNewCommand,
+  getCommands: midpLcduiGetCommands,
+  addCommand: midpLcduiAddCommand,
+  removeCommand: midpLcduiRemoveCommand,
+  describeCommand: midpLcduiDescribeCommand,
+  fireCommand: midpLcduiFireCommand,
+  handleCommand: midpLcduiHandleCommand
+};
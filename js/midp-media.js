@@ -0,0 +1,909 @@
+/**
+ * J2ME Loader for CloudFone
+ * MIDP javax.microedition.media
+ *
+ * The MIDP 2.0 audio subset of the Mobile Media API: Manager, Player,
+ * PlayerListener, VolumeControl and ToneControl for WAV and MP3 sounds, MIDI
+ * files and tone sequences, plus Manager.playTone. MIDI files and tone
+ * sequences are read by MidiSequence and played by the page's MidiSynth.
+ * Locators can name the tone device or a file:// URL. AMR sounds are
+ * refused with a MediaException: browsers can't decode them, and a Player
+ * that only pretended to play one would hide that from the MIDlet.
+ *
+ * A Player keeps its own clock: its duration is read from the sound's
+ * headers or frames when it is realized, and a JS timer ends each loop, so
+ * media times and END_OF_MEDIA events don't depend on the page. The page
+ * only plays the sound, told by the host's playAudio what each Player is
+ * doing; with sound turned off, or a format the browser can't decode, the
+ * MIDlet sees its Players run as usual in silence.
+ *
+ * PlayerListener events are delivered in order on a dedicated "media" VM
+ * thread.
+ */
+
+// Media constants
+const midpMediaConstants = {
+  // Player states
+  CLOSED: 0,
+  UNREALIZED: 100,
+  REALIZED: 200,
+  PREFETCHED: 300,
+  STARTED: 400,
+
+  TIME_UNKNOWN: -1,
+
+  // PlayerListener events
+  EVENTS: {
+    STARTED: 'started',
+    STOPPED: 'stopped',
+    END_OF_MEDIA: 'endOfMedia',
+    DURATION_UPDATED: 'durationUpdated',
+    DEVICE_AVAILABLE: 'deviceAvailable',
+    DEVICE_UNAVAILABLE: 'deviceUnavailable',
+    VOLUME_CHANGED: 'volumeChanged',
+    STOPPED_AT_TIME: 'stoppedAtTime',
+    ERROR: 'error',
+    CLOSED: 'closed'
+  },
+
+  // Content types MIDlets ask for, and the type each one plays as
+  CONTENT_TYPES: {
+    'audio/x-wav': 'audio/x-wav',
+    'audio/wav': 'audio/x-wav',
+    'audio/wave': 'audio/x-wav',
+    'audio/mpeg': 'audio/mpeg',
+    'audio/mp3': 'audio/mpeg',
+    'audio/x-mp3': 'audio/mpeg',
+    'audio/midi': 'audio/midi',
+    'audio/mid': 'audio/midi',
+    'audio/x-midi': 'audio/midi',
+    'audio/sp-midi': 'audio/midi',
+    'audio/x-tone-seq': 'audio/x-tone-seq'
+  },
+
+  // Controls by fully-qualified name; short names are in this package
+  CONTROL_PACKAGE: 'javax.microedition.media.control.',
+  VOLUME_CONTROL: 'javax.microedition.media.control.VolumeControl',
+  TONE_CONTROL: 'javax.microedition.media.control.ToneControl',
+
+  // The tone device, and the sequence its Players have until they are
+  // given one: a single 1/64 note rest
+  TONE_DEVICE_LOCATOR: 'device://tone',
+  TONE_DEVICE: '//tone',
+  TONE_REST_SEQUENCE: [0xfe, 1, 0xff, 1],
+
+  // Bytes read from a stream at a time
+  READ_CHUNK: 4096,
+
+  // MP3 bitrates in kbit/s by bitrate index, and sample rates by version
+  MP3_BITRATES_V1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  MP3_BITRATES_V2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+  MP3_SAMPLE_RATES: [[11025, 12000, 8000], null, [22050, 24000, 16000], [44100, 48000, 32000]],
+
+  // Start of an AMR file, a format that isn't played
+  AMR_MAGIC: '#!AMR'
+};
+
+// Media state
+const midpMediaState = {
+  players: new Map(),
+  nextPlayerId: 1,
+  eventThread: null
+};
+
+// Players for locators by protocol; each takes the rest of the locator
+// and returns the Player, or a Promise of it
+const midpMediaLocators = {
+  device: midpMediaCreateDevicePlayer,
+  file: midpMediaCreateFilePlayer
+};
+
+// ---------------------------------------------------------------------------
+// Formats
+// ---------------------------------------------------------------------------
+
+/**
+ * Read ASCII text from bytes
+ * @param {Uint8Array} data - Bytes
+ * @param {number} offset - First byte
+ * @param {number} length - Number of bytes
+ * @returns {string} Text
+ */
+function midpMediaAscii(data, offset, length) {
+  return String.fromCharCode.apply(null, data.subarray(offset, offset + length));
+}
+
+/**
+ * Get the length of a WAV sound from its format and data chunks
+ * @param {Uint8Array} data - RIFF WAVE file
+ * @returns {number|null} Duration in microseconds, or null if it isn't one
+ */
+function midpMediaGetWavDuration(data) {
+  if (data.length < 12 || midpMediaAscii(data, 0, 4) !== 'RIFF' || midpMediaAscii(data, 8, 4) !== 'WAVE') {
+    return null;
+  }
+
+  const view = new DataView(data.buffer, data.byteOffset, data.length);
+  let byteRate = 0;
+  let offset = 12;
+  while (offset + 8 <= data.length) {
+    const id = midpMediaAscii(data, offset, 4);
+    const size = view.getUint32(offset + 4, true);
+
+    if (id === 'fmt ' && offset + 20 <= data.length) {
+      byteRate = view.getUint32(offset + 16, true);
+    } else if (id === 'data') {
+      if (byteRate === 0) return null;
+      // Sounds cut short still play what they have
+      return Math.round(Math.min(size, data.length - offset - 8) * 1000000 / byteRate);
+    }
+    offset += 8 + size + (size & 1);
+  }
+  return null;
+}
+
+/**
+ * Get the length of an MP3 sound by walking its frames
+ * @param {Uint8Array} data - MPEG audio layer III stream
+ * @returns {number|null} Duration in microseconds, or null if it isn't one
+ */
+function midpMediaGetMp3Duration(data) {
+  let offset = 0;
+
+  // Skip an ID3v2 tag; its size is stored 7 bits per byte
+  if (data.length >= 10 && midpMediaAscii(data, 0, 3) === 'ID3') {
+    offset = 10 + ((data[6] & 0x7f) << 21 | (data[7] & 0x7f) << 14 | (data[8] & 0x7f) << 7 | (data[9] & 0x7f));
+    if (data[5] & 0x10) offset += 10;
+  }
+
+  let duration = 0;
+  let frames = 0;
+  while (offset + 4 <= data.length) {
+    const b1 = data[offset + 1];
+    const b2 = data[offset + 2];
+    if (data[offset] !== 0xff || (b1 & 0xe0) !== 0xe0) break;
+
+    const version = (b1 >> 3) & 3;
+    const layer = (b1 >> 1) & 3;
+    const bitrateIndex = b2 >> 4;
+    const rateIndex = (b2 >> 2) & 3;
+    if (version === 1 || layer !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || rateIndex === 3) break;
+
+    // MPEG-1 frames hold 1152 samples, MPEG-2 and 2.5 frames 576
+    const mpeg1 = version === 3;
+    const bitrate = (mpeg1 ? midpMediaConstants.MP3_BITRATES_V1 : midpMediaConstants.MP3_BITRATES_V2)[bitrateIndex] * 1000;
+    const sampleRate = midpMediaConstants.MP3_SAMPLE_RATES[version][rateIndex];
+    const samples = mpeg1 ? 1152 : 576;
+
+    offset += Math.floor(samples / 8 * bitrate / sampleRate) + ((b2 >> 1) & 1);
+    duration += samples * 1000000 / sampleRate;
+    frames++;
+  }
+  return frames > 0 ? Math.round(duration) : null;
+}
+
+/**
+ * Get the length of a MIDI file or tone sequence by reading its notes
+ * @param {Function} parse - MidiSequence reader for the format
+ * @param {Uint8Array} data - Sequence
+ * @returns {number|null} Duration in microseconds, or null if it isn't one
+ */
+function midpMediaGetSequenceDuration(parse, data) {
+  try {
+    return Math.round(parse(data).duration * 1000000);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Duration readers by content type
+const midpMediaDurations = {
+  'audio/x-wav': midpMediaGetWavDuration,
+  'audio/mpeg': midpMediaGetMp3Duration,
+  'audio/midi': data => midpMediaGetSequenceDuration(MidiSequence.parseMidi, data),
+  'audio/x-tone-seq': data => midpMediaGetSequenceDuration(MidiSequence.parseToneSequence, data)
+};
+
+/**
+ * Tell a sound's content type from its first bytes
+ * @param {Uint8Array} data - Sound
+ * @returns {string|null} Content type, or null if it isn't one we know; AMR
+ *   is known and refused with a MediaException
+ */
+function midpMediaSniffType(data) {
+  if (data.length >= 12 && midpMediaAscii(data, 0, 4) === 'RIFF' && midpMediaAscii(data, 8, 4) === 'WAVE') {
+    return 'audio/x-wav';
+  }
+  if (midpMediaAscii(data, 0, midpMediaConstants.AMR_MAGIC.length) === midpMediaConstants.AMR_MAGIC) {
+    throw JVM.newThrowable('javax/microedition/media/MediaException', 'Unsupported content type: audio/amr');
+  }
+  if (midpMediaAscii(data, 0, 4) === 'MThd') {
+    return 'audio/midi';
+  }
+  if (midpMediaAscii(data, 0, 3) === 'ID3' || (data[0] === 0xff && (data[1] & 0xe0) === 0xe0)) {
+    return 'audio/mpeg';
+  }
+  if (data[0] === 0xfe && data[1] === 1) {
+    return 'audio/x-tone-seq';
+  }
+  return null;
+}
+
+/**
+ * Check a content type a MIDlet asked for
+ * @param {Object|null} type - Java string, e.g. "audio/x-wav"
+ * @returns {string|null} The type it plays as, or null to tell from the data
+ */
+function midpMediaCheckType(type) {
+  if (type === null) return null;
+
+  const text = CldcLang.text(type).split(';')[0].trim().toLowerCase();
+  const contentType = midpMediaConstants.CONTENT_TYPES[text];
+  if (!contentType) {
+    throw JVM.newThrowable('javax/microedition/media/MediaException', `Unsupported content type: ${text}`);
+  }
+  return contentType;
+}
+
+/**
+ * Read all that is left of an InputStream
+ * @param {Object} thread - Current thread
+ * @param {Object} stream - java.io.InputStream
+ * @returns {Uint8Array} Bytes
+ */
+function midpMediaReadStream(thread, stream) {
+  const chunks = [];
+  let total = 0;
+  for (;;) {
+    const chunk = JVM.newArray('[B', midpMediaConstants.READ_CHUNK);
+    const count = CldcIo.readBytes(thread, stream, chunk, 0, chunk.length);
+    if (count < 0) break;
+    chunks.push(chunk.subarray(0, count));
+    total += count;
+  }
+
+  const data = new Uint8Array(total);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    data.set(new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.length), offset);
+    offset += chunk.length;
+  });
+  return data;
+}
+
+// ---------------------------------------------------------------------------
+// Players
+// ---------------------------------------------------------------------------
+
+/**
+ * Pass a Player's request to the page's audio output
+ * @param {Object} command - {action, id, ...}
+ * @param {Array} [transfer] - Buffers to hand over rather than copy
+ */
+function midpMediaSend(command, transfer = []) {
+  const host = JVM.state.host;
+  if (host.playAudio) host.playAudio(command, transfer);
+}
+
+/**
+ * Create a Player for a sound
+ * @param {Uint8Array} data - Sound
+ * @param {string|null} type - Content type, or null to tell from the data
+ * @returns {Object} javax.microedition.media.Player
+ */
+function midpMediaCreatePlayer(data, type) {
+  const contentType = type || midpMediaSniffType(data);
+  if (!contentType) {
+    throw JVM.newThrowable('javax/microedition/media/MediaException', 'Unrecognized media data');
+  }
+
+  const player = JVM.newObject(JVM.loadClass('javax/microedition/media/Manager$MediaPlayer'));
+  player.playerId = midpMediaState.nextPlayerId++;
+  player.contentType = contentType;
+  player.data = data;
+  player.playerState = midpMediaConstants.UNREALIZED;
+  player.duration = midpMediaConstants.TIME_UNKNOWN;
+  player.mediaTime = 0;
+  player.startedAt = 0;
+  player.loopCount = 1;
+  player.loopsLeft = 1;
+  player.timer = null;
+  player.listeners = [];
+  player.level = 100;
+  player.muted = false;
+
+  player.volumeControl = JVM.newObject(JVM.loadClass('javax/microedition/media/Manager$Volume'));
+  player.volumeControl.player = player;
+  player.controls = { [midpMediaConstants.VOLUME_CONTROL]: player.volumeControl };
+
+  if (contentType === 'audio/x-tone-seq') {
+    const toneControl = JVM.newObject(JVM.loadClass('javax/microedition/media/Manager$Tone'));
+    toneControl.player = player;
+    player.controls[midpMediaConstants.TONE_CONTROL] = toneControl;
+  }
+
+  midpMediaState.players.set(player.playerId, player);
+  return player;
+}
+
+/**
+ * Manager.createPlayer for a locator
+ * @param {Object} thread - Current thread
+ * @param {Object|null} locator - Java string such as "device://tone"
+ * @returns {Object|Promise} The Player, or a promise of it
+ */
+function midpMediaCreateLocatorPlayer(thread, locator) {
+  if (locator === null) throw JVM.newThrowable('java/lang/IllegalArgumentException', 'Locator is null');
+
+  const text = CldcLang.text(locator);
+  const match = /^([a-zA-Z][a-zA-Z0-9+.-]*):(.*)$/.exec(text);
+  if (!match) throw JVM.newThrowable('javax/microedition/media/MediaException', `Malformed locator: ${text}`);
+
+  const protocol = match[1].toLowerCase();
+  if (!Object.prototype.hasOwnProperty.call(midpMediaLocators, protocol)) {
+    throw JVM.newThrowable('javax/microedition/media/MediaException', `Unsupported protocol: ${protocol}`);
+  }
+  return midpMediaLocators[protocol](thread, match[2], text);
+}
+
+/**
+ * Create a Player for a device:// locator; only the tone device is there
+ * @param {Object} thread - Current thread
+ * @param {string} device - Locator after "device:"
+ * @param {string} locator - Whole locator
+ * @returns {Object} javax.microedition.media.Player
+ */
+function midpMediaCreateDevicePlayer(thread, device, locator) {
+  if (device.toLowerCase() !== midpMediaConstants.TONE_DEVICE) {
+    throw JVM.newThrowable('javax/microedition/media/MediaException', `Unsupported device: ${locator}`);
+  }
+  return midpMediaCreatePlayer(Uint8Array.from(midpMediaConstants.TONE_REST_SEQUENCE), 'audio/x-tone-seq');
+}
+
+/**
+ * Create a Player for a file:// locator, reading the file through MidpFile
+ * @param {Object} thread - Current thread
+ * @param {string} path - Locator after "file:"
+ * @param {string} locator - Whole locator
+ * @returns {Promise} Resolves with the javax.microedition.media.Player
+ */
+function midpMediaCreateFilePlayer(thread, path, locator) {
+  return MidpFile.read(locator).then(data => midpMediaCreatePlayer(data, null));
+}
+
+/**
+ * Check that a Player hasn't been closed
+ * @param {Object} player - Player
+ */
+function midpMediaCheckOpen(player) {
+  if (player.playerState === midpMediaConstants.CLOSED) {
+    throw JVM.newThrowable('java/lang/IllegalStateException', 'Player is closed');
+  }
+}
+
+/**
+ * Check that a Player has been realized and not closed
+ * @param {Object} player - Player
+ */
+function midpMediaCheckRealized(player) {
+  midpMediaCheckOpen(player);
+  if (player.playerState === midpMediaConstants.UNREALIZED) {
+    throw JVM.newThrowable('java/lang/IllegalStateException', 'Player is not realized');
+  }
+}
+
+/**
+ * Player.realize: find out how long the sound is
+ * @param {Object} player - Player
+ */
+function midpMediaRealize(player) {
+  midpMediaCheckOpen(player);
+  if (player.playerState !== midpMediaConstants.UNREALIZED) return;
+
+  const duration = midpMediaDurations[player.contentType](player.data);
+  if (duration === null) {
+    throw JVM.newThrowable('javax/microedition/media/MediaException', `Not a valid ${player.contentType} stream`);
+  }
+  player.duration = duration;
+  player.playerState = midpMediaConstants.REALIZED;
+}
+
+/**
+ * Player.prefetch: have the page get the sound ready to play
+ * @param {Object} player - Player
+ */
+function midpMediaPrefetch(player) {
+  midpMediaRealize(player);
+  if (player.playerState !== midpMediaConstants.REALIZED) return;
+
+  const data = player.data.slice().buffer;
+  midpMediaSend({ action: 'load', id: player.playerId, contentType: player.contentType, data: data }, [data]);
+  midpMediaSend({ action: 'volume', id: player.playerId, level: player.level, muted: player.muted });
+  player.playerState = midpMediaConstants.PREFETCHED;
+}
+
+/**
+ * Get a Player's media time
+ * @param {Object} player - Player
+ * @returns {number} Media time in microseconds
+ */
+function midpMediaGetTime(player) {
+  if (player.playerState !== midpMediaConstants.STARTED) return player.mediaTime;
+  return Math.min(player.duration, player.mediaTime + (Date.now() - player.startedAt) * 1000);
+}
+
+/**
+ * Play from the current media time and set the timer for the end of the
+ * loop
+ * @param {Object} player - Player
+ */
+function midpMediaPlay(player) {
+  clearTimeout(player.timer);
+  player.startedAt = Date.now();
+  player.timer = setTimeout(() => midpMediaEndLoop(player), (player.duration - player.mediaTime) / 1000);
+  midpMediaSend({ action: 'start', id: player.playerId, offset: player.mediaTime / 1000000, loops: player.loopsLeft });
+}
+
+/**
+ * Player.start
+ * @param {Object} player - Player
+ */
+function midpMediaStart(player) {
+  midpMediaPrefetch(player);
+  if (player.playerState === midpMediaConstants.STARTED) return;
+
+  // A Player that reached the end plays again from the beginning
+  if (player.mediaTime >= player.duration) {
+    player.mediaTime = 0;
+    player.loopsLeft = player.loopCount;
+  }
+  player.playerState = midpMediaConstants.STARTED;
+  midpMediaPlay(player);
+  midpMediaPostEvent(player, midpMediaConstants.EVENTS.STARTED, midpMediaBoxTime(player.mediaTime));
+}
+
+/**
+ * Stop a started Player where it is
+ * @param {Object} player - Player
+ */
+function midpMediaHalt(player) {
+  player.mediaTime = midpMediaGetTime(player);
+  player.playerState = midpMediaConstants.PREFETCHED;
+  clearTimeout(player.timer);
+  player.timer = null;
+  midpMediaSend({ action: 'stop', id: player.playerId });
+}
+
+/**
+ * Player.stop
+ * @param {Object} player - Player
+ */
+function midpMediaStop(player) {
+  midpMediaCheckOpen(player);
+  if (player.playerState !== midpMediaConstants.STARTED) return;
+
+  midpMediaHalt(player);
+  midpMediaPostEvent(player, midpMediaConstants.EVENTS.STOPPED, midpMediaBoxTime(player.mediaTime));
+}
+
+/**
+ * Reach the end of the sound: loop back if there are loops left, stop
+ * otherwise
+ * @param {Object} player - Player
+ */
+function midpMediaEndLoop(player) {
+  player.timer = null;
+  if (player.playerState !== midpMediaConstants.STARTED) return;
+
+  if (player.loopsLeft > 0) player.loopsLeft--;
+  if (player.loopsLeft === 0) {
+    player.mediaTime = player.duration;
+    player.playerState = midpMediaConstants.PREFETCHED;
+    player.loopsLeft = player.loopCount;
+  } else {
+    // The page loops the sound itself
+    player.mediaTime = 0;
+    player.startedAt = Date.now();
+    player.timer = setTimeout(() => midpMediaEndLoop(player), player.duration / 1000);
+  }
+  midpMediaPostEvent(player, midpMediaConstants.EVENTS.END_OF_MEDIA, midpMediaBoxTime(player.duration));
+}
+
+/**
+ * Player.setMediaTime
+ * @param {Object} player - Player
+ * @param {bigint} time - Media time in microseconds
+ * @returns {bigint} The media time actually set
+ */
+function midpMediaSetTime(player, time) {
+  midpMediaCheckRealized(player);
+
+  player.mediaTime = Math.min(Math.max(0, Number(time)), player.duration);
+  if (player.playerState === midpMediaConstants.STARTED) midpMediaPlay(player);
+  return BigInt(player.mediaTime);
+}
+
+/**
+ * Player.deallocate: free the page's copy of the sound
+ * @param {Object} player - Player
+ */
+function midpMediaDeallocate(player) {
+  midpMediaCheckOpen(player);
+  midpMediaStop(player);
+  if (player.playerState !== midpMediaConstants.PREFETCHED) return;
+
+  midpMediaSend({ action: 'release', id: player.playerId });
+  player.playerState = midpMediaConstants.REALIZED;
+}
+
+/**
+ * Player.close
+ * @param {Object} player - Player
+ */
+function midpMediaClose(player) {
+  if (player.playerState === midpMediaConstants.CLOSED) return;
+
+  if (player.playerState === midpMediaConstants.STARTED) midpMediaHalt(player);
+  if (player.playerState === midpMediaConstants.PREFETCHED) {
+    midpMediaSend({ action: 'release', id: player.playerId });
+  }
+  player.playerState = midpMediaConstants.CLOSED;
+  player.data = null;
+  midpMediaState.players.delete(player.playerId);
+  midpMediaPostEvent(player, midpMediaConstants.EVENTS.CLOSED, null);
+}
+
+/**
+ * Player.setLoopCount
+ * @param {Object} player - Player
+ * @param {number} count - Times to play, or -1 to play until stopped
+ */
+function midpMediaSetLoopCount(player, count) {
+  midpMediaCheckOpen(player);
+  if (player.playerState === midpMediaConstants.STARTED) {
+    throw JVM.newThrowable('java/lang/IllegalStateException', 'Player is started');
+  }
+  if (count === 0 || count < -1) {
+    throw JVM.newThrowable('java/lang/IllegalArgumentException', `Invalid loop count: ${count}`);
+  }
+  player.loopCount = count;
+  player.loopsLeft = count;
+}
+
+/**
+ * Change a Player's volume and tell its listeners
+ * @param {Object} player - Player
+ * @param {number} level - Volume 0-100
+ * @param {boolean} muted - Whether it is muted
+ */
+function midpMediaSetVolume(player, level, muted) {
+  if (level === player.level && muted === player.muted) return;
+
+  player.level = level;
+  player.muted = muted;
+  if (player.playerState >= midpMediaConstants.PREFETCHED) {
+    midpMediaSend({ action: 'volume', id: player.playerId, level: level, muted: muted });
+  }
+  midpMediaPostEvent(player, midpMediaConstants.EVENTS.VOLUME_CHANGED, player.volumeControl);
+}
+
+/**
+ * Player.getControl
+ * @param {Object} player - Player
+ * @param {Object|null} type - Java string, the control's interface name
+ * @returns {Object|null} The control, or null if the Player has none
+ */
+function midpMediaGetControl(player, type) {
+  if (type === null) throw JVM.newThrowable('java/lang/IllegalArgumentException', 'Control type is null');
+  midpMediaCheckRealized(player);
+
+  let name = CldcLang.text(type);
+  if (name.indexOf('.') < 0) name = midpMediaConstants.CONTROL_PACKAGE + name;
+  return Object.prototype.hasOwnProperty.call(player.controls, name) ? player.controls[name] : null;
+}
+
+/**
+ * ToneControl.setSequence
+ * @param {Object} player - Tone sequence Player
+ * @param {Object|null} sequence - Java byte array
+ */
+function midpMediaSetToneSequence(player, sequence) {
+  midpMediaCheckOpen(player);
+  if (player.playerState >= midpMediaConstants.PREFETCHED) {
+    throw JVM.newThrowable('java/lang/IllegalStateException', 'Player is prefetched');
+  }
+  if (sequence === null) throw JVM.newThrowable('java/lang/IllegalArgumentException', 'Sequence is null');
+
+  const data = new Uint8Array(sequence.buffer, sequence.byteOffset, sequence.length).slice();
+  const duration = midpMediaDurations['audio/x-tone-seq'](data);
+  if (duration === null) throw JVM.newThrowable('java/lang/IllegalArgumentException', 'Invalid tone sequence');
+
+  player.data = data;
+  if (player.playerState === midpMediaConstants.REALIZED) player.duration = duration;
+}
+
+/**
+ * Manager.playTone: play a note without a Player
+ * @param {number} note - Note number 0-127, 60 being middle C
+ * @param {number} duration - Length in milliseconds
+ * @param {number} volume - Volume 0-100
+ */
+function midpMediaPlayTone(note, duration, volume) {
+  if (note < 0 || note > 127) throw JVM.newThrowable('java/lang/IllegalArgumentException', `Invalid note: ${note}`);
+  if (duration <= 0) throw JVM.newThrowable('java/lang/IllegalArgumentException', `Invalid duration: ${duration}`);
+
+  midpMediaSend({
+    action: 'tone',
+    note: note,
+    duration: duration / 1000,
+    volume: Math.min(100, Math.max(0, volume))
+  });
+}
+
+/**
+ * Stop every Player of the previous MIDlet
+ */
+function midpMediaReset() {
+  midpMediaState.players.forEach(player => clearTimeout(player.timer));
+  midpMediaState.players = new Map();
+  midpMediaState.nextPlayerId = 1;
+  midpMediaState.eventThread = null;
+}
+
+// ---------------------------------------------------------------------------
+// Events
+// ---------------------------------------------------------------------------
+
+/**
+ * Box a media time for a PlayerListener
+ * @param {number} time - Microseconds
+ * @returns {Object} java.lang.Long
+ */
+function midpMediaBoxTime(time) {
+  return CldcLang.box('java/lang/Long', BigInt(time));
+}
+
+/**
+ * Queue a PlayerListener event for each of a Player's listeners
+ * @param {Object} player - Player
+ * @param {string} event - Event name
+ * @param {Object|null} data - Event data
+ */
+function midpMediaPostEvent(player, event, data) {
+  if (player.listeners.length === 0) return;
+
+  if (!midpMediaState.eventThread) midpMediaState.eventThread = JVM.createThread('media');
+  const thread = midpMediaState.eventThread;
+
+  // Listeners compare events with the interned constants
+  const name = JVM.internString(event);
+  player.listeners.slice().forEach(listener => {
+    const method = JVM.findVirtualMethod(listener.cls,
+      'playerUpdate(Ljavax/microedition/media/Player;Ljava/lang/String;Ljava/lang/Object;)V');
+    JVM.queueCall(thread, method, [listener, player, name, data]).catch(error => {
+      // Java exceptions have already been reported by the media thread
+      if (!error || !error.cls) console.error('PlayerListener event failed', error);
+    });
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Classes
+// ---------------------------------------------------------------------------
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/media/Control',
+  isInterface: true,
+  methods: {}
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/media/Controllable',
+  isInterface: true,
+  methods: {
+    'getControls()[Ljavax/microedition/media/Control;': null,
+    'getControl(Ljava/lang/String;)Ljavax/microedition/media/Control;': null
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/media/Player',
+  isInterface: true,
+  interfaces: ['javax/microedition/media/Controllable'],
+  fields: [
+    { name: 'UNREALIZED', descriptor: 'I', isStatic: true, value: midpMediaConstants.UNREALIZED },
+    { name: 'REALIZED', descriptor: 'I', isStatic: true, value: midpMediaConstants.REALIZED },
+    { name: 'PREFETCHED', descriptor: 'I', isStatic: true, value: midpMediaConstants.PREFETCHED },
+    { name: 'STARTED', descriptor: 'I', isStatic: true, value: midpMediaConstants.STARTED },
+    { name: 'CLOSED', descriptor: 'I', isStatic: true, value: midpMediaConstants.CLOSED },
+    { name: 'TIME_UNKNOWN', descriptor: 'J', isStatic: true, value: BigInt(midpMediaConstants.TIME_UNKNOWN) }
+  ],
+  methods: {
+    'realize()V': null,
+    'prefetch()V': null,
+    'start()V': null,
+    'stop()V': null,
+    'deallocate()V': null,
+    'close()V': null,
+    'setMediaTime(J)J': null,
+    'getMediaTime()J': null,
+    'getState()I': null,
+    'getDuration()J': null,
+    'getContentType()Ljava/lang/String;': null,
+    'setLoopCount(I)V': null,
+    'addPlayerListener(Ljavax/microedition/media/PlayerListener;)V': null,
+    'removePlayerListener(Ljavax/microedition/media/PlayerListener;)V': null
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/media/PlayerListener',
+  isInterface: true,
+  fields: Object.keys(midpMediaConstants.EVENTS).map(name => ({
+    name: name,
+    descriptor: 'Ljava/lang/String;',
+    isStatic: true,
+    value: midpMediaConstants.EVENTS[name]
+  })),
+  methods: {
+    'playerUpdate(Ljavax/microedition/media/Player;Ljava/lang/String;Ljava/lang/Object;)V': null
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/media/control/VolumeControl',
+  isInterface: true,
+  interfaces: ['javax/microedition/media/Control'],
+  methods: {
+    'setMute(Z)V': null,
+    'isMuted()Z': null,
+    'setLevel(I)I': null,
+    'getLevel()I': null
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/media/Manager$Volume',
+  interfaces: ['javax/microedition/media/control/VolumeControl'],
+  accessFlags: ClassFile.ACC.FINAL,
+  methods: {
+    'setMute(Z)V': (thread, self, mute) => {
+      midpMediaSetVolume(self.player, self.player.level, mute !== 0);
+    },
+    'isMuted()Z': (thread, self) => self.player.muted,
+    'setLevel(I)I': (thread, self, level) => {
+      midpMediaSetVolume(self.player, Math.min(100, Math.max(0, level)), self.player.muted);
+      return self.player.level;
+    },
+    'getLevel()I': (thread, self) => self.player.level
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/media/control/ToneControl',
+  isInterface: true,
+  interfaces: ['javax/microedition/media/Control'],
+  fields: [
+    { name: 'VERSION', descriptor: 'B', isStatic: true, value: MidiSequence.constants.TONE_VERSION },
+    { name: 'TEMPO', descriptor: 'B', isStatic: true, value: MidiSequence.constants.TONE_TEMPO },
+    { name: 'RESOLUTION', descriptor: 'B', isStatic: true, value: MidiSequence.constants.TONE_RESOLUTION },
+    { name: 'BLOCK_START', descriptor: 'B', isStatic: true, value: MidiSequence.constants.TONE_BLOCK_START },
+    { name: 'BLOCK_END', descriptor: 'B', isStatic: true, value: MidiSequence.constants.TONE_BLOCK_END },
+    { name: 'PLAY_BLOCK', descriptor: 'B', isStatic: true, value: MidiSequence.constants.TONE_PLAY_BLOCK },
+    { name: 'SET_VOLUME', descriptor: 'B', isStatic: true, value: MidiSequence.constants.TONE_SET_VOLUME },
+    { name: 'REPEAT', descriptor: 'B', isStatic: true, value: MidiSequence.constants.TONE_REPEAT },
+    { name: 'C4', descriptor: 'B', isStatic: true, value: 60 },
+    { name: 'SILENCE', descriptor: 'B', isStatic: true, value: MidiSequence.constants.TONE_SILENCE }
+  ],
+  methods: {
+    'setSequence([B)V': null
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/media/Manager$Tone',
+  interfaces: ['javax/microedition/media/control/ToneControl'],
+  accessFlags: ClassFile.ACC.FINAL,
+  methods: {
+    'setSequence([B)V': (thread, self, sequence) => midpMediaSetToneSequence(self.player, sequence)
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/media/Manager$MediaPlayer',
+  interfaces: ['javax/microedition/media/Player'],
+  accessFlags: ClassFile.ACC.FINAL,
+  methods: {
+    'realize()V': (thread, self) => midpMediaRealize(self),
+    'prefetch()V': (thread, self) => midpMediaPrefetch(self),
+    'start()V': (thread, self) => midpMediaStart(self),
+    'stop()V': (thread, self) => midpMediaStop(self),
+    'deallocate()V': (thread, self) => midpMediaDeallocate(self),
+    'close()V': (thread, self) => midpMediaClose(self),
+    'setMediaTime(J)J': (thread, self, time) => midpMediaSetTime(self, time),
+    'getMediaTime()J': (thread, self) => {
+      midpMediaCheckOpen(self);
+      return BigInt(midpMediaGetTime(self));
+    },
+    'getState()I': (thread, self) => self.playerState,
+    'getDuration()J': (thread, self) => {
+      midpMediaCheckOpen(self);
+      return BigInt(self.duration);
+    },
+    'getContentType()Ljava/lang/String;': (thread, self) => {
+      midpMediaCheckRealized(self);
+      return JVM.newString(self.contentType);
+    },
+    'setLoopCount(I)V': (thread, self, count) => midpMediaSetLoopCount(self, count),
+    'addPlayerListener(Ljavax/microedition/media/PlayerListener;)V': (thread, self, listener) => {
+      midpMediaCheckOpen(self);
+      if (listener !== null && !self.listeners.includes(listener)) self.listeners.push(listener);
+    },
+    'removePlayerListener(Ljavax/microedition/media/PlayerListener;)V': (thread, self, listener) => {
+      midpMediaCheckOpen(self);
+      const index = self.listeners.indexOf(listener);
+      if (index >= 0) self.listeners.splice(index, 1);
+    },
+    'getControls()[Ljavax/microedition/media/Control;': (thread, self) => {
+      midpMediaCheckRealized(self);
+      const list = Object.values(self.controls);
+      const controls = JVM.newArray('[Ljavax/microedition/media/Control;', list.length);
+      list.forEach((control, index) => { controls[index] = control; });
+      return controls;
+    },
+    'getControl(Ljava/lang/String;)Ljavax/microedition/media/Control;': (thread, self, type) => {
+      return midpMediaGetControl(self, type);
+    }
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/media/Manager',
+  fields: [
+    {
+      name: 'TONE_DEVICE_LOCATOR',
+      descriptor: 'Ljava/lang/String;',
+      isStatic: true,
+      value: midpMediaConstants.TONE_DEVICE_LOCATOR
+    }
+  ],
+  staticMethods: {
+    'createPlayer(Ljava/io/InputStream;Ljava/lang/String;)Ljavax/microedition/media/Player;': (thread, stream, type) => {
+      if (stream === null) throw JVM.newThrowable('java/lang/IllegalArgumentException', 'Stream is null');
+      const contentType = midpMediaCheckType(type);
+      return CldcIo.whenEnded(stream, () => midpMediaCreatePlayer(midpMediaReadStream(thread, stream), contentType));
+    },
+    'createPlayer(Ljava/lang/String;)Ljavax/microedition/media/Player;': (thread, locator) => {
+      return midpMediaCreateLocatorPlayer(thread, locator);
+    },
+    'playTone(III)V': (thread, note, duration, volume) => midpMediaPlayTone(note, duration, volume),
+    'getSupportedContentTypes(Ljava/lang/String;)[Ljava/lang/String;': (thread, protocol) => {
+      const supported = protocol === null ||
+        Object.prototype.hasOwnProperty.call(midpMediaLocators, CldcLang.text(protocol).toLowerCase());
+      const types = supported ? Object.keys(midpMediaDurations) : [];
+      const array = JVM.newArray('[Ljava/lang/String;', types.length);
+      types.forEach((type, index) => { array[index] = JVM.newString(type); });
+      return array;
+    },
+    'getSupportedProtocols(Ljava/lang/String;)[Ljava/lang/String;': (thread, type) => {
+      const supported = type === null ||
+        Object.prototype.hasOwnProperty.call(midpMediaConstants.CONTENT_TYPES, CldcLang.text(type).toLowerCase());
+      const protocols = supported ? Object.keys(midpMediaLocators) : [];
+      const array = JVM.newArray('[Ljava/lang/String;', protocols.length);
+      protocols.forEach((protocol, index) => { array[index] = JVM.newString(protocol); });
+      return array;
+    }
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/media/MediaException',
+  superName: 'java/lang/Exception',
+  methods: {}
+});
+
+// Export functions for use in other modules
+window.MidpMedia = {
+  constants: midpMediaConstants,
+  reset: midpMediaReset
+};
@@ -0,0 +1,62 @@
+/**
+ * J2ME Loader for CloudFone
+ * MIDP javax.microedition.midlet
+ *
+ * The MIDlet base class. Lifecycle requests from the MIDlet (exit, pause,
+ * application properties) are forwarded to the host services the emulator
+ * passed to JVM.reset.
+ */
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/midlet/MIDlet',
+  accessFlags: ClassFile.ACC.PUBLIC | ClassFile.ACC.ABSTRACT,
+  methods: {
+    '<init>()V': (thread, self) => {
+      // MIDP allows a single MIDlet instance per suite invocation
+      const host = JVM.state.host;
+      if (host.midlet) {
+        throw JVM.newThrowable('java/lang/SecurityException', 'MIDlet already created');
+      }
+      host.midlet = self;
+    },
+    'startApp()V': null,
+    'pauseApp()V': null,
+    'destroyApp(Z)V': null,
+    'notifyDestroyed()V': () => {
+      const host = JVM.state.host;
+      if (host.onMidletDestroyed) host.onMidletDestroyed();
+    },
+    'notifyPaused()V': () => {
+      const host = JVM.state.host;
+      if (host.onMidletPaused) host.onMidletPaused();
+    },
+    'resumeRequest()V': () => {
+      const host = JVM.state.host;
+      if (host.onResumeRequest) host.onResumeRequest();
+    },
+    'getAppProperty(Ljava/lang/String;)Ljava/lang/String;': (thread, self, name) => {
+      const host = JVM.state.host;
+      const value = host.getAppProperty ? host.getAppProperty(CldcLang.text(name)) : null;
+      return value === null || value === undefined ? null : JVM.newString(value);
+    },
+    'platformRequest(Ljava/lang/String;)Z': (thread, self, url) => {
+      const host = JVM.state.host;
+      if (host.platformRequest) host.platformRequest(CldcLang.text(url));
+      return false;
+    },
+    'checkPermission(Ljava/lang/String;)I': () => 1
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/midlet/MIDletStateChangeException',
+  superName: 'java/lang/Exception',
+  methods: {}
+});
+
+// MIDP 2.0 adds this one to java.lang
+JVM.defineNativeClass({
+  name: 'java/lang/IllegalStateException',
+  superName: 'java/lang/RuntimeException',
+  methods: {}
+});
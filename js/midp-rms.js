@@ -0,0 +1,759 @@
+/**
+ * J2ME Loader for CloudFone
+ * MIDP javax.microedition.rms
+ *
+ * Record stores live in the launcher's IndexedDB database, one entry per
+ * store holding all of its records, keyed by the installed app's ID. An
+ * open store is kept in memory so reads and writes don't block the MIDlet;
+ * every change is written back in the background, in order, and
+ * MidpRms.flush waits for those writes before the MIDlet's VM goes away.
+ * Opening, deleting and listing stores block the calling thread until the
+ * database answers.
+ *
+ * A store created with AUTHMODE_ANY can be opened by other suites by its
+ * owner's MIDlet-Vendor and MIDlet-Name, and written to if its owner made
+ * it writable.
+ */
+
+// RMS constants
+const midpRmsConstants = {
+  AUTHMODE_PRIVATE: 0,
+  AUTHMODE_ANY: 1,
+
+  // RecordComparator results
+  PRECEDES: -1,
+  EQUIVALENT: 0,
+  FOLLOWS: 1,
+
+  // Record store names are 1 to 32 characters
+  MAX_NAME_LENGTH: 32,
+
+  // Room each store gets, counting its bookkeeping
+  MAX_STORE_SIZE: 1024 * 1024,
+  STORE_OVERHEAD: 64,
+  RECORD_OVERHEAD: 16
+};
+
+// RMS state
+const midpRmsState = {
+  database: null,
+  openStores: new Map(),
+  writes: Promise.resolve()
+};
+
+// ---------------------------------------------------------------------------
+// Database
+// ---------------------------------------------------------------------------
+
+/**
+ * Open the database the first time a record store is needed, after any
+ * writes still on their way
+ * @returns {Promise} Resolves when the database can be read
+ */
+function midpRmsReady() {
+  if (!midpRmsState.database) {
+    midpRmsState.database = Database.init().catch(error => {
+      // Try again on the next request
+      midpRmsState.database = null;
+      throw error;
+    });
+  }
+  return midpRmsState.database.then(() => midpRmsState.writes);
+}
+
+/**
+ * Run a database request for a Java call, turning failures into
+ * RecordStoreException
+ * @param {Function} request - Returns a promise once the database is ready
+ * @returns {Promise} Result of the request
+ */
+function midpRmsRequest(request) {
+  return midpRmsReady()
+    .then(request)
+    .catch(error => {
+      if (error && error.cls) throw error;
+      throw JVM.newThrowable('javax/microedition/rms/RecordStoreException', error ? error.message : null);
+    });
+}
+
+/**
+ * Write a store back to the database behind any earlier writes; changes
+ * made before the write starts go out with it
+ * @param {Object} store - RecordStore
+ */
+function midpRmsSave(store) {
+  if (store.saving) return;
+  store.saving = true;
+
+  midpRmsState.writes = midpRmsState.writes
+    .then(() => {
+      store.saving = false;
+      return Database.saveRecordStore(store.data);
+    })
+    .catch(error => {
+      console.error(`Failed to save record store: ${store.data.name}`, error);
+    });
+}
+
+/**
+ * Wait for all pending writes
+ * @returns {Promise} Resolves when the database has every change
+ */
+function midpRmsFlush() {
+  return midpRmsState.writes;
+}
+
+/**
+ * Forget the open stores of the previous MIDlet
+ */
+function midpRmsReset() {
+  midpRmsState.openStores = new Map();
+}
+
+// ---------------------------------------------------------------------------
+// Record stores
+// ---------------------------------------------------------------------------
+
+/**
+ * Get the running suite's identity
+ * @returns {Object} {id, vendor, name}
+ */
+function midpRmsGetSuite() {
+  const host = JVM.state.host;
+  const property = name => (host.getAppProperty && host.getAppProperty(name)) || '';
+  return {
+    id: host.suiteId || `${property('MIDlet-Vendor')}/${property('MIDlet-Name')}`,
+    vendor: property('MIDlet-Vendor'),
+    name: property('MIDlet-Name')
+  };
+}
+
+/**
+ * Check a record store name
+ * @param {Object|null} name - Java string
+ * @returns {string} Name
+ */
+function midpRmsCheckName(name) {
+  if (name === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+  const text = CldcLang.text(name);
+  if (text.length < 1 || text.length > midpRmsConstants.MAX_NAME_LENGTH) {
+    throw JVM.newThrowable('java/lang/IllegalArgumentException', `Invalid record store name: ${text}`);
+  }
+  return text;
+}
+
+/**
+ * Check an authorization mode
+ * @param {number} authMode - AUTHMODE_PRIVATE or AUTHMODE_ANY
+ */
+function midpRmsCheckAuthMode(authMode) {
+  if (authMode !== midpRmsConstants.AUTHMODE_PRIVATE && authMode !== midpRmsConstants.AUTHMODE_ANY) {
+    throw JVM.newThrowable('java/lang/IllegalArgumentException', `Invalid authorization mode: ${authMode}`);
+  }
+}
+
+/**
+ * Get the database ID of a suite's record store
+ * @param {string} suiteId - Suite ID
+ * @param {string} name - Record store name
+ * @returns {string} Record store ID
+ */
+function midpRmsStoreId(suiteId, name) {
+  return `${suiteId}/${name}`;
+}
+
+/**
+ * Describe a new, empty record store
+ * @param {Object} suite - Owning suite, from midpRmsGetSuite
+ * @param {string} name - Record store name
+ * @param {number} authMode - AUTHMODE_PRIVATE or AUTHMODE_ANY
+ * @param {boolean} writable - Whether other suites may write to it
+ * @returns {Object} Record store data as the database holds it
+ */
+function midpRmsCreateData(suite, name, authMode, writable) {
+  return {
+    id: midpRmsStoreId(suite.id, name),
+    appId: suite.id,
+    vendor: suite.vendor,
+    suite: suite.name,
+    name: name,
+    authMode: authMode,
+    writable: writable,
+    version: 0,
+    lastModified: Date.now(),
+    nextRecordId: 1,
+    records: []
+  };
+}
+
+/**
+ * Open a record store from the database, or count another opening of one
+ * that is already open
+ * @param {Object} data - Record store data
+ * @param {boolean} owned - Whether the running suite owns it
+ * @returns {Object} javax.microedition.rms.RecordStore
+ */
+function midpRmsOpen(data, owned) {
+  let store = midpRmsState.openStores.get(data.id);
+  if (!store) {
+    store = JVM.newObject(JVM.loadClass('javax/microedition/rms/RecordStore'));
+    store.data = data;
+    store.owned = owned;
+    store.openCount = 0;
+    store.listeners = [];
+    store.enumerations = new Set();
+    store.saving = false;
+    midpRmsState.openStores.set(data.id, store);
+  }
+  store.openCount++;
+  return store;
+}
+
+/**
+ * RecordStore.openRecordStore for one of the running suite's stores
+ * @param {Object|null} name - Java string
+ * @param {boolean} create - Whether to create a missing store
+ * @param {number} authMode - Authorization mode for a new store
+ * @param {boolean} writable - Whether other suites may write to a new store
+ * @returns {Object|Promise} The RecordStore, or a promise of it if it has
+ *   to be read from the database
+ */
+function midpRmsOpenOwn(name, create, authMode, writable) {
+  const text = midpRmsCheckName(name);
+  midpRmsCheckAuthMode(authMode);
+  const suite = midpRmsGetSuite();
+  const id = midpRmsStoreId(suite.id, text);
+
+  // Opening a store that is already open needs no database
+  if (midpRmsState.openStores.has(id)) return midpRmsOpen(midpRmsState.openStores.get(id).data, true);
+
+  return midpRmsRequest(() => Database.getRecordStore(id)).then(data => {
+    // Another thread may have opened it while this one waited
+    if (midpRmsState.openStores.has(id)) return midpRmsOpen(midpRmsState.openStores.get(id).data, true);
+    if (data) return midpRmsOpen(data, true);
+
+    if (!create) {
+      throw JVM.newThrowable('javax/microedition/rms/RecordStoreNotFoundException', text);
+    }
+    const store = midpRmsOpen(midpRmsCreateData(suite, text, authMode, writable), true);
+    midpRmsSave(store);
+    return store;
+  });
+}
+
+/**
+ * RecordStore.openRecordStore for a store another suite shares
+ * @param {Object|null} name - Java string
+ * @param {Object|null} vendor - Owner's MIDlet-Vendor
+ * @param {Object|null} suiteName - Owner's MIDlet-Name
+ * @returns {Promise} Resolves with the RecordStore
+ */
+function midpRmsOpenShared(name, vendor, suiteName) {
+  const text = midpRmsCheckName(name);
+  if (vendor === null || suiteName === null) {
+    throw JVM.newThrowable('java/lang/IllegalArgumentException', 'Vendor and suite name are required');
+  }
+  const vendorText = CldcLang.text(vendor);
+  const suiteText = CldcLang.text(suiteName);
+
+  const suite = midpRmsGetSuite();
+  if (vendorText === suite.vendor && suiteText === suite.name) {
+    return midpRmsOpenOwn(name, false, midpRmsConstants.AUTHMODE_PRIVATE, false);
+  }
+
+  return midpRmsRequest(() => Database.findRecordStore(vendorText, suiteText, text)).then(data => {
+    if (!data) throw JVM.newThrowable('javax/microedition/rms/RecordStoreNotFoundException', text);
+    if (data.authMode !== midpRmsConstants.AUTHMODE_ANY) {
+      throw JVM.newThrowable('java/lang/SecurityException', `Record store ${text} is private to its suite`);
+    }
+    const open = midpRmsState.openStores.get(data.id);
+    return midpRmsOpen(open ? open.data : data, false);
+  });
+}
+
+/**
+ * Check that a store is open
+ * @param {Object} store - RecordStore
+ */
+function midpRmsCheckOpen(store) {
+  if (store.openCount === 0) {
+    throw JVM.newThrowable('javax/microedition/rms/RecordStoreNotOpenException', store.data.name);
+  }
+}
+
+/**
+ * Check that the running suite may change a store
+ * @param {Object} store - RecordStore
+ */
+function midpRmsCheckWritable(store) {
+  midpRmsCheckOpen(store);
+  if (!store.owned && !store.data.writable) {
+    throw JVM.newThrowable('java/lang/SecurityException', `Record store ${store.data.name} is read-only`);
+  }
+}
+
+/**
+ * Get the space a store takes up
+ * @param {Object} data - Record store data
+ * @returns {number} Size in bytes
+ */
+function midpRmsGetSize(data) {
+  return data.records.reduce((size, record) => size + record.data.length + midpRmsConstants.RECORD_OVERHEAD,
+    midpRmsConstants.STORE_OVERHEAD + data.name.length * 2);
+}
+
+/**
+ * Get the room left in a store for a new record
+ * @param {Object} data - Record store data
+ * @returns {number} Bytes
+ */
+function midpRmsGetRoom(data) {
+  return Math.max(0, midpRmsConstants.MAX_STORE_SIZE - midpRmsGetSize(data) - midpRmsConstants.RECORD_OVERHEAD);
+}
+
+/**
+ * Find a record
+ * @param {Object} store - RecordStore
+ * @param {number} recordId - Record ID
+ * @returns {Object} {id, data}
+ */
+function midpRmsGetRecord(store, recordId) {
+  midpRmsCheckOpen(store);
+  const record = store.data.records.find(entry => entry.id === recordId);
+  if (!record) {
+    throw JVM.newThrowable('javax/microedition/rms/InvalidRecordIDException', String(recordId));
+  }
+  return record;
+}
+
+/**
+ * Copy part of a Java byte array for storing
+ * @param {Int8Array|null} data - Java byte array, null only if numBytes is 0
+ * @param {number} offset - Start
+ * @param {number} numBytes - Length
+ * @param {number} room - Bytes the store can still take
+ * @returns {Uint8Array} Copy
+ */
+function midpRmsCopyIn(data, offset, numBytes, room) {
+  if (data === null) {
+    if (numBytes !== 0) throw JVM.newThrowable('java/lang/NullPointerException', null);
+    return new Uint8Array(0);
+  }
+  if (offset < 0 || numBytes < 0 || offset + numBytes > data.length) {
+    throw JVM.newThrowable('java/lang/ArrayIndexOutOfBoundsException', null);
+  }
+  if (numBytes > room) {
+    throw JVM.newThrowable('javax/microedition/rms/RecordStoreFullException', null);
+  }
+  return new Uint8Array(data.buffer, data.byteOffset + offset, numBytes).slice();
+}
+
+/**
+ * Copy a record into a new Java byte array
+ * @param {Uint8Array} data - Record data
+ * @returns {Int8Array|null} Java byte array, or null for an empty record
+ */
+function midpRmsCopyOut(data) {
+  if (data.length === 0) return null;
+  const array = JVM.newArray('[B', data.length);
+  array.set(new Int8Array(data.buffer, data.byteOffset, data.length));
+  return array;
+}
+
+/**
+ * Note a change to a store, write it back and tell its listeners
+ * @param {Object} thread - Current thread
+ * @param {Object} store - RecordStore
+ * @param {string} method - RecordListener method name
+ * @param {number} recordId - Record that changed
+ */
+function midpRmsChanged(thread, store, method, recordId) {
+  store.data.version++;
+  store.data.lastModified = Date.now();
+  midpRmsSave(store);
+
+  store.enumerations.forEach(enumeration => midpRmsBuildEnumeration(thread, enumeration));
+  store.listeners.slice().forEach(listener => {
+    JVM.callVirtual(thread, listener, `${method}(Ljavax/microedition/rms/RecordStore;I)V`, [store, recordId]);
+  });
+}
+
+/**
+ * RecordStore.deleteRecordStore
+ * @param {Object|null} name - Java string
+ * @returns {Promise} Resolves once the store is gone
+ */
+function midpRmsDeleteStore(name) {
+  const text = midpRmsCheckName(name);
+  const id = midpRmsStoreId(midpRmsGetSuite().id, text);
+  if (midpRmsState.openStores.has(id)) {
+    throw JVM.newThrowable('javax/microedition/rms/RecordStoreException', `Record store ${text} is open`);
+  }
+
+  return midpRmsRequest(() => Database.getRecordStore(id).then(data => {
+    if (!data) throw JVM.newThrowable('javax/microedition/rms/RecordStoreNotFoundException', text);
+    return Database.deleteRecordStore(id);
+  }));
+}
+
+/**
+ * RecordStore.listRecordStores
+ * @returns {Promise} Resolves with a String[] of names, or null if the
+ *   suite has no record stores
+ */
+function midpRmsListStores() {
+  const suiteId = midpRmsGetSuite().id;
+  return midpRmsRequest(() => Database.getRecordStores(suiteId)).then(stores => {
+    if (stores.length === 0) return null;
+    const names = JVM.newArray('[Ljava/lang/String;', stores.length);
+    stores.forEach((data, index) => {
+      names[index] = JVM.newString(data.name);
+    });
+    return names;
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Enumerations
+// ---------------------------------------------------------------------------
+
+/**
+ * Collect the IDs of the records an enumeration covers, in order
+ * @param {Object} thread - Current thread
+ * @param {Object} enumeration - RecordEnumeration
+ */
+function midpRmsBuildEnumeration(thread, enumeration) {
+  const store = enumeration.store;
+  let records = store.data.records;
+
+  if (enumeration.filter) {
+    records = records.filter(record => JVM.callVirtual(thread, enumeration.filter,
+      'matches([B)Z', [midpRmsCopyOut(record.data)]));
+  }
+  if (enumeration.comparator) {
+    const copies = new Map(records.map(record => [record, midpRmsCopyOut(record.data)]));
+    records = records.slice().sort((a, b) => JVM.callVirtual(thread, enumeration.comparator,
+      'compare([B[B)I', [copies.get(a), copies.get(b)]));
+  }
+
+  // Keep the place of the record last returned if it is still there
+  const lastId = enumeration.current === null ? null : enumeration.recordIds[enumeration.current];
+  enumeration.recordIds = records.map(record => record.id);
+  if (lastId !== null) {
+    const index = enumeration.recordIds.indexOf(lastId);
+    enumeration.current = index >= 0 ? index : Math.min(enumeration.current, enumeration.recordIds.length - 1);
+    if (enumeration.current < 0) enumeration.current = null;
+  }
+}
+
+/**
+ * RecordStore.enumerateRecords
+ * @param {Object} thread - Current thread
+ * @param {Object} store - RecordStore
+ * @param {Object|null} filter - RecordFilter
+ * @param {Object|null} comparator - RecordComparator
+ * @param {boolean} keepUpdated - Whether to follow changes to the store
+ * @returns {Object} javax.microedition.rms.RecordEnumeration
+ */
+function midpRmsEnumerate(thread, store, filter, comparator, keepUpdated) {
+  midpRmsCheckOpen(store);
+  const enumeration = JVM.newObject(JVM.loadClass('javax/microedition/rms/RecordStore$Enumeration'));
+  enumeration.store = store;
+  enumeration.filter = filter;
+  enumeration.comparator = comparator;
+  enumeration.recordIds = [];
+  enumeration.current = null;
+  enumeration.destroyed = false;
+  midpRmsBuildEnumeration(thread, enumeration);
+  midpRmsKeepUpdated(enumeration, keepUpdated);
+  return enumeration;
+}
+
+/**
+ * Start or stop following changes to an enumeration's store
+ * @param {Object} enumeration - RecordEnumeration
+ * @param {boolean} keepUpdated - Whether to follow changes
+ */
+function midpRmsKeepUpdated(enumeration, keepUpdated) {
+  if (keepUpdated) {
+    enumeration.store.enumerations.add(enumeration);
+  } else {
+    enumeration.store.enumerations.delete(enumeration);
+  }
+}
+
+/**
+ * Check that an enumeration can still be used
+ * @param {Object} enumeration - RecordEnumeration
+ */
+function midpRmsCheckEnumeration(enumeration) {
+  if (enumeration.destroyed) {
+    throw JVM.newThrowable('java/lang/IllegalStateException', 'RecordEnumeration destroyed');
+  }
+}
+
+/**
+ * Get the index the next or previous step of an enumeration lands on
+ * @param {Object} enumeration - RecordEnumeration
+ * @param {number} step - 1 for next, -1 for previous
+ * @returns {number} Index, out of range at either end
+ */
+function midpRmsStepIndex(enumeration, step) {
+  // After a reset, next starts at the first record and previous at the last
+  if (enumeration.current === null) return step > 0 ? 0 : enumeration.recordIds.length - 1;
+  return enumeration.current + step;
+}
+
+/**
+ * Move an enumeration to its next or previous record
+ * @param {Object} enumeration - RecordEnumeration
+ * @param {number} step - 1 for next, -1 for previous
+ * @returns {number} Record ID
+ */
+function midpRmsStep(enumeration, step) {
+  midpRmsCheckEnumeration(enumeration);
+  const index = midpRmsStepIndex(enumeration, step);
+  if (index < 0 || index >= enumeration.recordIds.length) {
+    throw JVM.newThrowable('javax/microedition/rms/InvalidRecordIDException', 'No more records');
+  }
+  enumeration.current = index;
+  return enumeration.recordIds[index];
+}
+
+// ---------------------------------------------------------------------------
+// Classes
+// ---------------------------------------------------------------------------
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/rms/RecordFilter',
+  isInterface: true,
+  methods: {
+    'matches([B)Z': null
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/rms/RecordComparator',
+  isInterface: true,
+  fields: [
+    { name: 'PRECEDES', descriptor: 'I', isStatic: true, value: midpRmsConstants.PRECEDES },
+    { name: 'EQUIVALENT', descriptor: 'I', isStatic: true, value: midpRmsConstants.EQUIVALENT },
+    { name: 'FOLLOWS', descriptor: 'I', isStatic: true, value: midpRmsConstants.FOLLOWS }
+  ],
+  methods: {
+    'compare([B[B)I': null
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/rms/RecordListener',
+  isInterface: true,
+  methods: {
+    'recordAdded(Ljavax/microedition/rms/RecordStore;I)V': null,
+    'recordChanged(Ljavax/microedition/rms/RecordStore;I)V': null,
+    'recordDeleted(Ljavax/microedition/rms/RecordStore;I)V': null
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/rms/RecordEnumeration',
+  isInterface: true,
+  methods: {
+    'numRecords()I': null,
+    'nextRecord()[B': null,
+    'nextRecordId()I': null,
+    'previousRecord()[B': null,
+    'previousRecordId()I': null,
+    'hasNextElement()Z': null,
+    'hasPreviousElement()Z': null,
+    'reset()V': null,
+    'rebuild()V': null,
+    'keepUpdated(Z)V': null,
+    'isKeptUpdated()Z': null,
+    'destroy()V': null
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/rms/RecordStore$Enumeration',
+  interfaces: ['javax/microedition/rms/RecordEnumeration'],
+  accessFlags: ClassFile.ACC.FINAL,
+  methods: {
+    'numRecords()I': (thread, self) => {
+      midpRmsCheckEnumeration(self);
+      return self.recordIds.length;
+    },
+    'nextRecord()[B': (thread, self) => {
+      midpRmsCheckOpen(self.store);
+      return midpRmsCopyOut(midpRmsGetRecord(self.store, midpRmsStep(self, 1)).data);
+    },
+    'nextRecordId()I': (thread, self) => midpRmsStep(self, 1),
+    'previousRecord()[B': (thread, self) => {
+      midpRmsCheckOpen(self.store);
+      return midpRmsCopyOut(midpRmsGetRecord(self.store, midpRmsStep(self, -1)).data);
+    },
+    'previousRecordId()I': (thread, self) => midpRmsStep(self, -1),
+    'hasNextElement()Z': (thread, self) => {
+      midpRmsCheckEnumeration(self);
+      return midpRmsStepIndex(self, 1) < self.recordIds.length;
+    },
+    'hasPreviousElement()Z': (thread, self) => {
+      midpRmsCheckEnumeration(self);
+      return midpRmsStepIndex(self, -1) >= 0;
+    },
+    'reset()V': (thread, self) => {
+      midpRmsCheckEnumeration(self);
+      self.current = null;
+    },
+    'rebuild()V': (thread, self) => {
+      midpRmsCheckEnumeration(self);
+      midpRmsBuildEnumeration(thread, self);
+    },
+    'keepUpdated(Z)V': (thread, self, keepUpdated) => {
+      midpRmsCheckEnumeration(self);
+      midpRmsKeepUpdated(self, keepUpdated !== 0);
+      if (keepUpdated) midpRmsBuildEnumeration(thread, self);
+    },
+    'isKeptUpdated()Z': (thread, self) => {
+      midpRmsCheckEnumeration(self);
+      return self.store.enumerations.has(self);
+    },
+    'destroy()V': (thread, self) => {
+      midpRmsCheckEnumeration(self);
+      midpRmsKeepUpdated(self, false);
+      self.destroyed = true;
+    }
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/rms/RecordStore',
+  accessFlags: ClassFile.ACC.PUBLIC | ClassFile.ACC.FINAL,
+  fields: [
+    { name: 'AUTHMODE_PRIVATE', descriptor: 'I', isStatic: true, value: midpRmsConstants.AUTHMODE_PRIVATE },
+    { name: 'AUTHMODE_ANY', descriptor: 'I', isStatic: true, value: midpRmsConstants.AUTHMODE_ANY }
+  ],
+  staticMethods: {
+    'openRecordStore(Ljava/lang/String;Z)Ljavax/microedition/rms/RecordStore;': (thread, name, create) => {
+      return midpRmsOpenOwn(name, create !== 0, midpRmsConstants.AUTHMODE_PRIVATE, false);
+    },
+    'openRecordStore(Ljava/lang/String;ZIZ)Ljavax/microedition/rms/RecordStore;': (thread, name, create, authMode, writable) => {
+      return midpRmsOpenOwn(name, create !== 0, authMode, writable !== 0);
+    },
+    'openRecordStore(Ljava/lang/String;Ljava/lang/String;Ljava/lang/String;)Ljavax/microedition/rms/RecordStore;': (thread, name, vendor, suite) => {
+      return midpRmsOpenShared(name, vendor, suite);
+    },
+    'deleteRecordStore(Ljava/lang/String;)V': (thread, name) => midpRmsDeleteStore(name),
+    'listRecordStores()[Ljava/lang/String;': () => midpRmsListStores()
+  },
+  methods: {
+    'closeRecordStore()V': (thread, self) => {
+      midpRmsCheckOpen(self);
+      self.openCount--;
+      if (self.openCount > 0) return;
+
+      // Fully closed: the next open starts afresh from the saved copy
+      midpRmsState.openStores.delete(self.data.id);
+      self.listeners = [];
+      self.enumerations.clear();
+    },
+    'getName()Ljava/lang/String;': (thread, self) => {
+      midpRmsCheckOpen(self);
+      return JVM.newString(self.data.name);
+    },
+    'getVersion()I': (thread, self) => {
+      midpRmsCheckOpen(self);
+      return self.data.version;
+    },
+    'getLastModified()J': (thread, self) => {
+      midpRmsCheckOpen(self);
+      return BigInt(self.data.lastModified);
+    },
+    'getNumRecords()I': (thread, self) => {
+      midpRmsCheckOpen(self);
+      return self.data.records.length;
+    },
+    'getSize()I': (thread, self) => {
+      midpRmsCheckOpen(self);
+      return midpRmsGetSize(self.data);
+    },
+    'getSizeAvailable()I': (thread, self) => {
+      midpRmsCheckOpen(self);
+      return midpRmsGetRoom(self.data);
+    },
+    'getNextRecordID()I': (thread, self) => {
+      midpRmsCheckOpen(self);
+      return self.data.nextRecordId;
+    },
+    'setMode(IZ)V': (thread, self, authMode, writable) => {
+      midpRmsCheckOpen(self);
+      if (!self.owned) throw JVM.newThrowable('java/lang/SecurityException', 'Only the owning suite can change the mode');
+      midpRmsCheckAuthMode(authMode);
+      self.data.authMode = authMode;
+      self.data.writable = writable !== 0;
+      midpRmsSave(self);
+    },
+    'addRecord([BII)I': (thread, self, data, offset, numBytes) => {
+      midpRmsCheckWritable(self);
+      const bytes = midpRmsCopyIn(data, offset, numBytes, midpRmsGetRoom(self.data));
+
+      const recordId = self.data.nextRecordId++;
+      self.data.records.push({ id: recordId, data: bytes });
+      midpRmsChanged(thread, self, 'recordAdded', recordId);
+      return recordId;
+    },
+    'setRecord(I[BII)V': (thread, self, recordId, data, offset, numBytes) => {
+      midpRmsCheckWritable(self);
+      const record = midpRmsGetRecord(self, recordId);
+      record.data = midpRmsCopyIn(data, offset, numBytes,
+        midpRmsGetRoom(self.data) + midpRmsConstants.RECORD_OVERHEAD + record.data.length);
+      midpRmsChanged(thread, self, 'recordChanged', recordId);
+    },
+    'deleteRecord(I)V': (thread, self, recordId) => {
+      midpRmsCheckWritable(self);
+      const record = midpRmsGetRecord(self, recordId);
+      self.data.records.splice(self.data.records.indexOf(record), 1);
+      midpRmsChanged(thread, self, 'recordDeleted', recordId);
+    },
+    'getRecordSize(I)I': (thread, self, recordId) => midpRmsGetRecord(self, recordId).data.length,
+    'getRecord(I)[B': (thread, self, recordId) => midpRmsCopyOut(midpRmsGetRecord(self, recordId).data),
+    'getRecord(I[BI)I': (thread, self, recordId, buffer, offset) => {
+      const data = midpRmsGetRecord(self, recordId).data;
+      if (buffer === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      if (offset < 0 || offset + data.length > buffer.length) {
+        throw JVM.newThrowable('java/lang/ArrayIndexOutOfBoundsException', null);
+      }
+      buffer.set(new Int8Array(data.buffer, data.byteOffset, data.length), offset);
+      return data.length;
+    },
+    'enumerateRecords(Ljavax/microedition/rms/RecordFilter;Ljavax/microedition/rms/RecordComparator;Z)Ljavax/microedition/rms/RecordEnumeration;': (thread, self, filter, comparator, keepUpdated) => {
+      return midpRmsEnumerate(thread, self, filter, comparator, keepUpdated !== 0);
+    },
+    'addRecordListener(Ljavax/microedition/rms/RecordListener;)V': (thread, self, listener) => {
+      midpRmsCheckOpen(self);
+      if (listener !== null && !self.listeners.includes(listener)) self.listeners.push(listener);
+    },
+    'removeRecordListener(Ljavax/microedition/rms/RecordListener;)V': (thread, self, listener) => {
+      midpRmsCheckOpen(self);
+      const index = self.listeners.indexOf(listener);
+      if (index >= 0) self.listeners.splice(index, 1);
+    }
+  }
+});
+
+[
+  ['javax/microedition/rms/RecordStoreException', 'java/lang/Exception'],
+  ['javax/microedition/rms/RecordStoreFullException', 'javax/microedition/rms/RecordStoreException'],
+  ['javax/microedition/rms/RecordStoreNotFoundException', 'javax/microedition/rms/RecordStoreException'],
+  ['javax/microedition/rms/RecordStoreNotOpenException', 'javax/microedition/rms/RecordStoreException'],
+  ['javax/microedition/rms/InvalidRecordIDException', 'javax/microedition/rms/RecordStoreException']
+].forEach(([name, superName]) => {
+  JVM.defineNativeClass({ name: name, superName: superName, methods: {} });
+});
+
+// Export functions for use in other modules
+window.MidpRms = {
+  constants: midpRmsConstants,
+  flush: midpRmsFlush,
+  reset: midpRmsReset
+};
@@ -0,0 +1,592 @@
+/**
+ * J2ME Loader for CloudFone
+ * MIDP javax.microedition.lcdui screens
+ *
+ * Form, List, TextBox and Alert aren't drawn into the framebuffer. While
+ * one of them is current the host gets a plain description of it, built
+ * from its items (see MidpItem.describe), and the page shows it with its
+ * own widgets; a Canvas becoming current takes the screen back. Every
+ * object the page may send events for is given an id in the description.
+ *
+ * Showing a screen is an event-thread job, so that CustomItems paint
+ * there and changes the MIDlet makes in a row are shown once.
+ *
+ * An implicit List reports selections through its select command, and an
+ * Alert's timeout and dismissal go through Alert.DISMISS_COMMAND, so that
+ * MIDlets with a CommandListener see them as commands.
+ */
+
+// Screen constants
+const midpScreenConstants = {
+  // Alert.FOREVER and the timeout alerts get unless told otherwise
+  FOREVER: -2,
+  DEFAULT_TIMEOUT: 2000,
+
+  // Names of the AlertType constants, as the page sees them
+  ALERT_TYPES: ['INFO', 'WARNING', 'ERROR', 'ALARM', 'CONFIRMATION']
+};
+
+/**
+ * Get the screen state of the running VM, kept on the Screen class so that
+ * JVM.reset starts from a clean slate
+ * @returns {Object} Screen state
+ */
+function midpScreenGetState() {
+  const screenClass = JVM.loadClass('javax/microedition/lcdui/Screen');
+  if (!screenClass.screens) {
+    screenClass.screens = {
+      nextId: 1,
+      targets: new Map(),
+      alertTimer: null
+    };
+  }
+  return screenClass.screens;
+}
+
+/**
+ * Check whether an object is a Screen
+ * @param {Object|null} obj - Object
+ * @returns {boolean} True for Form, List, TextBox and Alert
+ */
+function midpScreenIsScreen(obj) {
+  return obj !== null && JVM.isInstanceOf(obj, JVM.loadClass('javax/microedition/lcdui/Screen'));
+}
+
+/**
+ * Check whether an object is a Form
+ * @param {Object|null} obj - Object
+ * @returns {boolean} True for Form
+ */
+function midpScreenIsForm(obj) {
+  return obj !== null && JVM.isInstanceOf(obj, JVM.loadClass('javax/microedition/lcdui/Form'));
+}
+
+/**
+ * Check whether an object is an Alert
+ * @param {Object|null} obj - Object
+ * @returns {boolean} True for Alert
+ */
+function midpScreenIsAlert(obj) {
+  return obj !== null && JVM.isInstanceOf(obj, JVM.loadClass('javax/microedition/lcdui/Alert'));
+}
+
+// ---------------------------------------------------------------------------
+// Showing screens
+// ---------------------------------------------------------------------------
+
+/**
+ * Show a screen again if it is current, once the event thread gets to it
+ * @param {Object} screen - Screen
+ */
+function midpScreenRefresh(screen) {
+  if (MidpLcdui.getState().current !== screen || screen.refreshQueued) return;
+
+  screen.refreshQueued = true;
+  MidpLcdui.postEvent(() => {
+    screen.refreshQueued = false;
+    return midpScreenShow(screen);
+  });
+}
+
+/**
+ * Paint a screen's CustomItems and hand its description to the host
+ * @param {Object} screen - Screen
+ * @returns {Promise} Resolves once the description has been posted
+ */
+function midpScreenShow(screen) {
+  const isCurrent = () => MidpLcdui.getState().current === screen;
+  if (!isCurrent()) return Promise.resolve();
+
+  const customItems = (screen.items || []).filter(item => item.kind === 'custom');
+  const painted = customItems.reduce((previous, item) => previous.then(() => {
+    return MidpItem.paintCustom(item).catch(error => {
+      // Java exceptions have already been reported by the event thread
+      if (!error || !error.cls) console.error('CustomItem paint failed', error);
+    });
+  }), Promise.resolve());
+
+  return painted.then(() => {
+    if (!isCurrent()) return;
+    JVM.state.host.showScreen(midpScreenDescribe(screen));
+    if (midpScreenIsAlert(screen)) midpScreenStartAlertTimer(screen);
+  });
+}
+
+/**
+ * Give an object an id the page can send events for
+ * @param {Object} target - Item or screen
+ * @returns {number} Id
+ */
+function midpScreenRegister(target) {
+  const state = midpScreenGetState();
+  if (!target.screenId) target.screenId = state.nextId++;
+  state.targets.set(target.screenId, target);
+  return target.screenId;
+}
+
+/**
+ * Describe a screen for the page
+ * @param {Object} screen - Form, List, TextBox or Alert
+ * @returns {Object} {id, kind, title, items}
+ */
+function midpScreenDescribe(screen) {
+  // Only the screen on display can receive events
+  midpScreenGetState().targets.clear();
+
+  const description = {
+    id: midpScreenRegister(screen),
+    kind: screen.screenType,
+    title: screen.title ? screen.title.str : null,
+    items: []
+  };
+
+  switch (screen.screenType) {
+    case 'form':
+      description.items = screen.items.map(item => MidpItem.describe(item, midpScreenRegister(item)));
+      break;
+    case 'list':
+    case 'textbox':
+      description.items = [MidpItem.describe(screen, description.id)];
+      break;
+    case 'alert':
+      description.alertType = screen.alertType ? screen.alertType.alertType : null;
+      if (screen.image) {
+        description.items.push({ id: 0, type: 'image', label: null, layout: 3, image: MidpItem.describeImage(screen.image) });
+      }
+      if (screen.text !== null) {
+        description.items.push({ id: 0, type: 'string', label: null, layout: 0, text: screen.text, appearance: 0 });
+      }
+      if (screen.indicator) {
+        description.items.push(MidpItem.describe(screen.indicator, 0));
+      }
+      break;
+  }
+  return description;
+}
+
+/**
+ * Apply an event the page sent for the current screen
+ * @param {Object} event - {id, action, ...}
+ */
+function midpScreenHandleEvent(event) {
+  const target = midpScreenGetState().targets.get(event.id);
+  if (!target) return;
+
+  if (event.action === 'dismiss') {
+    if (midpScreenIsAlert(target)) MidpLcdui.fireCommand(target, midpScreenGetDismissCommand());
+    return;
+  }
+
+  // The page already shows the change, so only the listener hears of it
+  const changed = MidpItem.handleEvent(target, event);
+  if (changed && target.owner && midpScreenIsForm(target.owner)) {
+    midpScreenNotifyItemState(target);
+  }
+
+  // Picking an element of an implicit list is its select command
+  if (changed && event.action === 'select' && midpScreenIsImplicitList(target) && target.selectCommand) {
+    MidpLcdui.fireCommand(target, target.selectCommand);
+  }
+}
+
+/**
+ * Tell a Form's ItemStateListener that one of its items has changed
+ * @param {Object} item - Item
+ */
+function midpScreenNotifyItemState(item) {
+  const listener = item.owner.itemStateListener;
+  if (!listener) return;
+  MidpLcdui.postEvent(() => MidpLcdui.call(listener, 'itemStateChanged(Ljavax/microedition/lcdui/Item;)V', [item]));
+}
+
+// ---------------------------------------------------------------------------
+// Form items
+// ---------------------------------------------------------------------------
+
+/**
+ * Check that an item can be put on a form
+ * @param {Object|null} item - Item
+ */
+function midpScreenCheckItem(item) {
+  if (item === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+  if (item.owner) throw JVM.newThrowable('java/lang/IllegalStateException', 'Item is already owned by a container');
+}
+
+/**
+ * Add an item to a form
+ * @param {Object} form - Form
+ * @param {number} index - Position
+ * @param {Object} item - Item
+ */
+function midpScreenInsertItem(form, index, item) {
+  midpScreenCheckItem(item);
+  if (index < 0 || index > form.items.length) {
+    throw JVM.newThrowable('java/lang/IndexOutOfBoundsException', `Index ${index} out of range 0..${form.items.length}`);
+  }
+  item.owner = form;
+  form.items.splice(index, 0, item);
+  midpScreenRefresh(form);
+}
+
+/**
+ * Check an item index of a form
+ * @param {Object} form - Form
+ * @param {number} index - Index
+ */
+function midpScreenCheckIndex(form, index) {
+  if (index < 0 || index >= form.items.length) {
+    throw JVM.newThrowable('java/lang/IndexOutOfBoundsException', `Index ${index} out of range 0..${form.items.length - 1}`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Lists
+// ---------------------------------------------------------------------------
+
+/**
+ * Set up a List
+ * @param {Object} self - List
+ * @param {Object|null} title - Title
+ * @param {number} type - EXCLUSIVE, MULTIPLE or IMPLICIT
+ * @param {Array} strings - Element texts
+ * @param {Array|null} images - Element images
+ */
+function midpScreenInitList(self, title, type, strings, images) {
+  const constants = MidpItem.constants;
+  if (type !== constants.EXCLUSIVE && type !== constants.MULTIPLE && type !== constants.IMPLICIT) {
+    throw JVM.newThrowable('java/lang/IllegalArgumentException', `Invalid list type: ${type}`);
+  }
+  self.title = title;
+  self.label = null;
+  self.screenType = 'list';
+  self.selectCommand = midpScreenGetSelectCommand();
+  MidpItem.choiceInit(self, type, strings, images);
+}
+
+/**
+ * Get List.SELECT_COMMAND
+ * @returns {Object} Command
+ */
+function midpScreenGetSelectCommand() {
+  return JVM.getStatic(JVM.loadClass('javax/microedition/lcdui/List'),
+    'SELECT_COMMAND', 'Ljavax/microedition/lcdui/Command;');
+}
+
+/**
+ * Check whether a screen is an implicit List
+ * @param {Object} screen - Screen, item or choice
+ * @returns {boolean} True for a List of type IMPLICIT
+ */
+function midpScreenIsImplicitList(screen) {
+  return screen.screenType === 'list' && screen.choiceType === MidpItem.constants.IMPLICIT;
+}
+
+// ---------------------------------------------------------------------------
+// Alerts
+// ---------------------------------------------------------------------------
+
+/**
+ * Set up an Alert
+ * @param {Object} self - Alert
+ * @param {Object|null} title - Title
+ * @param {Object|null} text - Message
+ * @param {Object|null} image - Image
+ * @param {Object|null} alertType - AlertType
+ */
+function midpScreenInitAlert(self, title, text, image, alertType) {
+  self.title = title;
+  self.screenType = 'alert';
+  self.text = text === null ? null : text.str;
+  self.image = image;
+  self.alertType = alertType;
+  self.indicator = null;
+  self.timeout = midpScreenConstants.DEFAULT_TIMEOUT;
+  self.next = null;
+}
+
+/**
+ * Remember which displayable an alert gives way to
+ * @param {Object} alert - Alert
+ * @param {Object|null} next - Displayable; an alert shown over another
+ *   alert goes back to where that one would have
+ */
+function midpScreenSetAlertNext(alert, next) {
+  alert.next = midpScreenIsAlert(next) ? next.next : next;
+}
+
+/**
+ * Start the timer that takes down a timed alert
+ * @param {Object} alert - Alert now on screen
+ */
+function midpScreenStartAlertTimer(alert) {
+  const state = midpScreenGetState();
+  if (state.alertTimer) clearTimeout(state.alertTimer);
+  state.alertTimer = null;
+
+  // An alert with a choice of commands waits for the user
+  if (alert.timeout === midpScreenConstants.FOREVER || MidpLcdui.getCommands(alert).length > 1) return;
+
+  state.alertTimer = setTimeout(() => {
+    state.alertTimer = null;
+    if (MidpLcdui.getState().current === alert) MidpLcdui.fireCommand(alert, midpScreenGetDismissCommand());
+  }, alert.timeout);
+}
+
+/**
+ * Take an alert down and show what it gives way to
+ * @param {Object} alert - Alert
+ */
+function midpScreenDismissAlert(alert) {
+  if (MidpLcdui.getState().current !== alert || !alert.next) return;
+  MidpLcdui.setCurrent(alert.next);
+}
+
+/**
+ * Get Alert.DISMISS_COMMAND
+ * @returns {Object} Command
+ */
+function midpScreenGetDismissCommand() {
+  return JVM.getStatic(JVM.loadClass('javax/microedition/lcdui/Alert'),
+    'DISMISS_COMMAND', 'Ljavax/microedition/lcdui/Command;');
+}
+
+/**
+ * Make an AlertType object
+ * @param {Object} cls - AlertType class
+ * @param {string} name - Constant name
+ * @returns {Object} javax.microedition.lcdui.AlertType
+ */
+function midpScreenNewAlertType(cls, name) {
+  const alertType = JVM.newObject(cls);
+  alertType.alertType = name;
+  return alertType;
+}
+
+// ---------------------------------------------------------------------------
+// Classes
+// ---------------------------------------------------------------------------
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/lcdui/Screen',
+  superName: 'javax/microedition/lcdui/Displayable',
+  accessFlags: ClassFile.ACC.PUBLIC | ClassFile.ACC.ABSTRACT,
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/lcdui/Form',
+  superName: 'javax/microedition/lcdui/Screen',
+  methods: {
+    '<init>(Ljava/lang/String;)V': (thread, self, title) => {
+      self.title = title;
+      self.screenType = 'form';
+      self.items = [];
+      self.itemStateListener = null;
+    },
+    '<init>(Ljava/lang/String;[Ljavax/microedition/lcdui/Item;)V': (thread, self, title, items) => {
+      self.title = title;
+      self.screenType = 'form';
+      self.items = [];
+      self.itemStateListener = null;
+      if (items === null) return;
+
+      for (let i = 0; i < items.length; i++) {
+        midpScreenCheckItem(items[i]);
+        if (self.items.includes(items[i])) {
+          throw JVM.newThrowable('java/lang/IllegalStateException', 'Item appears twice');
+        }
+        self.items.push(items[i]);
+      }
+      self.items.forEach(item => {
+        item.owner = self;
+      });
+    },
+    'append(Ljavax/microedition/lcdui/Item;)I': (thread, self, item) => {
+      midpScreenInsertItem(self, self.items.length, item);
+      return self.items.length - 1;
+    },
+    'append(Ljava/lang/String;)I': (thread, self, text) => {
+      midpScreenInsertItem(self, self.items.length, MidpItem.newStringItem(text));
+      return self.items.length - 1;
+    },
+    'append(Ljavax/microedition/lcdui/Image;)I': (thread, self, image) => {
+      midpScreenInsertItem(self, self.items.length, MidpItem.newImageItem(image));
+      return self.items.length - 1;
+    },
+    'insert(ILjavax/microedition/lcdui/Item;)V': (thread, self, index, item) => {
+      midpScreenInsertItem(self, index, item);
+    },
+    'set(ILjavax/microedition/lcdui/Item;)V': (thread, self, index, item) => {
+      midpScreenCheckIndex(self, index);
+      midpScreenCheckItem(item);
+      self.items[index].owner = null;
+      self.items[index] = item;
+      item.owner = self;
+      midpScreenRefresh(self);
+    },
+    'delete(I)V': (thread, self, index) => {
+      midpScreenCheckIndex(self, index);
+      self.items[index].owner = null;
+      self.items.splice(index, 1);
+      midpScreenRefresh(self);
+    },
+    'deleteAll()V': (thread, self) => {
+      self.items.forEach(item => {
+        item.owner = null;
+      });
+      self.items = [];
+      midpScreenRefresh(self);
+    },
+    'get(I)Ljavax/microedition/lcdui/Item;': (thread, self, index) => {
+      midpScreenCheckIndex(self, index);
+      return self.items[index];
+    },
+    'size()I': (thread, self) => self.items.length,
+    'setItemStateListener(Ljavax/microedition/lcdui/ItemStateListener;)V': (thread, self, listener) => {
+      self.itemStateListener = listener;
+    }
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/lcdui/List',
+  superName: 'javax/microedition/lcdui/Screen',
+  interfaces: ['javax/microedition/lcdui/Choice'],
+  fields: [
+    { name: 'SELECT_COMMAND', descriptor: 'Ljavax/microedition/lcdui/Command;', isStatic: true }
+  ],
+  methods: Object.assign({
+    '<init>(Ljava/lang/String;I)V': (thread, self, title, type) => {
+      midpScreenInitList(self, title, type, [], null);
+    },
+    '<init>(Ljava/lang/String;I[Ljava/lang/String;[Ljavax/microedition/lcdui/Image;)V': (thread, self, title, type, strings, images) => {
+      midpScreenInitList(self, title, type, strings, images);
+    },
+    'setSelectCommand(Ljavax/microedition/lcdui/Command;)V': (thread, self, command) => {
+      if (!midpScreenIsImplicitList(self)) return;
+
+      // SELECT_COMMAND itself is never shown; any other command also goes
+      // on the soft keys
+      if (command !== null && command !== midpScreenGetSelectCommand()) MidpLcdui.addCommand(self, command);
+      self.selectCommand = command;
+    },
+    'removeCommand(Ljavax/microedition/lcdui/Command;)V': (thread, self, command) => {
+      if (command !== null && command === self.selectCommand) self.selectCommand = null;
+      MidpLcdui.removeCommand(self, command);
+    }
+  }, MidpItem.choiceMethods()),
+  initialize: cls => {
+    JVM.setStatic(cls, 'SELECT_COMMAND', 'Ljavax/microedition/lcdui/Command;',
+      MidpLcdui.newCommand('', MidpLcdui.constants.SCREEN, 0));
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/lcdui/TextBox',
+  superName: 'javax/microedition/lcdui/Screen',
+  methods: Object.assign({
+    '<init>(Ljava/lang/String;Ljava/lang/String;II)V': (thread, self, title, text, maxSize, constraints) => {
+      self.title = title;
+      self.label = null;
+      self.screenType = 'textbox';
+      MidpItem.textInit(self, text, maxSize, constraints);
+    }
+  }, MidpItem.textMethods())
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/lcdui/AlertType',
+  fields: midpScreenConstants.ALERT_TYPES.map(name => ({
+    name: name,
+    descriptor: 'Ljavax/microedition/lcdui/AlertType;',
+    isStatic: true
+  })),
+  methods: {
+    '<init>()V': (thread, self) => {
+      self.alertType = null;
+    },
+    'playSound(Ljavax/microedition/lcdui/Display;)Z': (thread, self, display) => {
+      if (display === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      return false;
+    }
+  },
+  initialize: cls => {
+    midpScreenConstants.ALERT_TYPES.forEach(name => {
+      JVM.setStatic(cls, name, 'Ljavax/microedition/lcdui/AlertType;', midpScreenNewAlertType(cls, name));
+    });
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/lcdui/Alert',
+  superName: 'javax/microedition/lcdui/Screen',
+  fields: [
+    { name: 'FOREVER', descriptor: 'I', isStatic: true, value: midpScreenConstants.FOREVER },
+    { name: 'DISMISS_COMMAND', descriptor: 'Ljavax/microedition/lcdui/Command;', isStatic: true }
+  ],
+  methods: {
+    '<init>(Ljava/lang/String;)V': (thread, self, title) => {
+      midpScreenInitAlert(self, title, null, null, null);
+    },
+    '<init>(Ljava/lang/String;Ljava/lang/String;Ljavax/microedition/lcdui/Image;Ljavax/microedition/lcdui/AlertType;)V': (thread, self, title, text, image, alertType) => {
+      midpScreenInitAlert(self, title, text, image, alertType);
+    },
+    'getDefaultTimeout()I': () => midpScreenConstants.DEFAULT_TIMEOUT,
+    'getTimeout()I': (thread, self) => self.timeout,
+    'setTimeout(I)V': (thread, self, timeout) => {
+      if (timeout <= 0 && timeout !== midpScreenConstants.FOREVER) {
+        throw JVM.newThrowable('java/lang/IllegalArgumentException', `Invalid timeout: ${timeout}`);
+      }
+      self.timeout = timeout;
+    },
+    'getType()Ljavax/microedition/lcdui/AlertType;': (thread, self) => self.alertType,
+    'setType(Ljavax/microedition/lcdui/AlertType;)V': (thread, self, alertType) => {
+      self.alertType = alertType;
+      midpScreenRefresh(self);
+    },
+    'getString()Ljava/lang/String;': (thread, self) => self.text === null ? null : JVM.newString(self.text),
+    'setString(Ljava/lang/String;)V': (thread, self, text) => {
+      self.text = text === null ? null : text.str;
+      midpScreenRefresh(self);
+    },
+    'getImage()Ljavax/microedition/lcdui/Image;': (thread, self) => self.image,
+    'setImage(Ljavax/microedition/lcdui/Image;)V': (thread, self, image) => {
+      self.image = image;
+      midpScreenRefresh(self);
+    },
+    'getIndicator()Ljavax/microedition/lcdui/Gauge;': (thread, self) => self.indicator,
+    'setIndicator(Ljavax/microedition/lcdui/Gauge;)V': (thread, self, indicator) => {
+      if (indicator !== null) {
+        if (indicator.interactive || indicator.owner || indicator.label !== null || indicator.layout !== 0) {
+          throw JVM.newThrowable('java/lang/IllegalArgumentException', 'Gauge cannot be an alert indicator');
+        }
+        indicator.owner = self;
+      }
+      if (self.indicator) self.indicator.owner = null;
+      self.indicator = indicator;
+      midpScreenRefresh(self);
+    },
+    'addCommand(Ljavax/microedition/lcdui/Command;)V': (thread, self, command) => {
+      // DISMISS_COMMAND is only offered while there are no others
+      if (command !== null && command === midpScreenGetDismissCommand()) return;
+      MidpLcdui.addCommand(self, command);
+    }
+  },
+  initialize: cls => {
+    JVM.setStatic(cls, 'DISMISS_COMMAND', 'Ljavax/microedition/lcdui/Command;',
+      MidpLcdui.newCommand('Done', MidpLcdui.constants.OK, 0));
+  }
+});
+
+// Export functions for use in other modules
+window.MidpScreen = {
+  constants: midpScreenConstants,
+  isScreen: midpScreenIsScreen,
+  isForm: midpScreenIsForm,
+  isAlert: midpScreenIsAlert,
+  refresh: midpScreenRefresh,
+  handleEvent: midpScreenHandleEvent,
+  notifyItemState: midpScreenNotifyItemState,
+  setAlertNext: midpScreenSetAlertNext,
+  dismissAlert: midpScreenDismissAlert,
+  getDismissCommand: midpScreenGetDismissCommand
+};
@@ -0,0 +1,838 @@
+/**
+ * J2ME Loader for CloudFone
+ * MIDP javax.microedition.io sockets and datagrams
+ *
+ * SocketConnection, ServerSocketConnection and UDPDatagramConnection for
+ * socket:// and datagram:// URLs. Browsers can't open sockets, so each
+ * connection is a WebSocket to a relay, set in the global settings, that
+ * makes the real connection for it; test-apps/socket-relay.js is one.
+ *
+ * The first message on a relay WebSocket is a JSON command, answered in
+ * JSON or with {type: 'error', message}:
+ *   {type: 'connect', host, port} - connect to a TCP server; answered with
+ *     {type: 'connected', address, port, localAddress, localPort}, after
+ *     which binary messages carry the stream both ways
+ *   {type: 'listen', port} - listen on the relay's host; answered with
+ *     {type: 'listening', address, port}, then {type: 'accepted', id} for
+ *     each client, whose stream a new WebSocket takes over by sending
+ *     {type: 'accept', id} and is then answered as for connect
+ *   {type: 'bind', port} - open a UDP port; answered with {type: 'bound',
+ *     address, port}, after which {type: 'datagram', host, port, data}
+ *     messages, with the data in base64, carry datagrams both ways
+ * Sockets also send {type: 'option', name, value} for the options the
+ * relay applies.
+ *
+ * Incoming bytes are buffered; reads block until some have arrived, and
+ * DataInputStream and InputStreamReader wait on the buffer as well.
+ */
+
+// Socket constants
+const midpSocketConstants = {
+  // SocketConnection options, by the byte the MIDlet passes
+  OPTIONS: ['DELAY', 'LINGER', 'KEEPALIVE', 'RCVBUF', 'SNDBUF'],
+  OPTION_DEFAULTS: { DELAY: 1, LINGER: 0, KEEPALIVE: 1, RCVBUF: 8192, SNDBUF: 8192 },
+
+  // Largest datagram UDP can carry, and the size that travels unfragmented
+  MAX_DATAGRAM: 65507,
+  NOMINAL_DATAGRAM: 1472
+};
+
+// Socket state
+const midpSocketState = {
+  relay: '',
+  sockets: new Set()
+};
+
+/**
+ * Set the relay connections go through
+ * @param {string} relay - WebSocket URL of the relay, or empty for none
+ */
+function midpSocketConfigure(relay) {
+  midpSocketState.relay = relay || '';
+}
+
+/**
+ * Close the previous MIDlet's connections
+ */
+function midpSocketReset() {
+  midpSocketState.sockets.forEach(socket => socket.close());
+  midpSocketState.sockets.clear();
+}
+
+// ---------------------------------------------------------------------------
+// Relay
+// ---------------------------------------------------------------------------
+
+/**
+ * Open a relay WebSocket and send it a command
+ * @param {Object} command - First message
+ * @param {Function} onMessage - Takes each later message, text parsed
+ * @param {Function} onClose - Called once the WebSocket has closed
+ * @returns {Promise<Object>} Resolves with {socket, reply}
+ */
+function midpSocketOpenRelay(command, onMessage, onClose) {
+  if (!midpSocketState.relay) {
+    return Promise.reject(JVM.newThrowable('javax/microedition/io/ConnectionNotFoundException',
+      'No socket relay is set in the settings'));
+  }
+
+  return new Promise((resolve, reject) => {
+    let socket;
+    try {
+      socket = new WebSocket(midpSocketState.relay);
+    } catch (error) {
+      reject(JVM.newThrowable('java/io/IOException', `Invalid socket relay: ${midpSocketState.relay}`));
+      return;
+    }
+    socket.binaryType = 'arraybuffer';
+    midpSocketState.sockets.add(socket);
+
+    let replied = false;
+    socket.onopen = () => socket.send(JSON.stringify(command));
+    socket.onmessage = event => {
+      const message = typeof event.data === 'string' ? JSON.parse(event.data) : event.data;
+      if (replied) {
+        onMessage(message);
+      } else if (message.type === 'error') {
+        reject(JVM.newThrowable('java/io/IOException', message.message));
+        socket.close();
+      } else {
+        replied = true;
+        resolve({ socket: socket, reply: message });
+      }
+    };
+    socket.onclose = () => {
+      midpSocketState.sockets.delete(socket);
+      if (!replied) reject(JVM.newThrowable('java/io/IOException', 'Can\'t reach the socket relay'));
+      onClose();
+    };
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Addresses
+// ---------------------------------------------------------------------------
+
+/**
+ * Split a socket:// or datagram:// URL
+ * @param {string} name - URL
+ * @returns {Object} {protocol, host, port}; an empty host means the
+ *   connection is a server, and port is 0 when the system may pick one
+ */
+function midpSocketParseUrl(name) {
+  const match = /^(socket|datagram):\/\/([^:/]*)(?::(\d*))?$/i.exec(name);
+  if (!match) throw JVM.newThrowable('java/lang/IllegalArgumentException', `Invalid address: ${name}`);
+
+  const port = match[3] ? Number(match[3]) : 0;
+  if (port > 65535 || (match[2] !== '' && port === 0)) {
+    throw JVM.newThrowable('java/lang/IllegalArgumentException', `Invalid port: ${name}`);
+  }
+  return { protocol: match[1].toLowerCase(), host: match[2], port: port };
+}
+
+/**
+ * Connector.open for socket and datagram URLs
+ * @param {Object} thread - Current thread
+ * @param {string} name - URL
+ * @param {number} mode - Connector mode
+ * @returns {Promise} Resolves with the connection
+ */
+function midpSocketOpen(thread, name, mode) {
+  const address = midpSocketParseUrl(name);
+
+  if (address.protocol === 'datagram') return midpSocketOpenDatagram(address, mode);
+  if (address.host === '') return midpSocketListen(address.port, mode);
+  return midpSocketConnect({ type: 'connect', host: address.host, port: address.port }, mode);
+}
+
+// ---------------------------------------------------------------------------
+// Sockets
+// ---------------------------------------------------------------------------
+
+/**
+ * Open a SocketConnection
+ * @param {Object} command - connect or accept command for the relay
+ * @param {number} mode - Connector mode
+ * @returns {Promise} Resolves with the SocketConnection once connected
+ */
+function midpSocketConnect(command, mode) {
+  const source = CldcIo.newInputSource();
+
+  return midpSocketOpenRelay(command, data => {
+    if (data instanceof ArrayBuffer) source.push(new Int8Array(data));
+  }, () => source.end()).then(({ socket, reply }) => {
+    const connection = JVM.newObject(JVM.loadClass('javax/microedition/io/Connector$SocketConnection'));
+    connection.socket = socket;
+    connection.source = source;
+    connection.mode = mode;
+    connection.address = reply.address;
+    connection.port = reply.port;
+    connection.localAddress = reply.localAddress;
+    connection.localPort = reply.localPort;
+    connection.options = Object.assign({}, midpSocketConstants.OPTION_DEFAULTS);
+    connection.input = null;
+    connection.output = null;
+    connection.isOpen = true;
+    return connection;
+  });
+}
+
+/**
+ * Close a socket's WebSocket once the connection and both its streams are
+ * closed
+ * @param {Object} connection - SocketConnection
+ */
+function midpSocketRelease(connection) {
+  const inputOpen = connection.input && !connection.input.closed;
+  const outputOpen = connection.output && !connection.output.closed;
+  if (!connection.isOpen && !inputOpen && !outputOpen) connection.socket.close();
+}
+
+/**
+ * Check that a connection hasn't been closed
+ * @param {Object} connection - Connection
+ */
+function midpSocketCheckOpen(connection) {
+  if (!connection.isOpen) throw JVM.newThrowable('java/io/IOException', 'Connection is closed');
+}
+
+/**
+ * SocketConnection.openInputStream
+ * @param {Object} connection - SocketConnection
+ * @returns {Object} java.io.InputStream of the bytes the peer sends
+ */
+function midpSocketOpenInput(connection) {
+  midpSocketCheckOpen(connection);
+  if ((connection.mode & MidpIo.constants.READ) === 0) {
+    throw JVM.newThrowable('java/io/IOException', 'Connection is not open for reading');
+  }
+  if (connection.input) throw JVM.newThrowable('java/io/IOException', 'Input stream is already open');
+
+  const input = JVM.newObject(JVM.loadClass('javax/microedition/io/Connector$SocketInput'));
+  input.connection = connection;
+  input.inputSource = connection.source;
+  input.closed = false;
+  connection.input = input;
+  return input;
+}
+
+/**
+ * SocketConnection.openOutputStream
+ * @param {Object} connection - SocketConnection
+ * @returns {Object} java.io.OutputStream to the peer
+ */
+function midpSocketOpenOutput(connection) {
+  midpSocketCheckOpen(connection);
+  if ((connection.mode & MidpIo.constants.WRITE) === 0) {
+    throw JVM.newThrowable('java/io/IOException', 'Connection is not open for writing');
+  }
+  if (connection.output) throw JVM.newThrowable('java/io/IOException', 'Output stream is already open');
+
+  const output = JVM.newObject(JVM.loadClass('javax/microedition/io/Connector$SocketOutput'));
+  output.connection = connection;
+  output.closed = false;
+  connection.output = output;
+  return output;
+}
+
+/**
+ * Read from a socket's input stream, blocking until bytes arrive
+ * @param {Object} input - Input stream
+ * @param {Function} read - Takes the source once it has bytes or has ended
+ * @returns {*} What read returns, or a Promise of it
+ */
+function midpSocketRead(input, read) {
+  if (input.closed) throw JVM.newThrowable('java/io/IOException', 'Stream is closed');
+
+  const source = input.inputSource;
+  if (source.length === 0 && !source.ended) return source.wait().then(() => midpSocketRead(input, read));
+  if (source.length === 0 && source.error) throw JVM.newThrowable('java/io/IOException', source.error);
+  return read(source);
+}
+
+/**
+ * Send bytes to a socket's peer
+ * @param {Object} output - Output stream
+ * @param {Int8Array|Array<number>} bytes - Bytes
+ */
+function midpSocketWrite(output, bytes) {
+  if (output.closed) throw JVM.newThrowable('java/io/IOException', 'Stream is closed');
+
+  const socket = output.connection.socket;
+  if (socket.readyState !== WebSocket.OPEN) throw JVM.newThrowable('java/io/IOException', 'Socket is closed');
+  socket.send(Int8Array.from(bytes));
+}
+
+/**
+ * Open a ServerSocketConnection
+ * @param {number} port - Port to listen on, or 0 for any
+ * @param {number} mode - Connector mode
+ * @returns {Promise} Resolves with the ServerSocketConnection once listening
+ */
+function midpSocketListen(port, mode) {
+  const clients = [];
+  const waiting = CldcIo.newInputSource();
+
+  return midpSocketOpenRelay({ type: 'listen', port: port }, message => {
+    if (message.type === 'accepted') {
+      clients.push(message.id);
+      waiting.push(new Int8Array(0));
+    }
+  }, () => waiting.end()).then(({ socket, reply }) => {
+    const server = JVM.newObject(JVM.loadClass('javax/microedition/io/Connector$ServerSocketConnection'));
+    server.socket = socket;
+    server.clients = clients;
+    server.waiting = waiting;
+    server.mode = mode;
+    server.localAddress = reply.address;
+    server.localPort = reply.port;
+    server.isOpen = true;
+    return server;
+  });
+}
+
+/**
+ * ServerSocketConnection.acceptAndOpen
+ * @param {Object} server - ServerSocketConnection
+ * @returns {Promise} Resolves with the next client's SocketConnection
+ */
+function midpSocketAccept(server) {
+  midpSocketCheckOpen(server);
+  if (server.clients.length === 0) {
+    if (server.waiting.ended) throw JVM.newThrowable('java/io/IOException', 'Server socket is closed');
+    return server.waiting.wait().then(() => midpSocketAccept(server));
+  }
+  return midpSocketConnect({ type: 'accept', id: server.clients.shift() }, server.mode);
+}
+
+// ---------------------------------------------------------------------------
+// Datagrams
+// ---------------------------------------------------------------------------
+
+/**
+ * Open a UDPDatagramConnection
+ * @param {Object} address - Parsed URL; a host makes it a client sending
+ *   there by default
+ * @param {number} mode - Connector mode
+ * @returns {Promise} Resolves with the UDPDatagramConnection once bound
+ */
+function midpSocketOpenDatagram(address, mode) {
+  const received = [];
+  const waiting = CldcIo.newInputSource();
+
+  return midpSocketOpenRelay({ type: 'bind', port: address.host === '' ? address.port : 0 }, message => {
+    if (message.type === 'datagram') {
+      received.push(message);
+      waiting.push(new Int8Array(0));
+    }
+  }, () => waiting.end()).then(({ socket, reply }) => {
+    const connection = JVM.newObject(JVM.loadClass('javax/microedition/io/Connector$DatagramConnection'));
+    connection.socket = socket;
+    connection.received = received;
+    connection.waiting = waiting;
+    connection.mode = mode;
+    connection.target = address.host === '' ? null : `datagram://${address.host}:${address.port}`;
+    connection.localAddress = reply.address;
+    connection.localPort = reply.port;
+    connection.isOpen = true;
+    return connection;
+  });
+}
+
+/**
+ * UDPDatagramConnection.newDatagram
+ * @param {Object} connection - UDPDatagramConnection
+ * @param {Int8Array|null} buffer - Buffer to use, or null for a new one
+ * @param {number} size - Length of the datagram
+ * @param {Object|null} [address] - Java string, or null for the
+ *   connection's own address
+ * @returns {Object} javax.microedition.io.Datagram
+ */
+function midpSocketNewDatagram(connection, buffer, size, address = null) {
+  midpSocketCheckOpen(connection);
+  if (size < 0 || size > midpSocketConstants.MAX_DATAGRAM || (buffer && size > buffer.length)) {
+    throw JVM.newThrowable('java/lang/IllegalArgumentException', `Invalid datagram size: ${size}`);
+  }
+
+  const datagram = JVM.newObject(JVM.loadClass('javax/microedition/io/Connector$Datagram'));
+  datagram.data = buffer || JVM.newArray('[B', size);
+  datagram.offset = 0;
+  datagram.length = size;
+  datagram.pointer = 0;
+  datagram.address = address === null ? connection.target : midpSocketCheckAddress(CldcLang.text(address));
+  return datagram;
+}
+
+/**
+ * Check a datagram address
+ * @param {string} address - Address such as "datagram://host:1234"
+ * @returns {string} The address
+ */
+function midpSocketCheckAddress(address) {
+  const parsed = /^datagram:\/\/([^:/]+):(\d+)$/i.exec(address);
+  if (!parsed || Number(parsed[2]) > 65535) {
+    throw JVM.newThrowable('java/lang/IllegalArgumentException', `Invalid datagram address: ${address}`);
+  }
+  return address;
+}
+
+/**
+ * DatagramConnection.send
+ * @param {Object} connection - UDPDatagramConnection
+ * @param {Object|null} datagram - Datagram
+ */
+function midpSocketSend(connection, datagram) {
+  midpSocketCheckOpen(connection);
+  if (datagram === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+  if ((connection.mode & MidpIo.constants.WRITE) === 0) {
+    throw JVM.newThrowable('java/io/IOException', 'Connection is not open for writing');
+  }
+  if (!datagram.address) throw JVM.newThrowable('java/io/IOException', 'Datagram has no address');
+  if (connection.socket.readyState !== WebSocket.OPEN) throw JVM.newThrowable('java/io/IOException', 'Socket is closed');
+
+  const target = /^datagram:\/\/([^:/]+):(\d+)$/i.exec(datagram.address);
+  const data = new Uint8Array(datagram.data.buffer, datagram.data.byteOffset + datagram.offset, datagram.length);
+  connection.socket.send(JSON.stringify({
+    type: 'datagram',
+    host: target[1],
+    port: Number(target[2]),
+    data: btoa(String.fromCharCode.apply(null, data))
+  }));
+}
+
+/**
+ * DatagramConnection.receive
+ * @param {Object} connection - UDPDatagramConnection
+ * @param {Object|null} datagram - Datagram to fill
+ * @returns {Promise|undefined} Resolves once a datagram has arrived
+ */
+function midpSocketReceive(connection, datagram) {
+  midpSocketCheckOpen(connection);
+  if (datagram === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+  if ((connection.mode & MidpIo.constants.READ) === 0) {
+    throw JVM.newThrowable('java/io/IOException', 'Connection is not open for reading');
+  }
+
+  if (connection.received.length === 0) {
+    if (connection.waiting.ended) throw JVM.newThrowable('java/io/IOException', 'Socket is closed');
+    return connection.waiting.wait().then(() => midpSocketReceive(connection, datagram));
+  }
+
+  // What doesn't fit in the datagram's buffer is lost, as with UDP
+  const message = connection.received.shift();
+  const data = atob(message.data);
+  const count = Math.min(data.length, datagram.data.length - datagram.offset);
+  for (let i = 0; i < count; i++) datagram.data[datagram.offset + i] = data.charCodeAt(i);
+  datagram.length = count;
+  datagram.pointer = 0;
+  datagram.address = `datagram://${message.host}:${message.port}`;
+  return undefined;
+}
+
+/**
+ * Read a value from a datagram's data
+ * @param {Object} datagram - Datagram
+ * @param {number} size - Number of bytes
+ * @returns {DataView} View over the bytes read
+ */
+function midpSocketReadDatagram(datagram, size) {
+  if (datagram.pointer + size > datagram.length) throw JVM.newThrowable('java/io/EOFException', null);
+
+  const start = datagram.data.byteOffset + datagram.offset + datagram.pointer;
+  datagram.pointer += size;
+  return new DataView(datagram.data.buffer, start, size);
+}
+
+/**
+ * Write bytes into a datagram's data, which then ends after them
+ * @param {Object} datagram - Datagram
+ * @param {Int8Array|Array<number>} bytes - Bytes
+ */
+function midpSocketWriteDatagram(datagram, bytes) {
+  const start = datagram.offset + datagram.pointer;
+  if (start + bytes.length > datagram.data.length) throw JVM.newThrowable('java/io/IOException', 'Datagram is full');
+
+  datagram.data.set(Int8Array.from(bytes, value => (value << 24) >> 24), start);
+  datagram.pointer += bytes.length;
+  datagram.length = datagram.pointer;
+}
+
+/**
+ * Encode a big-endian value for a datagram
+ * @param {number} size - Number of bytes
+ * @param {function(DataView)} write - Writes the value at offset 0
+ * @returns {Int8Array} Encoded bytes
+ */
+function midpSocketEncodeValue(size, write) {
+  const bytes = new Int8Array(size);
+  write(new DataView(bytes.buffer));
+  return bytes;
+}
+
+// ---------------------------------------------------------------------------
+// Classes
+// ---------------------------------------------------------------------------
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/io/SocketConnection',
+  isInterface: true,
+  interfaces: ['javax/microedition/io/StreamConnection'],
+  fields: midpSocketConstants.OPTIONS.map((name, index) => ({
+    name: name,
+    descriptor: 'B',
+    isStatic: true,
+    value: index
+  })),
+  methods: {
+    'setSocketOption(BI)V': null,
+    'getSocketOption(B)I': null,
+    'getLocalAddress()Ljava/lang/String;': null,
+    'getLocalPort()I': null,
+    'getAddress()Ljava/lang/String;': null,
+    'getPort()I': null
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/io/StreamConnectionNotifier',
+  isInterface: true,
+  interfaces: ['javax/microedition/io/Connection'],
+  methods: {
+    'acceptAndOpen()Ljavax/microedition/io/StreamConnection;': null
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/io/ServerSocketConnection',
+  isInterface: true,
+  interfaces: ['javax/microedition/io/StreamConnectionNotifier'],
+  methods: {
+    'getLocalAddress()Ljava/lang/String;': null,
+    'getLocalPort()I': null
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/io/Datagram',
+  isInterface: true,
+  interfaces: ['java/io/DataInput', 'java/io/DataOutput'],
+  methods: {
+    'getAddress()Ljava/lang/String;': null,
+    'getData()[B': null,
+    'getLength()I': null,
+    'getOffset()I': null,
+    'setAddress(Ljava/lang/String;)V': null,
+    'setAddress(Ljavax/microedition/io/Datagram;)V': null,
+    'setLength(I)V': null,
+    'setData([BII)V': null,
+    'reset()V': null
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/io/DatagramConnection',
+  isInterface: true,
+  interfaces: ['javax/microedition/io/Connection'],
+  methods: {
+    'getMaximumLength()I': null,
+    'getNominalLength()I': null,
+    'send(Ljavax/microedition/io/Datagram;)V': null,
+    'receive(Ljavax/microedition/io/Datagram;)V': null,
+    'newDatagram(I)Ljavax/microedition/io/Datagram;': null,
+    'newDatagram(ILjava/lang/String;)Ljavax/microedition/io/Datagram;': null,
+    'newDatagram([BI)Ljavax/microedition/io/Datagram;': null,
+    'newDatagram([BILjava/lang/String;)Ljavax/microedition/io/Datagram;': null
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/io/UDPDatagramConnection',
+  isInterface: true,
+  interfaces: ['javax/microedition/io/DatagramConnection'],
+  methods: {
+    'getLocalAddress()Ljava/lang/String;': null,
+    'getLocalPort()I': null
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/io/Connector$SocketConnection',
+  interfaces: ['javax/microedition/io/SocketConnection'],
+  methods: {
+    'close()V': (thread, self) => {
+      self.isOpen = false;
+      midpSocketRelease(self);
+    },
+
+    'openInputStream()Ljava/io/InputStream;': (thread, self) => midpSocketOpenInput(self),
+    'openDataInputStream()Ljava/io/DataInputStream;': (thread, self) => {
+      return MidpIo.dataInput(thread, midpSocketOpenInput(self));
+    },
+    'openOutputStream()Ljava/io/OutputStream;': (thread, self) => midpSocketOpenOutput(self),
+    'openDataOutputStream()Ljava/io/DataOutputStream;': (thread, self) => {
+      return MidpIo.dataOutput(thread, midpSocketOpenOutput(self));
+    },
+
+    // The relay applies DELAY and KEEPALIVE; the rest are only remembered
+    'setSocketOption(BI)V': (thread, self, option, value) => {
+      midpSocketCheckOpen(self);
+      const name = midpSocketConstants.OPTIONS[option];
+      if (!name || value < 0) {
+        throw JVM.newThrowable('java/lang/IllegalArgumentException', `Invalid socket option: ${option}=${value}`);
+      }
+      self.options[name] = value;
+      if (self.socket.readyState === WebSocket.OPEN) {
+        self.socket.send(JSON.stringify({ type: 'option', name: name, value: value }));
+      }
+    },
+    'getSocketOption(B)I': (thread, self, option) => {
+      midpSocketCheckOpen(self);
+      const name = midpSocketConstants.OPTIONS[option];
+      if (!name) throw JVM.newThrowable('java/lang/IllegalArgumentException', `Invalid socket option: ${option}`);
+      return self.options[name];
+    },
+    'getLocalAddress()Ljava/lang/String;': (thread, self) => {
+      midpSocketCheckOpen(self);
+      return JVM.newString(self.localAddress);
+    },
+    'getLocalPort()I': (thread, self) => {
+      midpSocketCheckOpen(self);
+      return self.localPort;
+    },
+    'getAddress()Ljava/lang/String;': (thread, self) => {
+      midpSocketCheckOpen(self);
+      return JVM.newString(self.address);
+    },
+    'getPort()I': (thread, self) => {
+      midpSocketCheckOpen(self);
+      return self.port;
+    }
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/io/Connector$SocketInput',
+  superName: 'java/io/InputStream',
+  accessFlags: ClassFile.ACC.FINAL,
+  methods: {
+    'read()I': (thread, self) => midpSocketRead(self, source => {
+      if (source.length === 0) return -1;
+      const bytes = new Int8Array(1);
+      source.take(bytes, 0, 1);
+      return bytes[0] & 0xff;
+    }),
+    'read([BII)I': (thread, self, bytes, offset, length) => {
+      CldcLang.checkRange(bytes, offset, length, 'java/lang/IndexOutOfBoundsException');
+      if (length === 0) return 0;
+      return midpSocketRead(self, source => {
+        return source.length === 0 ? -1 : source.take(bytes, offset, length);
+      });
+    },
+    'available()I': (thread, self) => {
+      if (self.closed) throw JVM.newThrowable('java/io/IOException', 'Stream is closed');
+      return self.inputSource.length;
+    },
+    'close()V': (thread, self) => {
+      self.closed = true;
+      self.inputSource.closed = true;
+      self.inputSource.wake();
+      midpSocketRelease(self.connection);
+    }
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/io/Connector$SocketOutput',
+  superName: 'java/io/OutputStream',
+  accessFlags: ClassFile.ACC.FINAL,
+  methods: {
+    'write(I)V': (thread, self, value) => midpSocketWrite(self, [value]),
+    'write([BII)V': (thread, self, bytes, offset, length) => {
+      CldcLang.checkRange(bytes, offset, length, 'java/lang/IndexOutOfBoundsException');
+      midpSocketWrite(self, bytes.subarray(offset, offset + length));
+    },
+    'flush()V': (thread, self) => {
+      if (self.closed) throw JVM.newThrowable('java/io/IOException', 'Stream is closed');
+    },
+    'close()V': (thread, self) => {
+      self.closed = true;
+      midpSocketRelease(self.connection);
+    }
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/io/Connector$ServerSocketConnection',
+  interfaces: ['javax/microedition/io/ServerSocketConnection'],
+  methods: {
+    'close()V': (thread, self) => {
+      self.isOpen = false;
+      self.socket.close();
+    },
+    'acceptAndOpen()Ljavax/microedition/io/StreamConnection;': (thread, self) => midpSocketAccept(self),
+    'getLocalAddress()Ljava/lang/String;': (thread, self) => {
+      midpSocketCheckOpen(self);
+      return JVM.newString(self.localAddress);
+    },
+    'getLocalPort()I': (thread, self) => {
+      midpSocketCheckOpen(self);
+      return self.localPort;
+    }
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/io/Connector$DatagramConnection',
+  interfaces: ['javax/microedition/io/UDPDatagramConnection'],
+  methods: {
+    'close()V': (thread, self) => {
+      self.isOpen = false;
+      self.socket.close();
+    },
+    'getMaximumLength()I': (thread, self) => {
+      midpSocketCheckOpen(self);
+      return midpSocketConstants.MAX_DATAGRAM;
+    },
+    'getNominalLength()I': (thread, self) => {
+      midpSocketCheckOpen(self);
+      return midpSocketConstants.NOMINAL_DATAGRAM;
+    },
+    'send(Ljavax/microedition/io/Datagram;)V': (thread, self, datagram) => midpSocketSend(self, datagram),
+    'receive(Ljavax/microedition/io/Datagram;)V': (thread, self, datagram) => midpSocketReceive(self, datagram),
+    'newDatagram(I)Ljavax/microedition/io/Datagram;': (thread, self, size) => midpSocketNewDatagram(self, null, size),
+    'newDatagram(ILjava/lang/String;)Ljavax/microedition/io/Datagram;': (thread, self, size, address) => {
+      if (address === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      return midpSocketNewDatagram(self, null, size, address);
+    },
+    'newDatagram([BI)Ljavax/microedition/io/Datagram;': (thread, self, buffer, size) => {
+      if (buffer === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      return midpSocketNewDatagram(self, buffer, size);
+    },
+    'newDatagram([BILjava/lang/String;)Ljavax/microedition/io/Datagram;': (thread, self, buffer, size, address) => {
+      if (buffer === null || address === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      return midpSocketNewDatagram(self, buffer, size, address);
+    },
+    'getLocalAddress()Ljava/lang/String;': (thread, self) => {
+      midpSocketCheckOpen(self);
+      return JVM.newString(self.localAddress);
+    },
+    'getLocalPort()I': (thread, self) => {
+      midpSocketCheckOpen(self);
+      return self.localPort;
+    }
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/io/Connector$Datagram',
+  interfaces: ['javax/microedition/io/Datagram'],
+  methods: {
+    'getAddress()Ljava/lang/String;': (thread, self) => self.address ? JVM.newString(self.address) : null,
+    'getData()[B': (thread, self) => self.data,
+    'getLength()I': (thread, self) => self.length,
+    'getOffset()I': (thread, self) => self.offset,
+    'setAddress(Ljava/lang/String;)V': (thread, self, address) => {
+      if (address === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      self.address = midpSocketCheckAddress(CldcLang.text(address));
+    },
+    'setAddress(Ljavax/microedition/io/Datagram;)V': (thread, self, datagram) => {
+      if (datagram === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      if (!datagram.address) throw JVM.newThrowable('java/lang/IllegalArgumentException', 'Datagram has no address');
+      self.address = datagram.address;
+    },
+    'setLength(I)V': (thread, self, length) => {
+      if (length < 0 || self.offset + length > self.data.length) {
+        throw JVM.newThrowable('java/lang/IllegalArgumentException', `Invalid length: ${length}`);
+      }
+      self.length = length;
+    },
+    'setData([BII)V': (thread, self, buffer, offset, length) => {
+      if (buffer === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      if (offset < 0 || length < 0 || offset + length > buffer.length) {
+        throw JVM.newThrowable('java/lang/IllegalArgumentException', `Invalid range: ${offset}+${length}`);
+      }
+      self.data = buffer;
+      self.offset = offset;
+      self.length = length;
+      self.pointer = 0;
+    },
+    'reset()V': (thread, self) => {
+      self.offset = 0;
+      self.length = 0;
+      self.pointer = 0;
+    },
+
+    // DataInput reads from the datagram's data
+    'readFully([B)V': (thread, self, bytes) => {
+      if (bytes === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      const view = midpSocketReadDatagram(self, bytes.length);
+      bytes.set(new Int8Array(view.buffer, view.byteOffset, bytes.length));
+    },
+    'readFully([BII)V': (thread, self, bytes, offset, length) => {
+      CldcLang.checkRange(bytes, offset, length, 'java/lang/IndexOutOfBoundsException');
+      const view = midpSocketReadDatagram(self, length);
+      bytes.set(new Int8Array(view.buffer, view.byteOffset, length), offset);
+    },
+    'skipBytes(I)I': (thread, self, count) => {
+      const skipped = Math.max(0, Math.min(count, self.length - self.pointer));
+      self.pointer += skipped;
+      return skipped;
+    },
+    'readBoolean()Z': (thread, self) => midpSocketReadDatagram(self, 1).getInt8(0) !== 0,
+    'readByte()B': (thread, self) => midpSocketReadDatagram(self, 1).getInt8(0),
+    'readUnsignedByte()I': (thread, self) => midpSocketReadDatagram(self, 1).getUint8(0),
+    'readShort()S': (thread, self) => midpSocketReadDatagram(self, 2).getInt16(0),
+    'readUnsignedShort()I': (thread, self) => midpSocketReadDatagram(self, 2).getUint16(0),
+    'readChar()C': (thread, self) => midpSocketReadDatagram(self, 2).getUint16(0),
+    'readInt()I': (thread, self) => midpSocketReadDatagram(self, 4).getInt32(0),
+    'readLong()J': (thread, self) => midpSocketReadDatagram(self, 8).getBigInt64(0),
+    'readFloat()F': (thread, self) => midpSocketReadDatagram(self, 4).getFloat32(0),
+    'readDouble()D': (thread, self) => midpSocketReadDatagram(self, 8).getFloat64(0),
+    'readUTF()Ljava/lang/String;': (thread, self) => {
+      const length = midpSocketReadDatagram(self, 2).getUint16(0);
+      const view = midpSocketReadDatagram(self, length);
+      return JVM.newString(CldcIo.decodeModifiedUtf8(new Int8Array(view.buffer, view.byteOffset, length)));
+    },
+
+    // DataOutput writes into it, and the datagram ends where writing stops
+    'write(I)V': (thread, self, value) => midpSocketWriteDatagram(self, [value]),
+    'write([B)V': (thread, self, bytes) => {
+      if (bytes === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      midpSocketWriteDatagram(self, bytes);
+    },
+    'write([BII)V': (thread, self, bytes, offset, length) => {
+      CldcLang.checkRange(bytes, offset, length, 'java/lang/IndexOutOfBoundsException');
+      midpSocketWriteDatagram(self, bytes.subarray(offset, offset + length));
+    },
+    'writeBoolean(Z)V': (thread, self, value) => midpSocketWriteDatagram(self, [value ? 1 : 0]),
+    'writeByte(I)V': (thread, self, value) => midpSocketWriteDatagram(self, [value]),
+    'writeShort(I)V': (thread, self, value) => midpSocketWriteDatagram(self, [value >> 8, value]),
+    'writeChar(I)V': (thread, self, value) => midpSocketWriteDatagram(self, [value >> 8, value]),
+    'writeInt(I)V': (thread, self, value) =>
+      midpSocketWriteDatagram(self, midpSocketEncodeValue(4, view => view.setInt32(0, value))),
+    'writeLong(J)V': (thread, self, value) =>
+      midpSocketWriteDatagram(self, midpSocketEncodeValue(8, view => view.setBigInt64(0, value))),
+    'writeFloat(F)V': (thread, self, value) =>
+      midpSocketWriteDatagram(self, midpSocketEncodeValue(4, view => view.setFloat32(0, value))),
+    'writeDouble(D)V': (thread, self, value) =>
+      midpSocketWriteDatagram(self, midpSocketEncodeValue(8, view => view.setFloat64(0, value))),
+    'writeChars(Ljava/lang/String;)V': (thread, self, string) => {
+      const text = CldcLang.text(string);
+      const bytes = [];
+      for (let i = 0; i < text.length; i++) bytes.push(text.charCodeAt(i) >> 8, text.charCodeAt(i));
+      midpSocketWriteDatagram(self, bytes);
+    },
+    'writeUTF(Ljava/lang/String;)V': (thread, self, string) =>
+      midpSocketWriteDatagram(self, CldcIo.encodeModifiedUtf8(CldcLang.text(string)))
+  }
+});
+
+MidpIo.registerProtocol('socket', midpSocketOpen);
+MidpIo.registerProtocol('datagram', midpSocketOpen);
+
+// Export functions for use in other modules
+window.MidpSocket = {
+  constants: midpSocketConstants,
+  configure: midpSocketConfigure,
+  reset: midpSocketReset
+};
@@ -0,0 +1,466 @@
+/**
+ * J2ME Loader for CloudFone
+ * Wireless Messaging API javax.wireless.messaging
+ *
+ * MessageConnection for sms:// URLs with text and binary messages. Nothing
+ * is ever really sent: each message the MIDlet sends is handed to the page,
+ * which keeps it in the app's Outbox for review. Messages come in only when
+ * someone writes one on the page's Messages screen; it reaches the server
+ * connection open on its port, where receive() or a MessageListener picks
+ * it up.
+ *
+ * MessageListener notifications are delivered in order on a dedicated
+ * "messaging" VM thread.
+ */
+
+// Messaging constants
+const midpWmaConstants = {
+  TEXT: 'text',
+  BINARY: 'binary',
+  MULTIPART: 'multipart',
+
+  // Longest message, counted in SMS segments
+  MAX_SEGMENTS: 3,
+
+  // Payload of one segment and of each segment of a longer message, without
+  // and with a port, as in the WMA specification
+  SEGMENT_SIZES: {
+    gsm: [[160, 152], [152, 145]],
+    ucs2: [[70, 67], [66, 64]],
+    binary: [[140, 133], [133, 127]]
+  },
+
+  // Characters of the GSM 7-bit alphabet, and those that take two septets
+  GSM_BASIC: '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+    '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà',
+  GSM_EXTENDED: '^{}\\[~]|€\f',
+
+  // Ports the specification keeps from MIDlets
+  RESERVED_PORTS: [2805, 2923, 2948, 2949, 5502, 5503, 5508, 5511, 5512, 9200, 9201, 9202, 9203, 9204, 9205, 9206, 9207]
+};
+
+// Messaging state
+const midpWmaState = {
+  // Server connections by port
+  servers: new Map(),
+  eventThread: null
+};
+
+/**
+ * Forget the previous MIDlet's connections
+ */
+function midpWmaReset() {
+  midpWmaState.servers.clear();
+  midpWmaState.eventThread = null;
+}
+
+// ---------------------------------------------------------------------------
+// Addresses
+// ---------------------------------------------------------------------------
+
+/**
+ * Split an sms:// address
+ * @param {string} address - Address such as "sms://+5550100:5000"
+ * @returns {Object|null} {number, port}, either may be null, or null if
+ *   the address is not valid
+ */
+function midpWmaParseAddress(address) {
+  const match = /^sms:\/\/(\+?\d+)?(?::(\d+))?$/i.exec(address);
+  if (!match || (!match[1] && !match[2])) return null;
+
+  const port = match[2] ? Number(match[2]) : null;
+  if (port !== null && port > 65535) return null;
+  return { number: match[1] || null, port: port };
+}
+
+/**
+ * Check a message address the MIDlet gives
+ * @param {string} address - Address
+ * @returns {string} The address
+ */
+function midpWmaCheckAddress(address) {
+  const parsed = midpWmaParseAddress(address);
+  if (!parsed || !parsed.number) throw JVM.newThrowable('java/lang/IllegalArgumentException', `Invalid address: ${address}`);
+  return address;
+}
+
+/**
+ * Connector.open for sms URLs
+ * @param {Object} thread - Current thread
+ * @param {string} name - URL
+ * @returns {Object} MessageConnection
+ */
+function midpWmaOpen(thread, name) {
+  const address = midpWmaParseAddress(name);
+  if (!address) throw JVM.newThrowable('java/lang/IllegalArgumentException', `Invalid address: ${name}`);
+
+  const connection = JVM.newObject(JVM.loadClass('javax/microedition/io/Connector$MessageConnection'));
+  connection.address = address.number ? name : null;
+  connection.port = address.port;
+  connection.received = [];
+  connection.waiters = [];
+  connection.listener = null;
+  connection.isOpen = true;
+
+  // A URL without a number opens a server connection that receives on its port
+  if (!address.number) {
+    if (midpWmaConstants.RESERVED_PORTS.includes(address.port)) {
+      throw JVM.newThrowable('java/lang/SecurityException', `Port ${address.port} is reserved`);
+    }
+    if (midpWmaState.servers.has(address.port)) {
+      throw JVM.newThrowable('java/io/IOException', `Port ${address.port} is already in use`);
+    }
+    midpWmaState.servers.set(address.port, connection);
+  }
+  return connection;
+}
+
+// ---------------------------------------------------------------------------
+// Messages
+// ---------------------------------------------------------------------------
+
+/**
+ * Create a message
+ * @param {string} type - TEXT or BINARY
+ * @param {string|null} address - Address, or null for none yet
+ * @param {number|null} timestamp - When it arrived, or null if it is outgoing
+ * @returns {Object} TextMessage or BinaryMessage
+ */
+function midpWmaNewMessage(type, address, timestamp = null) {
+  const className = type === midpWmaConstants.TEXT
+    ? 'javax/microedition/io/Connector$TextMessage'
+    : 'javax/microedition/io/Connector$BinaryMessage';
+  const message = JVM.newObject(JVM.loadClass(className));
+  message.type = type;
+  message.address = address;
+  message.timestamp = timestamp;
+  message.text = null;
+  message.data = null;
+  return message;
+}
+
+/**
+ * MessageConnection.newMessage
+ * @param {Object} connection - MessageConnection
+ * @param {Object|null} type - Java string naming the type
+ * @param {string|null} address - Address, or null for the connection's
+ * @returns {Object} Message
+ */
+function midpWmaCreateMessage(connection, type, address) {
+  if (type === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+
+  const text = CldcLang.text(type);
+  if (text === midpWmaConstants.MULTIPART) {
+    throw JVM.newThrowable('java/lang/IllegalArgumentException', 'Multipart messages are not supported');
+  }
+  if (text !== midpWmaConstants.TEXT && text !== midpWmaConstants.BINARY) {
+    throw JVM.newThrowable('java/lang/IllegalArgumentException', `Unknown message type: ${text}`);
+  }
+  return midpWmaNewMessage(text, address === null ? connection.address : address);
+}
+
+/**
+ * Count the SMS segments a message takes
+ * @param {Object} message - TextMessage or BinaryMessage
+ * @returns {number} Segments, or 0 if the message is too long to send
+ */
+function midpWmaCountSegments(message) {
+  const constants = midpWmaConstants;
+  const parsed = message.address ? midpWmaParseAddress(message.address) : null;
+  const withPort = parsed && parsed.port !== null ? 1 : 0;
+
+  let length;
+  let sizes;
+  if (message.type === constants.BINARY) {
+    length = message.data ? message.data.length : 0;
+    sizes = constants.SEGMENT_SIZES.binary[withPort];
+  } else {
+    const text = message.text || '';
+    length = 0;
+    for (const char of text) {
+      if (constants.GSM_BASIC.includes(char)) {
+        length += 1;
+      } else if (constants.GSM_EXTENDED.includes(char)) {
+        length += 2;
+      } else {
+        length = -1;
+        break;
+      }
+    }
+    sizes = constants.SEGMENT_SIZES.gsm[withPort];
+
+    // Text outside the GSM alphabet goes as UCS-2, counted in UTF-16 units
+    if (length < 0) {
+      length = text.length;
+      sizes = constants.SEGMENT_SIZES.ucs2[withPort];
+    }
+  }
+
+  const segments = length <= sizes[0] ? 1 : Math.ceil(length / sizes[1]);
+  return segments > constants.MAX_SEGMENTS ? 0 : segments;
+}
+
+/**
+ * MessageConnection.send: hand the message to the page's Outbox
+ * @param {Object} connection - MessageConnection
+ * @param {Object|null} message - Message
+ * @returns {Promise} Resolves once the page has it
+ */
+function midpWmaSend(connection, message) {
+  if (message === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+  if (!connection.isOpen) throw JVM.newThrowable('java/io/IOException', 'Connection is closed');
+  if (!message.type) throw JVM.newThrowable('java/lang/IllegalArgumentException', 'Message is not from this connection');
+  if (!message.address) throw JVM.newThrowable('java/lang/IllegalArgumentException', 'Message has no address');
+
+  const segments = midpWmaCountSegments(message);
+  if (segments === 0) {
+    throw JVM.newThrowable('javax/wireless/messaging/SizeExceededException',
+      `Message takes more than ${midpWmaConstants.MAX_SEGMENTS} segments`);
+  }
+
+  const host = JVM.state.host;
+  const outgoing = {
+    address: message.address,
+    type: message.type,
+    text: message.type === midpWmaConstants.TEXT ? message.text || '' : null,
+    data: message.type === midpWmaConstants.BINARY ? Uint8Array.from(message.data || []) : null,
+    segments: segments,
+    timestamp: Date.now()
+  };
+  return Promise.resolve()
+    .then(() => {
+      if (!host.callPage) throw new Error('Messaging is not available');
+      return host.callPage('messages', { action: 'send', message: outgoing });
+    })
+    .catch(error => {
+      throw JVM.newThrowable('java/io/IOException', error ? error.message : null);
+    });
+}
+
+/**
+ * MessageConnection.receive
+ * @param {Object} connection - MessageConnection
+ * @returns {Object|Promise} The next message, or a Promise of it
+ */
+function midpWmaReceive(connection) {
+  if (!connection.isOpen) throw JVM.newThrowable('java/io/IOException', 'Connection is closed');
+  if (connection.address !== null) {
+    throw JVM.newThrowable('java/io/IOException', 'Client connections can\'t receive messages');
+  }
+
+  if (connection.received.length === 0) {
+    return new Promise(resolve => connection.waiters.push(resolve)).then(() => {
+      if (!connection.isOpen) throw JVM.newThrowable('java/io/InterruptedIOException', 'Connection was closed');
+      return midpWmaReceive(connection);
+    });
+  }
+  return connection.received.shift();
+}
+
+/**
+ * Deliver a message written on the page
+ * @param {Object} incoming - {address, port, type, text, data} where
+ *   address is the sender's and port the one it is sent to, or null for
+ *   the only server connection open
+ * @returns {number} The port it went to
+ */
+function midpWmaDeliver(incoming) {
+  const servers = midpWmaState.servers;
+  const port = incoming.port === null || incoming.port === undefined ? null : Number(incoming.port);
+  if (port === null && servers.size !== 1) {
+    throw new Error(servers.size === 0
+      ? 'The MIDlet has no message connection open'
+      : `Choose a port: the MIDlet listens on ${Array.from(servers.keys()).join(', ')}`);
+  }
+
+  const connection = port === null ? servers.values().next().value : servers.get(port);
+  if (!connection) throw new Error(`The MIDlet has no message connection open on port ${port}`);
+  if (!midpWmaParseAddress(incoming.address)) throw new Error(`Invalid sender: ${incoming.address}`);
+
+  const message = midpWmaNewMessage(incoming.type === midpWmaConstants.BINARY ? midpWmaConstants.BINARY : midpWmaConstants.TEXT,
+    incoming.address, Date.now());
+  if (message.type === midpWmaConstants.BINARY) {
+    message.data = JVM.newArray('[B', incoming.data.length);
+    message.data.set(Int8Array.from(incoming.data, value => (value << 24) >> 24));
+  } else {
+    message.text = incoming.text || '';
+  }
+
+  connection.received.push(message);
+  midpWmaWake(connection);
+  if (connection.listener) midpWmaNotify(connection);
+  return connection.port;
+}
+
+/**
+ * Wake the threads waiting in receive()
+ * @param {Object} connection - MessageConnection
+ */
+function midpWmaWake(connection) {
+  const waiters = connection.waiters;
+  connection.waiters = [];
+  waiters.forEach(resolve => resolve());
+}
+
+/**
+ * Queue a notification for a connection's MessageListener
+ * @param {Object} connection - MessageConnection
+ */
+function midpWmaNotify(connection) {
+  if (!midpWmaState.eventThread) midpWmaState.eventThread = JVM.createThread('messaging');
+
+  const listener = connection.listener;
+  const method = JVM.findVirtualMethod(listener.cls,
+    'notifyIncomingMessage(Ljavax/wireless/messaging/MessageConnection;)V');
+  JVM.queueCall(midpWmaState.eventThread, method, [listener, connection]).catch(error => {
+    // Java exceptions have already been reported by the messaging thread
+    if (!error || !error.cls) console.error('MessageListener notification failed', error);
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Classes
+// ---------------------------------------------------------------------------
+
+JVM.defineNativeClass({
+  name: 'javax/wireless/messaging/Message',
+  isInterface: true,
+  methods: {
+    'getAddress()Ljava/lang/String;': null,
+    'setAddress(Ljava/lang/String;)V': null,
+    'getTimestamp()Ljava/util/Date;': null
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/wireless/messaging/TextMessage',
+  isInterface: true,
+  interfaces: ['javax/wireless/messaging/Message'],
+  methods: {
+    'getPayloadText()Ljava/lang/String;': null,
+    'setPayloadText(Ljava/lang/String;)V': null
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/wireless/messaging/BinaryMessage',
+  isInterface: true,
+  interfaces: ['javax/wireless/messaging/Message'],
+  methods: {
+    'getPayloadData()[B': null,
+    'setPayloadData([B)V': null
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/wireless/messaging/MessageListener',
+  isInterface: true,
+  methods: {
+    'notifyIncomingMessage(Ljavax/wireless/messaging/MessageConnection;)V': null
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/wireless/messaging/MessageConnection',
+  isInterface: true,
+  interfaces: ['javax/microedition/io/Connection'],
+  fields: [
+    { name: 'TEXT_MESSAGE', descriptor: 'Ljava/lang/String;', isStatic: true, value: midpWmaConstants.TEXT },
+    { name: 'BINARY_MESSAGE', descriptor: 'Ljava/lang/String;', isStatic: true, value: midpWmaConstants.BINARY },
+    { name: 'MULTIPART_MESSAGE', descriptor: 'Ljava/lang/String;', isStatic: true, value: midpWmaConstants.MULTIPART }
+  ],
+  methods: {
+    'newMessage(Ljava/lang/String;)Ljavax/wireless/messaging/Message;': null,
+    'newMessage(Ljava/lang/String;Ljava/lang/String;)Ljavax/wireless/messaging/Message;': null,
+    'send(Ljavax/wireless/messaging/Message;)V': null,
+    'receive()Ljavax/wireless/messaging/Message;': null,
+    'setMessageListener(Ljavax/wireless/messaging/MessageListener;)V': null,
+    'numberOfSegments(Ljavax/wireless/messaging/Message;)I': null
+  }
+});
+
+JVM.defineNativeClass({
+  name: 'javax/wireless/messaging/SizeExceededException',
+  superName: 'java/io/IOException',
+  methods: {}
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/io/Connector$MessageConnection',
+  interfaces: ['javax/wireless/messaging/MessageConnection'],
+  methods: {
+    'close()V': (thread, self) => {
+      if (!self.isOpen) return;
+      self.isOpen = false;
+      if (midpWmaState.servers.get(self.port) === self) midpWmaState.servers.delete(self.port);
+      midpWmaWake(self);
+    },
+    'newMessage(Ljava/lang/String;)Ljavax/wireless/messaging/Message;': (thread, self, type) => {
+      return midpWmaCreateMessage(self, type, null);
+    },
+    'newMessage(Ljava/lang/String;Ljava/lang/String;)Ljavax/wireless/messaging/Message;': (thread, self, type, address) => {
+      return midpWmaCreateMessage(self, type, address === null ? null : midpWmaCheckAddress(CldcLang.text(address)));
+    },
+    'send(Ljavax/wireless/messaging/Message;)V': (thread, self, message) => midpWmaSend(self, message),
+    'receive()Ljavax/wireless/messaging/Message;': (thread, self) => midpWmaReceive(self),
+    'setMessageListener(Ljavax/wireless/messaging/MessageListener;)V': (thread, self, listener) => {
+      if (!self.isOpen) throw JVM.newThrowable('java/io/IOException', 'Connection is closed');
+      if (self.address !== null) {
+        throw JVM.newThrowable('java/io/IOException', 'Client connections can\'t receive messages');
+      }
+      self.listener = listener;
+
+      // Messages that arrived before the listener are announced too
+      if (listener) self.received.forEach(() => midpWmaNotify(self));
+    },
+    'numberOfSegments(Ljavax/wireless/messaging/Message;)I': (thread, self, message) => {
+      if (message === null) throw JVM.newThrowable('java/lang/NullPointerException', null);
+      return midpWmaCountSegments(message);
+    }
+  }
+});
+
+// Methods of the Message interface, shared by both kinds of message
+const midpWmaMessageMethods = {
+  'getAddress()Ljava/lang/String;': (thread, self) => self.address === null ? null : JVM.newString(self.address),
+  'setAddress(Ljava/lang/String;)V': (thread, self, address) => {
+    self.address = address === null ? null : midpWmaCheckAddress(CldcLang.text(address));
+  },
+  'getTimestamp()Ljava/util/Date;': (thread, self) => {
+    if (self.timestamp === null) return null;
+    const date = JVM.newObject(JVM.loadClass('java/util/Date'));
+    date.time = BigInt(self.timestamp);
+    return date;
+  }
+};
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/io/Connector$TextMessage',
+  interfaces: ['javax/wireless/messaging/TextMessage'],
+  methods: Object.assign({
+    'getPayloadText()Ljava/lang/String;': (thread, self) => self.text === null ? null : JVM.newString(self.text),
+    'setPayloadText(Ljava/lang/String;)V': (thread, self, text) => {
+      self.text = text === null ? null : CldcLang.text(text);
+    }
+  }, midpWmaMessageMethods)
+});
+
+JVM.defineNativeClass({
+  name: 'javax/microedition/io/Connector$BinaryMessage',
+  interfaces: ['javax/wireless/messaging/BinaryMessage'],
+  methods: Object.assign({
+    'getPayloadData()[B': (thread, self) => self.data,
+    'setPayloadData([B)V': (thread, self, data) => {
+      self.data = data;
+    }
+  }, midpWmaMessageMethods)
+});
+
+MidpIo.registerProtocol('sms', midpWmaOpen);
+
+// Export functions for use in other modules
+window.MidpWma = {
+  constants: midpWmaConstants,
+  deliver: midpWmaDeliver,
+  reset: midpWmaReset
+};
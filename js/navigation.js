@@ -37,12 +37,44 @@ const navState = {
       currentIndex: 0
     },
     'app-settings': {
-      selector: '#settings-form select, #settings-form input[type="checkbox"]',
+      selector: '#settings-form select, #settings-form input',
       currentIndex: 0
     },
     'file-browser': {
       selector: '#file-list li',
       currentIndex: 0
+    },
+    'midlet-chooser': {
+      selector: '#midlets li',
+      currentIndex: 0
+    },
+    // An app's saved data
+    'record-stores': {
+      selector: '#record-list .focusable',
+      currentIndex: 0
+    },
+    'record-editor': {
+      selector: '#record-editor .focusable',
+      currentIndex: 0
+    },
+    // An app's sent messages, and a message for it to receive
+    'messages': {
+      selector: '#message-list .focusable',
+      currentIndex: 0
+    },
+    'message-composer': {
+      selector: '#message-form .focusable',
+      currentIndex: 0
+    },
+    // Form, List, TextBox and Alert screens of the running MIDlet
+    'midlet-screen': {
+      selector: '#midlet-screen .focusable',
+      currentIndex: 0
+    },
+    // Options menu of the running MIDlet's commands
+    'midlet-menu': {
+      selector: '#midlet-menu .focusable',
+      currentIndex: 0
     }
   }
 };
@@ -75,7 +107,7 @@ function setFocus(screenId, index) {
   // Remove focus from all elements
   elements.forEach(el => {
     el.classList.remove('focused');
-    if (el.tagName === 'INPUT' || el.tagName === 'SELECT') {
+    if (el.tagName === 'INPUT' || el.tagName === 'SELECT' || el.tagName === 'TEXTAREA') {
       el.blur();
     }
   });
@@ -84,7 +116,7 @@ function setFocus(screenId, index) {
   const element = elements[index];
   element.classList.add('focused');
   
-  if (element.tagName === 'INPUT' || element.tagName === 'SELECT') {
+  if (element.tagName === 'INPUT' || element.tagName === 'SELECT' || element.tagName === 'TEXTAREA') {
     element.focus();
   }
   
@@ -216,6 +248,9 @@ function handleCloudFoneKeyboard(event) {
   // Prevent default for navigation keys
   if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Enter'].includes(key)) {
     event.preventDefault();
+    
+    // The running MIDlet gets the D-pad instead
+    if (screenId === 'emulator-screen') return;
   }
   
   // Handle CloudFone specific keys
@@ -229,6 +264,8 @@ function handleCloudFoneKeyboard(event) {
       break;
     case 'Escape':
     case 'Backspace':
+      // Backspace deletes in a MIDlet's text fields
+      if (key === 'Backspace' && window.MidletScreen && MidletScreen.isTextEntry(event.target)) break;
       // Handle back navigation
       SoftKeys.handleSoftKeyPress('right');
       break;
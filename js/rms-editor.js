@@ -0,0 +1,572 @@
+/**
+ * J2ME Loader for CloudFone
+ * Saved data editor
+ *
+ * Lists the record stores an app's MIDlets have saved, shows each record as
+ * hex and text, and lets the user change or delete records. The whole set
+ * can be exported to a single file in the saves directory and imported on
+ * another device, replacing what the app had saved there.
+ */
+
+// Saved data editor constants
+const rmsEditorConstants = {
+  LIST_ID: 'record-stores',
+  EDITOR_ID: 'record-editor',
+
+  FILE_FORMAT: 'j2me-loader-rms',
+  FILE_VERSION: 1,
+  FILE_EXTENSION: '.rms',
+
+  // Bytes per line of the hex and text views
+  BYTES_PER_LINE: 8,
+
+  // Bytes of a record shown in the list
+  PREVIEW_BYTES: 8
+};
+
+// Saved data editor state
+const rmsEditorState = {
+  app: null,
+  stores: [],
+  rows: [],
+  files: null,
+  store: null,
+  record: null
+};
+
+// DOM Elements
+const rmsEditorElements = {
+  title: document.getElementById('record-stores-title'),
+  list: document.getElementById('record-list'),
+  editorTitle: document.getElementById('record-editor-title'),
+  hex: document.getElementById('record-hex'),
+  text: document.getElementById('record-text')
+};
+
+/**
+ * Show the saved data of an app
+ * @param {Object} app - Installed app
+ * @returns {Promise} Resolves when the list is shown
+ */
+function openRmsEditor(app) {
+  rmsEditorState.app = app;
+  rmsEditorState.files = null;
+
+  return loadRmsStores().then(() => navigateToScreen(rmsEditorConstants.LIST_ID));
+}
+
+/**
+ * Read the app's record stores and list them
+ * @returns {Promise} Resolves when the list is up to date
+ */
+function loadRmsStores() {
+  return Database.getRecordStores(rmsEditorState.app.id)
+    .then(stores => {
+      rmsEditorState.stores = stores;
+      renderRmsList();
+    });
+}
+
+// ---------------------------------------------------------------------------
+// Record store list
+// ---------------------------------------------------------------------------
+
+/**
+ * Build the rows of the list: the export and import actions, then each
+ * store followed by its records, or the files to import from while picking
+ * @returns {Array} Rows of {label, detail, action, store, record}
+ */
+function getRmsRows() {
+  if (rmsEditorState.files) {
+    return rmsEditorState.files.map(file => ({
+      label: file.name,
+      detail: formatFileSize(file.size),
+      action: () => importRmsFile(file)
+    }));
+  }
+
+  const rows = [
+    { label: 'Export to file', action: exportRmsStores },
+    { label: 'Import from file', action: pickRmsFile }
+  ];
+
+  rmsEditorState.stores.forEach(store => {
+    rows.push({
+      label: store.name,
+      detail: `${store.records.length} records`,
+      className: 'record-store-row',
+      store: store
+    });
+    store.records.forEach(record => {
+      rows.push({
+        label: `#${record.id}`,
+        detail: formatRmsPreview(record.data),
+        className: 'record-row',
+        store: store,
+        record: record,
+        action: () => openRmsRecord(store, record)
+      });
+    });
+  });
+
+  return rows;
+}
+
+/**
+ * Render the list
+ */
+function renderRmsList() {
+  const app = rmsEditorState.app;
+  rmsEditorElements.title.textContent = rmsEditorState.files
+    ? 'Import saved data from:'
+    : `${app.name}: ${rmsEditorState.stores.length} record stores`;
+
+  rmsEditorState.rows = getRmsRows();
+  rmsEditorElements.list.innerHTML = '';
+
+  if (rmsEditorState.rows.length === 0) {
+    const li = document.createElement('li');
+    li.className = 'no-files';
+    li.textContent = 'No saved data files found';
+    rmsEditorElements.list.appendChild(li);
+    return;
+  }
+
+  rmsEditorState.rows.forEach(row => {
+    const li = document.createElement('li');
+    li.className = `focusable ${row.className || ''}`.trim();
+    li.tabIndex = 0;
+
+    const label = document.createElement('span');
+    label.className = 'record-label';
+    label.textContent = row.label;
+    li.appendChild(label);
+
+    if (row.detail) {
+      const detail = document.createElement('span');
+      detail.className = 'record-detail';
+      detail.textContent = row.detail;
+      li.appendChild(detail);
+    }
+
+    li.addEventListener('click', () => {
+      if (row.action) row.action();
+    });
+    rmsEditorElements.list.appendChild(li);
+  });
+
+  if (window.Navigation) {
+    Navigation.init(rmsEditorConstants.LIST_ID);
+  }
+}
+
+/**
+ * Get the row the user has focused
+ * @returns {Object|null} Row
+ */
+function getFocusedRmsRow() {
+  const items = Array.from(rmsEditorElements.list.children);
+  const index = items.findIndex(item => item.classList.contains('focused'));
+  return index >= 0 ? rmsEditorState.rows[index] || null : null;
+}
+
+/**
+ * Delete the focused record, or the focused record store with all its
+ * records
+ */
+function deleteFocusedRmsRow() {
+  const row = getFocusedRmsRow();
+  if (!row || !row.store) return;
+
+  if (row.record) {
+    deleteRmsRecord(row.store, row.record);
+    return;
+  }
+
+  if (!confirm(`Delete record store ${row.store.name} and all its records?`)) return;
+  Database.deleteRecordStore(row.store.id)
+    .then(loadRmsStores)
+    .catch(error => {
+      console.error('Failed to delete record store', error);
+      alert(`Failed to delete record store: ${error.message}`);
+    });
+}
+
+/**
+ * Check whether the list is showing files to import from
+ * @returns {boolean} True while picking a file
+ */
+function isPickingRmsFile() {
+  return rmsEditorState.files !== null;
+}
+
+/**
+ * Leave the list: back to the stores from the file picker, otherwise back
+ * to the app
+ */
+function closeRmsList() {
+  if (rmsEditorState.files) {
+    rmsEditorState.files = null;
+    renderRmsList();
+    updateSoftkeys();
+    return;
+  }
+
+  rmsEditorState.app = null;
+  rmsEditorState.stores = [];
+  navigateToScreen('app-details');
+}
+
+// ---------------------------------------------------------------------------
+// Record editor
+// ---------------------------------------------------------------------------
+
+/**
+ * Open a record in the editor
+ * @param {Object} store - Record store
+ * @param {Object} record - {id, data}
+ */
+function openRmsRecord(store, record) {
+  rmsEditorState.store = store;
+  rmsEditorState.record = record;
+
+  rmsEditorElements.editorTitle.textContent = `${store.name} #${record.id} (${formatFileSize(record.data.length)})`;
+  rmsEditorElements.hex.value = formatRmsHex(record.data);
+  updateRmsTextView();
+
+  navigateToScreen(rmsEditorConstants.EDITOR_ID);
+}
+
+/**
+ * Show the text of the bytes in the hex editor, or what's wrong with them
+ */
+function updateRmsTextView() {
+  const data = parseRmsHex(rmsEditorElements.hex.value);
+  rmsEditorElements.text.textContent = data ? formatRmsText(data) : 'Not valid hex';
+}
+
+/**
+ * Save the record being edited
+ */
+function saveRmsRecord() {
+  const data = parseRmsHex(rmsEditorElements.hex.value);
+  if (!data) {
+    alert('Enter the record as pairs of hex digits');
+    return;
+  }
+
+  const store = rmsEditorState.store;
+  const record = rmsEditorState.record;
+  const records = store.records.map(entry => entry === record ? { id: record.id, data: data } : entry);
+  saveRmsStore(store, records)
+    .then(closeRmsRecord)
+    .catch(error => {
+      console.error('Failed to save record', error);
+      alert(`Failed to save record: ${error.message}`);
+    });
+}
+
+/**
+ * Delete the record being edited
+ */
+function deleteEditedRmsRecord() {
+  deleteRmsRecord(rmsEditorState.store, rmsEditorState.record);
+}
+
+/**
+ * Delete a record after asking the user
+ * @param {Object} store - Record store
+ * @param {Object} record - {id, data}
+ */
+function deleteRmsRecord(store, record) {
+  if (!confirm(`Delete record #${record.id} of ${store.name}?`)) return;
+
+  saveRmsStore(store, store.records.filter(entry => entry !== record))
+    .then(() => {
+      if (rmsEditorState.record === record) {
+        closeRmsRecord();
+      } else {
+        renderRmsList();
+      }
+    })
+    .catch(error => {
+      console.error('Failed to delete record', error);
+      alert(`Failed to delete record: ${error.message}`);
+    });
+}
+
+/**
+ * Save a record store with changed records the way RecordStore would. The
+ * store shown is only changed once the save has succeeded, so a failed save
+ * doesn't show data the app doesn't have.
+ * @param {Object} store - Record store
+ * @param {Array} records - Its new records
+ * @returns {Promise} Resolves when it is saved
+ */
+function saveRmsStore(store, records) {
+  const saved = Object.assign({}, store, {
+    records: records,
+    version: store.version + 1,
+    lastModified: Date.now()
+  });
+  return Database.saveRecordStore(saved).then(() => {
+    Object.assign(store, saved);
+  });
+}
+
+/**
+ * Go back from the editor to the list
+ */
+function closeRmsRecord() {
+  rmsEditorState.store = null;
+  rmsEditorState.record = null;
+  navigateToScreen(rmsEditorConstants.LIST_ID);
+  renderRmsList();
+}
+
+// ---------------------------------------------------------------------------
+// Export and import
+// ---------------------------------------------------------------------------
+
+/**
+ * Write all of the app's record stores to one file
+ */
+function exportRmsStores() {
+  const app = rmsEditorState.app;
+  if (rmsEditorState.stores.length === 0) {
+    alert('This app has no saved data to export');
+    return;
+  }
+
+  const contents = {
+    format: rmsEditorConstants.FILE_FORMAT,
+    version: rmsEditorConstants.FILE_VERSION,
+    app: { name: app.name, vendor: app.vendor || '', version: app.version || '' },
+    exported: Date.now(),
+    recordStores: rmsEditorState.stores.map(store => ({
+      name: store.name,
+      vendor: store.vendor,
+      suite: store.suite,
+      authMode: store.authMode,
+      writable: store.writable,
+      version: store.version,
+      lastModified: store.lastModified,
+      nextRecordId: store.nextRecordId,
+      records: store.records.map(record => ({ id: record.id, data: encodeRmsBase64(record.data) }))
+    }))
+  };
+
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '_').substring(0, 15);
+  const blob = new Blob([JSON.stringify(contents)], { type: 'application/json' });
+
+  showLoading('Exporting saved data...');
+  Storage.saveDataFile(blob, `${app.name}_${stamp}${rmsEditorConstants.FILE_EXTENSION}`)
+    .then(path => {
+      hideLoading();
+      alert(`Saved data exported to ${path}`);
+    })
+    .catch(error => {
+      hideLoading();
+      console.error('Failed to export saved data', error);
+      alert(`Failed to export saved data: ${error.message || error.name}`);
+    });
+}
+
+/**
+ * List the files saved data can be imported from
+ */
+function pickRmsFile() {
+  Storage.listDataFiles(rmsEditorConstants.FILE_EXTENSION)
+    .then(files => {
+      rmsEditorState.files = files;
+      renderRmsList();
+      updateSoftkeys();
+    })
+    .catch(error => {
+      console.error('Failed to list saved data files', error);
+      alert(`Failed to list saved data files: ${error.message || error.name}`);
+    });
+}
+
+/**
+ * Replace the app's record stores with those in a file
+ * @param {Object} file - File object from Storage.listDataFiles
+ */
+function importRmsFile(file) {
+  const app = rmsEditorState.app;
+
+  Storage.getFile(file.path)
+    .then(readRmsFileText)
+    .then(text => {
+      const contents = JSON.parse(text);
+      if (!contents || contents.format !== rmsEditorConstants.FILE_FORMAT || !Array.isArray(contents.recordStores)) {
+        throw new Error(`${file.name} is not a saved data file`);
+      }
+      if (contents.version > rmsEditorConstants.FILE_VERSION) {
+        throw new Error(`${file.name} was written by a newer version`);
+      }
+
+      const source = contents.app || {};
+      if (source.name !== app.name &&
+          !confirm(`This file holds saved data of ${source.name || 'another app'}. Import it into ${app.name}?`)) {
+        return false;
+      }
+      if (!confirm(`Replace the saved data of ${app.name} with ${contents.recordStores.length} record stores from ${file.name}?`)) {
+        return false;
+      }
+
+      return Database.replaceRecordStores(app.id, contents.recordStores.map(store => createRmsStore(app, store)))
+        .then(() => true);
+    })
+    .then(imported => {
+      if (!imported) return;
+      rmsEditorState.files = null;
+      updateSoftkeys();
+      return loadRmsStores().then(() => alert(`Imported saved data from ${file.name}`));
+    })
+    .catch(error => {
+      console.error('Failed to import saved data', error);
+      alert(`Failed to import saved data: ${error.message || error.name}`);
+    });
+}
+
+/**
+ * Turn a record store from an exported file into one of this app's
+ * @param {Object} app - Installed app
+ * @param {Object} store - Record store as exported
+ * @returns {Object} Record store as the database holds it
+ */
+function createRmsStore(app, store) {
+  const records = (store.records || []).map(record => ({ id: record.id, data: decodeRmsBase64(record.data) }));
+  const lastId = records.reduce((max, record) => Math.max(max, record.id), 0);
+
+  // App IDs differ between devices, so the store takes this app's, in the
+  // same form RecordStore uses
+  return {
+    id: `${app.id}/${store.name}`,
+    appId: app.id,
+    vendor: store.vendor !== undefined ? store.vendor : (app.vendor || ''),
+    suite: store.suite !== undefined ? store.suite : app.name,
+    name: store.name,
+    authMode: store.authMode || 0,
+    writable: Boolean(store.writable),
+    version: store.version || 0,
+    lastModified: store.lastModified || Date.now(),
+    nextRecordId: Math.max(store.nextRecordId || 1, lastId + 1),
+    records: records
+  };
+}
+
+/**
+ * Read a file as UTF-8 text
+ * @param {File} file - File
+ * @returns {Promise<string>} Resolves with the text
+ */
+function readRmsFileText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Formatting
+// ---------------------------------------------------------------------------
+
+/**
+ * Format bytes as hex, a line per BYTES_PER_LINE bytes
+ * @param {Uint8Array} data - Bytes
+ * @returns {string} Hex
+ */
+function formatRmsHex(data) {
+  const lines = [];
+  for (let start = 0; start < data.length; start += rmsEditorConstants.BYTES_PER_LINE) {
+    const line = Array.from(data.subarray(start, start + rmsEditorConstants.BYTES_PER_LINE));
+    lines.push(line.map(byte => byte.toString(16).padStart(2, '0')).join(' '));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Format bytes as text lines matching the hex view, with dots for bytes
+ * that aren't printable ASCII
+ * @param {Uint8Array} data - Bytes
+ * @returns {string} Text
+ */
+function formatRmsText(data) {
+  const lines = [];
+  for (let start = 0; start < data.length; start += rmsEditorConstants.BYTES_PER_LINE) {
+    const line = Array.from(data.subarray(start, start + rmsEditorConstants.BYTES_PER_LINE));
+    lines.push(line.map(byte => (byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '.')).join(''));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Parse hex typed by the user; whitespace is ignored
+ * @param {string} text - Hex digits
+ * @returns {Uint8Array|null} Bytes, or null if it isn't whole bytes of hex
+ */
+function parseRmsHex(text) {
+  const digits = text.replace(/\s+/g, '');
+  if (!/^([0-9a-fA-F]{2})*$/.test(digits)) return null;
+
+  const data = new Uint8Array(digits.length / 2);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = parseInt(digits.substr(i * 2, 2), 16);
+  }
+  return data;
+}
+
+/**
+ * Summarize a record for the list
+ * @param {Uint8Array} data - Record data
+ * @returns {string} Size and the first bytes as text
+ */
+function formatRmsPreview(data) {
+  const preview = formatRmsText(data.subarray(0, rmsEditorConstants.PREVIEW_BYTES)).replace(/\n/g, '');
+  const more = data.length > rmsEditorConstants.PREVIEW_BYTES ? '…' : '';
+  return data.length > 0 ? `${formatFileSize(data.length)} · ${preview}${more}` : 'empty';
+}
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} data - Bytes
+ * @returns {string} Base64
+ */
+function encodeRmsBase64(data) {
+  let binary = '';
+  for (let i = 0; i < data.length; i++) {
+    binary += String.fromCharCode(data[i]);
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 into bytes
+ * @param {string} text - Base64
+ * @returns {Uint8Array} Bytes
+ */
+function decodeRmsBase64(text) {
+  const binary = atob(text || '');
+  const data = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    data[i] = binary.charCodeAt(i);
+  }
+  return data;
+}
+
+rmsEditorElements.hex.addEventListener('input', updateRmsTextView);
+
+// Export functions for use in other modules
+window.RmsEditor = {
+  open: openRmsEditor,
+  close: closeRmsList,
+  isPicking: isPickingRmsFile,
+  deleteFocused: deleteFocusedRmsRow,
+  saveRecord: saveRmsRecord,
+  deleteRecord: deleteEditedRmsRecord,
+  closeRecord: closeRmsRecord
+};
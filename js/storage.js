@@ -10,7 +10,10 @@ const storageState = {
   appDirectory: 'j2me-loader/',
   appsDirectory: 'j2me-loader/apps/',
   configDirectory: 'j2me-loader/config/',
-  tempDirectory: 'j2me-loader/temp/'
+  savesDirectory: 'j2me-loader/saves/',
+  filesDirectory: 'j2me-loader/files/',
+  tempDirectory: 'j2me-loader/temp/',
+  iconThumbnailSize: 48
 };
 
 /**
@@ -63,6 +66,8 @@ function createDirectoryStructure() {
     createDirectory(storageState.appDirectory),
     createDirectory(storageState.appsDirectory),
     createDirectory(storageState.configDirectory),
+    createDirectory(storageState.savesDirectory),
+    createDirectory(storageState.filesDirectory),
     createDirectory(storageState.tempDirectory)
   ]);
 }
@@ -133,6 +138,43 @@ function saveJarFile(jarBlob, filename) {
   });
 }
 
+/**
+ * Save an exported saved data file to storage
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Name to save the file as
+ * @returns {Promise<string>} Resolves with the path to the saved file
+ */
+function saveDataFile(blob, filename) {
+  return new Promise((resolve, reject) => {
+    const safeFilename = filename.replace(/[^a-zA-Z0-9_.-]/g, '_');
+    const filePath = `${storageState.savesDirectory}${safeFilename}`;
+    
+    const request = storageState.defaultStorage.addNamed(blob, filePath);
+    
+    request.onsuccess = function() {
+      console.log(`Saved data file: ${filePath}`);
+      resolve(filePath);
+    };
+    
+    request.onerror = function() {
+      console.error(`Failed to save data file: ${filePath}`, this.error);
+      reject(this.error);
+    };
+  });
+}
+
+/**
+ * List the saved data files that can be imported
+ * @param {string} extension - File extension to list, with its dot
+ * @returns {Promise<Array>} Resolves with file objects, newest first
+ */
+function listDataFiles(extension) {
+  return listFiles(storageState.savesDirectory)
+    .then(files => files
+      .filter(file => file.name.toLowerCase().endsWith(extension))
+      .sort((a, b) => (b.lastModified || 0) - (a.lastModified || 0)));
+}
+
 /**
  * Get a file from storage
  * @param {string} path - Path to the file
@@ -153,6 +195,48 @@ function getFile(path) {
   });
 }
 
+/**
+ * Look up a file that may not exist
+ * @param {string} path - Path to the file
+ * @returns {Promise<File|null>} Resolves with the File object, or null if there is none
+ */
+function findFile(path) {
+  return new Promise((resolve) => {
+    const request = storageState.defaultStorage.get(path);
+    
+    request.onsuccess = function() {
+      resolve(this.result);
+    };
+    
+    request.onerror = function() {
+      resolve(null);
+    };
+  });
+}
+
+/**
+ * Write a file, replacing any file already at the path
+ * @param {Blob} blob - File contents
+ * @param {string} path - Path to the file
+ * @returns {Promise} Resolves when the file is written
+ */
+function writeFile(blob, path) {
+  return findFile(path)
+    .then(existing => existing ? deleteFile(path) : null)
+    .then(() => new Promise((resolve, reject) => {
+      const request = storageState.defaultStorage.addNamed(blob, path);
+      
+      request.onsuccess = function() {
+        resolve();
+      };
+      
+      request.onerror = function() {
+        console.error(`Failed to write file: ${path}`, this.error);
+        reject(this.error);
+      };
+    }));
+}
+
 /**
  * Delete a file from storage
  * @param {string} path - Path to the file
@@ -177,9 +261,11 @@ function deleteFile(path) {
 /**
  * List files in a directory
  * @param {string} directory - Directory path
+ * @param {boolean} [withPlaceholders] - Include the placeholders that keep
+ *   empty directories
  * @returns {Promise<Array>} Resolves with an array of file objects
  */
-function listFiles(directory) {
+function listFiles(directory, withPlaceholders = false) {
   return new Promise((resolve, reject) => {
     const files = [];
     const cursor = storageState.defaultStorage.enumerate(directory);
@@ -190,7 +276,7 @@ function listFiles(directory) {
         const file = this.result;
         
         // Skip placeholder files
-        if (!file.name.endsWith('.placeholder')) {
+        if (withPlaceholders || !file.name.endsWith('.placeholder')) {
           files.push({
             name: file.name.split('/').pop(), // Get just the filename
             path: file.name,
@@ -215,6 +301,27 @@ function listFiles(directory) {
   });
 }
 
+/**
+ * Get the names of the storage volumes, the default one first
+ * @returns {Array<string>} Volume names such as "sdcard"
+ */
+function listStorageNames() {
+  const names = [storageState.defaultStorage.storageName];
+  storageState.allStorages.forEach(storage => {
+    if (!names.includes(storage.storageName)) names.push(storage.storageName);
+  });
+  return names;
+}
+
+/**
+ * Get the folder an app's files are kept in when they are sandboxed
+ * @param {string} appId - Application ID
+ * @returns {string} Directory path
+ */
+function getAppFilesDirectory(appId) {
+  return `${storageState.filesDirectory}${appId}/`;
+}
+
 /**
  * Get available storage space
  * @returns {Promise<Object>} Resolves with free and used space in bytes
@@ -332,6 +439,8 @@ function getDefaultSettings() {
     orientation: 'auto',
     fontSize: 'medium',
     soundEnabled: true,
+    jitEnabled: true,
+    fileSandbox: true,
     keyMapping: getDefaultKeyMapping()
   };
 }
@@ -362,31 +471,140 @@ function getDefaultKeyMapping() {
   };
 }
 
+/**
+ * Read a file into an ArrayBuffer
+ * @param {File|Blob} file - File to read
+ * @returns {Promise<ArrayBuffer>} Resolves with the file contents
+ */
+function readFileAsArrayBuffer(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    
+    reader.onload = function() {
+      resolve(reader.result);
+    };
+    
+    reader.onerror = function() {
+      console.error(`Failed to read file: ${file.name}`, reader.error);
+      reject(reader.error);
+    };
+    
+    reader.readAsArrayBuffer(file);
+  });
+}
+
 /**
  * Extract JAR file metadata
  * @param {File} jarFile - JAR file
+ * @param {Object} [descriptor] - Parsed JAD attributes when installing from a JAD
  * @returns {Promise<Object>} Resolves with metadata object
  */
-function extractJarMetadata(jarFile) {
-  return new Promise((resolve, reject) => {
-    // In a real implementation, this would extract the JAR manifest
-    // and read metadata like MIDlet-Name, MIDlet-Version, etc.
-    // For now, we'll just use the filename and size
+function extractJarMetadata(jarFile, descriptor = null) {
+  return readFileAsArrayBuffer(jarFile)
+    .then(buffer => {
+      const archive = ZipReader.open(buffer);
+      const manifestAttributes = Manifest.readFromJar(archive);
+      
+      if (descriptor) {
+        JadDescriptor.validate(descriptor, jarFile, manifestAttributes);
+      }
+      
+      // JAD attributes override the manifest
+      const suite = Manifest.getSuiteInfo(JadDescriptor.merge(manifestAttributes, descriptor));
+      
+      if (suite.midlets.length === 0) {
+        throw new Error('Not a MIDlet suite: the manifest declares no MIDlet-1 entry');
+      }
+      
+      const filename = jarFile.name.split('/').pop();
+      const appName = suite.name || filename.replace(/\.jar$/i, '');
+      
+      return createIconThumbnail(readSuiteIcon(archive, suite))
+        .then(icon => ({
+          id: generateAppId(appName),
+          name: appName,
+          path: jarFile.name,
+          size: formatFileSize(jarFile.size),
+          vendor: suite.vendor,
+          version: suite.version,
+          description: suite.description,
+          midlets: suite.midlets,
+          profiles: suite.profiles,
+          configuration: suite.configuration,
+          permissions: suite.permissions,
+          properties: suite.properties,
+          descriptor: descriptor,
+          icon: icon
+        }));
+    });
+}
+
+/**
+ * Read the suite icon from the JAR
+ * @param {Object} archive - Opened JAR archive
+ * @param {Object} suite - Suite metadata
+ * @returns {Uint8Array|null} PNG data or null if the suite has no icon
+ */
+function readSuiteIcon(archive, suite) {
+  // MIDlet-Icon is optional; fall back to the first MIDlet's icon
+  const iconPath = suite.icon || (suite.midlets[0] && suite.midlets[0].icon);
+  if (!iconPath) return null;
+  
+  try {
+    const data = archive.read(iconPath) || archive.read(iconPath, true);
+    if (!data) {
+      console.warn(`Icon not found in JAR: ${iconPath}`);
+    }
+    return data;
+  } catch (error) {
+    console.warn(`Failed to read icon: ${iconPath}`, error);
+    return null;
+  }
+}
+
+/**
+ * Decode a PNG icon and scale it into a thumbnail
+ * @param {Uint8Array|null} data - PNG data
+ * @returns {Promise<string|null>} Resolves with a PNG data URL, or null if the icon can't be decoded
+ */
+function createIconThumbnail(data) {
+  return new Promise((resolve) => {
+    if (!data) {
+      resolve(null);
+      return;
+    }
     
-    const filename = jarFile.name.split('/').pop();
-    const appName = filename.replace(/\.jar$/i, '');
+    const url = URL.createObjectURL(new Blob([data], { type: 'image/png' }));
+    const image = new Image();
+    
+    image.onload = function() {
+      URL.revokeObjectURL(url);
+      
+      // Fit the icon in the thumbnail without upscaling more than needed
+      const size = storageState.iconThumbnailSize;
+      const scale = Math.min(size / image.width, size / image.height);
+      const width = Math.max(1, Math.round(image.width * scale));
+      const height = Math.max(1, Math.round(image.height * scale));
+      
+      const canvas = document.createElement('canvas');
+      canvas.width = size;
+      canvas.height = size;
+      
+      const ctx = canvas.getContext('2d');
+      // Keep pixel art icons crisp when scaling them up
+      ctx.imageSmoothingEnabled = scale < 1;
+      ctx.drawImage(image, (size - width) / 2, (size - height) / 2, width, height);
+      
+      resolve(canvas.toDataURL('image/png'));
+    };
     
-    const metadata = {
-      id: generateAppId(appName),
-      name: appName,
-      path: jarFile.name,
-      size: formatFileSize(jarFile.size),
-      vendor: 'Unknown',
-      version: '1.0',
-      icon: null
+    image.onerror = function() {
+      URL.revokeObjectURL(url);
+      console.warn('Failed to decode MIDlet icon');
+      resolve(null);
     };
     
-    resolve(metadata);
+    image.src = url;
   });
 }
 
@@ -418,9 +636,16 @@ function formatFileSize(bytes) {
 window.Storage = {
   init: initStorage,
   saveJarFile: saveJarFile,
+  saveDataFile: saveDataFile,
+  listDataFiles: listDataFiles,
   getFile: getFile,
+  findFile: findFile,
+  writeFile: writeFile,
+  readFile: readFileAsArrayBuffer,
   deleteFile: deleteFile,
   listFiles: listFiles,
+  listStorageNames: listStorageNames,
+  getAppFilesDirectory: getAppFilesDirectory,
   getStorageSpace: getStorageSpace,
   saveAppSettings: saveAppSettings,
   loadAppSettings: loadAppSettings,
@@ -0,0 +1,356 @@
+/**
+ * J2ME Loader for CloudFone
+ * Java VM worker
+ *
+ * Runs the VM, the Java class library and the MIDlet in a dedicated Worker
+ * so that a busy MIDlet can't starve the launcher's UI. The page talks to
+ * it through EmulatorCore: requests are {type, id, ...} messages answered
+ * with {type: 'reply', id, result} or {type: 'reply', id, error}. Key
+ * events, frame acknowledgements, screen events and picked commands need
+ * no answer, and frames, high-level screens, the current commands, what
+ * the MIDlet's Players are playing and the MIDlet's own exit are posted to
+ * the page unprompted. The worker asks the page in turn for what only the
+ * page can do, such as reaching device storage, with {type: 'request', id,
+ * request, data} messages the page answers with replies of its own.
+ */
+
+// The library scripts export through window, as they do on the page
+self.window = self;
+
+importScripts(
+  'zip-reader.js',
+  'image-decoder.js',
+  'class-file.js',
+  'jvm.js',
+  'jvm-jit.js',
+  'cldc-lang.js',
+  'cldc-io.js',
+  'cldc-util.js',
+  'midp-midlet.js',
+  'midp-font.js',
+  'midp-graphics.js',
+  'midp-image.js',
+  'midp-lcdui.js',
+  'midp-game.js',
+  'midp-item.js',
+  'midp-screen.js',
+  'database.js',
+  'midp-rms.js',
+  'midp-io.js',
+  'midp-file.js',
+  'midp-http.js',
+  'midp-socket.js',
+  'midp-wma.js',
+  'midi-sequence.js',
+  'midp-media.js',
+  'display-bridge.js'
+);
+
+// Worker constants
+const vmWorkerConstants = {
+  // Classes the rest of the library can't do without
+  REQUIRED_CLASSES: [
+    'java/lang/Object',
+    'java/lang/String',
+    'java/lang/Throwable',
+    'java/lang/Thread',
+    'java/io/PrintStream',
+    'java/util/Vector',
+    'javax/microedition/midlet/MIDlet',
+    'javax/microedition/lcdui/Display',
+    'javax/microedition/lcdui/Image'
+  ]
+};
+
+// Worker state
+const vmWorkerState = {
+  jarArchive: null,
+  properties: {},
+  appId: null,
+  midletClass: null,
+  mainThread: null,
+  midlet: null,
+  destroyed: false,
+  pageRequests: new Map(),
+  nextRequestId: 1
+};
+
+/**
+ * Check the class library and start from an empty VM
+ * @returns {number} Number of library classes
+ */
+function initializeWorker() {
+  const missing = vmWorkerConstants.REQUIRED_CLASSES.filter(name => !JVM.state.nativeDefinitions[name]);
+  if (missing.length > 0) {
+    throw new Error(`Java class library is incomplete: ${missing.join(', ')}`);
+  }
+
+  JVM.reset();
+  return Object.keys(JVM.state.nativeDefinitions).length;
+}
+
+/**
+ * Read a resource from the running MIDlet's JAR
+ * @param {string} path - Entry path
+ * @returns {Uint8Array|null} Contents or null if not present
+ */
+function readJarResource(path) {
+  return vmWorkerState.jarArchive ? vmWorkerState.jarArchive.read(path) : null;
+}
+
+/**
+ * Get an application property as MIDlet.getAppProperty sees it
+ * @param {string} name - Property name
+ * @returns {string|null} Property value
+ */
+function getAppProperty(name) {
+  const properties = vmWorkerState.properties;
+  return Object.prototype.hasOwnProperty.call(properties, name) ? properties[name] : null;
+}
+
+/**
+ * Convert a Java throwable into a JS Error
+ * @param {*} error - Java throwable or JS error
+ * @returns {Error} Error named after the Java class
+ */
+function createJavaError(error) {
+  if (!error || !error.cls) return error;
+
+  const javaError = new Error(JVM.describeThrowable(error));
+  javaError.name = error.cls.name.substring(error.cls.name.lastIndexOf('/') + 1);
+  return javaError;
+}
+
+/**
+ * Turn an error into something postMessage can clone
+ * @param {*} error - Error or Java throwable
+ * @returns {Object} Plain {name, message} object
+ */
+function serializeError(error) {
+  const javaError = createJavaError(error);
+  return {
+    name: (javaError && javaError.name) || 'Error',
+    message: (javaError && javaError.message) || String(javaError)
+  };
+}
+
+/**
+ * Load a JAR and start one of its MIDlets
+ * @param {Object} message - {jar, midletClass, appId, properties, screenWidth, screenHeight, jitEnabled, fontSize}
+ * @returns {Promise} Resolves when the MIDlet's startApp has returned
+ */
+function startMidlet(message) {
+  vmWorkerState.jarArchive = ZipReader.open(message.jar);
+  vmWorkerState.properties = message.properties || {};
+  vmWorkerState.appId = message.appId || null;
+  vmWorkerState.midletClass = message.midletClass;
+  vmWorkerState.midlet = null;
+  vmWorkerState.destroyed = false;
+
+  DisplayBridge.reset();
+  MidpRms.reset();
+  MidpMedia.reset();
+  MidpFile.reset();
+  MidpSocket.reset();
+  MidpWma.reset();
+  DisplayBridge.configure(message.screenWidth, message.screenHeight);
+  MidpFont.configure(message.fontSize);
+  MidpHttp.configure(message.httpProxy);
+  MidpSocket.configure(message.socketRelay);
+
+  // Give the MIDlet a fresh VM whose classes come from its JAR
+  JVM.reset({
+    classSource: name => readJarResource(name + '.class'),
+    compiler: message.jitEnabled ? JvmJit.compile : null,
+    host: {
+      readResource: readJarResource,
+      getAppProperty: getAppProperty,
+      suiteId: vmWorkerState.appId,
+      print: (text, isError) => isError ? console.error(text) : console.log(text),
+      getDisplaySurface: DisplayBridge.getSurface,
+      flushDisplay: DisplayBridge.flush,
+      showScreen: showScreen,
+      showCommands: showCommands,
+      playAudio: playAudio,
+      callPage: callPage,
+      onMidletDestroyed: handleMidletDestroyed
+    }
+  });
+  vmWorkerState.mainThread = JVM.createThread('main');
+
+  console.log(`Starting MIDlet: ${message.midletClass}`);
+
+  // Load the MIDlet class up front so broken JARs fail with a clear error
+  const midletClass = JVM.loadClass(message.midletClass.replace(/\./g, '/'));
+  if (!JVM.isAssignable(midletClass, JVM.loadClass('javax/microedition/midlet/MIDlet'))) {
+    throw new Error(`${message.midletClass} does not extend javax.microedition.midlet.MIDlet`);
+  }
+
+  const thread = vmWorkerState.mainThread;
+  return JVM.queueConstruct(thread, midletClass, '()V', [])
+    .then(midlet => {
+      vmWorkerState.midlet = midlet;
+      return JVM.queueCall(thread, JVM.findVirtualMethod(midlet.cls, 'startApp()V'), [midlet]);
+    })
+    .then(() => {
+      console.log('Main MIDlet started');
+    });
+}
+
+/**
+ * Destroy the running MIDlet and clear the VM
+ * @returns {Promise} Resolves once destroyApp has returned
+ */
+function stopMidlet() {
+  const midlet = vmWorkerState.midlet;
+
+  // A MIDlet that called notifyDestroyed has already cleaned up
+  const destroyed = midlet && !vmWorkerState.destroyed
+    ? JVM.queueCall(vmWorkerState.mainThread, JVM.findVirtualMethod(midlet.cls, 'destroyApp(Z)V'), [midlet, 1])
+      .catch(error => console.warn('destroyApp failed', createJavaError(error)))
+    : Promise.resolve();
+
+  // Record stores and files are written in the background; let the last
+  // writes land
+  return destroyed.then(MidpRms.flush).then(MidpFile.flush).then(() => {
+    // Terminate all Java threads and forget the MIDlet's classes and objects
+    JVM.reset();
+    DisplayBridge.reset();
+    MidpMedia.reset();
+    MidpSocket.reset();
+    MidpWma.reset();
+
+    // Requests the page hasn't answered have no thread left to wake
+    vmWorkerState.pageRequests.forEach(request => request.reject(new Error('MIDlet stopped')));
+    vmWorkerState.pageRequests.clear();
+
+    vmWorkerState.jarArchive = null;
+    vmWorkerState.properties = {};
+    vmWorkerState.appId = null;
+    vmWorkerState.midletClass = null;
+    vmWorkerState.mainThread = null;
+    vmWorkerState.midlet = null;
+  });
+}
+
+/**
+ * Show a high-level screen on the page, or hand the page back to the
+ * framebuffer
+ * @param {Object|null} screen - Screen description from MidpScreen, or null
+ */
+function showScreen(screen) {
+  self.postMessage({ type: 'screen', screen: screen });
+}
+
+/**
+ * Offer the commands of the current displayable on the page's soft keys
+ * @param {Object} commands - {commands, fullScreen} from MidpLcdui
+ */
+function showCommands(commands) {
+  self.postMessage({ type: 'commands', commands: commands });
+}
+
+/**
+ * Have the page play, stop or change the sound of one of the MIDlet's
+ * Players
+ * @param {Object} command - {action, id, ...} from MidpMedia
+ * @param {Array} transfer - Buffers to hand over rather than copy
+ */
+function playAudio(command, transfer) {
+  self.postMessage({ type: 'audio', command: command }, transfer);
+}
+
+/**
+ * Ask the page for something only it can do
+ * @param {string} request - Request type, e.g. "files"
+ * @param {Object} data - Request fields
+ * @param {Array} [transfer] - Buffers to hand over rather than copy
+ * @returns {Promise} Resolves with the page's result, rejects with an Error
+ *   named as the page's was
+ */
+function callPage(request, data, transfer = []) {
+  return new Promise((resolve, reject) => {
+    const id = vmWorkerState.nextRequestId++;
+    vmWorkerState.pageRequests.set(id, { resolve: resolve, reject: reject });
+    self.postMessage({ type: 'request', id: id, request: request, data: data }, transfer);
+  });
+}
+
+/**
+ * Settle a request the page has answered
+ * @param {Object} message - {id, result} or {id, error}
+ */
+function handlePageReply(message) {
+  const request = vmWorkerState.pageRequests.get(message.id);
+  if (!request) return;
+  vmWorkerState.pageRequests.delete(message.id);
+
+  if (message.error) {
+    const error = new Error(message.error.message);
+    error.name = message.error.name;
+    request.reject(error);
+  } else {
+    request.resolve(message.result);
+  }
+}
+
+/**
+ * Hand the running MIDlet a message written on the page
+ * @param {Object} message - {message} with the incoming message
+ * @returns {number} Port of the connection that got it
+ */
+function deliverMessage(message) {
+  return MidpWma.deliver(message.message);
+}
+
+/**
+ * Handle MIDlet.notifyDestroyed
+ */
+function handleMidletDestroyed() {
+  console.log('MIDlet destroyed itself');
+  vmWorkerState.destroyed = true;
+  self.postMessage({ type: 'exit' });
+}
+
+// Request handlers by message type
+const vmWorkerHandlers = {
+  init: initializeWorker,
+  start: startMidlet,
+  stop: stopMidlet,
+  message: deliverMessage
+};
+
+self.onmessage = event => {
+  const message = event.data;
+
+  switch (message.type) {
+    case 'key':
+      DisplayBridge.handleKey(message.event, message.key);
+      return;
+    case 'frameShown':
+      DisplayBridge.frameShown();
+      return;
+    case 'screenEvent':
+      MidpScreen.handleEvent(message.event);
+      return;
+    case 'command':
+      MidpLcdui.handleCommand(message.id);
+      return;
+    case 'reply':
+      handlePageReply(message);
+      return;
+  }
+
+  const handler = vmWorkerHandlers[message.type];
+  new Promise(resolve => {
+    if (!handler) throw new Error(`Unknown request: ${message.type}`);
+    resolve(handler(message));
+  })
+    .then(result => {
+      self.postMessage({ type: 'reply', id: message.id, result: result });
+    })
+    .catch(error => {
+      console.error(`VM worker request ${message.type} failed`, error);
+      self.postMessage({ type: 'reply', id: message.id, error: serializeError(error) });
+    });
+};
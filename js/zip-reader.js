@@ -0,0 +1,947 @@
+/**
+ * J2ME Loader for CloudFone
+ * ZIP/JAR archive reader
+ *
+ * Parses the central directory of an in-memory ZIP archive and inflates
+ * entries on demand. Supports stored and deflated entries, data
+ * descriptors, ZIP64 records and the slightly broken archives produced
+ * by some old J2ME build tools (prepended data, bogus offsets, missing
+ * central directory).
+ */
+
+// ZIP record signatures and limits
+const zipConstants = {
+  LOCAL_HEADER_SIGNATURE: 0x04034b50,
+  CENTRAL_HEADER_SIGNATURE: 0x02014b50,
+  END_OF_CENTRAL_DIR_SIGNATURE: 0x06054b50,
+  ZIP64_END_OF_CENTRAL_DIR_SIGNATURE: 0x06064b50,
+  ZIP64_LOCATOR_SIGNATURE: 0x07064b50,
+  DATA_DESCRIPTOR_SIGNATURE: 0x08074b50,
+  ZIP64_EXTRA_FIELD_ID: 0x0001,
+  LOCAL_HEADER_SIZE: 30,
+  CENTRAL_HEADER_SIZE: 46,
+  END_OF_CENTRAL_DIR_SIZE: 22,
+  ZIP64_LOCATOR_SIZE: 20,
+  MAX_COMMENT_LENGTH: 0xffff,
+  METHOD_STORED: 0,
+  METHOD_DEFLATED: 8,
+  FLAG_ENCRYPTED: 0x0001,
+  FLAG_DATA_DESCRIPTOR: 0x0008,
+  FLAG_UTF8: 0x0800
+};
+
+// Lazily built deflate tables shared by all archives
+const inflateTables = {
+  ready: false,
+  lengthBase: null,
+  lengthExtra: null,
+  distBase: null,
+  distExtra: null,
+  fixedLiteralTree: null,
+  fixedDistanceTree: null,
+  codeLengthOrder: [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15]
+};
+
+let crc32Table = null;
+
+/**
+ * Open a ZIP archive held in memory
+ * @param {ArrayBuffer|Uint8Array} buffer - Archive contents
+ * @returns {Object} Archive with an entry index queryable by path
+ */
+function openZipArchive(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  let entries;
+  try {
+    entries = readCentralDirectory(bytes, view);
+  } catch (error) {
+    // Some old build tools write truncated or corrupt central directories;
+    // the local headers are usually still intact, so walk those instead
+    console.warn(`ZIP central directory unusable (${error.message}), scanning local headers`);
+    entries = scanLocalHeaders(bytes, view);
+  }
+
+  const index = new Map();
+  const lowerCaseIndex = new Map();
+
+  entries.forEach(entry => {
+    if (index.has(entry.name)) {
+      console.warn(`Duplicate ZIP entry ignored: ${entry.name}`);
+      return;
+    }
+    index.set(entry.name, entry);
+
+    const lowerName = entry.name.toLowerCase();
+    if (!lowerCaseIndex.has(lowerName)) {
+      lowerCaseIndex.set(lowerName, entry);
+    }
+  });
+
+  return {
+    size: bytes.length,
+    entries: index,
+
+    // Look up an entry by path; pass ignoreCase for lookups such as
+    // META-INF/MANIFEST.MF whose casing varies between tools
+    getEntry(path, ignoreCase = false) {
+      const name = normalizeZipPath(path);
+      return index.get(name) || (ignoreCase ? lowerCaseIndex.get(name.toLowerCase()) : null) || null;
+    },
+
+    hasEntry(path, ignoreCase = false) {
+      return this.getEntry(path, ignoreCase) !== null;
+    },
+
+    // List entry names, optionally restricted to a directory prefix
+    list(prefix = '') {
+      const normalizedPrefix = normalizeZipPath(prefix);
+      const names = [];
+      index.forEach((entry, name) => {
+        if (!entry.isDirectory && name.startsWith(normalizedPrefix)) {
+          names.push(name);
+        }
+      });
+      return names;
+    },
+
+    // Read and decompress an entry, returns null if it doesn't exist
+    read(path, ignoreCase = false) {
+      const entry = this.getEntry(path, ignoreCase);
+      return entry ? readZipEntry(bytes, view, entry) : null;
+    },
+
+    // Read an entry as UTF-8 text, returns null if it doesn't exist
+    readText(path, ignoreCase = false) {
+      const data = this.read(path, ignoreCase);
+      return data ? decodeUtf8(data) : null;
+    }
+  };
+}
+
+/**
+ * Normalize an archive path the way J2ME resource lookups expect
+ * @param {string} path - Path as given by the caller or the archive
+ * @returns {string} Path without leading slashes or backslashes
+ */
+function normalizeZipPath(path) {
+  return String(path)
+    .replace(/\\/g, '/')
+    .replace(/^(\.?\/)+/, '');
+}
+
+/**
+ * Read all entries from the central directory
+ * @param {Uint8Array} bytes - Archive bytes
+ * @param {DataView} view - View over the archive bytes
+ * @returns {Array<Object>} Entry records
+ */
+function readCentralDirectory(bytes, view) {
+  const eocdOffset = findEndOfCentralDirectory(bytes, view);
+  if (eocdOffset < 0) {
+    throw new Error('End of central directory not found');
+  }
+
+  let entryCount = view.getUint16(eocdOffset + 10, true);
+  let directorySize = view.getUint32(eocdOffset + 12, true);
+  let directoryOffset = view.getUint32(eocdOffset + 16, true);
+  let directoryEnd = eocdOffset;
+
+  // ZIP64 archives keep the real values in a separate record
+  const locatorOffset = eocdOffset - zipConstants.ZIP64_LOCATOR_SIZE;
+  if (locatorOffset >= 0 && view.getUint32(locatorOffset, true) === zipConstants.ZIP64_LOCATOR_SIGNATURE) {
+    const zip64Offset = readUint64(view, locatorOffset + 8);
+    if (zip64Offset + 56 <= bytes.length &&
+        view.getUint32(zip64Offset, true) === zipConstants.ZIP64_END_OF_CENTRAL_DIR_SIGNATURE) {
+      entryCount = readUint64(view, zip64Offset + 32);
+      directorySize = readUint64(view, zip64Offset + 40);
+      directoryOffset = readUint64(view, zip64Offset + 48);
+      directoryEnd = zip64Offset;
+    }
+  }
+
+  // Archives with data prepended (or written by tools that get the offset
+  // wrong) have every offset shifted by the same amount
+  let shift = 0;
+  if (!hasSignatureAt(view, directoryOffset, zipConstants.CENTRAL_HEADER_SIGNATURE)) {
+    const actualOffset = directoryEnd - directorySize;
+    if (entryCount > 0 && !hasSignatureAt(view, actualOffset, zipConstants.CENTRAL_HEADER_SIGNATURE)) {
+      throw new Error('Central directory offset is invalid');
+    }
+    shift = actualOffset - directoryOffset;
+    directoryOffset = actualOffset;
+  }
+
+  const entries = [];
+  let offset = directoryOffset;
+
+  // Trust the signatures rather than the entry count, which overflows in
+  // archives that didn't bother to write a ZIP64 record
+  while (hasSignatureAt(view, offset, zipConstants.CENTRAL_HEADER_SIGNATURE)) {
+    if (offset + zipConstants.CENTRAL_HEADER_SIZE > bytes.length) {
+      throw new Error(`Truncated central directory header at ${offset}`);
+    }
+
+    const flags = view.getUint16(offset + 8, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const nameStart = offset + zipConstants.CENTRAL_HEADER_SIZE;
+
+    if (nameStart + nameLength + extraLength > bytes.length) {
+      throw new Error(`Truncated central directory entry at ${offset}`);
+    }
+
+    const entry = {
+      name: '',
+      flags: flags,
+      compressionMethod: view.getUint16(offset + 10, true),
+      lastModified: decodeDosDateTime(view.getUint16(offset + 14, true), view.getUint16(offset + 12, true)),
+      crc32: view.getUint32(offset + 16, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      size: view.getUint32(offset + 24, true),
+      localHeaderOffset: view.getUint32(offset + 42, true),
+      isDirectory: false
+    };
+
+    applyZip64ExtraField(view, entry, nameStart + nameLength, extraLength);
+    entry.localHeaderOffset += shift;
+
+    const rawName = decodeZipName(bytes.subarray(nameStart, nameStart + nameLength), flags);
+    entry.isDirectory = /[\/\\]$/.test(rawName);
+    entry.name = normalizeZipPath(rawName);
+
+    if (entry.name) {
+      entries.push(entry);
+    }
+
+    offset = nameStart + nameLength + extraLength + commentLength;
+  }
+
+  if (entries.length === 0 && entryCount > 0) {
+    throw new Error('Central directory contains no readable entries');
+  }
+
+  return entries;
+}
+
+/**
+ * Locate the end of central directory record
+ * @param {Uint8Array} bytes - Archive bytes
+ * @param {DataView} view - View over the archive bytes
+ * @returns {number} Offset of the record or -1
+ */
+function findEndOfCentralDirectory(bytes, view) {
+  const minOffset = Math.max(0, bytes.length - zipConstants.END_OF_CENTRAL_DIR_SIZE - zipConstants.MAX_COMMENT_LENGTH);
+  let fallback = -1;
+
+  for (let offset = bytes.length - zipConstants.END_OF_CENTRAL_DIR_SIZE; offset >= minOffset; offset--) {
+    if (view.getUint32(offset, true) !== zipConstants.END_OF_CENTRAL_DIR_SIGNATURE) {
+      continue;
+    }
+
+    // Prefer a record whose comment length runs exactly to the end of the
+    // file; comments may themselves contain the signature bytes
+    const commentLength = view.getUint16(offset + 20, true);
+    if (offset + zipConstants.END_OF_CENTRAL_DIR_SIZE + commentLength === bytes.length) {
+      return offset;
+    }
+    if (fallback < 0) {
+      fallback = offset;
+    }
+  }
+
+  return fallback;
+}
+
+/**
+ * Replace 32-bit placeholder values with those from a ZIP64 extra field
+ * @param {DataView} view - View over the archive bytes
+ * @param {Object} entry - Entry being read
+ * @param {number} offset - Start of the extra field block
+ * @param {number} length - Length of the extra field block
+ */
+function applyZip64ExtraField(view, entry, offset, length) {
+  const end = offset + length;
+
+  while (offset + 4 <= end) {
+    const id = view.getUint16(offset, true);
+    const size = view.getUint16(offset + 2, true);
+    const dataStart = offset + 4;
+
+    if (id === zipConstants.ZIP64_EXTRA_FIELD_ID) {
+      // Only the fields that overflowed are present, in this fixed order
+      let field = dataStart;
+      const dataEnd = Math.min(dataStart + size, end);
+
+      if (entry.size === 0xffffffff && field + 8 <= dataEnd) {
+        entry.size = readUint64(view, field);
+        field += 8;
+      }
+      if (entry.compressedSize === 0xffffffff && field + 8 <= dataEnd) {
+        entry.compressedSize = readUint64(view, field);
+        field += 8;
+      }
+      if (entry.localHeaderOffset === 0xffffffff && field + 8 <= dataEnd) {
+        entry.localHeaderOffset = readUint64(view, field);
+      }
+      return;
+    }
+
+    offset = dataStart + size;
+  }
+}
+
+/**
+ * Rebuild the entry list by walking local file headers
+ * @param {Uint8Array} bytes - Archive bytes
+ * @param {DataView} view - View over the archive bytes
+ * @returns {Array<Object>} Entry records
+ */
+function scanLocalHeaders(bytes, view) {
+  const entries = [];
+
+  // Skip anything prepended to the archive
+  let offset = 0;
+  while (offset + 4 <= bytes.length && view.getUint32(offset, true) !== zipConstants.LOCAL_HEADER_SIGNATURE) {
+    offset++;
+  }
+
+  while (offset + zipConstants.LOCAL_HEADER_SIZE <= bytes.length &&
+         view.getUint32(offset, true) === zipConstants.LOCAL_HEADER_SIGNATURE) {
+    const flags = view.getUint16(offset + 6, true);
+    const nameLength = view.getUint16(offset + 26, true);
+    const extraLength = view.getUint16(offset + 28, true);
+    const nameStart = offset + zipConstants.LOCAL_HEADER_SIZE;
+    const dataStart = nameStart + nameLength + extraLength;
+
+    if (dataStart > bytes.length) {
+      break;
+    }
+
+    const entry = {
+      name: '',
+      flags: flags,
+      compressionMethod: view.getUint16(offset + 8, true),
+      lastModified: decodeDosDateTime(view.getUint16(offset + 12, true), view.getUint16(offset + 10, true)),
+      crc32: view.getUint32(offset + 14, true),
+      compressedSize: view.getUint32(offset + 18, true),
+      size: view.getUint32(offset + 22, true),
+      localHeaderOffset: offset,
+      isDirectory: false
+    };
+
+    applyZip64ExtraField(view, entry, nameStart + nameLength, extraLength);
+
+    const rawName = decodeZipName(bytes.subarray(nameStart, nameStart + nameLength), flags);
+    entry.isDirectory = /[\/\\]$/.test(rawName);
+    entry.name = normalizeZipPath(rawName);
+
+    let dataEnd;
+    if (flags & zipConstants.FLAG_DATA_DESCRIPTOR) {
+      // Sizes follow the data, so find where the data actually ends
+      dataEnd = findDataEnd(bytes, view, entry, dataStart);
+      if (dataEnd < 0) {
+        console.warn(`Cannot determine size of ZIP entry: ${entry.name}`);
+        break;
+      }
+
+      entry.compressedSize = dataEnd - dataStart;
+      dataEnd = skipDataDescriptor(view, entry, dataEnd, bytes.length);
+    } else {
+      dataEnd = dataStart + entry.compressedSize;
+    }
+
+    if (entry.name) {
+      entries.push(entry);
+    }
+
+    offset = dataEnd;
+  }
+
+  if (entries.length === 0) {
+    throw new Error('Not a valid ZIP/JAR archive');
+  }
+
+  return entries;
+}
+
+/**
+ * Find the end of the compressed data of an entry written with a data descriptor
+ * @param {Uint8Array} bytes - Archive bytes
+ * @param {DataView} view - View over the archive bytes
+ * @param {Object} entry - Entry being scanned
+ * @param {number} dataStart - Offset of the entry data
+ * @returns {number} Offset just past the data or -1
+ */
+function findDataEnd(bytes, view, entry, dataStart) {
+  if (entry.compressionMethod === zipConstants.METHOD_DEFLATED) {
+    // A deflate stream knows where it ends
+    try {
+      const result = inflateStream(bytes, dataStart, -1);
+      return dataStart + result.bytesRead;
+    } catch (error) {
+      return -1;
+    }
+  }
+
+  // Stored data: look for a descriptor whose compressed size matches
+  for (let offset = dataStart; offset + 12 <= bytes.length; offset++) {
+    if (view.getUint32(offset, true) === zipConstants.DATA_DESCRIPTOR_SIGNATURE &&
+        view.getUint32(offset + 8, true) === offset - dataStart) {
+      return offset;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Read the data descriptor following an entry and return the offset past it
+ * @param {DataView} view - View over the archive bytes
+ * @param {Object} entry - Entry the descriptor belongs to
+ * @param {number} offset - Offset just past the entry data
+ * @param {number} length - Archive length
+ * @returns {number} Offset of the next record
+ */
+function skipDataDescriptor(view, entry, offset, length) {
+  // The signature is optional in the spec and both forms exist in the wild
+  if (offset + 4 <= length && view.getUint32(offset, true) === zipConstants.DATA_DESCRIPTOR_SIGNATURE) {
+    offset += 4;
+  }
+
+  if (offset + 12 > length) {
+    return length;
+  }
+
+  entry.crc32 = view.getUint32(offset, true);
+
+  // ZIP64 descriptors carry 8-byte sizes; tell them apart by what follows
+  const next32 = offset + 12 <= length - 4 ? view.getUint32(offset + 12, true) : 0;
+  const next64 = offset + 20 <= length - 4 ? view.getUint32(offset + 20, true) : 0;
+
+  if (!isRecordSignature(next32) && isRecordSignature(next64)) {
+    entry.size = readUint64(view, offset + 12);
+    return offset + 20;
+  }
+
+  entry.size = view.getUint32(offset + 8, true);
+  return offset + 12;
+}
+
+/**
+ * Check whether a value is one of the record signatures that can follow entry data
+ * @param {number} value - 32-bit value
+ * @returns {boolean} True for local or central header signatures
+ */
+function isRecordSignature(value) {
+  return value === zipConstants.LOCAL_HEADER_SIGNATURE ||
+         value === zipConstants.CENTRAL_HEADER_SIGNATURE;
+}
+
+/**
+ * Decompress the data of an entry
+ * @param {Uint8Array} bytes - Archive bytes
+ * @param {DataView} view - View over the archive bytes
+ * @param {Object} entry - Entry to read
+ * @returns {Uint8Array} Entry contents
+ */
+function readZipEntry(bytes, view, entry) {
+  if (entry.isDirectory) {
+    return new Uint8Array(0);
+  }
+
+  if (entry.flags & zipConstants.FLAG_ENCRYPTED) {
+    throw new Error(`Encrypted ZIP entries are not supported: ${entry.name}`);
+  }
+
+  const headerOffset = entry.localHeaderOffset;
+  if (!hasSignatureAt(view, headerOffset, zipConstants.LOCAL_HEADER_SIGNATURE)) {
+    throw new Error(`Missing local header for ZIP entry: ${entry.name}`);
+  }
+
+  // The local name and extra lengths can differ from the central directory
+  const nameLength = view.getUint16(headerOffset + 26, true);
+  const extraLength = view.getUint16(headerOffset + 28, true);
+  const dataStart = headerOffset + zipConstants.LOCAL_HEADER_SIZE + nameLength + extraLength;
+
+  let data;
+  switch (entry.compressionMethod) {
+    case zipConstants.METHOD_STORED:
+      if (dataStart + entry.size > bytes.length) {
+        throw new Error(`Truncated ZIP entry: ${entry.name}`);
+      }
+      data = bytes.slice(dataStart, dataStart + entry.size);
+      break;
+    case zipConstants.METHOD_DEFLATED:
+      try {
+        data = inflateStream(bytes, dataStart, entry.size).data;
+      } catch (error) {
+        throw new Error(`Corrupt deflate data in ${entry.name}: ${error.message}`);
+      }
+      break;
+    default:
+      throw new Error(`Unsupported compression method ${entry.compressionMethod} for ${entry.name}`);
+  }
+
+  // Plenty of old game JARs carry wrong checksums, so only warn
+  if (computeCrc32(data) !== entry.crc32) {
+    console.warn(`CRC mismatch in ZIP entry: ${entry.name}`);
+  }
+
+  return data;
+}
+
+/**
+ * Inflate a raw deflate stream (RFC 1951)
+ * @param {Uint8Array} data - Compressed data
+ * @param {number} [expectedSize] - Uncompressed size if known
+ * @returns {Uint8Array} Decompressed data
+ */
+function inflateRaw(data, expectedSize = -1) {
+  return inflateStream(data, 0, expectedSize).data;
+}
+
+/**
+ * Inflate a deflate stream starting at an offset
+ * @param {Uint8Array} source - Buffer holding the stream
+ * @param {number} start - Offset of the first byte of the stream
+ * @param {number} expectedSize - Uncompressed size, or -1 if unknown
+ * @returns {Object} Decompressed data and the number of input bytes consumed
+ */
+function inflateStream(source, start, expectedSize) {
+  buildInflateTables();
+
+  const state = {
+    source: source,
+    pos: start,
+    bitBuffer: 0,
+    bitCount: 0,
+    output: new Uint8Array(expectedSize >= 0 ? expectedSize : Math.max(1024, (source.length - start) * 4)),
+    outPos: 0
+  };
+
+  let lastBlock;
+  do {
+    lastBlock = readBits(state, 1);
+    const blockType = readBits(state, 2);
+
+    switch (blockType) {
+      case 0:
+        inflateStoredBlock(state);
+        break;
+      case 1:
+        inflateHuffmanBlock(state, inflateTables.fixedLiteralTree, inflateTables.fixedDistanceTree);
+        break;
+      case 2: {
+        const trees = readDynamicTrees(state);
+        inflateHuffmanBlock(state, trees.literal, trees.distance);
+        break;
+      }
+      default:
+        throw new Error('Invalid deflate block type');
+    }
+  } while (!lastBlock);
+
+  // Give back whole bytes still sitting in the bit buffer
+  const bytesRead = state.pos - start - (state.bitCount >> 3);
+  const data = state.outPos === state.output.length ? state.output : state.output.slice(0, state.outPos);
+
+  return { data: data, bytesRead: bytesRead };
+}
+
+/**
+ * Build the static deflate tables once
+ */
+function buildInflateTables() {
+  if (inflateTables.ready) return;
+
+  inflateTables.lengthBase = new Uint16Array(29);
+  inflateTables.lengthExtra = new Uint8Array(29);
+  inflateTables.distBase = new Uint16Array(30);
+  inflateTables.distExtra = new Uint8Array(30);
+
+  fillBaseTable(inflateTables.lengthBase, inflateTables.lengthExtra, 4, 3);
+  fillBaseTable(inflateTables.distBase, inflateTables.distExtra, 2, 1);
+
+  // Length code 285 is a special case with no extra bits
+  inflateTables.lengthBase[28] = 258;
+  inflateTables.lengthExtra[28] = 0;
+
+  const literalLengths = new Uint8Array(288);
+  literalLengths.fill(8, 0, 144);
+  literalLengths.fill(9, 144, 256);
+  literalLengths.fill(7, 256, 280);
+  literalLengths.fill(8, 280, 288);
+  inflateTables.fixedLiteralTree = buildHuffmanTree(literalLengths, 0, 288);
+
+  const distanceLengths = new Uint8Array(30);
+  distanceLengths.fill(5);
+  inflateTables.fixedDistanceTree = buildHuffmanTree(distanceLengths, 0, 30);
+
+  inflateTables.ready = true;
+}
+
+/**
+ * Fill a length or distance base table
+ * @param {Uint16Array} base - Base values to fill
+ * @param {Uint8Array} extra - Extra bit counts to fill
+ * @param {number} delta - Number of leading codes without extra bits
+ * @param {number} first - Base value of the first code
+ */
+function fillBaseTable(base, extra, delta, first) {
+  for (let i = 0; i < delta; i++) {
+    extra[i] = 0;
+  }
+  for (let i = delta; i < extra.length; i++) {
+    extra[i] = ((i - delta) / delta) | 0;
+  }
+
+  let sum = first;
+  for (let i = 0; i < base.length; i++) {
+    base[i] = sum;
+    sum += 1 << extra[i];
+  }
+}
+
+/**
+ * Build a canonical Huffman decoding tree
+ * @param {Uint8Array} lengths - Code lengths
+ * @param {number} offset - First length to use
+ * @param {number} count - Number of symbols
+ * @returns {Object} Tree with per-length counts and symbols sorted by code
+ */
+function buildHuffmanTree(lengths, offset, count) {
+  const tree = {
+    counts: new Uint16Array(16),
+    symbols: new Uint16Array(count)
+  };
+
+  for (let i = 0; i < count; i++) {
+    tree.counts[lengths[offset + i]]++;
+  }
+  tree.counts[0] = 0;
+
+  // Reject over-subscribed code sets, which would decode garbage
+  let available = 1;
+  for (let len = 1; len < 16; len++) {
+    available = (available << 1) - tree.counts[len];
+    if (available < 0) {
+      throw new Error('Invalid Huffman code lengths');
+    }
+  }
+
+  const offsets = new Uint16Array(16);
+  for (let len = 1; len < 16; len++) {
+    offsets[len] = offsets[len - 1] + tree.counts[len - 1];
+  }
+
+  for (let i = 0; i < count; i++) {
+    const len = lengths[offset + i];
+    if (len) {
+      tree.symbols[offsets[len]++] = i;
+    }
+  }
+
+  return tree;
+}
+
+/**
+ * Read the code length trees of a dynamic Huffman block
+ * @param {Object} state - Inflate state
+ * @returns {Object} Literal/length and distance trees
+ */
+function readDynamicTrees(state) {
+  const literalCount = readBits(state, 5) + 257;
+  const distanceCount = readBits(state, 5) + 1;
+  const codeLengthCount = readBits(state, 4) + 4;
+
+  if (literalCount > 286 || distanceCount > 30) {
+    throw new Error('Invalid dynamic block header');
+  }
+
+  const codeLengths = new Uint8Array(19);
+  for (let i = 0; i < codeLengthCount; i++) {
+    codeLengths[inflateTables.codeLengthOrder[i]] = readBits(state, 3);
+  }
+  const codeLengthTree = buildHuffmanTree(codeLengths, 0, 19);
+
+  const lengths = new Uint8Array(literalCount + distanceCount);
+  let index = 0;
+
+  while (index < lengths.length) {
+    const symbol = decodeSymbol(state, codeLengthTree);
+    let repeat = 0;
+    let value = 0;
+
+    if (symbol < 16) {
+      lengths[index++] = symbol;
+      continue;
+    } else if (symbol === 16) {
+      if (index === 0) {
+        throw new Error('Repeat code with no previous length');
+      }
+      value = lengths[index - 1];
+      repeat = 3 + readBits(state, 2);
+    } else if (symbol === 17) {
+      repeat = 3 + readBits(state, 3);
+    } else {
+      repeat = 11 + readBits(state, 7);
+    }
+
+    if (index + repeat > lengths.length) {
+      throw new Error('Code lengths overflow');
+    }
+    lengths.fill(value, index, index + repeat);
+    index += repeat;
+  }
+
+  return {
+    literal: buildHuffmanTree(lengths, 0, literalCount),
+    distance: buildHuffmanTree(lengths, literalCount, distanceCount)
+  };
+}
+
+/**
+ * Copy an uncompressed block to the output
+ * @param {Object} state - Inflate state
+ */
+function inflateStoredBlock(state) {
+  // Stored blocks start on a byte boundary
+  state.bitBuffer = 0;
+  state.pos -= state.bitCount >> 3;
+  state.bitCount = 0;
+
+  const source = state.source;
+  if (state.pos + 4 > source.length) {
+    throw new Error('Unexpected end of deflate data');
+  }
+
+  const length = source[state.pos] | (source[state.pos + 1] << 8);
+  const inverse = source[state.pos + 2] | (source[state.pos + 3] << 8);
+  state.pos += 4;
+
+  if (length !== (~inverse & 0xffff)) {
+    throw new Error('Stored block length check failed');
+  }
+  if (state.pos + length > source.length) {
+    throw new Error('Unexpected end of deflate data');
+  }
+
+  ensureOutputCapacity(state, length);
+  state.output.set(source.subarray(state.pos, state.pos + length), state.outPos);
+  state.outPos += length;
+  state.pos += length;
+}
+
+/**
+ * Decode a Huffman compressed block
+ * @param {Object} state - Inflate state
+ * @param {Object} literalTree - Literal/length tree
+ * @param {Object} distanceTree - Distance tree
+ */
+function inflateHuffmanBlock(state, literalTree, distanceTree) {
+  const lengthBase = inflateTables.lengthBase;
+  const lengthExtra = inflateTables.lengthExtra;
+  const distBase = inflateTables.distBase;
+  const distExtra = inflateTables.distExtra;
+
+  for (;;) {
+    const symbol = decodeSymbol(state, literalTree);
+
+    if (symbol < 256) {
+      ensureOutputCapacity(state, 1);
+      state.output[state.outPos++] = symbol;
+      continue;
+    }
+
+    if (symbol === 256) {
+      return;
+    }
+
+    const lengthCode = symbol - 257;
+    if (lengthCode >= 29) {
+      throw new Error('Invalid length code');
+    }
+    const length = lengthBase[lengthCode] + readBits(state, lengthExtra[lengthCode]);
+
+    const distanceCode = decodeSymbol(state, distanceTree);
+    if (distanceCode >= 30) {
+      throw new Error('Invalid distance code');
+    }
+    const distance = distBase[distanceCode] + readBits(state, distExtra[distanceCode]);
+
+    if (distance > state.outPos) {
+      throw new Error('Distance too far back');
+    }
+
+    ensureOutputCapacity(state, length);
+    const output = state.output;
+    let from = state.outPos - distance;
+    // Byte-by-byte copy because source and destination may overlap
+    for (let i = 0; i < length; i++) {
+      output[state.outPos++] = output[from++];
+    }
+  }
+}
+
+/**
+ * Decode one symbol using a canonical Huffman tree
+ * @param {Object} state - Inflate state
+ * @param {Object} tree - Huffman tree
+ * @returns {number} Decoded symbol
+ */
+function decodeSymbol(state, tree) {
+  let sum = 0;
+  let code = 0;
+  let len = 0;
+
+  do {
+    code = (code << 1) | readBits(state, 1);
+    len++;
+    if (len > 15) {
+      throw new Error('Invalid Huffman code');
+    }
+    sum += tree.counts[len];
+    code -= tree.counts[len];
+  } while (code >= 0);
+
+  return tree.symbols[sum + code];
+}
+
+/**
+ * Read bits from the stream, least significant bit first
+ * @param {Object} state - Inflate state
+ * @param {number} count - Number of bits (0-16)
+ * @returns {number} Bit value
+ */
+function readBits(state, count) {
+  if (count === 0) return 0;
+
+  while (state.bitCount < count) {
+    if (state.pos >= state.source.length) {
+      throw new Error('Unexpected end of deflate data');
+    }
+    state.bitBuffer |= state.source[state.pos++] << state.bitCount;
+    state.bitCount += 8;
+  }
+
+  const value = state.bitBuffer & ((1 << count) - 1);
+  state.bitBuffer >>>= count;
+  state.bitCount -= count;
+  return value;
+}
+
+/**
+ * Grow the output buffer when the uncompressed size was unknown or wrong
+ * @param {Object} state - Inflate state
+ * @param {number} extra - Number of bytes about to be written
+ */
+function ensureOutputCapacity(state, extra) {
+  const needed = state.outPos + extra;
+  if (needed <= state.output.length) return;
+
+  const grown = new Uint8Array(Math.max(needed, state.output.length * 2));
+  grown.set(state.output.subarray(0, state.outPos));
+  state.output = grown;
+}
+
+/**
+ * Compute the CRC-32 of a byte array
+ * @param {Uint8Array} data - Input bytes
+ * @returns {number} Unsigned CRC-32
+ */
+function computeCrc32(data) {
+  if (!crc32Table) {
+    crc32Table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+      }
+      crc32Table[n] = c;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = crc32Table[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Check for a record signature at an offset
+ * @param {DataView} view - View over the archive bytes
+ * @param {number} offset - Offset to check
+ * @param {number} signature - Expected signature
+ * @returns {boolean} True if the signature is present
+ */
+function hasSignatureAt(view, offset, signature) {
+  return offset >= 0 && offset + 4 <= view.byteLength && view.getUint32(offset, true) === signature;
+}
+
+/**
+ * Read an unsigned little-endian 64-bit value
+ * @param {DataView} view - View over the archive bytes
+ * @param {number} offset - Offset of the value
+ * @returns {number} Value (exact up to 2^53)
+ */
+function readUint64(view, offset) {
+  return view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 0x100000000;
+}
+
+/**
+ * Convert an MS-DOS date and time to a Date
+ * @param {number} date - DOS date
+ * @param {number} time - DOS time
+ * @returns {Date} Decoded date
+ */
+function decodeDosDateTime(date, time) {
+  return new Date(
+    ((date >> 9) & 0x7f) + 1980,
+    ((date >> 5) & 0x0f) - 1,
+    date & 0x1f,
+    (time >> 11) & 0x1f,
+    (time >> 5) & 0x3f,
+    (time & 0x1f) * 2
+  );
+}
+
+/**
+ * Decode an entry name
+ * @param {Uint8Array} bytes - Raw name bytes
+ * @param {number} flags - General purpose flags
+ * @returns {string} Decoded name
+ */
+function decodeZipName(bytes, flags) {
+  if (flags & zipConstants.FLAG_UTF8) {
+    return decodeUtf8(bytes);
+  }
+
+  // Legacy names are nominally CP437; J2ME tools only ever wrote ASCII
+  let name = '';
+  for (let i = 0; i < bytes.length; i++) {
+    name += String.fromCharCode(bytes[i]);
+  }
+  return name;
+}
+
+/**
+ * Decode UTF-8 bytes, dropping a leading byte order mark
+ * @param {Uint8Array} bytes - UTF-8 bytes
+ * @returns {string} Decoded text
+ */
+function decodeUtf8(bytes) {
+  const text = new TextDecoder('utf-8').decode(bytes);
+  return text.charCodeAt(0) === 0xfeff ? text.substring(1) : text;
+}
+
+// Export functions for use in other modules
+window.ZipReader = {
+  open: openZipArchive,
+  inflate: inflateRaw,
+  crc32: computeCrc32,
+  normalizePath: normalizeZipPath
+};
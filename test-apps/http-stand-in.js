@@ -0,0 +1,171 @@
+/**
+ * J2ME Loader for CloudFone
+ * Stand-in HTTP server for testing MIDlets' HttpConnections offline
+ *
+ * Run it with "node test-apps/http-stand-in.js [port] [--host=address]
+ * [--origin=origin ...]" and set the HTTP proxy in the app's settings to
+ * "http://localhost:8090/". Each request a
+ * MIDlet makes then arrives here with its URL as the path, and is answered
+ * from test-apps/stand-in/<host>/<path> when that file exists, or else
+ * with an echo of the request as plain text. MIDlets can also connect to
+ * the server directly, as host "localhost".
+ *
+ * The server listens on 127.0.0.1 only, and only the emulator's pages may
+ * use it: the published one and any served from localhost. Pass --origin
+ * for others, e.g. --origin=null when index.html is opened as a file.
+ * Only Node's own modules are needed.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+// Stand-in server constants
+const standInConstants = {
+  DEFAULT_PORT: 8090,
+  DEFAULT_HOST: '127.0.0.1',
+  EMULATOR_ORIGIN: 'https://phucph0501.github.io',
+  LOCAL_ORIGIN: /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/,
+  FIXTURES: path.join(__dirname, 'stand-in'),
+
+  // Content types by file extension
+  TYPES: {
+    '.txt': 'text/plain; charset=utf-8',
+    '.html': 'text/html; charset=utf-8',
+    '.wml': 'text/vnd.wap.wml; charset=utf-8',
+    '.xml': 'text/xml; charset=utf-8',
+    '.json': 'application/json',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.mid': 'audio/midi',
+    '.wav': 'audio/x-wav',
+    '.jar': 'application/java-archive',
+    '.jad': 'text/vnd.sun.j2me.app-descriptor'
+  }
+};
+
+// Stand-in server state
+const standInState = {
+  host: standInConstants.DEFAULT_HOST,
+  origins: [standInConstants.EMULATOR_ORIGIN]
+};
+
+/**
+ * Check that a request comes from the emulator. Clients that are not
+ * browsers send no Origin, and may use the server.
+ * @param {string|undefined} origin - Origin header
+ * @returns {boolean} Whether the origin may use the server
+ */
+function isAllowedOrigin(origin) {
+  if (origin === undefined) return true;
+  return standInState.origins.includes(origin) || standInConstants.LOCAL_ORIGIN.test(origin);
+}
+
+/**
+ * Find the URL a request is for
+ * @param {http.IncomingMessage} request - Request
+ * @returns {URL} The MIDlet's URL
+ */
+function getTargetUrl(request) {
+  const target = request.url.substring(1);
+  if (/^https?:\/\//i.test(target)) return new URL(target);
+  return new URL(request.url, `http://${request.headers.host || 'localhost'}`);
+}
+
+/**
+ * Find the fixture file for a URL
+ * @param {URL} url - The MIDlet's URL
+ * @returns {string|null} File path, or null if there is none
+ */
+function findFixture(url) {
+  try {
+    const file = path.join(standInConstants.FIXTURES, url.hostname, decodeURIComponent(url.pathname));
+    if (!file.startsWith(standInConstants.FIXTURES + path.sep)) return null;
+    return fs.statSync(file).isFile() ? file : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Describe a request as plain text
+ * @param {http.IncomingMessage} request - Request
+ * @param {URL} url - The MIDlet's URL
+ * @param {Buffer} body - Request body
+ * @returns {string} Method, URL, headers and body
+ */
+function describeRequest(request, url, body) {
+  const lines = [`${request.method} ${url.href}`];
+  for (let i = 0; i < request.rawHeaders.length; i += 2) {
+    lines.push(`${request.rawHeaders[i]}: ${request.rawHeaders[i + 1]}`);
+  }
+  return `${lines.join('\n')}\n\n${body.toString('utf8')}`;
+}
+
+/**
+ * Answer a request
+ * @param {http.IncomingMessage} request - Request
+ * @param {http.ServerResponse} response - Response
+ */
+function handleRequest(request, response) {
+  const origin = request.headers.origin;
+  response.setHeader('Vary', 'Origin');
+  if (!isAllowedOrigin(origin)) {
+    console.log(`${request.method} refused origin ${origin}`);
+    response.writeHead(403, { 'Content-Type': 'text/plain' });
+    response.end(`Origin not allowed: ${origin}`);
+    return;
+  }
+  if (origin !== undefined) {
+    response.setHeader('Access-Control-Allow-Origin', origin);
+    response.setHeader('Access-Control-Expose-Headers', '*');
+  }
+
+  if (request.method === 'OPTIONS') {
+    response.setHeader('Access-Control-Allow-Methods', 'GET, POST, HEAD');
+    response.setHeader('Access-Control-Allow-Headers', request.headers['access-control-request-headers'] || '*');
+    response.writeHead(204);
+    response.end();
+    return;
+  }
+
+  const chunks = [];
+  request.on('data', chunk => chunks.push(chunk));
+  request.on('end', () => {
+    let url;
+    try {
+      url = getTargetUrl(request);
+    } catch (error) {
+      response.writeHead(400, { 'Content-Type': 'text/plain' });
+      response.end(`Invalid URL: ${request.url}`);
+      return;
+    }
+
+    const fixture = findFixture(url);
+    const body = fixture ? fs.readFileSync(fixture) : Buffer.from(describeRequest(request, url, Buffer.concat(chunks)));
+    const type = fixture ? standInConstants.TYPES[path.extname(fixture).toLowerCase()] : null;
+
+    console.log(`${request.method} ${url.href} -> ${fixture ? path.relative(__dirname, fixture) : 'echo'}`);
+    response.writeHead(200, {
+      'Content-Type': type || 'text/plain; charset=utf-8',
+      'Content-Length': body.length
+    });
+    response.end(request.method === 'HEAD' ? undefined : body);
+  });
+}
+
+let port = standInConstants.DEFAULT_PORT;
+process.argv.slice(2).forEach(arg => {
+  if (arg.startsWith('--host=')) {
+    standInState.host = arg.substring(7);
+  } else if (arg.startsWith('--origin=')) {
+    standInState.origins.push(arg.substring(9));
+  } else {
+    port = Number(arg) || port;
+  }
+});
+
+http.createServer(handleRequest).listen(port, standInState.host, () => {
+  console.log(`Stand-in server on http://${standInState.host}:${port}/, fixtures in ${standInConstants.FIXTURES}`);
+});
@@ -0,0 +1,351 @@
+/**
+ * J2ME Loader for CloudFone
+ * Socket relay for MIDlets' socket:// and datagram:// connections
+ *
+ * Run it with "node test-apps/socket-relay.js [port] [--host=address]
+ * [--origin=origin ...]" and set the socket relay in the app's settings to
+ * "ws://localhost:8091/". Each connection a MIDlet opens is a WebSocket to
+ * this relay, which makes the real TCP connection, TCP server or UDP port
+ * for it; js/midp-socket.js describes the messages. Two emulators on the
+ * same relay can reach each other's servers at "localhost".
+ *
+ * The relay would let any web page reach any host, so it listens on
+ * 127.0.0.1 only and turns away pages other than the emulator's: the
+ * published one and any served from localhost. Pass --origin for others,
+ * e.g. --origin=null when index.html is opened as a file.
+ *
+ * Only Node's own modules are needed, so the WebSocket side is a small
+ * implementation of RFC 6455 that handles what browsers send.
+ */
+
+const http = require('http');
+const net = require('net');
+const dgram = require('dgram');
+const crypto = require('crypto');
+
+// Relay constants
+const relayConstants = {
+  DEFAULT_PORT: 8091,
+  DEFAULT_HOST: '127.0.0.1',
+  EMULATOR_ORIGIN: 'https://phucph0501.github.io',
+  LOCAL_ORIGIN: /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/,
+  HANDSHAKE_GUID: '258EAFA5-E914-47DA-95CA-C5AB0DC85B11',
+
+  // WebSocket opcodes
+  TEXT: 0x1,
+  BINARY: 0x2,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xa
+};
+
+// Relay state
+const relayState = {
+  nextClientId: 1,
+
+  host: relayConstants.DEFAULT_HOST,
+  origins: [relayConstants.EMULATOR_ORIGIN],
+
+  // Accepted TCP clients waiting for a WebSocket to take them, by id
+  clients: new Map()
+};
+
+// ---------------------------------------------------------------------------
+// WebSocket
+// ---------------------------------------------------------------------------
+
+/**
+ * Wrap an upgraded connection as a WebSocket
+ * @param {net.Socket} socket - Connection after the handshake
+ * @param {Function} onMessage - Takes each message, text as a string and
+ *   binary as a Buffer
+ * @param {Function} onClose - Called once the connection has closed
+ * @returns {Object} {sendText, sendBinary, close}
+ */
+function createWebSocket(socket, onMessage, onClose) {
+  let buffer = Buffer.alloc(0);
+  let fragments = [];
+  let fragmentOpcode = 0;
+  let closed = false;
+
+  const send = (opcode, payload) => {
+    if (closed) return;
+    let header;
+    if (payload.length < 126) {
+      header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+      header = Buffer.alloc(4);
+      header.writeUInt16BE(payload.length, 2);
+      header[1] = 126;
+    } else {
+      header = Buffer.alloc(10);
+      header.writeBigUInt64BE(BigInt(payload.length), 2);
+      header[1] = 127;
+    }
+    header[0] = 0x80 | opcode;
+    socket.write(Buffer.concat([header, payload]));
+  };
+
+  const close = () => {
+    if (closed) return;
+    send(relayConstants.CLOSE, Buffer.alloc(0));
+    closed = true;
+    socket.end();
+  };
+
+  socket.on('data', data => {
+    buffer = Buffer.concat([buffer, data]);
+    while (buffer.length >= 2) {
+      const final = (buffer[0] & 0x80) !== 0;
+      const opcode = buffer[0] & 0x0f;
+      const masked = (buffer[1] & 0x80) !== 0;
+      let length = buffer[1] & 0x7f;
+      let offset = 2;
+      if (length === 126) {
+        if (buffer.length < 4) return;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (buffer.length < 10) return;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+      const mask = masked ? buffer.subarray(offset, offset + 4) : null;
+      if (masked) offset += 4;
+      if (buffer.length < offset + length) return;
+
+      const payload = Buffer.from(buffer.subarray(offset, offset + length));
+      buffer = buffer.subarray(offset + length);
+      if (mask) {
+        for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+      }
+
+      if (opcode === relayConstants.CLOSE) {
+        close();
+        return;
+      }
+      if (opcode === relayConstants.PING) {
+        send(relayConstants.PONG, payload);
+        continue;
+      }
+      if (opcode === relayConstants.PONG) continue;
+
+      // Opcode 0 continues a fragmented message
+      if (opcode !== 0) fragmentOpcode = opcode;
+      fragments.push(payload);
+      if (!final) continue;
+
+      const message = Buffer.concat(fragments);
+      fragments = [];
+      onMessage(fragmentOpcode === relayConstants.TEXT ? message.toString('utf8') : message);
+    }
+  });
+  socket.on('close', () => {
+    closed = true;
+    onClose();
+  });
+  socket.on('error', () => socket.destroy());
+
+  return {
+    sendText: text => send(relayConstants.TEXT, Buffer.from(text, 'utf8')),
+    sendBinary: data => send(relayConstants.BINARY, data),
+    close: close
+  };
+}
+
+/**
+ * Check that a handshake comes from the emulator. Clients that are not
+ * browsers send no Origin, and may connect.
+ * @param {string|undefined} origin - Origin header
+ * @returns {boolean} Whether the origin may use the relay
+ */
+function isAllowedOrigin(origin) {
+  if (origin === undefined) return true;
+  return relayState.origins.includes(origin) || relayConstants.LOCAL_ORIGIN.test(origin);
+}
+
+/**
+ * Accept a WebSocket handshake
+ * @param {http.IncomingMessage} request - Upgrade request
+ * @param {net.Socket} socket - Its connection
+ * @returns {boolean} Whether the handshake was accepted
+ */
+function acceptHandshake(request, socket) {
+  const key = request.headers['sec-websocket-key'];
+  if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return false;
+  }
+  if (!isAllowedOrigin(request.headers.origin)) {
+    console.log(`refused origin ${request.headers.origin}`);
+    socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+    return false;
+  }
+
+  const accept = crypto.createHash('sha1').update(key + relayConstants.HANDSHAKE_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    ''
+  ].join('\r\n'));
+  socket.setNoDelay(true);
+  return true;
+}
+
+// ---------------------------------------------------------------------------
+// Connections
+// ---------------------------------------------------------------------------
+
+/**
+ * Join a WebSocket to a TCP connection
+ * @param {Object} ws - WebSocket
+ * @param {net.Socket} tcp - Connected TCP socket
+ * @returns {Function} Takes the WebSocket's later messages
+ */
+function relayStream(ws, tcp) {
+  ws.sendText(JSON.stringify({
+    type: 'connected',
+    address: tcp.remoteAddress,
+    port: tcp.remotePort,
+    localAddress: tcp.localAddress,
+    localPort: tcp.localPort
+  }));
+  tcp.on('data', data => ws.sendBinary(data));
+  tcp.on('close', () => ws.close());
+  tcp.resume();
+
+  return message => {
+    if (Buffer.isBuffer(message)) {
+      tcp.write(message);
+    } else if (message.type === 'option' && message.name === 'DELAY') {
+      tcp.setNoDelay(message.value === 0);
+    } else if (message.type === 'option' && message.name === 'KEEPALIVE') {
+      tcp.setKeepAlive(message.value !== 0);
+    }
+  };
+}
+
+/**
+ * Carry out a WebSocket's first message
+ * @param {Object} ws - WebSocket
+ * @param {Object} command - Parsed message
+ * @param {Function} setHandler - Takes the handler for later messages
+ * @param {Function} setCleanup - Takes what to do when the WebSocket closes
+ */
+function handleCommand(ws, command, setHandler, setCleanup) {
+  const fail = error => {
+    ws.sendText(JSON.stringify({ type: 'error', message: error.message || String(error) }));
+    ws.close();
+  };
+
+  if (command.type === 'connect') {
+    const tcp = net.connect({ host: command.host, port: command.port });
+    setCleanup(() => tcp.destroy());
+    tcp.once('error', fail);
+    tcp.once('connect', () => {
+      tcp.removeListener('error', fail);
+      tcp.on('error', () => ws.close());
+      setHandler(relayStream(ws, tcp));
+    });
+    console.log(`connect ${command.host}:${command.port}`);
+  } else if (command.type === 'listen') {
+    const server = net.createServer({ pauseOnConnect: true }, tcp => {
+      const id = relayState.nextClientId++;
+      relayState.clients.set(id, tcp);
+      tcp.on('close', () => relayState.clients.delete(id));
+      ws.sendText(JSON.stringify({ type: 'accepted', id: id, address: tcp.remoteAddress, port: tcp.remotePort }));
+    });
+    setCleanup(() => server.close());
+    server.once('error', fail);
+    server.listen(command.port || 0, () => {
+      server.removeListener('error', fail);
+      server.on('error', () => ws.close());
+      const address = server.address();
+      ws.sendText(JSON.stringify({ type: 'listening', address: address.address, port: address.port }));
+      console.log(`listen ${address.port}`);
+    });
+  } else if (command.type === 'accept') {
+    const tcp = relayState.clients.get(command.id);
+    if (!tcp) {
+      fail(new Error(`No such client: ${command.id}`));
+      return;
+    }
+    relayState.clients.delete(command.id);
+    setCleanup(() => tcp.destroy());
+    tcp.on('error', () => ws.close());
+    setHandler(relayStream(ws, tcp));
+  } else if (command.type === 'bind') {
+    const udp = dgram.createSocket('udp4');
+    setCleanup(() => udp.close());
+    udp.once('error', fail);
+    udp.on('message', (data, from) => {
+      ws.sendText(JSON.stringify({ type: 'datagram', host: from.address, port: from.port, data: data.toString('base64') }));
+    });
+    udp.bind(command.port || 0, () => {
+      udp.removeListener('error', fail);
+      udp.on('error', () => ws.close());
+      const address = udp.address();
+      ws.sendText(JSON.stringify({ type: 'bound', address: address.address, port: address.port }));
+      setHandler(message => {
+        if (message.type === 'datagram') udp.send(Buffer.from(message.data, 'base64'), message.port, message.host);
+      });
+      console.log(`bind ${address.port}`);
+    });
+  } else {
+    fail(new Error(`Unknown command: ${command.type}`));
+  }
+}
+
+/**
+ * Serve one relay WebSocket
+ * @param {http.IncomingMessage} request - Upgrade request
+ * @param {net.Socket} socket - Its connection
+ */
+function handleUpgrade(request, socket) {
+  if (!acceptHandshake(request, socket)) return;
+
+  let handler = null;
+  let cleanup = () => {};
+  const ws = createWebSocket(socket, data => {
+    let message = data;
+    if (typeof data === 'string') {
+      try {
+        message = JSON.parse(data);
+      } catch (error) {
+        ws.close();
+        return;
+      }
+    }
+
+    if (handler) {
+      handler(message);
+    } else if (!Buffer.isBuffer(message)) {
+      // Messages before the command is carried out are dropped
+      handler = () => {};
+      handleCommand(ws, message, next => { handler = next; }, next => { cleanup = next; });
+    }
+  }, () => cleanup());
+}
+
+let port = relayConstants.DEFAULT_PORT;
+process.argv.slice(2).forEach(arg => {
+  if (arg.startsWith('--host=')) {
+    relayState.host = arg.substring(7);
+  } else if (arg.startsWith('--origin=')) {
+    relayState.origins.push(arg.substring(9));
+  } else {
+    port = Number(arg) || port;
+  }
+});
+
+const server = http.createServer((request, response) => {
+  response.writeHead(426, { 'Content-Type': 'text/plain' });
+  response.end('This is a WebSocket relay for the emulator\'s socket connections');
+});
+server.on('upgrade', handleUpgrade);
+server.listen(port, relayState.host, () => {
+  console.log(`Socket relay on ws://${relayState.host}:${port}/`);
+});